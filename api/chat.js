@@ -2082,6 +2082,7 @@ async function executeGetPlanItems(params, context) {
       created_at, updated_at
     `)
     .eq('project_id', projectId)
+    .is('scenario_id', null)
     .or('is_deleted.is.null,is_deleted.eq.false')
     .order('sort_order', { ascending: true });
 
@@ -2119,6 +2120,7 @@ async function executeGetPlanSummary(params, context) {
     .from('plan_items')
     .select('id, item_type, status, progress, assigned_to, start_date, end_date, estimated_hours, actual_hours')
     .eq('project_id', projectId)
+    .is('scenario_id', null)
     .or('is_deleted.is.null,is_deleted.eq.false');
 
   if (error) throw error;
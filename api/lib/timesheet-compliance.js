@@ -0,0 +1,581 @@
+/**
+ * Timesheet Compliance
+ *
+ * Compares the time each resource was expected to book in a week with the
+ * time they submitted, and decides when to remind them and when to
+ * escalate to the supplier PM. Shared by the compliance dashboard (via
+ * src/lib/timesheetCompliance) and the scheduled reminder endpoint
+ * (api/timesheet-reminders.js), so it only imports the working calendar.
+ *
+ * Expected time for a week:
+ * - Only for active resources linked to a project member who books time
+ *   (contributor or supplier PM), from the later of the day they joined
+ *   the project and the day the resource was created
+ * - On the resource's working calendar (else the project calendar, else
+ *   Monday to Friday) - bank holidays and shutdowns are not expected
+ * - Less leave from the team calendar: a full day out of office is a day
+ *   off, a morning or afternoon out is half a day
+ * - Contracted hours per week spread over the working weekdays, else a
+ *   standard day per working day
+ *
+ * Submitted time is anything submitted or validated. Draft and rejected
+ * entries count as logged but not submitted.
+ *
+ * A week is due once it has ended (Sunday). Reminders go to the resource
+ * a configurable number of days later; escalations to the supplier PMs
+ * after a further number of days. Each is sent once per resource per week.
+ *
+ * @version 1.1
+ * @created 19 October 2026
+ * @updated 19 October 2026 - Moved from src/lib with the week helpers from timesheetWeek
+ */
+
+import { toDateKey, WEEKDAYS_CALENDAR } from './working-calendar.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/** Days per week */
+export const WEEK_LENGTH = 7;
+
+/** metricsConfig BUDGET_CONFIG.hoursPerDay */
+export const STANDARD_HOURS_PER_DAY = 8;
+
+/** metricsConfig VALID_STATUSES.timesheets.contributeToSpend */
+const SUBMITTED_STATUSES = ['Submitted', 'Validated', 'Approved'];
+
+/** Hours below which a submitted week still counts as complete (rounding) */
+const HOURS_TOLERANCE = 0.01;
+
+/** calendar.service AVAILABILITY_STATUS.OUT_OF_OFFICE */
+const LEAVE_STATUS = 'out_of_office';
+
+/** calendar.service AVAILABILITY_PERIOD half days */
+const HALF_DAY_PERIODS = ['am', 'pm'];
+
+/** Weeks checked by the dashboard and the reminder run (including this week) */
+export const COMPLIANCE_WEEKS = 4;
+
+/** Project roles expected to book time */
+export const TIMESHEET_ROLES = ['contributor', 'supplier_pm'];
+
+/** Project role escalations go to */
+export const ESCALATION_ROLE = 'supplier_pm';
+
+export const COMPLIANCE_STATUS = Object.freeze({
+  COMPLIANT: 'compliant',
+  PARTIAL: 'partial',
+  UNSUBMITTED: 'unsubmitted',
+  MISSING: 'missing',
+  NOT_DUE: 'not_due',
+  NOT_EXPECTED: 'not_expected'
+});
+
+export const REMINDER_LEVEL = Object.freeze({
+  REMINDER: 'reminder',
+  ESCALATION: 'escalation'
+});
+
+/** notifications.type for each reminder level */
+export const REMINDER_NOTIFICATION_TYPE = Object.freeze({
+  [REMINDER_LEVEL.REMINDER]: 'timesheet_missing',
+  [REMINDER_LEVEL.ESCALATION]: 'timesheet_escalation'
+});
+
+/** Defaults for the projects reminder columns */
+export const DEFAULT_COMPLIANCE_SETTINGS = Object.freeze({
+  timesheet_reminders_enabled: true,
+  timesheet_reminder_days: 1,
+  timesheet_escalation_enabled: true,
+  timesheet_escalation_days: 3
+});
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function keyToDate(key) {
+  return new Date(`${key}T00:00:00Z`);
+}
+
+function shiftKey(key, days) {
+  return toDateKey(new Date(keyToDate(key).getTime() + days * MS_PER_DAY));
+}
+
+function dayNumber(key) {
+  return Math.floor(keyToDate(key).getTime() / MS_PER_DAY);
+}
+
+// ============================================
+// WEEKS
+// ============================================
+
+/**
+ * Monday of the week containing a date
+ * @param {string|Date} date
+ * @returns {string} YYYY-MM-DD
+ */
+export function getWeekStart(date) {
+  const key = toDateKey(date);
+  const weekday = keyToDate(key).getUTCDay();
+  return shiftKey(key, weekday === 0 ? -6 : 1 - weekday);
+}
+
+/**
+ * The seven dates of a week, Monday first
+ * @param {string} weekStart - Monday (YYYY-MM-DD)
+ * @returns {string[]}
+ */
+export function getWeekDates(weekStart) {
+  return Array.from({ length: WEEK_LENGTH }, (_, i) => shiftKey(weekStart, i));
+}
+
+/**
+ * Move a week start by a number of weeks
+ * @param {string} weekStart - Monday (YYYY-MM-DD)
+ * @param {number} weeks - Negative for earlier weeks
+ * @returns {string}
+ */
+export function shiftWeek(weekStart, weeks) {
+  return shiftKey(weekStart, weeks * WEEK_LENGTH);
+}
+
+/**
+ * Week starts checked for compliance, oldest first, ending with this week
+ * @param {string|Date} today
+ * @param {number} [count]
+ * @returns {string[]} Mondays (YYYY-MM-DD)
+ */
+export function getComplianceWeeks(today, count = COMPLIANCE_WEEKS) {
+  const current = getWeekStart(today);
+  return Array.from({ length: count }, (_, i) => shiftWeek(current, i - count + 1));
+}
+
+/**
+ * Days since a week ended (0 on the Sunday, 1 on the Monday after)
+ * @param {string} weekStart - Monday (YYYY-MM-DD)
+ * @param {string|Date} today
+ * @returns {number} Negative while the week is still running
+ */
+export function getDaysOverdue(weekStart, today) {
+  const weekEnd = shiftWeek(weekStart, 1);
+  return dayNumber(toDateKey(today)) - dayNumber(weekEnd) + 1;
+}
+
+/**
+ * Short label for a week, e.g. "12 Oct 2026"
+ * @param {string} weekStart
+ * @returns {string}
+ */
+export function formatWeekLabel(weekStart) {
+  const [year, month, day] = weekStart.split('-').map(Number);
+  return `${day} ${MONTHS[month - 1]} ${year}`;
+}
+
+// ============================================
+// EXPECTED TIME
+// ============================================
+
+/**
+ * Contracted hours for a resource in a week
+ *
+ * Contracted weekly hours (resources.contracted_hours_per_week) are spread
+ * over the calendar's working weekdays; without them each working day is
+ * a standard day. Holidays and leave on the calendar are not contracted.
+ *
+ * @param {Object} params
+ * @param {Object} [params.resource] - Resource with contracted_hours_per_week
+ * @param {Object} [params.calendar] - Working calendar (defaults to Mon-Fri)
+ * @param {string[]} params.dates - Week dates
+ * @param {number} params.hoursPerDay - Standard working day
+ * @returns {{ contractedHours: number, hoursPerDay: number, nonWorkingDays: Array<{ date: string, reason: string }> }}
+ */
+export function getContractedHours({ resource, calendar, dates, hoursPerDay }) {
+  const cal = calendar || WEEKDAYS_CALENDAR;
+  const weekly = parseFloat(resource?.contracted_hours_per_week);
+  const daysPerWeek = cal.workingDays?.length || 5;
+  const dailyHours = weekly > 0 ? weekly / daysPerWeek : hoursPerDay;
+
+  const nonWorkingDays = [];
+  let workingDays = 0;
+  dates.forEach(date => {
+    const reason = cal.getNonWorkingReason(date);
+    if (reason) {
+      nonWorkingDays.push({ date, reason });
+    } else {
+      workingDays++;
+    }
+  });
+
+  return {
+    contractedHours: Math.round(dailyHours * workingDays * 100) / 100,
+    hoursPerDay: dailyHours,
+    nonWorkingDays
+  };
+}
+
+/**
+ * Resources expected to book time: active, linked to a project member in
+ * a timesheet role
+ *
+ * @param {Array} resources - Resource rows (id, user_id, is_active, created_at)
+ * @param {Array} members - user_projects rows ({ user_id | id, role, created_at })
+ * @returns {Array<{ resource: Object, member: Object }>}
+ */
+export function getExpectedResources(resources, members) {
+  const membersByUser = new Map(
+    (members || [])
+      .filter(m => TIMESHEET_ROLES.includes(m.role))
+      .map(m => [m.user_id || m.id, m])
+  );
+
+  return (resources || [])
+    .filter(r => r.user_id && r.is_active !== false && !r.is_deleted && membersByUser.has(r.user_id))
+    .map(resource => ({ resource, member: membersByUser.get(resource.user_id) }));
+}
+
+/**
+ * Leave per day for one user from the team calendar
+ * @param {Array} availability - resource_availability rows
+ * @param {string} userId
+ * @returns {Map<string, number>} Date -> fraction of the day off (0.5 or 1)
+ */
+export function getLeaveByDate(availability, userId) {
+  const leave = new Map();
+  (availability || []).forEach(entry => {
+    if (entry.user_id !== userId || entry.status !== LEAVE_STATUS) return;
+    const date = toDateKey(entry.date);
+    const fraction = HALF_DAY_PERIODS.includes(entry.period) ? 0.5 : 1;
+    leave.set(date, Math.min(1, (leave.get(date) || 0) + fraction));
+  });
+  return leave;
+}
+
+/**
+ * Time a resource was expected to book on some dates
+ *
+ * @param {Object} params
+ * @param {Object} params.resource - Resource with contracted_hours_per_week
+ * @param {Object} [params.calendar] - Working calendar (defaults to Mon-Fri)
+ * @param {Map} [params.leave] - From getLeaveByDate
+ * @param {string[]} params.dates
+ * @param {number} params.hoursPerDay - Standard working day
+ * @param {string} [params.from] - First expected date (joined the project)
+ * @param {string} [params.to] - Last expected date (project end)
+ * @returns {{ expectedDays: number, expectedHours: number, leaveDays: number, hoursPerDay: number }}
+ */
+export function getExpectedTime({ resource, calendar, leave, dates, hoursPerDay, from, to }) {
+  const cal = calendar || WEEKDAYS_CALENDAR;
+  const dailyHours = getContractedHours({ resource, calendar: cal, dates: [], hoursPerDay }).hoursPerDay;
+
+  let expectedDays = 0;
+  let leaveDays = 0;
+  dates.forEach(date => {
+    if ((from && date < from) || (to && date > to)) return;
+    if (cal.getNonWorkingReason(date)) return;
+    const off = leave?.get(date) || 0;
+    leaveDays += off;
+    expectedDays += 1 - off;
+  });
+
+  return {
+    expectedDays,
+    expectedHours: round2(expectedDays * dailyHours),
+    leaveDays,
+    hoursPerDay: dailyHours
+  };
+}
+
+// ============================================
+// COMPLIANCE
+// ============================================
+
+/**
+ * Whether a week needs chasing
+ * @param {string} status - COMPLIANCE_STATUS value
+ * @returns {boolean}
+ */
+export function isNonCompliant(status) {
+  return [
+    COMPLIANCE_STATUS.PARTIAL,
+    COMPLIANCE_STATUS.UNSUBMITTED,
+    COMPLIANCE_STATUS.MISSING
+  ].includes(status);
+}
+
+/**
+ * Compliance for one resource and week
+ *
+ * @param {Object} params
+ * @param {Object} params.resource
+ * @param {Array} params.timesheets - Timesheet rows (others are ignored)
+ * @param {string} params.weekStart - Monday (YYYY-MM-DD)
+ * @param {string|Date} params.today
+ * @param {number} params.hoursPerDay
+ * @param {Object} [params.calendar] - Working calendar
+ * @param {Map} [params.leave] - From getLeaveByDate
+ * @param {string} [params.from] - First expected date
+ * @param {string} [params.to] - Last expected date
+ * @returns {Object} { resourceId, weekStart, weekEnd, expectedDays,
+ *   expectedHours, leaveDays, submittedHours, draftHours, shortfallHours,
+ *   daysOverdue, status }
+ */
+export function getWeekCompliance({ resource, timesheets, weekStart, today, calendar, leave, from, to, hoursPerDay }) {
+  const dates = getWeekDates(weekStart);
+  const dateSet = new Set(dates);
+  const expected = getExpectedTime({ resource, calendar, leave, dates, hoursPerDay, from, to });
+
+  let submittedHours = 0;
+  let draftHours = 0;
+  (timesheets || []).forEach(ts => {
+    if (ts.resource_id !== resource.id || ts.is_deleted) return;
+    if (!dateSet.has(toDateKey(ts.date || ts.work_date))) return;
+    const hours = parseFloat(ts.hours_worked || ts.hours || 0);
+    if (SUBMITTED_STATUSES.includes(ts.status)) {
+      submittedHours += hours;
+    } else {
+      draftHours += hours;
+    }
+  });
+
+  const daysOverdue = getDaysOverdue(weekStart, today);
+
+  let status;
+  if (expected.expectedHours <= 0) {
+    status = COMPLIANCE_STATUS.NOT_EXPECTED;
+  } else if (submittedHours >= expected.expectedHours - HOURS_TOLERANCE) {
+    status = COMPLIANCE_STATUS.COMPLIANT;
+  } else if (daysOverdue <= 0) {
+    status = COMPLIANCE_STATUS.NOT_DUE;
+  } else if (submittedHours > 0) {
+    status = COMPLIANCE_STATUS.PARTIAL;
+  } else if (draftHours > 0) {
+    status = COMPLIANCE_STATUS.UNSUBMITTED;
+  } else {
+    status = COMPLIANCE_STATUS.MISSING;
+  }
+
+  return {
+    resourceId: resource.id,
+    weekStart,
+    weekEnd: dates[dates.length - 1],
+    expectedDays: expected.expectedDays,
+    expectedHours: expected.expectedHours,
+    leaveDays: expected.leaveDays,
+    submittedHours: round2(submittedHours),
+    draftHours: round2(draftHours),
+    shortfallHours: round2(Math.max(0, expected.expectedHours - submittedHours)),
+    daysOverdue,
+    status
+  };
+}
+
+/**
+ * Compliance for every expected resource and week
+ *
+ * @param {Object} params
+ * @param {Array} params.resources - Resource rows
+ * @param {Array} params.members - user_projects rows
+ * @param {Array} params.timesheets - Timesheets covering the weeks
+ * @param {Array} [params.availability] - resource_availability rows
+ * @param {Object} [params.calendars] - { calendar, resourceCalendars } from buildSchedulingCalendars
+ * @param {Object} [params.project] - { start_date, end_date }
+ * @param {string[]} params.weekStarts - From getComplianceWeeks
+ * @param {number} params.hoursPerDay
+ * @param {string|Date} params.today
+ * @returns {{ weekStarts: string[], rows: Array<{ resource: Object, member: Object, weeks: Array }>, summary: Object }}
+ */
+export function evaluateCompliance({
+  resources,
+  members,
+  timesheets,
+  availability,
+  calendars = {},
+  project,
+  weekStarts,
+  hoursPerDay,
+  today
+}) {
+  const rows = getExpectedResources(resources, members).map(({ resource, member }) => {
+    const joined = [member.created_at, resource.created_at, project?.start_date]
+      .filter(Boolean)
+      .map(toDateKey)
+      .sort();
+    const from = joined[joined.length - 1];
+    const to = project?.end_date ? toDateKey(project.end_date) : undefined;
+    const calendar = calendars.resourceCalendars?.[resource.id] || calendars.calendar;
+    const leave = getLeaveByDate(availability, resource.user_id);
+
+    return {
+      resource,
+      member,
+      weeks: weekStarts.map(weekStart => getWeekCompliance({
+        resource, timesheets, weekStart, today, calendar, leave, from, to, hoursPerDay
+      }))
+    };
+  });
+
+  return { weekStarts, rows, summary: summariseCompliance(rows) };
+}
+
+/**
+ * Totals across resources and weeks that are due
+ * @param {Array} rows - From evaluateCompliance
+ * @returns {Object} { due, compliant, partial, unsubmitted, missing,
+ *   complianceRate, expectedHours, submittedHours, resourcesBehind }
+ */
+export function summariseCompliance(rows) {
+  const summary = {
+    due: 0,
+    compliant: 0,
+    partial: 0,
+    unsubmitted: 0,
+    missing: 0,
+    complianceRate: null,
+    expectedHours: 0,
+    submittedHours: 0,
+    resourcesBehind: 0
+  };
+
+  rows.forEach(row => {
+    let behind = false;
+    row.weeks.forEach(week => {
+      if (week.status === COMPLIANCE_STATUS.NOT_EXPECTED || week.status === COMPLIANCE_STATUS.NOT_DUE) return;
+      summary.due++;
+      summary.expectedHours += week.expectedHours;
+      summary.submittedHours += week.submittedHours;
+      summary[week.status]++;
+      if (isNonCompliant(week.status)) behind = true;
+    });
+    if (behind) summary.resourcesBehind++;
+  });
+
+  summary.expectedHours = round2(summary.expectedHours);
+  summary.submittedHours = round2(summary.submittedHours);
+  if (summary.due > 0) {
+    summary.complianceRate = Math.round((summary.compliant / summary.due) * 100);
+  }
+  return summary;
+}
+
+/**
+ * Non-compliant weeks, most overdue first
+ * @param {Array} rows - From evaluateCompliance
+ * @returns {Array} Week compliance with resource and member attached
+ */
+export function getMissingTimesheets(rows) {
+  return rows
+    .flatMap(row => row.weeks
+      .filter(week => isNonCompliant(week.status))
+      .map(week => ({ ...week, resource: row.resource, member: row.member })))
+    .sort((a, b) => b.daysOverdue - a.daysOverdue || (a.resource.name || '').localeCompare(b.resource.name || ''));
+}
+
+// ============================================
+// REMINDERS
+// ============================================
+
+/**
+ * Merge project reminder settings over the defaults (NULL columns use defaults)
+ * @param {Object} [settings] - Project row or settings
+ * @returns {Object}
+ */
+export function getComplianceSettings(settings) {
+  const merged = { ...DEFAULT_COMPLIANCE_SETTINGS };
+  Object.keys(DEFAULT_COMPLIANCE_SETTINGS).forEach(key => {
+    if (settings?.[key] !== null && settings?.[key] !== undefined) merged[key] = settings[key];
+  });
+  return merged;
+}
+
+/**
+ * Reminder levels to send now for a week
+ *
+ * @param {Object} week - From getWeekCompliance
+ * @param {Object} [settings] - Project reminder settings
+ * @param {Set<string>|Array<string>} [sentLevels] - Levels already sent for this resource and week
+ * @returns {string[]} REMINDER_LEVEL values
+ */
+export function getReminderActions(week, settings, sentLevels = []) {
+  if (!isNonCompliant(week.status)) return [];
+
+  const config = getComplianceSettings(settings);
+  const sent = new Set(sentLevels);
+  const actions = [];
+
+  if (config.timesheet_reminders_enabled &&
+      week.daysOverdue >= config.timesheet_reminder_days &&
+      !sent.has(REMINDER_LEVEL.REMINDER)) {
+    actions.push(REMINDER_LEVEL.REMINDER);
+  }
+
+  if (config.timesheet_escalation_enabled &&
+      week.daysOverdue >= config.timesheet_escalation_days &&
+      !sent.has(REMINDER_LEVEL.ESCALATION)) {
+    actions.push(REMINDER_LEVEL.ESCALATION);
+  }
+
+  return actions;
+}
+
+/**
+ * Notification content for a reminder
+ *
+ * @param {string} level - REMINDER_LEVEL value
+ * @param {Object} week - From getWeekCompliance
+ * @param {Object} details - { resourceName, projectName }
+ * @returns {{ type: string, title: string, message: string, priority: string }}
+ */
+export function getReminderNotification(level, week, { resourceName, projectName }) {
+  const weekLabel = formatWeekLabel(week.weekStart);
+  const booked = week.submittedHours > 0
+    ? `${week.submittedHours}h of ${week.expectedHours}h submitted`
+    : `nothing submitted of ${week.expectedHours}h expected`;
+
+  if (level === REMINDER_LEVEL.ESCALATION) {
+    return {
+      type: REMINDER_NOTIFICATION_TYPE[level],
+      title: `Overdue timesheet: ${resourceName}`,
+      message: `${resourceName}'s timesheet for the week of ${weekLabel} on "${projectName}" is ${week.daysOverdue} days overdue (${booked}).`,
+      priority: 'high'
+    };
+  }
+
+  return {
+    type: REMINDER_NOTIFICATION_TYPE[level],
+    title: `Timesheet due for week of ${weekLabel}`,
+    message: `Please complete and submit your timesheet for the week of ${weekLabel} on "${projectName}" - ${booked}.`,
+    priority: 'normal'
+  };
+}
+
+export default {
+  COMPLIANCE_WEEKS,
+  TIMESHEET_ROLES,
+  ESCALATION_ROLE,
+  COMPLIANCE_STATUS,
+  REMINDER_LEVEL,
+  REMINDER_NOTIFICATION_TYPE,
+  DEFAULT_COMPLIANCE_SETTINGS,
+  WEEK_LENGTH,
+  STANDARD_HOURS_PER_DAY,
+  getWeekStart,
+  getWeekDates,
+  shiftWeek,
+  getContractedHours,
+  getComplianceWeeks,
+  getDaysOverdue,
+  formatWeekLabel,
+  getExpectedResources,
+  getLeaveByDate,
+  getExpectedTime,
+  isNonCompliant,
+  getWeekCompliance,
+  evaluateCompliance,
+  summariseCompliance,
+  getMissingTimesheets,
+  getComplianceSettings,
+  getReminderActions,
+  getReminderNotification
+};
@@ -0,0 +1,430 @@
+/**
+ * Working Calendar
+ *
+ * Decides which days count as working days for scheduling. A calendar is
+ * built from:
+ * - Working weekdays (default Monday to Friday)
+ * - Named holiday sets (e.g. UK bank holidays for England & Wales)
+ * - Custom non-working periods (office shutdowns, resource leave)
+ *
+ * Dates are handled as YYYY-MM-DD keys in UTC, matching the date strings
+ * stored on plan items, milestones and deliverables.
+ *
+ * Has no imports so server functions (api/timesheet-reminders.js) can use
+ * it without the app bundle; the app imports it via src/lib/workingCalendar.
+ *
+ * @version 1.2
+ * @created 19 October 2026
+ * @updated 19 October 2026 - Added buildSchedulingCalendars (from workingCalendars.service)
+ * @updated 19 October 2026 - Moved from src/lib/workingCalendar.js for api/ to share
+ */
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+/**
+ * Holiday set identifiers (stored on project_calendars.holiday_sets)
+ */
+export const HOLIDAY_SETS = {
+  UK_ENGLAND_WALES: 'uk_england_wales',
+  UK_SCOTLAND: 'uk_scotland',
+  UK_NORTHERN_IRELAND: 'uk_northern_ireland'
+};
+
+/**
+ * Holiday set display configuration
+ */
+export const HOLIDAY_SET_CONFIG = {
+  [HOLIDAY_SETS.UK_ENGLAND_WALES]: { label: 'UK bank holidays (England & Wales)' },
+  [HOLIDAY_SETS.UK_SCOTLAND]: { label: 'UK bank holidays (Scotland)' },
+  [HOLIDAY_SETS.UK_NORTHERN_IRELAND]: { label: 'UK bank holidays (Northern Ireland)' }
+};
+
+/**
+ * Weekday numbers as used by Date.getUTCDay() (0 = Sunday)
+ */
+export const DEFAULT_WORKING_DAYS = [1, 2, 3, 4, 5];
+
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * One-off UK bank holiday changes proclaimed outside the usual rules.
+ * `replaces` moves a regular holiday; entries without it are additions.
+ */
+const UK_ONE_OFF_CHANGES = {
+  2020: [{ date: '2020-05-08', name: 'Early May bank holiday (VE Day)', replaces: 'Early May bank holiday' }],
+  2022: [
+    { date: '2022-06-02', name: 'Spring bank holiday', replaces: 'Spring bank holiday' },
+    { date: '2022-06-03', name: 'Platinum Jubilee bank holiday' },
+    { date: '2022-09-19', name: 'State Funeral of Queen Elizabeth II' }
+  ],
+  2023: [{ date: '2023-05-08', name: 'Coronation of King Charles III' }]
+};
+
+// ============================================
+// DATE HELPERS
+// ============================================
+
+/**
+ * Convert a Date or date string to a YYYY-MM-DD key
+ */
+export function toDateKey(date) {
+  if (!date) return null;
+  if (typeof date === 'string') return date.slice(0, 10);
+  return date.toISOString().split('T')[0];
+}
+
+function keyToDate(key) {
+  return new Date(`${key}T00:00:00Z`);
+}
+
+function utcDate(year, month, day) {
+  return new Date(Date.UTC(year, month, day));
+}
+
+function shiftKey(key, days) {
+  const d = keyToDate(key);
+  d.setUTCDate(d.getUTCDate() + days);
+  return toDateKey(d);
+}
+
+/**
+ * Easter Sunday (anonymous Gregorian algorithm)
+ */
+function getEasterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31) - 1;
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return utcDate(year, month, day);
+}
+
+function firstMonday(year, month) {
+  const d = utcDate(year, month, 1);
+  while (d.getUTCDay() !== 1) d.setUTCDate(d.getUTCDate() + 1);
+  return d;
+}
+
+function lastMonday(year, month) {
+  const d = utcDate(year, month + 1, 0);
+  while (d.getUTCDay() !== 1) d.setUTCDate(d.getUTCDate() - 1);
+  return d;
+}
+
+/**
+ * Move a fixed-date holiday that falls on a weekend to the next weekday
+ * not already taken (substitute day)
+ */
+function substitute(date, taken) {
+  const d = new Date(date);
+  while (d.getUTCDay() === 0 || d.getUTCDay() === 6 || taken.has(toDateKey(d))) {
+    d.setUTCDate(d.getUTCDate() + 1);
+  }
+  taken.add(toDateKey(d));
+  return d;
+}
+
+/**
+ * Fixed-date holidays in order, with weekend substitutes applied in turn
+ * (e.g. Christmas on Saturday → Monday 27th, Boxing Day → Tuesday 28th)
+ */
+function substitutedHolidays(year, fixed) {
+  const taken = new Set();
+  return fixed.map(({ month, day, name }) => ({
+    date: toDateKey(substitute(utcDate(year, month, day), taken)),
+    name
+  }));
+}
+
+// ============================================
+// HOLIDAY SETS
+// ============================================
+
+/**
+ * Get the holidays in a named set for a calendar year
+ * @param {string} setId - HOLIDAY_SETS value
+ * @param {number} year - Calendar year
+ * @returns {Array<{ date: string, name: string }>} Holidays sorted by date
+ */
+export function getHolidaysForYear(setId, year) {
+  const easter = getEasterSunday(year);
+  const goodFriday = new Date(easter);
+  goodFriday.setUTCDate(goodFriday.getUTCDate() - 2);
+  const easterMonday = new Date(easter);
+  easterMonday.setUTCDate(easterMonday.getUTCDate() + 1);
+
+  let holidays;
+
+  switch (setId) {
+    case HOLIDAY_SETS.UK_ENGLAND_WALES:
+    case HOLIDAY_SETS.UK_NORTHERN_IRELAND:
+      holidays = [
+        ...substitutedHolidays(year, [{ month: 0, day: 1, name: "New Year's Day" }]),
+        { date: toDateKey(goodFriday), name: 'Good Friday' },
+        { date: toDateKey(easterMonday), name: 'Easter Monday' },
+        { date: toDateKey(firstMonday(year, 4)), name: 'Early May bank holiday' },
+        { date: toDateKey(lastMonday(year, 4)), name: 'Spring bank holiday' },
+        { date: toDateKey(lastMonday(year, 7)), name: 'Summer bank holiday' },
+        ...substitutedHolidays(year, [
+          { month: 11, day: 25, name: 'Christmas Day' },
+          { month: 11, day: 26, name: 'Boxing Day' }
+        ])
+      ];
+      if (setId === HOLIDAY_SETS.UK_NORTHERN_IRELAND) {
+        holidays.push(
+          ...substitutedHolidays(year, [{ month: 2, day: 17, name: "St Patrick's Day" }]),
+          ...substitutedHolidays(year, [{ month: 6, day: 12, name: 'Battle of the Boyne (Orangemen’s Day)' }])
+        );
+      }
+      break;
+
+    case HOLIDAY_SETS.UK_SCOTLAND:
+      holidays = [
+        ...substitutedHolidays(year, [
+          { month: 0, day: 1, name: "New Year's Day" },
+          { month: 0, day: 2, name: '2nd January' }
+        ]),
+        { date: toDateKey(goodFriday), name: 'Good Friday' },
+        { date: toDateKey(firstMonday(year, 4)), name: 'Early May bank holiday' },
+        { date: toDateKey(lastMonday(year, 4)), name: 'Spring bank holiday' },
+        { date: toDateKey(firstMonday(year, 7)), name: 'Summer bank holiday' },
+        ...substitutedHolidays(year, [{ month: 10, day: 30, name: "St Andrew's Day" }]),
+        ...substitutedHolidays(year, [
+          { month: 11, day: 25, name: 'Christmas Day' },
+          { month: 11, day: 26, name: 'Boxing Day' }
+        ])
+      ];
+      break;
+
+    default:
+      return [];
+  }
+
+  // Apply one-off proclamations
+  (UK_ONE_OFF_CHANGES[year] || []).forEach(change => {
+    if (change.replaces) {
+      holidays = holidays.filter(h => h.name !== change.replaces);
+    }
+    holidays.push({ date: change.date, name: change.name });
+  });
+
+  return holidays.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// ============================================
+// CALENDAR FACTORY
+// ============================================
+
+/**
+ * Create a working calendar
+ *
+ * @param {Object} definition
+ * @param {string} definition.name - Display name
+ * @param {number[]} definition.workingDays - Working weekdays (0 = Sunday)
+ * @param {string[]} definition.holidaySets - HOLIDAY_SETS values
+ * @param {Array} definition.nonWorkingPeriods - [{ name, start_date, end_date }]
+ * @returns {Object} Calendar with isWorkingDay, getNonWorkingReason,
+ *   addWorkingDays, countWorkingDays and nextWorkingDay
+ */
+export function createWorkingCalendar(definition = {}) {
+  const {
+    name = 'Standard',
+    workingDays = DEFAULT_WORKING_DAYS,
+    holidaySets = [],
+    nonWorkingPeriods = []
+  } = definition;
+
+  const workingDaySet = new Set(workingDays);
+  const holidaysByYear = new Map();
+
+  const periods = nonWorkingPeriods
+    .filter(p => p.start_date)
+    .map(p => ({
+      name: p.name || 'Non-working period',
+      start: toDateKey(p.start_date),
+      end: toDateKey(p.end_date || p.start_date)
+    }));
+
+  function getHolidayMap(year) {
+    if (!holidaysByYear.has(year)) {
+      const map = new Map();
+      holidaySets.forEach(setId => {
+        getHolidaysForYear(setId, year).forEach(h => {
+          if (!map.has(h.date)) map.set(h.date, h.name);
+        });
+      });
+      holidaysByYear.set(year, map);
+    }
+    return holidaysByYear.get(year);
+  }
+
+  /**
+   * Why a day is not worked, or null for a working day
+   */
+  function getNonWorkingReason(date) {
+    const key = toDateKey(date);
+    if (!key) return null;
+
+    const holiday = getHolidayMap(Number(key.slice(0, 4))).get(key);
+    if (holiday) return holiday;
+
+    const period = periods.find(p => key >= p.start && key <= p.end);
+    if (period) return period.name;
+
+    if (!workingDaySet.has(keyToDate(key).getUTCDay())) return 'Weekend';
+
+    return null;
+  }
+
+  function isWorkingDay(date) {
+    return getNonWorkingReason(date) === null;
+  }
+
+  /**
+   * Step forward (or back, for negative days) by a number of working days
+   */
+  function addWorkingDays(date, days) {
+    let key = toDateKey(date);
+    if (!key) return null;
+    if (workingDaySet.size === 0) return keyToDate(shiftKey(key, days));
+
+    let remaining = Math.abs(days);
+    const direction = days >= 0 ? 1 : -1;
+
+    while (remaining > 0) {
+      key = shiftKey(key, direction);
+      if (isWorkingDay(key)) remaining--;
+    }
+
+    return keyToDate(key);
+  }
+
+  /**
+   * Working days stepped from one date to another (negative if `to` is
+   * earlier), counting the same way as addWorkingDays
+   */
+  function countWorkingDays(from, to) {
+    const fromKey = toDateKey(from);
+    const toKey = toDateKey(to);
+    if (!fromKey || !toKey) return 0;
+
+    const direction = toKey >= fromKey ? 1 : -1;
+    let key = fromKey;
+    let count = 0;
+
+    while (key !== toKey) {
+      key = shiftKey(key, direction);
+      if (isWorkingDay(key)) count += direction;
+    }
+
+    return count;
+  }
+
+  /**
+   * The date itself if it is a working day, otherwise the next one
+   */
+  function nextWorkingDay(date) {
+    let key = toDateKey(date);
+    if (!key || workingDaySet.size === 0) return key ? keyToDate(key) : null;
+
+    while (!isWorkingDay(key)) {
+      key = shiftKey(key, 1);
+    }
+
+    return keyToDate(key);
+  }
+
+  /**
+   * Non-working days (other than plain weekends) between two dates,
+   * for shading calendar views
+   */
+  function getNonWorkingDays(startDate, endDate) {
+    const result = [];
+    let key = toDateKey(startDate);
+    const endKey = toDateKey(endDate);
+    if (!key || !endKey) return result;
+
+    const days = Math.round((keyToDate(endKey) - keyToDate(key)) / MS_PER_DAY);
+    for (let i = 0; i <= days; i++) {
+      const reason = getNonWorkingReason(key);
+      if (reason && reason !== 'Weekend') {
+        result.push({ date: key, name: reason });
+      }
+      key = shiftKey(key, 1);
+    }
+
+    return result;
+  }
+
+  return {
+    name,
+    workingDays: [...workingDaySet].sort(),
+    holidaySets: [...holidaySets],
+    isWorkingDay,
+    getNonWorkingReason,
+    addWorkingDays,
+    countWorkingDays,
+    nextWorkingDay,
+    getNonWorkingDays
+  };
+}
+
+/**
+ * Monday to Friday with no holidays - equivalent to the scheduler's
+ * original skipWeekends behaviour
+ */
+export const WEEKDAYS_CALENDAR = createWorkingCalendar({ name: 'Weekdays' });
+
+/**
+ * Turn calendar rows into scheduler calendars. Resource calendars inherit
+ * the project calendar's non-working periods (shutdowns apply to everyone).
+ * @param {Array} calendars - project_calendars rows with their periods
+ *   (workingCalendarsService.getCalendars)
+ * @returns {{ calendar: Object|null, resourceCalendars: Object }}
+ */
+export function buildSchedulingCalendars(calendars = []) {
+  const projectRow = calendars.find(c => !c.resource_id) || null;
+  const projectPeriods = projectRow?.periods || [];
+
+  const calendar = projectRow
+    ? createWorkingCalendar({
+        name: projectRow.name,
+        workingDays: projectRow.working_days,
+        holidaySets: projectRow.holiday_sets,
+        nonWorkingPeriods: projectPeriods
+      })
+    : null;
+
+  const resourceCalendars = {};
+  calendars.filter(c => c.resource_id).forEach(row => {
+    resourceCalendars[row.resource_id] = createWorkingCalendar({
+      name: row.name,
+      workingDays: row.working_days,
+      holidaySets: row.holiday_sets,
+      nonWorkingPeriods: [...projectPeriods, ...(row.periods || [])]
+    });
+  });
+
+  return { calendar, resourceCalendars };
+}
+
+export default {
+  HOLIDAY_SETS,
+  HOLIDAY_SET_CONFIG,
+  DEFAULT_WORKING_DAYS,
+  WEEKDAY_LABELS,
+  toDateKey,
+  getHolidaysForYear,
+  createWorkingCalendar,
+  buildSchedulingCalendars,
+  WEEKDAYS_CALENDAR
+};
@@ -2,6 +2,7 @@
 // Uses Claude Vision API for intelligent receipt processing
 // Extracts merchant, amount, date, and suggests category
 // Version 1.1 - Upgraded to Sonnet
+// Version 1.2 - Currency detected from the receipt (ISO 4217, null when not shown)
 
 export const config = {
   runtime: 'edge',
@@ -86,7 +87,10 @@ Return ONLY a valid JSON object with this exact structure:
 IMPORTANT RULES:
 1. "amount" must be a number (not a string), use null if unreadable
 2. "date" must be in YYYY-MM-DD format, use null if unreadable
-3. "currency" should default to "GBP" unless clearly stated otherwise
+3. "currency" must be the ISO 4217 code of the currency the receipt is in (e.g. "GBP", "EUR", "USD").
+   Work it out from symbols (£, €, $, CHF, kr, zł), currency words or codes, and the
+   merchant's country or address when the symbol is ambiguous (e.g. "$" in Canada is "CAD").
+   Use null if the receipt gives no indication of currency
 4. "category" must be one of: "Travel", "Accommodation", or "Sustenance"
    - Travel: Transport, fuel, parking, flights, trains, taxis, car hire
    - Accommodation: Hotels, lodging, B&B, Airbnb
@@ -233,7 +237,7 @@ export default async function handler(req) {
       extractedData = {
         merchant: null,
         amount: null,
-        currency: 'GBP',
+        currency: null,
         date: null,
         items: [],
         paymentMethod: 'unknown',
@@ -248,7 +252,7 @@ export default async function handler(req) {
     const result = {
       merchant: typeof extractedData.merchant === 'string' ? extractedData.merchant : null,
       amount: typeof extractedData.amount === 'number' ? extractedData.amount : null,
-      currency: extractedData.currency || 'GBP',
+      currency: normaliseCurrencyCode(extractedData.currency),
       date: validateDate(extractedData.date) ? extractedData.date : null,
       items: Array.isArray(extractedData.items) ? extractedData.items : [],
       paymentMethod: extractedData.paymentMethod || 'unknown',
@@ -293,6 +297,13 @@ function validateDate(dateStr) {
   return !isNaN(date.getTime());
 }
 
+// Upper-case 3-letter code, or null
+function normaliseCurrencyCode(currency) {
+  if (!currency || typeof currency !== 'string') return null;
+  const code = currency.trim().toUpperCase();
+  return /^[A-Z]{3}$/.test(code) ? code : null;
+}
+
 function validateCategory(category) {
   const validCategories = ['Travel', 'Accommodation', 'Sustenance'];
   return validCategories.includes(category);
@@ -0,0 +1,337 @@
+/**
+ * Timesheet Reminders Cron Job
+ *
+ * Runs daily to chase missing timesheets. For every project with
+ * timesheets enabled it works out each resource's compliance for recent
+ * weeks (lib/timesheet-compliance.js), then:
+ * - reminds the resource once a week is timesheet_reminder_days overdue
+ * - escalates to the project's supplier PMs once it is
+ *   timesheet_escalation_days overdue
+ *
+ * Each reminder level is sent once per resource per week and logged in
+ * timesheet_reminders. Recipients get it in the notification bell
+ * (notifications table, read by NotificationContext) and by email through
+ * the send-timesheet-reminder edge function, unless they have turned
+ * email off in their notification preferences. Designed to be triggered
+ * by Vercel Cron.
+ *
+ * Imports only from api/lib so the edge bundle stays free of app code.
+ *
+ * @version 1.2
+ * @created 19 October 2026
+ * @updated 19 October 2026 - Compliance and calendar helpers from api/lib instead of src
+ * @updated 19 October 2026 - Reminder and escalation emails
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { buildSchedulingCalendars } from './lib/working-calendar.js';
+import {
+  ESCALATION_ROLE,
+  REMINDER_LEVEL,
+  STANDARD_HOURS_PER_DAY,
+  getWeekDates,
+  getComplianceWeeks,
+  evaluateCompliance,
+  getReminderActions,
+  getReminderNotification
+} from './lib/timesheet-compliance.js';
+
+// Initialize Supabase with service role for admin access
+const supabase = createClient(
+  process.env.VITE_SUPABASE_URL || process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY,
+  { auth: { persistSession: false } }
+);
+
+const BASE_URL = process.env.VITE_APP_URL || 'https://tracker.progressive.gg';
+
+export const config = {
+  runtime: 'edge'
+};
+
+export default async function handler(request) {
+  // Verify this is a cron job request (Vercel sends authorization header)
+  const authHeader = request.headers.get('authorization');
+  const cronSecret = process.env.CRON_SECRET;
+
+  // In production, verify the cron secret
+  if (process.env.NODE_ENV === 'production' && cronSecret) {
+    if (authHeader !== `Bearer ${cronSecret}`) {
+      return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+        status: 401,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+  }
+
+  try {
+    const results = {
+      processed: 0,
+      reminders_sent: 0,
+      escalations_sent: 0,
+      notifications_created: 0,
+      emails_sent: 0,
+      errors: []
+    };
+
+    const { data: projects, error: projectsError } = await supabase
+      .from('projects')
+      .select('id, name, start_date, end_date, timesheets_enabled, timesheet_reminders_enabled, timesheet_reminder_days, timesheet_escalation_enabled, timesheet_escalation_days');
+
+    if (projectsError) throw projectsError;
+
+    const today = new Date();
+
+    for (const project of projects || []) {
+      if (project.timesheets_enabled === false) continue;
+      if (project.timesheet_reminders_enabled === false && project.timesheet_escalation_enabled === false) continue;
+
+      try {
+        await processProjectReminders(project, today, results);
+        results.processed++;
+      } catch (err) {
+        results.errors.push({
+          projectId: project.id,
+          error: err.message
+        });
+      }
+    }
+
+    return new Response(JSON.stringify({
+      success: true,
+      timestamp: new Date().toISOString(),
+      ...results
+    }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' }
+    });
+
+  } catch (error) {
+    console.error('Timesheet reminders error:', error);
+    return new Response(JSON.stringify({
+      success: false,
+      error: error.message
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+}
+
+/**
+ * Work out compliance for one project and send the reminders that are due
+ */
+async function processProjectReminders(project, today, results) {
+  const weekStarts = getComplianceWeeks(today);
+  const start = weekStarts[0];
+  const end = getWeekDates(weekStarts[weekStarts.length - 1])[6];
+
+  const [resources, members, timesheets, availability, calendarRows, sent] = await Promise.all([
+    selectRows(supabase
+      .from('resources')
+      .select('id, name, user_id, is_active, is_deleted, created_at, contracted_hours_per_week')
+      .eq('project_id', project.id)
+      .or('is_deleted.is.null,is_deleted.eq.false')),
+    selectRows(supabase
+      .from('user_projects')
+      .select('user_id, role, created_at')
+      .eq('project_id', project.id)),
+    selectRows(supabase
+      .from('timesheets')
+      .select('id, resource_id, date, hours_worked, hours, status, is_deleted')
+      .eq('project_id', project.id)
+      .gte('date', start)
+      .lte('date', end)
+      .or('is_deleted.is.null,is_deleted.eq.false')),
+    selectRows(supabase
+      .from('resource_availability')
+      .select('user_id, date, status, period')
+      .eq('project_id', project.id)
+      .gte('date', start)
+      .lte('date', end)),
+    selectRows(supabase
+      .from('project_calendars')
+      .select('*, periods:calendar_non_working_periods(id, name, start_date, end_date)')
+      .eq('project_id', project.id)),
+    selectRows(supabase
+      .from('timesheet_reminders')
+      .select('resource_id, week_start, level')
+      .eq('project_id', project.id)
+      .gte('week_start', start))
+  ]);
+
+  const { rows } = evaluateCompliance({
+    resources,
+    members,
+    timesheets,
+    availability,
+    calendars: buildSchedulingCalendars(calendarRows),
+    project,
+    weekStarts,
+    hoursPerDay: STANDARD_HOURS_PER_DAY,
+    today
+  });
+
+  const sentLevels = new Map();
+  sent.forEach(r => {
+    const key = `${r.resource_id}|${r.week_start}`;
+    sentLevels.set(key, [...(sentLevels.get(key) || []), r.level]);
+  });
+
+  const supplierPms = members.filter(m => m.role === ESCALATION_ROLE).map(m => m.user_id);
+
+  for (const row of rows) {
+    for (const week of row.weeks) {
+      const actions = getReminderActions(week, project, sentLevels.get(`${row.resource.id}|${week.weekStart}`));
+
+      for (const level of actions) {
+        const recipients = level === REMINDER_LEVEL.ESCALATION
+          ? supplierPms.filter(userId => userId !== row.resource.user_id)
+          : [row.resource.user_id];
+
+        if (recipients.length === 0) continue;
+
+        const { created, emailed } = await sendReminder(project, row.resource, week, level, recipients);
+        results.notifications_created += created;
+        results.emails_sent += emailed;
+        if (level === REMINDER_LEVEL.ESCALATION) {
+          results.escalations_sent++;
+        } else {
+          results.reminders_sent++;
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Create the notifications for one reminder, email them and log it
+ * @returns {Promise<{ created: number, emailed: number }>}
+ */
+async function sendReminder(project, resource, week, level, recipients) {
+  // Log first: the unique key stops a second run sending the same reminder
+  const { data: logged, error: logError } = await supabase
+    .from('timesheet_reminders')
+    .upsert({
+      project_id: project.id,
+      resource_id: resource.id,
+      week_start: week.weekStart,
+      level,
+      recipient_ids: recipients,
+      status: week.status,
+      expected_hours: week.expectedHours,
+      submitted_hours: week.submittedHours
+    }, { onConflict: 'resource_id,week_start,level', ignoreDuplicates: true })
+    .select('id');
+
+  if (logError) throw logError;
+  if (!logged || logged.length === 0) return { created: 0, emailed: 0 };
+
+  const content = getReminderNotification(level, week, {
+    resourceName: resource.name,
+    projectName: project.name
+  });
+
+  const { data, error } = await supabase
+    .from('notifications')
+    .insert(recipients.map(userId => ({
+      user_id: userId,
+      project_id: project.id,
+      ...content,
+      entity_type: 'resource',
+      entity_id: resource.id
+    })))
+    .select('id, user_id');
+
+  if (error) {
+    console.error('Failed to create timesheet reminder notifications:', error);
+    return { created: 0, emailed: 0 };
+  }
+
+  const emailed = await sendReminderEmails(project, content, data || []);
+  return { created: data?.length || 0, emailed };
+}
+
+/**
+ * Email each recipient who has not turned email off, and record the
+ * delivery on their notification
+ * @param {Object} project
+ * @param {Object} content - From getReminderNotification
+ * @param {Array} notifications - Created rows ({ id, user_id })
+ * @returns {Promise<number>} Emails sent
+ */
+async function sendReminderEmails(project, content, notifications) {
+  if (notifications.length === 0) return 0;
+
+  const userIds = notifications.map(n => n.user_id);
+  const [users, preferences] = await Promise.all([
+    selectRows(supabase
+      .from('profiles')
+      .select('id, full_name, email')
+      .in('id', userIds)),
+    selectRows(supabase
+      .from('notification_preferences')
+      .select('user_id, email_enabled, type_preferences')
+      .in('user_id', userIds))
+  ]);
+
+  const usersById = new Map(users.map(u => [u.id, u]));
+  const preferencesByUser = new Map(preferences.map(p => [p.user_id, p]));
+  let emailed = 0;
+
+  for (const notification of notifications) {
+    const user = usersById.get(notification.user_id);
+    if (!user?.email || !isEmailEnabled(preferencesByUser.get(user.id), content.type)) continue;
+
+    const { error } = await supabase.functions.invoke('send-timesheet-reminder', {
+      body: {
+        notificationType: content.type,
+        recipient: { email: user.email, name: user.full_name },
+        data: {
+          title: content.title,
+          message: content.message,
+          priority: content.priority,
+          projectName: project.name,
+          actionUrl: `${BASE_URL}/timesheets`
+        }
+      }
+    });
+
+    if (error) {
+      console.error(`Timesheet reminder email failed for ${user.email}:`, error);
+    } else {
+      emailed++;
+    }
+
+    await supabase
+      .from('notifications')
+      .update({
+        email_sent: !error,
+        email_sent_at: error ? null : new Date().toISOString(),
+        email_error: error ? (error.message || 'Email failed') : null
+      })
+      .eq('id', notification.id);
+  }
+
+  return emailed;
+}
+
+/**
+ * Whether a user wants email for a notification type (default on)
+ * @param {Object} [preferences] - notification_preferences row
+ * @param {string} type
+ */
+function isEmailEnabled(preferences, type) {
+  if (!preferences) return true;
+  if (preferences.email_enabled === false) return false;
+  return preferences.type_preferences?.[type]?.email !== false;
+}
+
+/**
+ * Run a query and return its rows
+ */
+async function selectRows(query) {
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
@@ -0,0 +1,173 @@
+/**
+ * Unit Tests for Accounting Export
+ * Location: src/__tests__/unit/accountingExport.test.js
+ *
+ * Tests the Xero, QuickBooks and Sage CSV layouts and UBL e-invoices from
+ * lib/accountingExport.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  EXPORT_FORMAT,
+  EXPORT_RECORD_TYPE,
+  toCsv,
+  getDueDate,
+  buildUblDocument,
+  buildAccountingExport
+} from '../../lib/accountingExport';
+
+const partners = { name: 'Acme, Ltd', contact_email: 'ap@acme.test', payment_terms: 'Net 30', tax_number: 'GB123456789' };
+
+const invoice = {
+  id: 'inv-1',
+  invoice_number: 'INV-2026-001',
+  invoice_date: '2026-10-01',
+  period_start: '2026-09-01',
+  period_end: '2026-09-30',
+  currency: 'GBP',
+  exchange_rate: 1,
+  status: 'Sent',
+  document_type: 'invoice',
+  tax_treatment: 'standard',
+  partners,
+  lines: [
+    { id: 'l1', line_type: 'timesheet', description: 'Alice - 7.5h (1.00 days)', line_total: 500, tax_treatment: 'standard', tax_rate: 20, tax_amount: 100 },
+    { id: 'l2', line_type: 'expense', description: 'Alice - Travel: "Train"', line_total: 40, tax_treatment: 'standard', tax_rate: 20, tax_amount: 8 },
+    { id: 'l3', line_type: 'supplier_expense', description: 'Hotel', line_total: 120, tax_amount: 0 }
+  ]
+};
+
+const creditNote = {
+  ...invoice,
+  id: 'cn-1',
+  invoice_number: 'CN-2026-001',
+  document_type: 'credit_note',
+  credited_invoice: { invoice_number: 'INV-2026-001' },
+  credit_reason: 'Hours overbilled',
+  lines: [
+    { id: 'c1', line_type: 'timesheet', description: 'Credit: Alice - 7.5h', line_total: -100, tax_treatment: 'standard', tax_rate: 20, tax_amount: -20 }
+  ]
+};
+
+const expense = {
+  id: 'abcdef12-3456',
+  expense_date: '2026-09-15',
+  category: 'Travel',
+  reason: 'Client visit',
+  amount: 85.5,
+  currency: 'EUR',
+  exchange_rate: 0.85,
+  resource_name: 'Alice',
+  status: 'Paid'
+};
+
+const parseCsv = (content) => content.trim().split('\r\n');
+
+describe('toCsv', () => {
+  it('should quote values containing commas, quotes or new lines', () => {
+    expect(toCsv(['a', 'b'], [['x,y', 'say "hi"']])).toBe('a,b\r\n"x,y","say ""hi"""\r\n');
+  });
+
+  it('should stop text cells being read as formulas', () => {
+    expect(toCsv(['a', 'b', 'c', 'd'], [['=1+1', '+1+1', '-2+3', '@SUM(A1)']]))
+      .toBe("a,b,c,d\r\n'=1+1,'+1+1,'-2+3,'@SUM(A1)\r\n");
+    expect(toCsv(['a', 'b'], [['\tcmd', '\rcmd']])).toBe("a,b\r\n'\tcmd,\"'\rcmd\"\r\n");
+    expect(toCsv(['a'], [['=HYPERLINK("http://x.test")']])).toBe('a\r\n"\'=HYPERLINK(""http://x.test"")"\r\n');
+  });
+
+  it('should leave amounts as numbers, including negative credit note amounts', () => {
+    expect(toCsv(['net', 'tax'], [['-120.00', -24]])).toBe('net,tax\r\n-120.00,-24\r\n');
+  });
+});
+
+describe('getDueDate', () => {
+  it('should add the payment terms days, defaulting to 30', () => {
+    expect(getDueDate('2026-10-01', 'Net 15')).toBe('2026-10-16');
+    expect(getDueDate('2026-10-01', null)).toBe('2026-10-31');
+  });
+});
+
+describe('buildAccountingExport - CSV formats', () => {
+  it('should export billed Xero invoice lines with tax types and skip supplier lines', () => {
+    const { files, included } = buildAccountingExport(EXPORT_FORMAT.XERO, EXPORT_RECORD_TYPE.INVOICE, [invoice, creditNote]);
+    const rows = parseCsv(files[0].content);
+    expect(files[0].fileName).toBe('xero-invoices.csv');
+    expect(included).toEqual(['inv-1', 'cn-1']);
+    expect(rows).toHaveLength(4);
+    expect(rows[1]).toBe('"Acme, Ltd",ap@acme.test,INV-2026-001,,01/10/2026,31/10/2026,Alice - 7.5h (1.00 days),1,500.00,200,OUTPUT2,100.00,GBP');
+    // Credit notes import as negative documents referencing the invoice
+    expect(rows[3]).toContain('CN-2026-001,INV-2026-001');
+    expect(rows[3]).toContain('-100.00,200,OUTPUT2,-20.00');
+  });
+
+  it('should leave credit notes out of QuickBooks with a warning', () => {
+    const result = buildAccountingExport(EXPORT_FORMAT.QUICKBOOKS, EXPORT_RECORD_TYPE.INVOICE, [invoice, creditNote]);
+    expect(result.included).toEqual(['inv-1']);
+    expect(result.warnings[0]).toMatch(/CN-2026-001.*credit memo/);
+    expect(parseCsv(result.files[0].content)).toHaveLength(3);
+  });
+
+  it('should write Sage sales credits with positive amounts', () => {
+    const { files } = buildAccountingExport(EXPORT_FORMAT.SAGE, EXPORT_RECORD_TYPE.INVOICE, [creditNote]);
+    const row = parseCsv(files[0].content)[1];
+    expect(row).toBe('SC,ACMELTD,4000,,01/10/2026,CN-2026-001,Credit: Alice - 7.5h,100.00,T1,20.00,,INV-2026-001,,,');
+  });
+
+  it('should map expense categories to accounts, with overrides', () => {
+    const xero = buildAccountingExport(EXPORT_FORMAT.XERO, EXPORT_RECORD_TYPE.EXPENSE, [expense], {
+      accounts: { Travel: '494' }
+    });
+    expect(parseCsv(xero.files[0].content)[1]).toBe('Alice,EXP-ABCDEF12,15/09/2026,15/09/2026,Alice - Travel - Client visit,1,85.50,494,NONE,EUR');
+
+    const sage = buildAccountingExport(EXPORT_FORMAT.SAGE, EXPORT_RECORD_TYPE.EXPENSE, [expense]);
+    const row = parseCsv(sage.files[0].content)[1].split(',');
+    expect(row.slice(0, 3)).toEqual(['BP', '1200', '7400']);
+    expect(row[10]).toBe('1.176471');
+  });
+
+  it('should reject formats that do not support the record type', () => {
+    expect(() => buildAccountingExport(EXPORT_FORMAT.UBL, EXPORT_RECORD_TYPE.EXPENSE, [expense])).toThrow(/does not support/);
+  });
+});
+
+describe('buildUblDocument', () => {
+  const seller = { name: 'Supplier & Co', taxNumber: 'GB987654321' };
+
+  it('should build a Peppol invoice with tax totals and lines', () => {
+    const { xml, warnings } = buildUblDocument(invoice, { seller });
+    expect(warnings).toEqual([]);
+    expect(xml).toContain('<Invoice xmlns="urn:oasis:names:specification:ubl:schema:xsd:Invoice-2"');
+    expect(xml).toContain('<cbc:InvoiceTypeCode>380</cbc:InvoiceTypeCode>');
+    expect(xml).toContain('<cbc:DueDate>2026-10-31</cbc:DueDate>');
+    expect(xml).toContain('<cbc:Name>Supplier &amp; Co</cbc:Name>');
+    expect(xml).toContain('<cbc:TaxAmount currencyID="GBP">108.00</cbc:TaxAmount>');
+    expect(xml).toContain('<cbc:PayableAmount currencyID="GBP">648.00</cbc:PayableAmount>');
+    expect(xml.match(/<cac:InvoiceLine>/g)).toHaveLength(2);
+  });
+
+  it('should build a credit note with positive amounts and a billing reference', () => {
+    const { xml } = buildUblDocument(creditNote, { seller });
+    expect(xml).toContain('<CreditNote xmlns="urn:oasis:names:specification:ubl:schema:xsd:CreditNote-2"');
+    expect(xml).toContain('<cbc:CreditNoteTypeCode>381</cbc:CreditNoteTypeCode>');
+    expect(xml).toContain('<cac:InvoiceDocumentReference><cbc:ID>INV-2026-001</cbc:ID>');
+    expect(xml).toContain('<cbc:PayableAmount currencyID="GBP">120.00</cbc:PayableAmount>');
+    expect(xml).not.toContain('<cbc:DueDate>');
+  });
+
+  it('should mark reverse charge lines AE and warn about missing VAT numbers', () => {
+    const reverse = {
+      ...invoice,
+      partners: { ...partners, tax_number: null },
+      lines: [{ id: 'r1', line_type: 'timesheet', description: 'Work', line_total: 100, tax_treatment: 'reverse_charge', tax_rate: 0, tax_amount: 0 }]
+    };
+    const { xml, warnings } = buildUblDocument(reverse, { seller: { name: 'Supplier' } });
+    expect(xml).toContain('<cbc:ID>AE</cbc:ID>');
+    expect(xml).toContain('<cbc:TaxExemptionReasonCode>VATEX-EU-AE</cbc:TaxExemptionReasonCode>');
+    expect(warnings).toHaveLength(2);
+  });
+
+  it('should return one XML file per invoice', () => {
+    const { files } = buildAccountingExport(EXPORT_FORMAT.UBL, EXPORT_RECORD_TYPE.INVOICE, [invoice, creditNote], { seller });
+    expect(files.map(f => f.fileName)).toEqual(['INV-2026-001.xml', 'CN-2026-001.xml']);
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Unit Tests for Approval Delegation
+ * Location: src/__tests__/unit/approvalDelegation.test.js
+ *
+ * Tests delegation status, validation, finding the delegation a user
+ * approves under, reviewer fields and bulk result summaries from
+ * lib/approvalDelegation.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  DELEGATION_STATUS,
+  getDelegationStatus,
+  validateDelegation,
+  findActiveDelegation,
+  describeReview,
+  getReviewFields,
+  summariseBulkResults
+} from '../../lib/approvalDelegation';
+
+const today = '2026-10-19';
+
+const delegation = {
+  id: 'd1',
+  delegator_id: 'cpm',
+  delegate_id: 'u1',
+  entity_types: ['timesheet', 'expense'],
+  start_date: '2026-10-19',
+  end_date: '2026-10-30',
+  created_at: '2026-10-10T09:00:00Z'
+};
+
+describe('getDelegationStatus', () => {
+  it('should be active from the start date to the end date inclusive', () => {
+    expect(getDelegationStatus(delegation, '2026-10-19')).toBe(DELEGATION_STATUS.ACTIVE);
+    expect(getDelegationStatus(delegation, '2026-10-30')).toBe(DELEGATION_STATUS.ACTIVE);
+  });
+
+  it('should be scheduled before and expired after the range', () => {
+    expect(getDelegationStatus(delegation, '2026-10-18')).toBe(DELEGATION_STATUS.SCHEDULED);
+    expect(getDelegationStatus(delegation, '2026-10-31')).toBe(DELEGATION_STATUS.EXPIRED);
+  });
+
+  it('should be revoked once revoked whatever the date', () => {
+    const revoked = { ...delegation, revoked_at: '2026-10-20T10:00:00Z' };
+    expect(getDelegationStatus(revoked, '2026-10-25')).toBe(DELEGATION_STATUS.REVOKED);
+  });
+});
+
+describe('validateDelegation', () => {
+  it('should accept a valid delegation', () => {
+    expect(validateDelegation(delegation, { today })).toBeNull();
+  });
+
+  it('should require a delegate other than the delegator', () => {
+    expect(validateDelegation({ ...delegation, delegate_id: '' }, { today })).toMatch(/Choose who/);
+    expect(validateDelegation({ ...delegation, delegate_id: 'cpm' }, { today })).toMatch(/yourself/);
+  });
+
+  it('should reject backwards, past and overlong ranges', () => {
+    expect(validateDelegation({ ...delegation, end_date: '2026-10-18' }, { today })).toMatch(/on or after/);
+    expect(validateDelegation({ ...delegation, start_date: '2026-10-01' }, { today })).toMatch(/past/);
+    expect(validateDelegation({ ...delegation, end_date: '2027-01-16' }, { today })).toBeNull();
+    expect(validateDelegation({ ...delegation, end_date: '2027-01-17' }, { today })).toMatch(/90 days/);
+  });
+
+  it('should require known entity types', () => {
+    expect(validateDelegation({ ...delegation, entity_types: [] }, { today })).toMatch(/what the delegate/);
+    expect(validateDelegation({ ...delegation, entity_types: ['variation'] }, { today })).toMatch(/Only timesheet/);
+  });
+});
+
+describe('findActiveDelegation', () => {
+  const delegations = [
+    { ...delegation, id: 'd2', delegator_id: 'cpm2', created_at: '2026-10-12T09:00:00Z' },
+    delegation,
+    { ...delegation, id: 'd3', entity_types: ['expense'], created_at: '2026-10-01T09:00:00Z' },
+    { ...delegation, id: 'd4', revoked_at: '2026-10-15T09:00:00Z', created_at: '2026-09-01T09:00:00Z' }
+  ];
+
+  it('should use the earliest active delegation for the entity type', () => {
+    expect(findActiveDelegation(delegations, { delegateId: 'u1', entityType: 'timesheet', date: today }).id).toBe('d1');
+    expect(findActiveDelegation(delegations, { delegateId: 'u1', entityType: 'expense', date: today }).id).toBe('d3');
+  });
+
+  it('should return null for other users and dates outside the range', () => {
+    expect(findActiveDelegation(delegations, { delegateId: 'u2', entityType: 'timesheet', date: today })).toBeNull();
+    expect(findActiveDelegation(delegations, { delegateId: 'u1', entityType: 'timesheet', date: '2026-11-01' })).toBeNull();
+  });
+});
+
+describe('describeReview', () => {
+  it('should name the delegator when approving on their behalf', () => {
+    expect(describeReview({ reviewer: 'Sam', onBehalfOf: 'Alex' })).toBe('Approved by Sam on behalf of Alex');
+    expect(describeReview({ action: 'Rejected', reviewer: 'Alex' })).toBe('Rejected by Alex');
+  });
+});
+
+describe('getReviewFields', () => {
+  it('should record the reviewer, delegator and note', () => {
+    const fields = getReviewFields({ reviewedBy: 'u1', onBehalfOf: 'cpm', note: 'Checked' });
+
+    expect(fields).toMatchObject({ reviewed_by: 'u1', reviewed_on_behalf_of: 'cpm', review_note: 'Checked' });
+    expect(fields.reviewed_at).toBeTruthy();
+  });
+
+  it('should leave the columns alone without a reviewer', () => {
+    expect(getReviewFields()).toEqual({});
+  });
+});
+
+describe('summariseBulkResults', () => {
+  it('should count successes and failures', () => {
+    const summary = summariseBulkResults([
+      { id: 'a', ok: true },
+      { id: 'b', ok: true },
+      { id: 'c', ok: false, error: 'Not allowed' }
+    ], 'rejected');
+
+    expect(summary.succeeded).toEqual(['a', 'b']);
+    expect(summary.failed).toEqual([{ id: 'c', error: 'Not allowed' }]);
+    expect(summary.message).toBe('2 items rejected, 1 could not be rejected');
+  });
+
+  it('should use the singular for one item', () => {
+    expect(summariseBulkResults([{ id: 'a', ok: true }]).message).toBe('1 item approved');
+  });
+});
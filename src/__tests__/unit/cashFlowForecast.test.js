@@ -0,0 +1,172 @@
+/**
+ * Unit Tests for Cash-Flow Forecast
+ * Location: src/__tests__/unit/cashFlowForecast.test.js
+ *
+ * Tests milestone inflows, planned resource costs, the expense run-rate
+ * and the scenario forecast from lib/cashFlowForecast.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  CASH_FLOW_SCENARIO,
+  parsePaymentTerms,
+  getForecastMonths,
+  getMilestoneInflows,
+  getPlannedResourceCosts,
+  getExpenseRunRate,
+  calculateCashFlowForecast
+} from '../../lib/cashFlowForecast';
+
+const asOf = '2026-10-19';
+
+const milestones = [
+  { id: 'm1', milestone_ref: 'MS-001', name: 'Discovery', billable: 10000, expected_date: '2026-10-31' },
+  { id: 'm2', milestone_ref: 'MS-002', name: 'Build', billable: 20000, expected_date: '2026-12-15' },
+  { id: 'm3', milestone_ref: 'MS-003', name: 'Paid', billable: 5000, expected_date: '2026-09-01', is_billed: true, is_received: true }
+];
+
+describe('parsePaymentTerms', () => {
+  it('should read the days from Net terms', () => {
+    expect(parsePaymentTerms('Net 45')).toBe(45);
+    expect(parsePaymentTerms(15)).toBe(15);
+  });
+
+  it('should fall back when terms are missing or unreadable', () => {
+    expect(parsePaymentTerms(null)).toBe(30);
+    expect(parsePaymentTerms('On receipt', 0)).toBe(0);
+  });
+});
+
+describe('getForecastMonths', () => {
+  it('should list months from the as-of month across year ends', () => {
+    expect(getForecastMonths(asOf, 4)).toEqual(['2026-10', '2026-11', '2026-12', '2027-01']);
+  });
+});
+
+describe('getMilestoneInflows', () => {
+  it('should pay unpaid milestones on terms after their expected date', () => {
+    const inflows = getMilestoneInflows(milestones, { asOf, paymentDays: 30 });
+
+    expect(inflows.map(i => i.milestone_id)).toEqual(['m1', 'm2']);
+    expect(inflows[0]).toMatchObject({ billingDate: '2026-10-31', paymentDate: '2026-11-30', amount: 10000 });
+    expect(inflows[1].paymentDate).toBe('2027-01-14');
+  });
+
+  it('should shift unbilled milestones but not billed ones', () => {
+    const billed = [{ ...milestones[0], is_billed: true }, milestones[1]];
+    const inflows = getMilestoneInflows(billed, { asOf, shiftDays: 30, paymentDays: 0 });
+
+    expect(inflows[0].billingDate).toBe('2026-10-31');
+    expect(inflows[1].billingDate).toBe('2027-01-14');
+  });
+
+  it('should bill overdue unbilled milestones from the as-of date', () => {
+    const overdue = [{ id: 'm4', billable: 1000, expected_date: '2026-08-01' }];
+    const [inflow] = getMilestoneInflows(overdue, { asOf, shiftDays: -14, paymentDays: 30 });
+
+    expect(inflow.billingDate).toBe(asOf);
+    expect(inflow.paymentDate).toBe('2026-11-18');
+  });
+});
+
+describe('getPlannedResourceCosts', () => {
+  const resources = [
+    { id: 'r1', cost_price: 500 },
+    { id: 'r2', cost_price: 400, partner_id: 'p1', partner: { payment_terms: 'Net 30' } }
+  ];
+  const items = [
+    { id: 'i1', start_date: '2026-10-15', end_date: '2026-10-24', resource_assignments: [{ resource_id: 'r1', effort_days: 10 }] },
+    { id: 'i2', start_date: '2026-10-20', end_date: '2026-11-08', resource_assignments: [{ resource_id: 'r2', effort_days: 20 }] }
+  ];
+
+  it('should cost planned days from the as-of date at the cost rate', () => {
+    const costs = getPlannedResourceCosts(items, { asOf, resources });
+
+    // r1: 19th-24th = 6 days x 500, paid in October
+    expect(costs['2026-10'].internal).toBe(3000);
+  });
+
+  it('should pay partner work on terms after month end', () => {
+    const costs = getPlannedResourceCosts(items, { asOf, resources });
+
+    // r2: 12 days in October paid in November, 8 in November paid in December
+    expect(costs['2026-11']).toMatchObject({ partners: 4800, internal: 0 });
+    expect(costs['2026-12']).toMatchObject({ partners: 3200, days: 8 });
+  });
+
+  it('should use the rate valid on each day', () => {
+    const resolveRates = (resource, date) => ({ cost_price: date < '2026-10-22' ? 500 : 600 });
+    const costs = getPlannedResourceCosts([items[0]], { asOf, resources, resolveRates });
+
+    // 19th-21st at 500, 22nd-24th at 600
+    expect(costs['2026-10'].internal).toBe(3300);
+  });
+});
+
+describe('getExpenseRunRate', () => {
+  it('should average spend over the complete months before the as-of date', () => {
+    const expenses = [
+      { expense_date: '2026-07-10', amount: 300, status: 'Approved' },
+      { expense_date: '2026-08-10', amount: 300, status: 'Submitted' },
+      { expense_date: '2026-09-10', amount: 300, status: 'Approved' },
+      { expense_date: '2026-09-12', amount: 900, status: 'Rejected' },
+      { expense_date: '2026-06-10', amount: 900, status: 'Approved' },
+      { expense_date: '2026-10-02', amount: 900, status: 'Approved' }
+    ];
+
+    expect(getExpenseRunRate(expenses, { asOf })).toBe(300);
+  });
+
+  it('should convert to the project currency', () => {
+    const expenses = [{ expense_date: '2026-09-10', amount: 100, currency: 'EUR', status: 'Approved' }];
+    const convert = (amount) => amount * 0.9;
+
+    expect(getExpenseRunRate(expenses, { asOf, months: 1, convert })).toBe(90);
+  });
+});
+
+describe('calculateCashFlowForecast', () => {
+  const resourceCosts = {
+    '2026-10': { partners: 0, internal: 5000, days: 10 },
+    '2026-11': { partners: 4000, internal: 5000, days: 20 }
+  };
+
+  const forecast = calculateCashFlowForecast({
+    asOf,
+    milestones,
+    resourceCosts,
+    expenseRunRate: 500,
+    months: 4,
+    paymentDays: 30
+  });
+
+  it('should combine resource costs and recurring expenses until the last activity', () => {
+    expect(forecast.months).toEqual(['2026-10', '2026-11', '2026-12', '2027-01']);
+    expect(forecast.outflows.map(o => o.total)).toEqual([5500, 9500, 500, 0]);
+  });
+
+  it('should accumulate net cash in the baseline scenario', () => {
+    const baseline = forecast.scenarios[CASH_FLOW_SCENARIO.BASELINE];
+
+    expect(baseline.rows.map(r => r.inflow)).toEqual([0, 10000, 0, 20000]);
+    expect(baseline.rows.map(r => r.cumulative)).toEqual([-5500, -5000, -5500, 14500]);
+    expect(baseline.lowest).toEqual({ month: '2026-10', cumulative: -5500 });
+    expect(baseline.totals).toEqual({ inflow: 30000, outflow: 15500, net: 14500 });
+  });
+
+  it('should move receipts beyond the horizon in the pessimistic scenario', () => {
+    const pessimistic = forecast.scenarios[CASH_FLOW_SCENARIO.PESSIMISTIC];
+
+    expect(pessimistic.rows.map(r => r.inflow)).toEqual([0, 0, 10000, 0]);
+    expect(pessimistic.beyondHorizon).toBe(20000);
+    expect(pessimistic.lowest.cumulative).toBe(-15000);
+  });
+
+  it('should bring receipts forward in the optimistic scenario', () => {
+    const optimistic = forecast.scenarios[CASH_FLOW_SCENARIO.OPTIMISTIC];
+
+    // MS-001 billed 17 Oct -> as-of date, paid 18 Nov; MS-002 paid 31 Dec
+    expect(optimistic.milestones[0].paymentDate).toBe('2026-11-18');
+    expect(optimistic.rows.map(r => r.inflow)).toEqual([0, 10000, 20000, 0]);
+  });
+});
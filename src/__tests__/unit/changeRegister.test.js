@@ -0,0 +1,148 @@
+/**
+ * Unit Tests for Change Register
+ * Location: src/__tests__/unit/changeRegister.test.js
+ *
+ * Tests contract reconstruction, the waterfall, milestone lineage and
+ * export rows from lib/changeRegister.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  CHANGE_EVENT_TYPE,
+  WATERFALL_STEP,
+  daysBetween,
+  buildMilestoneLineage,
+  buildChangeRegister,
+  getRegisterExportRows,
+  getLineageExportRows
+} from '../../lib/changeRegister';
+
+const milestones = [
+  { id: 'm1', milestone_ref: 'MS-001', name: 'Discovery', baseline_start_date: '2026-01-01', baseline_end_date: '2026-03-31', baseline_billable: 15000 },
+  { id: 'm2', milestone_ref: 'MS-002', name: 'Build', baseline_start_date: '2026-04-01', baseline_end_date: '2026-08-31', baseline_billable: 40000 },
+  { id: 'm3', milestone_ref: 'MS-003', name: 'Handover', baseline_start_date: '2026-09-01', baseline_end_date: '2026-09-30', baseline_billable: 5000 }
+];
+
+const version = (milestoneId, n, values, extra = {}) => ({
+  milestone_id: milestoneId,
+  version: n,
+  variation_id: null,
+  is_revert: false,
+  baseline_start_date: values[0],
+  baseline_end_date: values[1],
+  baseline_billable: values[2],
+  ...extra
+});
+
+// VAR-001 extended MS-001 and MS-002; VAR-002 cut MS-002 and was reverted
+const versions = [
+  version('m1', 1, ['2026-01-01', '2026-03-31', 10000], { created_at: '2025-12-01T09:00:00Z' }),
+  version('m1', 2, ['2026-01-01', '2026-03-31', 15000], { variation_id: 'v1', created_at: '2026-02-01T09:00:00Z', variation: { variation_ref: 'VAR-001', title: 'Extra discovery' } }),
+  version('m2', 1, ['2026-04-01', '2026-07-31', 30000], { created_at: '2025-12-01T09:00:00Z' }),
+  version('m2', 2, ['2026-04-01', '2026-08-31', 40000], { variation_id: 'v1', created_at: '2026-02-01T09:00:00Z', variation: { variation_ref: 'VAR-001', title: 'Extra discovery' } }),
+  version('m2', 3, ['2026-04-01', '2026-08-15', 35000], { variation_id: 'v2', created_at: '2026-05-01T09:00:00Z' }),
+  version('m2', 4, ['2026-04-01', '2026-08-31', 40000], { variation_id: 'v2', is_revert: true, created_at: '2026-05-10T09:00:00Z' })
+];
+
+const variations = [
+  { id: 'v1', variation_ref: 'VAR-001', title: 'Extra discovery', status: 'applied', reason: 'New stakeholder interviews', certificate_number: 'VC-001' },
+  { id: 'v2', variation_ref: 'VAR-002', title: 'Descope reports', status: 'reverted', reason: 'Budget pressure', revert_reason: 'Customer withdrew request' }
+];
+
+describe('daysBetween', () => {
+  it('should count calendar days between dates', () => {
+    expect(daysBetween('2026-07-31', '2026-08-31')).toBe(31);
+    expect(daysBetween('2026-08-31', '2026-08-15')).toBe(-16);
+    expect(daysBetween(null, '2026-08-15')).toBeNull();
+  });
+});
+
+describe('buildChangeRegister', () => {
+  const register = buildChangeRegister({ milestones, versions, variations });
+
+  it('should start from version 1 and unvaried milestones', () => {
+    expect(register.original).toEqual({ value: 45000, endDate: '2026-09-30' });
+    expect(register.current).toEqual({ value: 60000, endDate: '2026-09-30' });
+    expect(register.totalChange).toEqual({ value: 15000, endChangeDays: 0 });
+  });
+
+  it('should record one event per application and revert in date order', () => {
+    expect(register.events.map(e => [e.ref, e.type, e.valueChange, e.valueAfter])).toEqual([
+      ['VAR-001', CHANGE_EVENT_TYPE.APPLIED, 15000, 60000],
+      ['VAR-002', CHANGE_EVENT_TYPE.APPLIED, -5000, 55000],
+      ['VAR-002', CHANGE_EVENT_TYPE.REVERTED, 5000, 60000]
+    ]);
+    expect(register.events[0].milestones.map(m => m.ref)).toEqual(['MS-001', 'MS-002']);
+  });
+
+  it('should give the variation reason, or the revert reason for a revert', () => {
+    expect(register.events[0].reason).toBe('New stakeholder interviews');
+    expect(register.events[2].reason).toBe('Customer withdrew request');
+  });
+
+  it('should track the contract end date after each event', () => {
+    const ends = register.events.map(e => [e.endDateAfter, e.endChangeDays]);
+    expect(ends).toEqual([['2026-09-30', 0], ['2026-09-30', 0], ['2026-09-30', 0]]);
+    expect(register.timeline).toHaveLength(4);
+  });
+
+  it('should build a waterfall from original to current', () => {
+    expect(register.waterfall.map(s => [s.kind, s.start, s.end])).toEqual([
+      [WATERFALL_STEP.ORIGINAL, 0, 45000],
+      [WATERFALL_STEP.INCREASE, 45000, 60000],
+      [WATERFALL_STEP.DECREASE, 60000, 55000],
+      [WATERFALL_STEP.INCREASE, 55000, 60000],
+      [WATERFALL_STEP.CURRENT, 0, 60000]
+    ]);
+  });
+
+  it('should show baseline edits outside variations as other changes', () => {
+    const edited = milestones.map(m => (m.id === 'm1' ? { ...m, baseline_billable: 18000, baseline_end_date: '2026-04-10' } : m));
+    const result = buildChangeRegister({ milestones: edited, versions, variations });
+
+    expect(result.original.value).toBe(45000);
+    expect(result.otherChanges).toEqual({ value: 3000, endChangeDays: 0 });
+    expect(result.waterfall.find(s => s.kind === WATERFALL_STEP.OTHER)).toMatchObject({ start: 60000, end: 63000 });
+  });
+
+  it('should treat milestones never varied as part of the original contract', () => {
+    const result = buildChangeRegister({ milestones, versions: [], variations: [] });
+
+    expect(result.original).toEqual(result.current);
+    expect(result.events).toEqual([]);
+    expect(result.waterfall.map(s => s.kind)).toEqual([WATERFALL_STEP.ORIGINAL, WATERFALL_STEP.CURRENT]);
+  });
+});
+
+describe('buildMilestoneLineage', () => {
+  it('should list each version with its change from the previous one', () => {
+    const lineage = buildMilestoneLineage(versions.filter(v => v.milestone_id === 'm2').reverse());
+
+    expect(lineage.map(l => [l.version, l.valueChange, l.endChangeDays, l.isRevert])).toEqual([
+      [1, 0, 0, false],
+      [2, 10000, 31, false],
+      [3, -5000, -16, false],
+      [4, 5000, 16, true]
+    ]);
+    expect(lineage[1].variationRef).toBe('VAR-001');
+  });
+});
+
+describe('export rows', () => {
+  it('should start the register with the original contract', () => {
+    const rows = getRegisterExportRows(buildChangeRegister({ milestones, versions, variations }));
+
+    expect(rows[0]).toMatchObject({ Variation: 'Original contract', 'Contract value': 45000 });
+    expect(rows[3]).toMatchObject({ Variation: 'VAR-002', Change: 'Reverted', 'Value change': 5000 });
+    expect(rows).toHaveLength(4);
+  });
+
+  it('should list lineage by milestone', () => {
+    const rows = getLineageExportRows(milestones, { m1: buildMilestoneLineage(versions.slice(0, 2)) });
+
+    expect(rows.map(r => [r.Milestone, r.Version, r.Variation])).toEqual([
+      ['MS-001', 1, 'Original'],
+      ['MS-001', 2, 'VAR-001']
+    ]);
+  });
+});
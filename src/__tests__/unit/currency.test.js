@@ -0,0 +1,92 @@
+/**
+ * Unit Tests for Currency
+ * Location: src/__tests__/unit/currency.test.js
+ *
+ * Tests code normalisation, rate validation and dated conversion from
+ * lib/currency.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_CURRENCY,
+  normaliseCurrency,
+  getCurrencySymbol,
+  validateExchangeRate,
+  createCurrencyConverter
+} from '../../lib/currency';
+
+const rates = [
+  { from_currency: 'EUR', to_currency: 'GBP', rate: 0.85, effective_date: '2026-01-01' },
+  { from_currency: 'EUR', to_currency: 'GBP', rate: 0.9, effective_date: '2026-06-01' },
+  { from_currency: 'GBP', to_currency: 'USD', rate: 1.25, effective_date: '2026-01-01' },
+  { from_currency: 'EUR', to_currency: 'GBP', rate: 2, effective_date: '2026-03-01', is_deleted: true }
+];
+
+describe('normaliseCurrency', () => {
+  it('should map codes, symbols and names to ISO codes', () => {
+    expect(normaliseCurrency('eur')).toBe('EUR');
+    expect(normaliseCurrency('€')).toBe('EUR');
+    expect(normaliseCurrency(' Euros ')).toBe('EUR');
+    expect(normaliseCurrency('£')).toBe('GBP');
+    expect(normaliseCurrency('sek')).toBe('SEK');
+  });
+
+  it('should fall back when the value is not recognised', () => {
+    expect(normaliseCurrency(null)).toBe(DEFAULT_CURRENCY);
+    expect(normaliseCurrency('not money')).toBe(DEFAULT_CURRENCY);
+    expect(normaliseCurrency('', null)).toBeNull();
+  });
+});
+
+describe('getCurrencySymbol', () => {
+  it('should return known symbols and the code otherwise', () => {
+    expect(getCurrencySymbol('GBP')).toBe('£');
+    expect(getCurrencySymbol('EUR')).toBe('€');
+    expect(getCurrencySymbol('ZAR')).toBe('ZAR ');
+  });
+});
+
+describe('validateExchangeRate', () => {
+  const valid = { from_currency: 'EUR', to_currency: 'GBP', rate: 0.86, effective_date: '2026-01-01' };
+
+  it('should accept a dated positive rate between two currencies', () => {
+    expect(validateExchangeRate(valid)).toBeNull();
+  });
+
+  it('should reject missing or identical currencies, no date and bad rates', () => {
+    expect(validateExchangeRate({ ...valid, to_currency: '' })).toMatch(/currencies/);
+    expect(validateExchangeRate({ ...valid, to_currency: 'eur' })).toMatch(/different/);
+    expect(validateExchangeRate({ ...valid, effective_date: '' })).toMatch(/date/);
+    expect(validateExchangeRate({ ...valid, rate: 0 })).toMatch(/greater than zero/);
+  });
+});
+
+describe('createCurrencyConverter', () => {
+  const fx = createCurrencyConverter(rates, 'GBP');
+
+  it('should leave reporting currency amounts unchanged', () => {
+    expect(fx.convert(100, 'GBP', '2026-02-01')).toBe(100);
+    expect(fx.convert('12.5', null, '2026-02-01')).toBe(12.5);
+  });
+
+  it('should use the rate in force on the date and ignore deleted rates', () => {
+    expect(fx.convert(100, 'EUR', '2026-03-15')).toBeCloseTo(85);
+    expect(fx.convert(100, 'EUR', '2026-06-01')).toBeCloseTo(90);
+  });
+
+  it('should use the inverse pair', () => {
+    expect(fx.getRate('USD', '2026-02-01')).toBeCloseTo(0.8);
+  });
+
+  it('should cross through an intermediate currency', () => {
+    // 1 EUR = 0.85 GBP = 1.0625 USD
+    expect(fx.getRate('EUR', '2026-02-01', 'USD')).toBeCloseTo(1.0625);
+  });
+
+  it('should return the amount unconverted and record pairs with no rate', () => {
+    const local = createCurrencyConverter(rates, 'GBP');
+    expect(local.convert(50, 'EUR', '2025-12-31')).toBe(50);
+    expect(local.convert(10, 'JPY', '2026-02-01')).toBe(10);
+    expect(local.missingRates()).toEqual(['EUR:GBP', 'JPY:GBP']);
+  });
+});
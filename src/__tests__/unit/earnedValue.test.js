@@ -0,0 +1,139 @@
+/**
+ * Unit Tests for Earned Value
+ * Location: src/__tests__/unit/earnedValue.test.js
+ *
+ * Tests planned value, EVM indices and the project S-curve from
+ * lib/earnedValue.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  EVM_HEALTH,
+  plannedValueAt,
+  getIndexHealth,
+  calculateEvmIndices,
+  getMonthEnds,
+  calculateProjectEvm
+} from '../../lib/earnedValue';
+
+// 10-day baseline, £10,000
+const milestone = {
+  id: 'm1',
+  milestone_ref: 'MS-001',
+  name: 'Discovery',
+  baseline_billable: 10000,
+  baseline_start_date: '2026-01-01',
+  baseline_end_date: '2026-01-10'
+};
+
+describe('plannedValueAt', () => {
+  it('should spread the budget evenly over the baseline dates', () => {
+    expect(plannedValueAt(milestone, '2025-12-31')).toBe(0);
+    expect(plannedValueAt(milestone, '2026-01-01')).toBe(1000);
+    expect(plannedValueAt(milestone, '2026-01-05')).toBe(5000);
+    expect(plannedValueAt(milestone, '2026-01-10')).toBe(10000);
+    expect(plannedValueAt(milestone, '2026-03-01')).toBe(10000);
+  });
+
+  it('should fall back to billable and milestone dates', () => {
+    const unbaselined = { billable: 4000, start_date: '2026-02-01', end_date: '2026-02-04' };
+    expect(plannedValueAt(unbaselined, '2026-02-02')).toBe(2000);
+  });
+
+  it('should plan nothing without an end date', () => {
+    expect(plannedValueAt({ baseline_billable: 5000 }, '2026-01-01')).toBe(0);
+  });
+});
+
+describe('calculateEvmIndices', () => {
+  it('should derive the standard EVM measures', () => {
+    const result = calculateEvmIndices({ bac: 100000, pv: 50000, ev: 40000, ac: 50000 });
+    expect(result).toMatchObject({
+      sv: -10000,
+      cv: -10000,
+      spi: 0.8,
+      cpi: 0.8,
+      eac: 125000,
+      etc: 75000,
+      vac: -25000,
+      tcpi: 1.2
+    });
+  });
+
+  it('should use the BAC as EAC and null ratios when there is no data yet', () => {
+    const result = calculateEvmIndices({ bac: 50000, pv: 0, ev: 0, ac: 0 });
+    expect(result.spi).toBeNull();
+    expect(result.cpi).toBeNull();
+    expect(result.eac).toBe(50000);
+    expect(result.vac).toBe(0);
+  });
+
+  it('should have no TCPI once the budget is spent', () => {
+    expect(calculateEvmIndices({ bac: 1000, pv: 1000, ev: 800, ac: 1200 }).tcpi).toBeNull();
+  });
+});
+
+describe('getIndexHealth', () => {
+  it('should band indices', () => {
+    expect(getIndexHealth(1.02)).toBe(EVM_HEALTH.ON_TRACK);
+    expect(getIndexHealth(0.9)).toBe(EVM_HEALTH.AT_RISK);
+    expect(getIndexHealth(0.7)).toBe(EVM_HEALTH.OFF_TRACK);
+    expect(getIndexHealth(null)).toBeNull();
+  });
+});
+
+describe('getMonthEnds', () => {
+  it('should list month ends across a year boundary', () => {
+    expect(getMonthEnds('2025-11-15', '2026-02-03')).toEqual([
+      '2025-11-30', '2025-12-31', '2026-01-31', '2026-02-28'
+    ]);
+  });
+});
+
+describe('calculateProjectEvm', () => {
+  const data = {
+    milestones: [
+      milestone,
+      { id: 'm2', milestone_ref: 'MS-002', name: 'Build', baseline_billable: 20000, baseline_start_date: '2026-02-01', baseline_end_date: '2026-03-31' }
+    ],
+    deliverables: [
+      { milestone_id: 'm1', progress: 100, status: 'Delivered', delivered_date: '2026-01-20T10:00:00Z' },
+      { milestone_id: 'm1', progress: 100, status: 'Delivered', delivered_date: '2026-02-10T10:00:00Z' },
+      { milestone_id: 'm2', progress: 50, status: 'In Progress' }
+    ],
+    costs: [
+      { date: '2026-01-15', amount: 6000, milestone_id: 'm1' },
+      { date: '2026-02-05', amount: 5000, milestone_id: 'm1' },
+      { date: '2026-02-10', amount: 500, milestone_id: null }
+    ],
+    asOf: '2026-02-14'
+  };
+
+  it('should compute EVM per milestone', () => {
+    const result = calculateProjectEvm(data);
+    const [m1, m2] = result.milestones;
+
+    expect(m1).toMatchObject({ progress: 100, bac: 10000, pv: 10000, ev: 10000, ac: 11000, spi: 1, cpi: 0.91 });
+    expect(m2).toMatchObject({ progress: 50, bac: 20000, ev: 10000, ac: 0, cpi: null });
+    expect(m2.pv).toBeCloseTo(20000 * 14 / 59, 1);
+  });
+
+  it('should include unallocated costs in project AC only', () => {
+    const { project } = calculateProjectEvm(data);
+    expect(project.bac).toBe(30000);
+    expect(project.ev).toBe(20000);
+    expect(project.ac).toBe(11500);
+  });
+
+  it('should build a monthly S-curve up to the status date', () => {
+    const { series, project } = calculateProjectEvm(data);
+
+    // The current month is measured at the status date
+    expect(series.map(p => p.date)).toEqual(['2026-01-31', '2026-02-14', '2026-03-31']);
+    // January: one of two m1 deliverables delivered
+    expect(series[0]).toMatchObject({ pv: 10000, ev: 5000, ac: 6000 });
+    expect(series[1]).toMatchObject({ pv: project.pv, ev: project.ev, ac: 11500 });
+    // Future months are planned only
+    expect(series[2]).toMatchObject({ pv: 30000, ev: null, ac: null, spi: null });
+  });
+});
@@ -0,0 +1,256 @@
+/**
+ * Unit Tests for Expense Policy
+ * Location: src/__tests__/unit/expensePolicy.test.js
+ *
+ * Tests policy merging, mileage and per diem calculation, expense checks
+ * and the validation gate from lib/expensePolicy.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  POLICY_RULE,
+  POLICY_ERROR,
+  mergePolicies,
+  validateExpensePolicy,
+  getMileageYearStart,
+  getMileageAllowance,
+  getDistanceToDate,
+  calculateMileage,
+  calculatePerDiem,
+  describeCalculationBasis,
+  evaluateExpense,
+  getValidationBlock
+} from '../../lib/expensePolicy';
+
+const expense = (overrides = {}) => ({
+  id: 'e1',
+  resource_id: 'r1',
+  category: 'Travel',
+  expense_date: '2026-10-19', // Monday
+  amount: 50,
+  currency: 'GBP',
+  status: 'Submitted',
+  ...overrides
+});
+
+const rules = (violations) => violations.map(v => v.rule);
+
+// ============================================
+// POLICY LAYERS
+// ============================================
+
+describe('mergePolicies', () => {
+  it('should let project values override the organisation and keep blanks inherited', () => {
+    const policy = mergePolicies(
+      { per_diem_limit: '40', category_caps: { Travel: 200, Accommodation: 150 }, flag_duplicates: false },
+      { per_diem_limit: 30, category_caps: { Travel: '', Accommodation: 120 }, flag_duplicates: null }
+    );
+
+    expect(policy.per_diem_limit).toBe(30);
+    expect(policy.category_caps).toEqual({ Travel: 200, Accommodation: 120 });
+    expect(policy.flag_duplicates).toBe(false);
+    expect(policy.mileage_rate).toBe(0.45);
+  });
+
+  it('should ignore missing layers', () => {
+    expect(mergePolicies(null, undefined).escalation_role).toBe('supplier_pm');
+  });
+});
+
+describe('validateExpensePolicy', () => {
+  it('should reject negative values and inverted mileage rates', () => {
+    expect(validateExpensePolicy({ category_caps: { Travel: -1 } })).toMatch(/negative/);
+    expect(validateExpensePolicy({ mileage_rate: 0.25, mileage_reduced_rate: 0.45 })).toMatch(/reduced/);
+    expect(validateExpensePolicy({ escalation_role: 'viewer' })).toMatch(/escalated/);
+    expect(validateExpensePolicy({ per_diem_partial_percent: 120 })).toMatch(/partial day/);
+    expect(validateExpensePolicy({ per_diem_rates: [{ location: 'Paris', rate: 60 }, { location: 'paris ', rate: 50 }] })).toMatch(/one rate/);
+    expect(validateExpensePolicy({ per_diem_limit: 30, escalation_role: 'customer_pm' })).toBeNull();
+  });
+});
+
+// ============================================
+// MILEAGE
+// ============================================
+
+describe('mileage', () => {
+  it('should start the mileage year on 6 April', () => {
+    expect(getMileageYearStart('2026-04-05')).toBe('2025-04-06');
+    expect(getMileageYearStart('2026-04-06')).toBe('2026-04-06');
+    expect(getMileageYearStart('2026-10-19')).toBe('2026-04-06');
+  });
+
+  it('should switch to the reduced rate once the threshold is passed', () => {
+    expect(getMileageAllowance(100, 0)).toEqual({ amount: 45, standardDistance: 100, reducedDistance: 0 });
+    expect(getMileageAllowance(100, 9950)).toEqual({ amount: 35, standardDistance: 50, reducedDistance: 50 });
+    expect(getMileageAllowance(100, 12000).amount).toBe(25);
+  });
+
+  it('should count car miles claimed earlier in the mileage year', () => {
+    const otherExpenses = [
+      expense({ id: 'e2', expense_date: '2026-06-01', distance: 400 }),
+      expense({ id: 'e3', expense_date: '2026-10-19', distance: 100 }),
+      expense({ id: 'e4', expense_date: '2026-10-20', distance: 100 }),
+      expense({ id: 'e5', expense_date: '2026-03-01', distance: 5000 }),
+      expense({ id: 'e6', expense_date: '2026-06-01', distance: 50, vehicle_type: 'bicycle' }),
+      expense({ id: 'e7', expense_date: '2026-06-01', distance: 50, status: 'Rejected' })
+    ];
+
+    expect(getDistanceToDate(expense(), otherExpenses)).toBe(500);
+  });
+
+  it('should calculate car mileage in bands and other vehicles at a flat rate', () => {
+    const car = calculateMileage({ distance: 120, distanceToDate: 9900, from: 'Manchester', to: 'Leeds' });
+    expect(car.amount).toBe(50);
+    expect(car.basis).toMatchObject({
+      type: 'mileage',
+      vehicle_type: 'car',
+      distance_to_date: 9900,
+      bands: [{ distance: 100, rate: 0.45 }, { distance: 20, rate: 0.25 }]
+    });
+    expect(describeCalculationBasis(car.basis, 'GBP')).toBe('120 miles Manchester to Leeds by car or van: 100 @ £0.45 + 20 @ £0.25');
+
+    const bicycle = calculateMileage({ distance: 10, vehicleType: 'bicycle', distanceToDate: 20000 });
+    expect(bicycle.amount).toBe(2);
+    expect(bicycle.basis.distance_to_date).toBeNull();
+
+    expect(() => calculateMileage({ distance: 0 })).toThrow(/distance/);
+  });
+});
+
+// ============================================
+// PER DIEM
+// ============================================
+
+describe('calculatePerDiem', () => {
+  const policy = mergePolicies({ per_diem_rates: [{ location: 'Paris', rate: 60 }], per_diem_partial_percent: 50 });
+
+  it('should pay partial days at the partial percentage', () => {
+    const { amount, basis } = calculatePerDiem({ location: 'paris', fullDays: 2, partialDays: 1 }, policy);
+
+    expect(amount).toBe(150);
+    expect(basis).toMatchObject({ type: 'per_diem', rate: 60, full_days: 2, partial_days: 1, partial_day_percent: 50 });
+    expect(describeCalculationBasis(basis, 'EUR')).toBe('Per diem Paris: 2 days @ €60.00 + 1 partial day @ 50%');
+  });
+
+  it('should reject unknown locations and claims without days', () => {
+    expect(() => calculatePerDiem({ location: 'Berlin', fullDays: 1 }, policy)).toThrow(/Berlin/);
+    expect(() => calculatePerDiem({ location: 'Paris' }, policy)).toThrow(/days/);
+  });
+});
+
+// ============================================
+// EXPENSE CHECKS
+// ============================================
+
+describe('evaluateExpense', () => {
+  it('should return no violations for an expense within policy', () => {
+    expect(evaluateExpense(expense(), { policy: mergePolicies({ category_caps: { Travel: 100 } }) })).toEqual([]);
+  });
+
+  it('should flag category caps after converting to the project currency', () => {
+    const policy = mergePolicies({ category_caps: { Travel: 100 } });
+    const convert = (amount, currency) => (currency === 'EUR' ? amount * 0.8 : amount);
+
+    expect(evaluateExpense(expense({ amount: 120, currency: 'EUR' }), { policy, convert })).toEqual([]);
+
+    const [violation] = evaluateExpense(expense({ amount: 150, currency: 'EUR' }), { policy, convert, currency: 'GBP' });
+    expect(violation).toMatchObject({ rule: POLICY_RULE.CATEGORY_CAP, severity: 'breach', limit: 100, actual: 120 });
+  });
+
+  it('should total sustenance across the day for the per diem', () => {
+    const policy = mergePolicies({ per_diem_limit: 40, flag_duplicates: false });
+    const otherExpenses = [
+      expense({ id: 'e2', category: 'Sustenance', amount: 25 }),
+      expense({ id: 'e3', category: 'Sustenance', amount: 25, status: 'Rejected' }),
+      expense({ id: 'e4', category: 'Sustenance', amount: 25, resource_id: 'r2' })
+    ];
+
+    const violations = evaluateExpense(expense({ category: 'Sustenance', amount: 20 }), { policy, otherExpenses });
+    expect(violations).toHaveLength(1);
+    expect(violations[0]).toMatchObject({ rule: POLICY_RULE.PER_DIEM, actual: 45 });
+  });
+
+  it('should require a receipt above the threshold', () => {
+    const policy = mergePolicies({ receipt_required: true, receipt_threshold: 25 });
+
+    expect(evaluateExpense(expense({ amount: 20 }), { policy })).toEqual([]);
+    expect(rules(evaluateExpense(expense(), { policy }))).toEqual([POLICY_RULE.RECEIPT_REQUIRED]);
+    expect(evaluateExpense(expense(), { policy, receiptCount: 1 })).toEqual([]);
+  });
+
+  it('should flag weekends and duplicates', () => {
+    const weekend = evaluateExpense(expense({ expense_date: '2026-10-17' }));
+    expect(weekend[0]).toMatchObject({ rule: POLICY_RULE.NON_WORKING_DAY, severity: 'warning' });
+    expect(weekend[0].message).toContain('Weekend');
+
+    const [duplicate] = evaluateExpense(expense(), {
+      otherExpenses: [expense({ id: 'e2', expense_ref: 'EXP-002' })]
+    });
+    expect(duplicate).toMatchObject({ rule: POLICY_RULE.DUPLICATE, duplicateIds: ['e2'] });
+    expect(duplicate.message).toContain('EXP-002');
+  });
+
+  it('should check mileage claims against the allowance for the year so far', () => {
+    const otherExpenses = [
+      expense({ id: 'e2', expense_date: '2026-06-01', distance: 9950, amount: 100 }),
+      expense({ id: 'e3', expense_date: '2026-03-01', distance: 5000, amount: 100 })
+    ];
+
+    expect(evaluateExpense(expense({ distance: 100, amount: 35 }), { otherExpenses })).toEqual([]);
+
+    const [violation] = evaluateExpense(expense({ distance: 100, amount: 45 }), { otherExpenses });
+    expect(violation).toMatchObject({ rule: POLICY_RULE.MILEAGE_RATE, limit: 35, actual: 45 });
+  });
+
+  it('should use the stored basis for calculated expenses and skip the receipt rule', () => {
+    const policy = mergePolicies({ receipt_required: true, per_diem_limit: 40, per_diem_rates: [{ location: 'Paris', rate: 60 }] });
+    const perDiem = calculatePerDiem({ location: 'Paris', fullDays: 2 }, policy);
+    const claim = expense({ category: 'Sustenance', expense_type: 'per_diem', amount: 120, calculation_basis: perDiem.basis });
+
+    expect(evaluateExpense(claim, { policy })).toEqual([]);
+    expect(evaluateExpense({ ...claim, amount: 150 }, { policy })[0]).toMatchObject({ rule: POLICY_RULE.PER_DIEM, limit: 120 });
+
+    const mileage = calculateMileage({ distance: 100, distanceToDate: 9950 });
+    const trip = expense({ expense_type: 'mileage', distance: 100, amount: 35, calculation_basis: mileage.basis });
+    expect(evaluateExpense(trip, { policy })).toEqual([]);
+  });
+
+  it('should escalate expenses over the threshold to the configured role', () => {
+    const policy = mergePolicies({ escalation_threshold: 500, escalation_role: 'customer_pm' });
+
+    expect(evaluateExpense(expense({ amount: 500 }), { policy })).toEqual([]);
+    expect(evaluateExpense(expense({ amount: 750 }), { policy })[0]).toMatchObject({
+      rule: POLICY_RULE.ESCALATION,
+      requiredRole: 'customer_pm'
+    });
+  });
+});
+
+// ============================================
+// VALIDATION GATE
+// ============================================
+
+describe('getValidationBlock', () => {
+  const warning = { rule: POLICY_RULE.NON_WORKING_DAY, severity: 'warning', message: 'Weekend' };
+  const escalation = { rule: POLICY_RULE.ESCALATION, severity: 'breach', message: 'Over', requiredRole: 'customer_pm' };
+
+  it('should allow expenses without violations', () => {
+    expect(getValidationBlock(expense(), { role: 'supplier_pm' })).toBeNull();
+  });
+
+  it('should require acknowledgement of violations', () => {
+    const flagged = expense({ policy_violations: [warning] });
+
+    expect(getValidationBlock(flagged, { role: 'supplier_pm' }).code).toBe(POLICY_ERROR.ACKNOWLEDGEMENT_REQUIRED);
+    expect(getValidationBlock(flagged, { role: 'supplier_pm', acknowledged: true })).toBeNull();
+    expect(getValidationBlock({ ...flagged, policy_acknowledged_at: '2026-10-19T09:00:00Z' }, { role: 'supplier_pm' })).toBeNull();
+  });
+
+  it('should only let the escalation role or an admin validate escalated expenses', () => {
+    const escalated = expense({ policy_violations: [escalation] });
+
+    expect(getValidationBlock(escalated, { role: 'supplier_pm', acknowledged: true }).code).toBe(POLICY_ERROR.ESCALATION_REQUIRED);
+    expect(getValidationBlock(escalated, { role: 'customer_pm', acknowledged: true })).toBeNull();
+    expect(getValidationBlock(escalated, { role: 'admin', acknowledged: true })).toBeNull();
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * Unit Tests for Gantt Layout
+ * Location: src/__tests__/unit/ganttLayout.test.js
+ *
+ * Tests timeline scale, bar geometry, drag dates and link routing
+ * from lib/ganttLayout.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  buildTimeline,
+  buildTimelineHeaders,
+  dateToX,
+  getBarGeometry,
+  getDraggedDates,
+  buildLinkPaths,
+  shiftDate
+} from '../../lib/ganttLayout';
+import { createWorkingCalendar, HOLIDAY_SETS } from '../../lib/workingCalendar';
+
+const items = [
+  { id: 'a', item_type: 'task', start_date: '2026-03-04', end_date: '2026-03-06' },
+  { id: 'b', item_type: 'task', start_date: '2026-03-09', end_date: '2026-03-13', predecessors: [{ id: 'a', type: 'FS', lag: 0 }] }
+];
+
+// ============================================
+// TIMELINE
+// ============================================
+
+describe('buildTimeline', () => {
+  it('should pad the plan and start on a Monday', () => {
+    const timeline = buildTimeline(items, { zoom: 'day', padding: 7 });
+
+    expect(timeline.start).toBe('2026-02-23'); // Monday on or before 25 Feb
+    expect(timeline.end).toBe('2026-03-20');
+    expect(timeline.days).toBe(26);
+    expect(timeline.width).toBe(26 * 28);
+  });
+
+  it('should include baseline dates and today in range', () => {
+    const timeline = buildTimeline(
+      [{ ...items[0], _baselineEnd: '2026-04-30' }],
+      { today: '2026-01-15', padding: 0 }
+    );
+
+    expect(timeline.start <= '2026-01-15').toBe(true);
+    expect(timeline.end).toBe('2026-04-30');
+  });
+
+  it('should fall back to a month from today when nothing is dated', () => {
+    const timeline = buildTimeline([{ id: 'x' }], { today: '2026-10-19', padding: 0 });
+
+    expect(timeline.start).toBe('2026-10-19');
+    expect(timeline.end).toBe('2026-11-18');
+  });
+});
+
+describe('buildTimelineHeaders', () => {
+  it('should split months and mark week commencing dates', () => {
+    const timeline = buildTimeline(items, { zoom: 'week', padding: 7 });
+    const { upper, lower } = buildTimelineHeaders(timeline, 'week');
+
+    expect(upper.map(u => u.label)).toEqual(['Feb 2026', 'Mar 2026']);
+    expect(upper[0].width).toBe(6 * timeline.dayWidth);
+    expect(lower[0]).toMatchObject({ date: '2026-02-23', width: 7 * timeline.dayWidth });
+  });
+});
+
+// ============================================
+// BARS
+// ============================================
+
+describe('getBarGeometry', () => {
+  const timeline = { start: '2026-03-02', days: 30, dayWidth: 10 };
+
+  it('should span the inclusive date range', () => {
+    expect(dateToX('2026-03-04', timeline)).toBe(20);
+    expect(getBarGeometry(items[0], timeline)).toEqual({ x: 20, width: 30, isPoint: false });
+  });
+
+  it('should draw a point for single-date items and same-day milestones', () => {
+    expect(getBarGeometry({ end_date: '2026-03-10' }, timeline).isPoint).toBe(true);
+    expect(getBarGeometry({ item_type: 'milestone', start_date: '2026-03-10', end_date: '2026-03-10' }, timeline).isPoint).toBe(true);
+    expect(getBarGeometry({ item_type: 'task', start_date: '2026-03-10', end_date: '2026-03-10' }, timeline).isPoint).toBe(false);
+  });
+
+  it('should read baseline fields when asked', () => {
+    const geometry = getBarGeometry(
+      { _baselineStart: '2026-03-02', _baselineEnd: '2026-03-03' },
+      timeline,
+      { start: '_baselineStart', end: '_baselineEnd' }
+    );
+    expect(geometry).toEqual({ x: 0, width: 20, isPoint: false });
+  });
+
+  it('should return null for undated items', () => {
+    expect(getBarGeometry({ id: 'x' }, timeline)).toBeNull();
+  });
+});
+
+// ============================================
+// DRAGGING
+// ============================================
+
+describe('getDraggedDates', () => {
+  it('should move both dates', () => {
+    expect(getDraggedDates(items[0], 3, 'move')).toEqual({ start_date: '2026-03-07', end_date: '2026-03-09' });
+  });
+
+  it('should resize one end without crossing the other', () => {
+    expect(getDraggedDates(items[0], 2, 'resize-end')).toEqual({ start_date: '2026-03-04', end_date: '2026-03-08' });
+    expect(getDraggedDates(items[0], 5, 'resize-start')).toEqual({ start_date: '2026-03-06', end_date: '2026-03-06' });
+  });
+
+  it('should return null when nothing changes', () => {
+    expect(getDraggedDates(items[0], 0, 'move')).toBeNull();
+    expect(getDraggedDates({ id: 'x' }, 2, 'move')).toBeNull();
+  });
+
+  it('should keep working-day duration and skip non-working days with a calendar', () => {
+    const calendar = createWorkingCalendar({ holidaySets: [HOLIDAY_SETS.UK_ENGLAND_WALES] });
+    // Tue-Thu moved 3 days lands on Good Friday; Easter Monday follows, so it starts Tuesday 7 April
+    const task = { start_date: '2026-03-31', end_date: '2026-04-02' };
+
+    expect(getDraggedDates({ start_date: '2026-03-25', end_date: '2026-03-27' }, 2, 'move', calendar))
+      .toEqual({ start_date: '2026-03-27', end_date: '2026-03-31' });
+    expect(getDraggedDates(task, 3, 'move', calendar))
+      .toEqual({ start_date: '2026-04-07', end_date: '2026-04-09' });
+  });
+
+  it('should shift dates across month ends', () => {
+    expect(shiftDate('2026-02-27', 3)).toBe('2026-03-02');
+  });
+});
+
+// ============================================
+// LINKS
+// ============================================
+
+describe('buildLinkPaths', () => {
+  const geometry = new Map([
+    ['a', { x: 20, width: 30 }],
+    ['b', { x: 70, width: 50 }]
+  ]);
+
+  it('should route finish-to-start links from finish to start', () => {
+    const [link] = buildLinkPaths(items, geometry, 32);
+
+    expect(link).toMatchObject({ fromId: 'a', toId: 'b', type: 'FS' });
+    expect(link.d).toBe('M 50 16 H 62 V 48 H 70');
+  });
+
+  it('should detour when the successor starts before the predecessor finishes', () => {
+    const overlapping = new Map([
+      ['a', { x: 20, width: 60 }],
+      ['b', { x: 40, width: 50 }]
+    ]);
+    const [link] = buildLinkPaths(items, overlapping, 32);
+
+    expect(link.d).toBe('M 80 16 H 88 V 32 H 32 V 48 H 40');
+  });
+
+  it('should end finish-to-finish links at the successor finish', () => {
+    const ffItems = [items[0], { ...items[1], predecessors: [{ id: 'a', type: 'FF' }] }];
+    const [link] = buildLinkPaths(ffItems, geometry, 32);
+
+    expect(link.d.endsWith('H 120')).toBe(true);
+  });
+
+  it('should skip links to hidden or undated predecessors', () => {
+    expect(buildLinkPaths([items[1]], geometry, 32)).toEqual([]);
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Unit Tests for Plan Collaboration
+ * Location: src/__tests__/unit/planCollaboration.test.js
+ *
+ * Tests applying remote changes, three-way merge of stale saves and
+ * presence grouping from lib/planCollaboration.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  getEditorColor,
+  getChangedFields,
+  applyRemoteChange,
+  mergeStaleUpdate,
+  getRowEditors
+} from '../../lib/planCollaboration';
+
+const items = [
+  { id: 'a', name: 'Design', status: 'not_started', wbs: '1', parent_id: null },
+  { id: 'b', name: 'Build', status: 'not_started', wbs: '2', parent_id: null }
+];
+
+// ============================================
+// REMOTE CHANGES
+// ============================================
+
+describe('applyRemoteChange', () => {
+  it('should patch an updated row in place and report changed fields', () => {
+    const change = {
+      operation: 'UPDATE',
+      old_row: { id: 'a', name: 'Design', status: 'not_started', updated_at: '1' },
+      new_row: { id: 'a', name: 'Design', status: 'in_progress', updated_at: '2' }
+    };
+
+    const result = applyRemoteChange(items, change);
+
+    expect(result.needsReload).toBe(false);
+    expect(result.changedFields).toEqual(['status']);
+    expect(result.items[0]).toMatchObject({ status: 'in_progress', wbs: '1', updated_at: '2' });
+    expect(result.items[1]).toBe(items[1]);
+  });
+
+  it('should ask for a reload when rows are added, moved or unknown', () => {
+    expect(applyRemoteChange(items, { operation: 'INSERT', old_row: null, new_row: { id: 'c' } }).needsReload).toBe(true);
+    expect(applyRemoteChange(items, {
+      operation: 'UPDATE',
+      old_row: { id: 'b', parent_id: null },
+      new_row: { id: 'b', parent_id: 'a' }
+    }).needsReload).toBe(true);
+    expect(applyRemoteChange(items, {
+      operation: 'UPDATE',
+      old_row: { id: 'z', name: 'X' },
+      new_row: { id: 'z', name: 'Y' }
+    }).needsReload).toBe(true);
+  });
+});
+
+describe('getChangedFields', () => {
+  it('should ignore system columns and empty-value differences', () => {
+    expect(getChangedFields(
+      { name: 'A', description: null, updated_at: '1' },
+      { name: 'A', description: '', updated_at: '2' }
+    )).toEqual([]);
+  });
+});
+
+// ============================================
+// STALE SAVE MERGE
+// ============================================
+
+describe('mergeStaleUpdate', () => {
+  const base = { id: 'a', name: 'Design', status: 'not_started', progress: 0, updated_at: '1' };
+
+  it('should merge when the other user changed different fields', () => {
+    const current = { ...base, name: 'Design phase', updated_at: '2' };
+
+    const result = mergeStaleUpdate(base, { status: 'in_progress' }, current);
+
+    expect(result.hasConflicts).toBe(false);
+    expect(result.merged).toEqual({ status: 'in_progress' });
+  });
+
+  it('should flag fields both users changed to different values', () => {
+    const current = { ...base, status: 'on_hold', progress: 50, updated_at: '2' };
+
+    const result = mergeStaleUpdate(base, { status: 'completed', progress: 50 }, current);
+
+    expect(result.hasConflicts).toBe(true);
+    expect(result.fields).toEqual([
+      { field: 'status', base: 'not_started', mine: 'completed', theirs: 'on_hold', conflict: true },
+      { field: 'progress', base: 0, mine: 50, theirs: 50, conflict: false }
+    ]);
+    expect(result.merged).toEqual({});
+  });
+});
+
+// ============================================
+// PRESENCE
+// ============================================
+
+describe('getRowEditors', () => {
+  it('should group other users by the row they are editing', () => {
+    const presenceState = {
+      k1: [{ userId: 'u1', name: 'Me', editingItemId: 'a' }],
+      k2: [{ userId: 'u2', name: 'Sam Lee', editingItemId: 'a' }, { userId: 'u2', name: 'Sam Lee', editingItemId: 'a' }],
+      k3: [{ userId: 'u3', name: 'Alex', editingItemId: null }]
+    };
+
+    const { editors, users } = getRowEditors(presenceState, 'u1');
+
+    expect(Object.keys(editors)).toEqual(['a']);
+    expect(editors.a).toEqual([{ userId: 'u2', name: 'Sam Lee', color: getEditorColor('u2') }]);
+    expect(users.map(u => u.userId)).toEqual(['u2', 'u3']);
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Unit Tests for Plan Scenarios
+ * Location: src/__tests__/unit/planScenarios.test.js
+ *
+ * Tests the scenario diff, merge plan and variation helpers from
+ * lib/planScenarios.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  SCENARIO_CHANGE,
+  daysBetween,
+  diffScenario,
+  buildMergePlan,
+  buildVariationChanges,
+  getScenarioVariationType
+} from '../../lib/planScenarios';
+
+const live = [
+  { id: 'm1', name: 'Phase 1', parent_id: null, start_date: '2026-11-02', end_date: '2026-11-20', duration_days: 15, predecessors: [] },
+  { id: 't1', name: 'Design', parent_id: 'm1', start_date: '2026-11-02', end_date: '2026-11-06', duration_days: 5, predecessors: [] },
+  { id: 't2', name: 'Build', parent_id: 'm1', start_date: '2026-11-09', end_date: '2026-11-20', duration_days: 10, predecessors: [{ id: 't1', type: 'FS', lag: 0 }] }
+];
+
+// Branch copy of the live plan with new ids pointing back at the sources
+function branch(overrides = {}) {
+  return [
+    { id: 's-m1', source_item_id: 'm1', name: 'Phase 1', parent_id: null, start_date: '2026-11-02', end_date: '2026-11-20', duration_days: 15, predecessors: [] },
+    { id: 's-t1', source_item_id: 't1', name: 'Design', parent_id: 's-m1', start_date: '2026-11-02', end_date: '2026-11-06', duration_days: 5, predecessors: [] },
+    { id: 's-t2', source_item_id: 't2', name: 'Build', parent_id: 's-m1', start_date: '2026-11-09', end_date: '2026-11-20', duration_days: 10, predecessors: [{ id: 's-t1', type: 'FS', lag: 0 }] }
+  ].map(item => ({ ...item, ...overrides[item.id] }));
+}
+
+describe('daysBetween', () => {
+  it('should count calendar days between dates', () => {
+    expect(daysBetween('2026-11-02', '2026-11-09')).toBe(7);
+    expect(daysBetween('2026-11-09', '2026-11-02')).toBe(-7);
+  });
+
+  it('should return null when a date is missing', () => {
+    expect(daysBetween(null, '2026-11-02')).toBeNull();
+  });
+});
+
+// ============================================
+// DIFF
+// ============================================
+
+describe('diffScenario', () => {
+  it('should report no changes for an untouched branch', () => {
+    const diff = diffScenario(live, branch());
+    expect(diff.entries).toEqual([]);
+    expect(diff.liveIds).toEqual({ 's-m1': 'm1', 's-t1': 't1', 's-t2': 't2' });
+    expect(diff.summary.finishShift).toBe(0);
+  });
+
+  it('should report date changes with shifts and the finish impact', () => {
+    const diff = diffScenario(live, branch({
+      's-t2': { start_date: '2026-11-16', end_date: '2026-11-27' },
+      's-m1': { end_date: '2026-11-27' }
+    }));
+
+    const build = diff.entries.find(e => e.key === 's-t2');
+    expect(build.kind).toBe(SCENARIO_CHANGE.CHANGED);
+    expect(build.fields.map(f => f.field)).toEqual(['start_date', 'end_date']);
+    expect(build.startShift).toBe(7);
+    expect(build.endShift).toBe(7);
+    expect(diff.summary).toMatchObject({ changed: 2, added: 0, removed: 0, finishShift: 7 });
+  });
+
+  it('should detect added, removed and moved items', () => {
+    const scenario = branch({ 's-t2': { parent_id: null } })
+      .filter(i => i.id !== 's-t1')
+      .concat({ id: 's-new', source_item_id: null, name: 'Test', parent_id: 's-m1', predecessors: [] });
+
+    const diff = diffScenario(live, scenario);
+    const byKind = kind => diff.entries.filter(e => e.kind === kind).map(e => e.key);
+
+    expect(byKind(SCENARIO_CHANGE.ADDED)).toEqual(['s-new']);
+    expect(byKind(SCENARIO_CHANGE.REMOVED)).toEqual(['t1']);
+    const moved = diff.entries.find(e => e.key === 's-t2');
+    expect(moved.fields.find(f => f.field === 'parent_id')).toEqual({ field: 'parent_id', from: 'm1', to: null });
+  });
+
+  it('should compare links by the live ids they were copied from', () => {
+    const diff = diffScenario(live, branch({ 's-t2': { predecessors: [{ id: 's-t1', type: 'SS', lag: 2 }] } }));
+    const entry = diff.entries.find(e => e.key === 's-t2');
+    expect(entry.fields).toEqual([{
+      field: 'predecessors',
+      from: [{ id: 't1', type: 'FS', lag: 0 }],
+      to: [{ id: 't1', type: 'SS', lag: 2 }]
+    }]);
+  });
+});
+
+// ============================================
+// MERGE PLAN
+// ============================================
+
+describe('buildMergePlan', () => {
+  it('should update live items with the scenario values', () => {
+    const diff = diffScenario(live, branch({ 's-t2': { start_date: '2026-11-16', end_date: '2026-11-27' } }));
+    const plan = buildMergePlan(diff.entries, diff);
+
+    expect(plan.updates).toEqual([
+      { id: 't2', updates: { start_date: '2026-11-16', end_date: '2026-11-27' } }
+    ]);
+    expect(plan.creates).toEqual([]);
+    expect(plan.deletes).toEqual([]);
+  });
+
+  it('should create an added item with its added parent and live links', () => {
+    const scenario = branch().concat(
+      { id: 's-m2', source_item_id: null, name: 'Phase 2', parent_id: null, predecessors: [{ id: 's-m1', type: 'FS', lag: 0 }] },
+      { id: 's-t3', source_item_id: null, name: 'Deploy', parent_id: 's-m2', predecessors: [{ id: 's-t2', type: 'FS', lag: 0 }] }
+    );
+    const diff = diffScenario(live, scenario);
+    const plan = buildMergePlan(diff.entries.filter(e => e.key === 's-t3'), diff);
+
+    expect(plan.creates.map(i => i.id)).toEqual(['s-t3', 's-m2']);
+    expect(plan.creates[0].predecessors).toEqual([{ id: 't2', type: 'FS', lag: 0 }]);
+    expect(plan.creates[1].predecessors).toEqual([{ id: 'm1', type: 'FS', lag: 0 }]);
+  });
+
+  it('should drop links to branch-only items that are not merged', () => {
+    const scenario = branch({ 's-t2': { predecessors: [{ id: 's-t1' }, { id: 's-new' }] } })
+      .concat({ id: 's-new', source_item_id: null, name: 'Spike', parent_id: 's-m1', predecessors: [] });
+    const diff = diffScenario(live, scenario);
+    const plan = buildMergePlan(diff.entries.filter(e => e.key === 's-t2'), diff);
+
+    expect(plan.creates).toEqual([]);
+    expect(plan.updates[0].updates.predecessors).toEqual([{ id: 't1' }]);
+  });
+
+  it('should move items and only delete the topmost removed item', () => {
+    const scenario = branch({ 's-t2': { parent_id: null, sort_order: 3 } }).filter(i => i.id === 's-t2');
+    const diff = diffScenario(live, scenario);
+    const plan = buildMergePlan(diff.entries, diff);
+
+    expect(plan.moves).toEqual([{ id: 't2', parentId: null, sortOrder: 3 }]);
+    expect(plan.deletes).toEqual(['m1']);
+  });
+});
+
+// ============================================
+// VARIATIONS
+// ============================================
+
+describe('buildVariationChanges', () => {
+  it('should list field changes, additions and removals', () => {
+    const scenario = branch({ 's-t2': { end_date: '2026-11-27' } })
+      .filter(i => i.id !== 's-t1')
+      .concat({ id: 's-new', source_item_id: null, name: 'Test', parent_id: 's-m1', predecessors: [] });
+    const diff = diffScenario(live, scenario);
+
+    expect(buildVariationChanges(diff.entries)).toEqual([
+      { plan_item_id: 't2', field: 'end_date', from: '2026-11-20', to: '2026-11-27' },
+      { plan_item_id: null, field: 'added', from: null, to: 'Test' },
+      { plan_item_id: 't1', field: 'removed', from: 'Design', to: null }
+    ]);
+  });
+});
+
+describe('getScenarioVariationType', () => {
+  it('should classify a single kind of change', () => {
+    const dates = diffScenario(live, branch({ 's-t2': { end_date: '2026-11-27' } }));
+    const removed = diffScenario(live, branch().filter(i => i.id !== 's-t1'));
+    expect(getScenarioVariationType(dates.entries)).toBe('time_extension');
+    expect(getScenarioVariationType(removed.entries)).toBe('scope_reduction');
+  });
+
+  it('should be combined for mixed changes', () => {
+    const diff = diffScenario(live, branch({ 's-t2': { end_date: '2026-11-27' } }).filter(i => i.id !== 's-t1'));
+    expect(getScenarioVariationType(diff.entries)).toBe('combined');
+  });
+});
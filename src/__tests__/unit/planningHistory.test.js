@@ -0,0 +1,174 @@
+/**
+ * Unit Tests for Planning History
+ * Location: src/__tests__/unit/planningHistory.test.js
+ *
+ * Tests the undo/redo stack, journal persistence, conflict detection
+ * and timeline grouping from lib/planningHistory.js
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  PlanningHistory,
+  getActionItemIds,
+  findConflicts,
+  groupChangeEvents
+} from '../../lib/planningHistory';
+
+function createJournal(operations = []) {
+  let nextId = 1;
+  return {
+    recordOperation: vi.fn(async () => ({ id: `op-${nextId++}`, created_at: '2026-03-02T10:00:00Z' })),
+    getUndoableOperations: vi.fn(async () => operations),
+    markUndone: vi.fn(async () => {}),
+    markRedone: vi.fn(async () => {}),
+    getItemChangesSince: vi.fn(async () => [])
+  };
+}
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// ============================================
+// UNDO STACK
+// ============================================
+
+describe('PlanningHistory', () => {
+  let history;
+
+  beforeEach(() => {
+    history = new PlanningHistory();
+  });
+
+  it('should undo and redo in order without a journal', () => {
+    history.push('create', { id: 'a' });
+    history.push('update', { id: 'a', previousValues: { name: 'A' }, newValues: { name: 'B' } });
+
+    expect(history.getUndoLabel()).toBe('Undo Edit');
+    expect(history.popUndo().type).toBe('update');
+    expect(history.getRedoLabel()).toBe('Redo Edit');
+    expect(history.popRedo().type).toBe('update');
+    expect(history.canRedo()).toBe(false);
+  });
+
+  it('should load undoable operations when connected', async () => {
+    const journal = createJournal([
+      { id: 'op-1', action_type: 'create', data: { id: 'a' }, created_at: '2026-03-01T09:00:00Z' },
+      { id: 'op-2', action_type: 'delete', data: { ids: ['b'] }, created_at: '2026-03-01T09:05:00Z' }
+    ]);
+
+    await history.connect({ projectId: 'p1', userId: 'u1', service: journal });
+
+    expect(journal.getUndoableOperations).toHaveBeenCalledWith('p1', 'u1', 50);
+    expect(history.getUndoLabel()).toBe('Undo Delete');
+    expect(history.peekUndo().journalId).toBe('op-2');
+  });
+
+  it('should record pushes and mark undo and redo in the journal', async () => {
+    const journal = createJournal();
+    await history.connect({ projectId: 'p1', userId: 'u1', service: journal });
+
+    history.push('delete', { ids: ['a', 'b'] });
+    await flush();
+
+    expect(journal.recordOperation).toHaveBeenCalledWith('p1', {
+      type: 'delete',
+      label: 'Delete',
+      data: { ids: ['a', 'b'] },
+      itemIds: ['a', 'b']
+    });
+
+    history.popUndo();
+    expect(journal.markUndone).toHaveBeenCalledWith('op-1');
+    history.popRedo();
+    expect(journal.markRedone).toHaveBeenCalledWith('op-1');
+  });
+
+  it('should put a failed undo back without recording it again', async () => {
+    const journal = createJournal();
+    await history.connect({ projectId: 'p1', userId: 'u1', service: journal });
+    history.push('create', { id: 'a' });
+    await flush();
+
+    const action = history.popUndo();
+    history.cancelUndo(action);
+
+    expect(history.canUndo()).toBe(true);
+    expect(history.canRedo()).toBe(false);
+    expect(journal.recordOperation).toHaveBeenCalledTimes(1);
+  });
+
+  it('should report conflicts from the journal for the next undo', async () => {
+    const journal = createJournal();
+    journal.getItemChangesSince.mockResolvedValue([
+      { plan_item_id: 'a', changed_by: 'u2', changed_at: '2026-03-02T10:05:00Z' }
+    ]);
+    await history.connect({ projectId: 'p1', userId: 'u1', service: journal });
+    history.push('update', { id: 'a', previousValues: {}, newValues: {} });
+    await flush();
+
+    const conflicts = await history.getUndoConflicts();
+
+    expect(journal.getItemChangesSince).toHaveBeenCalledWith('p1', ['a'], '2026-03-02T10:00:00.000Z');
+    expect(conflicts).toEqual([{ itemId: 'a', changedBy: 'u2', changedAt: Date.parse('2026-03-02T10:05:00Z') }]);
+  });
+});
+
+// ============================================
+// HELPERS
+// ============================================
+
+describe('getActionItemIds', () => {
+  it('should collect ids from every action shape', () => {
+    expect(getActionItemIds({ data: { createdIds: ['a'], cutIds: ['b'] } })).toEqual(['a', 'b']);
+    expect(getActionItemIds({ data: { itemIds: ['a'], previousStates: [{ id: 'a' }, { id: 'c' }] } })).toEqual(['a', 'c']);
+    expect(getActionItemIds({ data: { changes: [{ id: 'a' }, { id: 'b' }] } })).toEqual(['a', 'b']);
+  });
+});
+
+describe('findConflicts', () => {
+  const action = { type: 'update', data: { id: 'a' }, timestamp: Date.parse('2026-03-02T10:00:00Z') };
+
+  it('should ignore own changes, earlier changes and other items', () => {
+    const changes = [
+      { plan_item_id: 'a', changed_by: 'u1', changed_at: '2026-03-02T10:05:00Z' },
+      { plan_item_id: 'a', changed_by: 'u2', changed_at: '2026-03-02T09:55:00Z' },
+      { plan_item_id: 'b', changed_by: 'u2', changed_at: '2026-03-02T10:05:00Z' }
+    ];
+    expect(findConflicts(action, changes, 'u1')).toEqual([]);
+  });
+
+  it('should keep the latest conflicting change per item', () => {
+    const changes = [
+      { plan_item_id: 'a', changed_by: 'u2', changed_at: '2026-03-02T10:05:00Z' },
+      { plan_item_id: 'a', changed_by: 'u3', changed_at: '2026-03-02T10:10:00Z' }
+    ];
+    expect(findConflicts(action, changes, 'u1')).toEqual([
+      { itemId: 'a', changedBy: 'u3', changedAt: Date.parse('2026-03-02T10:10:00Z') }
+    ]);
+  });
+});
+
+describe('groupChangeEvents', () => {
+  it('should group close changes by the same user', () => {
+    const changes = [
+      { id: 5, plan_item_id: 'c', operation: 'UPDATE', old_row: { name: 'C' }, new_row: { name: 'C', is_deleted: true }, changed_by: 'u1', changed_at: '2026-03-02T10:10:00Z' },
+      { id: 4, plan_item_id: 'b', operation: 'UPDATE', old_row: { name: 'B' }, new_row: { name: 'B2' }, changed_by: 'u2', changed_at: '2026-03-02T10:00:03Z' },
+      { id: 3, plan_item_id: 'a', operation: 'UPDATE', old_row: { name: 'A' }, new_row: { name: 'A' }, changed_by: 'u2', changed_at: '2026-03-02T10:00:01Z' },
+      { id: 2, plan_item_id: 'a', operation: 'INSERT', old_row: null, new_row: { name: 'A' }, changed_by: 'u2', changed_at: '2026-03-02T10:00:00Z' }
+    ];
+
+    const events = groupChangeEvents(changes);
+
+    expect(events).toHaveLength(2);
+    expect(events[0]).toMatchObject({ id: 5, userId: 'u1', deleted: 1, names: ['C'] });
+    expect(events[1]).toMatchObject({
+      id: 4,
+      userId: 'u2',
+      startedAt: '2026-03-02T10:00:00Z',
+      endedAt: '2026-03-02T10:00:03Z',
+      itemIds: ['b', 'a'],
+      created: 1,
+      updated: 2,
+      names: ['B2', 'A']
+    });
+  });
+});
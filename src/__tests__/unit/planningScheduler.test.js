@@ -0,0 +1,202 @@
+/**
+ * Unit Tests for Planning Scheduler
+ * Location: src/__tests__/unit/planningScheduler.test.js
+ *
+ * Tests the forward pass (autoScheduleItems) and the critical path
+ * backward pass (calculateCriticalPath) from lib/planningScheduler.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  autoScheduleItems,
+  previewSchedule,
+  calculateCriticalPath
+} from '../../lib/planningScheduler';
+import { createWorkingCalendar, HOLIDAY_SETS } from '../../lib/workingCalendar';
+
+// A → B → D is the long chain; A → C → D has 3 days of slack on C
+const networkItems = () => [
+  { id: 'A', name: 'Design', start_date: '2026-03-02', end_date: '2026-03-06', predecessors: [] },
+  { id: 'B', name: 'Build', start_date: '2026-03-07', end_date: '2026-03-16', predecessors: [{ id: 'A', type: 'FS', lag: 0 }] },
+  { id: 'C', name: 'Docs', start_date: '2026-03-07', end_date: '2026-03-13', predecessors: [{ id: 'A', type: 'FS', lag: 0 }] },
+  {
+    id: 'D',
+    name: 'Handover',
+    start_date: '2026-03-17',
+    end_date: '2026-03-17',
+    predecessors: [{ id: 'B', type: 'FS', lag: 0 }, { id: 'C', type: 'FS', lag: 0 }]
+  }
+];
+
+// ============================================
+// FORWARD PASS
+// ============================================
+
+describe('autoScheduleItems', () => {
+  it('should move a successor to start the day after an FS predecessor', () => {
+    const items = [
+      { id: 'A', start_date: '2026-03-02', end_date: '2026-03-06', predecessors: [] },
+      { id: 'B', start_date: '2026-03-02', end_date: '2026-03-04', predecessors: [{ id: 'A', type: 'FS' }] }
+    ];
+
+    expect(autoScheduleItems(items)).toEqual([
+      { id: 'B', start_date: '2026-03-07', end_date: '2026-03-09' }
+    ]);
+  });
+
+  it('should apply lag to SS links', () => {
+    const items = [
+      { id: 'A', start_date: '2026-03-02', end_date: '2026-03-06', predecessors: [] },
+      { id: 'B', start_date: '2026-03-02', end_date: '2026-03-03', predecessors: [{ id: 'A', type: 'SS', lag: 2 }] }
+    ];
+
+    expect(autoScheduleItems(items)[0].start_date).toBe('2026-03-04');
+  });
+
+  it('should not schedule work on bank holidays when given a calendar', () => {
+    const calendar = createWorkingCalendar({ holidaySets: [HOLIDAY_SETS.UK_ENGLAND_WALES] });
+    const items = [
+      { id: 'A', start_date: '2026-12-21', end_date: '2026-12-24', predecessors: [] },
+      { id: 'B', start_date: '2026-12-01', end_date: '2026-12-02', predecessors: [{ id: 'A', type: 'FS' }] }
+    ];
+
+    // 25th and 28th are bank holidays, 26th/27th the weekend
+    expect(autoScheduleItems(items, { calendar })).toEqual([
+      { id: 'B', start_date: '2026-12-29', end_date: '2026-12-30' }
+    ]);
+  });
+
+  it('should prefer the assigned resource calendar', () => {
+    const calendar = createWorkingCalendar();
+    const resourceCalendars = {
+      r1: createWorkingCalendar({ nonWorkingPeriods: [{ name: 'Leave', start_date: '2026-03-09', end_date: '2026-03-13' }] })
+    };
+    const items = [
+      { id: 'A', start_date: '2026-03-02', end_date: '2026-03-06', predecessors: [] },
+      { id: 'B', assigned_resource_id: 'r1', start_date: '2026-03-02', end_date: '2026-03-03', predecessors: [{ id: 'A', type: 'FS' }] }
+    ];
+
+    expect(previewSchedule(items[1], items, { calendar, resourceCalendars })).toEqual({
+      start_date: '2026-03-16',
+      end_date: '2026-03-17'
+    });
+  });
+
+  it('should hold a start-no-earlier-than constraint', () => {
+    const items = [
+      { id: 'A', start_date: '2026-03-02', end_date: '2026-03-06', predecessors: [] },
+      {
+        id: 'B',
+        start_date: '2026-03-10',
+        end_date: '2026-03-11',
+        constraint_type: 'SNET',
+        constraint_date: '2026-03-10',
+        predecessors: [{ id: 'A', type: 'FS' }]
+      }
+    ];
+
+    expect(autoScheduleItems(items)).toEqual([]);
+    expect(autoScheduleItems([{ ...items[0], end_date: '2026-03-12' }, items[1]])).toEqual([
+      { id: 'B', start_date: '2026-03-13', end_date: '2026-03-14' }
+    ]);
+  });
+});
+
+// ============================================
+// CRITICAL PATH
+// ============================================
+
+describe('calculateCriticalPath', () => {
+  it('should flag the longest chain as critical', () => {
+    const { criticalIds, projectFinish } = calculateCriticalPath(networkItems());
+
+    expect(criticalIds).toEqual(['A', 'B', 'D']);
+    expect(projectFinish).toBe('2026-03-17');
+  });
+
+  it('should calculate late dates and total float for non-critical items', () => {
+    const { results } = calculateCriticalPath(networkItems());
+
+    expect(results.C.late_start).toBe('2026-03-10');
+    expect(results.C.late_finish).toBe('2026-03-16');
+    expect(results.C.total_float).toBe(3);
+    expect(results.C.is_critical).toBe(false);
+  });
+
+  it('should calculate free float against the earliest successor', () => {
+    const items = networkItems();
+    // Push D out so B and C both have a gap before it
+    items[3] = { ...items[3], start_date: '2026-03-19', end_date: '2026-03-19' };
+
+    const { results } = calculateCriticalPath(items);
+
+    expect(results.B.free_float).toBe(2);
+    expect(results.C.free_float).toBe(5);
+    expect(results.A.free_float).toBe(0);
+  });
+
+  it('should report negative float when a dependency is violated', () => {
+    const items = networkItems();
+    items[3] = { ...items[3], start_date: '2026-03-15', end_date: '2026-03-15' };
+
+    const { results } = calculateCriticalPath(items);
+
+    expect(results.B.total_float).toBeLessThan(0);
+    expect(results.B.is_critical).toBe(true);
+  });
+
+  it('should handle SS and FF links', () => {
+    const items = [
+      { id: 'A', start_date: '2026-03-02', end_date: '2026-03-11', predecessors: [] },
+      { id: 'B', start_date: '2026-03-04', end_date: '2026-03-12', predecessors: [{ id: 'A', type: 'SS', lag: 2 }] },
+      { id: 'C', start_date: '2026-03-05', end_date: '2026-03-13', predecessors: [{ id: 'B', type: 'FF', lag: 0 }] }
+    ];
+
+    const { results, criticalIds } = calculateCriticalPath(items);
+
+    expect(criticalIds).toEqual(['A', 'B', 'C']);
+    expect(results.B.total_float).toBe(0);
+  });
+
+  it('should count float in working days when skipping weekends', () => {
+    const items = [
+      { id: 'A', start_date: '2026-03-02', end_date: '2026-03-06', predecessors: [] },
+      { id: 'B', start_date: '2026-03-02', end_date: '2026-03-13', predecessors: [] }
+    ];
+
+    const { results } = calculateCriticalPath(items, { skipWeekends: true });
+
+    // A can slip from Fri 6th to Fri 13th: 5 working days
+    expect(results.A.total_float).toBe(5);
+    expect(results.B.is_critical).toBe(true);
+  });
+
+  it('should roll criticality up to summary items', () => {
+    const items = [
+      { id: 'M', item_type: 'milestone', start_date: '2026-03-02', end_date: '2026-03-10', predecessors: [] },
+      { id: 'T1', parent_id: 'M', start_date: '2026-03-02', end_date: '2026-03-10', predecessors: [] },
+      { id: 'X', start_date: '2026-03-02', end_date: '2026-03-20', predecessors: [] }
+    ];
+
+    const { results } = calculateCriticalPath(items, { criticalThreshold: 10 });
+
+    expect(results.T1.is_critical).toBe(true);
+    expect(results.M.is_critical).toBe(true);
+  });
+
+  it('should ignore items without dates', () => {
+    const items = [
+      { id: 'A', start_date: '2026-03-02', end_date: '2026-03-06', predecessors: [] },
+      { id: 'B', start_date: null, end_date: null, predecessors: [{ id: 'A', type: 'FS' }] }
+    ];
+
+    const { results } = calculateCriticalPath(items);
+
+    expect(results.B).toBeUndefined();
+    expect(results.A.is_critical).toBe(true);
+  });
+
+  it('should return an empty result for an empty plan', () => {
+    expect(calculateCriticalPath([])).toEqual({ results: {}, criticalIds: [], projectFinish: null });
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Unit Tests for RAID Actions
+ * Location: src/__tests__/unit/raidActions.test.js
+ *
+ * Tests overdue days, validation, status changes, progress and the
+ * Mitigated check from lib/raidActions.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  RAID_ACTION_TYPE,
+  RAID_ACTION_STATUS,
+  getDaysOverdue,
+  isActionOverdue,
+  validateRaidAction,
+  getStatusChange,
+  summariseActions,
+  canMarkMitigated
+} from '../../lib/raidActions';
+
+const TODAY = '2026-10-19';
+
+const action = (overrides = {}) => ({
+  id: 'a1',
+  action_type: RAID_ACTION_TYPE.MITIGATION,
+  description: 'Agree a second supplier',
+  status: RAID_ACTION_STATUS.NOT_STARTED,
+  due_date: '2026-10-15',
+  completed_date: null,
+  ...overrides
+});
+
+describe('getDaysOverdue', () => {
+  it('should count days past the due date for open actions', () => {
+    expect(getDaysOverdue(action(), TODAY)).toBe(4);
+    expect(getDaysOverdue(action({ status: RAID_ACTION_STATUS.IN_PROGRESS }), TODAY)).toBe(4);
+    expect(isActionOverdue(action(), TODAY)).toBe(true);
+  });
+
+  it('should not treat due today, undated or closed actions as overdue', () => {
+    expect(getDaysOverdue(action({ due_date: TODAY }), TODAY)).toBe(0);
+    expect(getDaysOverdue(action({ due_date: null }), TODAY)).toBe(0);
+    expect(getDaysOverdue(action({ status: RAID_ACTION_STATUS.COMPLETED, completed_date: TODAY }), TODAY)).toBe(0);
+    expect(isActionOverdue(action({ status: RAID_ACTION_STATUS.CANCELLED }), TODAY)).toBe(false);
+  });
+});
+
+describe('validateRaidAction', () => {
+  it('should accept a complete action', () => {
+    expect(validateRaidAction(action())).toBeNull();
+  });
+
+  it('should reject missing descriptions, unknown types and statuses', () => {
+    expect(validateRaidAction(action({ description: '  ' }))).toMatch(/describe/i);
+    expect(validateRaidAction(action({ action_type: 'avoidance' }))).toMatch(/mitigation or contingency/i);
+    expect(validateRaidAction(action({ status: 'Done' }))).toMatch(/status/i);
+  });
+
+  it('should require a completion date on completed actions', () => {
+    expect(validateRaidAction(action({ status: RAID_ACTION_STATUS.COMPLETED }))).toMatch(/completed/i);
+  });
+});
+
+describe('getStatusChange', () => {
+  it('should stamp the completion date when completing', () => {
+    expect(getStatusChange(action(), RAID_ACTION_STATUS.COMPLETED, TODAY)).toEqual({
+      status: RAID_ACTION_STATUS.COMPLETED, completed_date: TODAY
+    });
+  });
+
+  it('should keep an existing completion date', () => {
+    const done = action({ status: RAID_ACTION_STATUS.COMPLETED, completed_date: '2026-10-10' });
+    expect(getStatusChange(done, RAID_ACTION_STATUS.COMPLETED, TODAY).completed_date).toBe('2026-10-10');
+  });
+
+  it('should clear the completion date when reopening', () => {
+    const done = action({ status: RAID_ACTION_STATUS.COMPLETED, completed_date: '2026-10-10' });
+    expect(getStatusChange(done, RAID_ACTION_STATUS.IN_PROGRESS, TODAY)).toEqual({
+      status: RAID_ACTION_STATUS.IN_PROGRESS, completed_date: null
+    });
+  });
+});
+
+describe('summariseActions', () => {
+  it('should count progress and leave cancelled actions out of the percentage', () => {
+    const summary = summariseActions([
+      action({ id: 'a1' }),
+      action({ id: 'a2', status: RAID_ACTION_STATUS.COMPLETED, completed_date: TODAY }),
+      action({ id: 'a3', status: RAID_ACTION_STATUS.IN_PROGRESS, due_date: '2026-11-01' }),
+      action({ id: 'a4', status: RAID_ACTION_STATUS.CANCELLED })
+    ], TODAY);
+
+    expect(summary).toEqual({
+      total: 4, open: 2, completed: 1, cancelled: 1, overdue: 1, percentComplete: 33
+    });
+  });
+
+  it('should report zero progress with no actions', () => {
+    expect(summariseActions([], TODAY).percentComplete).toBe(0);
+  });
+});
+
+describe('canMarkMitigated', () => {
+  const item = { status: 'Open' };
+  const completed = { status: RAID_ACTION_STATUS.COMPLETED, completed_date: TODAY };
+
+  it('should allow once every mitigation action is closed and one was completed', () => {
+    expect(canMarkMitigated(item, [
+      action({ id: 'a1', ...completed }),
+      action({ id: 'a2', status: RAID_ACTION_STATUS.CANCELLED }),
+      action({ id: 'a3', action_type: RAID_ACTION_TYPE.CONTINGENCY })
+    ])).toBe(true);
+  });
+
+  it('should wait for open mitigation actions', () => {
+    expect(canMarkMitigated(item, [
+      action({ id: 'a1', ...completed }),
+      action({ id: 'a2', status: RAID_ACTION_STATUS.IN_PROGRESS })
+    ])).toBe(false);
+  });
+
+  it('should need a completed mitigation action on an open item', () => {
+    expect(canMarkMitigated(item, [action({ status: RAID_ACTION_STATUS.CANCELLED })])).toBe(false);
+    expect(canMarkMitigated(item, [action({ action_type: RAID_ACTION_TYPE.CONTINGENCY, ...completed })])).toBe(false);
+    expect(canMarkMitigated({ status: 'Closed' }, [action(completed)])).toBe(false);
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Unit Tests for RAID Scoring
+ * Location: src/__tests__/unit/raidScoring.test.js
+ *
+ * Tests levels, ratings, inherent and residual scores, exposure, heat map
+ * placement and the scoring summary from lib/raidScoring.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  RISK_RATING,
+  normaliseLevel,
+  getLegacyLevel,
+  getRating,
+  scoreRaidItem,
+  getExposure,
+  buildHeatMap,
+  summariseRaidScoring
+} from '../../lib/raidScoring';
+
+const risk = (overrides = {}) => ({
+  id: 'r1', raid_ref: 'R001', title: 'Supplier delay', category: 'Risk', status: 'Open', ...overrides
+});
+
+describe('levels and ratings', () => {
+  it('should cap levels at the scale and ignore blanks', () => {
+    expect(normaliseLevel(4, 5)).toBe(4);
+    expect(normaliseLevel(5, 3)).toBe(3);
+    expect(normaliseLevel('', 5)).toBeNull();
+    expect(normaliseLevel(0, 5)).toBeNull();
+  });
+
+  it('should keep a Low/Medium/High label for each level', () => {
+    expect([1, 2, 3, 4, 5].map(level => getLegacyLevel(level, 5))).toEqual(['Low', 'Low', 'Medium', 'High', 'High']);
+    expect([1, 2, 3].map(level => getLegacyLevel(level, 3))).toEqual(['Low', 'Medium', 'High']);
+  });
+
+  it('should band scores on each scale', () => {
+    expect([4, 5, 12, 20].map(score => getRating(score, 5))).toEqual([
+      RISK_RATING.LOW, RISK_RATING.MEDIUM, RISK_RATING.HIGH, RISK_RATING.CRITICAL
+    ]);
+    expect([2, 3, 6, 9].map(score => getRating(score, 3))).toEqual([
+      RISK_RATING.LOW, RISK_RATING.MEDIUM, RISK_RATING.HIGH, RISK_RATING.CRITICAL
+    ]);
+  });
+});
+
+describe('scoreRaidItem', () => {
+  it('should score inherent and residual probability × impact', () => {
+    const scores = scoreRaidItem(risk({ probability_score: 4, impact_score: 5, residual_probability_score: 2 }), 5);
+    expect(scores.inherent).toEqual({ probability: 4, impact: 5, score: 20, rating: RISK_RATING.CRITICAL });
+    // Residual impact left blank keeps the inherent impact
+    expect(scores.residual).toEqual({ probability: 2, impact: 5, score: 10, rating: RISK_RATING.HIGH });
+    expect(scores.current).toBe(scores.residual);
+  });
+
+  it('should fall back to legacy probability and severity', () => {
+    const scores = scoreRaidItem(risk({ probability: 'High', severity: 'Medium' }), 5);
+    expect(scores.inherent).toMatchObject({ probability: 4, impact: 3, score: 12 });
+    expect(scores.residual).toBeNull();
+    expect(scores.current).toBe(scores.inherent);
+  });
+
+  it('should leave items without probability or impact unscored', () => {
+    expect(scoreRaidItem(risk({ probability_score: 3 }), 5).current).toBeNull();
+  });
+});
+
+describe('getExposure', () => {
+  it('should weight cost impact by the probability of each level', () => {
+    const item = risk({ probability_score: 4, impact_score: 4, residual_probability_score: 2, cost_impact: 10000 });
+    expect(getExposure(item, 5)).toEqual({ costImpact: 10000, inherent: 7000, residual: 2000 });
+  });
+
+  it('should count the full cost impact of an issue', () => {
+    const issue = risk({ category: 'Issue', probability_score: 1, impact_score: 3, cost_impact: 5000 });
+    expect(getExposure(issue, 5)).toEqual({ costImpact: 5000, inherent: 5000, residual: 5000 });
+  });
+
+  it('should return null without a cost impact', () => {
+    expect(getExposure(risk({ probability_score: 4, impact_score: 4 }), 5)).toBeNull();
+  });
+});
+
+describe('buildHeatMap', () => {
+  const items = [
+    risk({ id: 'a', raid_ref: 'R001', probability_score: 3, impact_score: 2, residual_probability_score: 1 }),
+    risk({ id: 'b', raid_ref: 'R002' }),
+    risk({ id: 'c', raid_ref: 'R003', probability_score: 3, impact_score: 3, status: 'Closed' }),
+    risk({ id: 'd', raid_ref: 'I001', category: 'Issue', probability_score: 3, impact_score: 3 })
+  ];
+
+  it('should place open risks with the highest probability first', () => {
+    const heatMap = buildHeatMap(items, 3);
+    expect(heatMap.rows.map(r => r.probability)).toEqual([3, 2, 1]);
+    expect(heatMap.rows[0].cells[1].items).toEqual([{ id: 'a', raid_ref: 'R001', title: 'Supplier delay' }]);
+    expect(heatMap.unscored).toBe(1);
+  });
+
+  it('should place risks by residual scores when asked', () => {
+    const heatMap = buildHeatMap(items, 3, { residual: true });
+    expect(heatMap.rows[2].cells[1].items.map(i => i.id)).toEqual(['a']);
+    expect(heatMap.rows[0].cells[1].items).toEqual([]);
+  });
+});
+
+describe('summariseRaidScoring', () => {
+  const items = [
+    risk({ id: 'a', raid_ref: 'R001', probability_score: 2, impact_score: 3, cost_impact: 1000 }),
+    risk({ id: 'b', raid_ref: 'R002', probability_score: 5, impact_score: 4, residual_probability_score: 3, cost_impact: 20000 }),
+    risk({ id: 'c', raid_ref: 'R003', probability_score: 5, impact_score: 5, status: 'Mitigated', cost_impact: 50000 }),
+    risk({ id: 'd', raid_ref: 'I001', category: 'Issue', probability_score: 5, impact_score: 2, cost_impact: 3000 }),
+    risk({ id: 'e', raid_ref: 'A001', category: 'Assumption', probability: 'High', severity: 'High' })
+  ];
+
+  it('should rank open risks by current score', () => {
+    const summary = summariseRaidScoring(items, 5);
+    expect(summary.topRisks.map(r => [r.raid_ref, r.inherentScore, r.residualScore, r.score])).toEqual([
+      ['R002', 20, 12, 12],
+      ['R001', 6, null, 6]
+    ]);
+    expect(summary.byRating).toEqual({ low: 0, medium: 1, high: 2, critical: 0 });
+  });
+
+  it('should total exposure and contingency for open risks and issues', () => {
+    const summary = summariseRaidScoring(items, 5);
+    // R001 1000 × 20%, R002 20000 × 90% / 50%, I001 3000 in full
+    expect(summary.exposure).toEqual({ costImpact: 24000, inherent: 21200, residual: 13200, items: 3 });
+    expect(summary.contingency).toBe(13200);
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Unit Tests for Rate Cards
+ * Location: src/__tests__/unit/rateCards.test.js
+ *
+ * Tests scope precedence, effective dates and rate history from
+ * lib/rateCards.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  RATE_SOURCE,
+  getRateCardScope,
+  validateRateCard,
+  createRateResolver,
+  getTimesheetSellValue,
+  getTimesheetCostValue,
+  getRateHistory
+} from '../../lib/rateCards';
+
+const resource = { id: 'r1', role: 'Developer', sfia_level: 4, sell_price: 800, cost_price: 500 };
+
+const cards = [
+  { id: 'c1', sfia_level: 4, effective_from: '2026-01-01', sell_price: 850, cost_price: 550 },
+  { id: 'c2', role: 'developer', effective_from: '2026-04-01', sell_price: 900 },
+  { id: 'c3', resource_id: 'r1', effective_from: '2026-07-01', sell_price: 1000, cost_price: 600 },
+  { id: 'c4', resource_id: 'r1', effective_from: '2026-09-01', sell_price: 1100, is_deleted: true }
+];
+
+describe('getRateCardScope', () => {
+  it('should identify the scope of a card', () => {
+    expect(getRateCardScope({ resource_id: 'r1' })).toBe('resource');
+    expect(getRateCardScope({ role: 'Tester' })).toBe('role');
+    expect(getRateCardScope({ sfia_level: 3 })).toBe('sfia_level');
+    expect(getRateCardScope({})).toBeNull();
+  });
+});
+
+describe('validateRateCard', () => {
+  it('should accept a scoped, dated card with a rate', () => {
+    expect(validateRateCard({ role: 'Tester', effective_from: '2026-01-01', cost_price: 400 })).toBeNull();
+  });
+
+  it('should reject cards with no scope or more than one', () => {
+    expect(validateRateCard({ effective_from: '2026-01-01', sell_price: 1 })).toMatch(/exactly one/);
+    expect(validateRateCard({ resource_id: 'r1', role: 'Dev', effective_from: '2026-01-01', sell_price: 1 }))
+      .toMatch(/exactly one/);
+  });
+
+  it('should require a date, a rate and no negatives', () => {
+    expect(validateRateCard({ role: 'Dev', sell_price: 1 })).toMatch(/date/);
+    expect(validateRateCard({ role: 'Dev', effective_from: '2026-01-01', sell_price: '' })).toMatch(/sell rate/);
+    expect(validateRateCard({ role: 'Dev', effective_from: '2026-01-01', sell_price: -5 })).toMatch(/negative/);
+  });
+});
+
+describe('createRateResolver', () => {
+  const resolve = createRateResolver(cards);
+
+  it('should fall back to the resource rates before any card applies', () => {
+    expect(resolve(resource, '2025-12-31')).toEqual({
+      sell_price: 800,
+      cost_price: 500,
+      sellSource: RATE_SOURCE.RESOURCE_DEFAULT,
+      costSource: RATE_SOURCE.RESOURCE_DEFAULT
+    });
+  });
+
+  it('should apply the SFIA level card from its effective date', () => {
+    expect(resolve(resource, '2026-01-01')).toMatchObject({ sell_price: 850, cost_price: 550 });
+  });
+
+  it('should resolve sell and cost independently', () => {
+    // Role card only sets a sell rate; cost stays on the SFIA card
+    expect(resolve(resource, '2026-05-15')).toEqual({
+      sell_price: 900,
+      cost_price: 550,
+      sellSource: RATE_SOURCE.ROLE,
+      costSource: RATE_SOURCE.SFIA_LEVEL
+    });
+  });
+
+  it('should prefer the resource card and ignore deleted cards', () => {
+    expect(resolve(resource, '2026-10-01')).toMatchObject({ sell_price: 1000, cost_price: 600, sellSource: 'resource' });
+  });
+
+  it('should not apply cards for other resources, roles or levels', () => {
+    const other = { id: 'r2', role: 'Tester', sfia_level: 3, sell_price: 600, cost_price: null };
+    expect(resolve(other, '2026-10-01')).toMatchObject({ sell_price: 600, cost_price: null });
+  });
+
+  it('should accept Date objects', () => {
+    expect(resolve(resource, new Date('2026-08-01T12:00:00Z')).sell_price).toBe(1000);
+  });
+});
+
+describe('timesheet values', () => {
+  const resolve = createRateResolver(cards);
+
+  it('should value hours at the rate on the timesheet date', () => {
+    expect(getTimesheetSellValue(resolve, resource, '2026-03-01', 8)).toBe(850);
+    expect(getTimesheetSellValue(resolve, resource, '2026-07-01', 4)).toBe(500);
+    expect(getTimesheetCostValue(resolve, resource, '2026-07-01', 16)).toBe(1200);
+  });
+});
+
+describe('getRateHistory', () => {
+  it('should list each applicable change with the rates in force', () => {
+    const history = getRateHistory(cards, resource);
+
+    expect(history.map(h => [h.effective_from, h.sell_price, h.cost_price])).toEqual([
+      ['2026-01-01', 850, 550],
+      ['2026-04-01', 900, 550],
+      ['2026-07-01', 1000, 600]
+    ]);
+    expect(history[1].cards.map(c => c.id)).toEqual(['c2']);
+  });
+
+  it('should be empty when no card applies', () => {
+    expect(getRateHistory(cards, { id: 'r9', role: 'PM', sfia_level: 6 })).toEqual([]);
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Unit Tests for Resource Loading
+ * Location: src/__tests__/unit/resourceLoading.test.js
+ *
+ * Tests per-resource load, capacity and levelling from lib/resourceLoading.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  getItemAssignments,
+  createCapacityLookup,
+  calculateResourceLoad,
+  levelResources
+} from '../../lib/resourceLoading';
+import { WEEKDAYS_CALENDAR } from '../../lib/workingCalendar';
+
+// 2 March 2026 is a Monday
+const plan = [
+  {
+    id: 'a', name: 'Design', start_date: '2026-03-02', end_date: '2026-03-06',
+    resource_assignments: [{ resource_id: 'r1', effort_days: null }]
+  },
+  {
+    id: 'b', name: 'Review', start_date: '2026-03-02', end_date: '2026-03-03',
+    resource_assignments: [{ resource_id: 'r1', effort_days: null }]
+  },
+  {
+    id: 'c', name: 'Build', start_date: '2026-03-09', end_date: '2026-03-13',
+    predecessors: [{ id: 'a', type: 'FS', lag: 0 }]
+  }
+];
+
+// ============================================
+// ASSIGNMENTS AND CAPACITY
+// ============================================
+
+describe('getItemAssignments', () => {
+  it('should fall back to the single assigned resource as full time', () => {
+    expect(getItemAssignments({ assigned_resource_id: 'r1' }))
+      .toEqual([{ resource_id: 'r1', effort_days: null }]);
+  });
+
+  it('should normalise effort and drop assignments without a resource', () => {
+    const assignments = getItemAssignments({
+      resource_assignments: [{ resource_id: 'r1', effort_days: '2.5' }, { effort_days: 1 }]
+    });
+    expect(assignments).toEqual([{ resource_id: 'r1', effort_days: 2.5 }]);
+  });
+});
+
+describe('createCapacityLookup', () => {
+  it('should reduce capacity for non-working days and time off', () => {
+    const capacityFor = createCapacityLookup({
+      calendar: WEEKDAYS_CALENDAR,
+      resources: [{ id: 'r1', user_id: 'u1' }],
+      availability: [
+        { user_id: 'u1', date: '2026-03-03', status: 'out_of_office', period: 'pm' },
+        { user_id: 'u1', date: '2026-03-04', status: 'out_of_office', period: 'full_day' }
+      ]
+    });
+
+    expect(capacityFor('r1', '2026-03-02')).toBe(1);
+    expect(capacityFor('r1', '2026-03-03')).toBe(0.5);
+    expect(capacityFor('r1', '2026-03-04')).toBe(0);
+    expect(capacityFor('r1', '2026-03-07')).toBe(0); // Saturday
+  });
+});
+
+// ============================================
+// LOAD
+// ============================================
+
+describe('calculateResourceLoad', () => {
+  it('should flag days where load exceeds capacity', () => {
+    const { resources, overAllocatedDays, start, end } = calculateResourceLoad(plan, { calendar: WEEKDAYS_CALENDAR });
+
+    expect(resources.r1.days['2026-03-02']).toEqual({ load: 2, capacity: 1, itemIds: ['a', 'b'] });
+    expect(resources.r1.overAllocatedDates).toEqual(['2026-03-02', '2026-03-03']);
+    expect(resources.r1.peakLoad).toBe(2);
+    expect(overAllocatedDays).toBe(2);
+    expect(start).toBe('2026-03-02');
+    expect(end).toBe('2026-03-06');
+  });
+
+  it('should spread effort over working days only', () => {
+    const items = [{
+      id: 'x', start_date: '2026-03-05', end_date: '2026-03-10',
+      resource_assignments: [{ resource_id: 'r2', effort_days: 2 }]
+    }];
+    const { resources } = calculateResourceLoad(items, { calendar: WEEKDAYS_CALENDAR });
+
+    expect(Object.keys(resources.r2.days)).toEqual(['2026-03-05', '2026-03-06', '2026-03-09', '2026-03-10']);
+    expect(resources.r2.days['2026-03-05'].load).toBe(0.5);
+    expect(resources.r2.overAllocatedDates).toEqual([]);
+  });
+
+  it('should not count effort on summary items', () => {
+    const items = [
+      { id: 'm', start_date: '2026-03-02', end_date: '2026-03-06', assigned_resource_id: 'r1' },
+      { id: 't', parent_id: 'm', start_date: '2026-03-02', end_date: '2026-03-06', assigned_resource_id: 'r1' }
+    ];
+    const { resources } = calculateResourceLoad(items, { calendar: WEEKDAYS_CALENDAR });
+
+    expect(resources.r1.days['2026-03-02'].itemIds).toEqual(['t']);
+    expect(resources.r1.overAllocatedDates).toEqual([]);
+  });
+});
+
+// ============================================
+// LEVELLING
+// ============================================
+
+describe('levelResources', () => {
+  it('should delay a non-critical item within its float', () => {
+    const result = levelResources(plan, { calendar: WEEKDAYS_CALENDAR });
+
+    expect(result.updates).toEqual([{
+      id: 'b',
+      start_date: '2026-03-09',
+      end_date: '2026-03-10',
+      constraint_type: 'SNET',
+      constraint_date: '2026-03-09',
+      delay: 5
+    }]);
+    expect(result.overAllocatedBefore).toBe(2);
+    expect(result.overAllocatedAfter).toBe(0);
+  });
+
+  it('should not move critical items or the plan finish', () => {
+    const critical = [
+      { ...plan[0], end_date: '2026-03-13' },
+      { ...plan[1], end_date: '2026-03-13' } // Both finish with the plan - no float
+    ];
+    const result = levelResources(critical, { calendar: WEEKDAYS_CALENDAR });
+
+    expect(result.updates).toEqual([]);
+    expect(result.overAllocatedAfter).toBe(result.overAllocatedBefore);
+  });
+
+  it('should clear a levelling constraint that is no longer needed', () => {
+    const items = [
+      { ...plan[0] },
+      { ...plan[1], id: 'd', predecessors: [{ id: 'a', type: 'FS', lag: 0 }], start_date: '2026-03-16', end_date: '2026-03-17', constraint_type: 'SNET', constraint_date: '2026-03-16' },
+      { ...plan[2], end_date: '2026-03-20' }
+    ];
+    const result = levelResources(items, { calendar: WEEKDAYS_CALENDAR });
+
+    expect(result.updates).toEqual([{
+      id: 'd',
+      start_date: '2026-03-09',
+      end_date: '2026-03-10',
+      constraint_type: null,
+      constraint_date: null,
+      delay: -5
+    }]);
+  });
+});
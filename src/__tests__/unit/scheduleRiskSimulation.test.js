@@ -0,0 +1,185 @@
+/**
+ * Unit Tests for Schedule Risk Simulation
+ * Location: src/__tests__/unit/scheduleRiskSimulation.test.js
+ *
+ * Tests the seeded RNG, sampling helpers and Monte Carlo results from
+ * lib/scheduleRiskSimulation.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  createRng,
+  sampleTriangular,
+  getThreePointEstimate,
+  percentile,
+  correlation,
+  getSimulationTasks,
+  runScheduleRiskSimulation
+} from '../../lib/scheduleRiskSimulation';
+
+const NO_RANGE = { optimistic: 1, pessimistic: 1 };
+
+// Milestone M with A -> B in sequence and C in parallel with float
+const plan = [
+  { id: 'm', item_type: 'milestone', name: 'Delivery', start_date: '2026-01-01', end_date: '2026-01-10' },
+  { id: 'a', parent_id: 'm', item_type: 'task', name: 'Design', start_date: '2026-01-01', end_date: '2026-01-05' },
+  {
+    id: 'b', parent_id: 'm', item_type: 'task', name: 'Build', start_date: '2026-01-06', end_date: '2026-01-10',
+    predecessors: [{ id: 'a', type: 'FS', lag: 0 }]
+  },
+  { id: 'c', parent_id: 'm', item_type: 'task', name: 'Docs', start_date: '2026-01-01', end_date: '2026-01-03' }
+];
+
+describe('createRng', () => {
+  it('should repeat the same sequence for the same seed', () => {
+    const first = createRng(42);
+    const second = createRng(42);
+    const a = Array.from({ length: 5 }, () => first());
+    const b = Array.from({ length: 5 }, () => second());
+    expect(a).toEqual(b);
+    expect(a.every(v => v >= 0 && v < 1)).toBe(true);
+  });
+
+  it('should differ between seeds', () => {
+    expect(createRng(1)()).not.toBe(createRng(2)());
+  });
+});
+
+describe('sampleTriangular', () => {
+  it('should map the uniform range onto the estimate range', () => {
+    expect(sampleTriangular(2, 5, 10, 0)).toBe(2);
+    expect(sampleTriangular(2, 5, 10, 0.375)).toBeCloseTo(5);
+    expect(sampleTriangular(2, 5, 10, 0.999999)).toBeCloseTo(10, 1);
+    expect(sampleTriangular(5, 5, 5, 0.5)).toBe(5);
+  });
+});
+
+describe('getThreePointEstimate', () => {
+  it('should default to the range around the planned duration', () => {
+    expect(getThreePointEstimate({}, 10)).toEqual({ optimistic: 9, mostLikely: 10, pessimistic: 13 });
+  });
+
+  it('should use the item estimates, kept either side of the most likely', () => {
+    expect(getThreePointEstimate({ duration_optimistic: 6, duration_pessimistic: 20 }, 10))
+      .toEqual({ optimistic: 6, mostLikely: 10, pessimistic: 20 });
+    expect(getThreePointEstimate({ duration_optimistic: 12, duration_pessimistic: 8 }, 10))
+      .toEqual({ optimistic: 10, mostLikely: 10, pessimistic: 10 });
+  });
+
+  it('should fix completed items at their planned duration', () => {
+    expect(getThreePointEstimate({ status: 'completed', duration_pessimistic: 20 }, 10))
+      .toEqual({ optimistic: 10, mostLikely: 10, pessimistic: 10 });
+  });
+});
+
+describe('percentile and correlation', () => {
+  it('should use the nearest rank', () => {
+    const sorted = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+    expect(percentile(sorted, 50)).toBe(5);
+    expect(percentile(sorted, 80)).toBe(8);
+    expect(percentile(sorted, 90)).toBe(9);
+    expect(percentile([], 50)).toBeNull();
+  });
+
+  it('should correlate series and return null for flat ones', () => {
+    expect(correlation([1, 2, 3], [2, 4, 6])).toBeCloseTo(1);
+    expect(correlation([1, 2, 3], [6, 4, 2])).toBeCloseTo(-1);
+    expect(correlation([1, 1, 1], [1, 2, 3])).toBeNull();
+  });
+});
+
+describe('getSimulationTasks', () => {
+  it('should list tasks with working-day estimates, not summaries', () => {
+    const items = plan.map(i => (i.id === 'a' ? { ...i, duration_optimistic: 3, duration_pessimistic: 8 } : i));
+    const tasks = getSimulationTasks(items, { skipWeekends: true });
+
+    expect(tasks.map(t => t.id)).toEqual(['a', 'b', 'c']);
+    // 1-5 Jan 2026 is Thursday to Monday: 3 working days
+    expect(tasks[0]).toMatchObject({ optimistic: 3, mostLikely: 3, pessimistic: 8, isDefault: false });
+    expect(tasks[2]).toMatchObject({ mostLikely: 2, isDefault: true });
+  });
+});
+
+describe('runScheduleRiskSimulation', () => {
+  it('should reproduce the plan when there is no uncertainty', () => {
+    const result = runScheduleRiskSimulation(plan, { iterations: 50, range: NO_RANGE });
+
+    expect(result.plan).toEqual({
+      plannedFinish: '2026-01-10',
+      p50: '2026-01-10',
+      p80: '2026-01-10',
+      p90: '2026-01-10',
+      onTimeProbability: 1
+    });
+    expect(result.milestones).toEqual([expect.objectContaining({ id: 'm', p90: '2026-01-10' })]);
+    expect(result.criticality).toEqual([
+      { id: 'a', name: 'Design', index: 1 },
+      { id: 'b', name: 'Build', index: 1 }
+    ]);
+    expect(result.tornado).toEqual([]);
+  });
+
+  it('should give identical results for the same seed', () => {
+    const first = runScheduleRiskSimulation(plan, { iterations: 200, seed: 7 });
+    const second = runScheduleRiskSimulation(plan, { iterations: 200, seed: 7 });
+    expect(first).toEqual(second);
+  });
+
+  it('should rank the widest estimate first in the tornado', () => {
+    const risky = plan.map(i => (i.id === 'b' ? { ...i, duration_optimistic: 4, duration_pessimistic: 15 } : i));
+    const result = runScheduleRiskSimulation(risky, { iterations: 500, seed: 3 });
+
+    expect(result.tornado[0]).toMatchObject({ id: 'b', optimistic: 4, mostLikely: 5, pessimistic: 15 });
+    expect(result.tornado[0].correlation).toBeGreaterThan(0.8);
+    expect(result.plan.p90 >= result.plan.p80).toBe(true);
+    expect(result.plan.p80 >= result.plan.p50).toBe(true);
+    expect(result.plan.onTimeProbability).toBeLessThan(0.5);
+  });
+
+  it('should move a parallel task onto the critical path when it can overrun', () => {
+    const risky = plan.map(i => (i.id === 'c' ? { ...i, duration_pessimistic: 30 } : i));
+    const result = runScheduleRiskSimulation(risky, { iterations: 500, seed: 11, range: NO_RANGE });
+    const docs = result.criticality.find(c => c.id === 'c');
+
+    expect(docs.index).toBeGreaterThan(0.4);
+    expect(docs.index).toBeLessThan(1);
+  });
+
+  it('should apply links on a summary to the tasks beneath it', () => {
+    const items = [
+      ...plan,
+      {
+        id: 'm2', item_type: 'milestone', name: 'Go live', start_date: '2026-01-11', end_date: '2026-01-12',
+        predecessors: [{ id: 'm', type: 'FS', lag: 2 }]
+      },
+      { id: 'd', parent_id: 'm2', item_type: 'task', name: 'Deploy', start_date: '2026-01-11', end_date: '2026-01-12' }
+    ];
+    const result = runScheduleRiskSimulation(items, { iterations: 10, range: NO_RANGE });
+
+    expect(result.milestones.find(m => m.id === 'm2')).toMatchObject({
+      plannedFinish: '2026-01-12',
+      p50: '2026-01-14',
+      onTimeProbability: 0
+    });
+  });
+
+  it('should count durations and lags in working days', () => {
+    const items = [
+      { id: 'a', name: 'A', start_date: '2026-01-05', end_date: '2026-01-09' },
+      { id: 'b', name: 'B', start_date: '2026-01-12', end_date: '2026-01-12', predecessors: [{ id: 'a', type: 'FS', lag: 1 }] }
+    ];
+    const result = runScheduleRiskSimulation(items, { iterations: 5, range: NO_RANGE, skipWeekends: true });
+
+    // Friday finish + 1 day lag skips the weekend to Tuesday
+    expect(result.plan.p50).toBe('2026-01-13');
+  });
+
+  it('should return an empty result without dated items', () => {
+    expect(runScheduleRiskSimulation([{ id: 'x' }], { seed: 5 })).toMatchObject({
+      seed: 5,
+      plan: null,
+      milestones: [],
+      tornado: []
+    });
+  });
+});
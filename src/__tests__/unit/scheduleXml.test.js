@@ -0,0 +1,179 @@
+/**
+ * Unit Tests for Schedule XML Exchange
+ * Location: src/__tests__/unit/scheduleXml.test.js
+ *
+ * Tests MSPDI and Primavera P6 XML import/export from lib/scheduleXml.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  SCHEDULE_FORMATS,
+  exportToMspdi,
+  exportToP6Xml,
+  parseScheduleXml
+} from '../../lib/scheduleXml';
+
+const resources = [
+  { id: 'r1', name: 'Alice Smith' },
+  { id: 'r2', name: 'Bob Jones' }
+];
+
+const planItems = [
+  { id: 'm1', parent_id: null, item_type: 'milestone', name: 'Design', sort_order: 1, start_date: '2026-03-02', end_date: '2026-03-13' },
+  { id: 'd1', parent_id: 'm1', item_type: 'deliverable', name: 'Spec', sort_order: 1, start_date: '2026-03-02', end_date: '2026-03-06', assigned_resource_id: 'r1', progress: 50 },
+  { id: 'd2', parent_id: 'm1', item_type: 'deliverable', name: 'Review & sign-off', sort_order: 2, start_date: '2026-03-09', end_date: '2026-03-13', assigned_resource_id: 'r2', predecessors: [{ id: 'd1', type: 'FS', lag: 0 }] },
+  { id: 'm2', parent_id: null, item_type: 'milestone', name: 'Go live', sort_order: 2, start_date: '2026-03-16', end_date: '2026-03-16', predecessors: [{ id: 'd2', type: 'SS', lag: 2 }] }
+];
+
+const byName = (items, name) => items.find(i => i.name === name);
+
+// ============================================
+// MSPDI
+// ============================================
+
+describe('MSPDI', () => {
+  it('should export outline levels, links, milestones and assignments', () => {
+    const { xml, warnings } = exportToMspdi(planItems, { projectName: 'Demo', resources });
+
+    expect(xml).toContain('<Project xmlns="http://schemas.microsoft.com/project">');
+    expect(xml).toContain('<Name>Review &amp; sign-off</Name>');
+    expect(xml).toContain('<OutlineNumber>1.2</OutlineNumber>');
+    expect(xml).toContain('<Milestone>1</Milestone>');
+    expect(xml).toContain('<LinkLag>9600</LinkLag>'); // 2 days of 480 minutes, in tenths
+    expect((xml.match(/<Assignment>/g) || []).length).toBe(2);
+    expect(warnings).toEqual([]);
+  });
+
+  it('should round-trip plan items', () => {
+    const { xml } = exportToMspdi(planItems, { resources });
+    const result = parseScheduleXml(xml, { resources });
+
+    expect(result.format).toBe(SCHEDULE_FORMATS.MSPDI);
+    expect(result.items).toHaveLength(4);
+    expect(result.linkCount).toBe(2);
+
+    const design = byName(result.items, 'Design');
+    const review = byName(result.items, 'Review & sign-off');
+    const spec = byName(result.items, 'Spec');
+    const golive = byName(result.items, 'Go live');
+
+    expect(design).toMatchObject({ item_type: 'milestone', parent_id: null, indent_level: 0 });
+    expect(review).toMatchObject({
+      item_type: 'deliverable',
+      parent_id: design.id,
+      start_date: '2026-03-09',
+      end_date: '2026-03-13',
+      duration_days: 5,
+      assigned_resource_id: 'r2'
+    });
+    expect(review.predecessors).toEqual([{ id: spec.id, type: 'FS', lag: 0 }]);
+    expect(golive.predecessors).toEqual([{ id: review.id, type: 'SS', lag: 2 }]);
+    expect(spec).toMatchObject({ progress: 50, status: 'in_progress' });
+    expect(result.warnings).toEqual([]);
+  });
+
+  it('should report what could not be mapped', () => {
+    const xml = `<?xml version="1.0"?>
+      <Project xmlns="http://schemas.microsoft.com/project">
+        <Calendars><Calendar><UID>1</UID></Calendar></Calendars>
+        <Tasks>
+          <Task><UID>0</UID><OutlineLevel>0</OutlineLevel><Name>Summary</Name></Task>
+          <Task><UID>1</UID><OutlineLevel>1</OutlineLevel><Name>Phase</Name><Start>2026-03-02T08:00:00</Start><Finish>2026-03-06T17:00:00</Finish></Task>
+          <Task><UID>2</UID><OutlineLevel>2</OutlineLevel><Name>Build</Name><Start>2026-03-02T08:00:00</Start><Finish>2026-03-04T17:00:00</Finish><ConstraintType>4</ConstraintType></Task>
+          <Task><UID>3</UID><OutlineLevel>2</OutlineLevel><Name>Test</Name><Start>2026-03-05T08:00:00</Start><Finish>2026-03-06T17:00:00</Finish>
+            <PredecessorLink><PredecessorUID>2</PredecessorUID><Type>1</Type><LinkLag>2400</LinkLag><LagFormat>7</LagFormat></PredecessorLink>
+            <PredecessorLink><PredecessorUID>99</PredecessorUID><Type>1</Type></PredecessorLink>
+          </Task>
+        </Tasks>
+        <Resources><Resource><UID>1</UID><Name>Carol</Name></Resource><Resource><UID>2</UID><Name>Alice Smith</Name></Resource></Resources>
+        <Assignments>
+          <Assignment><TaskUID>2</TaskUID><ResourceUID>1</ResourceUID></Assignment>
+          <Assignment><TaskUID>3</TaskUID><ResourceUID>2</ResourceUID></Assignment>
+          <Assignment><TaskUID>3</TaskUID><ResourceUID>1</ResourceUID></Assignment>
+        </Assignments>
+      </Project>`;
+
+    const result = parseScheduleXml(xml, { resources });
+    const messages = result.warnings.map(w => `${w.item}: ${w.message}`);
+
+    expect(result.items.map(i => i.name)).toEqual(['Phase', 'Build', 'Test']);
+    expect(byName(result.items, 'Test').predecessors).toEqual([
+      { id: byName(result.items, 'Build').id, type: 'FS', lag: 1 } // 0.5 days rounded
+    ]);
+    expect(byName(result.items, 'Test').assigned_resource_id).toBe('r1');
+    expect(messages).toEqual(expect.arrayContaining([
+      'null: Project calendars are not imported - set working days under Settings > Working Calendar',
+      'Build: Date constraint not imported',
+      'Build: Resource "Carol" is not on this project - left unassigned',
+      'Test: 2 resources assigned - only "Alice Smith" kept',
+      'Test: Lag of 0.50 days rounded to 1',
+      'Test: Link to a task outside this file skipped'
+    ]));
+  });
+});
+
+// ============================================
+// PRIMAVERA P6
+// ============================================
+
+describe('Primavera P6 XML', () => {
+  it('should export parents as WBS and leaves as activities', () => {
+    const { xml, warnings } = exportToP6Xml(planItems, { projectName: 'Demo', resources });
+
+    expect((xml.match(/<WBS>/g) || []).length).toBe(1);
+    expect((xml.match(/<Activity>/g) || []).length).toBe(3);
+    expect(xml).toContain('<Type>Finish Milestone</Type>');
+    expect(xml).toContain('<Type>Start to Start</Type>');
+    expect(xml).toContain('<Lag>16</Lag>');
+    expect(warnings.map(w => w.item)).toEqual(['Go live']); // top-level leaf has no WBS
+  });
+
+  it('should round-trip plan items', () => {
+    const { xml } = exportToP6Xml(planItems, { resources });
+    const result = parseScheduleXml(xml, { resources });
+
+    expect(result.format).toBe(SCHEDULE_FORMATS.P6);
+    const design = byName(result.items, 'Design');
+    const review = byName(result.items, 'Review & sign-off');
+    const spec = byName(result.items, 'Spec');
+
+    expect(design).toMatchObject({ item_type: 'milestone', start_date: '2026-03-02', end_date: '2026-03-13' });
+    expect(review).toMatchObject({ parent_id: design.id, item_type: 'deliverable', assigned_resource_id: 'r2' });
+    expect(review.predecessors).toEqual([{ id: spec.id, type: 'FS', lag: 0 }]);
+    expect(byName(result.items, 'Go live')).toMatchObject({ start_date: '2026-03-16', end_date: '2026-03-16' });
+  });
+
+  it('should report links on summary items that P6 cannot hold', () => {
+    const items = [
+      ...planItems,
+      { id: 'm3', parent_id: null, item_type: 'milestone', name: 'Handover', sort_order: 3, predecessors: [{ id: 'm1', type: 'FS' }] },
+      { id: 'd3', parent_id: 'm3', item_type: 'deliverable', name: 'Docs', sort_order: 1, start_date: '2026-03-17', end_date: '2026-03-18' }
+    ];
+    const { warnings } = exportToP6Xml(items, { resources });
+
+    expect(warnings).toContainEqual({
+      item: 'Handover',
+      message: 'Links on summary items are not supported by P6 and were skipped'
+    });
+  });
+});
+
+describe('parseScheduleXml', () => {
+  it('should reject files that are not schedules', () => {
+    expect(() => parseScheduleXml('not xml')).toThrow('The file is not valid XML');
+    expect(() => parseScheduleXml('<root/>')).toThrow('Unrecognised schedule format');
+  });
+
+  it('should type deep hierarchies from the top down', () => {
+    const xml = `<Project xmlns="http://schemas.microsoft.com/project"><Tasks>
+      <Task><UID>1</UID><OutlineLevel>1</OutlineLevel><Name>A</Name></Task>
+      <Task><UID>2</UID><OutlineLevel>2</OutlineLevel><Name>B</Name></Task>
+      <Task><UID>3</UID><OutlineLevel>3</OutlineLevel><Name>C</Name></Task>
+      <Task><UID>4</UID><OutlineLevel>4</OutlineLevel><Name>D</Name><Milestone>1</Milestone></Task>
+    </Tasks></Project>`;
+    const result = parseScheduleXml(xml);
+
+    expect(result.items.map(i => i.item_type)).toEqual(['component', 'milestone', 'deliverable', 'task']);
+    expect(result.warnings).toEqual([{ item: 'D', message: 'Imported as a task - milestones are only kept at the top levels of the plan' }]);
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Unit Tests for Tax
+ * Location: src/__tests__/unit/tax.test.js
+ *
+ * Tests treatment resolution, per-line VAT, tax summaries and credit note
+ * building from lib/tax.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  TAX_TREATMENT,
+  resolveTaxSettings,
+  calculateLineTax,
+  summariseTax,
+  getCreditableLines,
+  validateCreditRequest,
+  buildCreditNoteLines
+} from '../../lib/tax';
+
+const project = { tax_treatment: 'standard', standard_tax_rate: 20, reduced_tax_rate: 5 };
+
+const invoiceLines = [
+  { id: 'l1', line_type: 'timesheet', description: 'Alice - 7.5h', quantity: 7.5, hours: 7.5, line_total: 500, tax_treatment: 'standard', tax_rate: 20, tax_amount: 100 },
+  { id: 'l2', line_type: 'expense', description: 'Alice - Travel: Train', quantity: 1, line_total: 33.33, tax_treatment: 'standard', tax_rate: 20, tax_amount: 6.67 },
+  { id: 'l3', line_type: 'supplier_expense', description: 'Hotel', quantity: 1, line_total: 120, tax_amount: 0 }
+];
+
+describe('resolveTaxSettings', () => {
+  it('should use the project treatment and rate by default', () => {
+    expect(resolveTaxSettings(project, {})).toEqual({ treatment: 'standard', rate: 20 });
+    expect(resolveTaxSettings({ ...project, tax_treatment: 'reduced' })).toEqual({ treatment: 'reduced', rate: 5 });
+  });
+
+  it('should let the partner override treatment and rate', () => {
+    expect(resolveTaxSettings(project, { tax_treatment: 'reduced' })).toEqual({ treatment: 'reduced', rate: 5 });
+    expect(resolveTaxSettings(project, { tax_rate: 17.5 })).toEqual({ treatment: 'standard', rate: 17.5 });
+    expect(resolveTaxSettings(project, { tax_treatment: 'reverse_charge', tax_rate: 20 }))
+      .toEqual({ treatment: 'reverse_charge', rate: 0 });
+  });
+
+  it('should fall back to standard at the default rate', () => {
+    expect(resolveTaxSettings(null, null)).toEqual({ treatment: 'standard', rate: 20 });
+  });
+});
+
+describe('calculateLineTax', () => {
+  it('should round tax per line', () => {
+    expect(calculateLineTax(33.333, 'standard', 20).tax_amount).toBe(6.67);
+  });
+
+  it('should charge nothing for zero rated and reverse charge lines', () => {
+    expect(calculateLineTax(100, TAX_TREATMENT.ZERO, 20)).toEqual({ tax_treatment: 'zero', tax_rate: 0, tax_amount: 0 });
+    expect(calculateLineTax(100, TAX_TREATMENT.REVERSE_CHARGE, 20).tax_amount).toBe(0);
+  });
+});
+
+describe('summariseTax', () => {
+  it('should total net, tax and gross with a breakdown by rate', () => {
+    const summary = summariseTax([
+      ...invoiceLines.slice(0, 2),
+      { line_total: 50, tax_treatment: 'reduced', tax_rate: 5, tax_amount: 2.5 }
+    ]);
+    expect(summary.net).toBe(583.33);
+    expect(summary.tax).toBe(109.17);
+    expect(summary.gross).toBe(692.5);
+    expect(summary.breakdown).toEqual([
+      { treatment: 'standard', rate: 20, net: 533.33, tax: 106.67 },
+      { treatment: 'reduced', rate: 5, net: 50, tax: 2.5 }
+    ]);
+  });
+});
+
+describe('getCreditableLines', () => {
+  it('should exclude supplier lines and subtract earlier credits', () => {
+    const creditable = getCreditableLines(invoiceLines, [
+      { credited_line_id: 'l1', line_total: -200, tax_amount: -40 }
+    ]);
+    expect(creditable.map(c => c.line.id)).toEqual(['l1', 'l2']);
+    expect(creditable[0]).toMatchObject({ creditedNet: 200, remainingNet: 300, remainingTax: 60 });
+    expect(creditable[1]).toMatchObject({ creditedNet: 0, remainingNet: 33.33 });
+  });
+});
+
+describe('validateCreditRequest', () => {
+  const creditable = getCreditableLines(invoiceLines, []);
+
+  it('should accept a full credit or amounts within what is left', () => {
+    expect(validateCreditRequest(creditable, null)).toBeNull();
+    expect(validateCreditRequest(creditable, { l1: '100', l2: '' })).toBeNull();
+  });
+
+  it('should reject over-crediting, negatives, unknown lines and empty requests', () => {
+    expect(validateCreditRequest(creditable, { l1: 500.01 })).toMatch(/Cannot credit more than 500.00/);
+    expect(validateCreditRequest(creditable, { l1: -1 })).toMatch(/negative/);
+    expect(validateCreditRequest(creditable, { l3: 10 })).toMatch(/not on this invoice/);
+    expect(validateCreditRequest(creditable, { l1: 0 })).toMatch(/at least one line/);
+  });
+
+  it('should reject a fully credited invoice', () => {
+    const done = getCreditableLines(invoiceLines, [
+      { credited_line_id: 'l1', line_total: -500, tax_amount: -100 },
+      { credited_line_id: 'l2', line_total: -33.33, tax_amount: -6.67 }
+    ]);
+    expect(validateCreditRequest(done, null)).toMatch(/fully credited/);
+  });
+});
+
+describe('buildCreditNoteLines', () => {
+  it('should reverse every remaining line in full', () => {
+    const lines = buildCreditNoteLines(getCreditableLines(invoiceLines, []));
+    expect(lines).toHaveLength(2);
+    expect(lines[0]).toMatchObject({
+      credited_line_id: 'l1',
+      description: 'Credit: Alice - 7.5h',
+      line_total: -500,
+      tax_amount: -100,
+      quantity: -7.5,
+      hours: -7.5
+    });
+    expect(lines[1]).toMatchObject({ line_total: -33.33, tax_amount: -6.67, hours: null });
+  });
+
+  it('should credit part of a line at its rate and skip lines left out', () => {
+    const lines = buildCreditNoteLines(getCreditableLines(invoiceLines, []), { l1: '125' });
+    expect(lines).toHaveLength(1);
+    expect(lines[0]).toMatchObject({ line_total: -125, tax_amount: -25, hours: -1.88 });
+  });
+
+  it('should reverse the exact remaining tax when the rest of a line is credited', () => {
+    const creditable = getCreditableLines(invoiceLines, [
+      { credited_line_id: 'l2', line_total: -10, tax_amount: -2 }
+    ]);
+    const [line] = buildCreditNoteLines(creditable, { l2: 23.33 });
+    expect(line.line_total).toBe(-23.33);
+    expect(line.tax_amount).toBe(-4.67);
+  });
+});
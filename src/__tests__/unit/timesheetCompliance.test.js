@@ -0,0 +1,184 @@
+/**
+ * Unit Tests for Timesheet Compliance
+ * Location: src/__tests__/unit/timesheetCompliance.test.js
+ *
+ * Tests expected working time, weekly compliance status, the summary and
+ * reminder / escalation decisions from lib/timesheetCompliance.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  COMPLIANCE_STATUS,
+  REMINDER_LEVEL,
+  getComplianceWeeks,
+  getDaysOverdue,
+  getExpectedResources,
+  getLeaveByDate,
+  getExpectedTime,
+  getWeekCompliance,
+  evaluateCompliance,
+  getMissingTimesheets,
+  getReminderActions,
+  getReminderNotification
+} from '../../lib/timesheetCompliance';
+import { getWeekDates } from '../../lib/timesheetWeek';
+import { createWorkingCalendar } from '../../lib/workingCalendar';
+
+// Week of Monday 5 October 2026; "today" is Wednesday 14 October
+const WEEK = '2026-10-05';
+const TODAY = '2026-10-14';
+
+const alice = { id: 'r-alice', name: 'Alice', user_id: 'u-alice', is_active: true, created_at: '2026-01-01' };
+const bob = { id: 'r-bob', name: 'Bob', user_id: 'u-bob', is_active: true, created_at: '2026-01-01' };
+
+const entry = (overrides) => ({
+  resource_id: 'r-alice',
+  date: '2026-10-05',
+  hours_worked: 8,
+  status: 'Submitted',
+  ...overrides
+});
+
+const fullWeek = (resourceId, status = 'Submitted') => getWeekDates(WEEK)
+  .slice(0, 5)
+  .map(date => entry({ resource_id: resourceId, date, status }));
+
+describe('weeks', () => {
+  it('should list the weeks to check, ending with this week', () => {
+    expect(getComplianceWeeks(TODAY, 3)).toEqual(['2026-09-28', '2026-10-05', '2026-10-12']);
+  });
+
+  it('should count days overdue from the Sunday the week ends', () => {
+    expect(getDaysOverdue(WEEK, '2026-10-11')).toBe(0);
+    expect(getDaysOverdue(WEEK, '2026-10-12')).toBe(1);
+    expect(getDaysOverdue(WEEK, TODAY)).toBe(3);
+    expect(getDaysOverdue('2026-10-12', TODAY)).toBeLessThan(0);
+  });
+});
+
+describe('expected time', () => {
+  it('should only expect time from active resources of members who book time', () => {
+    const expected = getExpectedResources(
+      [alice, bob, { ...bob, id: 'r-old', is_active: false }, { id: 'r-x', name: 'No user' }],
+      [{ user_id: 'u-alice', role: 'contributor' }, { user_id: 'u-bob', role: 'customer_pm' }]
+    );
+    expect(expected.map(e => e.resource.id)).toEqual(['r-alice']);
+  });
+
+  it('should take leave, half days, holidays and joining date off the week', () => {
+    const leave = getLeaveByDate([
+      { user_id: 'u-alice', date: '2026-10-06', status: 'out_of_office', period: 'full_day' },
+      { user_id: 'u-alice', date: '2026-10-07', status: 'out_of_office', period: 'pm' },
+      { user_id: 'u-alice', date: '2026-10-08', status: 'remote', period: 'full_day' },
+      { user_id: 'u-bob', date: '2026-10-09', status: 'out_of_office', period: 'full_day' }
+    ], 'u-alice');
+    expect(leave.get('2026-10-07')).toBe(0.5);
+    expect(leave.has('2026-10-08')).toBe(false);
+
+    const dates = getWeekDates(WEEK);
+    expect(getExpectedTime({ resource: alice, leave, dates, hoursPerDay: 8 })).toMatchObject({
+      expectedDays: 3.5,
+      expectedHours: 28,
+      leaveDays: 1.5
+    });
+
+    // Joined on the Thursday
+    expect(getExpectedTime({ resource: alice, dates, hoursPerDay: 8, from: '2026-10-08' }).expectedDays).toBe(2);
+
+    // Shutdown on the Friday, 30 contracted hours over a four-day week
+    const calendar = createWorkingCalendar({
+      workingDays: [1, 2, 3, 4, 5],
+      nonWorkingPeriods: [{ name: 'Shutdown', start_date: '2026-10-09', end_date: '2026-10-09' }]
+    });
+    expect(getExpectedTime({
+      resource: { ...alice, contracted_hours_per_week: 30 },
+      calendar,
+      dates,
+      hoursPerDay: 8
+    })).toMatchObject({ expectedDays: 4, expectedHours: 24 });
+  });
+});
+
+describe('getWeekCompliance', () => {
+  const check = (timesheets, today = TODAY) => getWeekCompliance({
+    resource: alice, timesheets, weekStart: WEEK, today, hoursPerDay: 8
+  });
+
+  it('should be compliant once the expected hours are submitted or validated', () => {
+    const week = check([...fullWeek('r-alice').slice(0, 4), entry({ date: '2026-10-09', status: 'Approved' })]);
+    expect(week).toMatchObject({ status: COMPLIANCE_STATUS.COMPLIANT, submittedHours: 40, shortfallHours: 0 });
+  });
+
+  it('should tell partial, draft-only and missing weeks apart', () => {
+    expect(check([entry({})]).status).toBe(COMPLIANCE_STATUS.PARTIAL);
+    expect(check(fullWeek('r-alice', 'Draft')).status).toBe(COMPLIANCE_STATUS.UNSUBMITTED);
+    expect(check([entry({ resource_id: 'r-bob' })]).status).toBe(COMPLIANCE_STATUS.MISSING);
+    expect(check([entry({ status: 'Rejected' })])).toMatchObject({ draftHours: 8, submittedHours: 0 });
+  });
+
+  it('should not chase a week that is still running or had no working days', () => {
+    expect(check([], '2026-10-09').status).toBe(COMPLIANCE_STATUS.NOT_DUE);
+    expect(getWeekCompliance({
+      resource: { ...alice, created_at: '2026-10-10' },
+      timesheets: [],
+      weekStart: WEEK,
+      today: TODAY,
+      hoursPerDay: 8,
+      from: '2026-10-10'
+    }).status).toBe(COMPLIANCE_STATUS.NOT_EXPECTED);
+  });
+});
+
+describe('evaluateCompliance', () => {
+  it('should summarise due weeks and list missing timesheets, most overdue first', () => {
+    const result = evaluateCompliance({
+      resources: [alice, bob],
+      members: [
+        { user_id: 'u-alice', role: 'contributor', created_at: '2026-01-01' },
+        { user_id: 'u-bob', role: 'supplier_pm', created_at: '2026-10-01' }
+      ],
+      timesheets: fullWeek('r-alice'),
+      weekStarts: getComplianceWeeks(TODAY, 3),
+      hoursPerDay: 8,
+      today: TODAY
+    });
+
+    expect(result.rows).toHaveLength(2);
+    // Bob joined on Thursday 1 October: two days expected in his first week
+    expect(result.rows[1].weeks[0]).toMatchObject({ expectedDays: 2, status: COMPLIANCE_STATUS.MISSING });
+    expect(result.summary).toMatchObject({ due: 4, compliant: 1, missing: 3, resourcesBehind: 2, complianceRate: 25 });
+
+    const missing = getMissingTimesheets(result.rows);
+    expect(missing.map(m => `${m.resource.name} ${m.weekStart}`)).toEqual([
+      'Alice 2026-09-28',
+      'Bob 2026-09-28',
+      'Bob 2026-10-05'
+    ]);
+  });
+});
+
+describe('reminders', () => {
+  const week = { weekStart: WEEK, status: COMPLIANCE_STATUS.MISSING, daysOverdue: 3, submittedHours: 0, expectedHours: 40 };
+
+  it('should remind, then escalate, once each', () => {
+    expect(getReminderActions({ ...week, daysOverdue: 1 }, {})).toEqual([REMINDER_LEVEL.REMINDER]);
+    expect(getReminderActions(week, {})).toEqual([REMINDER_LEVEL.REMINDER, REMINDER_LEVEL.ESCALATION]);
+    expect(getReminderActions(week, {}, [REMINDER_LEVEL.REMINDER])).toEqual([REMINDER_LEVEL.ESCALATION]);
+    expect(getReminderActions({ ...week, status: COMPLIANCE_STATUS.COMPLIANT }, {})).toEqual([]);
+  });
+
+  it('should follow the project settings, with NULL columns using defaults', () => {
+    const settings = { timesheet_reminder_days: 2, timesheet_escalation_days: null, timesheet_escalation_enabled: false };
+    expect(getReminderActions({ ...week, daysOverdue: 1 }, settings)).toEqual([]);
+    expect(getReminderActions({ ...week, daysOverdue: 10 }, settings)).toEqual([REMINDER_LEVEL.REMINDER]);
+  });
+
+  it('should word reminders for the resource and escalations for the supplier PM', () => {
+    const reminder = getReminderNotification(REMINDER_LEVEL.REMINDER, week, { resourceName: 'Alice', projectName: 'Apollo' });
+    expect(reminder).toMatchObject({ type: 'timesheet_missing', title: 'Timesheet due for week of 5 Oct 2026', priority: 'normal' });
+
+    const escalation = getReminderNotification(REMINDER_LEVEL.ESCALATION, { ...week, submittedHours: 16 }, { resourceName: 'Alice', projectName: 'Apollo' });
+    expect(escalation.type).toBe('timesheet_escalation');
+    expect(escalation.message).toContain('3 days overdue (16h of 40h submitted)');
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * Unit Tests for Timesheet Week Grid
+ * Location: src/__tests__/unit/timesheetWeek.test.js
+ *
+ * Tests week dates, grid rows, copy-last-week, contracted hours and the
+ * save diff from lib/timesheetWeek.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  getWeekStart,
+  getWeekDates,
+  shiftWeek,
+  getRowKey,
+  createWeekRow,
+  buildWeekRows,
+  copyWeekRows,
+  getWeekTotals,
+  getContractedHours,
+  validateWeek,
+  getWeekChanges
+} from '../../lib/timesheetWeek';
+import { createWorkingCalendar } from '../../lib/workingCalendar';
+
+// Monday 12 - Sunday 18 October 2026
+const WEEK = getWeekDates('2026-10-12');
+const LAST_WEEK = getWeekDates('2026-10-05');
+
+const entry = (overrides) => ({
+  id: 'ts-1',
+  date: '2026-10-12',
+  hours_worked: 7.5,
+  status: 'Draft',
+  entry_type: 'daily',
+  milestone_id: 'm1',
+  deliverable_id: 'd1',
+  task_id: null,
+  ...overrides
+});
+
+describe('week dates', () => {
+  it('should start weeks on Monday', () => {
+    expect(getWeekStart('2026-10-14')).toBe('2026-10-12');
+    expect(getWeekStart('2026-10-18')).toBe('2026-10-12');
+    expect(getWeekStart('2026-10-12')).toBe('2026-10-12');
+  });
+
+  it('should list seven days and move by whole weeks', () => {
+    expect(WEEK[0]).toBe('2026-10-12');
+    expect(WEEK[6]).toBe('2026-10-18');
+    expect(shiftWeek('2026-10-12', -1)).toBe('2026-10-05');
+    expect(shiftWeek('2026-12-28', 1)).toBe('2027-01-04');
+  });
+});
+
+describe('buildWeekRows', () => {
+  it('should group entries into one row per milestone / deliverable / task', () => {
+    const rows = buildWeekRows([
+      entry({ id: 'a' }),
+      entry({ id: 'b', date: '2026-10-13', hours_worked: 4 }),
+      entry({ id: 'c', deliverable_id: null }),
+      entry({ id: 'd', date: '2026-10-20' })
+    ], WEEK);
+
+    expect(rows).toHaveLength(2);
+    expect(rows[0].key).toBe(getRowKey({ milestone_id: 'm1', deliverable_id: 'd1' }));
+    expect(rows[0].cells['2026-10-12'].hours).toBe('7.5');
+    expect(rows[0].cells['2026-10-13'].hours).toBe('4');
+    expect(rows[1].deliverable_id).toBeNull();
+  });
+
+  it('should lock submitted, weekly summary and doubled-up cells', () => {
+    const rows = buildWeekRows([
+      entry({ id: 'a', status: 'Submitted' }),
+      entry({ id: 'b', date: '2026-10-13', entry_type: 'weekly' }),
+      entry({ id: 'c', date: '2026-10-14', hours_worked: 2 }),
+      entry({ id: 'd', date: '2026-10-14', hours_worked: 3 }),
+      entry({ id: 'e', date: '2026-10-15', status: 'Rejected' })
+    ], WEEK);
+
+    const cells = rows[0].cells;
+    expect(cells['2026-10-12'].locked).toBe(true);
+    expect(cells['2026-10-13'].locked).toBe(true);
+    expect(cells['2026-10-14']).toMatchObject({ hours: '5', locked: true });
+    expect(cells['2026-10-15'].locked).toBe(false);
+  });
+});
+
+describe('copyWeekRows', () => {
+  it('should copy rows and hours onto the same weekday without overwriting', () => {
+    const previous = buildWeekRows([
+      entry({ id: 'p1', date: '2026-10-05', hours_worked: 6 }),
+      entry({ id: 'p2', date: '2026-10-06', hours_worked: 3 }),
+      entry({ id: 'p3', date: '2026-10-07', task_id: 't1', hours_worked: 2 })
+    ], LAST_WEEK);
+    const current = buildWeekRows([entry({ id: 'c1', date: '2026-10-12', hours_worked: 1 })], WEEK);
+
+    const rows = copyWeekRows(current, previous, WEEK);
+
+    expect(rows).toHaveLength(2);
+    expect(rows[0].cells['2026-10-12'].hours).toBe('1');
+    expect(rows[0].cells['2026-10-13'].hours).toBe('3');
+    expect(rows[1].task_id).toBe('t1');
+    expect(rows[1].cells['2026-10-14'].hours).toBe('2');
+    // The copied hours are new entries
+    expect(getWeekChanges(rows, WEEK).creates).toHaveLength(2);
+  });
+});
+
+describe('totals and contracted hours', () => {
+  it('should total by day, by row and for the week', () => {
+    const row = createWeekRow({ milestone_id: 'm1' }, WEEK);
+    row.cells['2026-10-12'].hours = '7.5';
+    row.cells['2026-10-13'].hours = '2';
+    const totals = getWeekTotals([row], WEEK);
+
+    expect(totals.total).toBe(9.5);
+    expect(totals.byDay['2026-10-12']).toBe(7.5);
+    expect(totals.byRow[row.key]).toBe(9.5);
+  });
+
+  it('should contract a standard day on each working day by default', () => {
+    const result = getContractedHours({ dates: WEEK, hoursPerDay: 7.5 });
+    expect(result.contractedHours).toBe(37.5);
+    expect(result.nonWorkingDays.map(d => d.date)).toEqual(['2026-10-17', '2026-10-18']);
+  });
+
+  it('should spread contracted weekly hours over working days and skip holidays', () => {
+    const calendar = createWorkingCalendar({ workingDays: [1, 2, 3, 4], holidaySets: ['uk_england_wales'] });
+    // Monday 28 December 2026 is the substitute Boxing Day holiday
+    const result = getContractedHours({
+      resource: { contracted_hours_per_week: 30 },
+      calendar,
+      dates: getWeekDates('2026-12-28'),
+      hoursPerDay: 7.5
+    });
+    expect(result.hoursPerDay).toBe(7.5);
+    expect(result.contractedHours).toBe(22.5);
+
+    const partTime = getContractedHours({
+      resource: { contracted_hours_per_week: 20 },
+      dates: WEEK,
+      hoursPerDay: 7.5
+    });
+    expect(partTime.contractedHours).toBe(20);
+  });
+});
+
+describe('validateWeek and getWeekChanges', () => {
+  it('should reject more than 24 hours in a day', () => {
+    const a = createWeekRow({ milestone_id: 'm1' }, WEEK);
+    const b = createWeekRow({ milestone_id: 'm2' }, WEEK);
+    a.cells['2026-10-12'].hours = '16';
+    b.cells['2026-10-12'].hours = '9';
+    const result = validateWeek([a, b], WEEK);
+    expect(result.valid).toBe(false);
+    expect(result.errors[0]).toMatch(/cannot exceed 24/);
+  });
+
+  it('should create, update and delete only unlocked cells', () => {
+    const [row] = buildWeekRows([
+      entry({ id: 'keep', date: '2026-10-12' }),
+      entry({ id: 'change', date: '2026-10-13' }),
+      entry({ id: 'clear', date: '2026-10-14' }),
+      entry({ id: 'locked', date: '2026-10-15', status: 'Approved' })
+    ], WEEK);
+    row.cells['2026-10-13'].hours = '5';
+    row.cells['2026-10-14'].hours = '';
+    row.cells['2026-10-15'].hours = '1';
+    row.cells['2026-10-16'].hours = '3.5';
+
+    expect(getWeekChanges([row], WEEK)).toEqual({
+      creates: [{ milestone_id: 'm1', deliverable_id: 'd1', task_id: null, date: '2026-10-16', hours: 3.5 }],
+      updates: [{ id: 'change', hours: 5 }],
+      deletes: ['clear']
+    });
+  });
+});
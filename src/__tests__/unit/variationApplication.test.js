@@ -0,0 +1,93 @@
+/**
+ * Unit Tests for Variation Application
+ * Location: src/__tests__/unit/variationApplication.test.js
+ *
+ * Tests the apply and revert preconditions from lib/variationApplication.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import { getApplyBlockers, getRevertBlockers } from '../../lib/variationApplication';
+
+const milestone = {
+  id: 'vm1',
+  milestone_id: 'm1',
+  milestone: { milestone_ref: 'MS-001', name: 'Discovery' },
+  new_baseline_start: '2026-11-01',
+  new_baseline_end: '2026-12-15',
+  new_baseline_cost: 12000
+};
+
+const approved = {
+  status: 'approved',
+  supplier_signed_at: '2026-10-18T10:00:00Z',
+  customer_signed_at: '2026-10-19T10:00:00Z',
+  affected_milestones: [milestone],
+  deliverable_changes: []
+};
+
+describe('getApplyBlockers', () => {
+  it('should allow a signed, approved variation with valid baselines', () => {
+    expect(getApplyBlockers(approved)).toEqual([]);
+  });
+
+  it('should require approval and both signatures', () => {
+    const blockers = getApplyBlockers({ ...approved, status: 'awaiting_customer', customer_signed_at: null });
+
+    expect(blockers).toContain('Variation must be approved before applying');
+    expect(blockers).toContain('Variation must be signed by both the supplier and the customer');
+  });
+
+  it('should reject invalid new baselines', () => {
+    const backwards = { ...milestone, new_baseline_end: '2026-10-01' };
+    const negative = { ...milestone, id: 'vm2', new_baseline_cost: -1 };
+    const missing = { ...milestone, id: 'vm3', new_baseline_start: null };
+
+    expect(getApplyBlockers({ ...approved, affected_milestones: [backwards, negative, missing] })).toEqual([
+      'Milestone MS-001 would end before it starts',
+      'Milestone MS-001 would have a negative baseline cost',
+      'Milestone MS-001 has no new baseline'
+    ]);
+  });
+
+  it('should refuse new milestones and incomplete deliverable changes', () => {
+    const blockers = getApplyBlockers({
+      ...approved,
+      affected_milestones: [{ ...milestone, milestone_id: null, is_new_milestone: true }],
+      deliverable_changes: [
+        { change_type: 'add', new_data: { name: 'Report' } },
+        { change_type: 'modify', deliverable_id: null },
+        { change_type: 'remove', deliverable_id: 'd1', deliverable: { deliverable_ref: 'D-004', status: 'Delivered' } }
+      ]
+    });
+
+    expect(blockers).toEqual([
+      'New milestones must be created before the variation is applied',
+      'A deliverable to add needs a reference and a name',
+      'Deliverable changed by the variation no longer exists',
+      'Deliverable D-004 has been delivered and cannot be removed'
+    ]);
+  });
+});
+
+describe('getRevertBlockers', () => {
+  const applied = {
+    status: 'applied',
+    affected_milestones: [{ ...milestone, baseline_version_before: 1, baseline_version_after: 2 }]
+  };
+
+  it('should allow reverting while the variation is the latest baseline change', () => {
+    expect(getRevertBlockers(applied, { m1: 2 })).toEqual([]);
+  });
+
+  it('should require a later variation to be reverted first', () => {
+    expect(getRevertBlockers(applied, { m1: 3 })).toEqual([
+      'Milestone MS-001 has a later baseline change; revert that first'
+    ]);
+  });
+
+  it('should only revert applied variations', () => {
+    expect(getRevertBlockers({ ...applied, status: 'reverted' }, { m1: 3 })).toEqual([
+      'Only an applied variation can be reverted'
+    ]);
+  });
+});
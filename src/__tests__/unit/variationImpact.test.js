@@ -0,0 +1,188 @@
+/**
+ * Unit Tests for Variation Impact
+ * Location: src/__tests__/unit/variationImpact.test.js
+ *
+ * Tests proposed changes, propagation through predecessors, milestone and
+ * deliverable shifts, cost deltas and form entries from lib/variationImpact.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  DELIVERABLE_SHIFT_SOURCE,
+  shiftDate,
+  applyProposedChange,
+  schedulePlan,
+  simulateVariationImpact,
+  toAffectedMilestones,
+  toDeliverableDateUpdates,
+  mergeByKey
+} from '../../lib/variationImpact';
+import { WEEKDAYS_CALENDAR } from '../../lib/workingCalendar';
+
+// Phase milestone MS-001 with Design → Build; Build's deliverable D-002 is in
+// the plan, D-001 is not. Test (MS-002) follows Build.
+const items = [
+  { id: 'p1', name: 'Phase 1', published_milestone_id: 'm1', start_date: '2026-03-02', end_date: '2026-03-13' },
+  { id: 't1', name: 'Design', parent_id: 'p1', start_date: '2026-03-02', end_date: '2026-03-06', assigned_resource_id: 'r1' },
+  {
+    id: 't2', name: 'Build', parent_id: 'p1', start_date: '2026-03-09', end_date: '2026-03-13',
+    predecessors: [{ id: 't1', type: 'FS', lag: 0 }],
+    resource_assignments: [{ resource_id: 'r1', effort_days: 5 }],
+    published_deliverable_id: 'd2'
+  },
+  {
+    id: 't3', name: 'Test', published_milestone_id: 'm2', start_date: '2026-03-16', end_date: '2026-03-20',
+    predecessors: [{ id: 't2', type: 'FS', lag: 0 }],
+    resource_assignments: [{ resource_id: 'r2', effort_days: 2 }]
+  }
+];
+
+const milestones = [
+  { id: 'm1', milestone_ref: 'MS-001', name: 'Phase 1', billable: 10000, baseline_start_date: '2026-03-02', baseline_end_date: '2026-03-13' },
+  { id: 'm2', milestone_ref: 'MS-002', name: 'Testing', billable: 4000, baseline_start_date: '2026-03-16', baseline_end_date: '2026-03-20' }
+];
+
+const deliverables = [
+  { id: 'd1', deliverable_ref: 'D-001', name: 'Design pack', milestone_id: 'm1', due_date: '2026-03-13', status: 'In Progress' },
+  { id: 'd2', deliverable_ref: 'D-002', name: 'Build release', milestone_id: 'm1', due_date: '2026-03-13', status: 'Not Started' },
+  { id: 'd3', deliverable_ref: 'D-003', name: 'Kick-off notes', milestone_id: 'm1', due_date: '2026-03-04', status: 'Delivered' }
+];
+
+const resources = [
+  { id: 'r1', name: 'Dev', sell_price: 500, cost_price: 300 },
+  { id: 'r2', name: 'Tester', sell_price: 400, cost_price: 250 }
+];
+
+const simulate = (changes, extra = {}) => simulateVariationImpact({
+  items, changes, milestones, deliverables, resources, calendar: WEEKDAYS_CALENDAR, ...extra
+});
+
+describe('shiftDate', () => {
+  it('should move dates by calendar days', () => {
+    expect(shiftDate('2026-03-13', 3)).toBe('2026-03-16');
+    expect(shiftDate('2026-03-01', -1)).toBe('2026-02-28');
+    expect(shiftDate(null, 3)).toBeNull();
+  });
+});
+
+describe('applyProposedChange', () => {
+  it('should hold a moved start with a start-no-earlier-than constraint', () => {
+    const changed = applyProposedChange(items[2], { item_id: 't2', start_date: '2026-03-11', end_date: '2026-03-15' });
+    expect(changed).toMatchObject({ start_date: '2026-03-11', end_date: '2026-03-15', constraint_type: 'SNET', constraint_date: '2026-03-11' });
+  });
+
+  it('should scale assignments to the new effort', () => {
+    const item = { ...items[2], resource_assignments: [{ resource_id: 'r1', effort_days: 3 }, { resource_id: 'r2', effort_days: 1 }] };
+    const changed = applyProposedChange(item, { item_id: 't2', effort_days: 8 });
+    expect(changed.resource_assignments).toEqual([
+      { resource_id: 'r1', effort_days: 6 },
+      { resource_id: 'r2', effort_days: 2 }
+    ]);
+    expect(changed.constraint_type).toBeUndefined();
+  });
+});
+
+describe('schedulePlan', () => {
+  it('should roll summary dates up from their children', () => {
+    const moved = items.map(i => (i.id === 't1' ? { ...i, end_date: '2026-03-09' } : i));
+    const scheduled = schedulePlan(moved, { calendar: WEEKDAYS_CALENDAR });
+    expect(scheduled.find(i => i.id === 't2')).toMatchObject({ start_date: '2026-03-10', end_date: '2026-03-16' });
+    expect(scheduled.find(i => i.id === 'p1')).toMatchObject({ start_date: '2026-03-02', end_date: '2026-03-16' });
+  });
+});
+
+describe('simulateVariationImpact', () => {
+  it('should propagate a later finish through predecessors', () => {
+    // Design runs into Monday, so Build and Test each move over a weekend
+    const result = simulate([{ item_id: 't1', end_date: '2026-03-09' }]);
+
+    expect(result.items.map(i => [i.id, i.startShift, i.endShift])).toEqual([
+      ['p1', 0, 3], ['t1', 0, 3], ['t2', 1, 3], ['t3', 1, 3]
+    ]);
+    expect(result.milestones.map(m => [m.ref, m.startShift, m.endShift])).toEqual([
+      ['MS-001', 0, 3],
+      ['MS-002', 1, 3]
+    ]);
+    expect(result.totals).toMatchObject({ planFinishBefore: '2026-03-20', planFinishAfter: '2026-03-23', planFinishShift: 3 });
+  });
+
+  it('should cost extra days at the rates valid on each day', () => {
+    const resolveRates = (resource, date) => (
+      date >= '2026-03-16'
+        ? { sell_price: resource.sell_price * 2, cost_price: resource.cost_price * 2 }
+        : { sell_price: resource.sell_price, cost_price: resource.cost_price }
+    );
+    const result = simulate([{ item_id: 't1', end_date: '2026-03-09' }], { resolveRates });
+
+    // Design is full time, so one more day; Build keeps its effort but its last day is at the new rate
+    expect(result.items.find(i => i.id === 't1')).toMatchObject({ effortBefore: 5, effortAfter: 6, sellDelta: 500, costDelta: 300 });
+    expect(result.items.find(i => i.id === 't2')).toMatchObject({ effortBefore: 5, effortAfter: 5, sellDelta: 500, costDelta: 300 });
+    expect(result.milestones.find(m => m.ref === 'MS-001').sellDelta).toBe(1000);
+    expect(result.totals).toMatchObject({ sellDelta: 1000, costDelta: 600 });
+  });
+
+  it('should value an effort change against the milestone it sits under', () => {
+    const result = simulate([{ item_id: 't3', effort_days: 4 }]);
+
+    expect(result.milestones).toEqual([
+      expect.objectContaining({ ref: 'MS-002', startShift: 0, endShift: 0, sellDelta: 800 })
+    ]);
+    expect(result.totals).toMatchObject({ sellDelta: 800, costDelta: 500, planFinishShift: 0 });
+    expect(result.deliverables).toEqual([]);
+  });
+
+  it('should move plan deliverables with their item and the rest with their milestone', () => {
+    const result = simulate([{ item_id: 't1', end_date: '2026-03-09' }]);
+
+    expect(result.deliverables.map(d => [d.deliverable_ref, d.new_due_date, d.source])).toEqual([
+      ['D-001', '2026-03-16', DELIVERABLE_SHIFT_SOURCE.MILESTONE],
+      ['D-002', '2026-03-16', DELIVERABLE_SHIFT_SOURCE.PLAN]
+    ]);
+  });
+
+  it('should warn when a changed item has no resources', () => {
+    const result = simulate([{ item_id: 't1', end_date: '2026-03-09' }], {
+      items: items.map(i => (i.id === 't1' ? { ...i, assigned_resource_id: null } : i))
+    });
+    expect(result.warnings).toEqual(['"Design" has no resources assigned, so its cost is not included']);
+  });
+});
+
+describe('form entries', () => {
+  const result = simulate([{ item_id: 't1', end_date: '2026-03-09' }]);
+
+  it('should build affected milestones from the baseline plus the simulated change', () => {
+    const [phase] = toAffectedMilestones(result, milestones);
+    expect(phase).toMatchObject({
+      milestone_id: 'm1',
+      is_new_milestone: false,
+      original_baseline_cost: 10000,
+      new_baseline_cost: 10500,
+      new_baseline_start: '2026-03-02',
+      original_baseline_end: '2026-03-13',
+      new_baseline_end: '2026-03-16'
+    });
+    expect(phase.change_rationale).toContain('plan finish +3 days');
+  });
+
+  it('should build deliverable date updates without the simulation source', () => {
+    expect(toDeliverableDateUpdates(result)[1]).toEqual({
+      deliverable_id: 'd2',
+      deliverable_ref: 'D-002',
+      deliverable_name: 'Build release',
+      milestone_id: 'm1',
+      original_due_date: '2026-03-13',
+      new_due_date: '2026-03-16',
+      days_shift: 3
+    });
+  });
+
+  it('should replace entries for the same key when merging', () => {
+    const merged = mergeByKey(
+      [{ milestone_id: 'm1', new_baseline_cost: 1 }, { milestone_id: 'm9', new_baseline_cost: 2 }],
+      [{ milestone_id: 'm1', new_baseline_cost: 3 }],
+      'milestone_id'
+    );
+    expect(merged).toEqual([{ milestone_id: 'm9', new_baseline_cost: 2 }, { milestone_id: 'm1', new_baseline_cost: 3 }]);
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Unit Tests for Working Calendars
+ * Location: src/__tests__/unit/workingCalendar.test.js
+ *
+ * Tests holiday sets and working-day arithmetic from lib/workingCalendar.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  HOLIDAY_SETS,
+  getHolidaysForYear,
+  createWorkingCalendar,
+  toDateKey
+} from '../../lib/workingCalendar';
+
+// ============================================
+// HOLIDAY SETS
+// ============================================
+
+describe('getHolidaysForYear', () => {
+  it('should return the England & Wales bank holidays for 2026', () => {
+    const dates = getHolidaysForYear(HOLIDAY_SETS.UK_ENGLAND_WALES, 2026).map(h => h.date);
+
+    expect(dates).toEqual([
+      '2026-01-01',
+      '2026-04-03', // Good Friday
+      '2026-04-06', // Easter Monday
+      '2026-05-04',
+      '2026-05-25',
+      '2026-08-31',
+      '2026-12-25',
+      '2026-12-28' // Boxing Day falls on Saturday
+    ]);
+  });
+
+  it('should substitute both Christmas holidays when they fall at a weekend', () => {
+    const christmas = getHolidaysForYear(HOLIDAY_SETS.UK_ENGLAND_WALES, 2027)
+      .filter(h => h.name === 'Christmas Day' || h.name === 'Boxing Day')
+      .map(h => h.date);
+
+    // 25th is a Saturday, 26th a Sunday
+    expect(christmas).toEqual(['2027-12-27', '2027-12-28']);
+  });
+
+  it('should use Scottish rules for the Scotland set', () => {
+    const holidays = getHolidaysForYear(HOLIDAY_SETS.UK_SCOTLAND, 2026);
+    const names = holidays.map(h => h.name);
+
+    expect(names).toContain('2nd January');
+    expect(names).toContain("St Andrew's Day");
+    expect(names).not.toContain('Easter Monday');
+    expect(holidays.find(h => h.name === 'Summer bank holiday').date).toBe('2026-08-03');
+  });
+
+  it('should apply one-off proclamations', () => {
+    const dates = getHolidaysForYear(HOLIDAY_SETS.UK_ENGLAND_WALES, 2022).map(h => h.date);
+
+    expect(dates).toContain('2022-06-03');
+    expect(dates).not.toContain('2022-05-30');
+  });
+
+  it('should return nothing for an unknown set', () => {
+    expect(getHolidaysForYear('unknown', 2026)).toEqual([]);
+  });
+});
+
+// ============================================
+// CALENDAR ARITHMETIC
+// ============================================
+
+describe('createWorkingCalendar', () => {
+  const calendar = createWorkingCalendar({
+    holidaySets: [HOLIDAY_SETS.UK_ENGLAND_WALES],
+    nonWorkingPeriods: [{ name: 'Office shutdown', start_date: '2026-12-29', end_date: '2026-12-31' }]
+  });
+
+  it('should explain why a day is not worked', () => {
+    expect(calendar.getNonWorkingReason('2026-12-25')).toBe('Christmas Day');
+    expect(calendar.getNonWorkingReason('2026-12-30')).toBe('Office shutdown');
+    expect(calendar.getNonWorkingReason('2026-12-26')).toBe('Weekend');
+    expect(calendar.isWorkingDay('2026-12-24')).toBe(true);
+  });
+
+  it('should skip holidays and shutdowns when adding working days', () => {
+    // Thu 24 Dec + 1 working day → Fri 1 Jan is a holiday, so Mon 4 Jan
+    expect(toDateKey(calendar.addWorkingDays('2026-12-24', 1))).toBe('2027-01-04');
+  });
+
+  it('should count working days consistently with addWorkingDays', () => {
+    expect(calendar.countWorkingDays('2026-12-24', '2027-01-04')).toBe(1);
+    expect(calendar.countWorkingDays('2027-01-04', '2026-12-24')).toBe(-1);
+  });
+
+  it('should move to the next working day', () => {
+    expect(toDateKey(calendar.nextWorkingDay('2026-12-25'))).toBe('2027-01-04');
+    expect(toDateKey(calendar.nextWorkingDay('2026-12-24'))).toBe('2026-12-24');
+  });
+
+  it('should support custom working weeks', () => {
+    const partTime = createWorkingCalendar({ workingDays: [1, 2, 3] });
+
+    expect(partTime.isWorkingDay('2026-03-05')).toBe(false); // Thursday
+    expect(toDateKey(partTime.addWorkingDays('2026-03-04', 1))).toBe('2026-03-09');
+  });
+
+  it('should list holidays and shutdown days in a range', () => {
+    const days = calendar.getNonWorkingDays('2026-12-21', '2026-12-31');
+
+    expect(days.map(d => d.date)).toEqual(['2026-12-25', '2026-12-28', '2026-12-29', '2026-12-30', '2026-12-31']);
+  });
+});
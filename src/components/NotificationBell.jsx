@@ -5,8 +5,8 @@
  * Shows pending actions with category-specific icons and colors.
  * Prominently displays actionable items vs info-only items.
  * 
- * @version 3.0
- * @updated 16 December 2025
+ * @version 3.1
+ * @updated 19 October 2026
  * @phase Workflow System Enhancement - Segment 4
  * 
  * Changes in v3.0:
@@ -15,6 +15,9 @@
  * - Visual distinction between actionable and info-only items
  * - Left border indicator for actionable items
  * - Improved urgency display
+ *
+ * Changes in v3.1:
+ * - Missing-timesheet reminders and escalations get their own icon and color
  */
 
 import React, { useState, useRef, useEffect } from 'react';
@@ -28,6 +31,8 @@ import { useNotifications } from '../contexts/NotificationContext';
 // Map category to icon component
 const CATEGORY_ICONS = {
   timesheet: Clock,
+  timesheet_missing: Clock,
+  timesheet_escalation: AlertCircle,
   expense: Receipt,
   expense_chargeable: Receipt,
   expense_non_chargeable: Receipt,
@@ -51,6 +56,8 @@ const CATEGORY_ICONS = {
 // Default colors by category group
 const CATEGORY_COLORS = {
   timesheet: '#3b82f6',
+  timesheet_missing: '#f59e0b',
+  timesheet_escalation: '#ef4444',
   expense: '#10b981',
   expense_chargeable: '#10b981',
   expense_non_chargeable: '#10b981',
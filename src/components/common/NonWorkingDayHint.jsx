@@ -0,0 +1,44 @@
+import React from 'react';
+import { AlertTriangle } from 'lucide-react';
+
+/**
+ * Non-Working Day Hint
+ *
+ * Shown under a date picker when the chosen date is not a working day on
+ * the project's working calendar (bank holiday, shutdown or weekend).
+ * Renders nothing without a calendar or for working days.
+ *
+ * @param {string} date - Selected date (YYYY-MM-DD)
+ * @param {Object} calendar - Working calendar from useWorkingCalendar
+ */
+export default function NonWorkingDayHint({ date, calendar }) {
+  if (!date || !calendar) return null;
+
+  const reason = calendar.getNonWorkingReason(date);
+  if (!reason) return null;
+
+  const nextWorking = calendar.nextWorkingDay(date);
+  const nextLabel = nextWorking
+    ? nextWorking.toLocaleDateString('en-GB', { weekday: 'short', day: 'numeric', month: 'short', timeZone: 'UTC' })
+    : null;
+
+  return (
+    <div
+      className="non-working-day-hint"
+      style={{
+        display: 'flex',
+        alignItems: 'center',
+        gap: '0.375rem',
+        marginTop: '0.25rem',
+        fontSize: '0.75rem',
+        color: '#b45309'
+      }}
+      data-testid="non-working-day-hint"
+    >
+      <AlertTriangle size={12} />
+      <span>
+        Non-working day ({reason}){nextLabel ? ` - next working day is ${nextLabel}` : ''}
+      </span>
+    </div>
+  );
+}
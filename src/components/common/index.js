@@ -30,6 +30,7 @@ export { default as MultiSelectList } from './MultiSelectList';
 export { default as InlineEditField } from './InlineEditField';
 export { default as InlineChecklist } from './InlineChecklist';
 export { default as ContextMenu, useContextMenu } from './ContextMenu';
+export { default as NonWorkingDayHint } from './NonWorkingDayHint';
 
 // Subscription & Limits
 export { default as UpgradePrompt } from './UpgradePrompt';
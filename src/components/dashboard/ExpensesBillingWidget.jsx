@@ -8,15 +8,16 @@
  *
  * Ready to Bill: Defaults to Yes once 10 days past the end of that month.
  *
- * @version 2.0
+ * @version 2.1
  * @created 13 January 2026
  * @updated 13 January 2026 - Added Ready, Billed, Received, PO columns
+ * @updated 19 October 2026 - Amounts converted to the project currency
  */
 
 import React, { useState, useEffect, useCallback } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import { Receipt, ChevronDown, ChevronRight, Users, Check, X, FileText, Award } from 'lucide-react';
-import { expensesService } from '../../services';
+import { expensesService, exchangeRatesService } from '../../services';
 import { useProject } from '../../contexts/ProjectContext';
 import { usePermissions } from '../../hooks/usePermissions';
 import { useToast } from '../../contexts/ToastContext';
@@ -24,7 +25,7 @@ import { SkeletonFinanceWidget } from '../common';
 
 export default function ExpensesBillingWidget({ editable = false, fullPage = false }) {
   const navigate = useNavigate();
-  const { projectId } = useProject();
+  const { projectId, projectCurrency } = useProject();
   const { canEditBilling } = usePermissions();
   const { showSuccess, showError } = useToast();
 
@@ -52,7 +53,10 @@ export default function ExpensesBillingWidget({ editable = false, fullPage = fal
 
     setLoading(true);
     try {
-      const expenses = await expensesService.getAll(projectId);
+      const [expenses, fx] = await Promise.all([
+        expensesService.getAll(projectId),
+        exchangeRatesService.getConverter(projectId)
+      ]);
 
       // Filter to only chargeable expenses
       const chargeableExpenses = (expenses || []).filter(e =>
@@ -80,7 +84,7 @@ export default function ExpensesBillingWidget({ editable = false, fullPage = fal
           };
         }
 
-        const amount = parseFloat(expense.amount || 0);
+        const amount = fx.convert(expense.amount, expense.currency, expense.expense_date);
         byMonth[monthKey].total += amount;
         byMonth[monthKey].count += 1;
         byMonth[monthKey].expenses.push(expense);
@@ -179,7 +183,7 @@ export default function ExpensesBillingWidget({ editable = false, fullPage = fal
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('en-GB', {
       style: 'currency',
-      currency: 'GBP',
+      currency: projectCurrency,
       minimumFractionDigits: 0,
       maximumFractionDigits: 0
     }).format(amount);
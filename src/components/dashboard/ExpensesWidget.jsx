@@ -5,20 +5,22 @@
  * Shows awaiting validation, then validated totals split by chargeable/non-chargeable.
  * Excludes deleted and rejected expenses.
  * 
- * @version 1.0
+ * @version 1.1
  * @created 4 December 2025
+ * @updated 19 October 2026 - Amounts converted to the project currency
  */
 
 import React, { useState, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { Receipt, Clock, CheckCircle, CreditCard, Building2 } from 'lucide-react';
-import { expensesService } from '../../services';
+import { expensesService, exchangeRatesService } from '../../services';
 import { useProject } from '../../contexts/ProjectContext';
 import { SkeletonWidget } from '../common';
+import { getCurrencySymbol } from '../../lib/currency';
 
 export default function ExpensesWidget({ refreshTrigger }) {
   const navigate = useNavigate();
-  const { projectId } = useProject();
+  const { projectId, projectCurrency } = useProject();
   
   const [loading, setLoading] = useState(true);
   const [stats, setStats] = useState({
@@ -33,10 +35,13 @@ export default function ExpensesWidget({ refreshTrigger }) {
     
     setLoading(true);
     try {
-      // Fetch all expenses
-      const expenses = await expensesService.getAll(projectId, {
-        select: 'id, amount, status, chargeable_to_customer, is_deleted'
-      });
+      // Fetch all expenses and the converter to the project currency
+      const [expenses, fx] = await Promise.all([
+        expensesService.getAll(projectId, {
+          select: 'id, amount, currency, expense_date, status, chargeable_to_customer, is_deleted'
+        }),
+        exchangeRatesService.getConverter(projectId)
+      ]);
 
       // Filter out deleted expenses
       const activeExpenses = (expenses || []).filter(exp => exp.is_deleted !== true);
@@ -47,7 +52,7 @@ export default function ExpensesWidget({ refreshTrigger }) {
       let nonChargeableValue = 0;
 
       activeExpenses.forEach(exp => {
-        const amount = parseFloat(exp.amount || 0);
+        const amount = fx.convert(exp.amount, exp.currency, exp.expense_date);
 
         switch (exp.status) {
           case 'Submitted':
@@ -88,7 +93,7 @@ export default function ExpensesWidget({ refreshTrigger }) {
   };
 
   const formatCurrency = (value) => {
-    return `£${Math.round(value).toLocaleString()}`;
+    return `${getCurrencySymbol(projectCurrency)}${Math.round(value).toLocaleString()}`;
   };
 
   if (loading) {
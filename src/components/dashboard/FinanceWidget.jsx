@@ -7,20 +7,23 @@
  * - Expenses breakdown by status and chargeability
  * - PMO overhead percentage
  * 
- * @version 1.0
+ * @version 1.2
  * @created 6 December 2025
+ * @updated 19 October 2026 - Timesheets valued at the rate card rate on their date
+ * @updated 19 October 2026 - Expenses converted to the project currency
  */
 
 import React, { useState, useEffect, useCallback } from 'react';
 import { PoundSterling, TrendingUp, TrendingDown, Clock, CheckCircle } from 'lucide-react';
-import { milestonesService, timesheetsService, expensesService } from '../../services';
+import { milestonesService, timesheetsService, expensesService, rateCardsService, exchangeRatesService } from '../../services';
 import { useProject } from '../../contexts/ProjectContext';
 import { calculateBillableValue, isPMORole } from '../../config/metricsConfig';
 import { supabase } from '../../lib/supabase';
+import { getCurrencySymbol } from '../../lib/currency';
 import { SkeletonFinanceWidget } from '../common';
 
 export default function FinanceWidget({ refreshTrigger }) {
-  const { projectId } = useProject();
+  const { projectId, projectCurrency } = useProject();
   
   const [loading, setLoading] = useState(true);
   const [stats, setStats] = useState({
@@ -59,12 +62,15 @@ export default function FinanceWidget({ refreshTrigger }) {
         .reduce((sum, m) => sum + (parseFloat(m.billable) || 0), 0);
 
       // 2. Get timesheets with resource data (including role for PMO check)
-      const timesheets = await timesheetsService.getAll(projectId, {
-        select: `
-          id, hours_worked, hours, status, is_deleted,
-          resources(id, sell_price, role)
-        `
-      });
+      const [timesheets, resolveRates] = await Promise.all([
+        timesheetsService.getAll(projectId, {
+          select: `
+            id, date, hours_worked, hours, status, is_deleted,
+            resources(id, sell_price, role, sfia_level)
+          `
+        }),
+        rateCardsService.getRateResolver(projectId)
+      ]);
 
       // Filter out deleted timesheets
       const activeTimesheets = (timesheets || []).filter(ts => ts.is_deleted !== true);
@@ -75,7 +81,7 @@ export default function FinanceWidget({ refreshTrigger }) {
 
       activeTimesheets.forEach(ts => {
         const hours = parseFloat(ts.hours_worked || ts.hours || 0);
-        const sellPrice = ts.resources?.sell_price || 0;
+        const sellPrice = resolveRates(ts.resources, ts.date).sell_price || 0;
         const billableValue = calculateBillableValue(hours, sellPrice);
         const isPMO = isPMORole(ts.resources?.role);
 
@@ -99,10 +105,13 @@ export default function FinanceWidget({ refreshTrigger }) {
         ? (pmoTimesheets / timesheetsTotal) * 100 
         : 0;
 
-      // 3. Get expenses with chargeability
-      const expenses = await expensesService.getAll(projectId, {
-        select: 'id, amount, status, chargeable_to_customer, is_deleted'
-      });
+      // 3. Get expenses with chargeability, converted to the project currency
+      const [expenses, fx] = await Promise.all([
+        expensesService.getAll(projectId, {
+          select: 'id, amount, currency, expense_date, status, chargeable_to_customer, is_deleted'
+        }),
+        exchangeRatesService.getConverter(projectId)
+      ]);
 
       // Filter out deleted expenses
       const activeExpenses = (expenses || []).filter(exp => exp.is_deleted !== true);
@@ -113,7 +122,7 @@ export default function FinanceWidget({ refreshTrigger }) {
       let expensesValidatedNonChargeable = 0;
 
       activeExpenses.forEach(exp => {
-        const amount = parseFloat(exp.amount || 0);
+        const amount = fx.convert(exp.amount, exp.currency, exp.expense_date);
         const isChargeable = exp.chargeable_to_customer !== false;
 
         switch (exp.status) {
@@ -166,7 +175,7 @@ export default function FinanceWidget({ refreshTrigger }) {
 
   const formatCurrency = (value) => {
     const absValue = Math.abs(Math.round(value));
-    const formatted = `£${absValue.toLocaleString()}`;
+    const formatted = `${getCurrencySymbol(projectCurrency)}${absValue.toLocaleString()}`;
     return value < 0 ? `-${formatted}` : formatted;
   };
 
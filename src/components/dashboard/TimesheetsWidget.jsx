@@ -2,17 +2,18 @@
  * Timesheets Widget
  * 
  * Dashboard widget showing timesheet submission and validation status.
- * Shows count and billable value (sell_price based) for each status.
- * Excludes deleted and rejected timesheets.
+ * Shows count and billable value (rate card sell rate on the timesheet
+ * date) for each status. Excludes deleted and rejected timesheets.
  * 
- * @version 1.0
+ * @version 1.1
  * @created 4 December 2025
+ * @updated 19 October 2026 - Billable value uses dated rate cards
  */
 
 import React, { useState, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { Clock, Send, CheckCircle } from 'lucide-react';
-import { timesheetsService } from '../../services';
+import { timesheetsService, rateCardsService } from '../../services';
 import { useProject } from '../../contexts/ProjectContext';
 import { calculateBillableValue } from '../../config/metricsConfig';
 import { SkeletonWidget } from '../common';
@@ -35,12 +36,15 @@ export default function TimesheetsWidget({ refreshTrigger }) {
     setLoading(true);
     try {
       // Fetch all timesheets with resource data for sell_price
-      const timesheets = await timesheetsService.getAll(projectId, {
-        select: `
-          id, hours_worked, hours, status, is_deleted,
-          resources(id, sell_price)
-        `
-      });
+      const [timesheets, resolveRates] = await Promise.all([
+        timesheetsService.getAll(projectId, {
+          select: `
+            id, date, hours_worked, hours, status, is_deleted,
+            resources(id, sell_price, role, sfia_level)
+          `
+        }),
+        rateCardsService.getRateResolver(projectId)
+      ]);
 
       // Filter out deleted timesheets
       const activeTimesheets = (timesheets || []).filter(ts => ts.is_deleted !== true);
@@ -52,7 +56,7 @@ export default function TimesheetsWidget({ refreshTrigger }) {
 
       activeTimesheets.forEach(ts => {
         const hours = parseFloat(ts.hours_worked || ts.hours || 0);
-        const sellPrice = ts.resources?.sell_price || 0;
+        const sellPrice = resolveRates(ts.resources, ts.date).sell_price || 0;
         const billableValue = calculateBillableValue(hours, sellPrice);
 
         switch (ts.status) {
@@ -11,9 +11,12 @@
  * - Progress: Supplier PM or Contributor
  * - KPI/QS Links: Supplier PM only
  *
- * @version 3.1 - WP-10: Added collapsible sections with Planner patterns
+ * Time booked shows actual hours from timesheets allocated to the
+ * deliverable (and its tasks) through the weekly timesheet grid.
+ *
+ * @version 3.2 - Time booked from timesheets
  * @created 4 December 2025
- * @updated 16 January 2026
+ * @updated 19 October 2026
  */
 
 import React, { useState, useEffect } from 'react';
@@ -23,7 +26,7 @@ import {
   Package, Calendar, FileText, Clock,
   ThumbsUp, RotateCcw, Target, Award, PenTool,
   Plus, Check, CheckSquare, ClipboardList, AlertTriangle,
-  ChevronDown, ChevronRight
+  ChevronDown, ChevronRight, Timer
 } from 'lucide-react';
 
 // Centralised utilities
@@ -43,8 +46,10 @@ import { formatDate, formatDateTime } from '../../lib/formatters';
 import { useDeliverablePermissions } from '../../hooks/useDeliverablePermissions';
 import { useProject } from '../../contexts/ProjectContext';
 import { DualSignature, SignatureComplete } from '../common/SignatureBox';
-import { deliverablesService, planItemsService, milestonesService } from '../../services';
+import { deliverablesService, planItemsService, milestonesService, timesheetsService } from '../../services';
 import InlineEditField from '../common/InlineEditField';
+import NonWorkingDayHint from '../common/NonWorkingDayHint';
+import { useWorkingCalendar } from '../../hooks/useWorkingCalendar';
 import { useAuth } from '../../contexts/AuthContext';
 
 import './DeliverableDetailModal.css';
@@ -821,6 +826,7 @@ export default function DeliverableDetailModal({
 }) {
   const { projectId } = useProject();
   const { user } = useAuth();
+  const { calendar: workingCalendar } = useWorkingCalendar();
   const [isEditing, setIsEditing] = useState(false);
   const [editForm, setEditForm] = useState({});
   const [saving, setSaving] = useState(false);
@@ -828,6 +834,9 @@ export default function DeliverableDetailModal({
   // Unified tasks state (from plan_items)
   const [tasks, setTasks] = useState([]);
 
+  // Actual time booked from timesheets
+  const [actuals, setActuals] = useState(null);
+
   // WP-10: Collapsible sections state (Planner pattern)
   const [sectionsExpanded, setSectionsExpanded] = useState({
     details: true,
@@ -911,6 +920,11 @@ export default function DeliverableDetailModal({
             console.error('[DeliverableDetailModal] Error fetching tasks:', err);
             setTasks([]);
           });
+
+        setActuals(null);
+        timesheetsService.getDeliverableActuals(projectId, deliverable.id)
+          .then(setActuals)
+          .catch(err => console.error('[DeliverableDetailModal] Error fetching time booked:', err));
       }
     }
   }, [deliverable, projectId]);
@@ -1431,6 +1445,7 @@ export default function DeliverableDetailModal({
                         {deliverable.target_date ? formatDate(deliverable.target_date) : dueDate ? formatDate(dueDate) : 'Not set'}
                       </div>
                     )}
+                    <NonWorkingDayHint date={deliverable.target_date} calendar={workingCalendar} />
                   </div>
                 </div>
 
@@ -1456,6 +1471,26 @@ export default function DeliverableDetailModal({
                     )}
                   </div>
                 </div>
+
+                <div className="detail-item">
+                  <Timer size={18} className="detail-item-icon" />
+                  <div className="detail-item-content">
+                    <div className="detail-item-label">Time Booked</div>
+                    <div className="detail-item-value">
+                      {actuals ? (
+                        <>
+                          {actuals.hours.toFixed(1)}h ({actuals.days.toFixed(1)} days)
+                          {actuals.pendingHours > 0 && ` + ${actuals.pendingHours.toFixed(1)}h draft`}
+                          {actuals.byTask.filter(t => t.task_id).map(t => (
+                            <div key={t.task_id} className="detail-item-sub">
+                              {t.name}: {t.hours.toFixed(1)}h
+                            </div>
+                          ))}
+                        </>
+                      ) : '—'}
+                    </div>
+                  </div>
+                </div>
               </div>
                 )}
               </div>
@@ -4,16 +4,85 @@
  * Multi-category expense entry form with:
  * - Resource and date selection
  * - Travel, Accommodation, Sustenance category inputs
+ * - Mileage and per diem claims, calculated from the expense policy
  * - Chargeable and procurement method options
  * - File upload for receipts
  * 
- * @version 1.0
+ * @version 1.2
  * @created 1 December 2025
+ * @updated 19 October 2026 - Currency the expenses were paid in
+ * @updated 19 October 2026 - Mileage and per diem claims
  * @extracted-from Expenses.jsx
  */
 
 import React from 'react';
-import { Car, Home, Utensils, Upload, FileText, X, Save } from 'lucide-react';
+import { Car, Home, Utensils, Upload, FileText, X, Save, Route, CalendarDays } from 'lucide-react';
+import { getCurrencySymbol, getCurrencyOptions } from '../../lib/currency';
+import {
+  VEHICLE_TYPE_CONFIG,
+  getDistanceToDate,
+  calculateMileage,
+  calculatePerDiem,
+  describeCalculationBasis
+} from '../../lib/expensePolicy';
+
+/**
+ * Chargeable and paid-by options, shown once an amount is entered
+ */
+function ChargeOptions({ textColor, borderColor, chargeable, procurement, onChargeableChange, onProcurementChange, hasRole }) {
+  return (
+    <div style={{ display: 'flex', gap: '1.5rem', flexWrap: 'wrap', paddingTop: '0.75rem', borderTop: `1px solid ${borderColor}` }}>
+      <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', cursor: 'pointer' }}>
+        <input 
+          type="checkbox" 
+          checked={chargeable} 
+          onChange={(e) => onChargeableChange(e.target.checked)} 
+          style={{ width: '16px', height: '16px', accentColor: textColor }} 
+        />
+        <span style={{ fontSize: '0.85rem', color: textColor }}>Chargeable to Customer</span>
+      </label>
+      {hasRole(['admin', 'supplier_pm']) && (
+        <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+          <span style={{ fontSize: '0.85rem', color: textColor }}>Paid by:</span>
+          <select 
+            value={procurement} 
+            onChange={(e) => onProcurementChange(e.target.value)} 
+            style={{ padding: '0.25rem 0.5rem', borderRadius: '4px', border: `1px solid ${borderColor}`, fontSize: '0.85rem', backgroundColor: '#fff' }}
+          >
+            <option value="supplier">Supplier (JT)</option>
+            <option value="partner">Partner</option>
+          </select>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Calculated amount and how it was worked out, or why it cannot be
+ */
+function CalculatedAmount({ calculate, currency, textColor }) {
+  let result = null;
+  let message = null;
+  try {
+    result = calculate();
+  } catch (error) {
+    message = error.message;
+  }
+
+  return (
+    <div style={{ fontSize: '0.85rem', color: textColor, marginBottom: '0.75rem' }}>
+      {result ? (
+        <>
+          <strong>{getCurrencySymbol(currency)}{result.amount.toFixed(2)}</strong>
+          <span style={{ marginLeft: '0.5rem', color: '#64748b' }}>{describeCalculationBasis(result.basis, currency)}</span>
+        </>
+      ) : (
+        <span style={{ color: '#64748b' }}>{message}</span>
+      )}
+    </div>
+  );
+}
 
 /**
  * Category Input Component - Single category expense input
@@ -25,6 +94,7 @@ function CategoryInput({
   textColor, 
   borderColor, 
   amount, 
+  currencySymbol,
   reason, 
   chargeable, 
   procurement, 
@@ -42,7 +112,7 @@ function CategoryInput({
       </div>
       <div style={{ display: 'grid', gridTemplateColumns: '150px 1fr', gap: '1rem', marginBottom: '0.75rem' }}>
         <div>
-          <label className="form-label">Amount (£)</label>
+          <label className="form-label">Amount ({currencySymbol.trim()})</label>
           <input 
             type="number" 
             step="0.01" 
@@ -64,30 +134,148 @@ function CategoryInput({
         </div>
       </div>
       {parseFloat(amount) > 0 && (
-        <div style={{ display: 'flex', gap: '1.5rem', flexWrap: 'wrap', paddingTop: '0.75rem', borderTop: `1px solid ${borderColor}` }}>
-          <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', cursor: 'pointer' }}>
-            <input 
-              type="checkbox" 
-              checked={chargeable} 
-              onChange={(e) => onChargeableChange(e.target.checked)} 
-              style={{ width: '16px', height: '16px', accentColor: textColor }} 
-            />
-            <span style={{ fontSize: '0.85rem', color: textColor }}>Chargeable to Customer</span>
-          </label>
-          {hasRole(['admin', 'supplier_pm']) && (
-            <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
-              <span style={{ fontSize: '0.85rem', color: textColor }}>Paid by:</span>
-              <select 
-                value={procurement} 
-                onChange={(e) => onProcurementChange(e.target.value)} 
-                style={{ padding: '0.25rem 0.5rem', borderRadius: '4px', border: `1px solid ${borderColor}`, fontSize: '0.85rem', backgroundColor: '#fff' }}
-              >
-                <option value="supplier">Supplier (JT)</option>
-                <option value="partner">Partner</option>
-              </select>
-            </div>
-          )}
+        <ChargeOptions
+          textColor={textColor}
+          borderColor={borderColor}
+          chargeable={chargeable}
+          procurement={procurement}
+          onChargeableChange={onChargeableChange}
+          onProcurementChange={onProcurementChange}
+          hasRole={hasRole}
+        />
+      )}
+    </div>
+  );
+}
+
+/**
+ * Mileage claim - amount calculated from the distance and vehicle
+ */
+function MileageInput({ newExpense, setNewExpense, policy, expenses, projectCurrency, hasRole }) {
+  const set = (field) => (value) => setNewExpense({ ...newExpense, [field]: value });
+  const textColor = '#0369a1';
+  const borderColor = '#7dd3fc';
+  const hasDistance = parseFloat(newExpense.mileage_distance) > 0;
+
+  return (
+    <div style={{ padding: '1rem', backgroundColor: '#e0f2fe', borderRadius: '8px', marginBottom: '1rem' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', color: textColor, marginBottom: '0.75rem' }}>
+        <Route size={20} />
+        <span style={{ fontWeight: '600', fontSize: '1rem' }}>Mileage</span>
+      </div>
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 110px 150px', gap: '1rem', marginBottom: '0.75rem' }}>
+        <div>
+          <label className="form-label">From</label>
+          <input type="text" className="form-input" placeholder="e.g., Manchester" value={newExpense.mileage_from} onChange={(e) => set('mileage_from')(e.target.value)} />
+        </div>
+        <div>
+          <label className="form-label">To</label>
+          <input type="text" className="form-input" placeholder="e.g., Leeds" value={newExpense.mileage_to} onChange={(e) => set('mileage_to')(e.target.value)} />
+        </div>
+        <div>
+          <label className="form-label">Miles</label>
+          <input type="number" step="0.1" min="0" className="form-input" placeholder="0" value={newExpense.mileage_distance} onChange={(e) => set('mileage_distance')(e.target.value)} />
         </div>
+        <div>
+          <label className="form-label">Vehicle</label>
+          <select className="form-input" value={newExpense.mileage_vehicle} onChange={(e) => set('mileage_vehicle')(e.target.value)}>
+            {Object.entries(VEHICLE_TYPE_CONFIG).map(([value, config]) => <option key={value} value={value}>{config.label}</option>)}
+          </select>
+        </div>
+      </div>
+      <div style={{ marginBottom: '0.75rem' }}>
+        <label className="form-label">Reason / Description</label>
+        <input type="text" className="form-input" placeholder="e.g., Client workshop" value={newExpense.mileage_reason} onChange={(e) => set('mileage_reason')(e.target.value)} />
+      </div>
+      {hasDistance && (
+        <>
+          {/* Estimate from this project's claims; the saved amount counts every project */}
+          <CalculatedAmount
+            currency={projectCurrency}
+            textColor={textColor}
+            calculate={() => calculateMileage({
+              distance: newExpense.mileage_distance,
+              vehicleType: newExpense.mileage_vehicle,
+              distanceToDate: newExpense.resource_id ? getDistanceToDate(newExpense, expenses) : 0,
+              from: newExpense.mileage_from,
+              to: newExpense.mileage_to
+            }, policy || undefined)}
+          />
+          <ChargeOptions
+            textColor={textColor}
+            borderColor={borderColor}
+            chargeable={newExpense.mileage_chargeable}
+            procurement={newExpense.mileage_procurement}
+            onChargeableChange={set('mileage_chargeable')}
+            onProcurementChange={set('mileage_procurement')}
+            hasRole={hasRole}
+          />
+        </>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Per diem claim - amount calculated from the location rate and days
+ */
+function PerDiemInput({ newExpense, setNewExpense, policy, projectCurrency, hasRole }) {
+  const set = (field) => (value) => setNewExpense({ ...newExpense, [field]: value });
+  const textColor = '#047857';
+  const borderColor = '#6ee7b7';
+  const rates = policy?.per_diem_rates || [];
+  const hasDays = parseInt(newExpense.per_diem_full_days, 10) > 0 || parseInt(newExpense.per_diem_partial_days, 10) > 0;
+
+  if (rates.length === 0) return null;
+
+  return (
+    <div style={{ padding: '1rem', backgroundColor: '#d1fae5', borderRadius: '8px', marginBottom: '1rem' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', color: textColor, marginBottom: '0.75rem' }}>
+        <CalendarDays size={20} />
+        <span style={{ fontWeight: '600', fontSize: '1rem' }}>Per Diem</span>
+      </div>
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 110px 110px', gap: '1rem', marginBottom: '0.75rem' }}>
+        <div>
+          <label className="form-label">Location</label>
+          <select className="form-input" value={newExpense.per_diem_location} onChange={(e) => set('per_diem_location')(e.target.value)}>
+            <option value="">Select location</option>
+            {rates.map(r => <option key={r.location} value={r.location}>{r.location}</option>)}
+          </select>
+        </div>
+        <div>
+          <label className="form-label">Full days</label>
+          <input type="number" step="1" min="0" className="form-input" placeholder="0" value={newExpense.per_diem_full_days} onChange={(e) => set('per_diem_full_days')(e.target.value)} />
+        </div>
+        <div>
+          <label className="form-label">Partial days</label>
+          <input type="number" step="1" min="0" className="form-input" placeholder="0" value={newExpense.per_diem_partial_days} onChange={(e) => set('per_diem_partial_days')(e.target.value)} />
+        </div>
+      </div>
+      <div style={{ marginBottom: '0.75rem' }}>
+        <label className="form-label">Reason / Description</label>
+        <input type="text" className="form-input" placeholder="e.g., On site for go-live" value={newExpense.per_diem_reason} onChange={(e) => set('per_diem_reason')(e.target.value)} />
+      </div>
+      {newExpense.per_diem_location && hasDays && (
+        <>
+          <CalculatedAmount
+            currency={projectCurrency}
+            textColor={textColor}
+            calculate={() => calculatePerDiem({
+              location: newExpense.per_diem_location,
+              fullDays: newExpense.per_diem_full_days,
+              partialDays: newExpense.per_diem_partial_days
+            }, policy)}
+          />
+          <ChargeOptions
+            textColor={textColor}
+            borderColor={borderColor}
+            chargeable={newExpense.per_diem_chargeable}
+            procurement={newExpense.per_diem_procurement}
+            onChargeableChange={set('per_diem_chargeable')}
+            onProcurementChange={set('per_diem_procurement')}
+            hasRole={hasRole}
+          />
+        </>
       )}
     </div>
   );
@@ -105,8 +293,14 @@ export default function ExpenseAddForm({
   handleFileSelect, 
   removeFile, 
   uploadingFiles, 
+  projectCurrency,
+  policy,
+  expenses = [],
   onCancel 
 }) {
+  const currency = newExpense.currency || projectCurrency;
+  const currencySymbol = getCurrencySymbol(currency);
+
   return (
     <div className="card" style={{ marginBottom: '1.5rem', border: '2px solid var(--primary)' }}>
       <h3 style={{ marginBottom: '1rem' }}>Add New Expenses</h3>
@@ -114,7 +308,7 @@ export default function ExpenseAddForm({
         Enter amounts for any categories that apply. Leave blank to skip a category.
       </p>
 
-      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '1rem', marginBottom: '1.5rem' }}>
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 160px', gap: '1rem', marginBottom: '1.5rem' }}>
         <div>
           <label className="form-label">Resource Name *</label>
           <select 
@@ -135,6 +329,16 @@ export default function ExpenseAddForm({
             onChange={(e) => setNewExpense({ ...newExpense, expense_date: e.target.value })} 
           />
         </div>
+        <div>
+          <label className="form-label">Currency</label>
+          <select 
+            className="form-input" 
+            value={currency} 
+            onChange={(e) => setNewExpense({ ...newExpense, currency: e.target.value })}
+          >
+            {getCurrencyOptions().map(o => <option key={o.value} value={o.value}>{o.value}</option>)}
+          </select>
+        </div>
       </div>
 
       {/* Travel */}
@@ -145,6 +349,7 @@ export default function ExpenseAddForm({
         textColor="#2563eb"
         borderColor="#93c5fd"
         amount={newExpense.travel_amount}
+        currencySymbol={currencySymbol}
         reason={newExpense.travel_reason}
         chargeable={newExpense.travel_chargeable}
         procurement={newExpense.travel_procurement}
@@ -163,6 +368,7 @@ export default function ExpenseAddForm({
         textColor="#7c3aed"
         borderColor="#d8b4fe"
         amount={newExpense.accommodation_amount}
+        currencySymbol={currencySymbol}
         reason={newExpense.accommodation_reason}
         chargeable={newExpense.accommodation_chargeable}
         procurement={newExpense.accommodation_procurement}
@@ -181,6 +387,7 @@ export default function ExpenseAddForm({
         textColor="#ea580c"
         borderColor="#fdba74"
         amount={newExpense.sustenance_amount}
+        currencySymbol={currencySymbol}
         reason={newExpense.sustenance_reason}
         chargeable={newExpense.sustenance_chargeable}
         procurement={newExpense.sustenance_procurement}
@@ -191,6 +398,23 @@ export default function ExpenseAddForm({
         hasRole={hasRole}
       />
 
+      {/* Mileage and per diem - calculated in the project currency */}
+      <MileageInput
+        newExpense={newExpense}
+        setNewExpense={setNewExpense}
+        policy={policy}
+        expenses={expenses}
+        projectCurrency={projectCurrency}
+        hasRole={hasRole}
+      />
+      <PerDiemInput
+        newExpense={newExpense}
+        setNewExpense={setNewExpense}
+        policy={policy}
+        projectCurrency={projectCurrency}
+        hasRole={hasRole}
+      />
+
       {/* Notes */}
       <div style={{ marginBottom: '1rem' }}>
         <label className="form-label">Additional Notes</label>
@@ -5,13 +5,19 @@
  * - CategoryBreakdown - By expense type (Travel, Accommodation, Sustenance)
  * - ResourceBreakdown - By resource with chargeable/non-chargeable splits
  * 
- * @version 1.0
+ * Amounts are shown in the project currency: pass totals already
+ * converted, and the converter (exchangeRatesService.getConverter) for
+ * the amounts worked out here.
+ *
+ * @version 1.1
  * @created 1 December 2025
+ * @updated 19 October 2026 - Project currency instead of a fixed £, converted amounts
  * @extracted-from Expenses.jsx
  */
 
 import React from 'react';
 import { Car, Home, Utensils, Receipt, User } from 'lucide-react';
+import { DEFAULT_CURRENCY, getCurrencySymbol } from '../../lib/currency';
 
 const CATEGORIES = ['Travel', 'Accommodation', 'Sustenance'];
 
@@ -36,7 +42,12 @@ function getCategoryColor(category) {
 /**
  * Category Breakdown Card
  */
-export function CategoryBreakdown({ expenses, categoryTotals }) {
+export function CategoryBreakdown({ expenses, categoryTotals, fx = null, currency = DEFAULT_CURRENCY }) {
+  const symbol = getCurrencySymbol(currency);
+  const toProjectCurrency = e => (fx
+    ? fx.convert(e.amount, e.currency, e.expense_date)
+    : parseFloat(e.amount || 0));
+
   return (
     <div className="card" style={{ marginBottom: '1.5rem' }}>
       <h3 style={{ marginBottom: '1rem' }}>Breakdown by Type</h3>
@@ -46,7 +57,7 @@ export function CategoryBreakdown({ expenses, categoryTotals }) {
           const count = expenses.filter(e => e.category === cat).length;
           const chargeableAmt = expenses
             .filter(e => e.category === cat && e.chargeable_to_customer !== false)
-            .reduce((sum, e) => sum + parseFloat(e.amount || 0), 0);
+            .reduce((sum, e) => sum + toProjectCurrency(e), 0);
           
           return (
             <div key={cat} style={{ padding: '1rem', backgroundColor: colors.bg, borderRadius: '8px' }}>
@@ -55,11 +66,11 @@ export function CategoryBreakdown({ expenses, categoryTotals }) {
                 <span style={{ fontWeight: '600' }}>{cat}</span>
               </div>
               <div style={{ fontSize: '1.5rem', fontWeight: '700', color: colors.color }}>
-                £{categoryTotals[cat].toFixed(2)}
+                {symbol}{categoryTotals[cat].toFixed(2)}
               </div>
               <div style={{ fontSize: '0.8rem', color: '#64748b' }}>{count} expense(s)</div>
               <div style={{ fontSize: '0.75rem', color: '#10b981', marginTop: '0.25rem' }}>
-                £{chargeableAmt.toFixed(2)} chargeable
+                {symbol}{chargeableAmt.toFixed(2)} chargeable
               </div>
             </div>
           );
@@ -72,8 +83,9 @@ export function CategoryBreakdown({ expenses, categoryTotals }) {
 /**
  * Resource Breakdown Card
  */
-export function ResourceBreakdown({ resourceTotals }) {
+export function ResourceBreakdown({ resourceTotals, currency = DEFAULT_CURRENCY }) {
   if (Object.keys(resourceTotals).length === 0) return null;
+  const symbol = getCurrencySymbol(currency);
 
   return (
     <div className="card" style={{ marginBottom: '1.5rem' }}>
@@ -86,14 +98,14 @@ export function ResourceBreakdown({ resourceTotals }) {
               <span style={{ fontWeight: '600', fontSize: '0.9rem' }}>{name}</span>
             </div>
             <div style={{ fontSize: '1.25rem', fontWeight: '700', color: '#3b82f6' }}>
-              £{totals.total.toFixed(2)}
+              {symbol}{totals.total.toFixed(2)}
             </div>
             <div style={{ fontSize: '0.75rem', color: '#10b981' }}>
-              £{totals.chargeable.toFixed(2)} chargeable
+              {symbol}{totals.chargeable.toFixed(2)} chargeable
             </div>
             {totals.nonChargeable > 0 && (
               <div style={{ fontSize: '0.75rem', color: '#f59e0b' }}>
-                £{totals.nonChargeable.toFixed(2)} non-chargeable
+                {symbol}{totals.nonChargeable.toFixed(2)} non-chargeable
               </div>
             )}
           </div>
@@ -7,9 +7,12 @@
  * - Receipt image previews with full-size view on click
  * - Full edit form with all fields
  * - Action buttons for workflow (Submit, Validate, Reject)
+ * - Policy issues flagged on submission; the validator acknowledges them
+ *   before validating
+ * - How mileage and per diem amounts were calculated
  * 
- * @version 3.0 - TD-001: Uses useExpensePermissions hook internally
- * @updated 28 December 2025
+ * @version 3.4 - Records the reviewer and delegated approvals
+ * @updated 19 October 2026
  */
 
 import React, { useState, useEffect } from 'react';
@@ -17,9 +20,18 @@ import { supabase } from '../../lib/supabase';
 import { 
   X, Save, Send, CheckCircle, Trash2, Edit2, ExternalLink, ZoomIn,
   Car, Home, Utensils, Receipt, Building2, Briefcase, Calendar,
-  User, DollarSign, Clock, Paperclip, Image
+  User, DollarSign, Clock, Paperclip, Image, AlertTriangle, ShieldCheck
 } from 'lucide-react';
 import { useExpensePermissions } from '../../hooks';
+import { getCurrencySymbol, getCurrencyOptions } from '../../lib/currency';
+import {
+  POLICY_RULE_CONFIG,
+  POLICY_ERROR,
+  EXPENSE_TYPE_CONFIG,
+  describeCalculationBasis,
+  getPolicyViolations,
+  getValidationBlock
+} from '../../lib/expensePolicy';
 import './ExpenseDetailModal.css';
 
 const CATEGORIES = ['Travel', 'Accommodation', 'Sustenance'];
@@ -186,6 +198,63 @@ function ReceiptGallery({ files, onDownload }) {
   );
 }
 
+/**
+ * Policy issues flagged on submission, with the validator's acknowledgement
+ */
+function PolicyViolations({ expense, canAcknowledge, acknowledged, onAcknowledgedChange, note, onNoteChange, block }) {
+  const violations = getPolicyViolations(expense);
+  if (violations.length === 0) return null;
+
+  return (
+    <div className="info-section policy-section" data-testid="expense-policy-violations">
+      <div className="section-label">
+        <AlertTriangle size={16} />
+        <span>Policy Issues ({violations.length})</span>
+      </div>
+      <ul className="policy-list">
+        {violations.map((v, idx) => (
+          <li key={idx} className={`policy-item ${v.severity}`}>
+            <span className="policy-rule">{POLICY_RULE_CONFIG[v.rule]?.label || v.rule}</span>
+            <span className="policy-message">{v.message}</span>
+          </li>
+        ))}
+      </ul>
+
+      {expense.policy_acknowledged_at ? (
+        <p className="policy-acknowledged">
+          <ShieldCheck size={14} />
+          Acknowledged {new Date(expense.policy_acknowledged_at).toLocaleDateString('en-GB')}
+          {expense.policy_acknowledgement_note && `: ${expense.policy_acknowledgement_note}`}
+        </p>
+      ) : canAcknowledge && (
+        block?.code === POLICY_ERROR.ESCALATION_REQUIRED ? (
+          <p className="policy-escalated">{block.message}</p>
+        ) : (
+          <div className="policy-acknowledge">
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={acknowledged}
+                onChange={(e) => onAcknowledgedChange(e.target.checked)}
+                data-testid="expense-policy-acknowledge"
+              />
+              <span>I have reviewed these policy issues</span>
+            </label>
+            {acknowledged && (
+              <textarea
+                rows={2}
+                placeholder="Reason for accepting (optional)"
+                value={note}
+                onChange={(e) => onNoteChange(e.target.value)}
+              />
+            )}
+          </div>
+        )
+      )}
+    </div>
+  );
+}
+
 export default function ExpenseDetailModal({
   isOpen,
   expense,
@@ -200,6 +269,8 @@ export default function ExpenseDetailModal({
 }) {
   const [isEditing, setIsEditing] = useState(false);
   const [editForm, setEditForm] = useState({});
+  const [acknowledged, setAcknowledged] = useState(false);
+  const [acknowledgementNote, setAcknowledgementNote] = useState('');
 
   // Get permissions from hook - centralised permission logic
   const permissions = useExpensePermissions(expense);
@@ -212,18 +283,34 @@ export default function ExpenseDetailModal({
         expense_date: expense.expense_date,
         reason: expense.reason,
         amount: expense.amount,
+        currency: expense.currency,
         notes: expense.notes || '',
         status: expense.status,
         chargeable_to_customer: expense.chargeable_to_customer !== false,
         procurement_method: expense.procurement_method || 'supplier'
       });
       setIsEditing(false);
+      setAcknowledged(false);
+      setAcknowledgementNote('');
     }
   }, [expense]);
 
   if (!isOpen || !expense) return null;
 
   const isChargeable = expense.chargeable_to_customer !== false;
+  const validationBlock = getValidationBlock(expense, { role: permissions.reviewRole, acknowledged });
+  const statusBlock = getValidationBlock(expense, { role: permissions.reviewRole });
+
+  function handleValidate() {
+    onValidate(expense.id, {
+      role: permissions.reviewRole,
+      acknowledgedBy: acknowledged ? permissions.currentUserId : null,
+      note: acknowledgementNote,
+      reviewedBy: permissions.currentUserId,
+      onBehalfOf: permissions.onBehalfOf
+    });
+    handleClose();
+  }
 
   async function handleSave() {
     await onSave(expense.id, editForm);
@@ -286,7 +373,7 @@ export default function ExpenseDetailModal({
                 </div>
               </div>
               
-              <div className="form-row">
+              <div className="form-row" style={{ gridTemplateColumns: '1fr 1fr 120px' }}>
                 <div className="form-group">
                   <label>Date</label>
                   <input
@@ -296,7 +383,7 @@ export default function ExpenseDetailModal({
                   />
                 </div>
                 <div className="form-group">
-                  <label>Amount (£)</label>
+                  <label>Amount ({getCurrencySymbol(editForm.currency).trim()})</label>
                   <input
                     type="number"
                     step="0.01"
@@ -304,6 +391,15 @@ export default function ExpenseDetailModal({
                     onChange={(e) => setEditForm({ ...editForm, amount: e.target.value })}
                   />
                 </div>
+                <div className="form-group">
+                  <label>Currency</label>
+                  <select
+                    value={editForm.currency}
+                    onChange={(e) => setEditForm({ ...editForm, currency: e.target.value })}
+                  >
+                    {getCurrencyOptions().map(o => <option key={o.value} value={o.value}>{o.value}</option>)}
+                  </select>
+                </div>
               </div>
 
               <div className="form-group full-width">
@@ -356,7 +452,15 @@ export default function ExpenseDetailModal({
                     value={editForm.status}
                     onChange={(e) => setEditForm({ ...editForm, status: e.target.value })}
                   >
-                    {STATUSES.map(s => <option key={s} value={s}>{STATUS_DISPLAY_NAMES[s] || s}</option>)}
+                    {STATUSES.map(s => (
+                      <option
+                        key={s}
+                        value={s}
+                        disabled={s === 'Approved' && expense.status !== 'Approved' && Boolean(statusBlock)}
+                      >
+                        {STATUS_DISPLAY_NAMES[s] || s}
+                      </option>
+                    ))}
                   </select>
                 </div>
               )}
@@ -384,7 +488,7 @@ export default function ExpenseDetailModal({
                   <DollarSign size={18} />
                   <div>
                     <span className="detail-label">Amount</span>
-                    <span className="detail-value amount">£{parseFloat(expense.amount).toFixed(2)}</span>
+                    <span className="detail-value amount">{getCurrencySymbol(expense.currency)}{parseFloat(expense.amount).toFixed(2)}</span>
                   </div>
                 </div>
                 <div className="detail-item">
@@ -404,6 +508,14 @@ export default function ExpenseDetailModal({
                 <p className="section-content">{expense.reason || 'No reason provided'}</p>
               </div>
 
+              {/* Calculated amount */}
+              {expense.calculation_basis && (
+                <div className="info-section">
+                  <span className="section-label">{EXPENSE_TYPE_CONFIG[expense.expense_type]?.label || 'Calculation'}</span>
+                  <p className="section-content">{describeCalculationBasis(expense.calculation_basis, expense.currency)}</p>
+                </div>
+              )}
+
               {/* Notes */}
               {expense.notes && (
                 <div className="info-section">
@@ -412,6 +524,16 @@ export default function ExpenseDetailModal({
                 </div>
               )}
 
+              <PolicyViolations
+                expense={expense}
+                canAcknowledge={permissions.canValidate}
+                acknowledged={acknowledged}
+                onAcknowledgedChange={setAcknowledged}
+                note={acknowledgementNote}
+                onNoteChange={setAcknowledgementNote}
+                block={validationBlock}
+              />
+
               {/* Procurement - only for certain roles */}
               {permissions.canSeeProcurement && (
                 <div className="info-section inline">
@@ -483,15 +605,17 @@ export default function ExpenseDetailModal({
                 {permissions.canValidate && (
                   <>
                     <button 
-                      onClick={() => { onReject(expense.id); handleClose(); }} 
+                      onClick={() => { onReject(expense.id, { reviewedBy: permissions.currentUserId, onBehalfOf: permissions.onBehalfOf }); handleClose(); }} 
                       className="btn btn-danger"
                       data-testid="expense-reject-button"
                     >
                       <X size={16} /> Reject
                     </button>
                     <button 
-                      onClick={() => { onValidate(expense.id); handleClose(); }} 
+                      onClick={handleValidate} 
                       className="btn btn-success"
+                      disabled={Boolean(validationBlock)}
+                      title={validationBlock?.message}
                       data-testid="expense-validate-button"
                     >
                       <CheckCircle size={16} /> Validate
@@ -8,15 +8,17 @@
  * - Status filter
  * - Chargeable filter
  * - Procurement method filter (admin/supplier only)
- * - Totals summary for selected filters
+ * - Totals summary for selected filters, in the project currency
  *
- * @version 2.0
+ * @version 2.1
  * @created 1 December 2025
  * @updated 13 January 2026 - Added date range and multi-select filters
+ * @updated 19 October 2026 - Totals converted to the project currency
  */
 
 import React, { useState, useRef, useEffect } from 'react';
 import { Calendar, X, ChevronDown, Check, Users, Tag } from 'lucide-react';
+import { DEFAULT_CURRENCY, getCurrencySymbol } from '../../lib/currency';
 
 const CATEGORIES = ['Travel', 'Accommodation', 'Sustenance'];
 const STATUSES = ['Draft', 'Submitted', 'Approved', 'Rejected', 'Paid'];
@@ -269,7 +271,9 @@ export default function ExpenseFilters({
   selectedCategories = [],
   setSelectedCategories,
   selectedResources = [],
-  setSelectedResources
+  setSelectedResources,
+  fx = null,
+  projectCurrency = DEFAULT_CURRENCY
 }) {
   const [selectedMonth, setSelectedMonth] = useState('');
 
@@ -356,11 +360,19 @@ export default function ExpenseFilters({
     return true;
   });
 
-  // Calculate totals by resource
+  // Calculate totals by resource, converted to the project currency
+  const currencySymbol = getCurrencySymbol(projectCurrency);
   const totalsByResource = {};
+  const missingRates = new Set();
   let grandTotal = 0;
   filteredForTotals.forEach(e => {
-    const amount = parseFloat(e.amount || 0);
+    let amount = parseFloat(e.amount || 0);
+    if (fx) {
+      if (fx.getRate(e.currency, e.expense_date) === null) {
+        missingRates.add(`${e.currency} → ${fx.currency}`);
+      }
+      amount = fx.convert(e.amount, e.currency, e.expense_date);
+    }
     if (!totalsByResource[e.resource_name]) {
       totalsByResource[e.resource_name] = { total: 0, count: 0 };
     }
@@ -619,7 +631,7 @@ export default function ExpenseFilters({
                   {resourceName}
                 </div>
                 <div style={{ fontSize: '1.25rem', fontWeight: '600', color: '#166534' }}>
-                  £{data.total.toFixed(2)}
+                  {currencySymbol}{data.total.toFixed(2)}
                 </div>
                 <div style={{ fontSize: '0.7rem', color: '#9ca3af' }}>
                   {data.count} expense{data.count !== 1 ? 's' : ''}
@@ -641,7 +653,7 @@ export default function ExpenseFilters({
                   Combined Total
                 </div>
                 <div style={{ fontSize: '1.25rem', fontWeight: '700', color: 'white' }}>
-                  £{grandTotal.toFixed(2)}
+                  {currencySymbol}{grandTotal.toFixed(2)}
                 </div>
                 <div style={{ fontSize: '0.7rem', color: '#86efac' }}>
                   {filteredForTotals.length} expense{filteredForTotals.length !== 1 ? 's' : ''}
@@ -649,6 +661,12 @@ export default function ExpenseFilters({
               </div>
             )}
           </div>
+
+          {missingRates.size > 0 && (
+            <div style={{ marginTop: '0.75rem', fontSize: '0.75rem', color: '#92400e' }}>
+              No exchange rate for {[...missingRates].join(', ')} - those amounts are included unconverted.
+            </div>
+          )}
         </div>
       )}
     </div>
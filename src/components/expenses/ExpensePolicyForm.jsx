@@ -0,0 +1,282 @@
+/**
+ * Expense Policy Form
+ *
+ * Edits an organisation expense policy or a project override. Blank
+ * fields inherit: the placeholders show the value that applies instead
+ * (the organisation policy for a project, the defaults for an
+ * organisation). Rules are in lib/expensePolicy.js.
+ *
+ * Per diem rates are a list; a project that lists none uses the
+ * organisation's.
+ *
+ * @version 1.1
+ * @created 19 October 2026
+ * @updated 19 October 2026 - Vehicle mileage rates and per diem rates
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Save, Loader2, Plus, Trash2 } from 'lucide-react';
+import { getCurrencySymbol } from '../../lib/currency';
+import {
+  EXPENSE_CATEGORIES,
+  ESCALATION_ROLE_OPTIONS,
+  POLICY_NUMBER_FIELDS
+} from '../../lib/expensePolicy';
+import './ExpensePolicyForm.css';
+
+const toInput = (value) => (value === null || value === undefined ? '' : String(value));
+const toFlag = (value) => (value === null || value === undefined ? '' : String(value));
+const fromFlag = (value) => (value === '' ? null : value === 'true');
+
+function formFromPolicy(policy) {
+  const form = {
+    category_caps: {},
+    flag_non_working_days: toFlag(policy?.flag_non_working_days),
+    flag_duplicates: toFlag(policy?.flag_duplicates),
+    escalation_role: policy?.escalation_role || '',
+    per_diem_rates: (policy?.per_diem_rates || []).map(r => ({ location: r.location, rate: toInput(r.rate) }))
+  };
+  POLICY_NUMBER_FIELDS.forEach(field => { form[field] = toInput(policy?.[field]); });
+  EXPENSE_CATEGORIES.forEach(category => {
+    form.category_caps[category] = toInput(policy?.category_caps?.[category]);
+  });
+  return form;
+}
+
+function NumberField({ label, value, onChange, inherited, prefix, step = '0.01', hint }) {
+  const placeholder = inherited === null || inherited === undefined ? 'No limit' : `${prefix || ''}${inherited}`;
+  return (
+    <div className="epol-field">
+      <label>{label}</label>
+      <input
+        type="number"
+        min="0"
+        step={step}
+        value={value}
+        placeholder={placeholder}
+        onChange={(e) => onChange(e.target.value)}
+      />
+      {hint && <span className="epol-hint">{hint}</span>}
+    </div>
+  );
+}
+
+function FlagField({ label, value, onChange, inherited, inheritLabel }) {
+  return (
+    <div className="epol-field">
+      <label>{label}</label>
+      <select value={value} onChange={(e) => onChange(e.target.value)}>
+        <option value="">{inheritLabel} ({inherited ? 'on' : 'off'})</option>
+        <option value="true">On</option>
+        <option value="false">Off</option>
+      </select>
+    </div>
+  );
+}
+
+export default function ExpensePolicyForm({ policy, inherited, inheritLabel = 'Default', currency, onSave }) {
+  const [form, setForm] = useState(() => formFromPolicy(policy));
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    setForm(formFromPolicy(policy));
+  }, [policy]);
+
+  const symbol = getCurrencySymbol(currency);
+  const set = (field) => (value) => setForm(prev => ({ ...prev, [field]: value }));
+  const setCap = (category) => (value) => setForm(prev => ({
+    ...prev,
+    category_caps: { ...prev.category_caps, [category]: value }
+  }));
+  const setRate = (index, field) => (value) => setForm(prev => ({
+    ...prev,
+    per_diem_rates: prev.per_diem_rates.map((r, i) => (i === index ? { ...r, [field]: value } : r))
+  }));
+  const addRate = () => setForm(prev => ({ ...prev, per_diem_rates: [...prev.per_diem_rates, { location: '', rate: '' }] }));
+  const removeRate = (index) => setForm(prev => ({
+    ...prev,
+    per_diem_rates: prev.per_diem_rates.filter((_, i) => i !== index)
+  }));
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await onSave({
+        ...form,
+        flag_non_working_days: fromFlag(form.flag_non_working_days),
+        flag_duplicates: fromFlag(form.flag_duplicates)
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inheritedRole = ESCALATION_ROLE_OPTIONS.find(o => o.value === inherited.escalation_role)?.label;
+  const inheritedRates = (inherited.per_diem_rates || [])
+    .map(r => `${r.location} ${symbol}${r.rate}`)
+    .join(', ');
+
+  return (
+    <div className="epol-form" data-testid="expense-policy-form">
+      <section className="epol-section">
+        <h4>Category caps</h4>
+        <p className="epol-hint">Most a single expense may claim in each category.</p>
+        <div className="epol-grid">
+          {EXPENSE_CATEGORIES.map(category => (
+            <NumberField
+              key={category}
+              label={category}
+              prefix={symbol}
+              value={form.category_caps[category]}
+              inherited={inherited.category_caps?.[category]}
+              onChange={setCap(category)}
+            />
+          ))}
+          <NumberField
+            label="Daily per diem"
+            prefix={symbol}
+            value={form.per_diem_limit}
+            inherited={inherited.per_diem_limit}
+            onChange={set('per_diem_limit')}
+            hint="Sustenance per resource per day"
+          />
+        </div>
+      </section>
+
+      <section className="epol-section">
+        <h4>Checks</h4>
+        <div className="epol-grid">
+          <FlagField
+            label="Flag weekends and holidays"
+            value={form.flag_non_working_days}
+            inherited={inherited.flag_non_working_days}
+            inheritLabel={inheritLabel}
+            onChange={set('flag_non_working_days')}
+          />
+          <FlagField
+            label="Flag possible duplicates"
+            value={form.flag_duplicates}
+            inherited={inherited.flag_duplicates}
+            inheritLabel={inheritLabel}
+            onChange={set('flag_duplicates')}
+          />
+        </div>
+      </section>
+
+      <section className="epol-section">
+        <h4>Mileage</h4>
+        <p className="epol-hint">
+          The standard rate applies up to the annual threshold (per resource, per tax year), then the reduced rate.
+        </p>
+        <div className="epol-grid">
+          <NumberField
+            label={`Rate per mile (${symbol.trim()})`}
+            step="0.01"
+            value={form.mileage_rate}
+            inherited={inherited.mileage_rate}
+            onChange={set('mileage_rate')}
+          />
+          <NumberField
+            label={`Reduced rate (${symbol.trim()})`}
+            step="0.01"
+            value={form.mileage_reduced_rate}
+            inherited={inherited.mileage_reduced_rate}
+            onChange={set('mileage_reduced_rate')}
+          />
+          <NumberField
+            label="Annual threshold (miles)"
+            step="1"
+            value={form.mileage_threshold}
+            inherited={inherited.mileage_threshold}
+            onChange={set('mileage_threshold')}
+          />
+          <NumberField
+            label={`Motorcycle rate (${symbol.trim()})`}
+            step="0.01"
+            value={form.motorcycle_rate}
+            inherited={inherited.motorcycle_rate}
+            onChange={set('motorcycle_rate')}
+          />
+          <NumberField
+            label={`Bicycle rate (${symbol.trim()})`}
+            step="0.01"
+            value={form.bicycle_rate}
+            inherited={inherited.bicycle_rate}
+            onChange={set('bicycle_rate')}
+          />
+        </div>
+      </section>
+
+      <section className="epol-section">
+        <h4>Per diem rates</h4>
+        <p className="epol-hint">
+          Daily allowance by country or city, claimed instead of receipts.
+          {form.per_diem_rates.length === 0 && ` ${inheritLabel}: ${inheritedRates || 'none'}.`}
+        </p>
+        <div className="epol-rates">
+          {form.per_diem_rates.map((r, index) => (
+            <div key={index} className="epol-rate-row">
+              <input
+                type="text"
+                placeholder="Country or city"
+                value={r.location}
+                onChange={(e) => setRate(index, 'location')(e.target.value)}
+              />
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                placeholder={`${symbol}0.00`}
+                value={r.rate}
+                onChange={(e) => setRate(index, 'rate')(e.target.value)}
+              />
+              <button className="epol-icon-btn" onClick={() => removeRate(index)} title="Remove rate">
+                <Trash2 size={14} />
+              </button>
+            </div>
+          ))}
+          <button className="epol-btn secondary" onClick={addRate}>
+            <Plus size={14} /> Add rate
+          </button>
+        </div>
+        <div className="epol-grid">
+          <NumberField
+            label="Partial day (%)"
+            step="1"
+            value={form.per_diem_partial_percent}
+            inherited={inherited.per_diem_partial_percent}
+            onChange={set('per_diem_partial_percent')}
+            hint="Share of the daily rate paid for travel days"
+          />
+        </div>
+      </section>
+
+      <section className="epol-section">
+        <h4>Escalation</h4>
+        <div className="epol-grid">
+          <NumberField
+            label="Escalate expenses over"
+            prefix={symbol}
+            value={form.escalation_threshold}
+            inherited={inherited.escalation_threshold}
+            onChange={set('escalation_threshold')}
+          />
+          <div className="epol-field">
+            <label>Validated by</label>
+            <select value={form.escalation_role} onChange={(e) => set('escalation_role')(e.target.value)}>
+              <option value="">{inheritLabel} ({inheritedRole})</option>
+              {ESCALATION_ROLE_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+            </select>
+          </div>
+        </div>
+      </section>
+
+      <div className="epol-actions">
+        <button className="epol-btn" onClick={handleSave} disabled={saving}>
+          {saving ? <Loader2 size={14} className="spinning" /> : <Save size={14} />}
+          Save policy
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -6,13 +6,17 @@
  * - Status and category badges
  * - No action buttons in table (actions in modal)
  * - No receipt icons in table (receipts shown in modal)
+ * - Flag on expenses with policy issues
  * 
- * @version 2.0
- * @updated 5 December 2025
+ * @version 2.2
+ * @updated 19 October 2026 - Amounts shown in the expense currency
+ * @updated 19 October 2026 - Policy issue flag
  */
 
 import React from 'react';
-import { Car, Home, Utensils, Receipt, Building2, Briefcase, Check, X, Paperclip } from 'lucide-react';
+import { Car, Home, Utensils, Receipt, Building2, Briefcase, Check, X, Paperclip, AlertTriangle } from 'lucide-react';
+import { getCurrencySymbol } from '../../lib/currency';
+import { getPolicyViolations, hasPolicyBreach } from '../../lib/expensePolicy';
 
 const STATUS_DISPLAY_NAMES = {
   'Draft': 'Draft',
@@ -59,6 +63,7 @@ function getProcurementClass(method) {
 function ExpenseRow({ expense, showProcurement, setDetailModal }) {
   const isChargeable = expense.chargeable_to_customer !== false;
   const hasReceipts = expense.expense_files?.length > 0;
+  const policyIssues = getPolicyViolations(expense);
 
   return (
     <tr onClick={() => setDetailModal({ isOpen: true, expense })}>
@@ -74,7 +79,7 @@ function ExpenseRow({ expense, showProcurement, setDetailModal }) {
       <td className="cell-reason">
         <span className="reason-text">{expense.reason}</span>
       </td>
-      <td className="cell-amount">£{parseFloat(expense.amount).toFixed(2)}</td>
+      <td className="cell-amount">{getCurrencySymbol(expense.currency)}{parseFloat(expense.amount).toFixed(2)}</td>
       <td>
         <span className={`chargeable-badge ${isChargeable ? 'chargeable-yes' : 'chargeable-no'}`}>
           {isChargeable ? <Check size={12} /> : <X size={12} />}
@@ -93,6 +98,14 @@ function ExpenseRow({ expense, showProcurement, setDetailModal }) {
         <span className={`status-badge ${getStatusClass(expense.status)}`}>
           {STATUS_DISPLAY_NAMES[expense.status] || expense.status}
         </span>
+        {policyIssues.length > 0 && (
+          <span
+            className={`policy-indicator ${hasPolicyBreach(expense) ? 'breach' : 'warning'}`}
+            title={policyIssues.map(v => v.message).join('\n')}
+          >
+            <AlertTriangle size={14} />
+          </span>
+        )}
       </td>
       <td className="cell-receipts">
         {hasReceipts && (
@@ -4,8 +4,8 @@
  * Smart receipt scanning with AI-powered data extraction and classification.
  * Supports batch scanning - upload multiple receipts at once.
  * 
- * @version 2.0
- * @updated 2 December 2025
+ * @version 2.1
+ * @updated 19 October 2026 - Receipt currency detected and editable
  * @phase Phase 2 - Smart Receipt Scanner
  * 
  * Features:
@@ -26,6 +26,7 @@ import { receiptScannerService } from '../../services';
 import { useAuth } from '../../contexts/AuthContext';
 import { useProject } from '../../contexts/ProjectContext';
 import { useToast } from '../../contexts/ToastContext';
+import { DEFAULT_CURRENCY, getCurrencySymbol, getCurrencyOptions } from '../../lib/currency';
 import './ReceiptScanner.css';
 
 // Category configuration
@@ -55,7 +56,8 @@ export default function ReceiptScanner({
   onExpenseCreated, 
   onCancel,
   resources = [],
-  defaultResourceId = null
+  defaultResourceId = null,
+  defaultCurrency = DEFAULT_CURRENCY
 }) {
   const { user } = useAuth();
   const { projectId } = useProject();
@@ -158,6 +160,7 @@ export default function ReceiptScanner({
     formData: {
       merchant: '',
       amount: '',
+      currency: defaultCurrency,
       date: new Date().toISOString().split('T')[0],
       category: '',
       resource_id: defaultResourceId || '',
@@ -204,7 +207,7 @@ export default function ReceiptScanner({
 
     setReceipts(prev => [...prev, ...newReceipts]);
     showInfo(`Added ${newReceipts.length} receipt${newReceipts.length > 1 ? 's' : ''}`);
-  }, [showWarning, showInfo, defaultResourceId]);
+  }, [showWarning, showInfo, defaultResourceId, defaultCurrency]);
 
   const handleDrop = useCallback((event) => {
     event.preventDefault();
@@ -293,6 +296,7 @@ export default function ReceiptScanner({
             ...updatedReceipts[i].formData,
             merchant: result.merchant || '',
             amount: result.amount?.toString() || '',
+            currency: result.currency || updatedReceipts[i].formData.currency,
             date: result.date || new Date().toISOString().split('T')[0],
             category: result.suggestedCategory || '',
             reason: result.merchant ? `Receipt from ${result.merchant}` : ''
@@ -445,6 +449,7 @@ export default function ReceiptScanner({
         expense_date: formData.date,
         reason: formData.reason,
         amount: parseFloat(formData.amount),
+        currency: formData.currency,
         notes: formData.notes,
         chargeable_to_customer: formData.chargeable,
         procurement_method: formData.procurement,
@@ -464,7 +469,7 @@ export default function ReceiptScanner({
         onExpenseCreated(expenseData);
       }
 
-      showSuccess(`Expense created: ${formData.merchant || 'Receipt'} - £${formData.amount}`);
+      showSuccess(`Expense created: ${formData.merchant || 'Receipt'} - ${getCurrencySymbol(formData.currency)}${formData.amount}`);
 
       // Auto-advance to next unsubmitted receipt
       const nextReadyIndex = receipts.findIndex((r, i) => 
@@ -742,7 +747,7 @@ export default function ReceiptScanner({
                         {receipt.formData.merchant || `Receipt ${index + 1}`}
                       </span>
                       <span className="item-amount">
-                        {receipt.formData.amount ? `£${receipt.formData.amount}` : '—'}
+                        {receipt.formData.amount ? `${getCurrencySymbol(receipt.formData.currency)}${receipt.formData.amount}` : '—'}
                       </span>
                     </div>
                     <div className="sidebar-item-status">
@@ -843,7 +848,7 @@ export default function ReceiptScanner({
                         />
                       </div>
                       <div className="form-group">
-                        <label className="form-label">Amount (£) *</label>
+                        <label className="form-label">Amount ({getCurrencySymbol(currentReceipt.formData.currency).trim()}) *</label>
                         <input
                           type="number"
                           step="0.01"
@@ -853,6 +858,16 @@ export default function ReceiptScanner({
                           placeholder="0.00"
                         />
                       </div>
+                      <div className="form-group">
+                        <label className="form-label">Currency</label>
+                        <select
+                          className="form-input"
+                          value={currentReceipt.formData.currency}
+                          onChange={(e) => updateCurrentReceipt('currency', e.target.value)}
+                        >
+                          {getCurrencyOptions().map(o => <option key={o.value} value={o.value}>{o.value}</option>)}
+                        </select>
+                      </div>
                     </div>
 
                     <div className="form-row">
@@ -934,7 +949,7 @@ export default function ReceiptScanner({
                     <Check size={48} />
                   </div>
                   <h3>Expense Submitted</h3>
-                  <p>{currentReceipt.formData.merchant} - £{currentReceipt.formData.amount}</p>
+                  <p>{currentReceipt.formData.merchant} - {getCurrencySymbol(currentReceipt.formData.currency)}{currentReceipt.formData.amount}</p>
                   {hasNext && (
                     <button className="btn btn-primary" onClick={goToNext}>
                       Review Next Receipt <ChevronRight size={18} />
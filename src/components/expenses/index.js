@@ -3,8 +3,8 @@
  * 
  * Exports all expense-related components for easy importing
  * 
- * @version 2.0
- * @updated 1 December 2025
+ * @version 2.1
+ * @updated 19 October 2026
  */
 
 export { default as ReceiptScanner } from './ReceiptScanner';
@@ -13,3 +13,4 @@ export { CategoryBreakdown, ResourceBreakdown, ExpenseGuidelines } from './Expen
 export { default as ExpenseAddForm } from './ExpenseAddForm';
 export { default as ExpenseTable } from './ExpenseTable';
 export { default as ExpenseDetailModal } from './ExpenseDetailModal';
+export { default as ExpensePolicyForm } from './ExpensePolicyForm';
@@ -8,11 +8,13 @@
  * @version 1.1
  * @created 1 December 2025
  * @updated 18 December 2025 - Added delete functionality with warnings
+ * @updated 19 October 2026 - Non-working day hints from the project working calendar
  * @extracted-from Milestones.jsx
  */
 
 import React, { useState } from 'react';
 import { Plus, Edit2, Save, X, Trash2, AlertTriangle } from 'lucide-react';
+import { NonWorkingDayHint } from '../common';
 
 /**
  * Add Milestone Form - Inline expandable form
@@ -21,7 +23,8 @@ export function MilestoneAddForm({
   form, 
   onFormChange, 
   onSubmit, 
-  onCancel 
+  onCancel,
+  calendar = null
 }) {
   return (
     <div className="card" style={{ marginBottom: '1.5rem', border: '2px solid #10b981' }} data-testid="milestone-add-form">
@@ -77,6 +80,7 @@ export function MilestoneAddForm({
               onChange={(e) => onFormChange({ ...form, baseline_start_date: e.target.value, start_date: e.target.value })}
               data-testid="milestone-baseline-start-input"
             />
+            <NonWorkingDayHint date={form.baseline_start_date || form.start_date} calendar={calendar} />
           </div>
           <div>
             <label className="form-label">Baseline End Date</label>
@@ -87,6 +91,7 @@ export function MilestoneAddForm({
               onChange={(e) => onFormChange({ ...form, baseline_end_date: e.target.value, end_date: e.target.value })}
               data-testid="milestone-baseline-end-input"
             />
+            <NonWorkingDayHint date={form.baseline_end_date || form.end_date} calendar={calendar} />
           </div>
         </div>
       </div>
@@ -112,6 +117,7 @@ export function MilestoneAddForm({
               value={form.forecast_end_date || form.end_date}
               onChange={(e) => onFormChange({ ...form, forecast_end_date: e.target.value })}
             />
+            <NonWorkingDayHint date={form.forecast_end_date || form.end_date} calendar={calendar} />
           </div>
         </div>
       </div>
@@ -168,7 +174,8 @@ export function MilestoneEditModal({
   onDelete,
   canDelete = true,
   deliverablesCount = 0,
-  saving = false
+  saving = false,
+  calendar = null
 }) {
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
   
@@ -262,6 +269,7 @@ export function MilestoneEditModal({
                 onChange={(e) => onFormChange({ ...form, baseline_start_date: e.target.value })}
                 style={inputStyle}
               />
+              <NonWorkingDayHint date={form.baseline_start_date} calendar={calendar} />
             </div>
             <div>
               <label style={{ display: 'block', fontWeight: '500', marginBottom: '0.25rem' }}>Baseline End</label>
@@ -271,6 +279,7 @@ export function MilestoneEditModal({
                 onChange={(e) => onFormChange({ ...form, baseline_end_date: e.target.value })}
                 style={inputStyle}
               />
+              <NonWorkingDayHint date={form.baseline_end_date} calendar={calendar} />
             </div>
           </div>
         </div>
@@ -296,6 +305,7 @@ export function MilestoneEditModal({
                 onChange={(e) => onFormChange({ ...form, forecast_end_date: e.target.value })}
                 style={inputStyle}
               />
+              <NonWorkingDayHint date={form.forecast_end_date} calendar={calendar} />
             </div>
           </div>
         </div>
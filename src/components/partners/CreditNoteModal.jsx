@@ -0,0 +1,181 @@
+/**
+ * Credit Note Modal Component
+ *
+ * Raises a credit note against an issued invoice:
+ * - Credit everything left on the invoice, or
+ * - Enter a net amount to credit per line (up to what is left)
+ * - Reason for the credit
+ *
+ * VAT on each credited line is worked out by the service from the
+ * original line's treatment and rate (see lib/tax.js).
+ *
+ * @version 1.0
+ * @created 19 October 2026
+ */
+
+import React, { useState } from 'react';
+import { FileMinus, X } from 'lucide-react';
+import { getCurrencySymbol } from '../../lib/currency';
+import { roundMoney, validateCreditRequest } from '../../lib/tax';
+
+export default function CreditNoteModal({
+  invoice,
+  creditable,
+  onSubmit,
+  onClose,
+  saving
+}) {
+  const [creditAll, setCreditAll] = useState(true);
+  const [amounts, setAmounts] = useState(() => Object.fromEntries(
+    creditable.map(c => [c.line.id, c.remainingNet > 0 ? c.remainingNet.toFixed(2) : ''])
+  ));
+  const [reason, setReason] = useState('');
+  const [error, setError] = useState(null);
+
+  const symbol = getCurrencySymbol(invoice.currency);
+  const openLines = creditable.filter(c => c.remainingNet > 0);
+  const selectedTotal = creditAll
+    ? openLines.reduce((sum, c) => sum + c.remainingNet, 0)
+    : Object.values(amounts).reduce((sum, v) => sum + (parseFloat(v) || 0), 0);
+
+  function handleSubmit() {
+    const request = creditAll ? null : amounts;
+    const message = !reason.trim()
+      ? 'Enter a reason for the credit'
+      : validateCreditRequest(creditable, request);
+    if (message) {
+      setError(message);
+      return;
+    }
+    setError(null);
+    onSubmit({ amounts: request, reason: reason.trim() });
+  }
+
+  return (
+    <div style={{
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      backgroundColor: 'rgba(0,0,0,0.5)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 1100
+    }}>
+      <div style={{
+        backgroundColor: '#fff',
+        borderRadius: '12px',
+        padding: '1.5rem',
+        maxWidth: '720px',
+        width: '95%',
+        maxHeight: '90vh',
+        overflow: 'auto'
+      }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem', marginBottom: '1rem' }}>
+          <FileMinus size={22} style={{ color: '#dc2626' }} />
+          <h2 style={{ margin: 0, flex: 1 }}>Credit Note for {invoice.invoice_number}</h2>
+          <button
+            onClick={onClose}
+            style={{ background: 'none', border: 'none', cursor: 'pointer' }}
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        {openLines.length === 0 ? (
+          <p style={{ color: '#64748b' }}>This invoice has already been fully credited.</p>
+        ) : (
+          <>
+            <div style={{ display: 'flex', gap: '1.5rem', marginBottom: '1rem', fontSize: '0.875rem' }}>
+              <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', cursor: 'pointer' }}>
+                <input type="radio" checked={creditAll} onChange={() => setCreditAll(true)} />
+                Credit everything remaining
+              </label>
+              <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', cursor: 'pointer' }}>
+                <input type="radio" checked={!creditAll} onChange={() => setCreditAll(false)} />
+                Credit selected lines
+              </label>
+            </div>
+
+            <div style={{ maxHeight: '280px', overflow: 'auto', fontSize: '0.85rem', border: '1px solid #e2e8f0', borderRadius: '8px', marginBottom: '1rem' }}>
+              <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                <thead>
+                  <tr style={{ backgroundColor: '#f1f5f9' }}>
+                    <th style={{ padding: '0.5rem', textAlign: 'left' }}>Line</th>
+                    <th style={{ padding: '0.5rem', textAlign: 'right' }}>Net</th>
+                    <th style={{ padding: '0.5rem', textAlign: 'right' }}>Credited</th>
+                    <th style={{ padding: '0.5rem', textAlign: 'right' }}>Credit Now</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {creditable.map(({ line, creditedNet, remainingNet }) => (
+                    <tr key={line.id} style={{ borderBottom: '1px solid #e2e8f0' }}>
+                      <td style={{ padding: '0.5rem' }}>{line.description}</td>
+                      <td style={{ padding: '0.5rem', textAlign: 'right', fontFamily: 'monospace' }}>
+                        {symbol}{parseFloat(line.line_total || 0).toFixed(2)}
+                      </td>
+                      <td style={{ padding: '0.5rem', textAlign: 'right', fontFamily: 'monospace', color: '#64748b' }}>
+                        {symbol}{creditedNet.toFixed(2)}
+                      </td>
+                      <td style={{ padding: '0.5rem', textAlign: 'right' }}>
+                        <input
+                          type="number"
+                          min="0"
+                          max={remainingNet}
+                          step="0.01"
+                          className="input-field"
+                          value={creditAll ? remainingNet.toFixed(2) : amounts[line.id]}
+                          disabled={creditAll || remainingNet <= 0}
+                          onChange={(e) => setAmounts({ ...amounts, [line.id]: e.target.value })}
+                          style={{ width: '110px', textAlign: 'right' }}
+                        />
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+                <tfoot>
+                  <tr style={{ backgroundColor: '#f1f5f9', fontWeight: '600' }}>
+                    <td colSpan={3} style={{ padding: '0.5rem', textAlign: 'right' }}>Net to credit (before VAT):</td>
+                    <td style={{ padding: '0.5rem', textAlign: 'right', fontFamily: 'monospace' }}>
+                      {symbol}{roundMoney(selectedTotal).toFixed(2)}
+                    </td>
+                  </tr>
+                </tfoot>
+              </table>
+            </div>
+
+            <label style={{ display: 'block', marginBottom: '0.25rem', fontWeight: '500', fontSize: '0.875rem' }}>
+              Reason *
+            </label>
+            <textarea
+              className="input-field"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              rows={2}
+              style={{ width: '100%', resize: 'vertical', marginBottom: '1rem' }}
+            />
+          </>
+        )}
+
+        {error && (
+          <div style={{ padding: '0.75rem', backgroundColor: '#fee2e2', color: '#dc2626', borderRadius: '6px', marginBottom: '1rem', fontSize: '0.875rem' }}>
+            {error}
+          </div>
+        )}
+
+        <div style={{ display: 'flex', gap: '0.75rem', justifyContent: 'flex-end', borderTop: '1px solid #e2e8f0', paddingTop: '1rem' }}>
+          <button className="btn btn-secondary" onClick={onClose} disabled={saving}>
+            Cancel
+          </button>
+          {openLines.length > 0 && (
+            <button className="btn btn-primary" onClick={handleSubmit} disabled={saving}>
+              {saving ? 'Raising...' : 'Raise Credit Note'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -7,27 +7,46 @@
  * - Timesheet line items table
  * - Partner expense line items table
  * - Supplier expense line items table (not on invoice)
+ * - VAT summary (net, VAT by rate, gross)
+ * - Status actions and raising a credit note
  * - Print/PDF functionality
  * 
- * @version 1.0
+ * @version 1.2
  * @created 1 December 2025
+ * @updated 19 October 2026 - Amounts shown in the invoice currency
+ * @updated 19 October 2026 - VAT summary, credit notes and status actions
  * @extracted-from PartnerDetail.jsx
  */
 
 import React from 'react';
 import { 
   CheckCircle, Clock, Receipt, Building2, 
-  AlertCircle, Printer, X 
+  AlertCircle, Printer, X, FileMinus
 } from 'lucide-react';
+import { getCurrencySymbol } from '../../lib/currency';
+import {
+  TAX_TREATMENT,
+  TAX_TREATMENT_CONFIG,
+  DOCUMENT_TYPE,
+  CREDITABLE_STATUSES,
+  summariseTax
+} from '../../lib/tax';
 
 export default function InvoiceModal({ 
   invoice, 
   partner, 
   onClose,
-  onPrint 
+  onPrint,
+  onStatusChange,
+  onCreditNote,
+  busy = false
 }) {
   if (!invoice) return null;
 
+  const symbol = getCurrencySymbol(invoice.currency);
+  const isCreditNote = invoice.document_type === DOCUMENT_TYPE.CREDIT_NOTE;
+  const canCredit = !isCreditNote && CREDITABLE_STATUSES.includes(invoice.status);
+
   // Determine invoice type
   const invoiceType = invoice.invoice_type || 'combined';
   const showTimesheets = invoiceType === 'combined' || invoiceType === 'timesheets';
@@ -61,6 +80,7 @@ export default function InvoiceModal({
   const allChargeableExpenses = chargeablePartnerExpenses + chargeableSupplierExpenses;
   const allNonChargeableExpenses = nonChargeablePartnerExpenses + nonChargeableSupplierExpenses;
   const invoiceTotal = timesheetTotal + partnerExpensesTotal;
+  const billedLines = [...(invoice.groupedLines?.timesheets || []), ...partnerExpenses];
 
   const hasNoData = !invoice.groupedLines?.timesheets?.length && 
                     !invoice.groupedLines?.partnerExpenses?.length && 
@@ -95,6 +115,7 @@ export default function InvoiceModal({
 
           {/* Summary Cards */}
           <SummaryCards 
+              symbol={symbol}
             timesheetTotal={timesheetTotal}
             chargeablePartnerExpenses={chargeablePartnerExpenses}
             nonChargeablePartnerExpenses={nonChargeablePartnerExpenses}
@@ -103,9 +124,19 @@ export default function InvoiceModal({
             invoiceType={invoiceType}
           />
 
+          {/* VAT Summary */}
+          {billedLines.length > 0 && (
+            <TaxSummary
+              symbol={symbol}
+              lines={billedLines}
+              taxNumber={invoice.partners?.tax_number || partner?.tax_number}
+            />
+          )}
+
           {/* Expenses Breakdown - only show for combined or expenses invoices */}
           {showExpenses && (
             <ExpensesBreakdown 
+              symbol={symbol}
               allExpensesTotal={allExpensesTotal}
               allChargeableExpenses={allChargeableExpenses}
               allNonChargeableExpenses={allNonChargeableExpenses}
@@ -118,6 +149,7 @@ export default function InvoiceModal({
           {/* Timesheet Lines - only show for combined or timesheets invoices */}
           {showTimesheets && invoice.groupedLines?.timesheets?.length > 0 && (
             <TimesheetTable 
+              symbol={symbol}
               timesheets={invoice.groupedLines.timesheets}
               total={invoice.timesheet_total}
             />
@@ -126,6 +158,7 @@ export default function InvoiceModal({
           {/* Partner Expense Lines - only show for combined or expenses invoices */}
           {showExpenses && invoice.groupedLines?.partnerExpenses?.length > 0 && (
             <PartnerExpensesTable 
+              symbol={symbol}
               expenses={invoice.groupedLines.partnerExpenses}
               total={invoice.expense_total}
               partnerName={partner?.name}
@@ -135,6 +168,7 @@ export default function InvoiceModal({
           {/* Supplier Expense Lines - only show for combined or expenses invoices */}
           {showExpenses && (
             <SupplierExpensesSection 
+              symbol={symbol}
               expenses={invoice.groupedLines?.supplierExpenses || []}
               total={invoice.supplier_expense_total}
             />
@@ -165,6 +199,35 @@ export default function InvoiceModal({
           borderTop: '1px solid #e2e8f0', 
           paddingTop: '1rem' 
         }}>
+          {onStatusChange && invoice.status === 'Draft' && (
+            <button
+              className="btn btn-primary"
+              onClick={() => onStatusChange(invoice, 'Sent')}
+              disabled={busy}
+            >
+              Mark as Sent
+            </button>
+          )}
+          {onStatusChange && invoice.status === 'Sent' && (
+            <button
+              className="btn btn-primary"
+              onClick={() => onStatusChange(invoice, 'Paid')}
+              disabled={busy}
+            >
+              Mark as Paid
+            </button>
+          )}
+          {onCreditNote && canCredit && (
+            <button
+              className="btn btn-secondary"
+              onClick={() => onCreditNote(invoice)}
+              disabled={busy}
+              style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}
+            >
+              <FileMinus size={16} />
+              Raise Credit Note
+            </button>
+          )}
           <button 
             className="btn btn-secondary"
             onClick={onPrint}
@@ -187,6 +250,13 @@ export default function InvoiceModal({
 
 // Sub-components
 
+// Source amount of a converted line, e.g. "EUR 120.00 at 0.8600"
+function describeConversion(line) {
+  const rate = parseFloat(line.exchange_rate);
+  if (!line.source_currency || !rate || rate === 1) return undefined;
+  return `${line.source_currency} ${parseFloat(line.source_amount || 0).toFixed(2)} at ${rate.toFixed(4)}`;
+}
+
 function InvoiceHeader({ invoice }) {
   // Determine invoice type label and color
   const invoiceType = invoice.invoice_type || 'combined';
@@ -196,6 +266,10 @@ function InvoiceHeader({ invoice }) {
     expenses: { label: 'Expenses Only', color: '#d97706', bg: '#fef3c7' }
   };
   const { label: typeLabel, color: typeColor, bg: typeBg } = typeConfig[invoiceType] || typeConfig.combined;
+  const isCreditNote = invoice.document_type === DOCUMENT_TYPE.CREDIT_NOTE;
+  const title = isCreditNote ? 'Credit Note'
+    : invoice.status === 'Draft' ? 'Invoice Generated'
+    : 'Invoice';
 
   return (
     <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem', marginBottom: '1.5rem' }}>
@@ -211,7 +285,7 @@ function InvoiceHeader({ invoice }) {
       </div>
       <div style={{ flex: 1 }}>
         <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem' }}>
-          <h2 style={{ margin: 0 }}>Invoice Generated</h2>
+          <h2 style={{ margin: 0 }}>{title}</h2>
           <span style={{
             padding: '0.2rem 0.6rem',
             borderRadius: '4px',
@@ -224,7 +298,17 @@ function InvoiceHeader({ invoice }) {
             {typeLabel}
           </span>
         </div>
-        <p style={{ margin: 0, color: '#64748b' }}>{invoice.invoice_number}</p>
+        <p style={{ margin: 0, color: '#64748b' }}>
+          {invoice.invoice_number}
+          {invoice.currency && ` · ${invoice.currency}`}
+          {invoice.status && ` · ${invoice.status}`}
+        </p>
+        {isCreditNote && (
+          <p style={{ margin: '0.25rem 0 0', color: '#dc2626', fontSize: '0.85rem' }}>
+            Credits {invoice.credited_invoice?.invoice_number || 'invoice'}
+            {invoice.credit_reason && ` - ${invoice.credit_reason}`}
+          </p>
+        )}
       </div>
       <div style={{ textAlign: 'right' }}>
         <div style={{ fontSize: '0.75rem', color: '#64748b' }}>Period</div>
@@ -237,6 +321,7 @@ function InvoiceHeader({ invoice }) {
 }
 
 function SummaryCards({ 
+  symbol,
   timesheetTotal, 
   chargeablePartnerExpenses, 
   nonChargeablePartnerExpenses, 
@@ -264,7 +349,7 @@ function SummaryCards({
         <div style={{ backgroundColor: '#dbeafe', borderRadius: '8px', padding: '1rem' }}>
           <div style={{ fontSize: '0.7rem', color: '#1e40af', textTransform: 'uppercase', fontWeight: '600' }}>Timesheets</div>
           <div style={{ fontSize: '1.5rem', fontWeight: '700', color: '#1e40af' }}>
-            £{timesheetTotal.toFixed(2)}
+            {symbol}{timesheetTotal.toFixed(2)}
           </div>
           <div style={{ fontSize: '0.65rem', color: '#3b82f6' }}>All billable</div>
         </div>
@@ -274,14 +359,14 @@ function SummaryCards({
           <div style={{ backgroundColor: '#dcfce7', borderRadius: '8px', padding: '1rem' }}>
             <div style={{ fontSize: '0.7rem', color: '#16a34a', textTransform: 'uppercase', fontWeight: '600' }}>Expenses Billable</div>
             <div style={{ fontSize: '1.5rem', fontWeight: '700', color: '#16a34a' }}>
-              £{chargeablePartnerExpenses.toFixed(2)}
+              {symbol}{chargeablePartnerExpenses.toFixed(2)}
             </div>
             <div style={{ fontSize: '0.65rem', color: '#22c55e' }}>Chargeable to customer</div>
           </div>
           <div style={{ backgroundColor: '#fee2e2', borderRadius: '8px', padding: '1rem' }}>
             <div style={{ fontSize: '0.7rem', color: '#dc2626', textTransform: 'uppercase', fontWeight: '600' }}>Expenses Non-Billable</div>
             <div style={{ fontSize: '1.5rem', fontWeight: '700', color: '#dc2626' }}>
-              £{nonChargeablePartnerExpenses.toFixed(2)}
+              {symbol}{nonChargeablePartnerExpenses.toFixed(2)}
             </div>
             <div style={{ fontSize: '0.65rem', color: '#ef4444' }}>Not chargeable</div>
           </div>
@@ -290,7 +375,7 @@ function SummaryCards({
       <div style={{ backgroundColor: '#7c3aed', borderRadius: '8px', padding: '1rem', color: 'white' }}>
         <div style={{ fontSize: '0.7rem', textTransform: 'uppercase', fontWeight: '600', opacity: 0.9 }}>Invoice Total</div>
         <div style={{ fontSize: '1.5rem', fontWeight: '700' }}>
-          £{displayTotal.toFixed(2)}
+          {symbol}{displayTotal.toFixed(2)}
         </div>
         <div style={{ fontSize: '0.65rem', opacity: 0.85 }}>To be paid by {partnerName}</div>
       </div>
@@ -298,7 +383,65 @@ function SummaryCards({
   );
 }
 
+function TaxSummary({ symbol, lines, taxNumber }) {
+  const summary = summariseTax(lines);
+  const reverseCharge = summary.breakdown.some(b => b.treatment === TAX_TREATMENT.REVERSE_CHARGE);
+
+  return (
+    <div style={{ 
+      backgroundColor: '#f8fafc', 
+      borderRadius: '8px', 
+      padding: '1rem', 
+      marginBottom: '1.5rem',
+      border: '1px solid #e2e8f0',
+      fontSize: '0.85rem'
+    }}>
+      <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+        <thead>
+          <tr style={{ color: '#64748b', fontSize: '0.75rem' }}>
+            <th style={{ padding: '0.25rem', textAlign: 'left' }}>VAT</th>
+            <th style={{ padding: '0.25rem', textAlign: 'right' }}>Rate</th>
+            <th style={{ padding: '0.25rem', textAlign: 'right' }}>Net</th>
+            <th style={{ padding: '0.25rem', textAlign: 'right' }}>VAT</th>
+          </tr>
+        </thead>
+        <tbody>
+          {summary.breakdown.map(row => (
+            <tr key={`${row.treatment}:${row.rate}`}>
+              <td style={{ padding: '0.25rem' }}>{TAX_TREATMENT_CONFIG[row.treatment]?.label || row.treatment}</td>
+              <td style={{ padding: '0.25rem', textAlign: 'right' }}>{row.rate}%</td>
+              <td style={{ padding: '0.25rem', textAlign: 'right', fontFamily: 'monospace' }}>{symbol}{row.net.toFixed(2)}</td>
+              <td style={{ padding: '0.25rem', textAlign: 'right', fontFamily: 'monospace' }}>{symbol}{row.tax.toFixed(2)}</td>
+            </tr>
+          ))}
+        </tbody>
+        <tfoot>
+          <tr style={{ borderTop: '1px solid #e2e8f0' }}>
+            <td colSpan={2} style={{ padding: '0.25rem', fontWeight: '600' }}>Net</td>
+            <td colSpan={2} style={{ padding: '0.25rem', textAlign: 'right', fontFamily: 'monospace' }}>{symbol}{summary.net.toFixed(2)}</td>
+          </tr>
+          <tr>
+            <td colSpan={2} style={{ padding: '0.25rem', fontWeight: '600' }}>VAT</td>
+            <td colSpan={2} style={{ padding: '0.25rem', textAlign: 'right', fontFamily: 'monospace' }}>{symbol}{summary.tax.toFixed(2)}</td>
+          </tr>
+          <tr style={{ color: '#7c3aed' }}>
+            <td colSpan={2} style={{ padding: '0.25rem', fontWeight: '700' }}>Gross</td>
+            <td colSpan={2} style={{ padding: '0.25rem', textAlign: 'right', fontFamily: 'monospace', fontWeight: '700' }}>{symbol}{summary.gross.toFixed(2)}</td>
+          </tr>
+        </tfoot>
+      </table>
+      {(reverseCharge || taxNumber) && (
+        <div style={{ marginTop: '0.5rem', fontSize: '0.75rem', color: '#64748b' }}>
+          {reverseCharge && <div>{TAX_TREATMENT_CONFIG[TAX_TREATMENT.REVERSE_CHARGE].note}</div>}
+          {taxNumber && <div>Partner VAT number: {taxNumber}</div>}
+        </div>
+      )}
+    </div>
+  );
+}
+
 function ExpensesBreakdown({ 
+  symbol,
   allExpensesTotal, 
   allChargeableExpenses, 
   allNonChargeableExpenses,
@@ -323,24 +466,24 @@ function ExpensesBreakdown({
       <div style={{ display: 'grid', gridTemplateColumns: 'repeat(5, 1fr)', gap: '0.5rem', fontSize: '0.8rem' }}>
         <div style={{ textAlign: 'center', padding: '0.75rem', backgroundColor: '#e2e8f0', borderRadius: '6px' }}>
           <div style={{ color: '#64748b', fontSize: '0.65rem', marginBottom: '0.25rem' }}>Total Expenses</div>
-          <div style={{ fontWeight: '700', color: '#334155' }}>£{allExpensesTotal.toFixed(2)}</div>
+          <div style={{ fontWeight: '700', color: '#334155' }}>{symbol}{allExpensesTotal.toFixed(2)}</div>
         </div>
         <div style={{ textAlign: 'center', padding: '0.75rem', backgroundColor: '#dcfce7', borderRadius: '6px' }}>
           <div style={{ color: '#16a34a', fontSize: '0.65rem', marginBottom: '0.25rem' }}>Chargeable to Customer</div>
-          <div style={{ fontWeight: '700', color: '#16a34a' }}>£{allChargeableExpenses.toFixed(2)}</div>
+          <div style={{ fontWeight: '700', color: '#16a34a' }}>{symbol}{allChargeableExpenses.toFixed(2)}</div>
         </div>
         <div style={{ textAlign: 'center', padding: '0.75rem', backgroundColor: '#fee2e2', borderRadius: '6px' }}>
           <div style={{ color: '#dc2626', fontSize: '0.65rem', marginBottom: '0.25rem' }}>Not Chargeable</div>
-          <div style={{ fontWeight: '700', color: '#dc2626' }}>£{allNonChargeableExpenses.toFixed(2)}</div>
+          <div style={{ fontWeight: '700', color: '#dc2626' }}>{symbol}{allNonChargeableExpenses.toFixed(2)}</div>
         </div>
         <div style={{ textAlign: 'center', padding: '0.75rem', backgroundColor: '#f3e8ff', borderRadius: '6px' }}>
           <div style={{ color: '#7c3aed', fontSize: '0.65rem', marginBottom: '0.25rem' }}>Paid by {partnerShortName}</div>
-          <div style={{ fontWeight: '700', color: '#7c3aed' }}>£{partnerExpensesTotal.toFixed(2)}</div>
+          <div style={{ fontWeight: '700', color: '#7c3aed' }}>{symbol}{partnerExpensesTotal.toFixed(2)}</div>
           <div style={{ fontSize: '0.6rem', color: '#a78bfa' }}>On this invoice</div>
         </div>
         <div style={{ textAlign: 'center', padding: '0.75rem', backgroundColor: '#fef3c7', borderRadius: '6px' }}>
           <div style={{ color: '#92400e', fontSize: '0.65rem', marginBottom: '0.25rem' }}>Paid by Supplier</div>
-          <div style={{ fontWeight: '700', color: '#92400e' }}>£{supplierExpensesTotal.toFixed(2)}</div>
+          <div style={{ fontWeight: '700', color: '#92400e' }}>{symbol}{supplierExpensesTotal.toFixed(2)}</div>
           <div style={{ fontSize: '0.6rem', color: '#b45309' }}>Not on this invoice</div>
         </div>
       </div>
@@ -349,7 +492,7 @@ function ExpensesBreakdown({
 }
 
 
-function TimesheetTable({ timesheets, total }) {
+function TimesheetTable({ timesheets, total, symbol }) {
   return (
     <div style={{ marginBottom: '1.5rem' }}>
       <h4 style={{ marginBottom: '0.5rem', display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
@@ -374,7 +517,7 @@ function TimesheetTable({ timesheets, total }) {
                 <td style={{ padding: '0.5rem' }}>{new Date(line.line_date).toLocaleDateString('en-GB')}</td>
                 <td style={{ padding: '0.5rem', fontWeight: '500' }}>{line.resource_name}</td>
                 <td style={{ padding: '0.5rem', textAlign: 'right' }}>{parseFloat(line.hours || line.quantity || 0).toFixed(1)}h</td>
-                <td style={{ padding: '0.5rem', textAlign: 'right', fontFamily: 'monospace' }}>£{parseFloat(line.cost_price || line.unit_price || 0).toFixed(0)}</td>
+                <td style={{ padding: '0.5rem', textAlign: 'right', fontFamily: 'monospace' }}>{symbol}{parseFloat(line.cost_price || line.unit_price || 0).toFixed(0)}</td>
                 <td style={{ padding: '0.5rem', textAlign: 'center' }}>
                   <span style={{
                     padding: '0.1rem 0.4rem',
@@ -386,8 +529,11 @@ function TimesheetTable({ timesheets, total }) {
                     {line.source_status}
                   </span>
                 </td>
-                <td style={{ padding: '0.5rem', textAlign: 'right', fontFamily: 'monospace', fontWeight: '600' }}>
-                  £{parseFloat(line.line_total).toFixed(2)}
+                <td
+                  style={{ padding: '0.5rem', textAlign: 'right', fontFamily: 'monospace', fontWeight: '600' }}
+                  title={describeConversion(line)}
+                >
+                  {symbol}{parseFloat(line.line_total).toFixed(2)}
                 </td>
               </tr>
             ))}
@@ -396,7 +542,7 @@ function TimesheetTable({ timesheets, total }) {
             <tr style={{ backgroundColor: '#f1f5f9', fontWeight: '600' }}>
               <td colSpan={5} style={{ padding: '0.5rem', textAlign: 'right' }}>Timesheet Total:</td>
               <td style={{ padding: '0.5rem', textAlign: 'right', fontFamily: 'monospace' }}>
-                £{parseFloat(total || 0).toFixed(2)}
+                {symbol}{parseFloat(total || 0).toFixed(2)}
               </td>
             </tr>
           </tfoot>
@@ -406,7 +552,7 @@ function TimesheetTable({ timesheets, total }) {
   );
 }
 
-function PartnerExpensesTable({ expenses, total, partnerName }) {
+function PartnerExpensesTable({ expenses, total, partnerName, symbol }) {
   return (
     <div style={{ marginBottom: '1.5rem' }}>
       <h4 style={{ marginBottom: '0.5rem', display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
@@ -446,8 +592,11 @@ function PartnerExpensesTable({ expenses, total, partnerName }) {
                     {line.chargeable_to_customer ? 'Yes' : 'No'}
                   </span>
                 </td>
-                <td style={{ padding: '0.5rem', textAlign: 'right', fontFamily: 'monospace', fontWeight: '600' }}>
-                  £{parseFloat(line.line_total).toFixed(2)}
+                <td
+                  style={{ padding: '0.5rem', textAlign: 'right', fontFamily: 'monospace', fontWeight: '600' }}
+                  title={describeConversion(line)}
+                >
+                  {symbol}{parseFloat(line.line_total).toFixed(2)}
                 </td>
               </tr>
             ))}
@@ -456,7 +605,7 @@ function PartnerExpensesTable({ expenses, total, partnerName }) {
             <tr style={{ backgroundColor: '#f1f5f9', fontWeight: '600' }}>
               <td colSpan={5} style={{ padding: '0.5rem', textAlign: 'right' }}>Partner Expenses Total:</td>
               <td style={{ padding: '0.5rem', textAlign: 'right', fontFamily: 'monospace' }}>
-                £{parseFloat(total || 0).toFixed(2)}
+                {symbol}{parseFloat(total || 0).toFixed(2)}
               </td>
             </tr>
           </tfoot>
@@ -466,7 +615,7 @@ function PartnerExpensesTable({ expenses, total, partnerName }) {
   );
 }
 
-function SupplierExpensesSection({ expenses, total }) {
+function SupplierExpensesSection({ expenses, total, symbol }) {
   return (
     <div style={{ marginBottom: '1.5rem' }}>
       <div style={{ 
@@ -530,8 +679,11 @@ function SupplierExpensesSection({ expenses, total }) {
                       {line.chargeable_to_customer ? 'Yes' : 'No'}
                     </span>
                   </td>
-                  <td style={{ padding: '0.5rem', textAlign: 'right', fontFamily: 'monospace', fontWeight: '600' }}>
-                    £{parseFloat(line.line_total).toFixed(2)}
+                  <td
+                    style={{ padding: '0.5rem', textAlign: 'right', fontFamily: 'monospace', fontWeight: '600' }}
+                    title={describeConversion(line)}
+                  >
+                    {symbol}{parseFloat(line.line_total).toFixed(2)}
                   </td>
                 </tr>
               ))}
@@ -542,7 +694,7 @@ function SupplierExpensesSection({ expenses, total }) {
                   Supplier Expenses Total (to be billed separately):
                 </td>
                 <td style={{ padding: '0.5rem', textAlign: 'right', fontFamily: 'monospace' }}>
-                  £{parseFloat(total || 0).toFixed(2)}
+                  {symbol}{parseFloat(total || 0).toFixed(2)}
                 </td>
               </tr>
             </tfoot>
@@ -5,17 +5,21 @@
  * - LinkedResourcesCard - Resources linked to partner
  * - RecentTimesheetsCard - Recent timesheet entries
  * - RecentExpensesCard - Recent expense entries
- * - RecentInvoicesCard - Recent invoice history
+ * - RecentInvoicesCard - Recent invoice and credit note history
  * 
- * @version 1.0
+ * @version 1.3
  * @created 1 December 2025
  * @extracted-from PartnerDetail.jsx
+ * @updated 19 October 2026 - Timesheet value uses the dated cost_value when supplied
+ * @updated 19 October 2026 - Expenses and invoices shown in their own currency
+ * @updated 19 October 2026 - Invoice net / VAT / gross, credit notes, open on click
  */
 
 import React from 'react';
 import { useNavigate } from 'react-router-dom';
 import { Users, ExternalLink, Clock, Receipt, FileText } from 'lucide-react';
 import { calculateCostValue } from '../../config/metricsConfig';
+import { getCurrencySymbol } from '../../lib/currency';
 
 // Helper function for status styling
 function getStatusStyle(status) {
@@ -119,8 +123,7 @@ export function RecentTimesheetsCard({ timesheets, limit = 10 }) {
           <tbody>
             {timesheets.slice(0, limit).map(ts => {
               const hours = parseFloat(ts.hours_worked || ts.hours || 0);
-              const costPrice = ts.resources?.cost_price || 0;
-              const value = calculateCostValue(hours, costPrice);
+              const value = ts.cost_value ?? calculateCostValue(hours, ts.resources?.cost_price || 0);
               const statusStyle = getStatusStyle(ts.status);
               
               return (
@@ -206,7 +209,7 @@ export function RecentExpensesCard({ expenses }) {
                     </span>
                   </td>
                   <td style={{ padding: '0.75rem', textAlign: 'right', fontFamily: 'monospace' }}>
-                    £{parseFloat(exp.amount).toFixed(2)}
+                    {getCurrencySymbol(exp.currency)}{parseFloat(exp.amount).toFixed(2)}
                   </td>
                 </tr>
               );
@@ -221,7 +224,7 @@ export function RecentExpensesCard({ expenses }) {
 /**
  * Recent Invoices Card
  */
-export function RecentInvoicesCard({ invoices }) {
+export function RecentInvoicesCard({ invoices, onView }) {
   if (!invoices?.length) return null;
 
   return (
@@ -238,7 +241,9 @@ export function RecentInvoicesCard({ invoices }) {
             <tr>
               <th style={{ padding: '0.75rem', textAlign: 'left' }}>Invoice #</th>
               <th style={{ padding: '0.75rem', textAlign: 'left' }}>Period</th>
-              <th style={{ padding: '0.75rem', textAlign: 'right' }}>Total</th>
+              <th style={{ padding: '0.75rem', textAlign: 'right' }}>Net</th>
+              <th style={{ padding: '0.75rem', textAlign: 'right' }}>VAT</th>
+              <th style={{ padding: '0.75rem', textAlign: 'right' }}>Gross</th>
               <th style={{ padding: '0.75rem', textAlign: 'left' }}>Status</th>
               <th style={{ padding: '0.75rem', textAlign: 'left' }}>Date</th>
             </tr>
@@ -246,16 +251,35 @@ export function RecentInvoicesCard({ invoices }) {
           <tbody>
             {invoices.map(inv => {
               const colors = getStatusStyle(inv.status);
+              const symbol = getCurrencySymbol(inv.currency);
+              const net = parseFloat(inv.invoice_total || 0);
+              const tax = parseFloat(inv.tax_total || 0);
               return (
-                <tr key={inv.id}>
+                <tr
+                  key={inv.id}
+                  onClick={onView ? () => onView(inv) : undefined}
+                  style={onView ? { cursor: 'pointer' } : undefined}
+                  className={onView ? 'hover-row' : undefined}
+                >
                   <td style={{ padding: '0.75rem', fontFamily: 'monospace', fontWeight: '500' }}>
                     {inv.invoice_number}
+                    {inv.document_type === 'credit_note' && (
+                      <span style={{ marginLeft: '0.5rem', fontFamily: 'inherit', fontSize: '0.7rem', color: '#dc2626' }}>
+                        Credit note
+                      </span>
+                    )}
                   </td>
                   <td style={{ padding: '0.75rem' }}>
                     {new Date(inv.period_start).toLocaleDateString()} - {new Date(inv.period_end).toLocaleDateString()}
                   </td>
+                  <td style={{ padding: '0.75rem', textAlign: 'right' }}>
+                    {symbol}{net.toFixed(2)}
+                  </td>
+                  <td style={{ padding: '0.75rem', textAlign: 'right', color: '#64748b' }}>
+                    {symbol}{tax.toFixed(2)}
+                  </td>
                   <td style={{ padding: '0.75rem', textAlign: 'right', fontWeight: '600' }}>
-                    £{parseFloat(inv.invoice_total).toFixed(2)}
+                    {symbol}{parseFloat(inv.gross_total ?? net + tax).toFixed(2)}
                   </td>
                   <td style={{ padding: '0.75rem' }}>
                     <span style={{
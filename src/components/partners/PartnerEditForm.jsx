@@ -4,17 +4,22 @@
  * Editable form for partner details including:
  * - Partner name
  * - Contact name and email
- * - Payment terms
+ * - Payment terms and invoice currency
+ * - VAT treatment, rate override and VAT number
  * - Active status
  * - Notes
  * 
- * @version 1.0
+ * @version 1.2
  * @created 1 December 2025
+ * @updated 19 October 2026 - Invoice currency
+ * @updated 19 October 2026 - VAT treatment, rate and number
  * @extracted-from PartnerDetail.jsx
  */
 
 import React from 'react';
 import { Save, X } from 'lucide-react';
+import { getCurrencyOptions } from '../../lib/currency';
+import { TAX_TREATMENT, getTaxTreatmentOptions } from '../../lib/tax';
 
 export default function PartnerEditForm({
   editForm,
@@ -86,6 +91,69 @@ export default function PartnerEditForm({
           </select>
         </div>
 
+        {/* Currency */}
+        <div>
+          <label style={{ display: 'block', marginBottom: '0.25rem', fontWeight: '500', fontSize: '0.875rem' }}>
+            Invoice Currency
+          </label>
+          <select
+            className="input-field"
+            value={editForm.currency}
+            onChange={(e) => onFormChange({...editForm, currency: e.target.value})}
+            style={{ width: '100%' }}
+          >
+            {getCurrencyOptions().map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+          </select>
+        </div>
+
+        {/* Tax Treatment */}
+        <div>
+          <label style={{ display: 'block', marginBottom: '0.25rem', fontWeight: '500', fontSize: '0.875rem' }}>
+            VAT Treatment
+          </label>
+          <select
+            className="input-field"
+            value={editForm.tax_treatment || ''}
+            onChange={(e) => onFormChange({...editForm, tax_treatment: e.target.value})}
+            style={{ width: '100%' }}
+          >
+            <option value="">Project default</option>
+            {getTaxTreatmentOptions().map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+          </select>
+        </div>
+
+        {/* Tax Rate */}
+        <div>
+          <label style={{ display: 'block', marginBottom: '0.25rem', fontWeight: '500', fontSize: '0.875rem' }}>
+            VAT Rate Override (%)
+          </label>
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            className="input-field"
+            value={editForm.tax_rate ?? ''}
+            placeholder="Project rate"
+            disabled={editForm.tax_treatment === TAX_TREATMENT.ZERO || editForm.tax_treatment === TAX_TREATMENT.REVERSE_CHARGE}
+            onChange={(e) => onFormChange({...editForm, tax_rate: e.target.value})}
+            style={{ width: '100%' }}
+          />
+        </div>
+
+        {/* Tax Number */}
+        <div>
+          <label style={{ display: 'block', marginBottom: '0.25rem', fontWeight: '500', fontSize: '0.875rem' }}>
+            VAT Number
+          </label>
+          <input
+            type="text"
+            className="input-field"
+            value={editForm.tax_number || ''}
+            onChange={(e) => onFormChange({...editForm, tax_number: e.target.value})}
+            style={{ width: '100%' }}
+          />
+        </div>
+
         {/* Status */}
         <div>
           <label style={{ display: 'block', marginBottom: '0.25rem', fontWeight: '500', fontSize: '0.875rem' }}>
@@ -3,11 +3,13 @@
  * 
  * Exports all partner-related components for easy importing
  * 
- * @version 1.0
+ * @version 1.1
  * @created 1 December 2025
+ * @updated 19 October 2026 - Credit note modal
  */
 
 export { default as InvoiceModal } from './InvoiceModal';
+export { default as CreditNoteModal } from './CreditNoteModal';
 export { default as DateRangeFilter } from './DateRangeFilter';
 export { default as PartnerEditForm } from './PartnerEditForm';
 export { 
@@ -0,0 +1,412 @@
+/**
+ * GanttChart Component
+ *
+ * Timeline view of plan items for the Planning page. Shares the same
+ * items, collapse state and critical path analysis as the table and
+ * grid views.
+ *
+ * - Bars for tasks, deliverables and milestones (diamonds for one-day milestones)
+ * - Predecessor links drawn as arrows (FS, SS, FF, SF)
+ * - Drag a bar to move it, or its ends to change start/finish
+ * - Ghost bars for baselined tracker milestones
+ * - Non-working days from the project calendar shaded
+ *
+ * Geometry lives in lib/ganttLayout.js; this component only renders and
+ * reports drags through onDatesChange.
+ *
+ * @version 1.1
+ * @created 19 October 2026
+ * @updated 19 October 2026 - Scroll to today once per zoom with full effect dependencies
+ */
+
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { Flag, Package, CheckSquare, Layers, ChevronRight, ChevronDown, Lock } from 'lucide-react';
+import {
+  GANTT_ZOOM,
+  GANTT_ROW_HEIGHT,
+  buildTimeline,
+  buildTimelineHeaders,
+  dateToX,
+  pixelsToDays,
+  getBarGeometry,
+  getDraggedDates,
+  buildLinkPaths,
+  shiftDate
+} from '../../lib/ganttLayout';
+import './GanttChart.css';
+
+// Item type configuration (matches PlannerGrid)
+const ITEM_TYPES = {
+  component: { icon: Layers, color: '#f59e0b' },
+  milestone: { icon: Flag, color: '#8b5cf6' },
+  deliverable: { icon: Package, color: '#3b82f6' },
+  task: { icon: CheckSquare, color: '#64748b' }
+};
+
+const BAR_HEIGHT = 18;
+const HANDLE_WIDTH = 6;
+
+function todayKey() {
+  return new Date().toISOString().split('T')[0];
+}
+
+export default function GanttChart({
+  items = [],
+  rows = [],
+  collapsedIds = new Set(),
+  onToggleCollapse,
+  scheduleAnalysis = {},
+  showCriticalPath = false,
+  calendar = null,
+  onDatesChange,
+  readOnly = false
+}) {
+  const [zoom, setZoom] = useState('week');
+  const [drag, setDrag] = useState(null); // { id, mode, originX, dayDelta }
+  const scrollRef = useRef(null);
+  const scrolledZoomRef = useRef(null); // zoom level today was last scrolled into view at
+  const today = todayKey();
+
+  const parentIds = useMemo(
+    () => new Set(items.filter(i => i.parent_id).map(i => i.parent_id)),
+    [items]
+  );
+
+  const timeline = useMemo(
+    () => buildTimeline(items, { zoom, today }),
+    [items, zoom, today]
+  );
+
+  const headers = useMemo(() => buildTimelineHeaders(timeline, zoom), [timeline, zoom]);
+
+  // Rows with the in-progress drag applied so bars and links preview the move
+  const displayRows = useMemo(() => {
+    if (!drag || !drag.dayDelta) return rows;
+    return rows.map(row => {
+      if (row.id !== drag.id) return row;
+      const dates = getDraggedDates(row, drag.dayDelta, drag.mode, calendar);
+      return dates ? { ...row, ...dates } : row;
+    });
+  }, [rows, drag, calendar]);
+
+  const geometryById = useMemo(() => {
+    const map = new Map();
+    displayRows.forEach(row => {
+      const geometry = getBarGeometry(row, timeline);
+      if (geometry) map.set(row.id, geometry);
+    });
+    return map;
+  }, [displayRows, timeline]);
+
+  const links = useMemo(
+    () => buildLinkPaths(displayRows, geometryById, GANTT_ROW_HEIGHT),
+    [displayRows, geometryById]
+  );
+
+  // Shaded non-working days (only drawn when each day is wide enough to see)
+  const nonWorkingDays = useMemo(() => {
+    if (zoom === 'month') return [];
+    const result = [];
+    for (let i = 0; i < timeline.days; i++) {
+      const date = shiftDate(timeline.start, i);
+      const isWorking = calendar
+        ? calendar.isWorkingDay(date)
+        : ![0, 6].includes(new Date(`${date}T00:00:00Z`).getUTCDay());
+      if (!isWorking) {
+        result.push({ date, x: i * timeline.dayWidth, reason: calendar?.getNonWorkingReason(date) || 'Weekend' });
+      }
+    }
+    return result;
+  }, [timeline, calendar, zoom]);
+
+  // Scroll today into view when the chart first renders or the zoom changes
+  // (not when items change, so edits do not jump the view)
+  useEffect(() => {
+    if (scrolledZoomRef.current === zoom) return;
+    const todayX = dateToX(today, timeline);
+    if (scrollRef.current && todayX !== null) {
+      scrollRef.current.scrollLeft = Math.max(0, todayX - 200);
+      scrolledZoomRef.current = zoom;
+    }
+  }, [today, timeline, zoom]);
+
+  // Track the pointer while dragging; commit on release
+  useEffect(() => {
+    if (!drag) return undefined;
+
+    const handleMove = (e) => {
+      const dayDelta = pixelsToDays(e.clientX - drag.originX, timeline);
+      setDrag(prev => (prev && prev.dayDelta !== dayDelta ? { ...prev, dayDelta } : prev));
+    };
+
+    const handleUp = () => {
+      const item = rows.find(r => r.id === drag.id);
+      const dates = item ? getDraggedDates(item, drag.dayDelta, drag.mode, calendar) : null;
+      setDrag(null);
+      if (item && dates && onDatesChange) {
+        onDatesChange(item, dates);
+      }
+    };
+
+    window.addEventListener('mousemove', handleMove);
+    window.addEventListener('mouseup', handleUp);
+    return () => {
+      window.removeEventListener('mousemove', handleMove);
+      window.removeEventListener('mouseup', handleUp);
+    };
+  }, [drag, rows, timeline, calendar, onDatesChange]);
+
+  const startDrag = (e, row, mode) => {
+    if (readOnly || row._baselineLocked || e.button !== 0) return;
+    e.preventDefault();
+    e.stopPropagation();
+    setDrag({ id: row.id, mode, originX: e.clientX, dayDelta: 0 });
+  };
+
+  const bodyHeight = Math.max(rows.length, 1) * GANTT_ROW_HEIGHT;
+  const todayX = dateToX(today, timeline);
+
+  const renderBar = (row, index) => {
+    const geometry = geometryById.get(row.id);
+    if (!geometry) return null;
+
+    const typeConfig = ITEM_TYPES[row.item_type] || ITEM_TYPES.task;
+    const isSummary = parentIds.has(row.id);
+    const isCritical = showCriticalPath && scheduleAnalysis[row.id]?.is_critical;
+    const isLocked = row._baselineLocked;
+    const draggable = !readOnly && !isLocked;
+    const y = index * GANTT_ROW_HEIGHT + (GANTT_ROW_HEIGHT - BAR_HEIGHT) / 2;
+    const color = isCritical ? '#dc2626' : typeConfig.color;
+    const title = `${row.name || 'Untitled'}\n${row.start_date || '?'} → ${row.end_date || '?'}`
+      + (isLocked ? '\nBaseline locked - change through a variation' : '');
+
+    if (geometry.isPoint) {
+      const cx = geometry.x + timeline.dayWidth / 2;
+      const cy = y + BAR_HEIGHT / 2;
+      const r = BAR_HEIGHT / 2;
+      return (
+        <g
+          key={row.id}
+          className={`gantt-bar gantt-point ${draggable ? 'draggable' : ''}`}
+          onMouseDown={(e) => startDrag(e, row, 'move')}
+        >
+          <title>{title}</title>
+          <polygon
+            points={`${cx},${cy - r} ${cx + r},${cy} ${cx},${cy + r} ${cx - r},${cy}`}
+            fill={color}
+          />
+        </g>
+      );
+    }
+
+    const progress = Math.min(Math.max(Number(row.progress) || 0, 0), 100);
+
+    return (
+      <g key={row.id} className={`gantt-bar ${isSummary ? 'summary' : ''} ${isCritical ? 'critical' : ''} ${draggable ? 'draggable' : ''}`}>
+        <title>{title}</title>
+        <rect
+          className="gantt-bar-body"
+          x={geometry.x}
+          y={isSummary ? y + BAR_HEIGHT / 3 : y}
+          width={geometry.width}
+          height={isSummary ? BAR_HEIGHT / 3 : BAR_HEIGHT}
+          rx={isSummary ? 1 : 4}
+          fill={color}
+          fillOpacity={isSummary ? 1 : 0.35}
+          onMouseDown={(e) => startDrag(e, row, 'move')}
+        />
+        {!isSummary && progress > 0 && (
+          <rect
+            className="gantt-bar-progress"
+            x={geometry.x}
+            y={y}
+            width={geometry.width * progress / 100}
+            height={BAR_HEIGHT}
+            rx={4}
+            fill={color}
+            pointerEvents="none"
+          />
+        )}
+        {draggable && !isSummary && (
+          <>
+            <rect
+              className="gantt-bar-handle start"
+              x={geometry.x}
+              y={y}
+              width={HANDLE_WIDTH}
+              height={BAR_HEIGHT}
+              onMouseDown={(e) => startDrag(e, row, 'resize-start')}
+            />
+            <rect
+              className="gantt-bar-handle end"
+              x={geometry.x + geometry.width - HANDLE_WIDTH}
+              y={y}
+              width={HANDLE_WIDTH}
+              height={BAR_HEIGHT}
+              onMouseDown={(e) => startDrag(e, row, 'resize-end')}
+            />
+          </>
+        )}
+      </g>
+    );
+  };
+
+  const renderBaseline = (row, index) => {
+    if (!row._baselineStart && !row._baselineEnd) return null;
+    const geometry = getBarGeometry(row, timeline, { start: '_baselineStart', end: '_baselineEnd' });
+    if (!geometry) return null;
+    const y = index * GANTT_ROW_HEIGHT + GANTT_ROW_HEIGHT - 7;
+
+    return (
+      <rect
+        key={`baseline-${row.id}`}
+        className="gantt-baseline"
+        x={geometry.x}
+        y={y}
+        width={geometry.width}
+        height={4}
+        rx={2}
+      >
+        <title>{`Baseline ${row._baselineStart || '?'} → ${row._baselineEnd || '?'}`}</title>
+      </rect>
+    );
+  };
+
+  return (
+    <div className="gantt-chart">
+      <div className="gantt-toolbar">
+        <div className="gantt-zoom">
+          {Object.entries(GANTT_ZOOM).map(([key, config]) => (
+            <button
+              key={key}
+              className={`gantt-zoom-btn ${zoom === key ? 'active' : ''}`}
+              onClick={() => setZoom(key)}
+            >
+              {config.label}
+            </button>
+          ))}
+        </div>
+        <div className="gantt-legend">
+          <span className="gantt-legend-item"><span className="swatch baseline" /> Baseline</span>
+          {showCriticalPath && <span className="gantt-legend-item"><span className="swatch critical" /> Critical</span>}
+          <span className="gantt-legend-item"><span className="swatch today" /> Today</span>
+        </div>
+      </div>
+
+      <div className="gantt-scroll" ref={scrollRef}>
+        <div className="gantt-inner" style={{ width: timeline.width + 320 }}>
+          {/* Header */}
+          <div className="gantt-header">
+            <div className="gantt-header-label">Task</div>
+            <div className="gantt-header-timeline" style={{ width: timeline.width }}>
+              <div className="gantt-header-band">
+                {headers.upper.map(cell => (
+                  <div key={cell.x} className="gantt-header-cell" style={{ left: cell.x, width: cell.width }}>
+                    {cell.width > 40 ? cell.label : ''}
+                  </div>
+                ))}
+              </div>
+              <div className="gantt-header-band">
+                {headers.lower.map(cell => (
+                  <div key={cell.x} className="gantt-header-cell minor" style={{ left: cell.x, width: cell.width }}>
+                    {cell.label}
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
+
+          {/* Body */}
+          <div className="gantt-body">
+            <div className="gantt-labels">
+              {rows.map(row => {
+                const TypeIcon = (ITEM_TYPES[row.item_type] || ITEM_TYPES.task).icon;
+                const hasChildren = parentIds.has(row.id);
+                return (
+                  <div
+                    key={row.id}
+                    className={`gantt-label-row ${row.item_type}`}
+                    style={{ height: GANTT_ROW_HEIGHT, paddingLeft: (row.indent_level || 0) * 16 + 6 }}
+                  >
+                    {hasChildren ? (
+                      <button className="gantt-expand" onClick={() => onToggleCollapse?.(row.id)}>
+                        {collapsedIds.has(row.id) ? <ChevronRight size={12} /> : <ChevronDown size={12} />}
+                      </button>
+                    ) : (
+                      <span className="gantt-expand-spacer" />
+                    )}
+                    <TypeIcon size={13} color={(ITEM_TYPES[row.item_type] || ITEM_TYPES.task).color} />
+                    {row.wbs && <span className="gantt-wbs">{row.wbs}</span>}
+                    <span className="gantt-name" title={row.name}>{row.name || 'Untitled'}</span>
+                    {row._baselineLocked && <Lock size={11} className="gantt-lock" />}
+                  </div>
+                );
+              })}
+            </div>
+
+            <svg className="gantt-canvas" width={timeline.width} height={bodyHeight}>
+              {nonWorkingDays.map(day => (
+                <rect
+                  key={day.date}
+                  className={`gantt-nonworking ${day.reason !== 'Weekend' ? 'holiday' : ''}`}
+                  x={day.x}
+                  y={0}
+                  width={timeline.dayWidth}
+                  height={bodyHeight}
+                >
+                  {day.reason !== 'Weekend' && <title>{day.reason}</title>}
+                </rect>
+              ))}
+              {rows.map((row, index) => (
+                <line
+                  key={`grid-${row.id}`}
+                  className="gantt-row-line"
+                  x1={0}
+                  x2={timeline.width}
+                  y1={(index + 1) * GANTT_ROW_HEIGHT}
+                  y2={(index + 1) * GANTT_ROW_HEIGHT}
+                />
+              ))}
+              {todayX !== null && (
+                <line className="gantt-today" x1={todayX} x2={todayX} y1={0} y2={bodyHeight} />
+              )}
+
+              <defs>
+                <marker id="gantt-arrow" viewBox="0 0 6 6" refX="6" refY="3" markerWidth="6" markerHeight="6" orient="auto">
+                  <path d="M 0 0 L 6 3 L 0 6 z" fill="#64748b" />
+                </marker>
+                <marker id="gantt-arrow-critical" viewBox="0 0 6 6" refX="6" refY="3" markerWidth="6" markerHeight="6" orient="auto">
+                  <path d="M 0 0 L 6 3 L 0 6 z" fill="#dc2626" />
+                </marker>
+              </defs>
+
+              {displayRows.map(renderBaseline)}
+
+              {links.map(link => {
+                const critical = showCriticalPath
+                  && scheduleAnalysis[link.fromId]?.is_critical
+                  && scheduleAnalysis[link.toId]?.is_critical;
+                return (
+                  <path
+                    key={link.id}
+                    className={`gantt-link ${critical ? 'critical' : ''}`}
+                    d={link.d}
+                    markerEnd={`url(#${critical ? 'gantt-arrow-critical' : 'gantt-arrow'})`}
+                  >
+                    <title>{link.type}</title>
+                  </path>
+                );
+              })}
+
+              {displayRows.map(renderBar)}
+            </svg>
+          </div>
+
+          {rows.length === 0 && (
+            <div className="gantt-empty">No plan items to show</div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,192 @@
+/**
+ * PlanHistoryModal
+ *
+ * Timeline of plan changes from the server-side change journal, grouped
+ * into events per user, with restore of the whole plan to the state it
+ * was in after any event. Shows the live plan, or the scenario branch
+ * being edited.
+ *
+ * @module components/planning/PlanHistoryModal
+ * @version 1.1.0
+ * @created 2026-10-19
+ * @updated 2026-10-19 - Scoped to the active scenario branch
+ */
+
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { X, History, RotateCcw, RefreshCw, Plus, Pencil, Trash2, AlertTriangle } from 'lucide-react';
+import { format, formatDistanceToNow } from 'date-fns';
+import { planHistoryService } from '../../services';
+import { groupChangeEvents } from '../../lib/planningHistory';
+import './PlanHistoryModal.css';
+
+const PAGE_SIZE = 500;
+
+function describeEvent(event) {
+  const parts = [];
+  if (event.created) parts.push(`added ${event.created}`);
+  if (event.updated) parts.push(`edited ${event.updated}`);
+  if (event.deleted) parts.push(`deleted ${event.deleted}`);
+  return parts.join(', ');
+}
+
+export default function PlanHistoryModal({ isOpen, onClose, projectId, scenarioId = null, onRestored }) {
+  const [changes, setChanges] = useState([]);
+  const [users, setUsers] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [hasMore, setHasMore] = useState(false);
+  const [confirmEvent, setConfirmEvent] = useState(null);
+  const [restoring, setRestoring] = useState(false);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async (before = null) => {
+    if (!projectId) return;
+    setLoading(true);
+    setError(null);
+    try {
+      const result = await planHistoryService.getTimeline(projectId, { limit: PAGE_SIZE, before, scenarioId });
+      setChanges(prev => (before ? [...prev, ...result.changes] : result.changes));
+      setUsers(prev => ({ ...prev, ...result.users }));
+      setHasMore(result.changes.length === PAGE_SIZE);
+    } catch (err) {
+      setError(err.message || 'Failed to load plan history');
+    } finally {
+      setLoading(false);
+    }
+  }, [projectId, scenarioId]);
+
+  useEffect(() => {
+    if (isOpen) {
+      setConfirmEvent(null);
+      load();
+    }
+  }, [isOpen, load]);
+
+  const events = useMemo(() => groupChangeEvents(changes), [changes]);
+
+  const handleRestore = async () => {
+    if (!confirmEvent) return;
+    setRestoring(true);
+    setError(null);
+    try {
+      const count = await planHistoryService.restoreToPointInTime(projectId, confirmEvent.endedAt, scenarioId);
+      setConfirmEvent(null);
+      await load();
+      onRestored(count, confirmEvent.endedAt);
+    } catch (err) {
+      setError(err.message || 'Restore failed');
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal-content modal-large" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2 className="modal-title">
+            <History size={20} />
+            Plan History
+          </h2>
+          <button className="modal-close-btn" onClick={onClose}>
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <p className="form-help">
+            Every change to {scenarioId ? 'this scenario' : 'the live plan'}, by anyone on the project. Restoring puts every item back
+            as it was after the chosen change; the restore shows up here and can itself be reversed.
+          </p>
+
+          {error && (
+            <div className="template-preview-warning">
+              <AlertTriangle size={16} />
+              <span>{error}</span>
+            </div>
+          )}
+
+          {events.length === 0 && !loading ? (
+            <div className="plan-history-empty">No changes recorded yet.</div>
+          ) : (
+            <ol className="plan-history-timeline">
+              {events.map((event, index) => (
+                <li key={event.id} className="plan-history-event">
+                  <div className="plan-history-icon">
+                    {event.deleted > 0 ? <Trash2 size={14} /> : event.created > 0 ? <Plus size={14} /> : <Pencil size={14} />}
+                  </div>
+                  <div className="plan-history-details">
+                    <div className="plan-history-summary">
+                      <strong>{users[event.userId] || (event.userId ? 'Unknown user' : 'System')}</strong>
+                      {' '}{describeEvent(event)} item{event.itemIds.length === 1 ? '' : 's'}
+                    </div>
+                    <div className="plan-history-names" title={event.names.join(', ')}>
+                      {event.names.slice(0, 4).join(', ')}
+                      {event.names.length > 4 && ` and ${event.names.length - 4} more`}
+                    </div>
+                    <div className="plan-history-time" title={format(new Date(event.endedAt), 'dd MMM yyyy HH:mm:ss')}>
+                      {formatDistanceToNow(new Date(event.endedAt), { addSuffix: true })}
+                    </div>
+
+                    {confirmEvent?.id === event.id && (
+                      <div className="plan-history-confirm">
+                        <span>
+                          Reverse the {index} later change{index === 1 ? '' : 's'}?
+                        </span>
+                        <button className="btn btn-secondary" onClick={() => setConfirmEvent(null)} disabled={restoring}>
+                          Cancel
+                        </button>
+                        <button className="btn btn-primary" onClick={handleRestore} disabled={restoring}>
+                          {restoring ? <RefreshCw size={14} className="animate-spin" /> : <RotateCcw size={14} />}
+                          Restore
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                  {index > 0 && confirmEvent?.id !== event.id && (
+                    <button
+                      className="plan-history-restore"
+                      onClick={() => setConfirmEvent(event)}
+                      title="Restore the plan to how it was after this change"
+                    >
+                      <RotateCcw size={14} />
+                      Restore to here
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ol>
+          )}
+
+          {(loading || hasMore) && (
+            <div className="plan-history-more">
+              {loading ? (
+                <RefreshCw size={16} className="animate-spin" />
+              ) : (
+                <button className="btn btn-secondary" onClick={() => load(changes[changes.length - 1]?.changed_at)}>
+                  Load earlier changes
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+
+        <div className="modal-footer">
+          <button type="button" className="btn btn-secondary" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+PlanHistoryModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  projectId: PropTypes.string,
+  scenarioId: PropTypes.string,
+  onRestored: PropTypes.func.isRequired
+};
@@ -0,0 +1,157 @@
+/**
+ * PlanMergeModal
+ *
+ * Shown when a plan item save is based on a stale row and another user
+ * changed the same fields meanwhile. Each conflicting field can keep the
+ * other user's value or take this user's; fields only one side changed
+ * are merged automatically.
+ *
+ * @module components/planning/PlanMergeModal
+ * @version 1.0.0
+ * @created 2026-10-19
+ */
+
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { X, GitMerge, RefreshCw } from 'lucide-react';
+import './PlanMergeModal.css';
+
+const FIELD_LABELS = {
+  name: 'Name',
+  description: 'Description',
+  start_date: 'Start',
+  end_date: 'End',
+  duration_days: 'Days',
+  status: 'Status',
+  progress: 'Progress',
+  owner: 'Owner',
+  predecessors: 'Predecessors'
+};
+
+function formatValue(value) {
+  if (value === null || value === undefined || value === '') return '—';
+  if (Array.isArray(value)) return value.length === 0 ? '—' : `${value.length} item(s)`;
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+export default function PlanMergeModal({ conflict, onResolve, onDiscard }) {
+  const [choices, setChoices] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!conflict) return;
+    const initial = {};
+    conflict.merge.fields.filter(f => f.conflict).forEach(f => { initial[f.field] = 'theirs'; });
+    setChoices(initial);
+  }, [conflict]);
+
+  if (!conflict) return null;
+
+  const { current, merge } = conflict;
+  const conflicting = merge.fields.filter(f => f.conflict);
+  const automatic = merge.fields.filter(f => !f.conflict && f.field in merge.merged);
+
+  const handleSave = async () => {
+    const updates = { ...merge.merged };
+    conflicting.forEach(f => {
+      if (choices[f.field] === 'mine') updates[f.field] = f.mine;
+    });
+    setSaving(true);
+    try {
+      await onResolve(updates);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="modal-backdrop" onClick={onDiscard}>
+      <div className="modal-content" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2 className="modal-title">
+            <GitMerge size={20} />
+            Merge Changes
+          </h2>
+          <button className="modal-close-btn" onClick={onDiscard}>
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <p className="form-help">
+            <strong>{current.name}</strong> was changed by someone else while you were editing it.
+            Choose which value to keep for each field you both changed.
+          </p>
+
+          <table className="plan-merge-table">
+            <thead>
+              <tr>
+                <th>Field</th>
+                <th>Was</th>
+                <th>Their change</th>
+                <th>Your change</th>
+              </tr>
+            </thead>
+            <tbody>
+              {conflicting.map(f => (
+                <tr key={f.field}>
+                  <td className="plan-merge-field">{FIELD_LABELS[f.field] || f.field}</td>
+                  <td className="plan-merge-base">{formatValue(f.base)}</td>
+                  <td>
+                    <label className={`plan-merge-choice ${choices[f.field] === 'theirs' ? 'selected' : ''}`}>
+                      <input
+                        type="radio"
+                        name={`merge-${f.field}`}
+                        checked={choices[f.field] === 'theirs'}
+                        onChange={() => setChoices(prev => ({ ...prev, [f.field]: 'theirs' }))}
+                      />
+                      {formatValue(f.theirs)}
+                    </label>
+                  </td>
+                  <td>
+                    <label className={`plan-merge-choice ${choices[f.field] === 'mine' ? 'selected' : ''}`}>
+                      <input
+                        type="radio"
+                        name={`merge-${f.field}`}
+                        checked={choices[f.field] === 'mine'}
+                        onChange={() => setChoices(prev => ({ ...prev, [f.field]: 'mine' }))}
+                      />
+                      {formatValue(f.mine)}
+                    </label>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {automatic.length > 0 && (
+            <p className="plan-merge-auto">
+              Also saving your change to {automatic.map(f => FIELD_LABELS[f.field] || f.field).join(', ')},
+              which nobody else changed.
+            </p>
+          )}
+        </div>
+
+        <div className="modal-footer">
+          <button type="button" className="btn btn-secondary" onClick={onDiscard} disabled={saving}>
+            Discard My Changes
+          </button>
+          <button type="button" className="btn btn-primary" onClick={handleSave} disabled={saving}>
+            {saving ? <RefreshCw size={16} className="animate-spin" /> : <GitMerge size={16} />}
+            Save Merged
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+PlanMergeModal.propTypes = {
+  conflict: PropTypes.shape({
+    current: PropTypes.object.isRequired,
+    merge: PropTypes.object.isRequired
+  }),
+  onResolve: PropTypes.func.isRequired,
+  onDiscard: PropTypes.func.isRequired
+};
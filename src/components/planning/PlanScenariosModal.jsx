@@ -0,0 +1,231 @@
+/**
+ * PlanScenariosModal
+ *
+ * Lists a project's "what-if" scenario branches and creates new ones from
+ * the live plan. A scenario can be opened in the planner, compared with the
+ * live plan, archived or deleted.
+ *
+ * @module components/planning/PlanScenariosModal
+ * @version 1.0.0
+ * @created 2026-10-19
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { X, GitBranch, GitCompare, FolderOpen, Archive, Trash2, Plus, RefreshCw } from 'lucide-react';
+import { format } from 'date-fns';
+import { planScenariosService, SCENARIO_STATUS } from '../../services';
+import './PlanScenarios.css';
+
+const STATUS_LABELS = {
+  [SCENARIO_STATUS.ACTIVE]: 'Active',
+  [SCENARIO_STATUS.MERGED]: 'Merged',
+  [SCENARIO_STATUS.ARCHIVED]: 'Archived'
+};
+
+export default function PlanScenariosModal({
+  isOpen,
+  onClose,
+  projectId,
+  userId,
+  activeScenarioId,
+  onOpenScenario,
+  onCompareScenario
+}) {
+  const [scenarios, setScenarios] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+  const [creating, setCreating] = useState(false);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async () => {
+    if (!projectId) return;
+    setLoading(true);
+    setError(null);
+    try {
+      setScenarios(await planScenariosService.getScenarios(projectId));
+    } catch (err) {
+      setError(err.message || 'Failed to load scenarios');
+    } finally {
+      setLoading(false);
+    }
+  }, [projectId]);
+
+  useEffect(() => {
+    if (isOpen) load();
+  }, [isOpen, load]);
+
+  if (!isOpen) return null;
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    setCreating(true);
+    setError(null);
+    try {
+      const { scenario } = await planScenariosService.createScenario(
+        projectId,
+        { name: name.trim(), description: description.trim() },
+        userId
+      );
+      setName('');
+      setDescription('');
+      onOpenScenario(scenario);
+    } catch (err) {
+      setError(err.message || 'Failed to create scenario');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleArchive = async (scenario) => {
+    try {
+      await planScenariosService.archive(scenario.id);
+      await load();
+    } catch (err) {
+      setError(err.message || 'Failed to archive scenario');
+    }
+  };
+
+  const handleDelete = async (scenario) => {
+    if (!window.confirm(`Delete scenario "${scenario.name}" and all of its plan items?`)) return;
+    try {
+      await planScenariosService.deleteScenario(scenario.id);
+      await load();
+    } catch (err) {
+      setError(err.message || 'Failed to delete scenario');
+    }
+  };
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal-content modal-large" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2 className="modal-title">
+            <GitBranch size={20} />
+            Plan Scenarios
+          </h2>
+          <button className="modal-close-btn" onClick={onClose}>
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <p className="form-help">
+            A scenario is a copy of the live plan you can edit and reschedule without
+            touching the live plan or its baselines. Compare it to merge changes back
+            or raise a variation.
+          </p>
+
+          {error && <div className="template-preview-warning">{error}</div>}
+
+          <form className="plan-scenario-create" onSubmit={handleCreate}>
+            <div className="form-group">
+              <label htmlFor="scenario-name" className="form-label">New scenario from live plan</label>
+              <input
+                id="scenario-name"
+                type="text"
+                className="form-input"
+                value={name}
+                onChange={e => setName(e.target.value)}
+                placeholder="e.g. Accelerate phase 2"
+                maxLength={120}
+              />
+            </div>
+            <div className="form-group">
+              <input
+                type="text"
+                className="form-input"
+                value={description}
+                onChange={e => setDescription(e.target.value)}
+                placeholder="Description (optional)"
+              />
+            </div>
+            <button type="submit" className="btn btn-primary" disabled={creating || !name.trim()}>
+              {creating ? <RefreshCw size={16} className="animate-spin" /> : <Plus size={16} />}
+              Create
+            </button>
+          </form>
+
+          {loading ? (
+            <div className="plan-scenario-empty">Loading scenarios...</div>
+          ) : scenarios.length === 0 ? (
+            <div className="plan-scenario-empty">No scenarios yet.</div>
+          ) : (
+            <ul className="plan-scenario-list">
+              {scenarios.map(scenario => (
+                <li
+                  key={scenario.id}
+                  className={`plan-scenario-row ${scenario.id === activeScenarioId ? 'active' : ''}`}
+                >
+                  <div className="plan-scenario-info">
+                    <div className="plan-scenario-name">
+                      {scenario.name}
+                      <span className={`plan-scenario-status status-${scenario.status}`}>
+                        {STATUS_LABELS[scenario.status] || scenario.status}
+                      </span>
+                    </div>
+                    <div className="plan-scenario-meta">
+                      Branched {format(new Date(scenario.created_at), 'dd MMM yyyy HH:mm')}
+                      {scenario.merged_at && ` · last merged ${format(new Date(scenario.merged_at), 'dd MMM yyyy')}`}
+                      {scenario.description && ` · ${scenario.description}`}
+                    </div>
+                  </div>
+                  <div className="plan-scenario-actions">
+                    <button
+                      className="btn btn-secondary"
+                      onClick={() => onOpenScenario(scenario)}
+                      disabled={scenario.id === activeScenarioId}
+                      title="Edit this scenario in the planner"
+                    >
+                      <FolderOpen size={14} />
+                      Open
+                    </button>
+                    <button
+                      className="btn btn-secondary"
+                      onClick={() => onCompareScenario(scenario)}
+                      title="Compare with the live plan"
+                    >
+                      <GitCompare size={14} />
+                      Compare
+                    </button>
+                    {scenario.status !== SCENARIO_STATUS.ARCHIVED && (
+                      <button className="plan-scenario-icon-btn" onClick={() => handleArchive(scenario)} title="Archive">
+                        <Archive size={14} />
+                      </button>
+                    )}
+                    <button
+                      className="plan-scenario-icon-btn danger"
+                      onClick={() => handleDelete(scenario)}
+                      disabled={scenario.id === activeScenarioId}
+                      title="Delete"
+                    >
+                      <Trash2 size={14} />
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div className="modal-footer">
+          <button type="button" className="btn btn-secondary" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+PlanScenariosModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  projectId: PropTypes.string,
+  userId: PropTypes.string,
+  activeScenarioId: PropTypes.string,
+  onOpenScenario: PropTypes.func.isRequired,
+  onCompareScenario: PropTypes.func.isRequired
+};
@@ -4,9 +4,9 @@
  * AG Grid Enterprise-based hierarchical planner grid with tree data,
  * inline editing, context menu, drag-drop support, and advanced Enterprise features.
  *
- * @version 2.0
+ * @version 2.1
  * @created 15 January 2026
- * @updated 15 January 2026
+ * @updated 19 October 2026
  * @phase Phase A - Enterprise Quick Wins
  *
  * Enterprise Features Enabled:
@@ -19,6 +19,9 @@
  * - Rich Select Editors
  * - Date Editors
  * - Set Filters
+ *
+ * Live collaboration: shows which rows other users are editing and
+ * flashes cells changed by them.
  */
 
 import React, { useState, useEffect, useCallback, useMemo, useRef, forwardRef, useImperativeHandle } from 'react';
@@ -245,6 +248,25 @@ const PredecessorsCellRenderer = ({ value, context }) => {
   );
 };
 
+/**
+ * Editors Cell Renderer - Avatars of other users editing this row
+ * Reads context.rowEditors (item id -> [{ userId, name, color }])
+ */
+const EditorsCellRenderer = ({ data, context }) => {
+  const editors = (data && context?.rowEditors?.[data.id]) || [];
+  if (editors.length === 0) return null;
+
+  return (
+    <div className="row-editors" title={`Being edited by ${editors.map(e => e.name).join(', ')}`}>
+      {editors.slice(0, 2).map(editor => (
+        <span key={editor.userId} className="row-editor-avatar" style={{ background: editor.color }}>
+          {editor.name.split(' ').map(n => n[0]).join('').toUpperCase().slice(0, 2)}
+        </span>
+      ))}
+    </div>
+  );
+};
+
 /**
  * PlannerGrid Component
  *
@@ -257,6 +279,11 @@ const PredecessorsCellRenderer = ({ value, context }) => {
  * @param {boolean} readOnly - Read-only mode
  * @param {Array} teamMembers - List of team member names for owner dropdown
  * @param {string} projectName - Project name for Excel export
+ * @param {Object} scheduleAnalysis - Critical path results keyed by item id (calculateCriticalPath)
+ * @param {boolean} showCriticalPath - Highlight critical rows and show float columns
+ * @param {Object} rowEditors - Other users editing rows, keyed by item id (usePlanCollaboration)
+ * @param {Function} onEditingChange - Called with the item id when editing starts, null when it stops
+ * @param {Object} remoteChange - Latest change by another user { id, fields } - those cells are flashed
  */
 const PlannerGrid = forwardRef(function PlannerGrid({
   items = [],
@@ -270,9 +297,18 @@ const PlannerGrid = forwardRef(function PlannerGrid({
   isLoading = false,
   readOnly = false,
   teamMembers = [],
-  projectName = 'Project'
+  projectName = 'Project',
+  scheduleAnalysis = null,
+  showCriticalPath = false,
+  rowEditors = null,
+  onEditingChange,
+  remoteChange = null
 }, ref) {
   const gridRef = useRef(null);
+  // Grid context is initial-only, so keep one object and update it in place
+  const gridContext = useRef({}).current;
+  gridContext.items = items;
+  gridContext.rowEditors = rowEditors;
   const [rowData, setRowData] = useState([]);
   const [showShortcuts, setShowShortcuts] = useState(false);
   const [isFullscreen, setIsFullscreen] = useState(false);
@@ -339,11 +375,38 @@ const PlannerGrid = forwardRef(function PlannerGrid({
     }
   }), [projectName]);
 
-  // Transform items to tree data format
+  // Transform items to tree data format (with critical path fields when available)
   useEffect(() => {
-    const treeData = transformToTreeData(items);
+    const treeData = transformToTreeData(items).map(row => {
+      const schedule = scheduleAnalysis?.[row.id];
+      if (!schedule) return row;
+      return {
+        ...row,
+        total_float: schedule.total_float,
+        free_float: schedule.free_float,
+        late_finish: schedule.late_finish,
+        is_critical: schedule.is_critical
+      };
+    });
     setRowData(treeData);
-  }, [items]);
+  }, [items, scheduleAnalysis]);
+
+  // Redraw editor avatars when other users start or stop editing
+  useEffect(() => {
+    gridRef.current?.api?.refreshCells({ columns: ['editors'], force: true });
+  }, [rowEditors]);
+
+  // Flash cells another user just changed
+  useEffect(() => {
+    const api = gridRef.current?.api;
+    if (!api || !remoteChange?.id) return;
+    const rowNode = api.getRowNode(String(remoteChange.id));
+    if (!rowNode) return;
+    const columns = (remoteChange.fields || []).filter(field => api.getColumn(field));
+    if (remoteChange.fields?.includes('name')) columns.push('ag-Grid-AutoColumn');
+    if (columns.length === 0) return;
+    api.flashCells({ rowNodes: [rowNode], columns });
+  }, [remoteChange]);
 
   // AG Grid Tree Data path getter
   const getDataPath = useCallback((data) => {
@@ -398,6 +461,22 @@ const PlannerGrid = forwardRef(function PlannerGrid({
       resizable: false,
       cellClass: 'checkbox-cell'
     },
+    {
+      colId: 'editors',
+      headerName: '',
+      width: 64,
+      maxWidth: 64,
+      pinned: 'left',
+      lockPosition: true,
+      editable: false,
+      suppressMenu: true,
+      suppressColumnsToolPanel: true,
+      sortable: false,
+      filter: false,
+      resizable: false,
+      cellRenderer: EditorsCellRenderer,
+      cellClass: 'editors-cell'
+    },
     {
       field: 'wbs',
       headerName: '#',
@@ -531,6 +610,31 @@ const PlannerGrid = forwardRef(function PlannerGrid({
       filter: false,
       sortable: false
     },
+    {
+      field: 'total_float',
+      headerName: 'Total Float',
+      width: 110,
+      hide: !showCriticalPath,
+      editable: false,
+      type: 'numericColumn',
+      valueFormatter: (params) => (params.value ?? '') === '' ? '' : `${params.value}d`,
+      tooltipValueGetter: (params) => params.data?.late_finish
+        ? `Late finish: ${format(new Date(params.data.late_finish), 'dd MMM yyyy')}`
+        : null,
+      cellClass: (params) => (params.data?.is_critical ? 'float-cell critical' : 'float-cell'),
+      filter: 'agNumberColumnFilter'
+    },
+    {
+      field: 'free_float',
+      headerName: 'Free Float',
+      width: 110,
+      hide: !showCriticalPath,
+      editable: false,
+      type: 'numericColumn',
+      valueFormatter: (params) => (params.value ?? '') === '' ? '' : `${params.value}d`,
+      cellClass: 'float-cell',
+      filter: 'agNumberColumnFilter'
+    },
     {
       field: 'status',
       headerName: 'Status',
@@ -566,7 +670,12 @@ const PlannerGrid = forwardRef(function PlannerGrid({
       filter: 'agNumberColumnFilter',
       aggFunc: 'avg'
     }
-  ], [readOnly, teamMembers]);
+  ], [readOnly, teamMembers, showCriticalPath]);
+
+  // Highlight rows on the critical path
+  const rowClassRules = useMemo(() => ({
+    'critical-row': (params) => showCriticalPath && params.data?.is_critical === true
+  }), [showCriticalPath]);
 
   // Default column properties
   const defaultColDef = useMemo(() => ({
@@ -646,6 +755,15 @@ const PlannerGrid = forwardRef(function PlannerGrid({
     }
   }, [onItemUpdate, readOnly]);
 
+  // Share which row is being edited with other users
+  const onCellEditingStarted = useCallback((params) => {
+    if (onEditingChange && params.data?.id) onEditingChange(params.data.id);
+  }, [onEditingChange]);
+
+  const onCellEditingStopped = useCallback(() => {
+    if (onEditingChange) onEditingChange(null);
+  }, [onEditingChange]);
+
   // Handle selection changes - sync with parent's selectedIds state
   const handleSelectionChanged = useCallback((event) => {
     if (onSelectionChanged) {
@@ -841,8 +959,9 @@ const PlannerGrid = forwardRef(function PlannerGrid({
           rowData={rowData}
           columnDefs={columnDefs}
           defaultColDef={defaultColDef}
+          rowClassRules={rowClassRules}
           autoGroupColumnDef={autoGroupColumnDef}
-          context={{ items }}
+          context={gridContext}
           treeData={true}
           getDataPath={getDataPath}
           animateRows={true}
@@ -855,6 +974,8 @@ const PlannerGrid = forwardRef(function PlannerGrid({
           undoRedoCellEditing={true}
           undoRedoCellEditingLimit={50}
           onCellValueChanged={onCellValueChanged}
+          onCellEditingStarted={onCellEditingStarted}
+          onCellEditingStopped={onCellEditingStopped}
           onCellKeyDown={onCellKeyDown}
           onSelectionChanged={handleSelectionChanged}
           getContextMenuItems={getContextMenuItems}
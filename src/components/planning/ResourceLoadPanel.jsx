@@ -0,0 +1,226 @@
+/**
+ * ResourceLoadPanel
+ *
+ * Daily load histogram per resource for the Planning page, with
+ * over-allocated days flagged against working calendars and logged
+ * time off. "Level resources" previews the moves levelling would make
+ * (non-critical items only, within float) before they are applied.
+ *
+ * @module components/planning/ResourceLoadPanel
+ * @version 1.0.0
+ * @created 2026-10-19
+ */
+
+import React, { useState, useEffect, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { Users, X, AlertTriangle, RefreshCw, Scale, Check } from 'lucide-react';
+import { calendarService } from '../../services';
+import { calculateResourceLoad, levelResources } from '../../lib/resourceLoading';
+import { shiftDate } from '../../lib/ganttLayout';
+import './ResourceLoadPanel.css';
+
+const DAY_WIDTH = 10;
+const BAR_HEIGHT = 36;
+
+function formatDay(dateStr) {
+  return new Date(`${dateStr}T00:00:00Z`).toLocaleDateString('en-GB', {
+    day: 'numeric', month: 'short', timeZone: 'UTC'
+  });
+}
+
+export default function ResourceLoadPanel({
+  projectId,
+  items,
+  resources,
+  scheduleOptions,
+  scheduleAnalysis,
+  readOnly = false,
+  onApplyLevelling,
+  onClose
+}) {
+  const [availability, setAvailability] = useState([]);
+  const [preview, setPreview] = useState(null);
+  const [applying, setApplying] = useState(false);
+
+  // Time off only matters inside the planned range
+  const planRange = useMemo(() => {
+    const dates = items.flatMap(i => [i.start_date, i.end_date]).filter(Boolean).sort();
+    return dates.length > 0 ? { start: dates[0], end: dates[dates.length - 1] } : null;
+  }, [items]);
+
+  useEffect(() => {
+    if (!projectId || !planRange) return;
+    calendarService.getAvailabilityByDateRange(projectId, planRange.start, planRange.end)
+      .then(data => setAvailability(data || []))
+      .catch(err => console.error('Error loading availability:', err));
+  }, [projectId, planRange]);
+
+  const loadOptions = useMemo(() => ({
+    ...scheduleOptions,
+    resources,
+    availability,
+    scheduleAnalysis
+  }), [scheduleOptions, resources, availability, scheduleAnalysis]);
+
+  const load = useMemo(() => calculateResourceLoad(items, loadOptions), [items, loadOptions]);
+
+  // Clear a stale preview whenever the plan changes
+  useEffect(() => { setPreview(null); }, [items]);
+
+  const days = useMemo(() => {
+    if (!load.start) return [];
+    const list = [];
+    for (let date = load.start; date <= load.end; date = shiftDate(date, 1)) list.push(date);
+    return list;
+  }, [load.start, load.end]);
+
+  const rows = useMemo(() => {
+    const names = new Map(resources.map(r => [r.id, r.name]));
+    return Object.entries(load.resources)
+      .map(([id, entry]) => ({ id, name: names.get(id) || 'Unknown resource', ...entry }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }, [load, resources]);
+
+  const itemNames = useMemo(() => new Map(items.map(i => [i.id, i.name])), [items]);
+
+  const handlePreview = () => {
+    setPreview(levelResources(items, loadOptions));
+  };
+
+  const handleApply = async () => {
+    if (!preview || preview.updates.length === 0) return;
+    setApplying(true);
+    try {
+      await onApplyLevelling(preview.updates);
+      setPreview(null);
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  return (
+    <div className="resource-load-panel">
+      <div className="resource-load-header">
+        <div className="resource-load-title">
+          <Users size={16} />
+          Resource Load
+          {load.overAllocatedDays > 0 ? (
+            <span className="resource-load-flag">
+              <AlertTriangle size={12} />
+              {load.overAllocatedDays} over-allocated day{load.overAllocatedDays === 1 ? '' : 's'}
+            </span>
+          ) : rows.length > 0 && (
+            <span className="resource-load-ok">No over-allocation</span>
+          )}
+        </div>
+        <div className="resource-load-actions">
+          {!readOnly && (
+            <button
+              className="plan-btn plan-btn-secondary"
+              onClick={handlePreview}
+              disabled={load.overAllocatedDays === 0}
+              title="Delay non-critical items within their float to fit capacity"
+            >
+              <Scale size={14} />
+              Level Resources
+            </button>
+          )}
+          <button className="resource-load-close" onClick={onClose} title="Close">
+            <X size={16} />
+          </button>
+        </div>
+      </div>
+
+      {preview && (
+        <div className="resource-load-preview">
+          {preview.updates.length === 0 ? (
+            <p>Levelling cannot remove any over-allocation without moving critical items.</p>
+          ) : (
+            <>
+              <p>
+                Moves {preview.updates.length} item{preview.updates.length === 1 ? '' : 's'}:
+                over-allocated days {preview.overAllocatedBefore} → {preview.overAllocatedAfter}.
+                The plan finish does not change.
+              </p>
+              <ul>
+                {preview.updates.map(update => (
+                  <li key={update.id}>
+                    <strong>{itemNames.get(update.id)}</strong>
+                    {' '}starts {formatDay(update.start_date)}
+                    {update.delay !== 0 && ` (${update.delay > 0 ? '+' : ''}${update.delay} days)`}
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+          <div className="resource-load-preview-actions">
+            <button className="plan-btn plan-btn-secondary" onClick={() => setPreview(null)} disabled={applying}>
+              Cancel
+            </button>
+            {preview.updates.length > 0 && (
+              <button className="plan-btn plan-btn-primary" onClick={handleApply} disabled={applying}>
+                {applying ? <RefreshCw size={14} className="animate-spin" /> : <Check size={14} />}
+                Apply
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {rows.length === 0 ? (
+        <div className="resource-load-empty">
+          Assign resources to scheduled tasks to see their load.
+        </div>
+      ) : (
+        <div className="resource-load-body">
+          {rows.map(row => (
+            <div key={row.id} className="resource-load-row">
+              <div className="resource-load-name" title={row.name}>
+                <span>{row.name}</span>
+                <span className={`resource-load-peak ${row.overAllocatedDates.length > 0 ? 'over' : ''}`}>
+                  {row.peakLoad === Infinity ? 'Off' : `${Math.round(row.peakLoad * 100)}%`}
+                </span>
+              </div>
+              <div className="resource-load-histogram" style={{ width: days.length * DAY_WIDTH }}>
+                {days.map(date => {
+                  const day = row.days[date];
+                  if (!day) return <div key={date} className="resource-load-day" />;
+                  const over = day.load > day.capacity + 1e-6;
+                  const ratio = day.capacity > 0 ? Math.min(day.load / day.capacity, 1.5) : 1.5;
+                  return (
+                    <div
+                      key={date}
+                      className="resource-load-day"
+                      title={`${formatDay(date)}: ${day.load} of ${day.capacity} day(s)\n${day.itemIds.map(id => itemNames.get(id)).join(', ')}`}
+                    >
+                      <div
+                        className={`resource-load-bar ${over ? 'over' : ''}`}
+                        style={{ height: Math.round((ratio / 1.5) * BAR_HEIGHT) }}
+                      />
+                    </div>
+                  );
+                })}
+                <div className="resource-load-capacity" style={{ bottom: Math.round(BAR_HEIGHT / 1.5) }} />
+              </div>
+            </div>
+          ))}
+          <div className="resource-load-axis">
+            <span>{formatDay(load.start)}</span>
+            <span>{formatDay(load.end)}</span>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+ResourceLoadPanel.propTypes = {
+  projectId: PropTypes.string,
+  items: PropTypes.array.isRequired,
+  resources: PropTypes.array.isRequired,
+  scheduleOptions: PropTypes.object,
+  scheduleAnalysis: PropTypes.object,
+  readOnly: PropTypes.bool,
+  onApplyLevelling: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired
+};
@@ -0,0 +1,304 @@
+/**
+ * ScenarioDiffModal
+ *
+ * Side-by-side comparison of a scenario branch with the live plan: dates,
+ * durations and structure (added, removed, moved items), with the finish
+ * date impact. Selected changes can be merged into the live plan or used
+ * to seed a draft variation.
+ *
+ * Changes to baselined milestones are never merged directly - those have
+ * to go through a variation.
+ *
+ * @module components/planning/ScenarioDiffModal
+ * @version 1.0.0
+ * @created 2026-10-19
+ */
+
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { X, GitCompare, GitMerge, FileSignature, RefreshCw } from 'lucide-react';
+import { format } from 'date-fns';
+import { planScenariosService } from '../../services';
+import { SCENARIO_CHANGE } from '../../lib/planScenarios';
+import './PlanScenarios.css';
+
+const KIND_LABELS = {
+  [SCENARIO_CHANGE.CHANGED]: 'Changed',
+  [SCENARIO_CHANGE.ADDED]: 'Added',
+  [SCENARIO_CHANGE.REMOVED]: 'Removed'
+};
+
+const DATE_FIELDS = ['start_date', 'end_date', 'duration_days'];
+
+function formatDate(date) {
+  if (!date) return '—';
+  try {
+    return format(new Date(date), 'dd MMM yy');
+  } catch {
+    return date;
+  }
+}
+
+function formatShift(days) {
+  if (days === null || days === undefined || days === 0) return '';
+  return days > 0 ? `+${days}d` : `${days}d`;
+}
+
+function ScheduleCell({ item }) {
+  if (!item) return <td className="plan-scenario-cell-empty">—</td>;
+  return (
+    <td>
+      {formatDate(item.start_date)} → {formatDate(item.end_date)}
+      {item.duration_days ? <span className="plan-scenario-days"> · {item.duration_days}d</span> : null}
+    </td>
+  );
+}
+
+function describeOtherChanges(entry) {
+  const notes = [];
+  entry.fields.forEach(({ field }) => {
+    if (field === 'name') notes.push('renamed');
+    if (field === 'predecessors') notes.push('links changed');
+    if (field === 'parent_id') notes.push('moved');
+  });
+  return notes.join(', ');
+}
+
+export default function ScenarioDiffModal({
+  scenario,
+  projectId,
+  userId,
+  onClose,
+  checkBaselineProtection,
+  onMerged,
+  onVariationCreated
+}) {
+  const [diff, setDiff] = useState(null);
+  const [selected, setSelected] = useState(new Set());
+  const [loading, setLoading] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const load = useCallback(async () => {
+    if (!scenario) return;
+    setLoading(true);
+    setError(null);
+    try {
+      const result = await planScenariosService.getDiff(projectId, scenario.id);
+      setDiff(result);
+      setSelected(new Set(result.entries.map(e => e.key)));
+    } catch (err) {
+      setError(err.message || 'Failed to compare scenario');
+    } finally {
+      setLoading(false);
+    }
+  }, [projectId, scenario]);
+
+  useEffect(() => {
+    if (scenario) {
+      setNotice(null);
+      load();
+    }
+  }, [scenario, load]);
+
+  const selectedEntries = useMemo(
+    () => (diff ? diff.entries.filter(e => selected.has(e.key)) : []),
+    [diff, selected]
+  );
+
+  if (!scenario) return null;
+
+  const toggle = (key) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(key)) next.delete(key);
+      else next.add(key);
+      return next;
+    });
+  };
+
+  const toggleAll = () => {
+    if (!diff) return;
+    setSelected(selected.size === diff.entries.length ? new Set() : new Set(diff.entries.map(e => e.key)));
+  };
+
+  const handleMerge = async () => {
+    setBusy(true);
+    setError(null);
+    setNotice(null);
+    try {
+      // Leave out date changes to baselined milestones
+      const allowed = [];
+      let blocked = 0;
+      for (const entry of selectedEntries) {
+        const dateFields = entry.kind === SCENARIO_CHANGE.CHANGED
+          ? entry.fields.filter(f => DATE_FIELDS.includes(f.field))
+          : [];
+        let locked = null;
+        for (const { field } of dateFields) {
+          locked = locked || await checkBaselineProtection(entry.liveItem, field);
+        }
+        if (locked) blocked++;
+        else allowed.push(entry);
+      }
+
+      if (allowed.length > 0) {
+        const result = await planScenariosService.mergeIntoPlan(projectId, scenario, allowed, diff, userId);
+        onMerged(result);
+      }
+      if (blocked > 0) {
+        setNotice(`${blocked} change(s) affect baselined milestones and were not merged. Raise a variation for those.`);
+      }
+      await load();
+    } catch (err) {
+      setError(err.message || 'Merge failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleVariation = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      const variation = await planScenariosService.createVariationFromDiff(projectId, scenario, selectedEntries, userId);
+      onVariationCreated(variation);
+    } catch (err) {
+      setError(err.message || 'Failed to create variation');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const summary = diff?.summary;
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal-content modal-large plan-scenario-diff" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2 className="modal-title">
+            <GitCompare size={20} />
+            Compare: {scenario.name}
+          </h2>
+          <button className="modal-close-btn" onClick={onClose}>
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="modal-body">
+          {error && <div className="template-preview-warning">{error}</div>}
+          {notice && <div className="template-preview-warning">{notice}</div>}
+
+          {summary && (
+            <div className="plan-scenario-summary">
+              <div>
+                <span className="plan-scenario-summary-label">Live finish</span>
+                <strong>{formatDate(summary.liveFinish)}</strong>
+              </div>
+              <div>
+                <span className="plan-scenario-summary-label">Scenario finish</span>
+                <strong>{formatDate(summary.scenarioFinish)}</strong>
+                {summary.finishShift ? (
+                  <span className={`plan-scenario-shift ${summary.finishShift > 0 ? 'later' : 'earlier'}`}>
+                    {formatShift(summary.finishShift)}
+                  </span>
+                ) : null}
+              </div>
+              <div>
+                <span className="plan-scenario-summary-label">Changes</span>
+                <strong>{summary.changed} changed · {summary.added} added · {summary.removed} removed</strong>
+              </div>
+            </div>
+          )}
+
+          {loading ? (
+            <div className="plan-scenario-empty">Comparing...</div>
+          ) : diff && diff.entries.length === 0 ? (
+            <div className="plan-scenario-empty">This scenario matches the live plan.</div>
+          ) : diff && (
+            <div className="plan-scenario-table-wrap">
+              <table className="plan-scenario-table">
+                <thead>
+                  <tr>
+                    <th>
+                      <input
+                        type="checkbox"
+                        checked={selected.size === diff.entries.length}
+                        onChange={toggleAll}
+                      />
+                    </th>
+                    <th>Item</th>
+                    <th>Change</th>
+                    <th>Live plan</th>
+                    <th>Scenario</th>
+                    <th>Shift</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {diff.entries.map(entry => {
+                    const item = entry.scenarioItem || entry.liveItem;
+                    const notes = describeOtherChanges(entry);
+                    return (
+                      <tr key={entry.key} className={`kind-${entry.kind}`}>
+                        <td>
+                          <input type="checkbox" checked={selected.has(entry.key)} onChange={() => toggle(entry.key)} />
+                        </td>
+                        <td>
+                          <span className="plan-scenario-wbs">{item.wbs}</span> {item.name}
+                        </td>
+                        <td>
+                          <span className={`plan-scenario-kind kind-${entry.kind}`}>{KIND_LABELS[entry.kind]}</span>
+                          {notes && <span className="plan-scenario-notes">{notes}</span>}
+                        </td>
+                        <ScheduleCell item={entry.liveItem} />
+                        <ScheduleCell item={entry.scenarioItem} />
+                        <td className={`plan-scenario-shift ${entry.endShift > 0 ? 'later' : entry.endShift < 0 ? 'earlier' : ''}`}>
+                          {formatShift(entry.endShift)}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        <div className="modal-footer">
+          <button type="button" className="btn btn-secondary" onClick={onClose} disabled={busy}>
+            Close
+          </button>
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={handleVariation}
+            disabled={busy || selectedEntries.length === 0}
+          >
+            <FileSignature size={16} />
+            Raise Variation
+          </button>
+          <button
+            type="button"
+            className="btn btn-primary"
+            onClick={handleMerge}
+            disabled={busy || selectedEntries.length === 0}
+          >
+            {busy ? <RefreshCw size={16} className="animate-spin" /> : <GitMerge size={16} />}
+            Merge {selectedEntries.length} into Live Plan
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+ScenarioDiffModal.propTypes = {
+  scenario: PropTypes.object,
+  projectId: PropTypes.string,
+  userId: PropTypes.string,
+  onClose: PropTypes.func.isRequired,
+  checkBaselineProtection: PropTypes.func.isRequired,
+  onMerged: PropTypes.func.isRequired,
+  onVariationCreated: PropTypes.func.isRequired
+};
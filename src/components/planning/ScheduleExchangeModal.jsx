@@ -0,0 +1,268 @@
+/**
+ * ScheduleExchangeModal
+ *
+ * Import and export of the plan as Microsoft Project XML (MSPDI) or
+ * Primavera P6 XML. Shows what could not be mapped before an import is
+ * applied and after an export is downloaded.
+ *
+ * @module components/planning/ScheduleExchangeModal
+ * @version 1.0.0
+ * @created 2026-10-19
+ */
+
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import {
+  X, Download, Upload, FileCode, RefreshCw, AlertTriangle, Link2, CheckSquare
+} from 'lucide-react';
+import { resourcesService } from '../../services';
+import planItemsService from '../../services/planItemsService';
+import {
+  SCHEDULE_FORMATS,
+  SCHEDULE_FORMAT_CONFIG,
+  exportToMspdi,
+  exportToP6Xml,
+  parseScheduleXml
+} from '../../lib/scheduleXml';
+import './ScheduleExchangeModal.css';
+
+function downloadXml(xml, filename) {
+  const blob = new Blob([xml], { type: 'application/xml' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+function WarningList({ warnings }) {
+  if (warnings.length === 0) return null;
+  return (
+    <div className="schedule-xml-warnings">
+      <div className="schedule-xml-warnings-title">
+        <AlertTriangle size={14} />
+        {warnings.length} item{warnings.length === 1 ? '' : 's'} could not be mapped exactly
+      </div>
+      <ul>
+        {warnings.map((w, index) => (
+          <li key={index}>
+            {w.item && <strong>{w.item}: </strong>}
+            {w.message}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default function ScheduleExchangeModal({
+  isOpen,
+  onClose,
+  projectId,
+  projectName,
+  items,
+  calendar,
+  onImported
+}) {
+  const [mode, setMode] = useState('import');
+  const [format, setFormat] = useState(SCHEDULE_FORMATS.MSPDI);
+  const [resources, setResources] = useState([]);
+  const [fileName, setFileName] = useState(null);
+  const [parsed, setParsed] = useState(null);
+  const [parseError, setParseError] = useState(null);
+  const [exportWarnings, setExportWarnings] = useState(null);
+  const [importing, setImporting] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen || !projectId) return;
+    resourcesService.getAll(projectId)
+      .then(data => setResources(data || []))
+      .catch(err => console.error('Error loading resources:', err));
+  }, [isOpen, projectId]);
+
+  // Reset when opening
+  useEffect(() => {
+    if (isOpen) {
+      setFileName(null);
+      setParsed(null);
+      setParseError(null);
+      setExportWarnings(null);
+    }
+  }, [isOpen]);
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setFileName(file.name);
+    setParsed(null);
+    setParseError(null);
+    try {
+      const text = await file.text();
+      setParsed(parseScheduleXml(text, { resources }));
+    } catch (err) {
+      setParseError(err.message);
+    }
+  };
+
+  const handleImport = async () => {
+    if (!parsed) return;
+    setImporting(true);
+    try {
+      const result = await planItemsService.importSchedule(projectId, parsed.items);
+      onImported(result, parsed);
+    } catch (err) {
+      console.error('Schedule import error:', err);
+      setParseError(err.message || 'Import failed');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const handleExport = () => {
+    const options = { projectName, resources, calendar };
+    const { xml, warnings } = format === SCHEDULE_FORMATS.P6
+      ? exportToP6Xml(items, options)
+      : exportToMspdi(items, options);
+    const safeName = (projectName || 'plan').replace(/[^a-z0-9-_ ]/gi, '').trim() || 'plan';
+    downloadXml(xml, `${safeName}-${format}.${SCHEDULE_FORMAT_CONFIG[format].extension}`);
+    setExportWarnings(warnings);
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal-content modal-large" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2 className="modal-title">
+            <FileCode size={20} />
+            MS Project / Primavera P6
+          </h2>
+          <button className="modal-close-btn" onClick={onClose}>
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <div className="schedule-xml-tabs">
+            <button
+              className={`schedule-xml-tab ${mode === 'import' ? 'active' : ''}`}
+              onClick={() => setMode('import')}
+            >
+              <Upload size={14} /> Import
+            </button>
+            <button
+              className={`schedule-xml-tab ${mode === 'export' ? 'active' : ''}`}
+              onClick={() => setMode('export')}
+            >
+              <Download size={14} /> Export
+            </button>
+          </div>
+
+          {mode === 'import' ? (
+            <>
+              <label className="schedule-xml-file">
+                <input type="file" accept=".xml,application/xml,text/xml" onChange={handleFile} />
+                <Upload size={18} />
+                <span>{fileName || 'Choose an MSPDI (.xml) or P6 XML file'}</span>
+              </label>
+              <p className="form-help">
+                Items are added after the existing plan. Resources are matched to project resources by name.
+              </p>
+
+              {parseError && (
+                <div className="template-preview-warning">
+                  <AlertTriangle size={16} />
+                  <span>{parseError}</span>
+                </div>
+              )}
+
+              {parsed && (
+                <div className="template-preview">
+                  <div className="template-preview-title">
+                    {SCHEDULE_FORMAT_CONFIG[parsed.format].label}
+                  </div>
+                  <div className="template-preview-stats">
+                    <span className="template-preview-stat">
+                      <CheckSquare size={14} /> {parsed.items.length} items
+                    </span>
+                    <span className="template-preview-stat">
+                      <Link2 size={14} /> {parsed.linkCount} links
+                    </span>
+                  </div>
+                  <WarningList warnings={parsed.warnings} />
+                </div>
+              )}
+            </>
+          ) : (
+            <>
+              <div className="schedule-xml-formats">
+                {Object.entries(SCHEDULE_FORMAT_CONFIG).map(([key, config]) => (
+                  <label key={key} className="schedule-xml-format">
+                    <input
+                      type="radio"
+                      name="schedule-format"
+                      value={key}
+                      checked={format === key}
+                      onChange={() => { setFormat(key); setExportWarnings(null); }}
+                    />
+                    {config.label}
+                  </label>
+                ))}
+              </div>
+              <p className="form-help">
+                Exports {items.filter(i => !i.is_deleted).length} plan items with links, milestones and resource assignments.
+              </p>
+              {exportWarnings && exportWarnings.length === 0 && (
+                <p className="schedule-xml-ok">Exported with everything mapped.</p>
+              )}
+              {exportWarnings && <WarningList warnings={exportWarnings} />}
+            </>
+          )}
+        </div>
+
+        <div className="modal-footer">
+          <button type="button" className="btn btn-secondary" onClick={onClose} disabled={importing}>
+            Close
+          </button>
+          {mode === 'import' ? (
+            <button
+              type="button"
+              className="btn btn-primary"
+              onClick={handleImport}
+              disabled={importing || !parsed || parsed.items.length === 0}
+            >
+              {importing ? (
+                <>
+                  <RefreshCw size={16} className="animate-spin" />
+                  Importing...
+                </>
+              ) : (
+                <>
+                  <Upload size={16} />
+                  Import {parsed ? `${parsed.items.length} items` : ''}
+                </>
+              )}
+            </button>
+          ) : (
+            <button type="button" className="btn btn-primary" onClick={handleExport} disabled={items.length === 0}>
+              <Download size={16} />
+              Download
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+ScheduleExchangeModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  projectId: PropTypes.string,
+  projectName: PropTypes.string,
+  items: PropTypes.array.isRequired,
+  calendar: PropTypes.object,
+  onImported: PropTypes.func.isRequired
+};
@@ -0,0 +1,336 @@
+/**
+ * ScheduleRiskPanel
+ *
+ * Monte Carlo schedule risk for the Planning page: P50 / P80 / P90 finish
+ * dates per milestone, a tornado of the tasks driving the plan finish and
+ * each task's criticality index. Runs locally with a seeded RNG, so the
+ * same plan, seed and iteration count always give the same answer.
+ * The Estimates tab edits the optimistic / pessimistic durations.
+ *
+ * @module components/planning/ScheduleRiskPanel
+ * @version 1.0.0
+ * @created 2026-10-19
+ */
+
+import React, { useState, useEffect, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { Dices, X, Play, RefreshCw } from 'lucide-react';
+import {
+  runScheduleRiskSimulation,
+  getSimulationTasks,
+  DEFAULT_ITERATIONS,
+  DEFAULT_SEED,
+  DEFAULT_RANGE,
+  MAX_ITERATIONS
+} from '../../lib/scheduleRiskSimulation';
+import './ScheduleRiskPanel.css';
+
+function formatDay(dateStr) {
+  if (!dateStr) return '—';
+  return new Date(`${dateStr}T00:00:00Z`).toLocaleDateString('en-GB', {
+    day: 'numeric', month: 'short', year: '2-digit', timeZone: 'UTC'
+  });
+}
+
+function formatPercent(value) {
+  return `${Math.round(value * 100)}%`;
+}
+
+function EstimateInput({ value, placeholder, disabled, onSave }) {
+  const [draft, setDraft] = useState(value ?? '');
+
+  useEffect(() => { setDraft(value ?? ''); }, [value]);
+
+  const handleBlur = () => {
+    const next = draft === '' ? null : parseFloat(draft);
+    if (next !== null && !(next > 0)) {
+      setDraft(value ?? '');
+      return;
+    }
+    if (next !== (value === null || value === undefined ? null : parseFloat(value))) onSave(next);
+  };
+
+  return (
+    <input
+      type="number"
+      min="0.5"
+      step="0.5"
+      className="schedule-risk-estimate-input"
+      value={draft}
+      placeholder={placeholder}
+      disabled={disabled}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={handleBlur}
+    />
+  );
+}
+
+EstimateInput.propTypes = {
+  value: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+  placeholder: PropTypes.string,
+  disabled: PropTypes.bool,
+  onSave: PropTypes.func.isRequired
+};
+
+export default function ScheduleRiskPanel({
+  items,
+  scheduleOptions,
+  readOnly = false,
+  onUpdateEstimate,
+  onClose
+}) {
+  const [tab, setTab] = useState('results');
+  const [iterations, setIterations] = useState(DEFAULT_ITERATIONS);
+  const [seed, setSeed] = useState(DEFAULT_SEED);
+  const [result, setResult] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [stale, setStale] = useState(false);
+
+  const tasks = useMemo(() => getSimulationTasks(items, scheduleOptions), [items, scheduleOptions]);
+  const itemsById = useMemo(() => new Map(items.map(i => [i.id, i])), [items]);
+
+  // Results no longer match the plan once it changes
+  useEffect(() => { setStale(true); }, [items, scheduleOptions]);
+
+  const handleRun = () => {
+    setRunning(true);
+    // Let the spinner render before the simulation blocks the thread
+    setTimeout(() => {
+      try {
+        setResult(runScheduleRiskSimulation(items, { ...scheduleOptions, iterations, seed }));
+        setStale(false);
+        setTab('results');
+      } finally {
+        setRunning(false);
+      }
+    }, 0);
+  };
+
+  const maxCorrelation = result?.tornado.length
+    ? Math.max(...result.tornado.map(t => Math.abs(t.correlation)))
+    : 1;
+
+  return (
+    <div className="schedule-risk-panel">
+      <div className="schedule-risk-header">
+        <div className="schedule-risk-title">
+          <Dices size={16} />
+          Schedule Risk
+          <div className="schedule-risk-tabs">
+            <button className={tab === 'results' ? 'active' : ''} onClick={() => setTab('results')}>Results</button>
+            <button className={tab === 'estimates' ? 'active' : ''} onClick={() => setTab('estimates')}>
+              Estimates ({tasks.length})
+            </button>
+          </div>
+        </div>
+        <div className="schedule-risk-actions">
+          <label title="Number of simulated schedules">
+            Iterations
+            <input
+              type="number"
+              min="100"
+              max={MAX_ITERATIONS}
+              step="100"
+              value={iterations}
+              onChange={(e) => setIterations(Math.min(parseInt(e.target.value, 10) || DEFAULT_ITERATIONS, MAX_ITERATIONS))}
+            />
+          </label>
+          <label title="Random seed - the same seed reproduces the same results">
+            Seed
+            <input
+              type="number"
+              min="0"
+              value={seed}
+              onChange={(e) => setSeed(parseInt(e.target.value, 10) || 0)}
+            />
+          </label>
+          <button
+            className="plan-btn plan-btn-primary"
+            onClick={handleRun}
+            disabled={running || tasks.length === 0}
+          >
+            {running ? <RefreshCw size={14} className="animate-spin" /> : <Play size={14} />}
+            Run
+          </button>
+          <button className="schedule-risk-close" onClick={onClose} title="Close">
+            <X size={16} />
+          </button>
+        </div>
+      </div>
+
+      {tasks.length === 0 ? (
+        <div className="schedule-risk-empty">Schedule tasks with start and end dates to simulate risk.</div>
+      ) : tab === 'estimates' ? (
+        <div className="schedule-risk-body">
+          <p className="schedule-risk-note">
+            Durations in working days. The planned duration is the most likely estimate; blank
+            estimates default to {formatPercent(DEFAULT_RANGE.optimistic)} and {formatPercent(DEFAULT_RANGE.pessimistic)} of it.
+          </p>
+          <table className="schedule-risk-table">
+            <thead>
+              <tr>
+                <th>Task</th>
+                <th>Optimistic</th>
+                <th>Most likely</th>
+                <th>Pessimistic</th>
+              </tr>
+            </thead>
+            <tbody>
+              {tasks.map(task => {
+                const item = itemsById.get(task.id);
+                return (
+                  <tr key={task.id}>
+                    <td>{task.name}</td>
+                    <td>
+                      <EstimateInput
+                        value={item?.duration_optimistic}
+                        placeholder={String(task.optimistic)}
+                        disabled={readOnly}
+                        onSave={(value) => onUpdateEstimate(task.id, 'duration_optimistic', value)}
+                      />
+                    </td>
+                    <td>{task.mostLikely}</td>
+                    <td>
+                      <EstimateInput
+                        value={item?.duration_pessimistic}
+                        placeholder={String(task.pessimistic)}
+                        disabled={readOnly}
+                        onSave={(value) => onUpdateEstimate(task.id, 'duration_pessimistic', value)}
+                      />
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      ) : !result ? (
+        <div className="schedule-risk-empty">
+          Run the simulation to see P50 / P80 / P90 dates, the tornado and criticality index.
+        </div>
+      ) : (
+        <div className="schedule-risk-body">
+          <p className="schedule-risk-note">
+            {result.iterations.toLocaleString()} iterations, seed {result.seed}, triangular durations.
+            {stale && <span className="schedule-risk-stale"> The plan has changed since this run.</span>}
+          </p>
+
+          {result.plan && (
+            <div className="schedule-risk-cards">
+              <div className="schedule-risk-card">
+                <span>Planned finish</span>
+                <strong>{formatDay(result.plan.plannedFinish)}</strong>
+              </div>
+              <div className="schedule-risk-card">
+                <span>P50</span>
+                <strong>{formatDay(result.plan.p50)}</strong>
+              </div>
+              <div className="schedule-risk-card">
+                <span>P80</span>
+                <strong>{formatDay(result.plan.p80)}</strong>
+              </div>
+              <div className="schedule-risk-card">
+                <span>P90</span>
+                <strong>{formatDay(result.plan.p90)}</strong>
+              </div>
+              <div className={`schedule-risk-card ${result.plan.onTimeProbability < 0.5 ? 'low' : ''}`}>
+                <span>On time</span>
+                <strong>{formatPercent(result.plan.onTimeProbability)}</strong>
+              </div>
+            </div>
+          )}
+
+          <div className="schedule-risk-sections">
+            <div className="schedule-risk-section">
+              <h4>Milestones</h4>
+              {result.milestones.length === 0 ? (
+                <p className="schedule-risk-note">No milestones in the plan.</p>
+              ) : (
+                <table className="schedule-risk-table">
+                  <thead>
+                    <tr>
+                      <th>Milestone</th>
+                      <th>Planned</th>
+                      <th>P50</th>
+                      <th>P80</th>
+                      <th>P90</th>
+                      <th>On time</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {result.milestones.map(m => (
+                      <tr key={m.id}>
+                        <td>{m.name}</td>
+                        <td>{formatDay(m.plannedFinish)}</td>
+                        <td>{formatDay(m.p50)}</td>
+                        <td>{formatDay(m.p80)}</td>
+                        <td>{formatDay(m.p90)}</td>
+                        <td className={m.onTimeProbability < 0.5 ? 'schedule-risk-low' : ''}>
+                          {formatPercent(m.onTimeProbability)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+
+            <div className="schedule-risk-section">
+              <h4>Sensitivity (duration vs plan finish)</h4>
+              {result.tornado.length === 0 ? (
+                <p className="schedule-risk-note">No task duration moves the plan finish.</p>
+              ) : (
+                <div className="schedule-risk-tornado">
+                  {result.tornado.map(t => (
+                    <div
+                      key={t.id}
+                      className="schedule-risk-tornado-row"
+                      title={`${t.optimistic} / ${t.mostLikely} / ${t.pessimistic} days`}
+                    >
+                      <span className="schedule-risk-tornado-name">{t.name}</span>
+                      <span className="schedule-risk-tornado-track">
+                        <span
+                          className={`schedule-risk-tornado-bar ${t.correlation < 0 ? 'negative' : ''}`}
+                          style={{ width: `${(Math.abs(t.correlation) / maxCorrelation) * 50}%` }}
+                        />
+                      </span>
+                      <span className="schedule-risk-tornado-value">{t.correlation.toFixed(2)}</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            <div className="schedule-risk-section">
+              <h4>Criticality index</h4>
+              <table className="schedule-risk-table">
+                <thead>
+                  <tr>
+                    <th>Task</th>
+                    <th>Critical in</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.criticality.slice(0, 15).map(c => (
+                    <tr key={c.id}>
+                      <td>{c.name}</td>
+                      <td>{formatPercent(c.index)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+ScheduleRiskPanel.propTypes = {
+  items: PropTypes.array.isRequired,
+  scheduleOptions: PropTypes.object,
+  readOnly: PropTypes.bool,
+  onUpdateEstimate: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired
+};
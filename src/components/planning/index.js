@@ -1,12 +1,20 @@
 /**
  * Planning Components - Barrel Export
- * @version 1.3
- * @updated 17 January 2026
+ * @version 1.9
+ * @updated 19 October 2026
  */
 
 export { default as EstimateLinkModal } from './EstimateLinkModal';
 export { default as EstimateGeneratorModal } from './EstimateGeneratorModal';
 export { default as PlannerGrid } from './PlannerGrid';
+export { default as GanttChart } from './GanttChart';
+export { default as ScheduleExchangeModal } from './ScheduleExchangeModal';
+export { default as ResourceLoadPanel } from './ResourceLoadPanel';
+export { default as ScheduleRiskPanel } from './ScheduleRiskPanel';
+export { default as PlanHistoryModal } from './PlanHistoryModal';
+export { default as PlanMergeModal } from './PlanMergeModal';
+export { default as PlanScenariosModal } from './PlanScenariosModal';
+export { default as ScenarioDiffModal } from './ScenarioDiffModal';
 
 // Plan Templates
 export { default as SaveAsTemplateModal } from './SaveAsTemplateModal';
@@ -0,0 +1,264 @@
+/**
+ * RAID Actions Panel
+ *
+ * Mitigation and contingency actions under a risk or issue, shown in
+ * RaidDetailModal. Managers add and remove actions; managers and the
+ * action owner update its status. Completing the last open mitigation
+ * action offers to move the item to Mitigated.
+ *
+ * @version 1.0
+ * @created 19 October 2026
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Plus, Trash2, User, Calendar, CheckCircle } from 'lucide-react';
+import { raidActionsService } from '../../services';
+import {
+  RAID_ACTION_TYPE,
+  RAID_ACTION_TYPE_CONFIG,
+  RAID_ACTION_STATUS,
+  RAID_ACTION_STATUS_CONFIG,
+  canMarkMitigated,
+  getDaysOverdue,
+  summariseActions
+} from '../../lib/raidActions';
+import './RaidActionsPanel.css';
+
+const EMPTY_ACTION = {
+  action_type: RAID_ACTION_TYPE.MITIGATION,
+  description: '',
+  owner_user_id: '',
+  due_date: ''
+};
+
+function formatDate(value) {
+  return new Date(value).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+export default function RaidActionsPanel({
+  item,
+  teamMembers,
+  canManage,
+  canMitigate,
+  currentUserId,
+  onItemMitigated
+}) {
+  const [actions, setActions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [newAction, setNewAction] = useState(EMPTY_ACTION);
+  const [showAddForm, setShowAddForm] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const fetchActions = useCallback(async () => {
+    try {
+      setActions(await raidActionsService.getByItem(item.id));
+    } catch (error) {
+      console.error('Error fetching RAID actions:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [item.id]);
+
+  useEffect(() => {
+    fetchActions();
+  }, [fetchActions]);
+
+  async function handleAdd() {
+    setSaving(true);
+    try {
+      await raidActionsService.create(item, newAction, currentUserId);
+      setNewAction(EMPTY_ACTION);
+      setShowAddForm(false);
+      await fetchActions();
+    } catch (error) {
+      console.error('Error adding RAID action:', error);
+      alert(error.message || 'Failed to add action');
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function handleStatusChange(action, status) {
+    // Offer to close the item when this completes its mitigation
+    let markItemMitigated = false;
+    if (status === RAID_ACTION_STATUS.COMPLETED && canMitigate) {
+      const after = actions.map(a => (a.id === action.id ? { ...a, status } : a));
+      markItemMitigated = canMarkMitigated(item, after)
+        && window.confirm(`All mitigation actions are complete. Mark ${item.raid_ref} as Mitigated?`);
+    }
+
+    try {
+      const { itemMitigated } = await raidActionsService.setStatus(action, status, { markItemMitigated });
+      if (itemMitigated) {
+        onItemMitigated();
+      } else {
+        await fetchActions();
+      }
+    } catch (error) {
+      console.error('Error updating RAID action:', error);
+      alert('Failed to update action');
+    }
+  }
+
+  async function handleDelete(action) {
+    if (!window.confirm('Delete this action?')) return;
+    try {
+      await raidActionsService.delete(action.id);
+      await fetchActions();
+    } catch (error) {
+      console.error('Error deleting RAID action:', error);
+      alert('Failed to delete action');
+    }
+  }
+
+  const progress = summariseActions(actions);
+
+  return (
+    <div className="raid-detail-section raid-actions-panel" data-testid="raid-actions-panel">
+      <div className="raid-actions-header">
+        <span className="raid-detail-label">Actions</span>
+        {progress.total > 0 && (
+          <span className="raid-actions-progress">
+            {progress.completed} of {progress.total - progress.cancelled} complete
+            {progress.overdue > 0 && <span className="raid-actions-overdue-count"> · {progress.overdue} overdue</span>}
+          </span>
+        )}
+      </div>
+
+      {progress.total > 0 && (
+        <div className="raid-actions-bar">
+          <div className="raid-actions-bar-fill" style={{ width: `${progress.percentComplete}%` }} />
+        </div>
+      )}
+
+      {loading ? (
+        <p className="raid-actions-empty">Loading actions...</p>
+      ) : actions.length === 0 ? (
+        <p className="raid-actions-empty">No mitigation or contingency actions yet</p>
+      ) : (
+        Object.values(RAID_ACTION_TYPE).map(type => {
+          const typeActions = actions.filter(a => a.action_type === type);
+          if (typeActions.length === 0) return null;
+          return (
+            <div key={type} className="raid-actions-group">
+              <div className="raid-actions-group-title">{RAID_ACTION_TYPE_CONFIG[type].label}</div>
+              {typeActions.map(action => {
+                const daysOverdue = getDaysOverdue(action);
+                const canUpdate = canManage || action.owner_user_id === currentUserId;
+                const statusConfig = RAID_ACTION_STATUS_CONFIG[action.status];
+                return (
+                  <div key={action.id} className={`raid-action-row ${daysOverdue > 0 ? 'overdue' : ''}`}>
+                    <div className="raid-action-main">
+                      <div className="raid-action-description">{action.description}</div>
+                      <div className="raid-action-meta">
+                        <span><User size={13} /> {action.owner?.full_name || action.owner?.email || 'No owner'}</span>
+                        {action.due_date && (
+                          <span className={daysOverdue > 0 ? 'raid-action-overdue' : ''}>
+                            <Calendar size={13} /> Due {formatDate(action.due_date)}
+                            {daysOverdue > 0 && ` (${daysOverdue}d overdue)`}
+                          </span>
+                        )}
+                        {action.completed_date && (
+                          <span><CheckCircle size={13} /> Completed {formatDate(action.completed_date)}</span>
+                        )}
+                      </div>
+                    </div>
+                    <div className="raid-action-controls">
+                      {canUpdate ? (
+                        <select
+                          value={action.status}
+                          onChange={(e) => handleStatusChange(action, e.target.value)}
+                          className="raid-action-status-select"
+                          style={{ color: statusConfig.color, background: statusConfig.bg }}
+                        >
+                          {Object.values(RAID_ACTION_STATUS).map(status => (
+                            <option key={status} value={status}>{status}</option>
+                          ))}
+                        </select>
+                      ) : (
+                        <span className="raid-action-status" style={{ color: statusConfig.color, background: statusConfig.bg }}>
+                          {statusConfig.label}
+                        </span>
+                      )}
+                      {canManage && (
+                        <button className="raid-action-delete" onClick={() => handleDelete(action)} title="Delete action">
+                          <Trash2 size={14} />
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          );
+        })
+      )}
+
+      {canManage && (showAddForm ? (
+        <div className="raid-action-form">
+          <div className="raid-form-row">
+            <div className="raid-form-group">
+              <label>Type</label>
+              <select
+                value={newAction.action_type}
+                onChange={(e) => setNewAction(prev => ({ ...prev, action_type: e.target.value }))}
+              >
+                {Object.values(RAID_ACTION_TYPE).map(type => (
+                  <option key={type} value={type}>{RAID_ACTION_TYPE_CONFIG[type].label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="raid-form-group">
+              <label>Owner</label>
+              <select
+                value={newAction.owner_user_id}
+                onChange={(e) => setNewAction(prev => ({ ...prev, owner_user_id: e.target.value }))}
+              >
+                <option value="">Unassigned</option>
+                {teamMembers.map(member => (
+                  <option key={member.id} value={member.id}>{member.name}</option>
+                ))}
+              </select>
+            </div>
+            <div className="raid-form-group">
+              <label>Due Date</label>
+              <input
+                type="date"
+                value={newAction.due_date}
+                onChange={(e) => setNewAction(prev => ({ ...prev, due_date: e.target.value }))}
+              />
+            </div>
+          </div>
+          <div className="raid-form-group">
+            <label>Action</label>
+            <textarea
+              value={newAction.description}
+              onChange={(e) => setNewAction(prev => ({ ...prev, description: e.target.value }))}
+              rows={2}
+              placeholder="What will be done?"
+            />
+          </div>
+          <div className="raid-action-form-buttons">
+            <button
+              className="raid-btn raid-btn-secondary"
+              onClick={() => { setShowAddForm(false); setNewAction(EMPTY_ACTION); }}
+            >
+              Cancel
+            </button>
+            <button
+              className="raid-btn raid-btn-primary"
+              onClick={handleAdd}
+              disabled={saving || !newAction.description.trim()}
+            >
+              {saving ? 'Adding...' : 'Add Action'}
+            </button>
+          </div>
+        </div>
+      ) : (
+        <button className="raid-action-add" onClick={() => setShowAddForm(true)}>
+          <Plus size={14} /> Add action
+        </button>
+      ))}
+    </div>
+  );
+}
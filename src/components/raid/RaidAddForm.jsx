@@ -5,14 +5,17 @@
  * Clean modal form with category selection cards.
  * Includes AI-powered categorization suggestions.
  *
- * @version 2.1
+ * @version 2.2
  * @updated 17 January 2026
+ * @updated 19 October 2026 - Probability × impact scoring and cost impact for risks and issues
  */
 
 import React, { useState, useEffect, useCallback } from 'react';
 import { X, Save, AlertTriangle, AlertCircle, Info, Link2, Sparkles, Loader2, Check } from 'lucide-react';
 import { raidService } from '../../services';
 import { supabase } from '../../lib/supabase';
+import { isScoredCategory } from '../../lib/raidScoring';
+import RaidScoringFields from './RaidScoringFields';
 import './RaidAddForm.css';
 
 const CATEGORIES = [
@@ -22,7 +25,7 @@ const CATEGORIES = [
   { value: 'Dependency', icon: Link2, className: 'cat-dependency' }
 ];
 
-export default function RaidAddForm({ projectId, onClose, onSaved }) {
+export default function RaidAddForm({ projectId, scale, onClose, onSaved }) {
   const [saving, setSaving] = useState(false);
   const [teamMembers, setTeamMembers] = useState([]);
   const [milestones, setMilestones] = useState([]);
@@ -41,6 +44,11 @@ export default function RaidAddForm({ projectId, onClose, onSaved }) {
     impact: '',
     probability: 'Medium',
     severity: 'Medium',
+    probability_score: null,
+    impact_score: null,
+    residual_probability_score: null,
+    residual_impact_score: null,
+    cost_impact: null,
     mitigation: '',
     status: 'Open',
     owner_user_id: '',
@@ -202,6 +210,8 @@ export default function RaidAddForm({ projectId, onClose, onSaved }) {
       return;
     }
 
+    const scored = isScoredCategory(formData.category);
+
     setSaving(true);
     try {
       await raidService.create({
@@ -213,6 +223,11 @@ export default function RaidAddForm({ projectId, onClose, onSaved }) {
         impact: formData.impact || null,
         probability: formData.probability || null,
         severity: formData.severity || null,
+        probability_score: scored ? formData.probability_score : null,
+        impact_score: scored ? formData.impact_score : null,
+        residual_probability_score: scored ? formData.residual_probability_score : null,
+        residual_impact_score: scored ? formData.residual_impact_score : null,
+        cost_impact: scored ? formData.cost_impact : null,
         mitigation: formData.mitigation || null,
         status: formData.status,
         owner_user_id: formData.owner_user_id || null,
@@ -397,21 +412,23 @@ export default function RaidAddForm({ projectId, onClose, onSaved }) {
             />
           </div>
 
-          {/* Probability & Severity Row */}
+          {/* Probability & Severity Row - risks and issues are scored below */}
           <div className="raid-form-row">
-            <div className="raid-form-group">
-              <label className="raid-form-label">Probability</label>
-              <select
-                value={formData.probability}
-                onChange={(e) => handleChange('probability', e.target.value)}
-                className="raid-form-select"
-              >
-                <option value="">Select...</option>
-                <option value="Low">Low</option>
-                <option value="Medium">Medium</option>
-                <option value="High">High</option>
-              </select>
-            </div>
+            {!isScoredCategory(formData.category) && (
+              <div className="raid-form-group">
+                <label className="raid-form-label">Probability</label>
+                <select
+                  value={formData.probability}
+                  onChange={(e) => handleChange('probability', e.target.value)}
+                  className="raid-form-select"
+                >
+                  <option value="">Select...</option>
+                  <option value="Low">Low</option>
+                  <option value="Medium">Medium</option>
+                  <option value="High">High</option>
+                </select>
+              </div>
+            )}
             <div className="raid-form-group">
               <label className="raid-form-label">Severity</label>
               <select
@@ -427,6 +444,11 @@ export default function RaidAddForm({ projectId, onClose, onSaved }) {
             </div>
           </div>
 
+          {/* Probability × Impact Scoring */}
+          {isScoredCategory(formData.category) && (
+            <RaidScoringFields values={formData} scale={scale} onChange={handleChange} />
+          )}
+
           {/* Mitigation */}
           <div className="raid-form-group">
             <label className="raid-form-label">Mitigation / Action Plan</label>
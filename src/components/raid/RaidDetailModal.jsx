@@ -4,8 +4,8 @@
  * View and edit RAID (Risk, Assumption, Issue, Dependency) items.
  * Consistent styling with ExpenseDetailModal.
  * 
- * @version 3.0 - TD-001: Uses useRaidPermissions hook internally
- * @updated 28 December 2025
+ * @version 3.2 - Mitigation and contingency actions for risks and issues
+ * @updated 19 October 2026
  */
 
 import React, { useState, useEffect } from 'react';
@@ -16,6 +16,9 @@ import {
 import { supabase } from '../../lib/supabase';
 import { useProject } from '../../contexts/ProjectContext';
 import { useRaidPermissions } from '../../hooks';
+import { isScoredCategory } from '../../lib/raidScoring';
+import RaidScoringFields, { RaidScoreSummary } from './RaidScoringFields';
+import RaidActionsPanel from './RaidActionsPanel';
 import './RaidDetailModal.css';
 
 // Category configuration
@@ -48,9 +51,11 @@ function getStatusClass(status) {
 
 export default function RaidDetailModal({ 
   item, 
+  scale,
   onClose, 
   onUpdate, 
-  onDelete 
+  onDelete,
+  onRefresh
 }) {
   const { projectId } = useProject();
   const [isEditing, setIsEditing] = useState(false);
@@ -141,6 +146,10 @@ export default function RaidDetailModal({
     }
   }
 
+  function updateEditField(field, value) {
+    setEditData(prev => ({ ...prev, [field]: value }));
+  }
+
   function handleStatusChange(newStatus) {
     setEditData(prev => ({
       ...prev,
@@ -237,18 +246,20 @@ export default function RaidDetailModal({
               </div>
 
               <div className="raid-form-row">
-                <div className="raid-form-group">
-                  <label>Probability</label>
-                  <select
-                    value={editData.probability || ''}
-                    onChange={(e) => setEditData(prev => ({ ...prev, probability: e.target.value }))}
-                  >
-                    <option value="">Select...</option>
-                    <option value="Low">Low</option>
-                    <option value="Medium">Medium</option>
-                    <option value="High">High</option>
-                  </select>
-                </div>
+                {!isScoredCategory(editData.category) && (
+                  <div className="raid-form-group">
+                    <label>Probability</label>
+                    <select
+                      value={editData.probability || ''}
+                      onChange={(e) => setEditData(prev => ({ ...prev, probability: e.target.value }))}
+                    >
+                      <option value="">Select...</option>
+                      <option value="Low">Low</option>
+                      <option value="Medium">Medium</option>
+                      <option value="High">High</option>
+                    </select>
+                  </div>
+                )}
 
                 <div className="raid-form-group">
                   <label>Severity</label>
@@ -278,6 +289,10 @@ export default function RaidDetailModal({
                 </div>
               </div>
 
+              {isScoredCategory(editData.category) && (
+                <RaidScoringFields values={editData} scale={scale} onChange={updateEditField} />
+              )}
+
               <div className="raid-form-group">
                 <label>Mitigation / Action Plan</label>
                 <textarea
@@ -370,6 +385,14 @@ export default function RaidDetailModal({
                 </div>
               </div>
 
+              {/* Risk Score */}
+              {isScoredCategory(item.category) && (
+                <div className="raid-detail-section">
+                  <span className="raid-detail-label">Risk Score</span>
+                  <RaidScoreSummary item={item} scale={scale} />
+                </div>
+              )}
+
               {/* Mitigation */}
               {item.mitigation && (
                 <div className="raid-detail-section">
@@ -378,6 +401,18 @@ export default function RaidDetailModal({
                 </div>
               )}
 
+              {/* Mitigation and contingency actions */}
+              {isScoredCategory(item.category) && (
+                <RaidActionsPanel
+                  item={item}
+                  teamMembers={teamMembers}
+                  canManage={permissions.canEdit}
+                  canMitigate={permissions.canEdit}
+                  currentUserId={permissions.currentUserId}
+                  onItemMitigated={() => { onRefresh?.(); onClose(); }}
+                />
+              )}
+
               {/* Resolution (if closed) */}
               {item.resolution && (
                 <div className="raid-detail-section">
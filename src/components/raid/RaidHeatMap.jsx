@@ -0,0 +1,117 @@
+/**
+ * RAID Heat Map
+ *
+ * Probability × impact grid of open risks, from raidService.getSummary
+ * (summary.scoring.heatMap). Toggles between inherent and residual
+ * placement; selecting a cell lists its risks.
+ *
+ * @version 1.0
+ * @created 19 October 2026
+ */
+
+import React, { useState } from 'react';
+import { RISK_RATING_CONFIG } from '../../lib/raidScoring';
+import './RaidHeatMap.css';
+
+export default function RaidHeatMap({ heatMap, onSelectItem }) {
+  const [basis, setBasis] = useState('inherent');
+  const [selectedCell, setSelectedCell] = useState(null);
+
+  if (!heatMap) return null;
+
+  const grid = heatMap[basis];
+  const cell = selectedCell
+    ? grid.rows.find(r => r.probability === selectedCell.probability)?.cells[selectedCell.impact - 1]
+    : null;
+
+  function handleBasisChange(value) {
+    setBasis(value);
+    setSelectedCell(null);
+  }
+
+  return (
+    <div className="raid-heatmap" data-testid="raid-heatmap">
+      <div className="raid-heatmap-header">
+        <h3>Risk Heat Map</h3>
+        <div className="raid-heatmap-basis">
+          {['inherent', 'residual'].map(value => (
+            <button
+              key={value}
+              className={`raid-heatmap-basis-btn ${basis === value ? 'active' : ''}`}
+              onClick={() => handleBasisChange(value)}
+            >
+              {value === 'inherent' ? 'Inherent' : 'Residual'}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="raid-heatmap-body">
+        <div className="raid-heatmap-axis-y">Probability</div>
+        <table className="raid-heatmap-grid">
+          <tbody>
+            {grid.rows.map(row => (
+              <tr key={row.probability}>
+                <th scope="row">{row.label}</th>
+                {row.cells.map(c => {
+                  const isSelected = cell === c;
+                  return (
+                    <td key={c.impact}>
+                      <button
+                        className={`raid-heatmap-cell ${isSelected ? 'selected' : ''}`}
+                        style={{ background: RISK_RATING_CONFIG[c.rating].color, opacity: c.items.length ? 1 : 0.35 }}
+                        onClick={() => setSelectedCell(isSelected ? null : { probability: c.probability, impact: c.impact })}
+                        title={`Score ${c.score} – ${RISK_RATING_CONFIG[c.rating].label}`}
+                      >
+                        {c.items.length || ''}
+                      </button>
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+          <tfoot>
+            <tr>
+              <th />
+              {grid.impactLabels.map(label => (
+                <th key={label} scope="col">{label}</th>
+              ))}
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+      <div className="raid-heatmap-axis-x">Impact</div>
+
+      <div className="raid-heatmap-legend">
+        {Object.values(RISK_RATING_CONFIG).map(config => (
+          <span key={config.label} className="raid-heatmap-legend-item">
+            <span className="raid-heatmap-swatch" style={{ background: config.color }} />
+            {config.label}
+          </span>
+        ))}
+        {grid.unscored > 0 && (
+          <span className="raid-heatmap-unscored">{grid.unscored} open risk{grid.unscored === 1 ? '' : 's'} not scored</span>
+        )}
+      </div>
+
+      {cell && (
+        <div className="raid-heatmap-items">
+          <div className="raid-heatmap-items-title">
+            Probability {cell.probability} × Impact {cell.impact} = {cell.score}
+          </div>
+          {cell.items.length === 0 ? (
+            <div className="raid-heatmap-items-empty">No open risks in this cell</div>
+          ) : (
+            cell.items.map(item => (
+              <div key={item.id} className="raid-priority-item" onClick={() => onSelectItem(item.id)}>
+                <span className="raid-priority-ref">{item.raid_ref}</span>
+                <span>{item.title}</span>
+              </div>
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
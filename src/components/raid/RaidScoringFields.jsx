@@ -0,0 +1,138 @@
+/**
+ * RAID Scoring Fields
+ *
+ * Probability and impact levels before and after mitigation, and the
+ * optional cost impact, for risks and issues. Shows the resulting
+ * inherent and residual scores and the monetary exposure as the user
+ * edits. Used by RaidAddForm and RaidDetailModal; RaidScoreSummary shows
+ * the same scores read-only.
+ *
+ * @version 1.0
+ * @created 19 October 2026
+ */
+
+import React from 'react';
+import { useProject } from '../../contexts/ProjectContext';
+import { getCurrencySymbol } from '../../lib/currency';
+import {
+  RISK_RATING_CONFIG,
+  getScoringScale,
+  getLegacyLevel,
+  scoreRaidItem,
+  getExposure
+} from '../../lib/raidScoring';
+import './RaidScoringFields.css';
+
+function ScoreBadge({ label, assessment }) {
+  if (!assessment) {
+    return (
+      <span className="raid-score-chip">
+        {label}: <strong>Not scored</strong>
+      </span>
+    );
+  }
+  const config = RISK_RATING_CONFIG[assessment.rating];
+  return (
+    <span className="raid-score-chip" style={{ borderColor: config.color, color: config.color }}>
+      {label}: <strong>{assessment.score}</strong> {config.label}
+    </span>
+  );
+}
+
+/**
+ * Inherent and residual scores, and exposure when a cost impact is set
+ */
+export function RaidScoreSummary({ item, scale }) {
+  const { projectCurrency } = useProject();
+  const scores = scoreRaidItem(item, scale);
+  const exposure = getExposure(item, scale);
+  const symbol = getCurrencySymbol(projectCurrency);
+
+  return (
+    <div className="raid-score-summary">
+      <ScoreBadge label="Inherent" assessment={scores.inherent} />
+      <ScoreBadge label="Residual" assessment={scores.current} />
+      {exposure && (
+        <>
+          <span className="raid-score-chip">
+            Cost impact: <strong>{symbol}{Math.round(exposure.costImpact).toLocaleString()}</strong>
+          </span>
+          <span className="raid-score-chip">
+            Exposure: <strong>{symbol}{Math.round(exposure.residual).toLocaleString()}</strong>
+          </span>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default function RaidScoringFields({ values, scale, onChange }) {
+  const { projectCurrency } = useProject();
+  const definition = getScoringScale(scale);
+  const symbol = getCurrencySymbol(projectCurrency);
+
+  function handleLevelChange(field, value) {
+    const level = value === '' ? null : parseInt(value, 10);
+    onChange(field, level);
+    // Keep the Low/Medium/High probability in step for older views and reports
+    if (field === 'probability_score' && level) {
+      onChange('probability', getLegacyLevel(level, scale));
+    }
+  }
+
+  const levelSelect = (field, levels, blankLabel) => (
+    <select
+      value={values[field] ?? ''}
+      onChange={(e) => handleLevelChange(field, e.target.value)}
+      className="raid-form-select"
+    >
+      <option value="">{blankLabel}</option>
+      {levels.map(level => (
+        <option key={level.value} value={level.value}>
+          {level.value} – {level.label}
+        </option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="raid-scoring-fields">
+      <div className="raid-form-row">
+        <div className="raid-form-group">
+          <label className="raid-form-label">Probability</label>
+          {levelSelect('probability_score', definition.probability, 'Select...')}
+        </div>
+        <div className="raid-form-group">
+          <label className="raid-form-label">Impact</label>
+          {levelSelect('impact_score', definition.impact, 'Select...')}
+        </div>
+      </div>
+
+      <div className="raid-form-row">
+        <div className="raid-form-group">
+          <label className="raid-form-label">Residual Probability</label>
+          {levelSelect('residual_probability_score', definition.probability, 'Same as inherent')}
+        </div>
+        <div className="raid-form-group">
+          <label className="raid-form-label">Residual Impact</label>
+          {levelSelect('residual_impact_score', definition.impact, 'Same as inherent')}
+        </div>
+      </div>
+
+      <div className="raid-form-group">
+        <label className="raid-form-label">Cost Impact ({symbol})</label>
+        <input
+          type="number"
+          min="0"
+          step="100"
+          value={values.cost_impact ?? ''}
+          onChange={(e) => onChange('cost_impact', e.target.value === '' ? null : parseFloat(e.target.value))}
+          placeholder="Cost if this materialises (optional)"
+          className="raid-form-input"
+        />
+      </div>
+
+      <RaidScoreSummary item={values} scale={scale} />
+    </div>
+  );
+}
@@ -1,2 +1,5 @@
 export { default as RaidDetailModal } from './RaidDetailModal';
 export { default as RaidAddForm } from './RaidAddForm';
+export { default as RaidScoringFields, RaidScoreSummary } from './RaidScoringFields';
+export { default as RaidHeatMap } from './RaidHeatMap';
+export { default as RaidActionsPanel } from './RaidActionsPanel';
@@ -0,0 +1,250 @@
+/**
+ * Rate Card Panel Component
+ *
+ * Rate history for a resource and a form to add an effective-dated rate
+ * change for the resource, its role or its SFIA level. Each row shows the
+ * sell / cost rates in force from that date after applying precedence
+ * (resource > role > SFIA level > resource default).
+ *
+ * @version 1.0
+ * @created 19 October 2026
+ */
+
+import React, { useState, useMemo } from 'react';
+import { TrendingUp, Plus, Trash2, Save, X } from 'lucide-react';
+import { RATE_CARD_SCOPE, RATE_SOURCE, getRateCardScope, getRateHistory } from '../../lib/rateCards';
+import { sfiaToDisplay } from '../../lib/resourceCalculations';
+
+const SOURCE_LABELS = {
+  [RATE_SOURCE.RESOURCE]: 'Resource',
+  [RATE_SOURCE.ROLE]: 'Role',
+  [RATE_SOURCE.SFIA_LEVEL]: 'SFIA',
+  [RATE_SOURCE.RESOURCE_DEFAULT]: 'Default'
+};
+
+const inputStyle = {
+  padding: '0.4rem 0.6rem',
+  border: '1px solid #d1d5db',
+  borderRadius: '6px',
+  fontSize: '0.875rem',
+  width: '100%'
+};
+
+const labelStyle = {
+  display: 'block',
+  marginBottom: '0.25rem',
+  fontWeight: '500',
+  fontSize: '0.8rem'
+};
+
+function formatRate(rate) {
+  return rate === null || rate === undefined ? '-' : `£${Number(rate).toLocaleString()}`;
+}
+
+function describeCard(card) {
+  switch (getRateCardScope(card)) {
+    case RATE_CARD_SCOPE.ROLE:
+      return `Role: ${card.role}`;
+    case RATE_CARD_SCOPE.SFIA_LEVEL:
+      return `SFIA ${sfiaToDisplay(card.sfia_level)}`;
+    default:
+      return 'This resource';
+  }
+}
+
+export default function RateCardPanel({
+  resource,
+  cards,
+  canEdit,
+  canSeeCostPrice,
+  benchmarkRate,
+  onAdd,
+  onDelete
+}) {
+  const [showForm, setShowForm] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [form, setForm] = useState({
+    scope: RATE_CARD_SCOPE.RESOURCE,
+    effective_from: new Date().toISOString().slice(0, 10),
+    sell_price: '',
+    cost_price: '',
+    notes: ''
+  });
+
+  const history = useMemo(() => getRateHistory(cards, resource), [cards, resource]);
+
+  // Benchmark median as a starting point for SFIA level rates
+  const benchmark = form.scope === RATE_CARD_SCOPE.SFIA_LEVEL ? benchmarkRate : null;
+
+  async function handleSave() {
+    const card = {
+      project_id: resource.project_id,
+      effective_from: form.effective_from,
+      sell_price: form.sell_price,
+      cost_price: canSeeCostPrice ? form.cost_price : '',
+      notes: form.notes
+    };
+    if (form.scope === RATE_CARD_SCOPE.RESOURCE) card.resource_id = resource.id;
+    if (form.scope === RATE_CARD_SCOPE.ROLE) card.role = resource.role;
+    if (form.scope === RATE_CARD_SCOPE.SFIA_LEVEL) card.sfia_level = resource.sfia_level;
+
+    setSaving(true);
+    setError(null);
+    try {
+      await onAdd(card);
+      setShowForm(false);
+      setForm(prev => ({ ...prev, sell_price: '', cost_price: '', notes: '' }));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <div className="card">
+      <div className="card-header" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <h3 className="card-title" style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+          <TrendingUp size={18} />
+          Rate Card
+        </h3>
+        {canEdit && !showForm && (
+          <button className="btn btn-secondary" onClick={() => setShowForm(true)} style={{ fontSize: '0.8rem' }}>
+            <Plus size={14} /> Rate Change
+          </button>
+        )}
+      </div>
+
+      {showForm && (
+        <div style={{ padding: '1rem', borderBottom: '1px solid #e2e8f0', backgroundColor: '#f8fafc' }}>
+          <div style={{ display: 'grid', gridTemplateColumns: canSeeCostPrice ? '1.4fr 1fr 1fr 1fr' : '1.4fr 1fr 1fr', gap: '0.75rem' }}>
+            <div>
+              <label style={labelStyle}>Applies to</label>
+              <select
+                style={inputStyle}
+                value={form.scope}
+                onChange={(e) => setForm({ ...form, scope: e.target.value })}
+              >
+                <option value={RATE_CARD_SCOPE.RESOURCE}>This resource</option>
+                {resource.role && <option value={RATE_CARD_SCOPE.ROLE}>All {resource.role}s</option>}
+                {resource.sfia_level && (
+                  <option value={RATE_CARD_SCOPE.SFIA_LEVEL}>All SFIA {sfiaToDisplay(resource.sfia_level)}</option>
+                )}
+              </select>
+            </div>
+            <div>
+              <label style={labelStyle}>Effective from</label>
+              <input
+                type="date"
+                style={inputStyle}
+                value={form.effective_from}
+                onChange={(e) => setForm({ ...form, effective_from: e.target.value })}
+              />
+            </div>
+            <div>
+              <label style={labelStyle}>Sell £/day</label>
+              <input
+                type="number"
+                min="0"
+                style={inputStyle}
+                value={form.sell_price}
+                placeholder={benchmark ? String(benchmark) : ''}
+                onChange={(e) => setForm({ ...form, sell_price: e.target.value })}
+              />
+            </div>
+            {canSeeCostPrice && (
+              <div>
+                <label style={labelStyle}>Cost £/day</label>
+                <input
+                  type="number"
+                  min="0"
+                  style={inputStyle}
+                  value={form.cost_price}
+                  onChange={(e) => setForm({ ...form, cost_price: e.target.value })}
+                />
+              </div>
+            )}
+          </div>
+          {benchmark && (
+            <p style={{ margin: '0.5rem 0 0', fontSize: '0.8rem', color: '#64748b' }}>
+              Benchmark median for SFIA {sfiaToDisplay(resource.sfia_level)}: £{benchmark.toLocaleString()}/day
+            </p>
+          )}
+          <div style={{ marginTop: '0.75rem' }}>
+            <label style={labelStyle}>Notes</label>
+            <input
+              type="text"
+              style={inputStyle}
+              value={form.notes}
+              placeholder="e.g. Annual uplift"
+              onChange={(e) => setForm({ ...form, notes: e.target.value })}
+            />
+          </div>
+          {error && <p style={{ margin: '0.5rem 0 0', fontSize: '0.8rem', color: '#dc2626' }}>{error}</p>}
+          <div style={{ display: 'flex', gap: '0.5rem', marginTop: '0.75rem' }}>
+            <button className="btn btn-primary" onClick={handleSave} disabled={saving}>
+              <Save size={14} /> {saving ? 'Saving...' : 'Save'}
+            </button>
+            <button className="btn btn-secondary" onClick={() => { setShowForm(false); setError(null); }}>
+              <X size={14} /> Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {history.length > 0 ? (
+        <div style={{ maxHeight: '300px', overflowY: 'auto' }}>
+          <table style={{ width: '100%', fontSize: '0.875rem' }}>
+            <thead>
+              <tr>
+                <th style={{ padding: '0.5rem', textAlign: 'left' }}>From</th>
+                <th style={{ padding: '0.5rem', textAlign: 'right' }}>Sell</th>
+                {canSeeCostPrice && <th style={{ padding: '0.5rem', textAlign: 'right' }}>Cost</th>}
+                <th style={{ padding: '0.5rem', textAlign: 'left' }}>Change</th>
+              </tr>
+            </thead>
+            <tbody>
+              {history.map(row => (
+                <tr key={row.effective_from}>
+                  <td style={{ padding: '0.5rem' }}>
+                    {new Date(row.effective_from).toLocaleDateString('en-GB')}
+                  </td>
+                  <td style={{ padding: '0.5rem', textAlign: 'right' }} title={SOURCE_LABELS[row.sellSource]}>
+                    {formatRate(row.sell_price)}
+                  </td>
+                  {canSeeCostPrice && (
+                    <td style={{ padding: '0.5rem', textAlign: 'right' }} title={SOURCE_LABELS[row.costSource]}>
+                      {formatRate(row.cost_price)}
+                    </td>
+                  )}
+                  <td style={{ padding: '0.5rem' }}>
+                    {row.cards.map(card => (
+                      <div key={card.id} style={{ display: 'flex', alignItems: 'center', gap: '0.35rem', color: '#64748b' }}>
+                        <span>{describeCard(card)}</span>
+                        {card.notes && <span>· {card.notes}</span>}
+                        {canEdit && (
+                          <button
+                            onClick={() => onDelete(card)}
+                            title="Remove rate change"
+                            style={{ background: 'none', border: 'none', cursor: 'pointer', color: '#94a3b8', padding: 0 }}
+                          >
+                            <Trash2 size={13} />
+                          </button>
+                        )}
+                      </div>
+                    ))}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <div style={{ padding: '1.5rem', textAlign: 'center', color: '#64748b', fontSize: '0.875rem' }}>
+          No rate changes. Timesheets use the resource rate of {formatRate(resource.sell_price)}/day.
+        </div>
+      )}
+    </div>
+  );
+}
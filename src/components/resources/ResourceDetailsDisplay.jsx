@@ -6,10 +6,11 @@
  * - SFIA level with badge
  * - Days used and value info
  * - Partner association
+ * - Contracted hours per week
  * 
- * @version 2.0 - Updated to use centralised utilities, removed allocation
+ * @version 2.1 - Contracted hours per week
  * @created 1 December 2025
- * @updated 6 December 2025
+ * @updated 19 October 2026
  */
 
 import React from 'react';
@@ -83,6 +84,13 @@ export default function ResourceDetailsDisplay({
             label="Reference" 
             value={resource.resource_ref || 'Not set'} 
           />
+          <DetailRow 
+            icon={<Clock size={16} />} 
+            label="Contracted Hours" 
+            value={resource.contracted_hours_per_week 
+              ? `${parseFloat(resource.contracted_hours_per_week)}h / week` 
+              : 'Standard working week'} 
+          />
         </div>
 
         {/* Right column */}
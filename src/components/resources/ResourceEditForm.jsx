@@ -6,10 +6,15 @@
  * - SFIA level
  * - Rate information (sell price, cost price)
  * - Resource type and partner assignment
+ * - Contracted hours per week (timesheet week grid)
  * 
- * @version 2.0 - Updated to use centralised utilities, removed allocation
+ * @version 2.2 - Rates locked once timesheets exist
  * @created 1 December 2025
- * @updated 6 December 2025
+ * @updated 19 October 2026
+ *
+ * Timesheets before the first rate card are valued at the resource's own
+ * rates, so once any are recorded the rates are read-only here and change
+ * through a dated rate card instead.
  */
 
 import React from 'react';
@@ -24,7 +29,8 @@ export default function ResourceEditForm({
   saving,
   partners,
   canSeeCostPrice,
-  canSeeResourceType
+  canSeeResourceType,
+  ratesLocked = false
 }) {
   const inputStyle = {
     padding: '0.5rem 0.75rem',
@@ -114,7 +120,13 @@ export default function ResourceEditForm({
             value={form.sell_price}
             onChange={(e) => onFormChange({...form, sell_price: e.target.value})}
             placeholder="Customer daily rate"
+            disabled={ratesLocked}
           />
+          {ratesLocked && (
+            <p style={{ margin: '0.25rem 0 0', fontSize: '0.75rem', color: '#64748b' }}>
+              Timesheets are recorded at this rate - add a Rate Change to change it from a date.
+            </p>
+          )}
         </div>
 
         {/* Cost Price - Admin/Supplier PM only */}
@@ -127,6 +139,7 @@ export default function ResourceEditForm({
               value={form.cost_price}
               onChange={(e) => onFormChange({...form, cost_price: e.target.value})}
               placeholder="Internal cost (optional)"
+              disabled={ratesLocked}
             />
           </div>
         )}
@@ -142,6 +155,21 @@ export default function ResourceEditForm({
           />
         </div>
 
+        {/* Contracted Hours */}
+        <div>
+          <label style={labelStyle}>Contracted Hours / Week</label>
+          <input
+            type="number"
+            step="0.5"
+            min="0"
+            max="168"
+            style={inputStyle}
+            value={form.contracted_hours_per_week}
+            onChange={(e) => onFormChange({...form, contracted_hours_per_week: e.target.value})}
+            placeholder="Standard day on each working day"
+          />
+        </div>
+
         {/* Resource Type - Admin/Supplier PM only */}
         {canSeeResourceType && (
           <>
@@ -3,12 +3,13 @@
  * 
  * Exports all resource-related components for easy importing
  * 
- * @version 1.1 - Removed AllocationCard (allocation tracking removed)
+ * @version 1.2 - Added RateCardPanel
  * @created 1 December 2025
- * @updated 6 December 2025
+ * @updated 19 October 2026
  */
 
 export { default as ResourceEditForm } from './ResourceEditForm';
 export { default as ResourceDateFilter } from './ResourceDateFilter';
 export { default as ResourceDetailsDisplay } from './ResourceDetailsDisplay';
 export { TimesheetsCard, ExpensesCard } from './ResourceDataCards';
+export { default as RateCardPanel } from './RateCardPanel';
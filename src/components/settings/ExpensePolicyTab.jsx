@@ -0,0 +1,105 @@
+/**
+ * ExpensePolicyTab - Project expense policy
+ *
+ * Tab content for the project's expense policy. The organisation policy
+ * applies unless a value is overridden here; expenses are checked against
+ * the result when they are submitted.
+ *
+ * @version 1.0
+ * @created 19 October 2026
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Receipt, Info, RotateCcw } from 'lucide-react';
+import { useAuth } from '../../contexts/AuthContext';
+import { useProject } from '../../contexts/ProjectContext';
+import { useToast } from '../../contexts/ToastContext';
+import { expensePoliciesService } from '../../services';
+import { mergePolicies } from '../../lib/expensePolicy';
+import { ExpensePolicyForm } from '../expenses';
+import { LoadingSpinner } from '../common';
+import './WorkingCalendarTab.css';
+
+export default function ExpensePolicyTab() {
+  const { user } = useAuth();
+  const { projectId, projectCurrency } = useProject();
+  const { showSuccess, showError } = useToast();
+
+  const [policies, setPolicies] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const fetchPolicies = useCallback(async () => {
+    if (!projectId) return;
+    try {
+      setPolicies(await expensePoliciesService.getPolicies(projectId));
+    } catch (error) {
+      console.error('Error loading expense policy:', error);
+      showError('Failed to load expense policy');
+    } finally {
+      setLoading(false);
+    }
+  }, [projectId, showError]);
+
+  useEffect(() => {
+    fetchPolicies();
+  }, [fetchPolicies]);
+
+  const handleSave = async (values) => {
+    try {
+      await expensePoliciesService.savePolicy({ projectId }, values, user?.id);
+      showSuccess('Expense policy saved');
+      await fetchPolicies();
+    } catch (error) {
+      showError(error.message || 'Failed to save expense policy');
+    }
+  };
+
+  const handleReset = async () => {
+    try {
+      await expensePoliciesService.deleteProjectPolicy(projectId);
+      showSuccess('Project now uses the organisation expense policy');
+      await fetchPolicies();
+    } catch (error) {
+      showError('Failed to reset expense policy');
+    }
+  };
+
+  if (loading || !policies) {
+    return <LoadingSpinner message="Loading expense policy..." />;
+  }
+
+  return (
+    <div className="working-calendar-tab">
+      <div className="wcal-notice">
+        <Info size={16} />
+        <span>
+          Expenses are checked against this policy when they are submitted, and the validator must
+          acknowledge any issues. Leave a field blank to use the organisation policy. The receipt
+          threshold is set on the Workflow tab
+          ({policies.effective.receipt_required ? `receipts required above ${policies.effective.receipt_threshold ?? 0}` : 'receipts not required'}).
+        </span>
+      </div>
+
+      <div className="wcal-card">
+        <div className="wcal-card-header">
+          <Receipt size={18} />
+          <h3>Expense policy</h3>
+          {policies.project && (
+            <button className="wcal-icon-btn" onClick={handleReset} title="Use the organisation policy">
+              <RotateCcw size={14} />
+            </button>
+          )}
+        </div>
+        <div className="wcal-section">
+          <ExpensePolicyForm
+            policy={policies.project}
+            inherited={mergePolicies(policies.organisation)}
+            inheritLabel="Organisation"
+            currency={projectCurrency}
+            onSave={handleSave}
+          />
+        </div>
+      </div>
+    </div>
+  );
+}
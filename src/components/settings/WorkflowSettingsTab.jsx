@@ -4,8 +4,9 @@
  * Tab content for managing project-level workflow settings.
  * Modern card-based design with clean visual hierarchy.
  *
- * @version 2.0 - Complete UX redesign with card-based layout
+ * @version 2.2 - RAID scoring scale
  * @created 17 January 2026
+ * @updated 19 October 2026
  */
 
 import React, { useState } from 'react';
@@ -347,7 +348,7 @@ export default function WorkflowSettingsTab() {
         <SettingsCard
           icon={Clock}
           title="Timesheet Settings"
-          description="Configure timesheet approval workflow"
+          description="Configure timesheet approval and missing-timesheet reminders"
         >
           <SettingItem
             label="Require Timesheet Approval"
@@ -359,6 +360,30 @@ export default function WorkflowSettingsTab() {
             authorityOptions={['customer_pm', 'supplier_pm', 'either', 'both']}
             disabled={saving}
           />
+
+          <SettingItem
+            label="Missing Timesheet Reminders"
+            description="Remind resources whose week is not fully submitted"
+            enabled={settings.timesheet_reminders_enabled}
+            onToggle={(v) => updateSetting('timesheet_reminders_enabled', v)}
+            numberLabel="Days after week end"
+            numberValue={settings.timesheet_reminder_days}
+            onNumberChange={(v) => updateSetting('timesheet_reminder_days', Math.round(v))}
+            numberStep={1}
+            disabled={saving}
+          />
+
+          <SettingItem
+            label="Escalate to Supplier PM"
+            description="Notify supplier PMs when a timesheet is still overdue"
+            enabled={settings.timesheet_escalation_enabled}
+            onToggle={(v) => updateSetting('timesheet_escalation_enabled', v)}
+            numberLabel="Days after week end"
+            numberValue={settings.timesheet_escalation_days}
+            onNumberChange={(v) => updateSetting('timesheet_escalation_days', Math.round(v))}
+            numberStep={1}
+            disabled={saving}
+          />
         </SettingsCard>
       )}
 
@@ -394,6 +419,37 @@ export default function WorkflowSettingsTab() {
         </SettingsCard>
       )}
 
+      {/* RAID Card (conditional) */}
+      {settings.raid_enabled && (
+        <SettingsCard
+          icon={ShieldAlert}
+          title="RAID Settings"
+          description="Configure how risks and issues are scored"
+        >
+          <div className="setting-item setting-enabled">
+            <div className="setting-main">
+              <div className="setting-text">
+                <span className="setting-label">Risk Scoring Scale</span>
+                <span className="setting-description">
+                  Probability and impact levels used for risk scores and the heat map
+                </span>
+              </div>
+            </div>
+            <div className="setting-sub">
+              <label>Probability × Impact</label>
+              <select
+                value={settings.raid_scoring_scale || 5}
+                onChange={(e) => updateSetting('raid_scoring_scale', parseInt(e.target.value, 10))}
+                disabled={saving}
+              >
+                <option value={3}>3 × 3 (Low, Medium, High)</option>
+                <option value={5}>5 × 5 (Very Low to Very High)</option>
+              </select>
+            </div>
+          </div>
+        </SettingsCard>
+      )}
+
       {/* Info Card */}
       <div className="workflow-info-card">
         <Info size={20} />
@@ -503,6 +559,7 @@ function SettingItem({
   numberValue,
   onNumberChange,
   numberPrefix,
+  numberStep = 5,
   // State
   disabled,
   simple = false
@@ -568,7 +625,7 @@ function SettingItem({
               value={numberValue}
               onChange={(e) => onNumberChange(parseFloat(e.target.value) || 0)}
               min={0}
-              step={5}
+              step={numberStep}
               disabled={disabled}
             />
           </div>
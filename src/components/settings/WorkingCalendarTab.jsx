@@ -0,0 +1,358 @@
+/**
+ * WorkingCalendarTab - Project working calendar configuration
+ *
+ * Tab content for the project's working week, bank holiday sets and
+ * non-working periods (shutdowns), plus optional per-resource calendars
+ * for part-time working and leave. The planner's auto-schedule and
+ * critical path skip non-working days once a calendar is saved.
+ *
+ * @version 1.0
+ * @created 19 October 2026
+ */
+
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import {
+  CalendarDays,
+  Plus,
+  Trash2,
+  Save,
+  Loader2,
+  Info,
+  User
+} from 'lucide-react';
+import { useProject } from '../../contexts/ProjectContext';
+import { useToast } from '../../contexts/ToastContext';
+import { workingCalendarsService, resourcesService } from '../../services';
+import { buildSchedulingCalendars } from '../../services/workingCalendars.service';
+import {
+  HOLIDAY_SET_CONFIG,
+  HOLIDAY_SETS,
+  DEFAULT_WORKING_DAYS,
+  WEEKDAY_LABELS,
+  toDateKey
+} from '../../lib/workingCalendar';
+import { LoadingSpinner } from '../common';
+import './WorkingCalendarTab.css';
+
+// Monday-first display order for the working week toggles
+const WEEK_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+/**
+ * Working week, holiday sets and non-working periods for one calendar
+ */
+function CalendarEditor({ title, icon: Icon, calendarRow, showHolidaySets, onSave, onAddPeriod, onRemovePeriod, onDelete }) {
+  const [workingDays, setWorkingDays] = useState(calendarRow?.working_days || DEFAULT_WORKING_DAYS);
+  const [holidaySets, setHolidaySets] = useState(calendarRow?.holiday_sets || [HOLIDAY_SETS.UK_ENGLAND_WALES]);
+  const [period, setPeriod] = useState({ name: '', start_date: '', end_date: '' });
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    setWorkingDays(calendarRow?.working_days || DEFAULT_WORKING_DAYS);
+    setHolidaySets(calendarRow?.holiday_sets || [HOLIDAY_SETS.UK_ENGLAND_WALES]);
+  }, [calendarRow]);
+
+  const toggleDay = (day) => {
+    setWorkingDays(prev => prev.includes(day)
+      ? prev.filter(d => d !== day)
+      : [...prev, day].sort((a, b) => a - b));
+  };
+
+  const toggleHolidaySet = (setId) => {
+    setHolidaySets(prev => prev.includes(setId)
+      ? prev.filter(s => s !== setId)
+      : [...prev, setId]);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await onSave({ working_days: workingDays, holiday_sets: holidaySets });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAddPeriod = async () => {
+    const added = await onAddPeriod(period);
+    if (added) setPeriod({ name: '', start_date: '', end_date: '' });
+  };
+
+  const periods = [...(calendarRow?.periods || [])].sort((a, b) => a.start_date.localeCompare(b.start_date));
+
+  return (
+    <div className="wcal-card">
+      <div className="wcal-card-header">
+        <Icon size={18} />
+        <h3>{title}</h3>
+        {onDelete && (
+          <button className="wcal-icon-btn" onClick={onDelete} title="Remove calendar">
+            <Trash2 size={14} />
+          </button>
+        )}
+      </div>
+
+      <div className="wcal-section">
+        <label className="wcal-label">Working days</label>
+        <div className="wcal-days">
+          {WEEK_ORDER.map(day => (
+            <button
+              key={day}
+              type="button"
+              className={`wcal-day ${workingDays.includes(day) ? 'active' : ''}`}
+              onClick={() => toggleDay(day)}
+            >
+              {WEEKDAY_LABELS[day]}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {showHolidaySets && (
+        <div className="wcal-section">
+          <label className="wcal-label">Bank holidays</label>
+          {Object.entries(HOLIDAY_SET_CONFIG).map(([setId, config]) => (
+            <label key={setId} className="wcal-checkbox">
+              <input
+                type="checkbox"
+                checked={holidaySets.includes(setId)}
+                onChange={() => toggleHolidaySet(setId)}
+              />
+              {config.label}
+            </label>
+          ))}
+        </div>
+      )}
+
+      <div className="wcal-actions">
+        <button className="wcal-btn primary" onClick={handleSave} disabled={saving || workingDays.length === 0}>
+          {saving ? <Loader2 size={14} className="spinning" /> : <Save size={14} />}
+          Save
+        </button>
+      </div>
+
+      {calendarRow && (
+        <div className="wcal-section">
+          <label className="wcal-label">{showHolidaySets ? 'Shutdowns & non-working periods' : 'Leave'}</label>
+          {periods.length === 0 ? (
+            <p className="wcal-empty">None recorded</p>
+          ) : (
+            <ul className="wcal-periods">
+              {periods.map(p => (
+                <li key={p.id}>
+                  <span className="wcal-period-name">{p.name}</span>
+                  <span className="wcal-period-dates">
+                    {p.start_date}{p.end_date !== p.start_date ? ` – ${p.end_date}` : ''}
+                  </span>
+                  <button className="wcal-icon-btn" onClick={() => onRemovePeriod(p.id)} title="Remove">
+                    <Trash2 size={14} />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+          <div className="wcal-period-form">
+            <input
+              type="text"
+              placeholder={showHolidaySets ? 'e.g. Christmas shutdown' : 'e.g. Annual leave'}
+              value={period.name}
+              onChange={(e) => setPeriod({ ...period, name: e.target.value })}
+            />
+            <input
+              type="date"
+              value={period.start_date}
+              onChange={(e) => setPeriod({ ...period, start_date: e.target.value })}
+            />
+            <input
+              type="date"
+              value={period.end_date}
+              min={period.start_date || undefined}
+              onChange={(e) => setPeriod({ ...period, end_date: e.target.value })}
+            />
+            <button className="wcal-btn" onClick={handleAddPeriod} disabled={!period.start_date}>
+              <Plus size={14} /> Add
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function WorkingCalendarTab() {
+  const { projectId } = useProject();
+  const { showSuccess, showError } = useToast();
+
+  const [calendars, setCalendars] = useState([]);
+  const [resources, setResources] = useState([]);
+  const [newResourceId, setNewResourceId] = useState('');
+  const [loading, setLoading] = useState(true);
+
+  const fetchData = useCallback(async () => {
+    if (!projectId) return;
+    try {
+      const [calendarRows, resourceRows] = await Promise.all([
+        workingCalendarsService.getCalendars(projectId),
+        resourcesService.getAll(projectId)
+      ]);
+      setCalendars(calendarRows);
+      setResources(resourceRows || []);
+    } catch (error) {
+      console.error('Error loading working calendars:', error);
+      showError('Failed to load working calendars');
+    } finally {
+      setLoading(false);
+    }
+  }, [projectId, showError]);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  const projectCalendar = calendars.find(c => !c.resource_id) || null;
+  const resourceCalendars = calendars.filter(c => c.resource_id);
+
+  // Upcoming non-working days on the project calendar (next 12 months)
+  const upcoming = useMemo(() => {
+    const { calendar } = buildSchedulingCalendars(calendars);
+    if (!calendar) return [];
+    const start = new Date();
+    const end = new Date(start);
+    end.setFullYear(end.getFullYear() + 1);
+    return calendar.getNonWorkingDays(toDateKey(start), toDateKey(end));
+  }, [calendars]);
+
+  const handleSave = async (settings, resourceId = null) => {
+    try {
+      await workingCalendarsService.saveCalendar(projectId, settings, resourceId);
+      showSuccess('Working calendar saved');
+      await fetchData();
+    } catch (error) {
+      showError('Failed to save working calendar');
+    }
+  };
+
+  const handleAddPeriod = async (calendarId, period) => {
+    try {
+      await workingCalendarsService.addNonWorkingPeriod(calendarId, period);
+      await fetchData();
+      return true;
+    } catch (error) {
+      showError(error.message || 'Failed to add non-working period');
+      return false;
+    }
+  };
+
+  const handleRemovePeriod = async (periodId) => {
+    try {
+      await workingCalendarsService.removeNonWorkingPeriod(periodId);
+      await fetchData();
+    } catch (error) {
+      showError('Failed to remove non-working period');
+    }
+  };
+
+  const handleAddResourceCalendar = async () => {
+    if (!newResourceId) return;
+    await handleSave({ name: 'Resource calendar', working_days: projectCalendar?.working_days }, newResourceId);
+    setNewResourceId('');
+  };
+
+  const handleDeleteCalendar = async (calendarId) => {
+    try {
+      await workingCalendarsService.delete(calendarId);
+      showSuccess('Resource calendar removed');
+      await fetchData();
+    } catch (error) {
+      showError('Failed to remove resource calendar');
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner message="Loading working calendar..." />;
+  }
+
+  const resourcesWithoutCalendar = resources.filter(
+    r => !resourceCalendars.some(c => c.resource_id === r.id)
+  );
+
+  return (
+    <div className="working-calendar-tab">
+      {!projectCalendar && (
+        <div className="wcal-notice">
+          <Info size={16} />
+          <span>
+            No working calendar is set for this project, so the planner schedules on every day.
+            Save a calendar to skip weekends, bank holidays and shutdowns.
+          </span>
+        </div>
+      )}
+
+      <CalendarEditor
+        title="Project calendar"
+        icon={CalendarDays}
+        calendarRow={projectCalendar}
+        showHolidaySets
+        onSave={(settings) => handleSave({ ...settings, name: 'Standard' })}
+        onAddPeriod={(period) => handleAddPeriod(projectCalendar.id, period)}
+        onRemovePeriod={handleRemovePeriod}
+      />
+
+      {upcoming.length > 0 && (
+        <div className="wcal-card">
+          <div className="wcal-card-header">
+            <CalendarDays size={18} />
+            <h3>Upcoming non-working days</h3>
+          </div>
+          <ul className="wcal-upcoming">
+            {upcoming.slice(0, 12).map(day => (
+              <li key={day.date}>
+                <span className="wcal-period-dates">{day.date}</span>
+                <span className="wcal-period-name">{day.name}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {projectCalendar && (
+        <>
+          <h3 className="wcal-heading">Resource calendars</h3>
+          <p className="wcal-hint">
+            Resource calendars override the working week for tasks assigned to a resource.
+            Project shutdowns and bank holidays still apply.
+          </p>
+
+          {resourceCalendars.map(row => (
+            <CalendarEditor
+              key={row.id}
+              title={row.resource?.name || 'Resource'}
+              icon={User}
+              calendarRow={{ ...row, holiday_sets: projectCalendar.holiday_sets }}
+              onSave={(settings) => handleSave(
+                { working_days: settings.working_days, holiday_sets: projectCalendar.holiday_sets },
+                row.resource_id
+              )}
+              onAddPeriod={(period) => handleAddPeriod(row.id, period)}
+              onRemovePeriod={handleRemovePeriod}
+              onDelete={() => handleDeleteCalendar(row.id)}
+            />
+          ))}
+
+          {resourcesWithoutCalendar.length > 0 && (
+            <div className="wcal-period-form">
+              <select value={newResourceId} onChange={(e) => setNewResourceId(e.target.value)}>
+                <option value="">Select a resource...</option>
+                {resourcesWithoutCalendar.map(r => (
+                  <option key={r.id} value={r.id}>{r.name}</option>
+                ))}
+              </select>
+              <button className="wcal-btn" onClick={handleAddResourceCalendar} disabled={!newResourceId}>
+                <Plus size={14} /> Add resource calendar
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
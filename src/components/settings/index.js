@@ -12,3 +12,5 @@ export { default as ToggleSwitch } from './ToggleSwitch';
 export { default as SettingRow, SimpleSettingRow, NumberSettingRow, AUTHORITY_OPTIONS } from './SettingRow';
 export { default as TemplateSelector } from './TemplateSelector';
 export { default as WorkflowSettingsTab } from './WorkflowSettingsTab';
+export { default as WorkingCalendarTab } from './WorkingCalendarTab';
+export { default as ExpensePolicyTab } from './ExpensePolicyTab';
@@ -0,0 +1,252 @@
+/**
+ * Timesheet Compliance Panel
+ *
+ * Who hasn't submitted time: compliance per resource for recent weeks
+ * (expected working time from the working calendar, project membership
+ * and team calendar leave, against submitted timesheets), the missing
+ * timesheets list and the reminders and escalations already sent.
+ *
+ * Supplier-side users can remind a resource straight away; otherwise
+ * reminders go out from the daily job. Rules are in
+ * lib/timesheetCompliance.js.
+ *
+ * @version 1.0
+ * @created 19 October 2026
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { AlertTriangle, Bell, CheckCircle, Users, X } from 'lucide-react';
+import { timesheetComplianceService } from '../../services';
+import {
+  COMPLIANCE_STATUS,
+  COMPLIANCE_STATUS_CONFIG,
+  formatWeekLabel
+} from '../../lib/timesheetCompliance';
+
+const WEEK_OPTIONS = [4, 8, 12];
+
+const formatSent = (timestamp) => new Date(timestamp).toLocaleDateString('en-GB', { day: 'numeric', month: 'short' });
+
+function StatusChip({ week }) {
+  const config = COMPLIANCE_STATUS_CONFIG[week.status];
+  const showHours = week.status !== COMPLIANCE_STATUS.NOT_EXPECTED;
+  const title = [
+    config.label,
+    showHours && `${week.submittedHours}h of ${week.expectedHours}h submitted`,
+    week.draftHours > 0 && `${week.draftHours}h in draft`,
+    week.leaveDays > 0 && `${week.leaveDays} day${week.leaveDays === 1 ? '' : 's'} leave`
+  ].filter(Boolean).join(' - ');
+
+  return (
+    <span className="ts-compliance-chip" style={{ background: config.bg, color: config.color }} title={title}>
+      {showHours ? `${week.submittedHours}/${week.expectedHours}h` : config.label}
+      {week.reminders?.escalation && <AlertTriangle size={12} />}
+      {!week.reminders?.escalation && week.reminders?.reminder && <Bell size={12} />}
+    </span>
+  );
+}
+
+export default function TimesheetCompliancePanel({
+  projectId,
+  canRemind,
+  currentUserId,
+  onClose,
+  showSuccess,
+  showError
+}) {
+  const [weeks, setWeeks] = useState(WEEK_OPTIONS[0]);
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [sending, setSending] = useState(null);
+
+  const fetchCompliance = useCallback(async () => {
+    if (!projectId) return;
+    setLoading(true);
+    try {
+      setData(await timesheetComplianceService.getCompliance(projectId, { weeks }));
+    } catch (error) {
+      console.error('Error loading timesheet compliance:', error);
+      showError('Failed to load timesheet compliance');
+    } finally {
+      setLoading(false);
+    }
+  }, [projectId, weeks, showError]);
+
+  useEffect(() => { fetchCompliance(); }, [fetchCompliance]);
+
+  async function handleRemind(week) {
+    const key = `${week.resourceId}|${week.weekStart}`;
+    setSending(key);
+    try {
+      await timesheetComplianceService.sendReminder({
+        projectId,
+        week,
+        projectName: data.project?.name,
+        userId: currentUserId
+      });
+      showSuccess(`Reminder sent to ${week.resource.name}`);
+      await fetchCompliance();
+    } catch (error) {
+      console.error('Error sending timesheet reminder:', error);
+      showError('Failed to send reminder: ' + error.message);
+    } finally {
+      setSending(null);
+    }
+  }
+
+  const summary = data?.summary;
+  const settings = data?.settings;
+
+  return (
+    <div className="ts-add-form ts-compliance" data-testid="timesheet-compliance-panel">
+      <div className="ts-compliance-header">
+        <h3 className="ts-add-form-title">Timesheet Compliance</h3>
+        <select
+          className="ts-filter-select"
+          value={weeks}
+          onChange={(e) => setWeeks(Number(e.target.value))}
+          data-testid="compliance-weeks-select"
+        >
+          {WEEK_OPTIONS.map(n => <option key={n} value={n}>Last {n} weeks</option>)}
+        </select>
+        <button type="button" className="ts-week-remove" onClick={onClose} title="Close">
+          <X size={18} />
+        </button>
+      </div>
+
+      {loading && !data ? (
+        <div className="ts-week-empty">Loading compliance...</div>
+      ) : data && (
+        <>
+          <div className="ts-compliance-cards">
+            <div className="ts-compliance-card">
+              <CheckCircle size={18} />
+              <div>
+                <div className="ts-compliance-value">
+                  {summary.complianceRate === null ? '-' : `${summary.complianceRate}%`}
+                </div>
+                <div className="ts-compliance-label">{summary.compliant} of {summary.due} weeks submitted</div>
+              </div>
+            </div>
+            <div className="ts-compliance-card danger">
+              <AlertTriangle size={18} />
+              <div>
+                <div className="ts-compliance-value">{summary.missing}</div>
+                <div className="ts-compliance-label">Missing</div>
+              </div>
+            </div>
+            <div className="ts-compliance-card warning">
+              <Bell size={18} />
+              <div>
+                <div className="ts-compliance-value">{summary.partial + summary.unsubmitted}</div>
+                <div className="ts-compliance-label">Partial or not submitted</div>
+              </div>
+            </div>
+            <div className="ts-compliance-card">
+              <Users size={18} />
+              <div>
+                <div className="ts-compliance-value">{summary.resourcesBehind}</div>
+                <div className="ts-compliance-label">Resources behind</div>
+              </div>
+            </div>
+          </div>
+
+          <div className="ts-week-scroll">
+            <table className="ts-week-table">
+              <thead>
+                <tr>
+                  <th className="ts-week-target">Resource</th>
+                  {data.weekStarts.map(weekStart => (
+                    <th key={weekStart}>
+                      <span>Week of</span>
+                      <span className="ts-week-date">{formatWeekLabel(weekStart)}</span>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {data.rows.length === 0 && (
+                  <tr>
+                    <td colSpan={data.weekStarts.length + 1} className="ts-week-empty">
+                      No resources are expected to book time. Resources need a linked user who is a contributor or supplier PM on the project.
+                    </td>
+                  </tr>
+                )}
+                {data.rows.map(row => (
+                  <tr key={row.resource.id}>
+                    <td className="ts-week-target">{row.resource.name}</td>
+                    {row.weeks.map(week => (
+                      <td key={week.weekStart}><StatusChip week={week} /></td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <h4 className="ts-hours-title ts-compliance-subtitle">Missing Timesheets</h4>
+          {data.missing.length === 0 ? (
+            <div className="ts-week-empty">Everyone is up to date.</div>
+          ) : (
+            <div className="ts-week-scroll">
+              <table className="ts-week-table ts-compliance-missing">
+                <thead>
+                  <tr>
+                    <th className="ts-week-target">Resource</th>
+                    <th>Week of</th>
+                    <th>Status</th>
+                    <th>Submitted</th>
+                    <th>Overdue</th>
+                    <th>Reminders</th>
+                    {canRemind && <th></th>}
+                  </tr>
+                </thead>
+                <tbody>
+                  {data.missing.map(week => {
+                    const key = `${week.resourceId}|${week.weekStart}`;
+                    return (
+                      <tr key={key}>
+                        <td className="ts-week-target">{week.resource.name}</td>
+                        <td>{formatWeekLabel(week.weekStart)}</td>
+                        <td>{COMPLIANCE_STATUS_CONFIG[week.status].label}</td>
+                        <td>{week.submittedHours}h of {week.expectedHours}h</td>
+                        <td>{week.daysOverdue} day{week.daysOverdue === 1 ? '' : 's'}</td>
+                        <td>
+                          {week.reminders.reminder && <span className="ts-week-refs">Reminded {formatSent(week.reminders.reminder)}</span>}
+                          {week.reminders.escalation && <span className="ts-week-refs">Escalated {formatSent(week.reminders.escalation)}</span>}
+                          {!week.reminders.reminder && !week.reminders.escalation && '-'}
+                        </td>
+                        {canRemind && (
+                          <td>
+                            <button
+                              type="button"
+                              className="ts-btn ts-btn-secondary"
+                              onClick={() => handleRemind(week)}
+                              disabled={sending === key || !week.resource.user_id}
+                            >
+                              <Bell size={14} /> {sending === key ? 'Sending...' : 'Remind'}
+                            </button>
+                          </td>
+                        )}
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          <p className="ts-compliance-note">
+            {settings.timesheet_reminders_enabled
+              ? `Resources are reminded ${settings.timesheet_reminder_days} day${settings.timesheet_reminder_days === 1 ? '' : 's'} after the week ends`
+              : 'Automatic reminders are off'}
+            {settings.timesheet_escalation_enabled
+              ? ` and supplier PMs are notified after ${settings.timesheet_escalation_days} days.`
+              : '; escalation to supplier PMs is off.'}
+            {' '}Change this in Project Settings.
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
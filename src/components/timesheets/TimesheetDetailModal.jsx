@@ -6,9 +6,9 @@
  * 
  * Uses centralised timesheet calculations for status display and workflow.
  * 
- * @version 3.0 - TD-001: Uses useTimesheetPermissions hook internally
+ * @version 3.3 - Records the reviewer and delegated approvals
  * @created 3 December 2025
- * @updated 28 December 2025
+ * @updated 19 October 2026
  */
 
 import React, { useState, useEffect } from 'react';
@@ -30,6 +30,7 @@ export default function TimesheetDetailModal({
   timesheet,
   resources,
   milestones,
+  resolveRates,
   onClose,
   onSave,
   onSubmit,
@@ -43,11 +44,16 @@ export default function TimesheetDetailModal({
   // Get permissions from hook - centralised permission logic
   const permissions = useTimesheetPermissions(timesheet);
 
+  // Reviewer recorded on validate / reject (onBehalfOf under a delegation)
+  const review = { reviewedBy: permissions.currentUserId, onBehalfOf: permissions.onBehalfOf };
+
   useEffect(() => {
     if (timesheet) {
       setEditForm({
         resource_id: timesheet.resource_id,
         milestone_id: timesheet.milestone_id || '',
+        deliverable_id: timesheet.deliverable_id || '',
+        task_id: timesheet.task_id || '',
         work_date: timesheet.work_date || timesheet.date || '',
         hours_worked: timesheet.hours_worked || timesheet.hours || 0,
         description: timesheet.description || timesheet.comments || '',
@@ -63,7 +69,9 @@ export default function TimesheetDetailModal({
   const resource = resources?.find(r => r.id === timesheet.resource_id);
   const milestone = milestones?.find(m => m.id === timesheet.milestone_id);
   const hours = parseFloat(timesheet.hours_worked || timesheet.hours || 0);
-  const dailyRate = resource?.sell_price || timesheet.resources?.sell_price || 0;
+  const dailyRate = resolveRates
+    ? resolveRates(resource || timesheet.resources, timesheet.work_date || timesheet.date).sell_price || 0
+    : resource?.sell_price || timesheet.resources?.sell_price || 0;
   const totalValue = calculateBillableValue(hours, dailyRate);
 
   async function handleSave() {
@@ -197,7 +205,12 @@ export default function TimesheetDetailModal({
                   <select
                     className="form-input"
                     value={editForm.milestone_id}
-                    onChange={(e) => setEditForm({ ...editForm, milestone_id: e.target.value })}
+                    onChange={(e) => setEditForm({
+                      ...editForm,
+                      milestone_id: e.target.value,
+                      // A deliverable belongs to one milestone
+                      ...(e.target.value !== timesheet.milestone_id && { deliverable_id: '', task_id: '' })
+                    })}
                   >
                     <option value="">-- No milestone --</option>
                     {milestones?.map(m => (
@@ -310,6 +323,22 @@ export default function TimesheetDetailModal({
                 </div>
               )}
 
+              {/* Deliverable / task */}
+              {timesheet.deliverable_id && (
+                <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem' }}>
+                  <FileText size={18} style={{ color: '#64748b' }} />
+                  <div>
+                    <div style={{ fontSize: '0.75rem', color: '#64748b', textTransform: 'uppercase' }}>Deliverable</div>
+                    <div style={{ fontWeight: '500' }}>
+                      {timesheet.deliverables?.deliverable_ref || ''} - {timesheet.deliverables?.name || 'Unknown'}
+                      {timesheet.task?.name && (
+                        <span style={{ color: '#64748b', fontWeight: '400' }}> / {timesheet.task.name}</span>
+                      )}
+                    </div>
+                  </div>
+                </div>
+              )}
+
               {/* Description */}
               <div>
                 <div style={{ fontSize: '0.75rem', color: '#64748b', textTransform: 'uppercase', marginBottom: '0.375rem' }}>
@@ -390,7 +419,7 @@ export default function TimesheetDetailModal({
                 {permissions.canValidate && (
                   <>
                     <button 
-                      onClick={() => { onReject(timesheet.id); handleClose(); }} 
+                      onClick={() => { onReject(timesheet.id, review); handleClose(); }} 
                       className="btn btn-danger"
                       style={{ display: 'flex', alignItems: 'center', gap: '0.375rem' }}
                       data-testid="timesheet-reject-button"
@@ -398,7 +427,7 @@ export default function TimesheetDetailModal({
                       <X size={16} /> Reject
                     </button>
                     <button 
-                      onClick={() => { onValidate(timesheet.id); handleClose(); }} 
+                      onClick={() => { onValidate(timesheet.id, review); handleClose(); }} 
                       className="btn btn-success"
                       style={{ display: 'flex', alignItems: 'center', gap: '0.375rem' }}
                       data-testid="timesheet-validate-button"
@@ -0,0 +1,416 @@
+/**
+ * Timesheet Week Grid
+ *
+ * Weekly entry for one resource: rows are a milestone, deliverable or
+ * task, columns are Monday to Sunday. Shows the running total against
+ * contracted hours, copies last week's rows and hours, saves the week
+ * as daily entries and submits the whole week for validation.
+ *
+ * Submitted and validated cells are read-only. Grid rules are in
+ * lib/timesheetWeek.js.
+ *
+ * @version 1.0
+ * @created 19 October 2026
+ */
+
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { ChevronLeft, ChevronRight, Copy, Plus, Save, Send, Trash2, X } from 'lucide-react';
+import { timesheetsService, deliverablesService } from '../../services';
+import { useWorkingCalendar } from '../../hooks/useWorkingCalendar';
+import { BUDGET_CONFIG } from '../../config/metricsConfig';
+import { WEEKDAY_LABELS } from '../../lib/workingCalendar';
+import {
+  getWeekStart,
+  getWeekDates,
+  shiftWeek,
+  getRowKey,
+  createWeekRow,
+  buildWeekRows,
+  copyWeekRows,
+  getWeekTotals,
+  getContractedHours,
+  validateWeek,
+  getWeekChanges
+} from '../../lib/timesheetWeek';
+import { canBeSubmitted, getTodayDate } from '../../lib/timesheetCalculations';
+
+const formatDay = (date) => new Date(`${date}T00:00:00`).toLocaleDateString('en-GB', { day: 'numeric', month: 'short' });
+
+export default function TimesheetWeekGrid({
+  projectId,
+  resources,
+  milestones,
+  defaultResourceId,
+  currentUserId,
+  onSaved,
+  onClose,
+  showSuccess,
+  showError,
+  showWarning
+}) {
+  const { calendar, resourceCalendars } = useWorkingCalendar();
+
+  const [resourceId, setResourceId] = useState(defaultResourceId || resources[0]?.id || '');
+  const [weekStart, setWeekStart] = useState(getWeekStart(getTodayDate()));
+  const [rows, setRows] = useState([]);
+  const [deliverables, setDeliverables] = useState([]);
+  const [tasks, setTasks] = useState([]);
+  const [newRow, setNewRow] = useState({ milestone_id: '', deliverable_id: '', task_id: '' });
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  const dates = useMemo(() => getWeekDates(weekStart), [weekStart]);
+  const resource = resources.find(r => r.id === resourceId);
+
+  // Booking targets: published deliverables and their planner tasks
+  useEffect(() => {
+    if (!projectId) return;
+    Promise.all([
+      deliverablesService.getAll(projectId, {
+        select: 'id, deliverable_ref, name, milestone_id',
+        orderBy: { column: 'deliverable_ref', ascending: true }
+      }),
+      deliverablesService.getTasksForMilestones(projectId)
+    ])
+      .then(([deliverableRows, taskRows]) => {
+        setDeliverables(deliverableRows);
+        const published = new Set(deliverableRows.map(d => d.id));
+        setTasks(taskRows.filter(t => published.has(t.deliverable_id)));
+      })
+      .catch(error => console.error('Error loading deliverables for week grid:', error));
+  }, [projectId]);
+
+  const fetchWeek = useCallback(async () => {
+    if (!resourceId) {
+      setRows([]);
+      setLoading(false);
+      return;
+    }
+    setLoading(true);
+    try {
+      const entries = await timesheetsService.getWeek(resourceId, weekStart);
+      setRows(buildWeekRows(entries, dates));
+    } catch (error) {
+      console.error('Error loading week:', error);
+      showError('Failed to load week');
+    } finally {
+      setLoading(false);
+    }
+  }, [resourceId, weekStart, dates, showError]);
+
+  useEffect(() => { fetchWeek(); }, [fetchWeek]);
+
+  const totals = getWeekTotals(rows, dates);
+  const contracted = getContractedHours({
+    resource,
+    calendar: resourceCalendars[resourceId] || calendar,
+    dates,
+    hoursPerDay: BUDGET_CONFIG.hoursPerDay
+  });
+  const nonWorking = new Map(contracted.nonWorkingDays.map(d => [d.date, d.reason]));
+  const changes = getWeekChanges(rows, dates);
+  const hasChanges = changes.creates.length + changes.updates.length + changes.deletes.length > 0;
+  const hasDrafts = rows.some(row => dates.some(date => row.cells[date].entries.some(canBeSubmitted)));
+
+  function getRowLabel(row) {
+    const task = row.task_id && tasks.find(t => t.id === row.task_id);
+    const deliverable = row.deliverable_id && deliverables.find(d => d.id === row.deliverable_id);
+    const milestone = row.milestone_id && milestones.find(m => m.id === row.milestone_id);
+    const entry = dates.map(date => row.cells[date].entries[0]).find(Boolean);
+
+    const parts = [];
+    if (milestone) parts.push(milestone.milestone_ref);
+    if (deliverable || entry?.deliverables) {
+      parts.push((deliverable || entry.deliverables).deliverable_ref);
+    }
+    const name = task?.task_name || entry?.task?.name
+      || (deliverable || entry?.deliverables)?.name
+      || milestone?.name;
+    return { refs: parts.join(' / '), name: name || 'General (no milestone)' };
+  }
+
+  function setCell(rowKey, date, hours) {
+    setRows(prev => prev.map(row => row.key !== rowKey ? row : {
+      ...row,
+      cells: { ...row.cells, [date]: { ...row.cells[date], hours } }
+    }));
+  }
+
+  function clearRow(rowKey) {
+    setRows(prev => prev
+      .map(row => row.key !== rowKey ? row : {
+        ...row,
+        cells: Object.fromEntries(dates.map(date => [
+          date,
+          row.cells[date].locked ? row.cells[date] : { ...row.cells[date], hours: '' }
+        ]))
+      })
+      // Rows with nothing saved can go altogether
+      .filter(row => row.key !== rowKey || dates.some(date => row.cells[date].entries.length > 0))
+    );
+  }
+
+  function handleAddRow() {
+    const task = tasks.find(t => t.id === newRow.task_id);
+    const deliverable = deliverables.find(d => d.id === (task?.deliverable_id || newRow.deliverable_id));
+    const target = {
+      milestone_id: deliverable?.milestone_id || newRow.milestone_id || null,
+      deliverable_id: deliverable?.id || null,
+      task_id: task?.id || null
+    };
+    if (rows.some(row => row.key === getRowKey(target))) {
+      showWarning('That row is already on the grid');
+      return;
+    }
+    setRows(prev => [...prev, createWeekRow(target, dates)]);
+    setNewRow({ milestone_id: '', deliverable_id: '', task_id: '' });
+  }
+
+  async function handleCopyLastWeek() {
+    try {
+      const previousStart = shiftWeek(weekStart, -1);
+      const previous = await timesheetsService.getWeek(resourceId, previousStart);
+      if (previous.length === 0) {
+        showWarning('Nothing was booked last week');
+        return;
+      }
+      setRows(prev => copyWeekRows(prev, buildWeekRows(previous, getWeekDates(previousStart)), dates));
+    } catch (error) {
+      console.error('Error copying last week:', error);
+      showError('Failed to copy last week');
+    }
+  }
+
+  async function saveWeek() {
+    const { valid, errors } = validateWeek(rows, dates);
+    if (!valid) {
+      showWarning(errors[0]);
+      return false;
+    }
+    await timesheetsService.saveWeek({
+      projectId,
+      resource,
+      weekStart,
+      rows,
+      userId: currentUserId
+    });
+    return true;
+  }
+
+  async function handleSave() {
+    setSaving(true);
+    try {
+      if (await saveWeek()) {
+        await fetchWeek();
+        await onSaved();
+        showSuccess('Week saved');
+      }
+    } catch (error) {
+      console.error('Error saving week:', error);
+      showError('Failed to save week: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function handleSubmitWeek() {
+    setSaving(true);
+    try {
+      if (!(await saveWeek())) return;
+      const submitted = await timesheetsService.submitWeek(resourceId, weekStart);
+      await fetchWeek();
+      await onSaved();
+      showSuccess(`${submitted} entr${submitted === 1 ? 'y' : 'ies'} submitted for validation`);
+    } catch (error) {
+      console.error('Error submitting week:', error);
+      showError('Failed to submit week: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  const filteredDeliverables = newRow.milestone_id
+    ? deliverables.filter(d => d.milestone_id === newRow.milestone_id)
+    : deliverables;
+  const filteredTasks = newRow.deliverable_id
+    ? tasks.filter(t => t.deliverable_id === newRow.deliverable_id)
+    : [];
+  const variance = totals.total - contracted.contractedHours;
+
+  return (
+    <div className="ts-week" data-testid="timesheet-week-grid">
+      <div className="ts-week-toolbar">
+        <select
+          className="ts-filter-select"
+          value={resourceId}
+          onChange={(e) => setResourceId(e.target.value)}
+          data-testid="week-grid-resource-select"
+        >
+          <option value="">Select Resource</option>
+          {resources.map(r => <option key={r.id} value={r.id}>{r.name}</option>)}
+        </select>
+        <div className="ts-week-nav">
+          <button type="button" className="ts-btn ts-btn-secondary" onClick={() => setWeekStart(shiftWeek(weekStart, -1))}>
+            <ChevronLeft size={16} />
+          </button>
+          <span className="ts-week-label">
+            {formatDay(dates[0])} - {formatDay(dates[6])}
+          </span>
+          <button type="button" className="ts-btn ts-btn-secondary" onClick={() => setWeekStart(shiftWeek(weekStart, 1))}>
+            <ChevronRight size={16} />
+          </button>
+        </div>
+        <button
+          type="button"
+          className="ts-btn ts-btn-secondary"
+          onClick={handleCopyLastWeek}
+          disabled={!resourceId || saving}
+          data-testid="week-grid-copy-last-week"
+        >
+          <Copy size={16} /> Copy Last Week
+        </button>
+        <div className={`ts-week-contracted ${variance > 0 ? 'over' : variance < 0 ? 'under' : ''}`}>
+          {totals.total.toFixed(1)}h of {contracted.contractedHours.toFixed(1)}h contracted
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="ts-week-empty">Loading week...</div>
+      ) : (
+        <div className="ts-week-scroll">
+          <table className="ts-week-table">
+            <thead>
+              <tr>
+                <th className="ts-week-target">Milestone / Deliverable / Task</th>
+                {dates.map(date => (
+                  <th
+                    key={date}
+                    className={nonWorking.has(date) ? 'ts-week-nonworking' : ''}
+                    title={nonWorking.get(date) || ''}
+                  >
+                    <span>{WEEKDAY_LABELS[new Date(`${date}T00:00:00Z`).getUTCDay()]}</span>
+                    <span className="ts-week-date">{formatDay(date)}</span>
+                  </th>
+                ))}
+                <th>Total</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.length === 0 && (
+                <tr>
+                  <td colSpan={dates.length + 3} className="ts-week-empty">
+                    No time booked this week. Add a row or copy last week.
+                  </td>
+                </tr>
+              )}
+              {rows.map(row => {
+                const label = getRowLabel(row);
+                return (
+                  <tr key={row.key}>
+                    <td className="ts-week-target">
+                      {label.refs && <span className="ts-week-refs">{label.refs}</span>}
+                      <span>{label.name}</span>
+                    </td>
+                    {dates.map(date => {
+                      const cell = row.cells[date];
+                      return (
+                        <td key={date} className={nonWorking.has(date) ? 'ts-week-nonworking' : ''}>
+                          <input
+                            type="number"
+                            step="0.5"
+                            min="0"
+                            className={`ts-week-input ${cell.locked ? 'locked' : ''}`}
+                            value={cell.hours}
+                            disabled={cell.locked || saving}
+                            title={cell.locked ? `${cell.entries.map(e => e.status).join(', ')} - edit from the entries list` : ''}
+                            onChange={(e) => setCell(row.key, date, e.target.value)}
+                          />
+                        </td>
+                      );
+                    })}
+                    <td className="ts-week-total">{totals.byRow[row.key].toFixed(1)}</td>
+                    <td>
+                      <button
+                        type="button"
+                        className="ts-week-remove"
+                        onClick={() => clearRow(row.key)}
+                        disabled={saving}
+                        title="Clear row"
+                      >
+                        <Trash2 size={14} />
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+            <tfoot>
+              <tr>
+                <td className="ts-week-target">Total</td>
+                {dates.map(date => (
+                  <td key={date} className="ts-week-total">{totals.byDay[date].toFixed(1)}</td>
+                ))}
+                <td className="ts-week-total">{totals.total.toFixed(1)}</td>
+                <td></td>
+              </tr>
+            </tfoot>
+          </table>
+        </div>
+      )}
+
+      <div className="ts-week-add">
+        <select
+          value={newRow.milestone_id}
+          onChange={(e) => setNewRow({ milestone_id: e.target.value, deliverable_id: '', task_id: '' })}
+          data-testid="week-grid-milestone-select"
+        >
+          <option value="">-- No specific milestone --</option>
+          {milestones.map(m => <option key={m.id} value={m.id}>{m.milestone_ref} - {m.name}</option>)}
+        </select>
+        <select
+          value={newRow.deliverable_id}
+          onChange={(e) => setNewRow({ ...newRow, deliverable_id: e.target.value, task_id: '' })}
+          data-testid="week-grid-deliverable-select"
+        >
+          <option value="">-- Whole milestone --</option>
+          {filteredDeliverables.map(d => <option key={d.id} value={d.id}>{d.deliverable_ref} - {d.name}</option>)}
+        </select>
+        <select
+          value={newRow.task_id}
+          onChange={(e) => setNewRow({ ...newRow, task_id: e.target.value })}
+          disabled={filteredTasks.length === 0}
+          data-testid="week-grid-task-select"
+        >
+          <option value="">-- Whole deliverable --</option>
+          {filteredTasks.map(t => <option key={t.id} value={t.id}>{t.task_name}</option>)}
+        </select>
+        <button type="button" className="ts-btn ts-btn-secondary" onClick={handleAddRow} disabled={saving}>
+          <Plus size={16} /> Add Row
+        </button>
+      </div>
+
+      <div className="ts-form-actions">
+        <button
+          className="ts-btn ts-btn-primary"
+          onClick={handleSave}
+          disabled={!resource || saving || !hasChanges}
+          data-testid="week-grid-save-button"
+        >
+          <Save size={16} /> {saving ? 'Saving...' : 'Save Week'}
+        </button>
+        <button
+          className="ts-btn ts-btn-primary"
+          onClick={handleSubmitWeek}
+          disabled={!resource || saving || (!hasChanges && !hasDrafts)}
+          data-testid="week-grid-submit-button"
+        >
+          <Send size={16} /> Submit Week
+        </button>
+        <button className="ts-btn ts-btn-secondary" onClick={onClose} disabled={saving}>
+          <X size={16} /> Close
+        </button>
+      </div>
+    </div>
+  );
+}
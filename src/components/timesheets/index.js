@@ -1,9 +1,11 @@
 /**
  * Timesheet Components Index
  * 
- * @version 1.1
- * @updated 5 December 2025
+ * @version 1.3
+ * @updated 19 October 2026 - Added TimesheetCompliancePanel
  */
 
 export { default as TimesheetDetailModal } from './TimesheetDetailModal';
 export { default as TimesheetDateFilter } from './TimesheetDateFilter';
+export { default as TimesheetWeekGrid } from './TimesheetWeekGrid';
+export { default as TimesheetCompliancePanel } from './TimesheetCompliancePanel';
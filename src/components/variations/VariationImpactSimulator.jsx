@@ -0,0 +1,315 @@
+/**
+ * VariationImpactSimulator - deterministic impact of proposed plan changes
+ *
+ * The user picks plan items and enters new dates or effort; the simulator
+ * reschedules the live plan through predecessor links and shows which
+ * milestones and deliverables move, by how much, and the cost at rate
+ * card rates. "Apply to variation" hands the result back to the form
+ * as affected milestones and deliverable date updates for review.
+ *
+ * Nothing is saved to the plan.
+ *
+ * @version 1.0
+ * @created 19 October 2026
+ */
+
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  Calculator,
+  Plus,
+  Trash2,
+  Play,
+  Check,
+  AlertTriangle,
+  ChevronDown,
+  ChevronUp,
+  ArrowRight
+} from 'lucide-react';
+import { variationImpactService } from '../../services';
+import { formatDate, formatCurrency } from '../../lib/formatters';
+import {
+  DELIVERABLE_SHIFT_SOURCE,
+  toAffectedMilestones,
+  toDeliverableDateUpdates
+} from '../../lib/variationImpact';
+
+import './VariationImpactSimulator.css';
+
+const formatShift = (days) => {
+  if (!days) return '—';
+  return `${days > 0 ? '+' : ''}${days}d`;
+};
+
+const formatDelta = (value) => (value > 0 ? `+${formatCurrency(value)}` : formatCurrency(value));
+
+const shiftClass = (value) => (value > 0 ? 'later' : value < 0 ? 'earlier' : '');
+
+export default function VariationImpactSimulator({
+  projectId,
+  initialChanges = [],
+  onApply
+}) {
+  const [expanded, setExpanded] = useState(initialChanges.length > 0);
+  const [context, setContext] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [changes, setChanges] = useState(initialChanges);
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    if (!expanded || context || !projectId) return;
+
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    variationImpactService.loadContext(projectId)
+      .then(loaded => { if (!cancelled) setContext(loaded); })
+      .catch(err => {
+        console.error('Error loading plan for impact simulation:', err);
+        if (!cancelled) setError('Failed to load the project plan');
+      })
+      .finally(() => { if (!cancelled) setLoading(false); });
+
+    return () => { cancelled = true; };
+  }, [expanded, context, projectId]);
+
+  // Only dated work items can be changed; summary dates come from their children
+  const selectableItems = useMemo(() => {
+    if (!context) return [];
+    const parentIds = new Set(context.items.filter(i => i.parent_id).map(i => i.parent_id));
+    return context.items.filter(i => !parentIds.has(i.id) && i.start_date && i.end_date);
+  }, [context]);
+
+  const itemMap = useMemo(() => new Map(selectableItems.map(i => [i.id, i])), [selectableItems]);
+
+  function addChange(itemId) {
+    const item = itemMap.get(itemId);
+    if (!item || changes.some(c => c.item_id === itemId)) return;
+    setChanges([...changes, { item_id: itemId, start_date: item.start_date, end_date: item.end_date, effort_days: '' }]);
+    setResult(null);
+  }
+
+  function updateChange(index, field, value) {
+    const updated = [...changes];
+    updated[index] = { ...updated[index], [field]: value };
+    setChanges(updated);
+    setResult(null);
+  }
+
+  function removeChange(index) {
+    setChanges(changes.filter((_, i) => i !== index));
+    setResult(null);
+  }
+
+  function runSimulation() {
+    try {
+      setError(null);
+      setResult(variationImpactService.simulate(context, changes.filter(c => itemMap.has(c.item_id))));
+    } catch (err) {
+      console.error('Impact simulation error:', err);
+      setError('Simulation failed');
+    }
+  }
+
+  function handleApply() {
+    onApply({
+      affectedMilestones: toAffectedMilestones(result, context.milestones),
+      deliverableUpdates: toDeliverableDateUpdates(result),
+      changes
+    });
+  }
+
+  const hasImpact = result && (result.milestones.length > 0 || result.deliverables.length > 0);
+
+  return (
+    <div className="vis-panel">
+      <div className="vis-header" onClick={() => setExpanded(!expanded)}>
+        <div className="vis-header-left">
+          <Calculator size={16} />
+          <span className="vis-title">Simulate from the plan</span>
+          <span className="vis-subtitle">Work out milestone, deliverable and cost impacts from plan changes</span>
+        </div>
+        {expanded ? <ChevronUp size={16} /> : <ChevronDown size={16} />}
+      </div>
+
+      {expanded && (
+        <div className="vis-body">
+          {loading && <div className="vis-note">Loading plan...</div>}
+          {error && <div className="vis-error"><AlertTriangle size={14} /> {error}</div>}
+
+          {context && (
+            <>
+              {selectableItems.length === 0 ? (
+                <div className="vis-note">The project plan has no dated tasks to change.</div>
+              ) : (
+                <>
+                  <div className="vis-changes">
+                    {changes.map((change, index) => {
+                      const item = itemMap.get(change.item_id);
+                      if (!item) return null;
+                      return (
+                        <div key={change.item_id} className="vis-change-row">
+                          <span className="vis-change-name" title={item.name}>{item.name}</span>
+                          <label>
+                            Start
+                            <input
+                              type="date"
+                              value={change.start_date || ''}
+                              onChange={e => updateChange(index, 'start_date', e.target.value)}
+                            />
+                          </label>
+                          <label>
+                            End
+                            <input
+                              type="date"
+                              value={change.end_date || ''}
+                              onChange={e => updateChange(index, 'end_date', e.target.value)}
+                            />
+                          </label>
+                          <label>
+                            Effort (days)
+                            <input
+                              type="number"
+                              min="0"
+                              step="0.5"
+                              value={change.effort_days}
+                              placeholder="Unchanged"
+                              onChange={e => updateChange(index, 'effort_days', e.target.value)}
+                            />
+                          </label>
+                          <button className="vis-icon-btn" onClick={() => removeChange(index)} title="Remove">
+                            <Trash2 size={14} />
+                          </button>
+                        </div>
+                      );
+                    })}
+                  </div>
+
+                  <div className="vis-actions">
+                    <div className="vis-add">
+                      <Plus size={14} />
+                      <select value="" onChange={e => addChange(e.target.value)}>
+                        <option value="">Add a plan item to change...</option>
+                        {selectableItems
+                          .filter(i => !changes.some(c => c.item_id === i.id))
+                          .map(i => (
+                            <option key={i.id} value={i.id}>
+                              {i.wbs ? `${i.wbs} ` : ''}{i.name} ({formatDate(i.start_date)} – {formatDate(i.end_date)})
+                            </option>
+                          ))}
+                      </select>
+                    </div>
+                    <button className="vis-btn" onClick={runSimulation} disabled={changes.length === 0}>
+                      <Play size={14} />
+                      Simulate
+                    </button>
+                  </div>
+                </>
+              )}
+
+              {result && (
+                <div className="vis-result">
+                  <div className="vis-totals">
+                    <div className="vis-total">
+                      <span className="vis-total-label">Plan finish</span>
+                      <span className={`vis-total-value ${shiftClass(result.totals.planFinishShift)}`}>
+                        {formatShift(result.totals.planFinishShift)}
+                      </span>
+                      <span className="vis-total-detail">{formatDate(result.totals.planFinishAfter)}</span>
+                    </div>
+                    <div className="vis-total">
+                      <span className="vis-total-label">Sell value</span>
+                      <span className={`vis-total-value ${shiftClass(result.totals.sellDelta)}`}>
+                        {formatDelta(result.totals.sellDelta)}
+                      </span>
+                      <span className="vis-total-detail">At rate card sell rates</span>
+                    </div>
+                    <div className="vis-total">
+                      <span className="vis-total-label">Cost</span>
+                      <span className={`vis-total-value ${shiftClass(result.totals.costDelta)}`}>
+                        {formatDelta(result.totals.costDelta)}
+                      </span>
+                      <span className="vis-total-detail">At rate card cost rates</span>
+                    </div>
+                  </div>
+
+                  {result.warnings.map(warning => (
+                    <div key={warning} className="vis-warning"><AlertTriangle size={14} /> {warning}</div>
+                  ))}
+
+                  {result.milestones.length > 0 && (
+                    <table className="vis-table">
+                      <thead>
+                        <tr>
+                          <th>Milestone</th>
+                          <th>Plan end</th>
+                          <th>Start</th>
+                          <th>End</th>
+                          <th>Value</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {result.milestones.map(m => (
+                          <tr key={m.milestone_id}>
+                            <td><span className="vis-ref">{m.ref}</span> {m.name}</td>
+                            <td>
+                              {m.planEndBefore ? (
+                                <>
+                                  {formatDate(m.planEndBefore)} <ArrowRight size={12} /> {formatDate(m.planEndAfter)}
+                                </>
+                              ) : 'Not in plan'}
+                            </td>
+                            <td className={shiftClass(m.startShift)}>{formatShift(m.startShift)}</td>
+                            <td className={shiftClass(m.endShift)}>{formatShift(m.endShift)}</td>
+                            <td className={shiftClass(m.sellDelta)}>{m.sellDelta ? formatDelta(m.sellDelta) : '—'}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+
+                  {result.deliverables.length > 0 && (
+                    <table className="vis-table">
+                      <thead>
+                        <tr>
+                          <th>Deliverable</th>
+                          <th>Due date</th>
+                          <th>Shift</th>
+                          <th>Moved by</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {result.deliverables.map(d => (
+                          <tr key={d.deliverable_id}>
+                            <td><span className="vis-ref">{d.deliverable_ref}</span> {d.deliverable_name}</td>
+                            <td>
+                              {formatDate(d.original_due_date)} <ArrowRight size={12} /> {formatDate(d.new_due_date)}
+                            </td>
+                            <td className={shiftClass(d.days_shift)}>{formatShift(d.days_shift)}</td>
+                            <td>{d.source === DELIVERABLE_SHIFT_SOURCE.PLAN ? 'Plan' : 'Milestone'}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+
+                  {hasImpact ? (
+                    <div className="vis-apply">
+                      <span>Applying replaces any entries for these milestones and deliverables. Review them before submitting.</span>
+                      <button className="vis-btn primary" onClick={handleApply}>
+                        <Check size={14} />
+                        Apply to variation
+                      </button>
+                    </div>
+                  ) : (
+                    <div className="vis-note">These changes do not move any milestone or deliverable.</div>
+                  )}
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,3 +1,4 @@
 // Variations components barrel export
 export { default as VariationCertificateModal } from './VariationCertificateModal';
 export { default as VariationImpactPanel } from './VariationImpactPanel';
+export { default as VariationImpactSimulator } from './VariationImpactSimulator';
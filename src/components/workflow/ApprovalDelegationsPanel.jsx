@@ -0,0 +1,278 @@
+/**
+ * Approval Delegations Panel
+ *
+ * Lists a project's approval delegations and lets a customer PM hand
+ * their timesheet and expense approval authority to another user for a
+ * date range (admins can set one up for any customer PM). A user who is
+ * covering for someone sees who and until when. Rules are in
+ * lib/approvalDelegation.js.
+ *
+ * @version 1.0
+ * @created 19 October 2026
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { UserCheck, Plus, X, Loader2 } from 'lucide-react';
+import { format, parseISO } from 'date-fns';
+import { approvalDelegationsService } from '../../services';
+import {
+  DELEGATOR_ROLE,
+  DELEGATION_ENTITY_TYPE,
+  DELEGATION_ENTITY_CONFIG,
+  DELEGATION_STATUS,
+  DELEGATION_STATUS_CONFIG,
+  validateDelegation
+} from '../../lib/approvalDelegation';
+import './ApprovalDelegationsPanel.css';
+
+const formatDate = (date) => format(parseISO(date), 'd MMM yyyy');
+
+const displayName = (profile) => profile?.full_name || profile?.email || 'Unknown user';
+
+const emptyForm = (delegatorId) => ({
+  delegator_id: delegatorId,
+  delegate_id: '',
+  start_date: new Date().toISOString().slice(0, 10),
+  end_date: '',
+  entity_types: Object.values(DELEGATION_ENTITY_TYPE),
+  reason: ''
+});
+
+export default function ApprovalDelegationsPanel({ projectId, currentUserId, role, showSuccess, showError, onChange }) {
+  const isAdmin = role === 'admin';
+  const canDelegate = role === DELEGATOR_ROLE || isAdmin;
+
+  const [delegations, setDelegations] = useState([]);
+  const [candidates, setCandidates] = useState([]);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(() => emptyForm(isAdmin ? '' : currentUserId));
+  const [saving, setSaving] = useState(false);
+  const [revoking, setRevoking] = useState(null);
+
+  const fetchDelegations = useCallback(async () => {
+    if (!projectId) return;
+    try {
+      setDelegations(await approvalDelegationsService.getAll(projectId));
+    } catch (error) {
+      console.error('Error loading approval delegations:', error);
+      showError('Failed to load approval delegations');
+    }
+  }, [projectId, showError]);
+
+  useEffect(() => { fetchDelegations(); }, [fetchDelegations]);
+
+  useEffect(() => {
+    if (!showForm || !projectId) return;
+    approvalDelegationsService.getCandidates(projectId)
+      .then(setCandidates)
+      .catch(error => {
+        console.error('Error loading delegation candidates:', error);
+        showError('Failed to load project users');
+      });
+  }, [showForm, projectId, showError]);
+
+  const update = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+  const toggleType = (type) => setForm(prev => ({
+    ...prev,
+    entity_types: prev.entity_types.includes(type)
+      ? prev.entity_types.filter(t => t !== type)
+      : [...prev.entity_types, type]
+  }));
+
+  async function handleCreate(e) {
+    e.preventDefault();
+    if (isAdmin && !form.delegator_id) {
+      showError('Choose the customer PM whose approvals are being delegated');
+      return;
+    }
+    const message = validateDelegation(form);
+    if (message) {
+      showError(message);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await approvalDelegationsService.create(projectId, form, currentUserId);
+      showSuccess('Approval delegated');
+      setShowForm(false);
+      setForm(emptyForm(isAdmin ? '' : currentUserId));
+      await fetchDelegations();
+      onChange?.();
+    } catch (error) {
+      console.error('Error creating approval delegation:', error);
+      showError('Failed to delegate approval: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function handleRevoke(delegation) {
+    setRevoking(delegation.id);
+    try {
+      await approvalDelegationsService.revoke(delegation.id, currentUserId);
+      showSuccess(`Delegation to ${displayName(delegation.delegate)} revoked`);
+      await fetchDelegations();
+      onChange?.();
+    } catch (error) {
+      console.error('Error revoking approval delegation:', error);
+      showError('Failed to revoke delegation: ' + error.message);
+    } finally {
+      setRevoking(null);
+    }
+  }
+
+  const covering = delegations.filter(d => d.delegate_id === currentUserId && d.status === DELEGATION_STATUS.ACTIVE);
+  const current = delegations.filter(d => [DELEGATION_STATUS.ACTIVE, DELEGATION_STATUS.SCHEDULED].includes(d.status));
+
+  // Nothing to show to users who neither delegate nor cover
+  if (!canDelegate && covering.length === 0) return null;
+
+  const canRevoke = (d) => (isAdmin || d.delegator_id === currentUserId)
+    && [DELEGATION_STATUS.ACTIVE, DELEGATION_STATUS.SCHEDULED].includes(d.status);
+
+  const delegators = candidates.filter(c => c.role === DELEGATOR_ROLE);
+  const delegates = candidates.filter(c => c.id !== form.delegator_id);
+
+  return (
+    <div className="card adel-panel" data-testid="approval-delegations-panel">
+      {covering.map(d => (
+        <div key={d.id} className="adel-banner">
+          <UserCheck size={18} />
+          <span>
+            You are approving {d.entity_types.map(t => DELEGATION_ENTITY_CONFIG[t]?.label.toLowerCase()).join(' and ')}
+            {' '}on behalf of <strong>{displayName(d.delegator)}</strong> until {formatDate(d.end_date)}.
+          </span>
+        </div>
+      ))}
+
+      {canDelegate && (
+        <>
+          <div className="adel-header">
+            <div>
+              <h3>Approval Delegation</h3>
+              <p>Hand timesheet and expense approval to someone else while you are away.</p>
+            </div>
+            {!showForm && (
+              <button type="button" className="btn btn-secondary" onClick={() => setShowForm(true)}>
+                <Plus size={16} /> Delegate
+              </button>
+            )}
+          </div>
+
+          {showForm && (
+            <form className="adel-form" onSubmit={handleCreate}>
+              {isAdmin && (
+                <div className="adel-field">
+                  <label>On behalf of</label>
+                  <select value={form.delegator_id} onChange={(e) => update('delegator_id', e.target.value)}>
+                    <option value="">Choose a customer PM...</option>
+                    {delegators.map(c => <option key={c.id} value={c.id}>{displayName(c)}</option>)}
+                  </select>
+                </div>
+              )}
+              <div className="adel-field">
+                <label>Delegate to</label>
+                <select value={form.delegate_id} onChange={(e) => update('delegate_id', e.target.value)}>
+                  <option value="">Choose a user...</option>
+                  {delegates.map(c => <option key={c.id} value={c.id}>{displayName(c)}</option>)}
+                </select>
+              </div>
+              <div className="adel-field">
+                <label>From</label>
+                <input type="date" value={form.start_date} onChange={(e) => update('start_date', e.target.value)} />
+              </div>
+              <div className="adel-field">
+                <label>Until</label>
+                <input type="date" value={form.end_date} min={form.start_date} onChange={(e) => update('end_date', e.target.value)} />
+              </div>
+              <div className="adel-field">
+                <label>Can approve</label>
+                <div className="adel-types">
+                  {Object.values(DELEGATION_ENTITY_TYPE).map(type => (
+                    <label key={type}>
+                      <input
+                        type="checkbox"
+                        checked={form.entity_types.includes(type)}
+                        onChange={() => toggleType(type)}
+                      />
+                      {DELEGATION_ENTITY_CONFIG[type].label}
+                    </label>
+                  ))}
+                </div>
+              </div>
+              <div className="adel-field adel-field-wide">
+                <label>Reason</label>
+                <input
+                  type="text"
+                  value={form.reason}
+                  placeholder="e.g. Annual leave"
+                  onChange={(e) => update('reason', e.target.value)}
+                />
+              </div>
+              <div className="adel-actions">
+                <button type="button" className="btn btn-secondary" onClick={() => setShowForm(false)} disabled={saving}>
+                  Cancel
+                </button>
+                <button type="submit" className="btn btn-primary" disabled={saving}>
+                  {saving ? <Loader2 size={16} className="spinning" /> : <UserCheck size={16} />} Delegate Approval
+                </button>
+              </div>
+            </form>
+          )}
+
+          {current.length === 0 ? (
+            <div className="adel-empty">No current or upcoming delegations.</div>
+          ) : (
+            <table className="adel-table">
+              <thead>
+                <tr>
+                  <th>Customer PM</th>
+                  <th>Delegate</th>
+                  <th>Dates</th>
+                  <th>Approves</th>
+                  <th>Status</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {current.map(d => {
+                  const status = DELEGATION_STATUS_CONFIG[d.status];
+                  return (
+                    <tr key={d.id}>
+                      <td>{displayName(d.delegator)}</td>
+                      <td>
+                        {displayName(d.delegate)}
+                        {d.reason && <div className="adel-reason">{d.reason}</div>}
+                      </td>
+                      <td>{formatDate(d.start_date)} – {formatDate(d.end_date)}</td>
+                      <td>{d.entity_types.map(t => DELEGATION_ENTITY_CONFIG[t]?.label).join(', ')}</td>
+                      <td>
+                        <span className="adel-status" style={{ color: status.color, backgroundColor: status.bg }}>
+                          {status.label}
+                        </span>
+                      </td>
+                      <td className="adel-revoke">
+                        {canRevoke(d) && (
+                          <button
+                            type="button"
+                            className="btn btn-sm btn-secondary"
+                            onClick={() => handleRevoke(d)}
+                            disabled={revoking === d.id}
+                          >
+                            <X size={14} /> {revoking === d.id ? 'Revoking...' : 'Revoke'}
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
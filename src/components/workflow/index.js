@@ -0,0 +1,8 @@
+/**
+ * Workflow Components Index
+ * 
+ * @version 1.0
+ * @created 19 October 2026
+ */
+
+export { default as ApprovalDelegationsPanel } from './ApprovalDelegationsPanel';
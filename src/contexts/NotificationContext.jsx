@@ -4,8 +4,8 @@
  * Provides workflow notifications across the application.
  * Uses the centralised workflowService for fetching pending items.
  * 
- * @version 2.0
- * @updated 16 December 2025
+ * @version 2.1
+ * @updated 19 October 2026
  * @phase Workflow System Enhancement - Segment 2
  * 
  * Changes in v2.0:
@@ -14,15 +14,24 @@
  * - Filters by current project from ProjectContext
  * - Includes all 13 workflow categories
  * - Refreshes when project changes
+ *
+ * Changes in v2.1:
+ * - Includes missing-timesheet reminders and escalations from the
+ *   notifications table; their read state is saved
+ * - Reminders keep their own category so the bell can tell a reminder
+ *   from an escalation
  */
 
 import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
 import { supabase } from '../lib/supabase';
-import { workflowService, WORKFLOW_ROLES } from '../services';
+import { workflowService, WORKFLOW_ROLES, timesheetComplianceService } from '../services';
 import { useProject } from './ProjectContext';
 
 const NotificationContext = createContext();
 
+// Prefix for items that are rows in the notifications table
+const STORED_ID_PREFIX = 'ntf-';
+
 export function useNotifications() {
   return useContext(NotificationContext);
 }
@@ -45,6 +54,19 @@ function mapProfileRoleToWorkflowRole(profileRole) {
   }
 }
 
+/**
+ * Save read state for items stored in the notifications table
+ * (workflow items only keep it for the session)
+ */
+function markStoredAsRead(notificationIds) {
+  notificationIds
+    .filter(id => id.startsWith(STORED_ID_PREFIX))
+    .forEach(id => {
+      timesheetComplianceService.markNotificationRead(id.slice(STORED_ID_PREFIX.length))
+        .catch(error => console.error('Error marking notification read:', error));
+    });
+}
+
 export function NotificationProvider({ children }) {
   const [notifications, setNotifications] = useState([]);
   const [unreadCount, setUnreadCount] = useState(0);
@@ -191,6 +213,32 @@ export function NotificationProvider({ children }) {
     }
   }, [readItemIds]);
 
+  /**
+   * Fetch unread missing-timesheet reminders and escalations for the user
+   */
+  const fetchTimesheetReminders = useCallback(async (userId, currentProjectId) => {
+    try {
+      const rows = await timesheetComplianceService.getUnreadNotifications(currentProjectId, userId);
+      return rows.map(n => ({
+        id: `${STORED_ID_PREFIX}${n.id}`,
+        type: n.type,
+        category: n.type,
+        notification_type: 'info',
+        title: n.title,
+        message: n.message,
+        action_url: '/timesheets',
+        created_at: n.created_at,
+        is_read: readItemIds.has(`${STORED_ID_PREFIX}${n.id}`),
+        is_actioned: false,
+        canAct: false,
+        urgency: n.priority === 'high' ? 'high' : 'low'
+      }));
+    } catch (error) {
+      console.error('Error fetching timesheet reminders:', error);
+      return [];
+    }
+  }, [readItemIds]);
+
   /**
    * Main fetch function - called on mount, project change, and polling
    */
@@ -229,9 +277,10 @@ export function NotificationProvider({ children }) {
 
       // Fetch workflow items using the service
       const result = await fetchPendingWorkflowItems(user.id, role, projectId);
+      const reminders = projectId ? await fetchTimesheetReminders(user.id, projectId) : [];
 
-      setNotifications(result.items);
-      setUnreadCount(result.unreadCount);
+      setNotifications([...reminders, ...result.items]);
+      setUnreadCount(result.unreadCount + reminders.filter(item => !item.is_read).length);
       setActionCount(result.actionableCount);
 
     } catch (error) {
@@ -239,7 +288,7 @@ export function NotificationProvider({ children }) {
     } finally {
       setLoading(false);
     }
-  }, [fetchPendingWorkflowItems, projectId, projectRole, projectLoading]);
+  }, [fetchPendingWorkflowItems, fetchTimesheetReminders, projectId, projectRole, projectLoading]);
 
   /**
    * Mark notification as read (updates local state)
@@ -247,6 +296,7 @@ export function NotificationProvider({ children }) {
   const markAsRead = useCallback(async (notificationId) => {
     // Add to read set for persistence
     setReadItemIds(prev => new Set([...prev, notificationId]));
+    markStoredAsRead([notificationId]);
     
     setNotifications(prev => 
       prev.map(n => n.id === notificationId ? { ...n, is_read: true } : n)
@@ -272,6 +322,7 @@ export function NotificationProvider({ children }) {
    */
   const markAllAsRead = useCallback(async () => {
     // Add all current notification IDs to read set
+    markStoredAsRead(notifications.filter(n => !n.is_read).map(n => n.id));
     setReadItemIds(prev => {
       const newSet = new Set([...prev]);
       notifications.forEach(n => newSet.add(n.id));
@@ -290,6 +341,7 @@ export function NotificationProvider({ children }) {
   const dismissNotification = useCallback(async (notificationId) => {
     const notification = notifications.find(n => n.id === notificationId);
     if (!notification) return;
+    markStoredAsRead([notificationId]);
 
     setNotifications(prev => prev.filter(n => n.id !== notificationId));
     if (!notification.is_read) {
@@ -1,6 +1,6 @@
 // src/contexts/ProjectContext.jsx
 // Provides current project context to the entire application
-// Version 6.0 - Organisation-aware multi-tenancy support
+// Version 6.1 - Exposes projectCurrency (reporting currency)
 //
 // Key changes in v6.0:
 // - Now depends on OrganisationContext for current organisation
@@ -19,6 +19,7 @@ import React, { createContext, useContext, useState, useEffect, useCallback, use
 import { supabase } from '../lib/supabase';
 import { useAuth } from './AuthContext';
 import { useOrganisation } from './OrganisationContext';
+import { DEFAULT_CURRENCY } from '../lib/currency';
 
 const ProjectContext = createContext(null);
 
@@ -90,6 +91,7 @@ export function ProjectProvider({ children }) {
             expenses_budget,
             pmo_threshold,
             description,
+            currency,
             organisation_id
           `)
           .eq('organisation_id', organisationId)
@@ -147,6 +149,7 @@ export function ProjectProvider({ children }) {
               expenses_budget,
               pmo_threshold,
               description,
+              currency,
               organisation_id
             )
           `)
@@ -320,6 +323,7 @@ export function ProjectProvider({ children }) {
     projectId: currentProject?.id || null,
     projectRef: currentProject?.reference || null,
     projectName: currentProject?.name || null,
+    projectCurrency: currentProject?.currency || DEFAULT_CURRENCY,
     
     // Project-scoped role
     projectRole: currentProjectRole,
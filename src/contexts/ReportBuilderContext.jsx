@@ -13,8 +13,9 @@
  * - AI assistant panel state
  * - Unsaved changes tracking
  * 
- * @version 1.0
+ * @version 1.1
  * @created 11 December 2025
+ * @updated 19 October 2026 - Report context carries the project reporting currency
  * @see docs/IMPLEMENTATION-Report-Builder-Wizard.md Segment 5
  */
 
@@ -430,7 +431,7 @@ const ReportBuilderContext = createContext(null);
 // ============================================
 
 export function ReportBuilderProvider({ children }) {
-  const { projectId, projectName, projectRef } = useProject();
+  const { projectId, projectName, projectRef, projectCurrency } = useProject();
   const { user, profile, role } = useAuth();
   
   const [state, dispatch] = useReducer(reportBuilderReducer, null, getInitialState);
@@ -795,10 +796,11 @@ export function ReportBuilderProvider({ children }) {
       project: {
         id: projectId,
         name: projectName,
-        ref: projectRef
+        ref: projectRef,
+        currency: projectCurrency
       }
     };
-  }, [projectId, projectName, projectRef, state.parameters, role, profile, user]);
+  }, [projectId, projectName, projectRef, projectCurrency, state.parameters, role, profile, user]);
   
   // ─────────────────────────────────────────
   // Section Helpers
@@ -22,6 +22,7 @@ export { useResourcePermissions } from './useResourcePermissions';
 export { useExpensePermissions } from './useExpensePermissions';
 export { useRaidPermissions } from './useRaidPermissions';
 export { useNetworkStandardPermissions } from './useNetworkStandardPermissions';
+export { useApprovalDelegations } from './useApprovalDelegations';
 
 // Dashboard
 export { default as useDashboardLayout } from './useDashboardLayout';
@@ -55,6 +56,12 @@ export {
   isBaselineField
 } from './usePlanningIntegration';
 
+// Working Calendars (holidays and shutdowns for scheduling)
+export { useWorkingCalendar } from './useWorkingCalendar';
+
+// Plan Collaboration (live changes and row editing presence)
+export { usePlanCollaboration } from './usePlanCollaboration';
+
 // UI Utilities
 export { default as useResizableColumns } from './useResizableColumns';
 
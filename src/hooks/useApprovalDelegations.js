@@ -0,0 +1,47 @@
+/**
+ * useApprovalDelegations Hook
+ *
+ * Loads the approval delegations the current user holds on the current
+ * project today. Pass them to projectSettingsService.getApprover() so a
+ * delegate can approve timesheets and expenses on the delegator's behalf.
+ *
+ * @version 1.0
+ * @created 19 October 2026
+ */
+
+import { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { useProject } from '../contexts/ProjectContext';
+import { approvalDelegationsService } from '../services/approvalDelegations.service';
+
+export function useApprovalDelegations() {
+  const { user } = useAuth();
+  const { projectId } = useProject();
+  const userId = user?.id || null;
+
+  const [delegations, setDelegations] = useState([]);
+
+  useEffect(() => {
+    if (!projectId || !userId) {
+      setDelegations([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    approvalDelegationsService.getActiveDelegations(projectId)
+      .then(data => {
+        if (!cancelled) setDelegations(data.filter(d => d.delegate_id === userId));
+      })
+      .catch(err => {
+        // Without delegations the user approves with their own role only
+        console.error('useApprovalDelegations fetch error:', err);
+        if (!cancelled) setDelegations([]);
+      });
+
+    return () => { cancelled = true; };
+  }, [projectId, userId]);
+
+  return delegations;
+}
+
+export default useApprovalDelegations;
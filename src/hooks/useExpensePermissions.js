@@ -11,10 +11,11 @@
  * - Supports conditional approval: chargeable → customer, non-chargeable → supplier
  * - Admin has full access
  *
- * @version 2.1 - Workflow settings awareness
+ * @version 2.2 - Delegated approval authority
  * @created 28 December 2025
  * @updated 15 January 2026 - Fixed role resolution to use ViewAsContext
  * @updated 16 January 2026 - Added workflow settings integration (WP-07)
+ * @updated 19 October 2026 - Delegates can validate; onBehalfOf for the review
  * @implements TD-001 Phase 1
  */
 
@@ -22,10 +23,12 @@ import { useAuth } from '../contexts/AuthContext';
 import { useViewAs } from '../contexts/ViewAsContext';
 import {
   usePermissions,
-  canApproveWithSettings,
   isFeatureEnabledWithSettings
 } from './usePermissions';
 import { useProjectSettings } from './useProjectSettings';
+import { useApprovalDelegations } from './useApprovalDelegations';
+import { projectSettingsService } from '../services/projectSettings.service';
+import { DELEGATOR_ROLE } from '../lib/approvalDelegation';
 
 // Expense status constants
 const EXPENSE_STATUS = {
@@ -98,6 +101,7 @@ export function useExpensePermissions(expense = null) {
 
   // v2.1: Get workflow settings for settings-aware permission checks
   const { settings: workflowSettings } = useProjectSettings();
+  const delegations = useApprovalDelegations();
 
   // Core role checks using effectiveRole
   // Note: v3.0 removed admin project role - supplier_pm now has full management capabilities
@@ -130,6 +134,14 @@ export function useExpensePermissions(expense = null) {
   
   // Chargeable status
   const isChargeable = expense ? expense.chargeable_to_customer !== false : true;
+
+  // Approval authority from settings, including authority delegated to
+  // the user; onBehalfOf is the delegator when acting under a delegation
+  const approver = projectSettingsService.getApprover(workflowSettings || {}, 'expense', userRole, {
+    isChargeable,
+    userId: currentUserId,
+    delegations
+  });
   
   // ============================================
   // SIMPLE PERMISSIONS (no expense needed)
@@ -166,8 +178,10 @@ export function useExpensePermissions(expense = null) {
   const canValidateAny = (() => {
     // If approval not required, anyone with edit permission can complete
     if (!approvalRequired) return canAdd;
-    // Use settings-aware check (without context, so either chargeable or non-chargeable)
-    return canValidateChargeable || canValidateNonChargeable;
+    // Use settings-aware check (without context, so either chargeable or non-chargeable),
+    // or an expense approval delegation
+    return canValidateChargeable || canValidateNonChargeable
+      || delegations.some(d => (d.entity_types || []).includes('expense'));
   })();
   
   // ============================================
@@ -258,7 +272,7 @@ export function useExpensePermissions(expense = null) {
     if (isAdmin) return true;
 
     // Use settings-aware approval authority check with chargeable context
-    return canApproveWithSettings(workflowSettings, 'expense', userRole, { isChargeable });
+    return approver.canApprove;
   })();
   
   /**
@@ -266,6 +280,18 @@ export function useExpensePermissions(expense = null) {
    * Same rules as validate - semantic alias
    */
   const canReject = canValidate;
+
+  /**
+   * Delegator to record when validating or rejecting, or null when the
+   * user reviews with their own authority
+   */
+  const onBehalfOf = approvalRequired && !isAdmin ? approver.onBehalfOf : null;
+
+  /**
+   * Role the validation rules apply to - the delegator's when acting
+   * under a delegation
+   */
+  const reviewRole = onBehalfOf ? DELEGATOR_ROLE : userRole;
   
   /**
    * Can the user edit the chargeable_to_customer field?
@@ -362,6 +388,8 @@ export function useExpensePermissions(expense = null) {
     canSubmit,
     canValidate,
     canReject,
+    onBehalfOf,
+    reviewRole,
 
     // Field-level permissions
     canEditChargeable,
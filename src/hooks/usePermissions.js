@@ -1,7 +1,7 @@
 /**
  * AMSF001 Project Tracker - usePermissions Hook
  * Location: src/hooks/usePermissions.js
- * Version 5.1 - Workflow Settings Integration
+ * Version 5.3 - Delegated approval authority
  *
  * This hook provides pre-bound permission functions that automatically
  * inject the current user's EFFECTIVE role (which may be impersonated via View As).
@@ -16,6 +16,13 @@
  * 3. ViewAsContext provides effectiveRole (impersonated or actual)
  * 4. This hook uses effectiveRole for all permission checks
  *
+ * Changes in v5.3:
+ * - canApproveWithSettings() goes through projectSettingsService.getApprover(),
+ *   so { userId, delegations } in the context include delegated authority
+ *
+ * Changes in v5.2:
+ * - Added canRevertVariation for reverting applied variations
+ *
  * Changes in v5.1:
  * - Added canApproveWithSettings() utility for workflow-settings-aware approval checks
  * - Added isFeatureEnabledWithSettings() utility for feature flag checks
@@ -64,6 +71,7 @@
 import { useAuth } from '../contexts/AuthContext';
 import { useViewAs } from '../contexts/ViewAsContext';
 import * as perms from '../lib/permissions';
+import { projectSettingsService } from '../services/projectSettings.service';
 
 // ============================================
 // WORKFLOW SETTINGS UTILITY FUNCTIONS (v5.1)
@@ -130,51 +138,20 @@ export function getApprovalAuthorityWithSettings(settings, entityType) {
 }
 
 /**
- * Check if a role can approve an entity based on workflow settings
+ * Check if a user can approve an entity based on workflow settings
+ *
+ * Pass { userId, delegations } in the context to include approval
+ * authority delegated to the user (see projectSettingsService.getApprover).
+ *
  * @param {Object} settings - Project workflow settings object
  * @param {string} entityType - Entity type (e.g., 'timesheet', 'expense', 'baseline')
  * @param {string} role - User's project role
- * @param {Object} context - Additional context (e.g., { isChargeable: true } for expenses)
- * @returns {boolean} Whether the role can approve this entity type
+ * @param {Object} context - Additional context (e.g., { isChargeable: true } for expenses,
+ *   { userId, delegations } for delegated authority)
+ * @returns {boolean} Whether the user can approve this entity type
  */
 export function canApproveWithSettings(settings, entityType, role, context = {}) {
-  const authority = getApprovalAuthorityWithSettings(settings, entityType);
-
-  // Map roles to authority types
-  const isSupplier = ['supplier_pm', 'admin', 'supplier_finance'].includes(role);
-  const isCustomer = ['customer_pm', 'customer_finance'].includes(role);
-
-  switch (authority) {
-    case 'both':
-      // Both sides must sign - either can sign their part
-      return isSupplier || isCustomer;
-
-    case 'supplier_only':
-    case 'supplier_pm':
-      return isSupplier;
-
-    case 'customer_only':
-    case 'customer_pm':
-      return isCustomer;
-
-    case 'none':
-      // No approval required - anyone with edit permission can complete
-      return true;
-
-    case 'either':
-      // Either party can approve alone
-      return isSupplier || isCustomer;
-
-    case 'conditional':
-      // For expenses: chargeable → customer, non-chargeable → supplier
-      if (entityType === 'expense') {
-        return context.isChargeable ? isCustomer : isSupplier;
-      }
-      return isSupplier || isCustomer;
-
-    default:
-      return false;
-  }
+  return projectSettingsService.getApprover(settings || {}, entityType, role, context).canApprove;
 }
 
 /**
@@ -368,6 +345,7 @@ export function usePermissions() {
     canSignVariationAsSupplier: perms.canSignVariationAsSupplier(userRole),
     canSignVariationAsCustomer: perms.canSignVariationAsCustomer(userRole),
     canRejectVariation: perms.canRejectVariation(userRole),
+    canRevertVariation: perms.canRevertVariation(userRole),
     
     // Certificate permissions
     canSignAsSupplier: perms.canSignAsSupplier(userRole),
@@ -0,0 +1,77 @@
+/**
+ * usePlanCollaboration Hook
+ *
+ * Live collaboration on the current project's plan: streams other users'
+ * plan changes and shares which row each user is editing.
+ *
+ * Usage:
+ *   const { rowEditors, onlineUsers, setEditingItem } = usePlanCollaboration({
+ *     onRemoteChange: (change) => ...
+ *   });
+ *
+ * @version 1.0
+ * @created 19 October 2026
+ */
+
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { useProject } from '../contexts/ProjectContext';
+import planItemsService from '../services/planItemsService';
+import { getRowEditors } from '../lib/planCollaboration';
+
+/**
+ * @param {Object} options
+ * @param {Function} options.onRemoteChange - Called with each plan_item_changes
+ *   row made by another user
+ */
+export function usePlanCollaboration({ onRemoteChange } = {}) {
+  const { user, profile } = useAuth();
+  const { projectId } = useProject();
+
+  const [presenceState, setPresenceState] = useState({});
+  const channelRef = useRef(null);
+  const onRemoteChangeRef = useRef(onRemoteChange);
+  onRemoteChangeRef.current = onRemoteChange;
+
+  const userId = user?.id;
+  const presence = useMemo(() => ({
+    userId,
+    name: profile?.full_name || user?.email || 'Someone'
+  }), [userId, profile?.full_name, user?.email]);
+
+  useEffect(() => {
+    if (!projectId || !userId) return;
+
+    const channel = planItemsService.subscribeToChanges(projectId, {
+      onChange: (change) => {
+        if (change.changed_by === userId) return;
+        onRemoteChangeRef.current?.(change);
+      },
+      onPresence: setPresenceState
+    }, presence);
+    channelRef.current = channel;
+
+    return () => {
+      planItemsService.unsubscribeFromChanges(channel);
+      channelRef.current = null;
+      setPresenceState({});
+    };
+  }, [projectId, userId, presence]);
+
+  const setEditingItem = useCallback((itemId) => {
+    planItemsService.trackEditing(channelRef.current, presence, itemId);
+  }, [presence]);
+
+  const { editors, users } = useMemo(
+    () => getRowEditors(presenceState, userId),
+    [presenceState, userId]
+  );
+
+  return {
+    rowEditors: editors,
+    onlineUsers: users,
+    setEditingItem
+  };
+}
+
+export default usePlanCollaboration;
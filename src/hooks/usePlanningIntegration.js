@@ -123,7 +123,9 @@ export function usePlanningIntegration({
       return {
         ...item,
         _baselineLocked: baselineData?.baseline_locked || false,
-        _baselineSignedAt: baselineData?.signed_at || null
+        _baselineSignedAt: baselineData?.signed_at || null,
+        _baselineStart: baselineData?.baseline_locked ? baselineData.baseline_start_date : null,
+        _baselineEnd: baselineData?.baseline_locked ? baselineData.baseline_end_date : null
       };
     });
   }, [items, baselineStatusCache]);
@@ -150,7 +152,7 @@ export function usePlanningIntegration({
     try {
       const { data: milestones, error } = await supabase
         .from('milestones')
-        .select('id, baseline_locked, baseline_supplier_pm_signed_at, baseline_customer_pm_signed_at')
+        .select('id, baseline_locked, baseline_start_date, baseline_end_date, baseline_supplier_pm_signed_at, baseline_customer_pm_signed_at')
         .in('id', milestoneIds);
       
       if (error) throw error;
@@ -166,6 +168,8 @@ export function usePlanningIntegration({
         
         cache.set(m.id, {
           baseline_locked: m.baseline_locked,
+          baseline_start_date: m.baseline_start_date,
+          baseline_end_date: m.baseline_end_date,
           signed_at: signedAt
         });
       }
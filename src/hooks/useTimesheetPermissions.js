@@ -10,20 +10,22 @@
  * - Approval authority (from project settings) determines who can validate
  * - Admin has full access
  *
- * @version 2.1 - Workflow settings awareness
+ * @version 2.2 - Delegated approval authority
  * @created 6 December 2025
  * @updated 15 January 2026 - Fixed role resolution to use ViewAsContext
  * @updated 16 January 2026 - Added workflow settings integration (WP-07)
+ * @updated 19 October 2026 - Delegates can validate; onBehalfOf for the review
  */
 
 import { useAuth } from '../contexts/AuthContext';
 import { useViewAs } from '../contexts/ViewAsContext';
 import {
   usePermissions,
-  canApproveWithSettings,
   isFeatureEnabledWithSettings
 } from './usePermissions';
 import { useProjectSettings } from './useProjectSettings';
+import { useApprovalDelegations } from './useApprovalDelegations';
+import { projectSettingsService } from '../services/projectSettings.service';
 import {
   isEditable,
   isComplete,
@@ -59,6 +61,7 @@ export function useTimesheetPermissions(timesheet = null) {
 
   // v2.1: Get workflow settings for settings-aware permission checks
   const { settings: workflowSettings } = useProjectSettings();
+  const delegations = useApprovalDelegations();
 
   // Core role checks using effectiveRole
   // Note: v3.0 removed admin project role - supplier_pm now has full management capabilities
@@ -77,6 +80,13 @@ export function useTimesheetPermissions(timesheet = null) {
   const currentUserId = user?.id || null;
   const currentUserName = profile?.full_name || user?.email || 'Unknown';
   const currentUserResourceId = linkedResource?.id || null;
+
+  // Approval authority from settings, including authority delegated to
+  // the user; onBehalfOf is the delegator when acting under a delegation
+  const approver = projectSettingsService.getApprover(workflowSettings || {}, 'timesheet', userRole, {
+    userId: currentUserId,
+    delegations
+  });
   
   // Ownership check
   const isOwner = (() => {
@@ -112,7 +122,7 @@ export function useTimesheetPermissions(timesheet = null) {
     // If approval not required, anyone with edit permission can complete
     if (!approvalRequired) return canAdd;
     // Use settings-aware check
-    return canApproveWithSettings(workflowSettings, 'timesheet', userRole);
+    return approver.canApprove;
   })();
   
   // ============================================
@@ -201,7 +211,7 @@ export function useTimesheetPermissions(timesheet = null) {
     if (isAdmin) return true;
 
     // Use settings-aware approval authority check
-    return canApproveWithSettings(workflowSettings, 'timesheet', userRole);
+    return approver.canApprove;
   })();
   
   /**
@@ -209,6 +219,12 @@ export function useTimesheetPermissions(timesheet = null) {
    * Same rules as validate - semantic alias
    */
   const canReject = canValidate;
+
+  /**
+   * Delegator to record when validating or rejecting, or null when the
+   * user reviews with their own authority
+   */
+  const onBehalfOf = approvalRequired && !isAdmin ? approver.onBehalfOf : null;
   
   // ============================================
   // STATUS FLAGS
@@ -261,6 +277,7 @@ export function useTimesheetPermissions(timesheet = null) {
     canSubmit,
     canValidate,
     canReject,
+    onBehalfOf,
 
     // Status flags
     isEditable: timesheetIsEditable,
@@ -0,0 +1,58 @@
+/**
+ * useWorkingCalendar Hook
+ *
+ * Loads the current project's working calendars for scheduling and
+ * date pickers. `calendar` is null when the project has no working
+ * calendar configured (every day is then treated as a working day).
+ *
+ * @version 1.0
+ * @created 19 October 2026
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { useProject } from '../contexts/ProjectContext';
+import { workingCalendarsService } from '../services/workingCalendars.service';
+
+export function useWorkingCalendar() {
+  const { projectId } = useProject();
+
+  const [calendar, setCalendar] = useState(null);
+  const [resourceCalendars, setResourceCalendars] = useState({});
+  const [loading, setLoading] = useState(true);
+
+  const fetchCalendars = useCallback(async () => {
+    if (!projectId) {
+      setCalendar(null);
+      setResourceCalendars({});
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const result = await workingCalendarsService.getSchedulingCalendars(projectId);
+      setCalendar(result.calendar);
+      setResourceCalendars(result.resourceCalendars);
+    } catch (err) {
+      // Scheduling still works without a calendar - don't block the page
+      console.error('useWorkingCalendar fetch error:', err);
+      setCalendar(null);
+      setResourceCalendars({});
+    } finally {
+      setLoading(false);
+    }
+  }, [projectId]);
+
+  useEffect(() => {
+    fetchCalendars();
+  }, [fetchCalendars]);
+
+  return {
+    calendar,
+    resourceCalendars,
+    loading,
+    refresh: fetchCalendars
+  };
+}
+
+export default useWorkingCalendar;
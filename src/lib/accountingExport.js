@@ -0,0 +1,584 @@
+/**
+ * Accounting Export - Import files for Xero, QuickBooks and Sage, and
+ * UBL 2.1 / Peppol BIS Billing 3.0 e-invoices
+ *
+ * Issued partner invoices and credit notes are exported as sales
+ * documents; paid expenses as purchases / bank payments. Everything is
+ * file based: each builder returns file contents for the finance team to
+ * import, and the ids of the records it included so the caller can mark
+ * them exported.
+ *
+ * Amounts are exported one line per invoice line (quantity 1, unit amount
+ * = line net) because timesheet lines carry hours against a day rate.
+ *
+ * Records a format cannot carry are left out and reported in `warnings`,
+ * e.g. QuickBooks cannot import credit notes from CSV.
+ *
+ * Input shapes:
+ * - invoice: partner_invoices row with lines, partners and credited_invoice
+ * - expense: expenses row plus exchange_rate (expense currency to project
+ *   currency on the expense date)
+ *
+ * CSV text cells that a spreadsheet would run as a formula are prefixed
+ * with an apostrophe; amounts (including negative credit note amounts)
+ * are left as numbers.
+ *
+ * @version 1.1
+ * @created 19 October 2026
+ * @updated 19 October 2026 - Guard CSV cells against formula injection
+ */
+
+import { DOCUMENT_TYPE, TAX_TREATMENT, roundMoney, summariseTax } from './tax';
+
+export const EXPORT_FORMAT = Object.freeze({
+  XERO: 'xero',
+  QUICKBOOKS: 'quickbooks',
+  SAGE: 'sage',
+  UBL: 'ubl'
+});
+
+export const EXPORT_RECORD_TYPE = Object.freeze({
+  INVOICE: 'invoice',
+  EXPENSE: 'expense'
+});
+
+export const EXPORT_FORMAT_CONFIG = Object.freeze({
+  [EXPORT_FORMAT.XERO]: {
+    label: 'Xero',
+    extension: 'csv',
+    mimeType: 'text/csv',
+    recordTypes: [EXPORT_RECORD_TYPE.INVOICE, EXPORT_RECORD_TYPE.EXPENSE]
+  },
+  [EXPORT_FORMAT.QUICKBOOKS]: {
+    label: 'QuickBooks Online',
+    extension: 'csv',
+    mimeType: 'text/csv',
+    recordTypes: [EXPORT_RECORD_TYPE.INVOICE, EXPORT_RECORD_TYPE.EXPENSE]
+  },
+  [EXPORT_FORMAT.SAGE]: {
+    label: 'Sage 50 (audit trail)',
+    extension: 'csv',
+    mimeType: 'text/csv',
+    recordTypes: [EXPORT_RECORD_TYPE.INVOICE, EXPORT_RECORD_TYPE.EXPENSE]
+  },
+  [EXPORT_FORMAT.UBL]: {
+    label: 'UBL 2.1 / Peppol BIS 3.0',
+    extension: 'xml',
+    mimeType: 'application/xml',
+    recordTypes: [EXPORT_RECORD_TYPE.INVOICE]
+  }
+});
+
+// Only issued invoices and paid expenses are handed to accounts
+export const EXPORTABLE_STATUSES = Object.freeze({
+  [EXPORT_RECORD_TYPE.INVOICE]: ['Sent', 'Paid'],
+  [EXPORT_RECORD_TYPE.EXPENSE]: ['Paid']
+});
+
+// Default chart of accounts codes (Xero / Sage) and names (QuickBooks)
+export const DEFAULT_ACCOUNTS = Object.freeze({
+  [EXPORT_FORMAT.XERO]: {
+    sales: '200', bank: '090', expense: '429',
+    Travel: '493', Accommodation: '493', Sustenance: '420'
+  },
+  [EXPORT_FORMAT.QUICKBOOKS]: {
+    sales: 'Sales', bank: 'Current Account', expense: 'Other General and Administrative Expenses',
+    Travel: 'Travel', Accommodation: 'Travel', Sustenance: 'Travel Meals'
+  },
+  [EXPORT_FORMAT.SAGE]: {
+    sales: '4000', bank: '1200', expense: '8200',
+    Travel: '7400', Accommodation: '7400', Sustenance: '7406'
+  }
+});
+
+// Sales tax codes per treatment; expenses carry no VAT detail
+const TAX_CODES = {
+  [EXPORT_FORMAT.XERO]: {
+    [TAX_TREATMENT.STANDARD]: 'OUTPUT2',
+    [TAX_TREATMENT.REDUCED]: 'RROUTPUT',
+    [TAX_TREATMENT.ZERO]: 'ZERORATEDOUTPUT',
+    [TAX_TREATMENT.REVERSE_CHARGE]: 'DRCHARGESUPPLY20',
+    expense: 'NONE'
+  },
+  [EXPORT_FORMAT.QUICKBOOKS]: {
+    [TAX_TREATMENT.STANDARD]: '20.0% S',
+    [TAX_TREATMENT.REDUCED]: '5.0% R',
+    [TAX_TREATMENT.ZERO]: '0.0% Z',
+    [TAX_TREATMENT.REVERSE_CHARGE]: '20.0% RC',
+    expense: 'No VAT'
+  },
+  [EXPORT_FORMAT.SAGE]: {
+    [TAX_TREATMENT.STANDARD]: 'T1',
+    [TAX_TREATMENT.REDUCED]: 'T5',
+    [TAX_TREATMENT.ZERO]: 'T0',
+    [TAX_TREATMENT.REVERSE_CHARGE]: 'T20',
+    expense: 'T9'
+  }
+};
+
+// UN/ECE 5305 VAT category codes used by Peppol
+const UBL_TAX_CATEGORY = {
+  [TAX_TREATMENT.STANDARD]: 'S',
+  [TAX_TREATMENT.REDUCED]: 'S',
+  [TAX_TREATMENT.ZERO]: 'Z',
+  [TAX_TREATMENT.REVERSE_CHARGE]: 'AE'
+};
+
+const PEPPOL_CUSTOMIZATION_ID = 'urn:cen.eu:en16931:2017#compliant#urn:fdc:peppol.eu:2017:poacc:billing:3.0';
+const PEPPOL_PROFILE_ID = 'urn:fdc:peppol.eu:2017:poacc:billing:01:1.0';
+
+// ============================================
+// SHARED HELPERS
+// ============================================
+
+/** Leading characters spreadsheets treat as the start of a formula */
+const CSV_FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const CSV_NUMBER = /^[-+]?\d+(\.\d+)?$/;
+
+function escapeCsv(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (CSV_FORMULA_PREFIX.test(text) && !CSV_NUMBER.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build CSV text from a header row and data rows
+ */
+export function toCsv(headers, rows) {
+  return [headers, ...rows].map(row => row.map(escapeCsv).join(',')).join('\r\n') + '\r\n';
+}
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function money(value) {
+  return roundMoney(value).toFixed(2);
+}
+
+// YYYY-MM-DD to DD/MM/YYYY (UK import layouts)
+function ukDate(date) {
+  if (!date) return '';
+  const [year, month, day] = String(date).slice(0, 10).split('-');
+  return `${day}/${month}/${year}`;
+}
+
+/**
+ * Due date from the invoice date and payment terms ("Net 30")
+ */
+export function getDueDate(invoiceDate, paymentTerms) {
+  const days = parseInt(String(paymentTerms || '').replace(/\D/g, ''), 10);
+  const due = new Date(`${String(invoiceDate).slice(0, 10)}T00:00:00Z`);
+  due.setUTCDate(due.getUTCDate() + (Number.isFinite(days) ? days : 30));
+  return due.toISOString().slice(0, 10);
+}
+
+function isCreditNote(invoice) {
+  return invoice.document_type === DOCUMENT_TYPE.CREDIT_NOTE;
+}
+
+// Lines billed on the document (supplier-procured expenses are not)
+function billedLines(invoice) {
+  return (invoice.lines || []).filter(line => line.line_type !== 'supplier_expense');
+}
+
+function accountsFor(format, overrides = {}) {
+  return { ...DEFAULT_ACCOUNTS[format], ...overrides };
+}
+
+function expenseAccount(accounts, expense) {
+  return accounts[expense.category] || accounts.expense;
+}
+
+function expenseReference(expense) {
+  return `EXP-${String(expense.id).slice(0, 8).toUpperCase()}`;
+}
+
+function expenseDescription(expense) {
+  return [expense.resource_name, expense.category, expense.reason].filter(Boolean).join(' - ');
+}
+
+// Sage account references: up to 8 upper-case letters and digits
+function sageAccountRef(name) {
+  return String(name || 'PARTNER').toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 8) || 'PARTNER';
+}
+
+// ============================================
+// XERO
+// ============================================
+
+function xeroInvoices(invoices, accounts) {
+  const headers = ['*ContactName', 'EmailAddress', '*InvoiceNumber', 'Reference', '*InvoiceDate', '*DueDate',
+    '*Description', '*Quantity', '*UnitAmount', '*AccountCode', '*TaxType', 'TaxAmount', 'Currency'];
+  const rows = [];
+  invoices.forEach(invoice => {
+    // Xero imports a document with a negative total as a credit note
+    billedLines(invoice).forEach(line => {
+      rows.push([
+        invoice.partners?.name,
+        invoice.partners?.contact_email,
+        invoice.invoice_number,
+        isCreditNote(invoice) ? invoice.credited_invoice?.invoice_number : '',
+        ukDate(invoice.invoice_date),
+        ukDate(getDueDate(invoice.invoice_date, invoice.partners?.payment_terms)),
+        line.description,
+        1,
+        money(line.line_total),
+        accounts.sales,
+        TAX_CODES.xero[line.tax_treatment] || TAX_CODES.xero[TAX_TREATMENT.STANDARD],
+        money(line.tax_amount),
+        invoice.currency
+      ]);
+    });
+  });
+  return { headers, rows, included: invoices.map(i => i.id), warnings: [] };
+}
+
+function xeroExpenses(expenses, accounts) {
+  const headers = ['*ContactName', '*InvoiceNumber', '*InvoiceDate', '*DueDate',
+    '*Description', '*Quantity', '*UnitAmount', '*AccountCode', '*TaxType', 'Currency'];
+  const rows = expenses.map(expense => [
+    expense.resource_name,
+    expenseReference(expense),
+    ukDate(expense.expense_date),
+    ukDate(expense.expense_date),
+    expenseDescription(expense),
+    1,
+    money(expense.amount),
+    expenseAccount(accounts, expense),
+    TAX_CODES.xero.expense,
+    expense.currency
+  ]);
+  return { headers, rows, included: expenses.map(e => e.id), warnings: [] };
+}
+
+// ============================================
+// QUICKBOOKS ONLINE
+// ============================================
+
+function quickBooksInvoices(invoices, accounts) {
+  const headers = ['InvoiceNo', 'Customer', 'InvoiceDate', 'DueDate', 'Terms', 'Memo',
+    'Item(Product/Service)', 'ItemDescription', 'ItemQuantity', 'ItemRate', 'ItemAmount',
+    'ItemTaxCode', 'ItemTaxAmount', 'Currency'];
+  const rows = [];
+  const included = [];
+  const warnings = [];
+  invoices.forEach(invoice => {
+    if (isCreditNote(invoice)) {
+      warnings.push(`${invoice.invoice_number}: QuickBooks cannot import credit notes from CSV - raise it as a credit memo`);
+      return;
+    }
+    included.push(invoice.id);
+    billedLines(invoice).forEach(line => {
+      rows.push([
+        invoice.invoice_number,
+        invoice.partners?.name,
+        ukDate(invoice.invoice_date),
+        ukDate(getDueDate(invoice.invoice_date, invoice.partners?.payment_terms)),
+        invoice.partners?.payment_terms,
+        invoice.notes,
+        accounts.sales,
+        line.description,
+        1,
+        money(line.line_total),
+        money(line.line_total),
+        TAX_CODES.quickbooks[line.tax_treatment] || TAX_CODES.quickbooks[TAX_TREATMENT.STANDARD],
+        money(line.tax_amount),
+        invoice.currency
+      ]);
+    });
+  });
+  return { headers, rows, included, warnings };
+}
+
+function quickBooksExpenses(expenses, accounts) {
+  const headers = ['Ref No', 'Payee', 'Payment Date', 'Payment Account', 'Expense Account',
+    'Expense Description', 'Expense Line Amount', 'Expense Tax Code', 'Currency'];
+  const rows = expenses.map(expense => [
+    expenseReference(expense),
+    expense.resource_name,
+    ukDate(expense.expense_date),
+    accounts.bank,
+    expenseAccount(accounts, expense),
+    expenseDescription(expense),
+    money(expense.amount),
+    TAX_CODES.quickbooks.expense,
+    expense.currency
+  ]);
+  return { headers, rows, included: expenses.map(e => e.id), warnings: [] };
+}
+
+// ============================================
+// SAGE 50 (AUDIT TRAIL TRANSACTIONS)
+// ============================================
+
+const SAGE_HEADERS = ['Type', 'Account Reference', 'Nominal A/C Ref', 'Department Code', 'Date', 'Reference',
+  'Details', 'Net Amount', 'Tax Code', 'Tax Amount', 'Exchange Rate', 'Extra Reference', 'User Name',
+  'Project Refn', 'Cost Code Refn'];
+
+// Sage rates are foreign units per unit of base currency
+function sageExchangeRate(rate) {
+  const value = parseFloat(rate);
+  return value && value !== 1 ? (1 / value).toFixed(6) : '';
+}
+
+function sageInvoices(invoices, accounts) {
+  const rows = [];
+  invoices.forEach(invoice => {
+    // Sales credits (SC) carry positive amounts
+    const credit = isCreditNote(invoice);
+    billedLines(invoice).forEach(line => {
+      rows.push([
+        credit ? 'SC' : 'SI',
+        sageAccountRef(invoice.partners?.name),
+        accounts.sales,
+        '',
+        ukDate(invoice.invoice_date),
+        invoice.invoice_number,
+        String(line.description || '').slice(0, 60),
+        money(Math.abs(line.line_total)),
+        TAX_CODES.sage[line.tax_treatment] || TAX_CODES.sage[TAX_TREATMENT.STANDARD],
+        money(Math.abs(line.tax_amount)),
+        sageExchangeRate(invoice.exchange_rate),
+        credit ? invoice.credited_invoice?.invoice_number : '',
+        '',
+        '',
+        ''
+      ]);
+    });
+  });
+  return { headers: SAGE_HEADERS, rows, included: invoices.map(i => i.id), warnings: [] };
+}
+
+function sageExpenses(expenses, accounts) {
+  const rows = expenses.map(expense => [
+    'BP',
+    accounts.bank,
+    expenseAccount(accounts, expense),
+    '',
+    ukDate(expense.expense_date),
+    expenseReference(expense),
+    expenseDescription(expense).slice(0, 60),
+    money(expense.amount),
+    TAX_CODES.sage.expense,
+    '0.00',
+    sageExchangeRate(expense.exchange_rate),
+    '',
+    expense.resource_name,
+    '',
+    ''
+  ]);
+  return { headers: SAGE_HEADERS, rows, included: expenses.map(e => e.id), warnings: [] };
+}
+
+// ============================================
+// UBL 2.1 / PEPPOL BIS BILLING 3.0
+// ============================================
+
+function ublParty(tag, party, countryCode) {
+  const taxScheme = party.taxNumber
+    ? `
+      <cac:PartyTaxScheme>
+        <cbc:CompanyID>${escapeXml(party.taxNumber)}</cbc:CompanyID>
+        <cac:TaxScheme><cbc:ID>VAT</cbc:ID></cac:TaxScheme>
+      </cac:PartyTaxScheme>`
+    : '';
+  return `  <cac:${tag}>
+    <cac:Party>
+      <cac:PartyName><cbc:Name>${escapeXml(party.name)}</cbc:Name></cac:PartyName>
+      <cac:PostalAddress>
+        <cac:Country><cbc:IdentificationCode>${escapeXml(countryCode)}</cbc:IdentificationCode></cac:Country>
+      </cac:PostalAddress>${taxScheme}
+      <cac:PartyLegalEntity><cbc:RegistrationName>${escapeXml(party.name)}</cbc:RegistrationName></cac:PartyLegalEntity>
+    </cac:Party>
+  </cac:${tag}>`;
+}
+
+function ublTaxCategory(tag, treatment, rate) {
+  const category = UBL_TAX_CATEGORY[treatment] || 'S';
+  const exemption = category === 'AE'
+    ? `
+      <cbc:TaxExemptionReasonCode>VATEX-EU-AE</cbc:TaxExemptionReasonCode>
+      <cbc:TaxExemptionReason>Reverse charge</cbc:TaxExemptionReason>`
+    : '';
+  return `<cac:${tag}>
+      <cbc:ID>${category}</cbc:ID>
+      <cbc:Percent>${money(rate)}</cbc:Percent>${exemption}
+      <cac:TaxScheme><cbc:ID>VAT</cbc:ID></cac:TaxScheme>
+    </cac:${tag}>`;
+}
+
+/**
+ * One UBL Invoice or CreditNote document
+ *
+ * @param {Object} invoice - Invoice or credit note with lines
+ * @param {Object} options - { seller: { name, taxNumber }, countryCode, buyerReference }
+ * @returns {{ xml: string, warnings: Array<string> }}
+ */
+export function buildUblDocument(invoice, options = {}) {
+  const seller = options.seller || {};
+  const countryCode = options.countryCode || 'GB';
+  const credit = isCreditNote(invoice);
+  const root = credit ? 'CreditNote' : 'Invoice';
+  const lineTag = credit ? 'CreditNoteLine' : 'InvoiceLine';
+  const quantityTag = credit ? 'CreditedQuantity' : 'InvoicedQuantity';
+  const sign = credit ? -1 : 1;
+  const warnings = [];
+
+  // UBL credit notes carry positive amounts
+  const lines = billedLines(invoice).map(line => ({
+    ...line,
+    line_total: roundMoney(sign * line.line_total),
+    tax_amount: roundMoney(sign * line.tax_amount),
+    tax_treatment: line.tax_treatment || invoice.tax_treatment || TAX_TREATMENT.STANDARD,
+    tax_rate: parseFloat(line.tax_rate) || 0
+  }));
+  const summary = summariseTax(lines);
+
+  // Peppol rounds tax per category; flag where that differs from per-line tax
+  const subtotals = summary.breakdown.map(group => ({
+    ...group,
+    tax: roundMoney(group.net * group.rate / 100)
+  }));
+  const taxTotal = roundMoney(subtotals.reduce((sum, g) => sum + g.tax, 0));
+  if (taxTotal !== summary.tax) {
+    warnings.push(`${invoice.invoice_number}: VAT rounded per rate (${money(taxTotal)}) differs from the sum of line VAT (${money(summary.tax)})`);
+  }
+  if (!seller.taxNumber) warnings.push(`${invoice.invoice_number}: no seller VAT number in organisation settings`);
+  if (lines.some(l => l.tax_treatment === TAX_TREATMENT.REVERSE_CHARGE) && !invoice.partners?.tax_number) {
+    warnings.push(`${invoice.invoice_number}: reverse charge needs the partner VAT number`);
+  }
+
+  const currency = escapeXml(invoice.currency);
+  const amount = (tag, value) => `<cbc:${tag} currencyID="${currency}">${money(value)}</cbc:${tag}>`;
+  const dueDate = credit ? '' : `
+  <cbc:DueDate>${getDueDate(invoice.invoice_date, invoice.partners?.payment_terms)}</cbc:DueDate>`;
+  const billingReference = credit && invoice.credited_invoice?.invoice_number
+    ? `
+  <cac:BillingReference>
+    <cac:InvoiceDocumentReference><cbc:ID>${escapeXml(invoice.credited_invoice.invoice_number)}</cbc:ID></cac:InvoiceDocumentReference>
+  </cac:BillingReference>`
+    : '';
+  const note = credit && invoice.credit_reason ? `
+  <cbc:Note>${escapeXml(invoice.credit_reason)}</cbc:Note>` : '';
+
+  const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<${root} xmlns="urn:oasis:names:specification:ubl:schema:xsd:${root}-2"
+  xmlns:cac="urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2"
+  xmlns:cbc="urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2">
+  <cbc:CustomizationID>${PEPPOL_CUSTOMIZATION_ID}</cbc:CustomizationID>
+  <cbc:ProfileID>${PEPPOL_PROFILE_ID}</cbc:ProfileID>
+  <cbc:ID>${escapeXml(invoice.invoice_number)}</cbc:ID>
+  <cbc:IssueDate>${String(invoice.invoice_date).slice(0, 10)}</cbc:IssueDate>${dueDate}
+  <cbc:${root}TypeCode>${credit ? '381' : '380'}</cbc:${root}TypeCode>${note}
+  <cbc:DocumentCurrencyCode>${currency}</cbc:DocumentCurrencyCode>
+  <cbc:BuyerReference>${escapeXml(options.buyerReference || invoice.invoice_number)}</cbc:BuyerReference>
+  <cac:InvoicePeriod>
+    <cbc:StartDate>${String(invoice.period_start).slice(0, 10)}</cbc:StartDate>
+    <cbc:EndDate>${String(invoice.period_end).slice(0, 10)}</cbc:EndDate>
+  </cac:InvoicePeriod>${billingReference}
+${ublParty('AccountingSupplierParty', seller, countryCode)}
+${ublParty('AccountingCustomerParty', { name: invoice.partners?.name, taxNumber: invoice.partners?.tax_number }, countryCode)}
+  <cac:TaxTotal>
+    ${amount('TaxAmount', taxTotal)}
+${subtotals.map(group => `    <cac:TaxSubtotal>
+      ${amount('TaxableAmount', group.net)}
+      ${amount('TaxAmount', group.tax)}
+      ${ublTaxCategory('TaxCategory', group.treatment, group.rate)}
+    </cac:TaxSubtotal>`).join('\n')}
+  </cac:TaxTotal>
+  <cac:LegalMonetaryTotal>
+    ${amount('LineExtensionAmount', summary.net)}
+    ${amount('TaxExclusiveAmount', summary.net)}
+    ${amount('TaxInclusiveAmount', summary.net + taxTotal)}
+    ${amount('PayableAmount', summary.net + taxTotal)}
+  </cac:LegalMonetaryTotal>
+${lines.map((line, index) => `  <cac:${lineTag}>
+    <cbc:ID>${index + 1}</cbc:ID>
+    <cbc:${quantityTag} unitCode="C62">1</cbc:${quantityTag}>
+    ${amount('LineExtensionAmount', line.line_total)}
+    <cac:Item>
+      <cbc:Name>${escapeXml(String(line.description || '').slice(0, 100))}</cbc:Name>
+      ${ublTaxCategory('ClassifiedTaxCategory', line.tax_treatment, line.tax_rate)}
+    </cac:Item>
+    <cac:Price>
+      ${amount('PriceAmount', line.line_total)}
+    </cac:Price>
+  </cac:${lineTag}>`).join('\n')}
+</${root}>
+`;
+
+  return { xml, warnings };
+}
+
+// ============================================
+// ENTRY POINT
+// ============================================
+
+const CSV_BUILDERS = {
+  [EXPORT_FORMAT.XERO]: { invoice: xeroInvoices, expense: xeroExpenses },
+  [EXPORT_FORMAT.QUICKBOOKS]: { invoice: quickBooksInvoices, expense: quickBooksExpenses },
+  [EXPORT_FORMAT.SAGE]: { invoice: sageInvoices, expense: sageExpenses }
+};
+
+/**
+ * Build the export files for a set of records
+ *
+ * @param {string} format - EXPORT_FORMAT value
+ * @param {string} recordType - EXPORT_RECORD_TYPE value
+ * @param {Array} records - Invoices (with lines) or expenses
+ * @param {Object} [options]
+ * @param {string} [options.baseName] - File name stem
+ * @param {Object} [options.accounts] - Account code overrides (CSV formats)
+ * @param {Object} [options.seller] - { name, taxNumber } (UBL)
+ * @param {string} [options.countryCode] - ISO country for UBL parties
+ * @returns {{ files: Array<{fileName, content, mimeType}>, included: Array<string>, warnings: Array<string> }}
+ */
+export function buildAccountingExport(format, recordType, records, options = {}) {
+  const config = EXPORT_FORMAT_CONFIG[format];
+  if (!config || !config.recordTypes.includes(recordType)) {
+    throw new Error(`${config?.label || format} export does not support ${recordType}s`);
+  }
+  const baseName = options.baseName || `${format}-${recordType}s`;
+
+  if (format === EXPORT_FORMAT.UBL) {
+    const warnings = [];
+    const files = records.map(invoice => {
+      const result = buildUblDocument(invoice, options);
+      warnings.push(...result.warnings);
+      return {
+        fileName: `${invoice.invoice_number}.xml`,
+        content: result.xml,
+        mimeType: config.mimeType
+      };
+    });
+    return { files, included: records.map(r => r.id), warnings };
+  }
+
+  const result = CSV_BUILDERS[format][recordType](records, accountsFor(format, options.accounts));
+  const files = result.rows.length > 0
+    ? [{ fileName: `${baseName}.csv`, content: toCsv(result.headers, result.rows), mimeType: config.mimeType }]
+    : [];
+  return { files, included: result.included, warnings: result.warnings };
+}
+
+export default {
+  EXPORT_FORMAT,
+  EXPORT_RECORD_TYPE,
+  EXPORT_FORMAT_CONFIG,
+  EXPORTABLE_STATUSES,
+  DEFAULT_ACCOUNTS,
+  toCsv,
+  getDueDate,
+  buildUblDocument,
+  buildAccountingExport
+};
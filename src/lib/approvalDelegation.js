@@ -0,0 +1,179 @@
+/**
+ * Approval Delegation - cover for an approver during leave
+ *
+ * A customer PM can delegate their timesheet and expense approval
+ * authority to another project user for a date range. While the
+ * delegation is active the delegate approves as a customer PM, and each
+ * item they review records the delegator (reviewed_on_behalf_of) so the
+ * audit trail reads "approved by X on behalf of Y".
+ *
+ * A delegation is:
+ * - scheduled until its start date
+ * - active from its start date to its end date, inclusive
+ * - expired after its end date
+ * - revoked once the delegator (or an admin) cancels it
+ *
+ * @version 1.0
+ * @created 19 October 2026
+ */
+
+import { toDateKey } from './workingCalendar';
+
+// Role whose authority can be delegated, and that the delegate acts as
+export const DELEGATOR_ROLE = 'customer_pm';
+
+export const DELEGATION_ENTITY_TYPE = Object.freeze({
+  TIMESHEET: 'timesheet',
+  EXPENSE: 'expense'
+});
+
+export const DELEGATION_ENTITY_CONFIG = Object.freeze({
+  [DELEGATION_ENTITY_TYPE.TIMESHEET]: { label: 'Timesheets' },
+  [DELEGATION_ENTITY_TYPE.EXPENSE]: { label: 'Expenses' }
+});
+
+export const DELEGATION_STATUS = Object.freeze({
+  SCHEDULED: 'scheduled',
+  ACTIVE: 'active',
+  EXPIRED: 'expired',
+  REVOKED: 'revoked'
+});
+
+export const DELEGATION_STATUS_CONFIG = Object.freeze({
+  [DELEGATION_STATUS.SCHEDULED]: { label: 'Scheduled', color: '#2563eb', bg: '#dbeafe' },
+  [DELEGATION_STATUS.ACTIVE]: { label: 'Active', color: '#166534', bg: '#dcfce7' },
+  [DELEGATION_STATUS.EXPIRED]: { label: 'Expired', color: '#64748b', bg: '#f1f5f9' },
+  [DELEGATION_STATUS.REVOKED]: { label: 'Revoked', color: '#b91c1c', bg: '#fee2e2' }
+});
+
+export const DELEGATION_ERROR = Object.freeze({
+  INVALID_DELEGATION: 'INVALID_DELEGATION',
+  NOT_AUTHORISED: 'NOT_AUTHORISED'
+});
+
+// Longest delegation allowed, so cover cannot be left in place indefinitely
+export const MAX_DELEGATION_DAYS = 90;
+
+const dayNumber = (key) => Date.parse(`${key}T00:00:00Z`) / 86400000;
+
+/**
+ * Status of a delegation on a date
+ * @param {Object} delegation - { start_date, end_date, revoked_at }
+ * @param {Date|string} [date]
+ * @returns {string} DELEGATION_STATUS value
+ */
+export function getDelegationStatus(delegation, date = new Date()) {
+  if (delegation.revoked_at) return DELEGATION_STATUS.REVOKED;
+  const today = toDateKey(date);
+  if (today < delegation.start_date) return DELEGATION_STATUS.SCHEDULED;
+  if (today > delegation.end_date) return DELEGATION_STATUS.EXPIRED;
+  return DELEGATION_STATUS.ACTIVE;
+}
+
+/**
+ * Validate a new delegation
+ * @param {Object} delegation - { delegator_id, delegate_id, start_date, end_date, entity_types }
+ * @param {Object} [options]
+ * @param {Date|string} [options.today] - Delegations cannot start in the past
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateDelegation(delegation, { today = new Date() } = {}) {
+  const { delegator_id, delegate_id, start_date, end_date, entity_types } = delegation;
+
+  if (!delegate_id) return 'Choose who will approve on your behalf';
+  if (delegate_id === delegator_id) return 'You cannot delegate approval to yourself';
+  if (!start_date || !end_date) return 'Enter the dates the delegation covers';
+  if (end_date < start_date) return 'The end date must be on or after the start date';
+  if (start_date < toDateKey(today)) return 'A delegation cannot start in the past';
+  if (dayNumber(end_date) - dayNumber(start_date) + 1 > MAX_DELEGATION_DAYS) {
+    return `A delegation can cover at most ${MAX_DELEGATION_DAYS} days`;
+  }
+
+  const types = entity_types || [];
+  const known = Object.values(DELEGATION_ENTITY_TYPE);
+  if (types.length === 0) return 'Choose what the delegate can approve';
+  if (types.some(t => !known.includes(t))) return 'Only timesheet and expense approval can be delegated';
+
+  return null;
+}
+
+/**
+ * Active delegation letting a user approve an entity type on a date
+ *
+ * Where several delegators have delegated to the same user, the earliest
+ * delegation is used so the "on behalf of" recorded is stable.
+ *
+ * @param {Array} delegations - Project delegations
+ * @param {Object} criteria
+ * @param {string} criteria.delegateId - User approving
+ * @param {string} criteria.entityType - 'timesheet' or 'expense'
+ * @param {Date|string} [criteria.date]
+ * @returns {Object|null} Delegation
+ */
+export function findActiveDelegation(delegations, { delegateId, entityType, date = new Date() }) {
+  return (delegations || [])
+    .filter(d => d.delegate_id === delegateId)
+    .filter(d => (d.entity_types || []).includes(entityType))
+    .filter(d => getDelegationStatus(d, date) === DELEGATION_STATUS.ACTIVE)
+    .sort((a, b) => (a.created_at || '').localeCompare(b.created_at || ''))[0] || null;
+}
+
+/**
+ * "Approved by X on behalf of Y" for a reviewed item
+ * @param {Object} review - { action, reviewer, onBehalfOf } (names)
+ * @returns {string}
+ */
+export function describeReview({ action = 'Approved', reviewer, onBehalfOf = null }) {
+  const by = `${action} by ${reviewer || 'Unknown user'}`;
+  return onBehalfOf ? `${by} on behalf of ${onBehalfOf}` : by;
+}
+
+/**
+ * Reviewer columns for an approved or rejected timesheet or expense
+ * @param {Object} review
+ * @param {string} [review.reviewedBy] - User approving or rejecting
+ * @param {string} [review.onBehalfOf] - Delegator, when acting under a delegation
+ * @param {string} [review.note] - Note given with an approval
+ * @returns {Object} Columns to update (empty when no reviewer is given)
+ */
+export function getReviewFields({ reviewedBy = null, onBehalfOf = null, note = null } = {}) {
+  if (!reviewedBy) return {};
+  return {
+    reviewed_by: reviewedBy,
+    reviewed_at: new Date().toISOString(),
+    reviewed_on_behalf_of: onBehalfOf || null,
+    review_note: note || null
+  };
+}
+
+/**
+ * Summarise the results of a bulk action
+ * @param {Array<{ id, ok: boolean, error?: string }>} results
+ * @param {string} [verb] - Past tense of the action
+ * @returns {{ succeeded: string[], failed: Array<{ id, error }>, message: string }}
+ */
+export function summariseBulkResults(results, verb = 'approved') {
+  const succeeded = results.filter(r => r.ok).map(r => r.id);
+  const failed = results.filter(r => !r.ok).map(r => ({ id: r.id, error: r.error }));
+  const plural = (n) => `${n} item${n === 1 ? '' : 's'}`;
+
+  let message = `${plural(succeeded.length)} ${verb}`;
+  if (failed.length > 0) message += `, ${failed.length} could not be ${verb}`;
+  return { succeeded, failed, message };
+}
+
+export default {
+  DELEGATOR_ROLE,
+  DELEGATION_ENTITY_TYPE,
+  DELEGATION_ENTITY_CONFIG,
+  DELEGATION_STATUS,
+  DELEGATION_STATUS_CONFIG,
+  DELEGATION_ERROR,
+  MAX_DELEGATION_DAYS,
+  getDelegationStatus,
+  validateDelegation,
+  findActiveDelegation,
+  describeReview,
+  getReviewFields,
+  summariseBulkResults
+};
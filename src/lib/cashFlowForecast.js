@@ -0,0 +1,354 @@
+/**
+ * Cash-Flow Forecast - monthly inflows and outflows for a project
+ *
+ * Inflows: each billable milestone not yet paid is billed on its expected
+ * date (latest deliverable due date, else the milestone forecast end) and
+ * paid after the customer payment terms. Milestones already billed are
+ * paid on terms from their expected date; overdue amounts fall in the
+ * first month.
+ *
+ * Outflows:
+ * - resource costs: planned days (plan item resource assignments, see
+ *   lib/resourceLoading.js) x the cost rate valid on each day. Partner
+ *   resources are invoiced at month end and paid on the partner's terms;
+ *   other resources are paid in the month worked.
+ * - recurring expenses: the average monthly expense spend over the last
+ *   few complete months, continued until the last month with planned
+ *   work or billing.
+ *
+ * Date scenarios move the milestone billing dates (optimistic earlier,
+ * pessimistic later); costs follow the plan in every scenario, so a
+ * pessimistic forecast shows the cash gap if billing slips.
+ *
+ * All amounts are in the project currency.
+ *
+ * @version 1.0
+ * @created 19 October 2026
+ */
+
+import { toDateKey } from './workingCalendar';
+import { calculateResourceLoad } from './resourceLoading';
+
+export const CASH_FLOW_SCENARIO = Object.freeze({
+  OPTIMISTIC: 'optimistic',
+  BASELINE: 'baseline',
+  PESSIMISTIC: 'pessimistic'
+});
+
+export const CASH_FLOW_SCENARIOS = Object.freeze([
+  CASH_FLOW_SCENARIO.OPTIMISTIC,
+  CASH_FLOW_SCENARIO.BASELINE,
+  CASH_FLOW_SCENARIO.PESSIMISTIC
+]);
+
+export const CASH_FLOW_SCENARIO_CONFIG = Object.freeze({
+  [CASH_FLOW_SCENARIO.OPTIMISTIC]: { label: 'Optimistic', color: '#10b981' },
+  [CASH_FLOW_SCENARIO.BASELINE]: { label: 'Baseline', color: '#3b82f6' },
+  [CASH_FLOW_SCENARIO.PESSIMISTIC]: { label: 'Pessimistic', color: '#ef4444' }
+});
+
+// Days each scenario moves milestone billing dates by
+export const DEFAULT_SCENARIO_SHIFTS = Object.freeze({
+  [CASH_FLOW_SCENARIO.OPTIMISTIC]: -14,
+  [CASH_FLOW_SCENARIO.BASELINE]: 0,
+  [CASH_FLOW_SCENARIO.PESSIMISTIC]: 30
+});
+
+export const OUTFLOW_TYPE = Object.freeze({
+  PARTNERS: 'partners',
+  INTERNAL: 'internal',
+  EXPENSES: 'expenses'
+});
+
+export const OUTFLOW_TYPE_CONFIG = Object.freeze({
+  [OUTFLOW_TYPE.PARTNERS]: { label: 'Partner costs', color: '#8b5cf6' },
+  [OUTFLOW_TYPE.INTERNAL]: { label: 'Internal costs', color: '#64748b' },
+  [OUTFLOW_TYPE.EXPENSES]: { label: 'Recurring expenses', color: '#f59e0b' }
+});
+
+export const DEFAULT_PAYMENT_DAYS = 30;
+export const DEFAULT_FORECAST_MONTHS = 12;
+export const DEFAULT_RUN_RATE_MONTHS = 3;
+
+// ============================================
+// HELPERS
+// ============================================
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+function addDays(key, days) {
+  const date = new Date(`${key}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Month key 'YYYY-MM' for a date
+ */
+export function getMonthKey(date) {
+  return toDateKey(date).slice(0, 7);
+}
+
+function addMonths(month, count) {
+  const [year, m] = month.split('-').map(Number);
+  const date = new Date(Date.UTC(year, m - 1 + count, 1));
+  return date.toISOString().slice(0, 7);
+}
+
+function monthEnd(month) {
+  return addDays(`${addMonths(month, 1)}-01`, -1);
+}
+
+/**
+ * Days until payment from terms such as 'Net 30'
+ * @param {string|number} terms
+ * @param {number} [fallback]
+ * @returns {number}
+ */
+export function parsePaymentTerms(terms, fallback = DEFAULT_PAYMENT_DAYS) {
+  if (typeof terms === 'number' && Number.isFinite(terms)) return Math.max(0, terms);
+  const match = String(terms || '').match(/(\d+)/);
+  return match ? Number(match[1]) : fallback;
+}
+
+/**
+ * Month keys from the as-of month for a number of months
+ */
+export function getForecastMonths(asOf, months = DEFAULT_FORECAST_MONTHS) {
+  const first = getMonthKey(asOf);
+  return Array.from({ length: months }, (_, i) => addMonths(first, i));
+}
+
+// ============================================
+// INFLOWS
+// ============================================
+
+/**
+ * Expected payment of each unpaid billable milestone in a scenario
+ *
+ * @param {Array} milestones - From milestonesService.getBillableMilestones
+ *   (billable, expected_date, is_billed, is_received)
+ * @param {Object} options
+ * @param {string} options.asOf - Forecast date
+ * @param {number} [options.shiftDays] - Days the scenario moves billing dates
+ * @param {number} [options.paymentDays] - Customer payment terms
+ * @returns {Array<{ milestone_id, ref, name, amount, billed, billingDate, paymentDate }>}
+ */
+export function getMilestoneInflows(milestones, { asOf, shiftDays = 0, paymentDays = DEFAULT_PAYMENT_DAYS }) {
+  const today = toDateKey(asOf);
+
+  return milestones
+    .filter(m => !m.is_deleted && !m.is_received && parseFloat(m.billable) > 0)
+    .map(m => {
+      const expected = m.expected_date ? toDateKey(m.expected_date) : today;
+      // Billed milestones have a fixed date; only unbilled ones move with the scenario
+      const shifted = m.is_billed ? expected : addDays(expected, shiftDays);
+      const billingDate = shifted < today && !m.is_billed ? today : shifted;
+      const due = addDays(billingDate, paymentDays);
+
+      return {
+        milestone_id: m.id,
+        ref: m.milestone_ref,
+        name: m.name,
+        amount: round2(parseFloat(m.billable)),
+        billed: !!m.is_billed,
+        billingDate,
+        paymentDate: due < today ? today : due
+      };
+    })
+    .sort((a, b) => (a.paymentDate < b.paymentDate ? -1 : 1));
+}
+
+// ============================================
+// OUTFLOWS
+// ============================================
+
+/**
+ * Planned resource costs by payment month
+ *
+ * @param {Array} items - Plan items with resource assignments
+ * @param {Object} options
+ * @param {string} options.asOf - Only work from this date is forecast
+ * @param {Array} options.resources - { id, role, sfia_level, cost_price, partner_id, partner: { payment_terms } }
+ * @param {Function} options.resolveRates - rateCards createRateResolver result
+ * @param {Object} [options.calendar] - Project working calendar
+ * @param {Object} [options.resourceCalendars] - Calendars keyed by resource id
+ * @returns {Object} { [month]: { partners, internal, days } }
+ */
+export function getPlannedResourceCosts(items, { asOf, resources = [], resolveRates, calendar = null, resourceCalendars = null }) {
+  const today = toDateKey(asOf);
+  const resourceMap = new Map(resources.map(r => [r.id, r]));
+  const load = calculateResourceLoad(items, { resources, calendar, resourceCalendars });
+  const byMonth = {};
+
+  Object.entries(load.resources).forEach(([resourceId, entry]) => {
+    const resource = resourceMap.get(resourceId);
+    if (!resource) return;
+    const isPartner = !!resource.partner_id;
+    const paymentDays = parsePaymentTerms(resource.partner?.payment_terms);
+
+    // Partner invoices cover a month's work and are paid on terms
+    const workByMonth = {};
+    Object.entries(entry.days).forEach(([date, day]) => {
+      if (date < today || !(day.load > 0)) return;
+      const rate = resolveRates ? resolveRates(resource, date).cost_price : resource.cost_price;
+      const month = getMonthKey(date);
+      if (!workByMonth[month]) workByMonth[month] = { cost: 0, days: 0 };
+      workByMonth[month].cost += day.load * (parseFloat(rate) || 0);
+      workByMonth[month].days += day.load;
+    });
+
+    Object.entries(workByMonth).forEach(([month, work]) => {
+      const paidIn = isPartner ? getMonthKey(addDays(monthEnd(month), paymentDays)) : month;
+      if (!byMonth[paidIn]) byMonth[paidIn] = { partners: 0, internal: 0, days: 0 };
+      byMonth[paidIn][isPartner ? OUTFLOW_TYPE.PARTNERS : OUTFLOW_TYPE.INTERNAL] += work.cost;
+      byMonth[paidIn].days += work.days;
+    });
+  });
+
+  Object.values(byMonth).forEach(month => {
+    month.partners = round2(month.partners);
+    month.internal = round2(month.internal);
+    month.days = round2(month.days);
+  });
+  return byMonth;
+}
+
+/**
+ * Average monthly expense spend over the complete months before the
+ * forecast date
+ *
+ * @param {Array} expenses - { expense_date, amount, currency, status }
+ * @param {Object} options
+ * @param {string} options.asOf - Forecast date
+ * @param {number} [options.months] - Months to average over
+ * @param {Function} [options.convert] - (amount, currency, date) => project currency
+ * @returns {number}
+ */
+export function getExpenseRunRate(expenses, { asOf, months = DEFAULT_RUN_RATE_MONTHS, convert = (amount) => parseFloat(amount) || 0 }) {
+  const current = getMonthKey(asOf);
+  const from = addMonths(current, -months);
+
+  const total = expenses
+    .filter(e => !e.is_deleted && e.status !== 'Rejected' && e.status !== 'Draft')
+    .filter(e => {
+      const month = getMonthKey(e.expense_date);
+      return month >= from && month < current;
+    })
+    .reduce((sum, e) => sum + convert(e.amount, e.currency, e.expense_date), 0);
+
+  return round2(total / months);
+}
+
+// ============================================
+// FORECAST
+// ============================================
+
+/**
+ * Monthly cash-flow forecast in each date scenario
+ *
+ * @param {Object} params
+ * @param {string} params.asOf - Forecast date (first month is its month)
+ * @param {Array} params.milestones - Billable milestones
+ * @param {Object} [params.resourceCosts] - getPlannedResourceCosts result
+ * @param {number} [params.expenseRunRate] - Monthly recurring expenses
+ * @param {number} [params.months] - Months to forecast
+ * @param {number} [params.paymentDays] - Customer payment terms
+ * @param {Object} [params.shifts] - Days each scenario moves billing dates
+ * @returns {Object} {
+ *   months, outflows: [{ month, partners, internal, expenses, total }],
+ *   scenarios: { [scenario]: { shiftDays, rows: [{ month, inflow, outflow, net, cumulative }],
+ *     totals: { inflow, outflow, net }, lowest: { month, cumulative }, beyondHorizon, milestones } }
+ * }
+ */
+export function calculateCashFlowForecast({
+  asOf,
+  milestones = [],
+  resourceCosts = {},
+  expenseRunRate = 0,
+  months = DEFAULT_FORECAST_MONTHS,
+  paymentDays = DEFAULT_PAYMENT_DAYS,
+  shifts = DEFAULT_SCENARIO_SHIFTS
+}) {
+  const monthKeys = getForecastMonths(asOf, months);
+  const lastMonth = monthKeys[monthKeys.length - 1];
+
+  // Recurring expenses continue while there is work or billing to come
+  const baselineInflows = getMilestoneInflows(milestones, { asOf, shiftDays: 0, paymentDays });
+  const activityEnd = [
+    ...Object.keys(resourceCosts),
+    ...baselineInflows.map(i => getMonthKey(i.billingDate))
+  ].sort().pop() || null;
+
+  const outflows = monthKeys.map(month => {
+    const costs = resourceCosts[month] || { partners: 0, internal: 0 };
+    const expenses = activityEnd && month <= activityEnd ? expenseRunRate : 0;
+    return {
+      month,
+      partners: costs.partners,
+      internal: costs.internal,
+      expenses: round2(expenses),
+      total: round2(costs.partners + costs.internal + expenses)
+    };
+  });
+
+  const scenarios = {};
+  CASH_FLOW_SCENARIOS.forEach(scenario => {
+    const shiftDays = shifts[scenario] ?? DEFAULT_SCENARIO_SHIFTS[scenario];
+    const inflows = getMilestoneInflows(milestones, { asOf, shiftDays, paymentDays });
+
+    const inflowByMonth = {};
+    let beyondHorizon = 0;
+    inflows.forEach(inflow => {
+      const month = getMonthKey(inflow.paymentDate);
+      if (month > lastMonth) {
+        beyondHorizon += inflow.amount;
+        return;
+      }
+      inflowByMonth[month] = (inflowByMonth[month] || 0) + inflow.amount;
+    });
+
+    let cumulative = 0;
+    let lowest = null;
+    const rows = outflows.map(({ month, total }) => {
+      const inflow = round2(inflowByMonth[month] || 0);
+      const net = round2(inflow - total);
+      cumulative = round2(cumulative + net);
+      if (!lowest || cumulative < lowest.cumulative) lowest = { month, cumulative };
+      return { month, inflow, outflow: total, net, cumulative };
+    });
+
+    const totalInflow = round2(rows.reduce((sum, r) => sum + r.inflow, 0));
+    const totalOutflow = round2(rows.reduce((sum, r) => sum + r.outflow, 0));
+
+    scenarios[scenario] = {
+      shiftDays,
+      rows,
+      totals: { inflow: totalInflow, outflow: totalOutflow, net: round2(totalInflow - totalOutflow) },
+      lowest,
+      beyondHorizon: round2(beyondHorizon),
+      milestones: inflows
+    };
+  });
+
+  return { months: monthKeys, outflows, scenarios };
+}
+
+export default {
+  CASH_FLOW_SCENARIO,
+  CASH_FLOW_SCENARIOS,
+  CASH_FLOW_SCENARIO_CONFIG,
+  DEFAULT_SCENARIO_SHIFTS,
+  OUTFLOW_TYPE,
+  OUTFLOW_TYPE_CONFIG,
+  DEFAULT_PAYMENT_DAYS,
+  DEFAULT_FORECAST_MONTHS,
+  DEFAULT_RUN_RATE_MONTHS,
+  getMonthKey,
+  parsePaymentTerms,
+  getForecastMonths,
+  getMilestoneInflows,
+  getPlannedResourceCosts,
+  getExpenseRunRate,
+  calculateCashFlowForecast
+};
@@ -0,0 +1,350 @@
+/**
+ * Change Register - how the contract has changed since signature
+ *
+ * Replays milestone_baseline_versions in date order to reconstruct the
+ * contract value (sum of milestone baseline billable amounts) and
+ * contract end date (latest milestone baseline end) after every applied
+ * or reverted variation:
+ * - Original: version 1 of each milestone's baseline, or the milestone's
+ *   own baseline when it has never been varied
+ * - Change events: the versions one variation wrote, grouped; a revert
+ *   is its own event with the opposite effect
+ * - Current: the milestones' baselines today. Any difference from the
+ *   replayed value comes from baseline edits made outside a variation
+ *   and is shown as "Other baseline changes"
+ *
+ * @version 1.0
+ * @created 19 October 2026
+ */
+
+export const CHANGE_EVENT_TYPE = Object.freeze({
+  APPLIED: 'applied',
+  REVERTED: 'reverted'
+});
+
+export const WATERFALL_STEP = Object.freeze({
+  ORIGINAL: 'original',
+  INCREASE: 'increase',
+  DECREASE: 'decrease',
+  OTHER: 'other',
+  CURRENT: 'current'
+});
+
+export const WATERFALL_STEP_CONFIG = {
+  [WATERFALL_STEP.ORIGINAL]: { label: 'Original', color: '#64748b' },
+  [WATERFALL_STEP.INCREASE]: { label: 'Increase', color: '#f59e0b' },
+  [WATERFALL_STEP.DECREASE]: { label: 'Decrease', color: '#10b981' },
+  [WATERFALL_STEP.OTHER]: { label: 'Other baseline changes', color: '#a855f7' },
+  [WATERFALL_STEP.CURRENT]: { label: 'Current', color: '#3b82f6' }
+};
+
+// Differences below a penny are rounding, not change
+const TOLERANCE = 0.005;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const toNumber = (value) => parseFloat(value) || 0;
+
+const toDate = (value) => (value ? String(value).slice(0, 10) : null);
+
+/**
+ * Whole days from one 'YYYY-MM-DD' date to another
+ * @returns {number|null} null when either date is missing
+ */
+export function daysBetween(from, to) {
+  if (!from || !to) return null;
+  return Math.round((Date.parse(`${toDate(to)}T00:00:00Z`) - Date.parse(`${toDate(from)}T00:00:00Z`)) / 86400000);
+}
+
+const latestDate = (dates) => dates.filter(Boolean).sort().pop() || null;
+
+const baselineOf = (source) => ({
+  start: toDate(source.baseline_start_date),
+  end: toDate(source.baseline_end_date),
+  value: toNumber(source.baseline_billable ?? source.billable)
+});
+
+const contractTotals = (baselines) => ({
+  value: round2(Object.values(baselines).reduce((sum, b) => sum + b.value, 0)),
+  endDate: latestDate(Object.values(baselines).map(b => b.end))
+});
+
+/**
+ * A milestone's baseline versions in order with the change each made
+ * @param {Object[]} versions - milestone_baseline_versions rows for one milestone,
+ *   optionally with variation: { variation_ref, title }
+ * @returns {Object[]} One entry per version
+ */
+export function buildMilestoneLineage(versions = []) {
+  const sorted = [...versions].sort((a, b) => a.version - b.version);
+
+  return sorted.map((v, i) => {
+    const previous = i > 0 ? baselineOf(sorted[i - 1]) : null;
+    const current = baselineOf(v);
+    return {
+      version: v.version,
+      variationId: v.variation_id || null,
+      variationRef: v.variation?.variation_ref || null,
+      variationTitle: v.variation?.title || null,
+      isRevert: v.is_revert === true,
+      date: v.created_at || null,
+      start: current.start,
+      end: current.end,
+      value: current.value,
+      valueChange: previous ? round2(current.value - previous.value) : 0,
+      endChangeDays: previous ? daysBetween(previous.end, current.end) : 0
+    };
+  });
+}
+
+/**
+ * Reconstruct the contract's value and end date over time
+ * @param {Object} input
+ * @param {Object[]} input.milestones - Milestones with id, milestone_ref, name and baseline fields
+ * @param {Object[]} input.versions - milestone_baseline_versions rows for those milestones
+ * @param {Object[]} [input.variations] - Applied and reverted variations
+ * @returns {Object} { original, current, otherChanges, events, timeline, waterfall, register }
+ */
+export function buildChangeRegister({ milestones = [], versions = [], variations = [] }) {
+  const milestoneById = new Map(milestones.map(m => [m.id, m]));
+  const variationById = new Map(variations.map(v => [v.id, v]));
+
+  const versionsByMilestone = new Map();
+  for (const v of versions) {
+    if (!milestoneById.has(v.milestone_id)) continue;
+    if (!versionsByMilestone.has(v.milestone_id)) versionsByMilestone.set(v.milestone_id, []);
+    versionsByMilestone.get(v.milestone_id).push(v);
+  }
+  versionsByMilestone.forEach(list => list.sort((a, b) => a.version - b.version));
+
+  // Original commitment
+  const running = {};
+  for (const m of milestones) {
+    const history = versionsByMilestone.get(m.id);
+    running[m.id] = baselineOf(history?.length ? history[0] : m);
+  }
+  const original = contractTotals(running);
+
+  // Group later versions into one event per variation application or revert
+  const groups = new Map();
+  versionsByMilestone.forEach((list, milestoneId) => {
+    list.slice(1).forEach((v, i) => {
+      const key = `${v.variation_id || 'none'}:${v.is_revert === true ? CHANGE_EVENT_TYPE.REVERTED : CHANGE_EVENT_TYPE.APPLIED}`;
+      if (!groups.has(key)) {
+        groups.set(key, {
+          key,
+          variationId: v.variation_id || null,
+          type: v.is_revert === true ? CHANGE_EVENT_TYPE.REVERTED : CHANGE_EVENT_TYPE.APPLIED,
+          date: v.created_at || null,
+          changes: []
+        });
+      }
+      const group = groups.get(key);
+      if (v.created_at && (!group.date || v.created_at < group.date)) group.date = v.created_at;
+      group.changes.push({ milestoneId, before: list[i], after: v });
+    });
+  });
+
+  const ordered = [...groups.values()].sort((a, b) => {
+    if ((a.date || '') !== (b.date || '')) return (a.date || '') < (b.date || '') ? -1 : 1;
+    if (a.type !== b.type) return a.type === CHANGE_EVENT_TYPE.APPLIED ? -1 : 1;
+    return a.key < b.key ? -1 : 1;
+  });
+
+  const timeline = [{ key: 'original', date: null, label: 'Original', value: original.value, endDate: original.endDate }];
+  let previous = original;
+
+  const events = ordered.map(group => {
+    const variation = variationById.get(group.variationId) || null;
+    const milestoneChanges = group.changes.map(({ milestoneId, before, after }) => {
+      const m = milestoneById.get(milestoneId);
+      const from = baselineOf(before);
+      const to = baselineOf(after);
+      running[milestoneId] = to;
+      return {
+        milestoneId,
+        ref: m.milestone_ref,
+        name: m.name,
+        valueBefore: from.value,
+        valueAfter: to.value,
+        endBefore: from.end,
+        endAfter: to.end
+      };
+    }).sort((a, b) => String(a.ref).localeCompare(String(b.ref)));
+
+    const totals = contractTotals(running);
+    const ref = variation?.variation_ref || group.changes[0].after.variation?.variation_ref || null;
+    const event = {
+      key: group.key,
+      variationId: group.variationId,
+      ref,
+      title: variation?.title || group.changes[0].after.variation?.title || 'Baseline change',
+      variationType: variation?.variation_type || null,
+      status: variation?.status || null,
+      type: group.type,
+      date: group.date,
+      reason: group.type === CHANGE_EVENT_TYPE.REVERTED ? (variation?.revert_reason || null) : (variation?.reason || null),
+      certificateNumber: variation?.certificate_number || null,
+      valueChange: round2(totals.value - previous.value),
+      valueAfter: totals.value,
+      endDateBefore: previous.endDate,
+      endDateAfter: totals.endDate,
+      endChangeDays: daysBetween(previous.endDate, totals.endDate),
+      milestones: milestoneChanges
+    };
+
+    timeline.push({
+      key: group.key,
+      date: group.date,
+      label: `${ref || 'Change'}${group.type === CHANGE_EVENT_TYPE.REVERTED ? ' (reverted)' : ''}`,
+      value: totals.value,
+      endDate: totals.endDate
+    });
+    previous = totals;
+    return event;
+  });
+
+  const replayed = previous;
+  const current = contractTotals(Object.fromEntries(milestones.map(m => [m.id, baselineOf(m)])));
+  const otherChanges = {
+    value: round2(current.value - replayed.value),
+    endChangeDays: daysBetween(replayed.endDate, current.endDate)
+  };
+
+  return {
+    original,
+    current,
+    totalChange: {
+      value: round2(current.value - original.value),
+      endChangeDays: daysBetween(original.endDate, current.endDate)
+    },
+    otherChanges,
+    events,
+    timeline,
+    waterfall: buildWaterfall(original, events, otherChanges, current)
+  };
+}
+
+/**
+ * Original → current waterfall steps
+ * Each step runs from start to end; totals start at zero.
+ */
+export function buildWaterfall(original, events, otherChanges, current) {
+  const steps = [{ key: 'original', label: 'Original', kind: WATERFALL_STEP.ORIGINAL, change: original.value, start: 0, end: original.value }];
+  let level = original.value;
+
+  for (const e of events) {
+    if (Math.abs(e.valueChange) < TOLERANCE) continue;
+    steps.push({
+      key: e.key,
+      label: `${e.ref || 'Change'}${e.type === CHANGE_EVENT_TYPE.REVERTED ? ' (reverted)' : ''}`,
+      kind: e.valueChange > 0 ? WATERFALL_STEP.INCREASE : WATERFALL_STEP.DECREASE,
+      change: e.valueChange,
+      start: level,
+      end: round2(level + e.valueChange)
+    });
+    level = round2(level + e.valueChange);
+  }
+
+  if (Math.abs(otherChanges.value) >= TOLERANCE) {
+    steps.push({
+      key: 'other',
+      label: WATERFALL_STEP_CONFIG[WATERFALL_STEP.OTHER].label,
+      kind: WATERFALL_STEP.OTHER,
+      change: otherChanges.value,
+      start: level,
+      end: round2(level + otherChanges.value)
+    });
+  }
+
+  steps.push({ key: 'current', label: 'Current', kind: WATERFALL_STEP.CURRENT, change: current.value, start: 0, end: current.value });
+  return steps;
+}
+
+/**
+ * Register rows for the spreadsheet export, one per change event
+ * @param {Object} register - buildChangeRegister result
+ * @returns {Object[]} Rows keyed by column heading
+ */
+export function getRegisterExportRows(register) {
+  const rows = [{
+    Date: null,
+    Variation: 'Original contract',
+    Title: '',
+    Change: '',
+    Reason: '',
+    Milestones: '',
+    'Value change': null,
+    'Contract value': register.original.value,
+    'End date change (days)': null,
+    'Contract end': register.original.endDate,
+    Certificate: ''
+  }];
+
+  for (const e of register.events) {
+    rows.push({
+      Date: toDate(e.date),
+      Variation: e.ref || '',
+      Title: e.title,
+      Change: e.type === CHANGE_EVENT_TYPE.REVERTED ? 'Reverted' : 'Applied',
+      Reason: e.reason || '',
+      Milestones: e.milestones.map(m => m.ref).join(', '),
+      'Value change': e.valueChange,
+      'Contract value': e.valueAfter,
+      'End date change (days)': e.endChangeDays,
+      'Contract end': e.endDateAfter,
+      Certificate: e.certificateNumber || ''
+    });
+  }
+
+  if (Math.abs(register.otherChanges.value) >= TOLERANCE || register.otherChanges.endChangeDays) {
+    rows.push({
+      Date: null,
+      Variation: '',
+      Title: WATERFALL_STEP_CONFIG[WATERFALL_STEP.OTHER].label,
+      Change: '',
+      Reason: 'Baseline edits made outside a variation',
+      Milestones: '',
+      'Value change': register.otherChanges.value,
+      'Contract value': register.current.value,
+      'End date change (days)': register.otherChanges.endChangeDays,
+      'Contract end': register.current.endDate,
+      Certificate: ''
+    });
+  }
+
+  return rows;
+}
+
+/**
+ * Lineage rows for the spreadsheet export, one per milestone baseline version
+ * @param {Object[]} milestones - Milestones with milestone_ref and name
+ * @param {Object<string, Object[]>} lineageByMilestone - buildMilestoneLineage result by milestone ID
+ */
+export function getLineageExportRows(milestones, lineageByMilestone) {
+  return milestones.flatMap(m => (lineageByMilestone[m.id] || []).map(l => ({
+    Milestone: m.milestone_ref,
+    Name: m.name,
+    Version: l.version,
+    Date: toDate(l.date),
+    Variation: l.variationRef || (l.version === 1 ? 'Original' : ''),
+    Reverted: l.isRevert ? 'Yes' : '',
+    'Baseline start': l.start,
+    'Baseline end': l.end,
+    'Baseline value': l.value,
+    'Value change': l.valueChange,
+    'End date change (days)': l.endChangeDays
+  })));
+}
+
+export default {
+  CHANGE_EVENT_TYPE,
+  WATERFALL_STEP,
+  WATERFALL_STEP_CONFIG,
+  daysBetween,
+  buildMilestoneLineage,
+  buildChangeRegister,
+  buildWaterfall,
+  getRegisterExportRows,
+  getLineageExportRows
+};
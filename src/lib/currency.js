@@ -0,0 +1,193 @@
+/**
+ * Currency - Codes, dated exchange rates and conversion
+ *
+ * Projects report in a single currency (projects.currency). Partners bill
+ * in their own currency and expenses are recorded in the currency they
+ * were paid in. Amounts are converted to the reporting currency at the
+ * rate valid on the transaction date, from a locally maintained table of
+ * dated rates (exchange_rates).
+ *
+ * An exchange rate row reads "1 from_currency = rate to_currency" from its
+ * effective_date until the next row for the same pair. A pair can be
+ * resolved directly, from the inverse pair, or across one intermediate
+ * currency (e.g. EUR -> GBP -> USD).
+ *
+ * Resource rates, rate cards, milestone values and budgets are held in
+ * the project currency.
+ *
+ * @version 1.0
+ * @created 19 October 2026
+ */
+
+export const DEFAULT_CURRENCY = 'GBP';
+
+export const CURRENCIES = Object.freeze([
+  { code: 'GBP', symbol: '£', name: 'British pound' },
+  { code: 'EUR', symbol: '€', name: 'Euro' },
+  { code: 'USD', symbol: '$', name: 'US dollar' },
+  { code: 'CHF', symbol: 'CHF ', name: 'Swiss franc' },
+  { code: 'SEK', symbol: 'kr ', name: 'Swedish krona' },
+  { code: 'NOK', symbol: 'kr ', name: 'Norwegian krone' },
+  { code: 'DKK', symbol: 'kr ', name: 'Danish krone' },
+  { code: 'PLN', symbol: 'zł ', name: 'Polish złoty' },
+  { code: 'CAD', symbol: 'C$', name: 'Canadian dollar' },
+  { code: 'AUD', symbol: 'A$', name: 'Australian dollar' },
+  { code: 'INR', symbol: '₹', name: 'Indian rupee' },
+  { code: 'JPY', symbol: '¥', name: 'Japanese yen' }
+]);
+
+// Symbols and words seen on receipts, mapped to ISO 4217 codes
+const CURRENCY_ALIASES = {
+  '£': 'GBP', 'GBP': 'GBP', 'POUND': 'GBP', 'POUNDS': 'GBP', 'STERLING': 'GBP',
+  '€': 'EUR', 'EUR': 'EUR', 'EURO': 'EUR', 'EUROS': 'EUR',
+  '$': 'USD', 'US$': 'USD', 'USD': 'USD', 'DOLLAR': 'USD', 'DOLLARS': 'USD',
+  'C$': 'CAD', 'CA$': 'CAD', 'A$': 'AUD', 'AU$': 'AUD',
+  'FR.': 'CHF', 'SFR': 'CHF', 'ZŁ': 'PLN', 'ZL': 'PLN',
+  '₹': 'INR', 'RS': 'INR', '¥': 'JPY', 'YEN': 'JPY'
+};
+
+/**
+ * Normalise a currency code, symbol or name to an ISO 4217 code
+ * @param {string} value - e.g. 'eur', '€', 'Euros'
+ * @param {string|null} [fallback] - Returned when the value is not recognised
+ * @returns {string|null}
+ */
+export function normaliseCurrency(value, fallback = DEFAULT_CURRENCY) {
+  if (!value || typeof value !== 'string') return fallback;
+  const key = value.trim().toUpperCase();
+  if (CURRENCY_ALIASES[key]) return CURRENCY_ALIASES[key];
+  if (/^[A-Z]{3}$/.test(key)) return key;
+  return fallback;
+}
+
+/**
+ * Display symbol for a currency code (the code itself when unknown)
+ */
+export function getCurrencySymbol(code) {
+  const currency = CURRENCIES.find(c => c.code === code);
+  return currency ? currency.symbol : `${code || DEFAULT_CURRENCY} `;
+}
+
+/**
+ * Options for a currency select
+ */
+export function getCurrencyOptions() {
+  return CURRENCIES.map(c => ({ value: c.code, label: `${c.code} - ${c.name}` }));
+}
+
+function toDateKey(date) {
+  if (!date) return new Date().toISOString().slice(0, 10);
+  return typeof date === 'string' ? date.slice(0, 10) : date.toISOString().slice(0, 10);
+}
+
+/**
+ * Validate an exchange rate before saving
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateExchangeRate(rate) {
+  const from = normaliseCurrency(rate.from_currency, null);
+  const to = normaliseCurrency(rate.to_currency, null);
+  if (!from || !to) return 'Both currencies are required';
+  if (from === to) return 'Choose two different currencies';
+  if (!rate.effective_date) return 'Effective date is required';
+  if (!(parseFloat(rate.rate) > 0)) return 'Rate must be greater than zero';
+  return null;
+}
+
+/**
+ * Build a converter into a reporting currency
+ *
+ * @param {Array} rates - exchange_rates rows (deleted rows are ignored)
+ * @param {string} [reportingCurrency] - Project currency
+ * @returns {Object} {
+ *   currency,
+ *   getRate(from, date, to) => number|null,
+ *   convert(amount, from, date, to) => number,
+ *   missingRates() => Array<string>
+ * }
+ * convert() returns the amount unchanged when no rate is known and
+ * records the pair, so totals still load and the gap can be flagged.
+ */
+export function createCurrencyConverter(rates = [], reportingCurrency = DEFAULT_CURRENCY) {
+  const currency = normaliseCurrency(reportingCurrency);
+
+  // Rates per "FROM:TO", latest effective date first
+  const byPair = new Map();
+  const neighbours = new Map();
+  const link = (a, b) => {
+    if (!neighbours.has(a)) neighbours.set(a, new Set());
+    neighbours.get(a).add(b);
+  };
+  rates.forEach(row => {
+    if (row.is_deleted || !row.effective_date || !(parseFloat(row.rate) > 0)) return;
+    const from = normaliseCurrency(row.from_currency, null);
+    const to = normaliseCurrency(row.to_currency, null);
+    if (!from || !to || from === to) return;
+    const key = `${from}:${to}`;
+    if (!byPair.has(key)) byPair.set(key, []);
+    byPair.get(key).push({ date: row.effective_date.slice(0, 10), rate: parseFloat(row.rate) });
+    link(from, to);
+    link(to, from);
+  });
+  byPair.forEach(list => list.sort((a, b) => (a.date < b.date ? 1 : -1)));
+
+  function findStored(from, to, day) {
+    const entry = byPair.get(`${from}:${to}`)?.find(r => r.date <= day);
+    return entry ? entry.rate : null;
+  }
+
+  function findDirect(from, to, day) {
+    const direct = findStored(from, to, day);
+    if (direct !== null) return direct;
+    const inverse = findStored(to, from, day);
+    return inverse !== null ? 1 / inverse : null;
+  }
+
+  const missing = new Set();
+
+  function getRate(from, date, to = currency) {
+    const source = normaliseCurrency(from, currency);
+    const target = normaliseCurrency(to, currency);
+    if (source === target) return 1;
+    const day = toDateKey(date);
+
+    const direct = findDirect(source, target, day);
+    if (direct !== null) return direct;
+
+    // One hop through a currency both sides have rates with
+    for (const via of neighbours.get(source) || []) {
+      if (via === target) continue;
+      const first = findDirect(source, via, day);
+      const second = first !== null ? findDirect(via, target, day) : null;
+      if (second !== null) return first * second;
+    }
+    return null;
+  }
+
+  function convert(amount, from, date, to = currency) {
+    const value = parseFloat(amount) || 0;
+    const rate = getRate(from, date, to);
+    if (rate === null) {
+      missing.add(`${normaliseCurrency(from, currency)}:${normaliseCurrency(to, currency)}`);
+      return value;
+    }
+    return value * rate;
+  }
+
+  return {
+    currency,
+    getRate,
+    convert,
+    missingRates: () => [...missing]
+  };
+}
+
+export default {
+  DEFAULT_CURRENCY,
+  CURRENCIES,
+  normaliseCurrency,
+  getCurrencySymbol,
+  getCurrencyOptions,
+  validateExchangeRate,
+  createCurrencyConverter
+};
@@ -0,0 +1,263 @@
+/**
+ * Earned Value Management (EVM)
+ *
+ * Pure calculations for earned value per milestone and for the project:
+ * - BAC (budget at completion): the milestone's baseline_billable
+ * - PV (planned value): BAC spread evenly over the baseline dates
+ * - EV (earned value): BAC x milestone progress (calculateMilestoneProgress)
+ * - AC (actual cost): approved timesheet and expense value
+ *
+ * and the indices derived from them (SPI, CPI, EAC, ETC, VAC, TCPI).
+ *
+ * Expenses are not linked to milestones, so they count towards project AC
+ * only. Earned value history (the S-curve) comes from deliverable delivered
+ * dates; partial progress only counts at the as-of date.
+ *
+ * @version 1.0
+ * @created 19 October 2026
+ */
+
+import { calculateMilestoneProgress, DELIVERABLE_STATUS } from './milestoneCalculations';
+
+/**
+ * SPI / CPI health bands
+ */
+export const EVM_HEALTH = Object.freeze({
+  ON_TRACK: 'on_track',
+  AT_RISK: 'at_risk',
+  OFF_TRACK: 'off_track'
+});
+
+export const EVM_THRESHOLDS = Object.freeze({
+  onTrack: 0.95,
+  atRisk: 0.85
+});
+
+const DAY_MS = 86400000;
+
+function dayNumber(date) {
+  if (!date) return null;
+  const [y, m, d] = String(date).slice(0, 10).split('-').map(Number);
+  return Date.UTC(y, m - 1, d) / DAY_MS;
+}
+
+function toIsoDate(day) {
+  return new Date(day * DAY_MS).toISOString().slice(0, 10);
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function ratio(numerator, denominator) {
+  return denominator ? round2(numerator / denominator) : null;
+}
+
+/**
+ * Budget at completion for a milestone
+ */
+export function getMilestoneBudget(milestone) {
+  return parseFloat(milestone.baseline_billable ?? milestone.billable) || 0;
+}
+
+/**
+ * Planned value of a milestone at a date
+ *
+ * The budget is spread evenly across the baseline start to end dates
+ * (inclusive). Without baseline dates the milestone's own dates are used;
+ * without any end date nothing is planned.
+ *
+ * @param {Object} milestone - Milestone with budget and dates
+ * @param {string} date - 'YYYY-MM-DD'
+ * @returns {number}
+ */
+export function plannedValueAt(milestone, date) {
+  const bac = getMilestoneBudget(milestone);
+  const end = dayNumber(milestone.baseline_end_date || milestone.end_date);
+  const start = dayNumber(milestone.baseline_start_date || milestone.start_date) ?? end;
+  const at = dayNumber(date);
+  if (!bac || end === null || at === null) return 0;
+  if (at < start) return 0;
+  if (at >= end) return bac;
+  return round2(bac * (at - start + 1) / (end - start + 1));
+}
+
+/**
+ * Health band for a performance index (null = not enough data)
+ */
+export function getIndexHealth(index) {
+  if (index === null || index === undefined) return null;
+  if (index >= EVM_THRESHOLDS.onTrack) return EVM_HEALTH.ON_TRACK;
+  if (index >= EVM_THRESHOLDS.atRisk) return EVM_HEALTH.AT_RISK;
+  return EVM_HEALTH.OFF_TRACK;
+}
+
+/**
+ * Derive the EVM indices from BAC, PV, EV and AC
+ *
+ * EAC assumes the current cost performance continues (BAC / CPI); until
+ * there is cost performance to go on it is the BAC. Ratios with a zero
+ * divisor are null.
+ *
+ * @param {{ bac: number, pv: number, ev: number, ac: number }} values
+ * @returns {{ bac, pv, ev, ac, sv, cv, spi, cpi, eac, etc, vac, tcpi }}
+ */
+export function calculateEvmIndices({ bac = 0, pv = 0, ev = 0, ac = 0 }) {
+  const spi = ratio(ev, pv);
+  const cpi = ratio(ev, ac);
+  const eac = round2(cpi ? bac / (ev / ac) : bac);
+  return {
+    bac: round2(bac),
+    pv: round2(pv),
+    ev: round2(ev),
+    ac: round2(ac),
+    sv: round2(ev - pv),
+    cv: round2(ev - ac),
+    spi,
+    cpi,
+    eac,
+    etc: round2(Math.max(eac - ac, 0)),
+    vac: round2(bac - eac),
+    tcpi: bac - ac > 0 ? ratio(bac - ev, bac - ac) : null
+  };
+}
+
+function groupBy(rows, key) {
+  const groups = {};
+  rows.forEach(row => {
+    const value = row[key];
+    if (!value) return;
+    (groups[value] = groups[value] || []).push(row);
+  });
+  return groups;
+}
+
+function sumCosts(costs, at) {
+  return costs.reduce((sum, c) => {
+    const day = dayNumber(c.date);
+    return day !== null && day <= at ? sum + c.amount : sum;
+  }, 0);
+}
+
+// Earned value of a milestone at a past date: delivered deliverables only
+function earnedValueAt(bac, deliverables, at) {
+  if (!deliverables.length) return 0;
+  const delivered = deliverables.filter(d =>
+    d.status === DELIVERABLE_STATUS.DELIVERED && d.delivered_date && dayNumber(d.delivered_date) <= at
+  ).length;
+  return bac * delivered / deliverables.length;
+}
+
+/**
+ * Month-end dates from the month of `from` to the month of `to`
+ */
+export function getMonthEnds(from, to) {
+  const dates = [];
+  const [fy, fm] = String(from).slice(0, 10).split('-').map(Number);
+  const last = dayNumber(to);
+  let year = fy;
+  let month = fm;
+  for (;;) {
+    const monthEnd = Date.UTC(year, month, 0) / DAY_MS;
+    dates.push(toIsoDate(monthEnd));
+    if (monthEnd >= last) break;
+    month += 1;
+    if (month > 12) {
+      month = 1;
+      year += 1;
+    }
+  }
+  return dates;
+}
+
+/**
+ * Earned value for a project
+ *
+ * @param {Object} data
+ * @param {Array} data.milestones - { id, milestone_ref, name, baseline_billable, billable, baseline_start_date, baseline_end_date, start_date, end_date }
+ * @param {Array} data.deliverables - { milestone_id, progress, status, delivered_date }
+ * @param {Array} data.costs - Actual costs { date, amount, milestone_id } (milestone_id null for unallocated)
+ * @param {string} data.asOf - Status date 'YYYY-MM-DD'
+ * @returns {{ asOf, project: Object, milestones: Array, series: Array }}
+ *   project / milestones[i]: calculateEvmIndices result (+ progress, spiHealth, cpiHealth, milestone fields)
+ *   series: monthly S-curve points { date, pv, ev, ac, spi, cpi } - all but pv are null after asOf
+ */
+export function calculateProjectEvm({ milestones, deliverables = [], costs = [], asOf }) {
+  const at = dayNumber(asOf);
+  const deliverablesByMilestone = groupBy(deliverables, 'milestone_id');
+  const costsByMilestone = groupBy(costs, 'milestone_id');
+
+  const milestoneEvm = milestones.map(m => {
+    const bac = getMilestoneBudget(m);
+    const progress = calculateMilestoneProgress(deliverablesByMilestone[m.id] || []);
+    const indices = calculateEvmIndices({
+      bac,
+      pv: plannedValueAt(m, asOf),
+      ev: bac * progress / 100,
+      ac: sumCosts(costsByMilestone[m.id] || [], at)
+    });
+    return {
+      id: m.id,
+      milestone_ref: m.milestone_ref,
+      name: m.name,
+      progress,
+      ...indices,
+      spiHealth: getIndexHealth(indices.spi),
+      cpiHealth: getIndexHealth(indices.cpi)
+    };
+  });
+
+  const total = (field) => milestoneEvm.reduce((sum, m) => sum + m[field], 0);
+  const project = calculateEvmIndices({
+    bac: total('bac'),
+    pv: total('pv'),
+    ev: total('ev'),
+    ac: sumCosts(costs, at)
+  });
+  project.spiHealth = getIndexHealth(project.spi);
+  project.cpiHealth = getIndexHealth(project.cpi);
+
+  // S-curve from the first planned or spent date to the later of the
+  // baseline finish and the status date
+  const days = [
+    ...milestones.flatMap(m => [
+      m.baseline_start_date || m.start_date,
+      m.baseline_end_date || m.end_date
+    ]),
+    ...costs.map(c => c.date)
+  ].map(dayNumber).filter(d => d !== null);
+
+  let series = [];
+  if (days.length > 0 && at !== null) {
+    const first = Math.min(...days);
+    const last = Math.max(...days, at);
+    series = getMonthEnds(toIsoDate(first), toIsoDate(last)).map(monthEnd => {
+      if (dayNumber(monthEnd.slice(0, 8) + '01') > at) {
+        const pv = round2(milestones.reduce((sum, m) => sum + plannedValueAt(m, monthEnd), 0));
+        return { date: monthEnd, pv, ev: null, ac: null, spi: null, cpi: null };
+      }
+      // The month containing the status date is measured at the status date
+      const date = dayNumber(monthEnd) > at ? asOf : monthEnd;
+      const day = dayNumber(date);
+      const pv = round2(milestones.reduce((sum, m) => sum + plannedValueAt(m, date), 0));
+      const ev = day === at
+        ? project.ev
+        : round2(milestones.reduce((sum, m) => sum + earnedValueAt(getMilestoneBudget(m), deliverablesByMilestone[m.id] || [], day), 0));
+      const ac = round2(sumCosts(costs, day));
+      return { date, pv, ev, ac, spi: ratio(ev, pv), cpi: ratio(ev, ac) };
+    });
+  }
+
+  return { asOf, project, milestones: milestoneEvm, series };
+}
+
+export default {
+  EVM_HEALTH,
+  EVM_THRESHOLDS,
+  getMilestoneBudget,
+  plannedValueAt,
+  getIndexHealth,
+  calculateEvmIndices,
+  getMonthEnds,
+  calculateProjectEvm
+};
@@ -0,0 +1,660 @@
+/**
+ * Expense Policy - rules checked when an expense is submitted
+ *
+ * A policy is set for the organisation and can be overridden per project
+ * (a blank project value inherits the organisation's). The receipt
+ * threshold comes from the project's workflow settings. Rules:
+ * - category caps: most a single expense in a category may claim
+ * - per diem: most a resource may claim for sustenance on one day
+ * - receipts: a receipt is needed above the project threshold
+ * - non-working days: claims dated on a weekend or holiday
+ * - duplicates: same resource, date, category and amount
+ * - mileage: claims with a distance may not exceed the mileage rate for
+ *   the vehicle (cars: standard rate up to the annual threshold, reduced
+ *   after)
+ * - escalation: expenses above the threshold need validating by the
+ *   escalation role
+ *
+ * Limits are in the project currency; expenses in other currencies are
+ * converted at the rate on the expense date before checking.
+ *
+ * Violations are stored on the expense. A validator must acknowledge
+ * them before the expense can be validated.
+ *
+ * Mileage and per diem expenses are calculated rather than receipted:
+ * calculateMileage() and calculatePerDiem() return the amount and the
+ * basis it was calculated on, which is stored on the expense and shown
+ * on invoices (describeCalculationBasis).
+ *
+ * @version 1.1
+ * @created 19 October 2026
+ * @updated 19 October 2026 - Mileage and per diem calculation
+ */
+
+import { getCurrencySymbol } from './currency';
+import { WEEKDAYS_CALENDAR, toDateKey } from './workingCalendar';
+
+export const EXPENSE_CATEGORIES = Object.freeze(['Travel', 'Accommodation', 'Sustenance']);
+
+// Categories that count towards the daily per diem limit
+export const PER_DIEM_CATEGORIES = Object.freeze(['Sustenance']);
+
+export const POLICY_RULE = Object.freeze({
+  CATEGORY_CAP: 'category_cap',
+  PER_DIEM: 'per_diem',
+  RECEIPT_REQUIRED: 'receipt_required',
+  NON_WORKING_DAY: 'non_working_day',
+  DUPLICATE: 'duplicate',
+  MILEAGE_RATE: 'mileage_rate',
+  ESCALATION: 'escalation'
+});
+
+export const POLICY_SEVERITY = Object.freeze({
+  BREACH: 'breach',
+  WARNING: 'warning'
+});
+
+export const POLICY_RULE_CONFIG = Object.freeze({
+  [POLICY_RULE.CATEGORY_CAP]: { label: 'Over category cap', severity: POLICY_SEVERITY.BREACH },
+  [POLICY_RULE.PER_DIEM]: { label: 'Over per diem', severity: POLICY_SEVERITY.BREACH },
+  [POLICY_RULE.RECEIPT_REQUIRED]: { label: 'Receipt missing', severity: POLICY_SEVERITY.BREACH },
+  [POLICY_RULE.NON_WORKING_DAY]: { label: 'Non-working day', severity: POLICY_SEVERITY.WARNING },
+  [POLICY_RULE.DUPLICATE]: { label: 'Possible duplicate', severity: POLICY_SEVERITY.WARNING },
+  [POLICY_RULE.MILEAGE_RATE]: { label: 'Over mileage rate', severity: POLICY_SEVERITY.BREACH },
+  [POLICY_RULE.ESCALATION]: { label: 'Needs escalated approval', severity: POLICY_SEVERITY.WARNING }
+});
+
+export const POLICY_SEVERITY_CONFIG = Object.freeze({
+  [POLICY_SEVERITY.BREACH]: { label: 'Breach', color: '#b91c1c', bg: '#fee2e2' },
+  [POLICY_SEVERITY.WARNING]: { label: 'Warning', color: '#b45309', bg: '#fef3c7' }
+});
+
+export const EXPENSE_TYPE = Object.freeze({
+  STANDARD: 'standard',
+  MILEAGE: 'mileage',
+  PER_DIEM: 'per_diem'
+});
+
+// Calculated expense types and the category they are claimed under
+export const EXPENSE_TYPE_CONFIG = Object.freeze({
+  [EXPENSE_TYPE.STANDARD]: { label: 'Receipted', category: null },
+  [EXPENSE_TYPE.MILEAGE]: { label: 'Mileage', category: 'Travel' },
+  [EXPENSE_TYPE.PER_DIEM]: { label: 'Per diem', category: 'Sustenance' }
+});
+
+export const VEHICLE_TYPE = Object.freeze({
+  CAR: 'car',
+  MOTORCYCLE: 'motorcycle',
+  BICYCLE: 'bicycle'
+});
+
+// Cars use the tiered rate; other vehicles a flat rate per mile
+export const VEHICLE_TYPE_CONFIG = Object.freeze({
+  [VEHICLE_TYPE.CAR]: { label: 'Car or van', rateField: null },
+  [VEHICLE_TYPE.MOTORCYCLE]: { label: 'Motorcycle', rateField: 'motorcycle_rate' },
+  [VEHICLE_TYPE.BICYCLE]: { label: 'Bicycle', rateField: 'bicycle_rate' }
+});
+
+// Roles an expense over the escalation threshold can be escalated to
+export const ESCALATION_ROLE_OPTIONS = Object.freeze([
+  { value: 'supplier_pm', label: 'Supplier PM' },
+  { value: 'customer_pm', label: 'Customer PM' }
+]);
+
+// Admins can always validate escalated expenses
+const ESCALATION_OVERRIDE_ROLE = 'admin';
+
+export const POLICY_ERROR = Object.freeze({
+  ACKNOWLEDGEMENT_REQUIRED: 'POLICY_ACKNOWLEDGEMENT_REQUIRED',
+  ESCALATION_REQUIRED: 'POLICY_ESCALATION_REQUIRED',
+  INVALID_DISTANCE: 'INVALID_DISTANCE',
+  INVALID_PER_DIEM: 'INVALID_PER_DIEM'
+});
+
+// HMRC approved mileage allowance payments
+export const DEFAULT_EXPENSE_POLICY = Object.freeze({
+  category_caps: {},
+  per_diem_limit: null,
+  flag_non_working_days: true,
+  flag_duplicates: true,
+  mileage_rate: 0.45,
+  mileage_reduced_rate: 0.25,
+  mileage_threshold: 10000,
+  motorcycle_rate: 0.24,
+  bicycle_rate: 0.20,
+  // Daily allowance by country or city: [{ location, rate }]
+  per_diem_rates: [],
+  // Share of the daily rate paid for a partial (travel) day
+  per_diem_partial_percent: 75,
+  escalation_threshold: null,
+  escalation_role: 'supplier_pm',
+  receipt_required: false,
+  receipt_threshold: null
+});
+
+// Policy columns that hold amounts or distances
+export const POLICY_NUMBER_FIELDS = Object.freeze([
+  'per_diem_limit',
+  'mileage_rate',
+  'mileage_reduced_rate',
+  'mileage_threshold',
+  'motorcycle_rate',
+  'bicycle_rate',
+  'per_diem_partial_percent',
+  'escalation_threshold'
+]);
+
+const POLICY_FIELDS = Object.keys(DEFAULT_EXPENSE_POLICY);
+
+// Mileage thresholds run over the UK tax year, from 6 April
+const MILEAGE_YEAR_START = '04-06';
+
+const round2 = (value) => Math.round((parseFloat(value) || 0) * 100) / 100;
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Combine policy layers; later layers override earlier ones where they
+ * set a value. Category caps are combined per category.
+ *
+ * @param {...Object} layers - e.g. organisation policy, project policy
+ * @returns {Object} Complete policy with defaults for anything unset
+ */
+export function mergePolicies(...layers) {
+  const policy = { ...DEFAULT_EXPENSE_POLICY, category_caps: {} };
+
+  layers.filter(Boolean).forEach(layer => {
+    POLICY_FIELDS.forEach(field => {
+      if (field === 'category_caps') return;
+      if (layer[field] !== null && layer[field] !== undefined) {
+        policy[field] = POLICY_NUMBER_FIELDS.includes(field) ? toNumber(layer[field]) : layer[field];
+      }
+    });
+    Object.entries(layer.category_caps || {}).forEach(([category, cap]) => {
+      const value = toNumber(cap);
+      if (value !== null) policy.category_caps[category] = value;
+    });
+  });
+
+  return policy;
+}
+
+/**
+ * Check a policy before saving
+ * @param {Object} policy - Policy values
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateExpensePolicy(policy) {
+  const numbers = [
+    ...POLICY_NUMBER_FIELDS.map(field => toNumber(policy[field])),
+    ...Object.values(policy.category_caps || {}).map(toNumber)
+  ];
+  if (numbers.some(n => n !== null && n < 0)) return 'Limits and rates cannot be negative';
+
+  const rate = toNumber(policy.mileage_rate);
+  const reduced = toNumber(policy.mileage_reduced_rate);
+  if (rate !== null && reduced !== null && reduced > rate) {
+    return 'The reduced mileage rate cannot be higher than the standard rate';
+  }
+  const partialPercent = toNumber(policy.per_diem_partial_percent);
+  if (partialPercent !== null && partialPercent > 100) {
+    return 'A partial day cannot pay more than the full daily rate';
+  }
+
+  const rates = policy.per_diem_rates || [];
+  if (rates.some(r => !r.location?.trim() || toNumber(r.rate) === null || toNumber(r.rate) < 0)) {
+    return 'Each per diem rate needs a location and a rate';
+  }
+  const locations = rates.map(r => r.location.trim().toLowerCase());
+  if (new Set(locations).size !== locations.length) {
+    return 'Each per diem location can only have one rate';
+  }
+
+  if (policy.escalation_role && !ESCALATION_ROLE_OPTIONS.some(o => o.value === policy.escalation_role)) {
+    return 'Choose who over-threshold expenses are escalated to';
+  }
+  return null;
+}
+
+/**
+ * First day of the mileage year an expense date falls in
+ * @param {string|Date} date
+ * @returns {string} YYYY-MM-DD
+ */
+export function getMileageYearStart(date) {
+  const key = toDateKey(date);
+  const year = Number(key.slice(0, 4));
+  return key.slice(5) >= MILEAGE_YEAR_START
+    ? `${year}-${MILEAGE_YEAR_START}`
+    : `${year - 1}-${MILEAGE_YEAR_START}`;
+}
+
+/**
+ * Mileage allowance for a journey: the standard rate up to the annual
+ * threshold, the reduced rate beyond it
+ *
+ * @param {number} distance - Distance of this journey
+ * @param {number} distanceToDate - Distance already claimed this mileage year
+ * @param {Object} policy - mileage_rate, mileage_reduced_rate, mileage_threshold
+ * @returns {{ amount: number, standardDistance: number, reducedDistance: number }}
+ */
+export function getMileageAllowance(distance, distanceToDate = 0, policy = DEFAULT_EXPENSE_POLICY) {
+  const journey = Math.max(0, toNumber(distance) || 0);
+  const rate = toNumber(policy.mileage_rate) || 0;
+  const reducedRate = toNumber(policy.mileage_reduced_rate) ?? rate;
+  const threshold = toNumber(policy.mileage_threshold);
+
+  const remaining = threshold === null ? journey : Math.max(0, threshold - (toNumber(distanceToDate) || 0));
+  const standardDistance = Math.min(journey, remaining);
+  const reducedDistance = journey - standardDistance;
+
+  return {
+    amount: round2(standardDistance * rate + reducedDistance * reducedRate),
+    standardDistance,
+    reducedDistance
+  };
+}
+
+const isTieredVehicle = (vehicleType) => !VEHICLE_TYPE_CONFIG[vehicleType]?.rateField;
+
+/**
+ * Miles a resource has already claimed by car this mileage year, up to
+ * and including the expense date
+ *
+ * @param {Object} expense - resource_id, expense_date
+ * @param {Array} otherExpenses - The resource's other expenses
+ * @returns {number}
+ */
+export function getDistanceToDate(expense, otherExpenses = []) {
+  const date = toDateKey(expense.expense_date);
+  const yearStart = getMileageYearStart(date);
+
+  return getRelatedExpenses(expense, otherExpenses)
+    .filter(e => toNumber(e.distance) > 0 && isTieredVehicle(e.vehicle_type || VEHICLE_TYPE.CAR))
+    .filter(e => {
+      const otherDate = toDateKey(e.expense_date);
+      return otherDate >= yearStart && otherDate <= date;
+    })
+    .reduce((sum, e) => sum + toNumber(e.distance), 0);
+}
+
+/**
+ * Amount for a mileage claim and the basis it was calculated on
+ *
+ * @param {Object} journey
+ * @param {number} journey.distance - Miles travelled
+ * @param {string} [journey.vehicleType] - VEHICLE_TYPE, default car
+ * @param {number} [journey.distanceToDate] - Miles already claimed by car this mileage year
+ * @param {string} [journey.from] - Start of the journey
+ * @param {string} [journey.to] - End of the journey
+ * @param {Object} policy - From mergePolicies
+ * @returns {{ amount: number, basis: Object }}
+ */
+export function calculateMileage({
+  distance,
+  vehicleType = VEHICLE_TYPE.CAR,
+  distanceToDate = 0,
+  from = null,
+  to = null
+}, policy = DEFAULT_EXPENSE_POLICY) {
+  const miles = toNumber(distance);
+  if (!(miles > 0)) {
+    const error = new Error('Enter the distance travelled');
+    error.code = POLICY_ERROR.INVALID_DISTANCE;
+    throw error;
+  }
+
+  const vehicle = VEHICLE_TYPE_CONFIG[vehicleType] ? vehicleType : VEHICLE_TYPE.CAR;
+  const rateField = VEHICLE_TYPE_CONFIG[vehicle].rateField;
+  let amount;
+  let bands;
+
+  if (rateField) {
+    const rate = toNumber(policy[rateField]) ?? DEFAULT_EXPENSE_POLICY[rateField];
+    amount = round2(miles * rate);
+    bands = [{ distance: miles, rate }];
+  } else {
+    const rate = toNumber(policy.mileage_rate) || 0;
+    const allowance = getMileageAllowance(miles, distanceToDate, policy);
+    amount = allowance.amount;
+    bands = [
+      { distance: allowance.standardDistance, rate },
+      { distance: allowance.reducedDistance, rate: toNumber(policy.mileage_reduced_rate) ?? rate }
+    ].filter(band => band.distance > 0);
+  }
+
+  return {
+    amount,
+    basis: {
+      type: EXPENSE_TYPE.MILEAGE,
+      from,
+      to,
+      distance: miles,
+      vehicle_type: vehicle,
+      distance_to_date: rateField ? null : toNumber(distanceToDate) || 0,
+      bands,
+      amount
+    }
+  };
+}
+
+/**
+ * Per diem rate for a location, or null
+ * @param {string} location - Country or city
+ * @param {Object} policy - From mergePolicies
+ */
+export function getPerDiemRate(location, policy = DEFAULT_EXPENSE_POLICY) {
+  const match = findPerDiemRate(location, policy);
+  return match ? toNumber(match.rate) : null;
+}
+
+function findPerDiemRate(location, policy) {
+  const key = (location || '').trim().toLowerCase();
+  return (policy.per_diem_rates || []).find(r => r.location?.trim().toLowerCase() === key) || null;
+}
+
+/**
+ * Amount for a per diem claim and the basis it was calculated on
+ *
+ * @param {Object} claim
+ * @param {string} claim.location - Country or city with a per diem rate
+ * @param {number} claim.fullDays - Full days away
+ * @param {number} [claim.partialDays] - Travel days, paid at the partial percentage
+ * @param {Object} policy - From mergePolicies
+ * @returns {{ amount: number, basis: Object }}
+ */
+export function calculatePerDiem({ location, fullDays = 0, partialDays = 0 }, policy = DEFAULT_EXPENSE_POLICY) {
+  const match = findPerDiemRate(location, policy);
+  const rate = match ? toNumber(match.rate) : null;
+  const full = Math.max(0, Math.floor(toNumber(fullDays) || 0));
+  const partial = Math.max(0, Math.floor(toNumber(partialDays) || 0));
+
+  if (rate === null) {
+    const error = new Error(`No per diem rate for ${location || 'this location'}`);
+    error.code = POLICY_ERROR.INVALID_PER_DIEM;
+    throw error;
+  }
+  if (full + partial === 0) {
+    const error = new Error('Enter the number of days claimed');
+    error.code = POLICY_ERROR.INVALID_PER_DIEM;
+    throw error;
+  }
+
+  const partialPercent = toNumber(policy.per_diem_partial_percent) ?? DEFAULT_EXPENSE_POLICY.per_diem_partial_percent;
+  const amount = round2(full * rate + partial * rate * partialPercent / 100);
+
+  return {
+    amount,
+    basis: {
+      type: EXPENSE_TYPE.PER_DIEM,
+      location: match.location.trim(),
+      rate,
+      full_days: full,
+      partial_days: partial,
+      partial_day_percent: partialPercent,
+      amount
+    }
+  };
+}
+
+/**
+ * One-line description of how a calculated expense was worked out,
+ * e.g. for invoice lines
+ *
+ * @param {Object} basis - calculation_basis from an expense
+ * @param {string} [currency] - Currency the rates are in
+ * @returns {string} Empty for receipted expenses
+ */
+export function describeCalculationBasis(basis, currency) {
+  if (!basis) return '';
+  const symbol = getCurrencySymbol(currency);
+  const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+  if (basis.type === EXPENSE_TYPE.MILEAGE) {
+    const route = basis.from && basis.to ? ` ${basis.from} to ${basis.to}` : '';
+    const vehicle = VEHICLE_TYPE_CONFIG[basis.vehicle_type]?.label || basis.vehicle_type;
+    const bands = (basis.bands || [])
+      .map(band => `${band.distance} @ ${symbol}${Number(band.rate).toFixed(2)}`)
+      .join(' + ');
+    return `${plural(basis.distance, 'mile')}${route} by ${vehicle.toLowerCase()}: ${bands}`;
+  }
+
+  if (basis.type === EXPENSE_TYPE.PER_DIEM) {
+    const parts = [];
+    if (basis.full_days > 0) parts.push(`${plural(basis.full_days, 'day')} @ ${symbol}${Number(basis.rate).toFixed(2)}`);
+    if (basis.partial_days > 0) parts.push(`${plural(basis.partial_days, 'partial day')} @ ${basis.partial_day_percent}%`);
+    return `Per diem ${basis.location}: ${parts.join(' + ')}`;
+  }
+
+  return '';
+}
+
+/**
+ * Other expenses that count against this one: same resource, not this
+ * expense, not rejected or deleted
+ */
+function getRelatedExpenses(expense, otherExpenses) {
+  return otherExpenses.filter(other =>
+    other.id !== expense.id &&
+    other.resource_id === expense.resource_id &&
+    other.status !== 'Rejected' &&
+    other.is_deleted !== true
+  );
+}
+
+/**
+ * Check one expense against a policy
+ *
+ * @param {Object} expense - Expense row (amount, currency, category,
+ *   expense_date, resource_id, optional distance)
+ * @param {Object} context
+ * @param {Object} context.policy - From mergePolicies
+ * @param {Array} [context.otherExpenses] - The resource's other expenses
+ *   (at least the same day and the mileage year)
+ * @param {number} [context.receiptCount] - Receipts attached to the expense
+ * @param {Object} [context.calendar] - Working calendar, default Monday-Friday
+ * @param {Function} [context.convert] - (amount, currency, date) => project currency amount
+ * @param {string} [context.currency] - Project currency, for messages
+ * @returns {Array} Violations: { rule, severity, message, limit, actual, requiredRole? }
+ */
+export function evaluateExpense(expense, {
+  policy = DEFAULT_EXPENSE_POLICY,
+  otherExpenses = [],
+  receiptCount = 0,
+  calendar = WEEKDAYS_CALENDAR,
+  convert = (amount) => parseFloat(amount) || 0,
+  currency
+} = {}) {
+  const violations = [];
+  const symbol = getCurrencySymbol(currency);
+  const money = (value) => `${symbol}${round2(value).toFixed(2)}`;
+  const date = toDateKey(expense.expense_date);
+  const toProjectCurrency = (e) => round2(convert(e.amount, e.currency, e.expense_date));
+  const amount = toProjectCurrency(expense);
+  const related = getRelatedExpenses(expense, otherExpenses);
+
+  const add = (rule, message, limit, actual, extra = {}) => {
+    violations.push({
+      rule,
+      severity: POLICY_RULE_CONFIG[rule].severity,
+      message,
+      limit: limit === null ? null : round2(limit),
+      actual: actual === null ? null : round2(actual),
+      ...extra
+    });
+  };
+
+  const cap = toNumber(policy.category_caps?.[expense.category]);
+  if (cap !== null && amount > cap) {
+    add(POLICY_RULE.CATEGORY_CAP, `${money(amount)} is over the ${money(cap)} cap for ${expense.category}`, cap, amount);
+  }
+
+  // Per diem claims are checked against their rate, not the daily limit
+  const isPerDiemClaim = (e) => e.expense_type === EXPENSE_TYPE.PER_DIEM;
+  const perDiem = toNumber(policy.per_diem_limit);
+  if (perDiem !== null && PER_DIEM_CATEGORIES.includes(expense.category) && !isPerDiemClaim(expense)) {
+    const dayTotal = related
+      .filter(e => toDateKey(e.expense_date) === date && PER_DIEM_CATEGORIES.includes(e.category) && !isPerDiemClaim(e))
+      .reduce((sum, e) => sum + toProjectCurrency(e), amount);
+    if (dayTotal > perDiem) {
+      add(POLICY_RULE.PER_DIEM, `${money(dayTotal)} claimed on this day is over the ${money(perDiem)} per diem`, perDiem, dayTotal);
+    }
+  }
+
+  const basis = expense.calculation_basis;
+  if (isPerDiemClaim(expense) && basis?.type === EXPENSE_TYPE.PER_DIEM) {
+    // Current rate where the location still has one, else the rate it was claimed at
+    const rate = getPerDiemRate(basis.location, policy) ?? basis.rate;
+    const allowance = calculatePerDiem(
+      { location: basis.location, fullDays: basis.full_days, partialDays: basis.partial_days },
+      { ...policy, per_diem_rates: [{ location: basis.location, rate }] }
+    ).amount;
+    if (amount > allowance + 0.005) {
+      add(POLICY_RULE.PER_DIEM, `${money(amount)} is over the ${money(allowance)} per diem for ${basis.location}`, allowance, amount);
+    }
+  }
+
+  // Calculated expenses (mileage, per diem) do not need receipts
+  const isReceipted = !expense.expense_type || expense.expense_type === EXPENSE_TYPE.STANDARD;
+  const receiptThreshold = toNumber(policy.receipt_threshold) ?? 0;
+  if (policy.receipt_required && isReceipted && receiptCount === 0 && amount > receiptThreshold) {
+    add(
+      POLICY_RULE.RECEIPT_REQUIRED,
+      receiptThreshold > 0 ? `A receipt is required above ${money(receiptThreshold)}` : 'A receipt is required',
+      receiptThreshold,
+      amount
+    );
+  }
+
+  if (policy.flag_non_working_days) {
+    const reason = calendar.getNonWorkingReason(date);
+    if (reason) {
+      add(POLICY_RULE.NON_WORKING_DAY, `Claimed on a non-working day (${reason})`, null, null);
+    }
+  }
+
+  if (policy.flag_duplicates) {
+    const duplicates = related.filter(e =>
+      toDateKey(e.expense_date) === date &&
+      e.category === expense.category &&
+      Math.abs(toProjectCurrency(e) - amount) < 0.01
+    );
+    if (duplicates.length > 0) {
+      const refs = duplicates.map(e => e.expense_ref).filter(Boolean);
+      add(
+        POLICY_RULE.DUPLICATE,
+        `Same amount, date and category as ${refs.length > 0 ? refs.join(', ') : 'another expense'}`,
+        null,
+        amount,
+        { duplicateIds: duplicates.map(e => e.id) }
+      );
+    }
+  }
+
+  const distance = toNumber(expense.distance);
+  if (distance > 0) {
+    // Miles already claimed when the expense was calculated, where stored
+    const distanceToDate = basis?.distance_to_date ?? getDistanceToDate(expense, otherExpenses);
+    const vehicleType = expense.vehicle_type || VEHICLE_TYPE.CAR;
+    const allowance = calculateMileage({ distance, vehicleType, distanceToDate }, policy).amount;
+    if (amount > allowance + 0.005) {
+      add(POLICY_RULE.MILEAGE_RATE, `${money(amount)} is over the ${money(allowance)} mileage allowance for ${distance} miles`, allowance, amount);
+    }
+  }
+
+  const escalation = toNumber(policy.escalation_threshold);
+  if (escalation !== null && amount > escalation) {
+    const role = ESCALATION_ROLE_OPTIONS.find(o => o.value === policy.escalation_role);
+    add(
+      POLICY_RULE.ESCALATION,
+      `Over ${money(escalation)}: needs validating by the ${role?.label || policy.escalation_role}`,
+      escalation,
+      amount,
+      { requiredRole: policy.escalation_role }
+    );
+  }
+
+  return violations;
+}
+
+export function getPolicyViolations(expense) {
+  return Array.isArray(expense?.policy_violations) ? expense.policy_violations : [];
+}
+
+export function hasPolicyBreach(expense) {
+  return getPolicyViolations(expense).some(v => v.severity === POLICY_SEVERITY.BREACH);
+}
+
+/**
+ * Role the expense has been escalated to, or null
+ */
+export function getEscalationRole(expense) {
+  return getPolicyViolations(expense).find(v => v.rule === POLICY_RULE.ESCALATION)?.requiredRole || null;
+}
+
+/**
+ * Why a user cannot validate an expense yet, or null when they can
+ *
+ * @param {Object} expense - Expense with policy_violations
+ * @param {Object} params
+ * @param {string} params.role - Validator's project role
+ * @param {boolean} params.acknowledged - Validator has acknowledged the violations
+ * @returns {{ code: string, message: string }|null}
+ */
+export function getValidationBlock(expense, { role, acknowledged = false } = {}) {
+  const violations = getPolicyViolations(expense);
+  if (violations.length === 0) return null;
+
+  const escalationRole = getEscalationRole(expense);
+  if (escalationRole && role !== escalationRole && role !== ESCALATION_OVERRIDE_ROLE) {
+    const label = ESCALATION_ROLE_OPTIONS.find(o => o.value === escalationRole)?.label || escalationRole;
+    return {
+      code: POLICY_ERROR.ESCALATION_REQUIRED,
+      message: `This expense has been escalated and must be validated by the ${label}`
+    };
+  }
+
+  if (!acknowledged && !expense.policy_acknowledged_at) {
+    return {
+      code: POLICY_ERROR.ACKNOWLEDGEMENT_REQUIRED,
+      message: `Acknowledge the ${violations.length} policy issue${violations.length === 1 ? '' : 's'} before validating`
+    };
+  }
+
+  return null;
+}
+
+export default {
+  EXPENSE_CATEGORIES,
+  PER_DIEM_CATEGORIES,
+  POLICY_RULE,
+  POLICY_SEVERITY,
+  POLICY_RULE_CONFIG,
+  POLICY_SEVERITY_CONFIG,
+  ESCALATION_ROLE_OPTIONS,
+  POLICY_ERROR,
+  EXPENSE_TYPE,
+  EXPENSE_TYPE_CONFIG,
+  VEHICLE_TYPE,
+  VEHICLE_TYPE_CONFIG,
+  DEFAULT_EXPENSE_POLICY,
+  POLICY_NUMBER_FIELDS,
+  mergePolicies,
+  validateExpensePolicy,
+  getMileageYearStart,
+  getMileageAllowance,
+  getDistanceToDate,
+  calculateMileage,
+  getPerDiemRate,
+  calculatePerDiem,
+  describeCalculationBasis,
+  evaluateExpense,
+  getPolicyViolations,
+  hasPolicyBreach,
+  getEscalationRole,
+  getValidationBlock
+};
@@ -0,0 +1,267 @@
+/**
+ * Gantt Layout
+ *
+ * Pure geometry for the Planning page Gantt view: the timeline scale,
+ * bar positions, predecessor link paths and the dates produced by
+ * dragging a bar. Dates are 'YYYY-MM-DD' strings handled in UTC, the
+ * same as lib/planningScheduler.js.
+ *
+ * @version 1.0
+ * @created 19 October 2026
+ */
+
+import { toDateKey } from './workingCalendar';
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+/**
+ * Pixels per day for each zoom level
+ */
+export const GANTT_ZOOM = {
+  day: { label: 'Days', dayWidth: 28 },
+  week: { label: 'Weeks', dayWidth: 12 },
+  month: { label: 'Months', dayWidth: 4 }
+};
+
+export const GANTT_ROW_HEIGHT = 32;
+
+/**
+ * Parse a 'YYYY-MM-DD' string to a UTC day number
+ */
+function toDayNumber(dateStr) {
+  if (!dateStr) return null;
+  const [y, m, d] = String(dateStr).slice(0, 10).split('-').map(Number);
+  if (!y || !m || !d) return null;
+  return Math.round(Date.UTC(y, m - 1, d) / MS_PER_DAY);
+}
+
+/**
+ * Format a UTC day number as 'YYYY-MM-DD'
+ */
+function fromDayNumber(day) {
+  return new Date(day * MS_PER_DAY).toISOString().split('T')[0];
+}
+
+/**
+ * Shift a 'YYYY-MM-DD' date by a number of calendar days
+ */
+export function shiftDate(dateStr, days) {
+  const day = toDayNumber(dateStr);
+  return day === null ? null : fromDayNumber(day + days);
+}
+
+/**
+ * Build the visible timeline for a set of items
+ *
+ * @param {Array} items - Plan items (start_date / end_date, optional _baselineStart / _baselineEnd)
+ * @param {Object} options
+ * @param {string} options.zoom - Key of GANTT_ZOOM
+ * @param {string} options.today - 'YYYY-MM-DD', always kept in range
+ * @param {number} options.padding - Days either side of the plan
+ * @returns {{ start: string, end: string, days: number, dayWidth: number, width: number }}
+ */
+export function buildTimeline(items, options = {}) {
+  const { zoom = 'week', today = null, padding = 7 } = options;
+  const dayWidth = (GANTT_ZOOM[zoom] || GANTT_ZOOM.week).dayWidth;
+
+  const days = [];
+  items.forEach(item => {
+    [item.start_date, item.end_date, item._baselineStart, item._baselineEnd].forEach(date => {
+      const day = toDayNumber(date);
+      if (day !== null) days.push(day);
+    });
+  });
+  const todayDay = toDayNumber(today);
+  const fallback = todayDay ?? Math.floor(Date.now() / MS_PER_DAY);
+  if (days.length === 0) days.push(fallback, fallback + 30);
+  if (todayDay !== null) days.push(todayDay);
+
+  let first = Math.min(...days);
+  let last = Math.max(...days);
+
+  // Start on a Monday so week columns line up (1970-01-01 was a Thursday)
+  first -= padding;
+  first -= (first + 3) % 7;
+  last += padding;
+
+  const count = last - first + 1;
+  return {
+    start: fromDayNumber(first),
+    end: fromDayNumber(last),
+    days: count,
+    dayWidth,
+    width: count * dayWidth
+  };
+}
+
+/**
+ * X offset of the left edge of a date's column
+ */
+export function dateToX(dateStr, timeline) {
+  const day = toDayNumber(dateStr);
+  if (day === null) return null;
+  return (day - toDayNumber(timeline.start)) * timeline.dayWidth;
+}
+
+/**
+ * Whole days represented by a horizontal pixel distance
+ */
+export function pixelsToDays(dx, timeline) {
+  return Math.round(dx / timeline.dayWidth);
+}
+
+/**
+ * Bar geometry for an item
+ *
+ * Items with only one date, and milestones that start and finish on the
+ * same day, draw as a point (diamond); everything else spans its
+ * inclusive date range.
+ *
+ * @returns {{ x: number, width: number, isPoint: boolean }|null}
+ */
+export function getBarGeometry(item, timeline, fields = { start: 'start_date', end: 'end_date' }) {
+  const start = item[fields.start] || item[fields.end];
+  const end = item[fields.end] || item[fields.start];
+  if (!start) return null;
+
+  const x = dateToX(start, timeline);
+  const endX = dateToX(end, timeline) + timeline.dayWidth;
+  const isPoint = !item[fields.start] || !item[fields.end] || (start === end && item.item_type === 'milestone');
+
+  return {
+    x,
+    width: Math.max(endX - x, timeline.dayWidth),
+    isPoint
+  };
+}
+
+/**
+ * Date headers for the timeline: an upper band (months) and a lower band
+ * (days, or week commencing dates when zoomed out)
+ *
+ * @returns {{ upper: Array<{label, x, width}>, lower: Array<{label, x, width, date}> }}
+ */
+export function buildTimelineHeaders(timeline, zoom = 'week') {
+  const first = toDayNumber(timeline.start);
+  const upper = [];
+  const lower = [];
+
+  for (let i = 0; i < timeline.days; i++) {
+    const date = new Date((first + i) * MS_PER_DAY);
+    const x = i * timeline.dayWidth;
+    const monthLabel = date.toLocaleDateString('en-GB', { month: 'short', year: 'numeric', timeZone: 'UTC' });
+
+    if (upper.length === 0 || date.getUTCDate() === 1) {
+      upper.push({ label: monthLabel, x, width: 0 });
+    }
+    upper[upper.length - 1].width += timeline.dayWidth;
+
+    if (zoom === 'day') {
+      lower.push({ label: String(date.getUTCDate()), x, width: timeline.dayWidth, date: fromDayNumber(first + i) });
+    } else if (zoom === 'week' && date.getUTCDay() === 1) {
+      lower.push({ label: String(date.getUTCDate()), x, width: timeline.dayWidth * 7, date: fromDayNumber(first + i) });
+    }
+  }
+
+  return { upper, lower };
+}
+
+/**
+ * New dates for a bar after dragging it by a number of days
+ *
+ * @param {Object} item - Plan item with start_date / end_date
+ * @param {number} dayDelta - Days dragged (negative = earlier)
+ * @param {string} mode - 'move' | 'resize-start' | 'resize-end'
+ * @param {Object|null} calendar - Working calendar; moves keep the working-day
+ *   duration and never start on a non-working day
+ * @returns {{ start_date: string, end_date: string }|null} null when unchanged
+ */
+export function getDraggedDates(item, dayDelta, mode, calendar = null) {
+  if (!dayDelta || (!item.start_date && !item.end_date)) return null;
+
+  const start = item.start_date || item.end_date;
+  const end = item.end_date || item.start_date;
+  let newStart = start;
+  let newEnd = end;
+
+  if (mode === 'move') {
+    newStart = shiftDate(start, dayDelta);
+    if (calendar) {
+      const duration = calendar.countWorkingDays(start, end);
+      newStart = toDateKey(calendar.nextWorkingDay(newStart));
+      newEnd = toDateKey(calendar.addWorkingDays(newStart, duration));
+    } else {
+      newEnd = shiftDate(end, dayDelta);
+    }
+  } else if (mode === 'resize-start') {
+    newStart = shiftDate(start, dayDelta);
+    if (newStart > end) newStart = end;
+  } else if (mode === 'resize-end') {
+    newEnd = shiftDate(end, dayDelta);
+    if (newEnd < start) newEnd = start;
+  }
+
+  if (newStart === item.start_date && newEnd === item.end_date) return null;
+  return { start_date: newStart, end_date: newEnd };
+}
+
+/**
+ * SVG paths for predecessor links
+ *
+ * Links leave the predecessor's finish (FS, FF) or start (SS, SF) and
+ * enter the successor's start (FS, SS) or finish (FF, SF), routed with
+ * right-angled elbows.
+ *
+ * @param {Array} rows - Visible items in display order
+ * @param {Map} geometryById - id -> { x, width } from getBarGeometry
+ * @param {number} rowHeight - Row height in pixels
+ * @returns {Array<{ id: string, fromId: string, toId: string, type: string, d: string }>}
+ */
+export function buildLinkPaths(rows, geometryById, rowHeight = GANTT_ROW_HEIGHT) {
+  const rowIndex = new Map(rows.map((row, index) => [row.id, index]));
+  const paths = [];
+  const stub = 8;
+
+  rows.forEach(row => {
+    (row.predecessors || []).forEach(pred => {
+      const from = geometryById.get(pred.id);
+      const to = geometryById.get(row.id);
+      if (!from || !to || !rowIndex.has(pred.id)) return;
+
+      const type = pred.type || 'FS';
+      const fromFinish = type === 'FS' || type === 'FF';
+      const toStart = type === 'FS' || type === 'SS';
+
+      const x1 = fromFinish ? from.x + from.width : from.x;
+      const y1 = rowIndex.get(pred.id) * rowHeight + rowHeight / 2;
+      const x2 = toStart ? to.x : to.x + to.width;
+      const y2 = rowIndex.get(row.id) * rowHeight + rowHeight / 2;
+
+      // Step out of the source bar, across to the target row, then into the target
+      const outX = fromFinish ? x1 + stub : x1 - stub;
+      const inX = toStart ? x2 - stub : x2 + stub;
+      const midY = y1 + (y2 > y1 ? rowHeight / 2 : -rowHeight / 2);
+
+      const d = (fromFinish ? inX >= outX : inX <= outX)
+        ? `M ${x1} ${y1} H ${inX} V ${y2} H ${x2}`
+        : `M ${x1} ${y1} H ${outX} V ${midY} H ${inX} V ${y2} H ${x2}`;
+
+      paths.push({ id: `${pred.id}-${row.id}`, fromId: pred.id, toId: row.id, type, d });
+    });
+  });
+
+  return paths;
+}
+
+export default {
+  GANTT_ZOOM,
+  GANTT_ROW_HEIGHT,
+  shiftDate,
+  buildTimeline,
+  buildTimelineHeaders,
+  dateToX,
+  pixelsToDays,
+  getBarGeometry,
+  getDraggedDates,
+  buildLinkPaths
+};
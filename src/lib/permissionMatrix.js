@@ -1,7 +1,7 @@
 /**
  * AMSF001 Project Tracker - Permission Matrix
  * Location: src/lib/permissionMatrix.js
- * Version: 3.0 - Simplified role model (January 2026)
+ * Version: 3.1 - Variation revert permission (October 2026)
  *
  * SINGLE SOURCE OF TRUTH for all role-based permissions.
  *
@@ -12,6 +12,9 @@
  * 1. Update this matrix
  * 2. Run the corresponding SQL migration for RLS policies
  *
+ * VERSION 3.1 CHANGES (October 2026):
+ * - Added variations.revert (supplier side) for reverting applied variations
+ *
  * VERSION 3.0 CHANGES (January 2026):
  * - Removed project-level 'admin' role (redundant with supplier_pm)
  * - Added 'supplier_pm' as an organisation-level role
@@ -223,6 +226,7 @@ export const PERMISSION_MATRIX = {
     signAsCustomer: CUSTOMER_SIDE,
     reject: MANAGERS,
     apply: SUPPLIER_SIDE,
+    revert: SUPPLIER_SIDE,
   },
 
   // ----------------------------------------
@@ -1,7 +1,7 @@
 /**
  * AMSF001 Project Tracker - Centralized Permission Logic
  * Location: src/lib/permissions.js
- * Version 5.0 - Permission Matrix Integration
+ * Version 5.1 - Variation revert permission
  * 
  * This file provides permission check functions that derive from the
  * Permission Matrix (permissionMatrix.js).
@@ -444,6 +444,10 @@ export function canRejectVariation(userRole) {
   return hasPermission(userRole, 'variations', 'reject');
 }
 
+export function canRevertVariation(userRole) {
+  return hasPermission(userRole, 'variations', 'revert');
+}
+
 // ============================================
 // CERTIFICATE PERMISSIONS
 // ============================================
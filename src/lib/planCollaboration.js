@@ -0,0 +1,141 @@
+/**
+ * Plan Collaboration
+ *
+ * Pure helpers for live editing of the plan by several users:
+ * - applying another user's change (from the plan_item_changes journal
+ *   stream) to the local items list
+ * - three-way comparison of a stale save against the latest row, so only
+ *   fields both users changed need a decision
+ * - grouping presence state into "who is editing which row"
+ *
+ * @version 1.0
+ * @created 19 October 2026
+ */
+
+// Changes that alter the hierarchy or WBS need a full reload to re-number
+const STRUCTURAL_FIELDS = ['parent_id', 'sort_order', 'item_type', 'is_deleted'];
+
+// Columns the database maintains itself - never part of a merge decision
+const SYSTEM_FIELDS = ['id', 'project_id', 'created_at', 'updated_at', 'created_by', 'updated_by', 'wbs'];
+
+const EDITOR_COLORS = ['#0073ea', '#00c875', '#e44258', '#a25ddc', '#fdab3d', '#ff158a', '#00d2d2', '#579bfc'];
+
+/**
+ * Editor colour from a user id, stable across sessions
+ */
+export function getEditorColor(userId) {
+  if (!userId) return EDITOR_COLORS[0];
+  let hash = 0;
+  for (let i = 0; i < userId.length; i++) {
+    hash = userId.charCodeAt(i) + ((hash << 5) - hash);
+  }
+  return EDITOR_COLORS[Math.abs(hash) % EDITOR_COLORS.length];
+}
+
+function sameValue(a, b) {
+  if (a === b) return true;
+  if ((a === null || a === undefined || a === '') && (b === null || b === undefined || b === '')) return true;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Fields whose value differs between two versions of a row
+ */
+export function getChangedFields(before, after) {
+  if (!before || !after) return [];
+  return Object.keys(after).filter(field =>
+    !SYSTEM_FIELDS.includes(field) && !sameValue(before[field], after[field])
+  );
+}
+
+/**
+ * Apply a journal change to the local items list
+ *
+ * @param {Array} items - Current plan items
+ * @param {Object} change - { operation, old_row, new_row }
+ * @returns {{ items: Array, needsReload: boolean, changedFields: string[] }}
+ *   needsReload is true when the change moves, adds or removes rows
+ */
+export function applyRemoteChange(items, change) {
+  const row = change.new_row || change.old_row;
+  if (!row) return { items, needsReload: false, changedFields: [] };
+
+  if (change.operation !== 'UPDATE') {
+    return { items, needsReload: true, changedFields: [] };
+  }
+
+  const changedFields = getChangedFields(change.old_row, change.new_row);
+  const exists = items.some(i => i.id === row.id);
+
+  if (!exists || changedFields.some(field => STRUCTURAL_FIELDS.includes(field))) {
+    return { items, needsReload: true, changedFields };
+  }
+
+  return {
+    items: items.map(item => (item.id === row.id ? { ...item, ...change.new_row } : item)),
+    needsReload: false,
+    changedFields
+  };
+}
+
+/**
+ * Three-way comparison of a stale save
+ *
+ * @param {Object} base - The row as the user last saw it
+ * @param {Object} updates - The fields the user is saving
+ * @param {Object} current - The row as it is now in the database
+ * @returns {{ fields: Array<{ field, base, mine, theirs, conflict }>, merged: Object, hasConflicts: boolean }}
+ *   merged holds the user's non-conflicting updates, ready to save against current
+ */
+export function mergeStaleUpdate(base, updates, current) {
+  const theirChanges = new Set(getChangedFields(base, current));
+  const fields = [];
+  const merged = {};
+
+  Object.entries(updates).forEach(([field, mine]) => {
+    if (SYSTEM_FIELDS.includes(field)) return;
+    const theirs = current?.[field];
+    const conflict = theirChanges.has(field) && !sameValue(mine, theirs);
+    fields.push({ field, base: base?.[field], mine, theirs, conflict });
+    if (!conflict && !sameValue(mine, theirs)) merged[field] = mine;
+  });
+
+  return { fields, merged, hasConflicts: fields.some(f => f.conflict) };
+}
+
+/**
+ * Rows other users are editing, from Supabase presence state
+ *
+ * @param {Object} presenceState - channel.presenceState(): key -> [{ userId, name, editingItemId }]
+ * @param {string} userId - Current user (excluded)
+ * @returns {{ editors: Object, users: Array }} editors maps item id -> [{ userId, name, color }];
+ *   users lists everyone else online
+ */
+export function getRowEditors(presenceState, userId) {
+  const editors = {};
+  const users = new Map();
+
+  Object.values(presenceState || {}).forEach(entries => {
+    (entries || []).forEach(entry => {
+      if (!entry?.userId || entry.userId === userId) return;
+      const editor = { userId: entry.userId, name: entry.name || 'Someone', color: getEditorColor(entry.userId) };
+      users.set(entry.userId, editor);
+      if (entry.editingItemId) {
+        if (!editors[entry.editingItemId]) editors[entry.editingItemId] = [];
+        if (!editors[entry.editingItemId].some(e => e.userId === entry.userId)) {
+          editors[entry.editingItemId].push(editor);
+        }
+      }
+    });
+  });
+
+  return { editors, users: [...users.values()] };
+}
+
+export default {
+  getEditorColor,
+  getChangedFields,
+  applyRemoteChange,
+  mergeStaleUpdate,
+  getRowEditors
+};
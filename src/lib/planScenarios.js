@@ -0,0 +1,289 @@
+/**
+ * Plan Scenarios
+ *
+ * Pure helpers for "what-if" scenario branches of the plan. A branch is a
+ * copy of the live plan items (scenario_id set, source_item_id pointing at
+ * the live item), so the diff pairs each branch item with its source:
+ * - changed: dates, duration, name, links or parent differ
+ * - added: only in the branch
+ * - removed: deleted from the branch
+ *
+ * The merge plan and variation changes are built from selected diff entries.
+ *
+ * @version 1.0
+ * @created 19 October 2026
+ */
+
+export const SCENARIO_CHANGE = {
+  CHANGED: 'changed',
+  ADDED: 'added',
+  REMOVED: 'removed'
+};
+
+// Fields compared between the branch and the live plan
+export const SCENARIO_DIFF_FIELDS = ['name', 'start_date', 'end_date', 'duration_days', 'predecessors', 'parent_id'];
+
+const DAY_MS = 86400000;
+
+function dayNumber(date) {
+  if (!date) return null;
+  const [y, m, d] = String(date).slice(0, 10).split('-').map(Number);
+  return Date.UTC(y, m - 1, d) / DAY_MS;
+}
+
+/**
+ * Calendar days between two 'YYYY-MM-DD' dates (null if either is missing)
+ */
+export function daysBetween(from, to) {
+  const a = dayNumber(from);
+  const b = dayNumber(to);
+  return a === null || b === null ? null : b - a;
+}
+
+function normaliseLinks(predecessors, toLiveId) {
+  return (predecessors || [])
+    .map(p => ({ id: toLiveId(p.id), type: p.type || 'FS', lag: p.lag || 0 }))
+    .sort((a, b) => String(a.id).localeCompare(String(b.id)));
+}
+
+function sameValue(a, b) {
+  if ((a === null || a === undefined || a === '') && (b === null || b === undefined || b === '')) return true;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function latestEnd(items) {
+  return items.reduce((max, item) => (item.end_date && (!max || item.end_date > max) ? item.end_date : max), null);
+}
+
+/**
+ * Compare a scenario branch with the live plan
+ *
+ * Ids inside the branch (parents, predecessor links) are translated to the
+ * live ids they were copied from, so only real edits show up. Items added
+ * in the branch keep their branch id.
+ *
+ * @param {Array} liveItems - Live plan items (not deleted)
+ * @param {Array} scenarioItems - Branch items (not deleted)
+ * @returns {{ entries: Array, summary: Object, liveIds: Object }}
+ *   entries: [{ key, kind, liveItem, scenarioItem, fields: [{ field, from, to }], startShift, endShift }]
+ *   summary: { changed, added, removed, liveFinish, scenarioFinish, finishShift }
+ *   liveIds: branch item id -> live item id, for every copied item
+ */
+export function diffScenario(liveItems, scenarioItems) {
+  const liveById = new Map(liveItems.map(i => [i.id, i]));
+  const scenarioById = new Map(scenarioItems.map(i => [i.id, i]));
+
+  // Branch id -> live id, for items that still have a live counterpart
+  const toLiveId = (id) => {
+    const source = scenarioById.get(id)?.source_item_id;
+    return source && liveById.has(source) ? source : id;
+  };
+
+  const entries = [];
+  const copied = new Set();
+  const liveIds = {};
+
+  scenarioItems.forEach(item => {
+    const liveItem = item.source_item_id ? liveById.get(item.source_item_id) : null;
+
+    if (!liveItem) {
+      entries.push({
+        key: item.id,
+        kind: SCENARIO_CHANGE.ADDED,
+        liveItem: null,
+        scenarioItem: item,
+        fields: [],
+        startShift: null,
+        endShift: null
+      });
+      return;
+    }
+
+    copied.add(liveItem.id);
+    liveIds[item.id] = liveItem.id;
+
+    const fields = [];
+    SCENARIO_DIFF_FIELDS.forEach(field => {
+      let from = liveItem[field] ?? null;
+      let to = item[field] ?? null;
+      if (field === 'predecessors') {
+        from = normaliseLinks(from, id => id);
+        to = normaliseLinks(to, toLiveId);
+      } else if (field === 'parent_id') {
+        to = to ? toLiveId(to) : null;
+      }
+      if (!sameValue(from, to)) fields.push({ field, from, to });
+    });
+
+    if (fields.length > 0) {
+      entries.push({
+        key: item.id,
+        kind: SCENARIO_CHANGE.CHANGED,
+        liveItem,
+        scenarioItem: item,
+        fields,
+        startShift: daysBetween(liveItem.start_date, item.start_date),
+        endShift: daysBetween(liveItem.end_date, item.end_date)
+      });
+    }
+  });
+
+  liveItems.forEach(item => {
+    if (copied.has(item.id)) return;
+    entries.push({
+      key: item.id,
+      kind: SCENARIO_CHANGE.REMOVED,
+      liveItem: item,
+      scenarioItem: null,
+      fields: [],
+      startShift: null,
+      endShift: null
+    });
+  });
+
+  const liveFinish = latestEnd(liveItems);
+  const scenarioFinish = latestEnd(scenarioItems);
+
+  return {
+    entries,
+    liveIds,
+    summary: {
+      changed: entries.filter(e => e.kind === SCENARIO_CHANGE.CHANGED).length,
+      added: entries.filter(e => e.kind === SCENARIO_CHANGE.ADDED).length,
+      removed: entries.filter(e => e.kind === SCENARIO_CHANGE.REMOVED).length,
+      liveFinish,
+      scenarioFinish,
+      finishShift: daysBetween(liveFinish, scenarioFinish)
+    }
+  };
+}
+
+/**
+ * Turn selected diff entries into the steps that apply them to the live plan
+ *
+ * Added items bring their added ancestors with them so they have a parent
+ * to go under, and so does a move under an added item. Ids of added items
+ * are left as branch ids: the caller creates those first and maps the
+ * remaining steps with the id map the create returns. Links to branch-only
+ * items that are not being merged are dropped.
+ *
+ * @param {Array} entries - Selected entries
+ * @param {Object} diff - The full diffScenario result
+ * @returns {{ creates: Array, updates: Array<{ id, updates }>, moves: Array<{ id, parentId, sortOrder }>, deletes: string[] }}
+ */
+export function buildMergePlan(entries, diff) {
+  const addedById = new Map(
+    diff.entries.filter(e => e.kind === SCENARIO_CHANGE.ADDED).map(e => [e.scenarioItem.id, e.scenarioItem])
+  );
+  const changed = entries.filter(e => e.kind === SCENARIO_CHANGE.CHANGED);
+  const movedTo = (entry) => entry.fields.find(f => f.field === 'parent_id');
+
+  // Added items with their added ancestors
+  const creates = new Map();
+  const includeAdded = (id) => {
+    let item = addedById.get(id);
+    while (item && !creates.has(item.id)) {
+      creates.set(item.id, item);
+      item = addedById.get(item.parent_id);
+    }
+  };
+  entries.filter(e => e.kind === SCENARIO_CHANGE.ADDED).forEach(e => includeAdded(e.scenarioItem.id));
+  changed.forEach(entry => {
+    const move = movedTo(entry);
+    if (move?.to) includeAdded(move.to);
+  });
+
+  const toMergeId = (id) => diff.liveIds[id] || id;
+  const liveIds = new Set([
+    ...Object.values(diff.liveIds),
+    ...diff.entries.filter(e => e.kind === SCENARIO_CHANGE.REMOVED).map(e => e.liveItem.id)
+  ]);
+  const mergeLinks = (predecessors) => (predecessors || [])
+    .map(p => ({ ...p, id: toMergeId(p.id) }))
+    .filter(p => liveIds.has(p.id) || creates.has(p.id));
+
+  const createItems = [...creates.values()].map(item => ({
+    ...item,
+    parent_id: item.parent_id ? toMergeId(item.parent_id) : null,
+    predecessors: mergeLinks(item.predecessors)
+  }));
+
+  const updates = [];
+  const moves = [];
+  changed.forEach(entry => {
+    const fieldUpdates = {};
+    entry.fields.forEach(({ field }) => {
+      if (field === 'parent_id') return;
+      fieldUpdates[field] = field === 'predecessors'
+        ? mergeLinks(entry.scenarioItem.predecessors)
+        : entry.scenarioItem[field] ?? null;
+    });
+    if (Object.keys(fieldUpdates).length > 0) {
+      updates.push({ id: entry.liveItem.id, updates: fieldUpdates });
+    }
+    const move = movedTo(entry);
+    if (move) {
+      moves.push({ id: entry.liveItem.id, parentId: move.to, sortOrder: entry.scenarioItem.sort_order });
+    }
+  });
+
+  // Removing a parent removes its children, so only the topmost is needed
+  const removedIds = new Set(entries.filter(e => e.kind === SCENARIO_CHANGE.REMOVED).map(e => e.liveItem.id));
+  const liveParent = new Map(diff.entries.filter(e => e.liveItem).map(e => [e.liveItem.id, e.liveItem.parent_id]));
+  const deletes = [...removedIds].filter(id => {
+    let parent = liveParent.get(id);
+    while (parent) {
+      if (removedIds.has(parent)) return false;
+      parent = liveParent.get(parent);
+    }
+    return true;
+  });
+
+  return { creates: createItems, updates, moves, deletes };
+}
+
+/**
+ * Variation change lines from selected diff entries, in the same shape the
+ * planner uses for pending changes ({ plan_item_id, field, from, to })
+ */
+export function buildVariationChanges(entries) {
+  const changes = [];
+  entries.forEach(entry => {
+    if (entry.kind === SCENARIO_CHANGE.ADDED) {
+      changes.push({ plan_item_id: null, field: 'added', from: null, to: entry.scenarioItem.name });
+    } else if (entry.kind === SCENARIO_CHANGE.REMOVED) {
+      changes.push({ plan_item_id: entry.liveItem.id, field: 'removed', from: entry.liveItem.name, to: null });
+    } else {
+      entry.fields
+        .filter(f => f.field !== 'predecessors' && f.field !== 'parent_id')
+        .forEach(f => changes.push({ plan_item_id: entry.liveItem.id, field: f.field, from: f.from, to: f.to }));
+    }
+  });
+  return changes;
+}
+
+/**
+ * Variation type for a set of scenario changes
+ * @returns {string} One of the VARIATION_TYPE values
+ */
+export function getScenarioVariationType(entries) {
+  const hasAdded = entries.some(e => e.kind === SCENARIO_CHANGE.ADDED);
+  const hasRemoved = entries.some(e => e.kind === SCENARIO_CHANGE.REMOVED);
+  const hasDates = entries.some(e => e.fields.some(f => ['start_date', 'end_date', 'duration_days'].includes(f.field)));
+
+  const kinds = [hasAdded, hasRemoved, hasDates].filter(Boolean).length;
+  if (kinds !== 1) return 'combined';
+  if (hasAdded) return 'scope_extension';
+  if (hasRemoved) return 'scope_reduction';
+  return 'time_extension';
+}
+
+export default {
+  SCENARIO_CHANGE,
+  SCENARIO_DIFF_FIELDS,
+  daysBetween,
+  diffScenario,
+  buildMergePlan,
+  buildVariationChanges,
+  getScenarioVariationType
+};
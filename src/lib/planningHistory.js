@@ -1,19 +1,139 @@
 /**
  * Planning History Manager
  * Implements undo/redo stack for planning operations
- * 
- * @version 1.0
+ *
+ * When connected to a journal (services/planHistory.service.js) each
+ * operation is also recorded server-side, so a user's undo stack survives
+ * a page reload. Undo checks the journal for changes other users have
+ * since made to the same items, so the caller can warn before
+ * overwriting them.
+ *
+ * @version 2.1
  * @created December 2025
+ * @updated 19 October 2026
+ * @updated 19 October 2026 - Reschedule actions (a Gantt drag and the successors it moves)
  * @phase 2.4 - Undo/Redo Stack
  */
 
 const MAX_HISTORY = 50;
 
+const ACTION_LABELS = {
+  create: 'Create',
+  update: 'Edit',
+  reschedule: 'Reschedule',
+  delete: 'Delete',
+  paste: 'Paste',
+  cut: 'Cut',
+  move: 'Move',
+  promote: 'Promote',
+  demote: 'Demote',
+  batch_delete: 'Delete Items'
+};
+
+/**
+ * Plan item ids an action touched
+ * @param {object} action - { type, data }
+ * @returns {string[]}
+ */
+export function getActionItemIds(action) {
+  const data = action?.data || {};
+  const ids = new Set();
+  if (data.id) ids.add(data.id);
+  [data.ids, data.itemIds, data.createdIds, data.cutIds].forEach(list => {
+    (list || []).forEach(id => ids.add(id));
+  });
+  (data.previousStates || []).forEach(state => state?.id && ids.add(state.id));
+  (data.changes || []).forEach(change => change?.id && ids.add(change.id));
+  return [...ids];
+}
+
+/**
+ * Changes by other users to an action's items since it was made
+ *
+ * @param {object} action - History entry ({ type, data, timestamp })
+ * @param {Array} changes - Journal changes ({ plan_item_id, changed_by, changed_at })
+ * @param {string} userId - Current user
+ * @returns {Array<{ itemId, changedBy, changedAt }>} Latest conflicting change per item
+ */
+export function findConflicts(action, changes, userId) {
+  const itemIds = new Set(getActionItemIds(action));
+  const since = action.timestamp;
+  const latest = new Map();
+
+  (changes || []).forEach(change => {
+    if (!itemIds.has(change.plan_item_id)) return;
+    if (!change.changed_by || change.changed_by === userId) return;
+    const changedAt = new Date(change.changed_at).getTime();
+    if (changedAt <= since) return;
+
+    const existing = latest.get(change.plan_item_id);
+    if (!existing || changedAt > existing.changedAt) {
+      latest.set(change.plan_item_id, {
+        itemId: change.plan_item_id,
+        changedBy: change.changed_by,
+        changedAt
+      });
+    }
+  });
+
+  return [...latest.values()];
+}
+
+/**
+ * Group journal changes into timeline events: consecutive changes by the
+ * same user within windowMs of each other count as one event
+ *
+ * @param {Array} changes - Journal changes, newest first
+ *   ({ id, plan_item_id, operation, old_row, new_row, changed_by, changed_at })
+ * @param {number} windowMs - Gap that separates two events
+ * @returns {Array<{ id, userId, startedAt, endedAt, itemIds, created, updated, deleted, names }>}
+ *   Newest first; endedAt is the time to restore to for "the plan as of this event"
+ */
+export function groupChangeEvents(changes, windowMs = 5000) {
+  const events = [];
+
+  (changes || []).forEach(change => {
+    const at = change.changed_at;
+    const current = events[events.length - 1];
+    const fits = current
+      && current.userId === (change.changed_by || null)
+      && new Date(current.startedAt).getTime() - new Date(at).getTime() <= windowMs;
+
+    const event = fits ? current : {
+      id: change.id,
+      userId: change.changed_by || null,
+      startedAt: at,
+      endedAt: at,
+      itemIds: [],
+      created: 0,
+      updated: 0,
+      deleted: 0,
+      names: []
+    };
+    if (!fits) events.push(event);
+
+    event.startedAt = at;
+    if (!event.itemIds.includes(change.plan_item_id)) {
+      event.itemIds.push(change.plan_item_id);
+      const name = change.new_row?.name || change.old_row?.name;
+      if (name) event.names.push(name);
+    }
+
+    const softDeleted = change.old_row && change.new_row && !change.old_row.is_deleted && change.new_row.is_deleted;
+    if (change.operation === 'INSERT') event.created++;
+    else if (change.operation === 'DELETE' || softDeleted) event.deleted++;
+    else event.updated++;
+  });
+
+  return events;
+}
+
 class PlanningHistory {
   constructor() {
     this.undoStack = [];
     this.redoStack = [];
     this.listeners = new Set();
+    this.journal = null; // { service, projectId, userId }
   }
 
   /**
@@ -38,39 +158,133 @@ class PlanningHistory {
     }));
   }
 
+  /**
+   * Record operations in a server-side journal and load the user's
+   * undoable operations for the project
+   *
+   * @param {object} options
+   * @param {string} options.projectId - Project UUID
+   * @param {string} options.userId - Current user UUID
+   * @param {object} options.service - recordOperation, getUndoableOperations,
+   *   markUndone, markRedone and getItemChangesSince (planHistoryService)
+   */
+  async connect({ projectId, userId, service }) {
+    this.journal = { projectId, userId, service };
+    this.undoStack = [];
+    this.redoStack = [];
+    this._notify();
+
+    try {
+      const operations = await service.getUndoableOperations(projectId, userId, MAX_HISTORY);
+      // Ignore the result if another project connected meanwhile
+      if (this.journal?.projectId !== projectId) return;
+      this.undoStack = operations.map(op => ({
+        type: op.action_type,
+        data: op.data,
+        timestamp: new Date(op.created_at).getTime(),
+        journalId: op.id
+      }));
+      this._notify();
+    } catch (error) {
+      console.error('Planning history load failed:', error);
+    }
+  }
+
+  /**
+   * Stop journaling and clear history (e.g. when leaving the project)
+   */
+  disconnect() {
+    this.journal = null;
+    this.clear();
+  }
+
+  /**
+   * Write an entry to the journal without blocking the caller
+   */
+  _record(entry) {
+    if (!this.journal) return;
+    const { service, projectId } = this.journal;
+    service.recordOperation(projectId, {
+      type: entry.type,
+      label: this._getActionLabel(entry),
+      data: entry.data,
+      itemIds: getActionItemIds(entry)
+    })
+      .then(op => {
+        entry.journalId = op.id;
+        entry.timestamp = new Date(op.created_at).getTime();
+      })
+      .catch(error => console.error('Planning history record failed:', error));
+  }
+
+  _mark(entry, undone) {
+    if (!this.journal || !entry.journalId) return;
+    const { service } = this.journal;
+    (undone ? service.markUndone(entry.journalId) : service.markRedone(entry.journalId))
+      .catch(error => console.error('Planning history update failed:', error));
+  }
+
   /**
    * Push a new action to history
    * @param {string} type - Action type (create, update, delete, move, paste, etc.)
    * @param {object} data - Data needed to undo/redo
    */
   push(type, data) {
-    this.undoStack.push({
+    const entry = {
       type,
       data,
       timestamp: Date.now()
-    });
-    
+    };
+    this.undoStack.push(entry);
+    this._record(entry);
+
     // Clear redo stack on new action
     this.redoStack = [];
-    
+
     // Limit history size
     if (this.undoStack.length > MAX_HISTORY) {
       this.undoStack.shift();
     }
-    
+
     this._notify();
   }
 
+  /**
+   * The action the next undo would apply, without removing it
+   * @returns {object|null}
+   */
+  peekUndo() {
+    return this.canUndo() ? this.undoStack[this.undoStack.length - 1] : null;
+  }
+
+  /**
+   * Changes other users have made to the next undo's items since it was
+   * made. Empty when not connected to a journal.
+   * @returns {Promise<Array<{ itemId, changedBy, changedAt }>>}
+   */
+  async getUndoConflicts() {
+    const action = this.peekUndo();
+    if (!action || !this.journal) return [];
+    const { service, projectId, userId } = this.journal;
+    const changes = await service.getItemChangesSince(
+      projectId,
+      getActionItemIds(action),
+      new Date(action.timestamp).toISOString()
+    );
+    return findConflicts(action, changes, userId);
+  }
+
   /**
    * Pop last action for undo
    * @returns {object|null} The action to undo
    */
   popUndo() {
     if (!this.canUndo()) return null;
-    
+
     const action = this.undoStack.pop();
     this.redoStack.push(action);
-    
+    this._mark(action, true);
+
     this._notify();
     return action;
   }
@@ -81,14 +295,28 @@ class PlanningHistory {
    */
   popRedo() {
     if (!this.canRedo()) return null;
-    
+
     const action = this.redoStack.pop();
     this.undoStack.push(action);
-    
+    this._mark(action, false);
+
     this._notify();
     return action;
   }
 
+  /**
+   * Put back an action whose undo failed, keeping its journal entry
+   * @param {object} action - The action returned by popUndo
+   */
+  cancelUndo(action) {
+    const index = this.redoStack.lastIndexOf(action);
+    if (index === -1) return;
+    this.redoStack.splice(index, 1);
+    this.undoStack.push(action);
+    this._mark(action, false);
+    this._notify();
+  }
+
   /**
    * Check if undo is available
    */
@@ -125,18 +353,7 @@ class PlanningHistory {
    * Get human-readable label for an action
    */
   _getActionLabel(action) {
-    const labels = {
-      create: 'Create',
-      update: 'Edit',
-      delete: 'Delete',
-      paste: 'Paste',
-      cut: 'Cut',
-      move: 'Move',
-      promote: 'Promote',
-      demote: 'Demote',
-      batch_delete: 'Delete Items'
-    };
-    return labels[action.type] || action.type;
+    return ACTION_LABELS[action.type] || action.type;
   }
 
   /**
@@ -164,4 +381,6 @@ class PlanningHistory {
 // Singleton instance
 export const planningHistory = new PlanningHistory();
 
+export { PlanningHistory };
+
 export default planningHistory;
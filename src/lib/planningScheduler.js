@@ -8,46 +8,42 @@
  * - SF (Start-to-Finish): Successor finishes when predecessor starts
  * 
  * Lag: Days to add (positive) or subtract (negative) from the calculated date
+ *
+ * Forward pass (autoScheduleItems) sets early dates; the backward pass
+ * (calculateCriticalPath) derives late dates, float and the critical path.
+ *
+ * Working calendars (lib/workingCalendar.js): pass options.calendar to count
+ * durations and lags in working days, skipping weekends, bank holidays and
+ * shutdowns. options.resourceCalendars (keyed by resource id) overrides the
+ * project calendar for items with an assigned_resource_id. Without a
+ * calendar, all days are working days; skipWeekends: true is shorthand for
+ * a Monday to Friday calendar.
+ *
+ * Start constraints: an item with constraint_type 'SNET' (start no earlier
+ * than) never starts before its constraint_date, e.g. after resource levelling.
  */
 
+import { WEEKDAYS_CALENDAR } from './workingCalendar';
+
+export const START_CONSTRAINTS = {
+  SNET: 'SNET' // Start no earlier than constraint_date
+};
+
 /**
- * Add days to a date (skipping weekends if specified)
+ * Add days to a date (working days only when a calendar is given)
  */
-function addDays(date, days, skipWeekends = false) {
+function addDays(date, days, calendar = null) {
   if (!date) return null;
-  const result = new Date(date);
   
-  if (!skipWeekends) {
-    result.setDate(result.getDate() + days);
-    return result;
-  }
-  
-  // Skip weekends
-  let remaining = Math.abs(days);
-  const direction = days >= 0 ? 1 : -1;
-  
-  while (remaining > 0) {
-    result.setDate(result.getDate() + direction);
-    const dayOfWeek = result.getDay();
-    if (dayOfWeek !== 0 && dayOfWeek !== 6) {
-      remaining--;
-    }
+  if (calendar) {
+    return calendar.addWorkingDays(date, days);
   }
   
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
   return result;
 }
 
-/**
- * Calculate the duration in days between two dates
- */
-function getDuration(startDate, endDate) {
-  if (!startDate || !endDate) return 0;
-  const start = new Date(startDate);
-  const end = new Date(endDate);
-  const diffTime = end - start;
-  return Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-}
-
 /**
  * Format date to YYYY-MM-DD string
  */
@@ -65,10 +61,75 @@ function parseDate(dateStr) {
   return new Date(dateStr);
 }
 
+/**
+ * Count the days from one date to another (negative if `to` is earlier).
+ * With a calendar, only working days are counted, mirroring addDays.
+ */
+function diffDays(from, to, calendar = null) {
+  if (!from || !to) return 0;
+
+  if (calendar) {
+    return calendar.countWorkingDays(from, to);
+  }
+
+  return Math.round((new Date(to) - new Date(from)) / (1000 * 60 * 60 * 24));
+}
+
+/**
+ * Resolve the project calendar from scheduler options
+ */
+function resolveCalendar(options = {}) {
+  if (options.calendar) return options.calendar;
+  return options.skipWeekends ? WEEKDAYS_CALENDAR : null;
+}
+
+/**
+ * Pick the calendar an item is scheduled on (its resource's, if set)
+ */
+function getItemCalendar(item, calendar, resourceCalendars = null) {
+  if (resourceCalendars && item.assigned_resource_id && resourceCalendars[item.assigned_resource_id]) {
+    return resourceCalendars[item.assigned_resource_id];
+  }
+  return calendar;
+}
+
+/**
+ * Calculate the start date a single predecessor link allows for an item
+ */
+function calculateLinkStart(item, predItem, pred, calendar = null) {
+  const predStart = parseDate(predItem.start_date);
+  const predEnd = parseDate(predItem.end_date);
+  const lag = pred.lag || 0;
+  const type = pred.type || 'FS';
+
+  switch (type) {
+    case 'FS': // Finish-to-Start: Start after predecessor finishes
+      return predEnd ? addDays(predEnd, 1 + lag, calendar) : null;
+
+    case 'SS': // Start-to-Start: Start when predecessor starts
+      return predStart ? addDays(predStart, lag, calendar) : null;
+
+    case 'FF': { // Finish-to-Finish: Calculate start based on duration
+      if (!predEnd) return null;
+      const duration = diffDays(item.start_date, item.end_date, calendar) || 1;
+      return addDays(predEnd, lag - duration + 1, calendar);
+    }
+
+    case 'SF': { // Start-to-Finish: Calculate start based on duration
+      if (!predStart) return null;
+      const duration = diffDays(item.start_date, item.end_date, calendar) || 1;
+      return addDays(predStart, lag - duration + 1, calendar);
+    }
+
+    default:
+      return null;
+  }
+}
+
 /**
  * Calculate the earliest start date for an item based on its predecessors
  */
-function calculateEarliestStart(item, itemsMap, skipWeekends = false) {
+function calculateEarliestStart(item, itemsMap, calendar = null) {
   const predecessors = item.predecessors || [];
   
   if (predecessors.length === 0) {
@@ -82,40 +143,7 @@ function calculateEarliestStart(item, itemsMap, skipWeekends = false) {
     const predItem = itemsMap.get(pred.id);
     if (!predItem) continue;
     
-    const predStart = parseDate(predItem.start_date);
-    const predEnd = parseDate(predItem.end_date);
-    const lag = pred.lag || 0;
-    const type = pred.type || 'FS';
-    
-    let calculatedDate = null;
-    
-    switch (type) {
-      case 'FS': // Finish-to-Start: Start after predecessor finishes
-        if (predEnd) {
-          calculatedDate = addDays(predEnd, 1 + lag, skipWeekends);
-        }
-        break;
-        
-      case 'SS': // Start-to-Start: Start when predecessor starts
-        if (predStart) {
-          calculatedDate = addDays(predStart, lag, skipWeekends);
-        }
-        break;
-        
-      case 'FF': // Finish-to-Finish: Calculate start based on duration
-        if (predEnd) {
-          const duration = getDuration(item.start_date, item.end_date) || 1;
-          calculatedDate = addDays(predEnd, lag - duration + 1, skipWeekends);
-        }
-        break;
-        
-      case 'SF': // Start-to-Finish: Calculate start based on duration  
-        if (predStart) {
-          const duration = getDuration(item.start_date, item.end_date) || 1;
-          calculatedDate = addDays(predStart, lag - duration + 1, skipWeekends);
-        }
-        break;
-    }
+    const calculatedDate = calculateLinkStart(item, predItem, pred, calendar);
     
     if (calculatedDate) {
       if (!earliestStart || calculatedDate > earliestStart) {
@@ -130,20 +158,31 @@ function calculateEarliestStart(item, itemsMap, skipWeekends = false) {
 /**
  * Calculate the end date based on start date and original duration
  */
-function calculateEndDate(startDate, originalStartDate, originalEndDate, skipWeekends = false) {
+function calculateEndDate(startDate, originalStartDate, originalEndDate, calendar = null) {
   if (!startDate) return null;
   
-  const duration = getDuration(originalStartDate, originalEndDate);
+  const duration = diffDays(originalStartDate, originalEndDate, calendar);
   if (duration <= 0) return startDate;
   
-  return addDays(startDate, duration, skipWeekends);
+  return addDays(startDate, duration, calendar);
+}
+
+/**
+ * Apply an item's start constraint to a calculated start date
+ */
+function applyStartConstraint(item, startDate) {
+  if (item.constraint_type !== START_CONSTRAINTS.SNET || !item.constraint_date) {
+    return startDate;
+  }
+  const constraintDate = parseDate(item.constraint_date);
+  return !startDate || constraintDate > startDate ? constraintDate : startDate;
 }
 
 /**
  * Topological sort of items based on dependencies
  * Returns items in order that respects dependencies (predecessors before successors)
  */
-function topologicalSort(items) {
+export function topologicalSort(items) {
   const itemsMap = new Map(items.map(i => [i.id, i]));
   const visited = new Set();
   const result = [];
@@ -183,9 +222,17 @@ function topologicalSort(items) {
 /**
  * Auto-schedule all items based on their dependencies
  * Returns array of items with updated start_date and end_date
+ *
+ * @param {Array} items - Plan items
+ * @param {Object} options
+ * @param {Object} options.calendar - Project working calendar (createWorkingCalendar)
+ * @param {Object} options.resourceCalendars - Calendars keyed by resource id
+ * @param {boolean} options.skipWeekends - Monday to Friday calendar when no calendar is given
+ * @param {string} options.projectStartDate - Start for undated items without predecessors
  */
 export function autoScheduleItems(items, options = {}) {
-  const { skipWeekends = false, projectStartDate = null } = options;
+  const { projectStartDate = null, resourceCalendars = null } = options;
+  const projectCalendar = resolveCalendar(options);
   
   // Create a map for quick lookup
   const itemsMap = new Map(items.map(i => [i.id, { ...i }]));
@@ -206,8 +253,10 @@ export function autoScheduleItems(items, options = {}) {
       continue;
     }
     
-    // Calculate earliest start based on predecessors
-    let newStartDate = calculateEarliestStart(item, itemsMap, skipWeekends);
+    const calendar = getItemCalendar(item, projectCalendar, resourceCalendars);
+    
+    // Calculate earliest start based on predecessors and any start constraint
+    let newStartDate = applyStartConstraint(item, calculateEarliestStart(item, itemsMap, calendar));
     
     // If no predecessors and no start date, use project start date
     if (!newStartDate && projectStartDate) {
@@ -216,12 +265,17 @@ export function autoScheduleItems(items, options = {}) {
     
     if (!newStartDate) continue;
     
+    // Never start on a non-working day
+    if (calendar) {
+      newStartDate = calendar.nextWorkingDay(newStartDate);
+    }
+    
     // Calculate end date based on original duration
     const newEndDate = calculateEndDate(
       newStartDate,
       item.start_date,
       item.end_date,
-      skipWeekends
+      calendar
     );
     
     // Check if dates changed
@@ -250,18 +304,22 @@ export function autoScheduleItems(items, options = {}) {
  * Returns the calculated dates without modifying anything
  */
 export function previewSchedule(item, items, options = {}) {
-  const { skipWeekends = false } = options;
+  const calendar = getItemCalendar(item, resolveCalendar(options), options.resourceCalendars);
   
   const itemsMap = new Map(items.map(i => [i.id, i]));
   
-  const earliestStart = calculateEarliestStart(item, itemsMap, skipWeekends);
+  let earliestStart = applyStartConstraint(item, calculateEarliestStart(item, itemsMap, calendar));
   if (!earliestStart) return null;
   
+  if (calendar) {
+    earliestStart = calendar.nextWorkingDay(earliestStart);
+  }
+  
   const endDate = calculateEndDate(
     earliestStart,
     item.start_date,
     item.end_date,
-    skipWeekends
+    calendar
   );
   
   return {
@@ -270,6 +328,170 @@ export function previewSchedule(item, items, options = {}) {
   };
 }
 
+/**
+ * Calculate the latest finish date a successor link allows for a predecessor.
+ * Inverse of calculateLinkStart, applied to the successor's late dates.
+ */
+function calculateLinkLatestFinish(predItem, succItem, succLateStart, pred, calendar = null) {
+  const lag = pred.lag || 0;
+  const type = pred.type || 'FS';
+  const predDuration = diffDays(predItem.start_date, predItem.end_date, calendar);
+  const succDuration = diffDays(succItem.start_date, succItem.end_date, calendar) || 1;
+
+  switch (type) {
+    case 'FS':
+      return addDays(succLateStart, -(1 + lag), calendar);
+
+    case 'SS':
+      return addDays(addDays(succLateStart, -lag, calendar), predDuration, calendar);
+
+    case 'FF':
+      return addDays(succLateStart, succDuration - 1 - lag, calendar);
+
+    case 'SF':
+      return addDays(
+        addDays(succLateStart, succDuration - 1 - lag, calendar),
+        predDuration,
+        calendar
+      );
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Critical path analysis (backward pass)
+ *
+ * Treats the current item dates as the early schedule (run autoScheduleItems
+ * first for a dependency-driven plan), then walks the network in reverse
+ * topological order to derive late start/finish dates and float.
+ *
+ * - Total float: days an item can slip without moving the plan finish date
+ * - Free float: days an item can slip without delaying any successor
+ * - Critical: total float at or below the threshold (negative float means
+ *   a dependency is already violated)
+ *
+ * Summary items (those with children) are flagged critical when any of
+ * their descendants is critical.
+ *
+ * @param {Array} items - Plan items with start_date, end_date and predecessors
+ * @param {Object} options
+ * @param {Object} options.calendar - Count float in working days on this calendar
+ * @param {Object} options.resourceCalendars - Calendars keyed by resource id
+ * @param {boolean} options.skipWeekends - Monday to Friday calendar when no calendar is given
+ * @param {number} options.criticalThreshold - Max total float to count as critical (default 0)
+ * @returns {{ results: Object, criticalIds: string[], projectFinish: string|null }}
+ *   results is keyed by item id: { early_start, early_finish, late_start,
+ *   late_finish, total_float, free_float, is_critical }
+ */
+export function calculateCriticalPath(items, options = {}) {
+  const { criticalThreshold = 0, resourceCalendars = null } = options;
+  const projectCalendar = resolveCalendar(options);
+  const calendarFor = (item) => getItemCalendar(item, projectCalendar, resourceCalendars);
+
+  const scheduled = (items || []).filter(i => i.start_date && i.end_date);
+  const itemsMap = new Map(scheduled.map(i => [i.id, i]));
+  const sortedItems = topologicalSort(scheduled);
+
+  // Successor links for each item (the reverse of the predecessors arrays)
+  const successors = new Map();
+  scheduled.forEach(item => {
+    (item.predecessors || []).forEach(pred => {
+      if (!itemsMap.has(pred.id)) return;
+      if (!successors.has(pred.id)) successors.set(pred.id, []);
+      successors.get(pred.id).push({ item, link: pred });
+    });
+  });
+
+  // Plan finish is the latest early finish in the network
+  let projectFinish = null;
+  scheduled.forEach(item => {
+    const end = parseDate(item.end_date);
+    if (!projectFinish || end > projectFinish) projectFinish = end;
+  });
+
+  const results = {};
+  if (!projectFinish) {
+    return { results, criticalIds: [], projectFinish: null };
+  }
+
+  // Backward pass - successors before predecessors
+  const lateDates = new Map();
+  for (let i = sortedItems.length - 1; i >= 0; i--) {
+    const item = sortedItems[i];
+    let lateFinish = null;
+
+    for (const { item: succ, link } of successors.get(item.id) || []) {
+      const succLate = lateDates.get(succ.id);
+      if (!succLate) continue;
+
+      const allowed = calculateLinkLatestFinish(item, succ, succLate.lateStart, link, calendarFor(item));
+      if (allowed && (!lateFinish || allowed < lateFinish)) {
+        lateFinish = allowed;
+      }
+    }
+
+    if (!lateFinish) lateFinish = new Date(projectFinish);
+
+    const calendar = calendarFor(item);
+    const duration = diffDays(item.start_date, item.end_date, calendar);
+    const lateStart = addDays(lateFinish, -duration, calendar);
+    lateDates.set(item.id, { lateStart, lateFinish });
+  }
+
+  for (const item of sortedItems) {
+    const { lateStart, lateFinish } = lateDates.get(item.id);
+    const calendar = calendarFor(item);
+    const totalFloat = diffDays(item.start_date, lateStart, calendar);
+
+    // Free float: smallest gap to any successor's start (or the plan finish)
+    const links = successors.get(item.id) || [];
+    let freeFloat = links.length === 0
+      ? diffDays(item.end_date, projectFinish, calendar)
+      : null;
+
+    for (const { item: succ, link } of links) {
+      const succCalendar = calendarFor(succ);
+      const requiredStart = calculateLinkStart(succ, item, link, succCalendar);
+      if (!requiredStart) continue;
+      const gap = diffDays(requiredStart, succ.start_date, succCalendar);
+      if (freeFloat === null || gap < freeFloat) freeFloat = gap;
+    }
+
+    results[item.id] = {
+      early_start: item.start_date,
+      early_finish: item.end_date,
+      late_start: formatDateStr(lateStart),
+      late_finish: formatDateStr(lateFinish),
+      total_float: totalFloat,
+      free_float: freeFloat ?? totalFloat,
+      is_critical: totalFloat <= criticalThreshold
+    };
+  }
+
+  // Roll criticality up to summary items
+  const allItemsMap = new Map((items || []).map(i => [i.id, i]));
+  Object.keys(results).forEach(id => {
+    if (!results[id].is_critical) return;
+    let parentId = allItemsMap.get(id)?.parent_id;
+    while (parentId) {
+      if (results[parentId]) results[parentId].is_critical = true;
+      parentId = allItemsMap.get(parentId)?.parent_id;
+    }
+  });
+
+  const criticalIds = sortedItems
+    .map(i => i.id)
+    .filter(id => results[id].is_critical);
+
+  return {
+    results,
+    criticalIds,
+    projectFinish: formatDateStr(projectFinish)
+  };
+}
+
 /**
  * Validate that all predecessors exist and have valid dates
  */
@@ -303,7 +525,10 @@ export function validatePredecessors(item, items) {
 }
 
 export default {
+  START_CONSTRAINTS,
   autoScheduleItems,
   previewSchedule,
+  topologicalSort,
+  calculateCriticalPath,
   validatePredecessors
 };
@@ -0,0 +1,156 @@
+/**
+ * RAID Actions - mitigation and contingency actions under a risk or issue
+ *
+ * Each action has an owner, a due date, a status and, once done, a
+ * completion date. An action is:
+ * - open while Not Started or In Progress
+ * - overdue while open and past its due date
+ * - closed once Completed or Cancelled
+ *
+ * Mitigation actions reduce the likelihood or impact; contingency
+ * actions are the response if the risk materialises. When every
+ * mitigation action on an open item is closed (and at least one was
+ * completed) the item can be moved to Mitigated.
+ *
+ * @version 1.0
+ * @created 19 October 2026
+ */
+
+import { toDateKey } from './workingCalendar';
+
+export const RAID_ACTION_TYPE = Object.freeze({
+  MITIGATION: 'mitigation',
+  CONTINGENCY: 'contingency'
+});
+
+export const RAID_ACTION_TYPE_CONFIG = Object.freeze({
+  [RAID_ACTION_TYPE.MITIGATION]: { label: 'Mitigation' },
+  [RAID_ACTION_TYPE.CONTINGENCY]: { label: 'Contingency' }
+});
+
+export const RAID_ACTION_STATUS = Object.freeze({
+  NOT_STARTED: 'Not Started',
+  IN_PROGRESS: 'In Progress',
+  COMPLETED: 'Completed',
+  CANCELLED: 'Cancelled'
+});
+
+export const RAID_ACTION_STATUS_CONFIG = Object.freeze({
+  [RAID_ACTION_STATUS.NOT_STARTED]: { label: 'Not Started', color: '#64748b', bg: '#f1f5f9' },
+  [RAID_ACTION_STATUS.IN_PROGRESS]: { label: 'In Progress', color: '#b45309', bg: '#fef3c7' },
+  [RAID_ACTION_STATUS.COMPLETED]: { label: 'Completed', color: '#166534', bg: '#dcfce7' },
+  [RAID_ACTION_STATUS.CANCELLED]: { label: 'Cancelled', color: '#6b7280', bg: '#f3f4f6' }
+});
+
+export const RAID_ACTION_ERROR = Object.freeze({
+  INVALID_ACTION: 'INVALID_ACTION'
+});
+
+// RAID item statuses that can still take actions and be mitigated
+const OPEN_ITEM_STATUSES = ['Open', 'In Progress'];
+
+const dayNumber = (key) => Date.parse(`${key}T00:00:00Z`) / 86400000;
+
+export function isActionOpen(action) {
+  return action.status === RAID_ACTION_STATUS.NOT_STARTED || action.status === RAID_ACTION_STATUS.IN_PROGRESS;
+}
+
+/**
+ * Days an open action is past its due date (0 when not overdue)
+ * @param {Object} action - { status, due_date }
+ * @param {Date|string} [date]
+ * @returns {number}
+ */
+export function getDaysOverdue(action, date = new Date()) {
+  if (!isActionOpen(action) || !action.due_date) return 0;
+  const today = toDateKey(date);
+  return Math.max(0, dayNumber(today) - dayNumber(action.due_date));
+}
+
+export function isActionOverdue(action, date = new Date()) {
+  return getDaysOverdue(action, date) > 0;
+}
+
+/**
+ * Validate an action before it is saved
+ * @param {Object} action - { description, action_type, status, due_date, completed_date }
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateRaidAction(action) {
+  if (!action.description || !action.description.trim()) {
+    return 'Describe the action';
+  }
+  if (!Object.values(RAID_ACTION_TYPE).includes(action.action_type)) {
+    return 'Choose mitigation or contingency';
+  }
+  if (!Object.values(RAID_ACTION_STATUS).includes(action.status)) {
+    return 'Choose a valid status';
+  }
+  if (action.status === RAID_ACTION_STATUS.COMPLETED && !action.completed_date) {
+    return 'Give the date the action was completed';
+  }
+  return null;
+}
+
+/**
+ * Status change for an action: completion dates are set on completing
+ * and cleared on reopening
+ * @param {Object} action - Current action
+ * @param {string} status - RAID_ACTION_STATUS value
+ * @param {Date|string} [date] - Completion date when completing
+ * @returns {{ status: string, completed_date: string|null }}
+ */
+export function getStatusChange(action, status, date = new Date()) {
+  if (status === RAID_ACTION_STATUS.COMPLETED) {
+    return { status, completed_date: action.completed_date || toDateKey(date) };
+  }
+  return { status, completed_date: null };
+}
+
+/**
+ * Progress of an item's actions
+ * Cancelled actions are left out of the percentage.
+ * @param {Array} actions
+ * @param {Date|string} [date]
+ * @returns {{ total: number, open: number, completed: number, cancelled: number, overdue: number, percentComplete: number }}
+ */
+export function summariseActions(actions, date = new Date()) {
+  const counted = actions.filter(a => a.status !== RAID_ACTION_STATUS.CANCELLED);
+  const completed = counted.filter(a => a.status === RAID_ACTION_STATUS.COMPLETED).length;
+  return {
+    total: actions.length,
+    open: actions.filter(isActionOpen).length,
+    completed,
+    cancelled: actions.length - counted.length,
+    overdue: actions.filter(a => isActionOverdue(a, date)).length,
+    percentComplete: counted.length ? Math.round((completed / counted.length) * 100) : 0
+  };
+}
+
+/**
+ * Whether an item's mitigation is finished, so it can move to Mitigated
+ * @param {Object} item - RAID item ({ status })
+ * @param {Array} actions - The item's actions
+ * @returns {boolean}
+ */
+export function canMarkMitigated(item, actions) {
+  if (!OPEN_ITEM_STATUSES.includes(item.status)) return false;
+  const mitigation = actions.filter(a => a.action_type === RAID_ACTION_TYPE.MITIGATION);
+  return mitigation.some(a => a.status === RAID_ACTION_STATUS.COMPLETED)
+    && !mitigation.some(isActionOpen);
+}
+
+export default {
+  RAID_ACTION_TYPE,
+  RAID_ACTION_TYPE_CONFIG,
+  RAID_ACTION_STATUS,
+  RAID_ACTION_STATUS_CONFIG,
+  RAID_ACTION_ERROR,
+  isActionOpen,
+  getDaysOverdue,
+  isActionOverdue,
+  validateRaidAction,
+  getStatusChange,
+  summariseActions,
+  canMarkMitigated
+};
@@ -0,0 +1,319 @@
+/**
+ * RAID Scoring - quantitative probability × impact scoring for RAID items
+ *
+ * Each project scores on a 3×3 or 5×5 scale (projects.raid_scoring_scale).
+ * A RAID item carries:
+ * - Inherent scores: probability_score and impact_score, before mitigation
+ * - Residual scores: residual_probability_score and residual_impact_score,
+ *   after mitigation (either may be left blank to keep the inherent value)
+ * - cost_impact: optional money lost if the item materialises
+ *
+ * Score = probability × impact, banded into a rating. Exposure is the
+ * probability (as a percentage for its level) × cost impact; issues have
+ * already happened, so their exposure is the full cost impact. The
+ * contingency is the residual exposure of open risks and issues.
+ *
+ * Items scored before numeric scales existed fall back to their
+ * Low/Medium/High probability and severity. Scores above the project's
+ * scale (after a switch from 5×5 to 3×3) are capped at the top level.
+ *
+ * @version 1.0
+ * @created 19 October 2026
+ */
+
+export const DEFAULT_SCORING_SCALE = 5;
+
+export const RISK_RATING = Object.freeze({
+  LOW: 'low',
+  MEDIUM: 'medium',
+  HIGH: 'high',
+  CRITICAL: 'critical'
+});
+
+export const RISK_RATING_CONFIG = {
+  [RISK_RATING.LOW]: { label: 'Low', color: '#10b981' },
+  [RISK_RATING.MEDIUM]: { label: 'Medium', color: '#f59e0b' },
+  [RISK_RATING.HIGH]: { label: 'High', color: '#f97316' },
+  [RISK_RATING.CRITICAL]: { label: 'Critical', color: '#ef4444' }
+};
+
+/**
+ * Levels and rating bands for each scale
+ * percent is the probability used for monetary exposure; bands give the
+ * highest score in each rating.
+ */
+export const SCORING_SCALES = {
+  3: {
+    size: 3,
+    label: '3 × 3',
+    probability: [
+      { value: 1, label: 'Low', percent: 0.1 },
+      { value: 2, label: 'Medium', percent: 0.5 },
+      { value: 3, label: 'High', percent: 0.9 }
+    ],
+    impact: [
+      { value: 1, label: 'Low' },
+      { value: 2, label: 'Medium' },
+      { value: 3, label: 'High' }
+    ],
+    bands: [
+      { rating: RISK_RATING.LOW, max: 2 },
+      { rating: RISK_RATING.MEDIUM, max: 4 },
+      { rating: RISK_RATING.HIGH, max: 6 },
+      { rating: RISK_RATING.CRITICAL, max: 9 }
+    ],
+    // Legacy Low/Medium/High → level
+    legacy: { Low: 1, Medium: 2, High: 3 }
+  },
+  5: {
+    size: 5,
+    label: '5 × 5',
+    probability: [
+      { value: 1, label: 'Very Low', percent: 0.05 },
+      { value: 2, label: 'Low', percent: 0.2 },
+      { value: 3, label: 'Medium', percent: 0.5 },
+      { value: 4, label: 'High', percent: 0.7 },
+      { value: 5, label: 'Very High', percent: 0.9 }
+    ],
+    impact: [
+      { value: 1, label: 'Very Low' },
+      { value: 2, label: 'Low' },
+      { value: 3, label: 'Medium' },
+      { value: 4, label: 'High' },
+      { value: 5, label: 'Very High' }
+    ],
+    bands: [
+      { rating: RISK_RATING.LOW, max: 4 },
+      { rating: RISK_RATING.MEDIUM, max: 9 },
+      { rating: RISK_RATING.HIGH, max: 16 },
+      { rating: RISK_RATING.CRITICAL, max: 25 }
+    ],
+    legacy: { Low: 2, Medium: 3, High: 4 }
+  }
+};
+
+const OPEN_STATUSES = ['Open', 'In Progress'];
+
+// Categories that are scored; the heat map shows risks only
+const SCORED_CATEGORIES = ['Risk', 'Issue'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Scale definition for a project setting (falls back to 5×5)
+ */
+export function getScoringScale(scale) {
+  return SCORING_SCALES[Number(scale)] || SCORING_SCALES[DEFAULT_SCORING_SCALE];
+}
+
+export function isOpenRaidItem(item) {
+  return OPEN_STATUSES.includes(item.status);
+}
+
+export function isScoredCategory(category) {
+  return SCORED_CATEGORIES.includes(category);
+}
+
+/**
+ * A stored level on the scale, or null when blank
+ */
+export function normaliseLevel(value, scale) {
+  if (value === null || value === undefined || value === '') return null;
+  const level = Math.round(Number(value));
+  if (!Number.isFinite(level) || level < 1) return null;
+  return Math.min(level, getScoringScale(scale).size);
+}
+
+/**
+ * Low/Medium/High label for a level, kept in the legacy probability column
+ */
+export function getLegacyLevel(value, scale) {
+  const level = normaliseLevel(value, scale);
+  if (!level) return null;
+  const { size } = getScoringScale(scale);
+  const fraction = (level - 1) / (size - 1);
+  if (fraction < 1 / 3) return 'Low';
+  if (fraction > 2 / 3) return 'High';
+  return 'Medium';
+}
+
+export function getRating(score, scale) {
+  if (!score) return null;
+  const band = getScoringScale(scale).bands.find(b => score <= b.max);
+  return band ? band.rating : RISK_RATING.CRITICAL;
+}
+
+function assessment(probability, impact, scale) {
+  if (!probability || !impact) return null;
+  const score = probability * impact;
+  return { probability, impact, score, rating: getRating(score, scale) };
+}
+
+/**
+ * Inherent, residual and current (residual, else inherent) scores
+ * @returns {{ inherent: Object|null, residual: Object|null, current: Object|null }}
+ */
+export function scoreRaidItem(item, scale = DEFAULT_SCORING_SCALE) {
+  const { legacy } = getScoringScale(scale);
+  const probability = normaliseLevel(item.probability_score, scale) || legacy[item.probability] || null;
+  const impact = normaliseLevel(item.impact_score, scale) || legacy[item.severity] || null;
+  const inherent = assessment(probability, impact, scale);
+
+  const residualProbability = normaliseLevel(item.residual_probability_score, scale);
+  const residualImpact = normaliseLevel(item.residual_impact_score, scale);
+  const residual = residualProbability || residualImpact
+    ? assessment(residualProbability || probability, residualImpact || impact, scale)
+    : null;
+
+  return { inherent, residual, current: residual || inherent };
+}
+
+/**
+ * Probability that an item's cost impact is incurred
+ */
+function exposureProbability(item, level, scale) {
+  if (item.category === 'Issue') return 1;
+  if (!level) return null;
+  return getScoringScale(scale).probability.find(p => p.value === level)?.percent ?? null;
+}
+
+/**
+ * Monetary exposure: probability × cost impact
+ * @returns {{ costImpact: number, inherent: number, residual: number }|null}
+ */
+export function getExposure(item, scale = DEFAULT_SCORING_SCALE) {
+  const costImpact = parseFloat(item.cost_impact);
+  if (!(costImpact > 0)) return null;
+
+  const scores = scoreRaidItem(item, scale);
+  const inherentP = exposureProbability(item, scores.inherent?.probability, scale);
+  const residualP = exposureProbability(item, scores.current?.probability, scale);
+  if (inherentP === null && residualP === null) return null;
+
+  return {
+    costImpact,
+    inherent: round2(costImpact * (inherentP ?? residualP)),
+    residual: round2(costImpact * (residualP ?? inherentP))
+  };
+}
+
+/**
+ * Probability × impact grid of open risks
+ * Rows run from the highest probability down; cells from the lowest impact up.
+ * @param {Array} items - RAID items
+ * @param {number} scale - 3 or 5
+ * @param {Object} [options]
+ * @param {boolean} [options.residual] - Place risks by residual scores
+ */
+export function buildHeatMap(items, scale = DEFAULT_SCORING_SCALE, options = {}) {
+  const { residual = false } = options;
+  const definition = getScoringScale(scale);
+
+  const rows = [...definition.probability].reverse().map(p => ({
+    probability: p.value,
+    label: p.label,
+    cells: definition.impact.map(i => ({
+      probability: p.value,
+      impact: i.value,
+      score: p.value * i.value,
+      rating: getRating(p.value * i.value, scale),
+      items: []
+    }))
+  }));
+
+  let unscored = 0;
+  items
+    .filter(item => item.category === 'Risk' && isOpenRaidItem(item))
+    .forEach(item => {
+      const scores = scoreRaidItem(item, scale);
+      const placed = residual ? scores.current : scores.inherent;
+      if (!placed) {
+        unscored++;
+        return;
+      }
+      const row = rows.find(r => r.probability === placed.probability);
+      row.cells[placed.impact - 1].items.push({ id: item.id, raid_ref: item.raid_ref, title: item.title });
+    });
+
+  return {
+    scale: definition.size,
+    impactLabels: definition.impact.map(i => i.label),
+    rows,
+    unscored
+  };
+}
+
+/**
+ * Scoring summary for open RAID items
+ * @returns {Object} { scale, byRating, exposure, contingency, topRisks, heatMap: { inherent, residual } }
+ */
+export function summariseRaidScoring(items, scale = DEFAULT_SCORING_SCALE, options = {}) {
+  const { topCount = 10 } = options;
+  const open = items.filter(item => isScoredCategory(item.category) && isOpenRaidItem(item));
+
+  const byRating = Object.fromEntries(Object.values(RISK_RATING).map(r => [r, 0]));
+  const exposure = { costImpact: 0, inherent: 0, residual: 0, items: 0 };
+  const ranked = [];
+
+  open.forEach(item => {
+    const scores = scoreRaidItem(item, scale);
+    const itemExposure = getExposure(item, scale);
+
+    if (scores.current) byRating[scores.current.rating]++;
+    if (itemExposure) {
+      exposure.costImpact += itemExposure.costImpact;
+      exposure.inherent += itemExposure.inherent;
+      exposure.residual += itemExposure.residual;
+      exposure.items++;
+    }
+
+    if (item.category === 'Risk' && scores.current) {
+      ranked.push({
+        id: item.id,
+        raid_ref: item.raid_ref,
+        title: item.title,
+        inherentScore: scores.inherent?.score ?? null,
+        residualScore: scores.residual?.score ?? null,
+        score: scores.current.score,
+        rating: scores.current.rating,
+        exposure: itemExposure?.residual ?? null
+      });
+    }
+  });
+
+  ranked.sort((a, b) => b.score - a.score || (b.exposure || 0) - (a.exposure || 0) || String(a.raid_ref).localeCompare(String(b.raid_ref)));
+
+  return {
+    scale: getScoringScale(scale).size,
+    byRating,
+    exposure: {
+      costImpact: round2(exposure.costImpact),
+      inherent: round2(exposure.inherent),
+      residual: round2(exposure.residual),
+      items: exposure.items
+    },
+    contingency: round2(exposure.residual),
+    topRisks: topCount > 0 ? ranked.slice(0, topCount) : ranked,
+    heatMap: {
+      inherent: buildHeatMap(items, scale),
+      residual: buildHeatMap(items, scale, { residual: true })
+    }
+  };
+}
+
+export default {
+  DEFAULT_SCORING_SCALE,
+  RISK_RATING,
+  RISK_RATING_CONFIG,
+  SCORING_SCALES,
+  getScoringScale,
+  isOpenRaidItem,
+  isScoredCategory,
+  normaliseLevel,
+  getLegacyLevel,
+  getRating,
+  scoreRaidItem,
+  getExposure,
+  buildHeatMap,
+  summariseRaidScoring
+};
@@ -0,0 +1,213 @@
+/**
+ * Rate Cards - Effective-dated day rates
+ *
+ * A rate card row sets a sell and/or cost day rate from its effective_from
+ * date until the next row for the same scope. Scopes, in order of
+ * precedence:
+ * - resource: one resource (resource_id)
+ * - role: every resource with that role (case-insensitive)
+ * - sfia_level: every resource at that SFIA level
+ * Sell and cost rates resolve independently, so a card that only sets a
+ * sell rate leaves the cost rate to the next scope down. When no card
+ * applies on a date, the resource's own sell_price / cost_price (its
+ * opening rate) is used.
+ *
+ * Every timesheet is valued at the rate valid on its date, so a rate
+ * uplift never re-prices earlier work.
+ *
+ * @version 1.0
+ * @created 19 October 2026
+ */
+
+import { hoursToDays } from '../config/metricsConfig';
+
+export const RATE_CARD_SCOPE = Object.freeze({
+  RESOURCE: 'resource',
+  ROLE: 'role',
+  SFIA_LEVEL: 'sfia_level'
+});
+
+export const RATE_SOURCE = Object.freeze({
+  ...RATE_CARD_SCOPE,
+  RESOURCE_DEFAULT: 'resource_default'
+});
+
+const RATE_FIELDS = ['sell_price', 'cost_price'];
+
+function toDateKey(date) {
+  if (!date) return new Date().toISOString().slice(0, 10);
+  return typeof date === 'string' ? date.slice(0, 10) : date.toISOString().slice(0, 10);
+}
+
+function normaliseRole(role) {
+  return role ? String(role).trim().toLowerCase() : null;
+}
+
+function toRate(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const rate = parseFloat(value);
+  return Number.isFinite(rate) ? rate : null;
+}
+
+/**
+ * The scope a rate card applies to
+ * @returns {string|null} RATE_CARD_SCOPE value, null if the card has no scope
+ */
+export function getRateCardScope(card) {
+  if (card.resource_id) return RATE_CARD_SCOPE.RESOURCE;
+  if (card.role) return RATE_CARD_SCOPE.ROLE;
+  if (card.sfia_level !== null && card.sfia_level !== undefined && card.sfia_level !== '') {
+    return RATE_CARD_SCOPE.SFIA_LEVEL;
+  }
+  return null;
+}
+
+function scopeKey(scope, value) {
+  return `${scope}:${value}`;
+}
+
+function cardKey(card) {
+  const scope = getRateCardScope(card);
+  switch (scope) {
+    case RATE_CARD_SCOPE.RESOURCE:
+      return scopeKey(scope, card.resource_id);
+    case RATE_CARD_SCOPE.ROLE:
+      return scopeKey(scope, normaliseRole(card.role));
+    case RATE_CARD_SCOPE.SFIA_LEVEL:
+      return scopeKey(scope, Number(card.sfia_level));
+    default:
+      return null;
+  }
+}
+
+/**
+ * Validate a rate card before saving
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateRateCard(card) {
+  const scoped = [card.resource_id, card.role, card.sfia_level]
+    .filter(v => v !== null && v !== undefined && v !== '').length;
+  if (scoped !== 1) return 'A rate card applies to exactly one resource, role or SFIA level';
+  if (!card.effective_from) return 'Effective from date is required';
+  const sell = toRate(card.sell_price);
+  const cost = toRate(card.cost_price);
+  if (sell === null && cost === null) return 'Set a sell rate, a cost rate or both';
+  if ((sell !== null && sell < 0) || (cost !== null && cost < 0)) return 'Rates cannot be negative';
+  return null;
+}
+
+/**
+ * Build a resolver for the rates valid on a date
+ *
+ * @param {Array} cards - Rate card rows (deleted rows are ignored)
+ * @returns {Function} (resource, date) => { sell_price, cost_price, sellSource, costSource }
+ *   resource: { id, role, sfia_level, sell_price, cost_price }
+ *   date: 'YYYY-MM-DD' or Date, default today
+ */
+export function createRateResolver(cards = []) {
+  // Cards per scope, latest effective date first
+  const byScope = new Map();
+  cards.forEach(card => {
+    if (card.is_deleted) return;
+    const key = cardKey(card);
+    if (!key || !card.effective_from) return;
+    if (!byScope.has(key)) byScope.set(key, []);
+    byScope.get(key).push(card);
+  });
+  byScope.forEach(list => list.sort((a, b) => (a.effective_from < b.effective_from ? 1 : -1)));
+
+  function findRate(key, field, date) {
+    const list = byScope.get(key);
+    if (!list) return null;
+    for (const card of list) {
+      if (card.effective_from.slice(0, 10) > date) continue;
+      const rate = toRate(card[field]);
+      if (rate !== null) return { rate, card };
+    }
+    return null;
+  }
+
+  return function resolveRates(resource, date) {
+    const day = toDateKey(date);
+    const keys = [];
+    if (resource?.id) keys.push([RATE_SOURCE.RESOURCE, scopeKey(RATE_CARD_SCOPE.RESOURCE, resource.id)]);
+    if (resource?.role) keys.push([RATE_SOURCE.ROLE, scopeKey(RATE_CARD_SCOPE.ROLE, normaliseRole(resource.role))]);
+    if (resource?.sfia_level !== null && resource?.sfia_level !== undefined) {
+      keys.push([RATE_SOURCE.SFIA_LEVEL, scopeKey(RATE_CARD_SCOPE.SFIA_LEVEL, Number(resource.sfia_level))]);
+    }
+
+    const result = {};
+    RATE_FIELDS.forEach(field => {
+      const source = field === 'sell_price' ? 'sellSource' : 'costSource';
+      for (const [scope, key] of keys) {
+        const found = findRate(key, field, day);
+        if (found) {
+          result[field] = found.rate;
+          result[source] = scope;
+          return;
+        }
+      }
+      result[field] = toRate(resource?.[field]);
+      result[source] = RATE_SOURCE.RESOURCE_DEFAULT;
+    });
+    return result;
+  };
+}
+
+/**
+ * Sell value of hours worked on a date
+ */
+export function getTimesheetSellValue(resolveRates, resource, date, hours) {
+  return hoursToDays(hours) * (resolveRates(resource, date).sell_price || 0);
+}
+
+/**
+ * Cost value of hours worked on a date
+ */
+export function getTimesheetCostValue(resolveRates, resource, date, hours) {
+  return hoursToDays(hours) * (resolveRates(resource, date).cost_price || 0);
+}
+
+/**
+ * Rate history for one resource: the changes that apply to it, oldest
+ * first, each with the rates in force from that date
+ *
+ * @param {Array} cards - Rate card rows
+ * @param {Object} resource - { id, role, sfia_level, sell_price, cost_price }
+ * @returns {Array<{ effective_from, sell_price, cost_price, sellSource, costSource, cards }>}
+ */
+export function getRateHistory(cards, resource) {
+  const resolveRates = createRateResolver(cards);
+  const applicable = cards.filter(card => {
+    if (card.is_deleted) return false;
+    switch (getRateCardScope(card)) {
+      case RATE_CARD_SCOPE.RESOURCE:
+        return card.resource_id === resource.id;
+      case RATE_CARD_SCOPE.ROLE:
+        return normaliseRole(card.role) === normaliseRole(resource.role);
+      case RATE_CARD_SCOPE.SFIA_LEVEL:
+        return resource.sfia_level !== null && resource.sfia_level !== undefined
+          && Number(card.sfia_level) === Number(resource.sfia_level);
+      default:
+        return false;
+    }
+  });
+
+  const dates = [...new Set(applicable.map(c => c.effective_from.slice(0, 10)))].sort();
+  return dates.map(date => ({
+    effective_from: date,
+    ...resolveRates(resource, date),
+    cards: applicable.filter(c => c.effective_from.slice(0, 10) === date)
+  }));
+}
+
+export default {
+  RATE_CARD_SCOPE,
+  RATE_SOURCE,
+  getRateCardScope,
+  validateRateCard,
+  createRateResolver,
+  getTimesheetSellValue,
+  getTimesheetCostValue,
+  getRateHistory
+};
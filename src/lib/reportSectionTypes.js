@@ -8,8 +8,12 @@
  * - Data source information
  * - Configuration schema for customisation options
  * 
- * @version 1.0
+ * @version 1.5
  * @created 11 December 2025
+ * @updated 19 October 2026 - Added Earned Value and Missing Timesheets sections
+ * @updated 19 October 2026 - Added Cash-Flow Forecast section
+ * @updated 19 October 2026 - Added Change Register section
+ * @updated 19 October 2026 - RAID Summary risk scores, exposure and heat map options
  */
 
 import {
@@ -28,6 +32,10 @@ import {
   BarChart3,
   Users,
   Milestone,
+  Activity,
+  UserX,
+  Banknote,
+  History,
   ArrowRight,
   ClipboardList
 } from 'lucide-react';
@@ -49,12 +57,16 @@ export const SECTION_TYPE = {
   BUDGET_ANALYSIS: 'budget_analysis',
   RAID_SUMMARY: 'raid_summary',
   TIMESHEET_SUMMARY: 'timesheet_summary',
+  TIMESHEET_COMPLIANCE: 'timesheet_compliance',
   EXPENSE_SUMMARY: 'expense_summary',
+  EARNED_VALUE: 'earned_value',
+  CHANGE_REGISTER: 'change_register',
   
   // Forward-looking sections (upcoming items)
   FORWARD_LOOK: 'forward_look',
   UPCOMING_MILESTONES: 'upcoming_milestones',
   UPCOMING_DELIVERABLES: 'upcoming_deliverables',
+  CASH_FLOW_FORECAST: 'cash_flow_forecast',
   
   // Content sections (user/AI generated)
   EXECUTIVE_SUMMARY: 'executive_summary',
@@ -408,6 +420,73 @@ export const SECTION_TYPE_CONFIG = {
     }
   },
 
+  [SECTION_TYPE.EARNED_VALUE]: {
+    type: SECTION_TYPE.EARNED_VALUE,
+    name: 'Earned Value',
+    description: 'EVM indices (SPI, CPI, EAC, VAC, TCPI) and S-curve at the end of the reporting period',
+    icon: Activity,
+    category: SECTION_CATEGORY.BACKWARD,
+    dataSource: DATA_SOURCE.CUSTOM_QUERY,
+    dataMethod: 'getProjectEvm',
+    
+    defaultConfig: {
+      includeChart: true,
+      showByMilestone: true,
+      showForecast: true
+    },
+    
+    configSchema: {
+      includeChart: {
+        type: CONFIG_FIELD_TYPE.BOOLEAN,
+        label: 'Include S-Curve',
+        description: 'Show cumulative planned, earned and actual value by month',
+        default: true
+      },
+      showByMilestone: {
+        type: CONFIG_FIELD_TYPE.BOOLEAN,
+        label: 'Show EVM by Milestone',
+        description: 'Display PV, EV, AC, SPI and CPI per milestone',
+        default: true
+      },
+      showForecast: {
+        type: CONFIG_FIELD_TYPE.BOOLEAN,
+        label: 'Show Forecast',
+        description: 'Display EAC, ETC, VAC and TCPI',
+        default: true
+      }
+    }
+  },
+
+  [SECTION_TYPE.CHANGE_REGISTER]: {
+    type: SECTION_TYPE.CHANGE_REGISTER,
+    name: 'Change Register',
+    description: 'Contract value and end date since signature, with every applied or reverted variation and why',
+    icon: History,
+    category: SECTION_CATEGORY.BACKWARD,
+    dataSource: DATA_SOURCE.CUSTOM_QUERY,
+    dataMethod: 'getRegister',
+    
+    defaultConfig: {
+      includeChart: true,
+      showLineage: true
+    },
+    
+    configSchema: {
+      includeChart: {
+        type: CONFIG_FIELD_TYPE.BOOLEAN,
+        label: 'Include Waterfall',
+        description: 'Show the original → current contract value waterfall',
+        default: true
+      },
+      showLineage: {
+        type: CONFIG_FIELD_TYPE.BOOLEAN,
+        label: 'Show Milestone Lineage',
+        description: 'List the baseline versions of each changed milestone',
+        default: true
+      }
+    }
+  },
+
   [SECTION_TYPE.RAID_SUMMARY]: {
     type: SECTION_TYPE.RAID_SUMMARY,
     name: 'RAID Summary',
@@ -422,6 +501,8 @@ export const SECTION_TYPE_CONFIG = {
       statusFilter: ['Open', 'In Progress'],
       severityFilter: ['all'],
       includeChart: true,
+      includeScoring: true,
+      includeHeatMap: true,
       showDetails: true,
       maxItems: 10
     },
@@ -468,6 +549,18 @@ export const SECTION_TYPE_CONFIG = {
         description: 'Show visual RAID summary',
         default: true
       },
+      includeScoring: {
+        type: CONFIG_FIELD_TYPE.BOOLEAN,
+        label: 'Include Risk Scores & Exposure',
+        description: 'Show ratings, monetary exposure and contingency, and scores for each item',
+        default: true
+      },
+      includeHeatMap: {
+        type: CONFIG_FIELD_TYPE.BOOLEAN,
+        label: 'Include Heat Map',
+        description: 'Show open risks on inherent and residual probability × impact grids',
+        default: true
+      },
       showDetails: {
         type: CONFIG_FIELD_TYPE.BOOLEAN,
         label: 'Show Item Details',
@@ -535,6 +628,46 @@ export const SECTION_TYPE_CONFIG = {
     }
   },
 
+  [SECTION_TYPE.TIMESHEET_COMPLIANCE]: {
+    type: SECTION_TYPE.TIMESHEET_COMPLIANCE,
+    name: 'Missing Timesheets',
+    description: 'Who has not submitted time for each week of the reporting period',
+    icon: UserX,
+    category: SECTION_CATEGORY.BACKWARD,
+    dataSource: DATA_SOURCE.CUSTOM_QUERY,
+    dataMethod: 'getCompliance',
+    roleRestriction: ['admin', 'supplier_pm'],
+    
+    defaultConfig: {
+      showByResource: true,
+      showMissing: true,
+      maxItems: 20
+    },
+    
+    configSchema: {
+      showByResource: {
+        type: CONFIG_FIELD_TYPE.BOOLEAN,
+        label: 'Show Compliance by Resource',
+        description: 'Weeks submitted, missing and hours short per resource',
+        default: true
+      },
+      showMissing: {
+        type: CONFIG_FIELD_TYPE.BOOLEAN,
+        label: 'List Missing Timesheets',
+        description: 'Each overdue week with reminders and escalations sent',
+        default: true
+      },
+      maxItems: {
+        type: CONFIG_FIELD_TYPE.NUMBER,
+        label: 'Maximum Items',
+        description: 'Limit number of missing weeks shown (0 for all)',
+        default: 20,
+        min: 0,
+        max: 100
+      }
+    }
+  },
+
   [SECTION_TYPE.EXPENSE_SUMMARY]: {
     type: SECTION_TYPE.EXPENSE_SUMMARY,
     name: 'Expense Summary',
@@ -726,6 +859,54 @@ export const SECTION_TYPE_CONFIG = {
     }
   },
 
+  [SECTION_TYPE.CASH_FLOW_FORECAST]: {
+    type: SECTION_TYPE.CASH_FLOW_FORECAST,
+    name: 'Cash-Flow Forecast',
+    description: 'Monthly milestone receipts against planned costs, with optimistic and pessimistic billing dates',
+    icon: Banknote,
+    category: SECTION_CATEGORY.FORWARD,
+    dataSource: DATA_SOURCE.CUSTOM_QUERY,
+    dataMethod: 'getForecast',
+    
+    defaultConfig: {
+      forecastMonths: '6',
+      includeChart: true,
+      showScenarios: true,
+      showMilestones: true
+    },
+    
+    configSchema: {
+      forecastMonths: {
+        type: CONFIG_FIELD_TYPE.SELECT,
+        label: 'Forecast Period',
+        options: [
+          { value: '3', label: 'Next 3 Months' },
+          { value: '6', label: 'Next 6 Months' },
+          { value: '12', label: 'Next 12 Months' }
+        ],
+        default: '6'
+      },
+      includeChart: {
+        type: CONFIG_FIELD_TYPE.BOOLEAN,
+        label: 'Include Chart',
+        description: 'Show the cumulative cash position by month',
+        default: true
+      },
+      showScenarios: {
+        type: CONFIG_FIELD_TYPE.BOOLEAN,
+        label: 'Show Scenarios',
+        description: 'Compare optimistic and pessimistic billing dates with the baseline',
+        default: true
+      },
+      showMilestones: {
+        type: CONFIG_FIELD_TYPE.BOOLEAN,
+        label: 'Show Milestone Receipts',
+        description: 'List the expected payment date of each unpaid milestone',
+        default: true
+      }
+    }
+  },
+
   // --------------------------------------------------------
   // CONTENT SECTIONS
   // --------------------------------------------------------
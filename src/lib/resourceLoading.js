@@ -0,0 +1,308 @@
+/**
+ * Resource Loading - Plan effort against resource capacity
+ *
+ * Plan items carry resource_assignments: [{ resource_id, effort_days }].
+ * Effort is spread evenly over the item's working days; an assignment
+ * without effort counts as full time (1 day per working day). Items with
+ * only assigned_resource_id are treated as one full-time assignment.
+ * Summary items (items with children) are skipped so effort is not
+ * counted twice - assign effort on the work beneath them.
+ *
+ * Capacity is 1 day per working day, reduced by:
+ * - non-working days on the resource (or project) working calendar
+ * - availability entries: out of office all day = 0, AM or PM = 0.5
+ *
+ * Levelling (levelResources) delays non-critical items within their total
+ * float, in dependency order, to the first start that fits capacity. The
+ * plan finish is not moved; delayed items get a start-no-earlier-than
+ * constraint so auto-scheduling keeps them where levelling put them.
+ *
+ * @version 1.0
+ * @created 19 October 2026
+ */
+
+import { toDateKey } from './workingCalendar';
+import {
+  calculateCriticalPath,
+  previewSchedule,
+  topologicalSort,
+  START_CONSTRAINTS
+} from './planningScheduler';
+
+const EPSILON = 1e-6;
+
+// ============================================
+// HELPERS
+// ============================================
+
+function shiftKey(key, days) {
+  const date = new Date(`${key}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+function calendarFor(item, calendar, resourceCalendars) {
+  return (item.assigned_resource_id && resourceCalendars?.[item.assigned_resource_id]) || calendar || null;
+}
+
+/**
+ * Move a date by working days (calendar days without a calendar)
+ */
+function addWorking(key, days, calendar) {
+  return calendar ? toDateKey(calendar.addWorkingDays(key, days)) : shiftKey(key, days);
+}
+
+function countWorking(from, to, calendar) {
+  if (calendar) return calendar.countWorkingDays(from, to);
+  return Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / (1000 * 60 * 60 * 24));
+}
+
+/**
+ * Working dates an item spans, inclusive
+ */
+function workingDates(start, end, calendar) {
+  const dates = [];
+  if (!start || !end) return dates;
+  for (let key = start; key <= end; key = shiftKey(key, 1)) {
+    if (!calendar || calendar.isWorkingDay(key)) dates.push(key);
+  }
+  return dates;
+}
+
+/**
+ * Normalised resource assignments for an item
+ * @returns {Array<{ resource_id: string, effort_days: number|null }>}
+ */
+export function getItemAssignments(item) {
+  if (Array.isArray(item.resource_assignments) && item.resource_assignments.length > 0) {
+    return item.resource_assignments
+      .filter(a => a && a.resource_id)
+      .map(a => ({
+        resource_id: a.resource_id,
+        effort_days: a.effort_days === null || a.effort_days === undefined || a.effort_days === ''
+          ? null
+          : Number(a.effort_days)
+      }));
+  }
+  if (item.assigned_resource_id) {
+    return [{ resource_id: item.assigned_resource_id, effort_days: null }];
+  }
+  return [];
+}
+
+/**
+ * Daily load for each assignment if the item ran from start to end
+ * @returns {Array<{ resource_id, date, load }>}
+ */
+function itemLoads(item, start, end, calendar) {
+  const dates = workingDates(start, end, calendar);
+  if (dates.length === 0) return [];
+
+  const loads = [];
+  getItemAssignments(item).forEach(assignment => {
+    const perDay = assignment.effort_days === null ? 1 : assignment.effort_days / dates.length;
+    if (perDay <= 0) return;
+    dates.forEach(date => loads.push({ resource_id: assignment.resource_id, date, load: perDay }));
+  });
+  return loads;
+}
+
+function isSummary(item, parentIds) {
+  return parentIds.has(item.id);
+}
+
+/**
+ * Build a capacity lookup from resources, calendars and availability
+ *
+ * @returns {Function} (resourceId, date) => capacity in days
+ */
+export function createCapacityLookup(options = {}) {
+  const { resources = [], availability = [], calendar = null, resourceCalendars = null } = options;
+  const userByResource = new Map(resources.map(r => [r.id, r.user_id]));
+
+  const availabilityByUserDate = new Map();
+  availability.forEach(entry => {
+    availabilityByUserDate.set(`${entry.user_id}|${entry.date}`, entry);
+  });
+
+  return (resourceId, date) => {
+    const resourceCalendar = resourceCalendars?.[resourceId] || calendar;
+    if (resourceCalendar && !resourceCalendar.isWorkingDay(date)) return 0;
+
+    const entry = availabilityByUserDate.get(`${userByResource.get(resourceId)}|${date}`);
+    if (entry?.status === 'out_of_office') {
+      return entry.period === 'am' || entry.period === 'pm' ? 0.5 : 0;
+    }
+    return 1;
+  };
+}
+
+// ============================================
+// LOAD
+// ============================================
+
+/**
+ * Calculate per-resource daily load across the plan
+ *
+ * @param {Array} items - Plan items
+ * @param {Object} options
+ * @param {Array} options.resources - Project resources ({ id, name, user_id })
+ * @param {Array} options.availability - resource_availability entries
+ * @param {Object} options.calendar - Project working calendar
+ * @param {Object} options.resourceCalendars - Calendars keyed by resource id
+ * @returns {{ resources: Object, start: string|null, end: string|null, overAllocatedDays: number }}
+ *   resources is keyed by resource id: { days: { [date]: { load, capacity, itemIds } },
+ *   peakLoad, overAllocatedDates }
+ */
+export function calculateResourceLoad(items, options = {}) {
+  const { calendar = null, resourceCalendars = null } = options;
+  const capacityFor = createCapacityLookup(options);
+  const parentIds = new Set(items.filter(i => i.parent_id).map(i => i.parent_id));
+
+  const byResource = {};
+  let start = null;
+  let end = null;
+
+  items.forEach(item => {
+    if (item.is_deleted || isSummary(item, parentIds) || !item.start_date || !item.end_date) return;
+
+    itemLoads(item, item.start_date, item.end_date, calendarFor(item, calendar, resourceCalendars))
+      .forEach(({ resource_id, date, load }) => {
+        if (!byResource[resource_id]) {
+          byResource[resource_id] = { days: {}, peakLoad: 0, overAllocatedDates: [] };
+        }
+        const days = byResource[resource_id].days;
+        if (!days[date]) {
+          days[date] = { load: 0, capacity: capacityFor(resource_id, date), itemIds: [] };
+        }
+        days[date].load += load;
+        days[date].itemIds.push(item.id);
+
+        if (!start || date < start) start = date;
+        if (!end || date > end) end = date;
+      });
+  });
+
+  let overAllocatedDays = 0;
+  Object.values(byResource).forEach(entry => {
+    Object.entries(entry.days).forEach(([date, day]) => {
+      day.load = Math.round(day.load * 100) / 100;
+      const ratio = day.capacity > 0 ? day.load / day.capacity : Infinity;
+      if (day.load > 0) entry.peakLoad = Math.max(entry.peakLoad, ratio);
+      if (day.load > day.capacity + EPSILON) {
+        entry.overAllocatedDates.push(date);
+        overAllocatedDays++;
+      }
+    });
+    entry.overAllocatedDates.sort();
+  });
+
+  return { resources: byResource, start, end, overAllocatedDays };
+}
+
+// ============================================
+// LEVELLING
+// ============================================
+
+/**
+ * Delay non-critical items within their total float to remove over-allocation
+ *
+ * @param {Array} items - Plan items
+ * @param {Object} options - As calculateResourceLoad, plus:
+ * @param {Object} options.scheduleAnalysis - calculateCriticalPath results (computed if omitted)
+ * @returns {{ updates: Array<{ id, start_date, end_date, constraint_type, constraint_date, delay }>,
+ *   overAllocatedBefore: number, overAllocatedAfter: number }}
+ */
+export function levelResources(items, options = {}) {
+  const { calendar = null, resourceCalendars = null } = options;
+  const live = items.filter(i => !i.is_deleted);
+  const analysis = options.scheduleAnalysis || calculateCriticalPath(live, options).results;
+  const capacityFor = createCapacityLookup(options);
+  const parentIds = new Set(live.filter(i => i.parent_id).map(i => i.parent_id));
+
+  // Previous levelling constraints are recalculated from scratch
+  const working = new Map(live.map(i => [i.id, {
+    ...i,
+    constraint_type: i.constraint_type === START_CONSTRAINTS.SNET ? null : i.constraint_type
+  }]));
+  const booked = new Map(); // `${resourceId}|${date}` -> load
+
+  const fits = (loads) => loads.every(({ resource_id, date, load }) =>
+    (booked.get(`${resource_id}|${date}`) || 0) + load <= capacityFor(resource_id, date) + EPSILON
+  );
+  const book = (loads) => loads.forEach(({ resource_id, date, load }) => {
+    const key = `${resource_id}|${date}`;
+    booked.set(key, (booked.get(key) || 0) + load);
+  });
+
+  const updates = [];
+
+  topologicalSort([...working.values()]).forEach(sorted => {
+    const item = working.get(sorted.id);
+    if (isSummary(item, parentIds) || !item.start_date || !item.end_date) return;
+
+    const itemCalendar = calendarFor(item, calendar, resourceCalendars);
+    const duration = countWorking(item.start_date, item.end_date, itemCalendar);
+
+    // Earliest start given predecessors as already placed
+    const preview = (item.predecessors || []).length > 0
+      ? previewSchedule(item, [...working.values()], options)
+      : null;
+    const earliest = preview?.start_date || item.start_date;
+
+    const original = live.find(i => i.id === item.id);
+    const latestStart = analysis[item.id]?.late_start || original.start_date;
+    const canDelay = !analysis[item.id]?.is_critical && getItemAssignments(item).length > 0;
+
+    let start = earliest;
+    let end = addWorking(start, duration, itemCalendar);
+
+    if (canDelay) {
+      for (let candidate = earliest; candidate <= latestStart; candidate = addWorking(candidate, 1, itemCalendar)) {
+        const candidateEnd = addWorking(candidate, duration, itemCalendar);
+        if (fits(itemLoads(item, candidate, candidateEnd, itemCalendar))) {
+          start = candidate;
+          end = candidateEnd;
+          break;
+        }
+      }
+    }
+
+    book(itemLoads(item, start, end, itemCalendar));
+    item.start_date = start;
+    item.end_date = end;
+
+    const delayed = start > earliest;
+    const constraintChanged = delayed
+      ? original.constraint_type !== START_CONSTRAINTS.SNET || original.constraint_date !== start
+      : original.constraint_type === START_CONSTRAINTS.SNET;
+
+    if (delayed) {
+      item.constraint_type = START_CONSTRAINTS.SNET;
+      item.constraint_date = start;
+    }
+
+    if (start !== original.start_date || end !== original.end_date || constraintChanged) {
+      updates.push({
+        id: item.id,
+        start_date: start,
+        end_date: end,
+        constraint_type: delayed ? START_CONSTRAINTS.SNET : null,
+        constraint_date: delayed ? start : null,
+        delay: countWorking(original.start_date, start, itemCalendar)
+      });
+    }
+  });
+
+  const before = calculateResourceLoad(live, options).overAllocatedDays;
+  const after = calculateResourceLoad([...working.values()], options).overAllocatedDays;
+
+  return { updates, overAllocatedBefore: before, overAllocatedAfter: after };
+}
+
+export default {
+  getItemAssignments,
+  createCapacityLookup,
+  calculateResourceLoad,
+  levelResources
+};
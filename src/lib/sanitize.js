@@ -4,8 +4,9 @@
  * Provides XSS protection and input sanitisation for user-submitted data.
  * Use these functions before storing or displaying user input.
  * 
- * @version 1.0
+ * @version 1.1
  * @created 30 November 2025
+ * @updated 19 October 2026 - Sanitise timesheet and expense review notes
  * @phase Production Hardening - Critical Priority
  */
 
@@ -327,11 +328,15 @@ export function sanitizeObject(obj, fieldConfig = {}) {
 export const SANITIZE_CONFIGS = {
   timesheet: {
     description: { type: 'multiLine', maxLength: 2000 },
-    hours_worked: { type: 'hours' }
+    hours_worked: { type: 'hours' },
+    rejection_reason: { type: 'multiLine', maxLength: 1000 },
+    review_note: { type: 'multiLine', maxLength: 1000 }
   },
   expense: {
     reason: { type: 'multiLine', maxLength: 2000 },
-    amount: { type: 'currency' }
+    amount: { type: 'currency' },
+    rejection_reason: { type: 'multiLine', maxLength: 1000 },
+    review_note: { type: 'multiLine', maxLength: 1000 }
   },
   resource: {
     name: { type: 'singleLine', maxLength: 100 },
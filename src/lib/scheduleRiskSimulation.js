@@ -0,0 +1,501 @@
+/**
+ * Schedule Risk Simulation - Monte Carlo over the plan network
+ *
+ * A deterministic, reproducible alternative to the qualitative AI schedule
+ * risk review. Each iteration samples every task's duration from its
+ * three-point estimate and re-runs the forward pass over the predecessor
+ * network, giving:
+ * - P50 / P80 / P90 finish dates per milestone and for the plan
+ * - the probability of finishing on or before the planned date
+ * - a criticality index: the share of iterations a task is on the path
+ *   driving the plan finish
+ * - a tornado ranking: tasks whose duration correlates most with the
+ *   plan finish
+ *
+ * Three-point estimates (in working days):
+ * - most likely: the planned duration (start to end date, inclusive)
+ * - optimistic / pessimistic: duration_optimistic / duration_pessimistic,
+ *   defaulting to DEFAULT_RANGE multiples of the most likely duration
+ * Durations are sampled from a triangular distribution and rounded to
+ * whole days. Completed items keep their planned duration.
+ *
+ * Network rules follow planningScheduler.js (FS / SS / FF / SF with lag,
+ * SNET constraints, working calendar), with two differences:
+ * - planned start dates act as start-no-earlier-than, so a task never
+ *   starts before the current plan says it will
+ * - summary items take their dates from their children, and links on a
+ *   summary apply to every task beneath it
+ * Only the project calendar is used; resource calendars are not modelled.
+ *
+ * The random number generator is seeded (mulberry32), so the same plan,
+ * seed and iteration count always give the same result.
+ *
+ * @version 1.0
+ * @created 19 October 2026
+ */
+
+import { toDateKey, WEEKDAYS_CALENDAR } from './workingCalendar';
+
+export const DEFAULT_ITERATIONS = 1000;
+export const DEFAULT_SEED = 1;
+export const MAX_ITERATIONS = 10000;
+
+/**
+ * Default optimistic / pessimistic range as multiples of the most likely
+ * duration, for items without their own estimates
+ */
+export const DEFAULT_RANGE = Object.freeze({
+  optimistic: 0.9,
+  pessimistic: 1.3
+});
+
+export const RISK_PERCENTILES = Object.freeze([50, 80, 90]);
+
+const LINK_TYPES = ['FS', 'SS', 'FF', 'SF'];
+const DAY_MS = 86400000;
+
+// ============================================
+// RANDOM SAMPLING
+// ============================================
+
+/**
+ * Seeded pseudo-random number generator (mulberry32)
+ *
+ * @param {number} seed - Integer seed
+ * @returns {Function} Returns a number in [0, 1) on each call
+ */
+export function createRng(seed = DEFAULT_SEED) {
+  let state = Math.floor(Number(seed) || 0) >>> 0;
+  return function next() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Inverse CDF of the triangular distribution
+ *
+ * @param {number} min - Optimistic value
+ * @param {number} mode - Most likely value
+ * @param {number} max - Pessimistic value
+ * @param {number} u - Uniform sample in [0, 1)
+ * @returns {number}
+ */
+export function sampleTriangular(min, mode, max, u) {
+  if (max <= min) return mode;
+  const range = max - min;
+  const split = (mode - min) / range;
+  if (u < split) {
+    return min + Math.sqrt(u * range * (mode - min));
+  }
+  return max - Math.sqrt((1 - u) * range * (max - mode));
+}
+
+/**
+ * Three-point duration estimate for a plan item
+ *
+ * @param {Object} item - Plan item
+ * @param {number} mostLikely - Planned duration in working days
+ * @param {Object} [range] - Default multiples (DEFAULT_RANGE)
+ * @returns {{ optimistic: number, mostLikely: number, pessimistic: number }}
+ */
+export function getThreePointEstimate(item, mostLikely, range = DEFAULT_RANGE) {
+  if (item.status === 'completed') {
+    return { optimistic: mostLikely, mostLikely, pessimistic: mostLikely };
+  }
+
+  const optimistic = parseFloat(item.duration_optimistic);
+  const pessimistic = parseFloat(item.duration_pessimistic);
+
+  return {
+    optimistic: Math.min(Number.isFinite(optimistic) ? optimistic : mostLikely * range.optimistic, mostLikely),
+    mostLikely,
+    pessimistic: Math.max(Number.isFinite(pessimistic) ? pessimistic : mostLikely * range.pessimistic, mostLikely)
+  };
+}
+
+// ============================================
+// STATISTICS
+// ============================================
+
+/**
+ * Nearest-rank percentile of an ascending sorted array
+ */
+export function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(Math.max(rank, 1), sorted.length) - 1];
+}
+
+/**
+ * Pearson correlation of two equal-length series (null if either is flat)
+ */
+export function correlation(xs, ys) {
+  const n = xs.length;
+  if (n === 0) return null;
+
+  let meanX = 0;
+  let meanY = 0;
+  for (let i = 0; i < n; i++) {
+    meanX += xs[i];
+    meanY += ys[i];
+  }
+  meanX /= n;
+  meanY /= n;
+
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  for (let i = 0; i < n; i++) {
+    const dx = xs[i] - meanX;
+    const dy = ys[i] - meanY;
+    covariance += dx * dy;
+    varianceX += dx * dx;
+    varianceY += dy * dy;
+  }
+
+  if (varianceX === 0 || varianceY === 0) return null;
+  return covariance / Math.sqrt(varianceX * varianceY);
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// ============================================
+// NETWORK
+// ============================================
+
+function shiftKey(key, days) {
+  return new Date(Date.parse(`${key}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Convert dates to working-day offsets from the plan start and back
+ */
+function createDayScale(base, calendar) {
+  if (calendar) {
+    return {
+      toOffset: (date) => calendar.countWorkingDays(base, toDateKey(date)),
+      toDate: (offset) => toDateKey(calendar.addWorkingDays(base, offset))
+    };
+  }
+  return {
+    toOffset: (date) => Math.round((Date.parse(`${toDateKey(date)}T00:00:00Z`) - Date.parse(`${base}T00:00:00Z`)) / DAY_MS),
+    toDate: (offset) => shiftKey(base, offset)
+  };
+}
+
+/**
+ * Build the simulation network: one node per dated item, in an order where
+ * link targets and children come before the items that depend on them
+ */
+function buildNetwork(scheduled, scale, range) {
+  const index = new Map(scheduled.map((item, i) => [item.id, i]));
+  const childIndexes = scheduled.map(() => []);
+  scheduled.forEach((item, i) => {
+    if (item.parent_id && index.has(item.parent_id)) {
+      childIndexes[index.get(item.parent_id)].push(i);
+    }
+  });
+
+  const nodes = scheduled.map((item, i) => {
+    const start = scale.toOffset(item.start_date);
+    const span = Math.max(scale.toOffset(item.end_date) - start, 0);
+    const isSummary = childIndexes[i].length > 0;
+
+    // Tasks inherit the links of every summary above them
+    const links = [];
+    if (!isSummary) {
+      let current = item;
+      const seen = new Set();
+      while (current && !seen.has(current.id)) {
+        seen.add(current.id);
+        (current.predecessors || []).forEach(pred => {
+          if (!index.has(pred.id) || pred.id === item.id) return;
+          links.push({
+            from: index.get(pred.id),
+            type: LINK_TYPES.includes(pred.type) ? pred.type : 'FS',
+            lag: Number(pred.lag) || 0
+          });
+        });
+        current = current.parent_id ? scheduled[index.get(current.parent_id)] : null;
+      }
+    }
+
+    const snet = item.constraint_type === 'SNET' && item.constraint_date
+      ? scale.toOffset(item.constraint_date)
+      : null;
+
+    return {
+      id: item.id,
+      item,
+      isSummary,
+      children: childIndexes[i],
+      plannedStart: start,
+      plannedFinish: start + span,
+      links,
+      snet,
+      estimate: isSummary ? null : getThreePointEstimate(item, span + 1, range)
+    };
+  });
+
+  // Depth-first order; the visited set breaks any cycles
+  const order = [];
+  const visited = new Set();
+  function visit(i) {
+    if (visited.has(i)) return;
+    visited.add(i);
+    const node = nodes[i];
+    if (node.isSummary) {
+      node.children.forEach(visit);
+    } else {
+      node.links.forEach(link => visit(link.from));
+    }
+    order.push(i);
+  }
+  nodes.forEach((_, i) => visit(i));
+
+  return { nodes, order };
+}
+
+function prepareNetwork(items, options) {
+  const calendar = options.calendar || (options.skipWeekends ? WEEKDAYS_CALENDAR : null);
+  const scheduled = (items || []).filter(i => i.start_date && i.end_date);
+  if (scheduled.length === 0) return null;
+
+  const base = scheduled.map(i => toDateKey(i.start_date)).sort()[0];
+  const scale = createDayScale(base, calendar);
+  return { scale, ...buildNetwork(scheduled, scale, options.range || DEFAULT_RANGE) };
+}
+
+/**
+ * The tasks the simulation samples, with their three-point estimates
+ *
+ * @param {Array} items - Plan items
+ * @param {Object} options - calendar, skipWeekends, range (as runScheduleRiskSimulation)
+ * @returns {Array<{ id, name, optimistic, mostLikely, pessimistic, isDefault }>}
+ *   isDefault: the item has no estimates of its own
+ */
+export function getSimulationTasks(items, options = {}) {
+  const network = prepareNetwork(items, options);
+  if (!network) return [];
+
+  return network.nodes
+    .filter(node => !node.isSummary)
+    .map(node => ({
+      id: node.id,
+      name: node.item.name,
+      optimistic: round2(node.estimate.optimistic),
+      mostLikely: node.estimate.mostLikely,
+      pessimistic: round2(node.estimate.pessimistic),
+      isDefault: node.item.duration_optimistic == null && node.item.duration_pessimistic == null
+    }));
+}
+
+// ============================================
+// SIMULATION
+// ============================================
+
+/**
+ * Run a Monte Carlo schedule risk simulation over plan items
+ *
+ * @param {Array} items - Plan items (id, parent_id, item_type, name, status,
+ *   start_date, end_date, predecessors, constraint_type, constraint_date,
+ *   duration_optimistic, duration_pessimistic)
+ * @param {Object} options
+ * @param {number} options.iterations - Number of iterations (DEFAULT_ITERATIONS)
+ * @param {number} options.seed - RNG seed (DEFAULT_SEED)
+ * @param {Object} options.calendar - Project working calendar (createWorkingCalendar)
+ * @param {boolean} options.skipWeekends - Monday to Friday calendar when no calendar is given
+ * @param {Object} options.range - Default estimate range (DEFAULT_RANGE)
+ * @param {number} options.tornadoSize - Tasks in the tornado ranking (default 10)
+ * @returns {{ iterations, seed, plan, milestones: Array, criticality: Array, tornado: Array }}
+ *   plan / milestones[i]: { plannedFinish, p50, p80, p90, onTimeProbability }
+ *   criticality: [{ id, name, index }] - index 0..1, highest first
+ *   tornado: [{ id, name, correlation, optimistic, mostLikely, pessimistic }]
+ */
+export function runScheduleRiskSimulation(items, options = {}) {
+  const {
+    seed = DEFAULT_SEED,
+    range = DEFAULT_RANGE,
+    tornadoSize = 10
+  } = options;
+  const iterations = Math.min(Math.max(Math.floor(options.iterations || DEFAULT_ITERATIONS), 1), MAX_ITERATIONS);
+
+  const network = prepareNetwork(items, { ...options, range });
+  if (!network) {
+    return { iterations, seed, plan: null, milestones: [], criticality: [], tornado: [] };
+  }
+
+  const { scale, nodes, order } = network;
+  const count = nodes.length;
+
+  const tasks = order.filter(i => !nodes[i].isSummary);
+  const uncertain = tasks.filter(i => nodes[i].estimate.pessimistic > nodes[i].estimate.optimistic);
+  const milestoneIndexes = order
+    .filter(i => nodes[i].item.item_type === 'milestone')
+    .sort((a, b) => a - b);
+
+  const start = new Float64Array(count);
+  const finish = new Float64Array(count);
+  const driver = new Int32Array(count);
+  const driverType = new Array(count);
+  const finishDriver = new Int32Array(count);
+  const startDriver = new Int32Array(count);
+
+  const sampledDurations = new Map(uncertain.map(i => [i, new Float64Array(iterations)]));
+  const planFinishes = new Float64Array(iterations);
+  const milestoneFinishes = new Map(milestoneIndexes.map(i => [i, new Float64Array(iterations)]));
+  const criticalCounts = new Int32Array(count);
+
+  const rng = createRng(seed);
+
+  for (let iter = 0; iter < iterations; iter++) {
+    let planFinish = -Infinity;
+    let lastTask = -1;
+
+    for (const i of order) {
+      const node = nodes[i];
+
+      if (node.isSummary) {
+        let first = -1;
+        let last = -1;
+        node.children.forEach(c => {
+          if (first < 0 || start[c] < start[first]) first = c;
+          if (last < 0 || finish[c] > finish[last]) last = c;
+        });
+        start[i] = start[first];
+        finish[i] = finish[last];
+        startDriver[i] = first;
+        finishDriver[i] = last;
+        continue;
+      }
+
+      const { optimistic, mostLikely, pessimistic } = node.estimate;
+      const duration = Math.max(Math.round(sampleTriangular(optimistic, mostLikely, pessimistic, rng())), 1);
+      if (sampledDurations.has(i)) sampledDurations.get(i)[iter] = duration;
+      const span = duration - 1;
+
+      let itemStart = node.plannedStart;
+      driver[i] = -1;
+      for (const link of node.links) {
+        let allowed;
+        switch (link.type) {
+          case 'SS':
+            allowed = start[link.from] + link.lag;
+            break;
+          case 'FF':
+            allowed = finish[link.from] + link.lag - (span || 1) + 1;
+            break;
+          case 'SF':
+            allowed = start[link.from] + link.lag - (span || 1) + 1;
+            break;
+          default:
+            allowed = finish[link.from] + 1 + link.lag;
+        }
+        if (allowed >= itemStart) {
+          itemStart = allowed;
+          driver[i] = link.from;
+          driverType[i] = link.type;
+        }
+      }
+      if (node.snet !== null && node.snet > itemStart) {
+        itemStart = node.snet;
+        driver[i] = -1;
+      }
+
+      start[i] = itemStart;
+      finish[i] = itemStart + span;
+      if (finish[i] > planFinish) {
+        planFinish = finish[i];
+        lastTask = i;
+      }
+    }
+
+    planFinishes[iter] = planFinish;
+    milestoneFinishes.forEach((values, i) => { values[iter] = finish[i]; });
+
+    // Walk back along the links that set each start; a link to a summary
+    // continues from the task driving the summary's start or finish
+    const onPath = new Set();
+    let current = lastTask;
+    while (current >= 0 && !onPath.has(current)) {
+      onPath.add(current);
+      criticalCounts[current]++;
+      let next = driver[current];
+      const useStart = driverType[current] === 'SS' || driverType[current] === 'SF';
+      while (next >= 0 && nodes[next].isSummary) {
+        next = useStart ? startDriver[next] : finishDriver[next];
+      }
+      current = next;
+    }
+  }
+
+  const summarise = (values, plannedFinish) => {
+    const sorted = Array.from(values).sort((a, b) => a - b);
+    const onTime = sorted.filter(v => v <= plannedFinish).length;
+    const result = {
+      plannedFinish: scale.toDate(plannedFinish),
+      onTimeProbability: round2(onTime / sorted.length)
+    };
+    RISK_PERCENTILES.forEach(p => {
+      result[`p${p}`] = scale.toDate(percentile(sorted, p));
+    });
+    return result;
+  };
+
+  const plannedPlanFinish = Math.max(...tasks.map(i => nodes[i].plannedFinish));
+
+  const milestones = milestoneIndexes.map(i => ({
+    id: nodes[i].id,
+    name: nodes[i].item.name,
+    ...summarise(milestoneFinishes.get(i), nodes[i].plannedFinish)
+  }));
+
+  const criticality = tasks
+    .filter(i => criticalCounts[i] > 0)
+    .map(i => ({ id: nodes[i].id, name: nodes[i].item.name, index: round2(criticalCounts[i] / iterations) }))
+    .sort((a, b) => b.index - a.index);
+
+  const tornado = uncertain
+    .map(i => ({
+      id: nodes[i].id,
+      name: nodes[i].item.name,
+      correlation: correlation(sampledDurations.get(i), planFinishes),
+      optimistic: round2(nodes[i].estimate.optimistic),
+      mostLikely: nodes[i].estimate.mostLikely,
+      pessimistic: round2(nodes[i].estimate.pessimistic)
+    }))
+    .filter(t => t.correlation !== null && Math.abs(t.correlation) >= 0.01)
+    .map(t => ({ ...t, correlation: round2(t.correlation) }))
+    .sort((a, b) => Math.abs(b.correlation) - Math.abs(a.correlation))
+    .slice(0, tornadoSize);
+
+  return {
+    iterations,
+    seed,
+    plan: summarise(planFinishes, plannedPlanFinish),
+    milestones,
+    criticality,
+    tornado
+  };
+}
+
+export default {
+  DEFAULT_ITERATIONS,
+  DEFAULT_SEED,
+  MAX_ITERATIONS,
+  DEFAULT_RANGE,
+  RISK_PERCENTILES,
+  createRng,
+  sampleTriangular,
+  getThreePointEstimate,
+  percentile,
+  correlation,
+  getSimulationTasks,
+  runScheduleRiskSimulation
+};
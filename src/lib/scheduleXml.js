@@ -0,0 +1,767 @@
+/**
+ * Schedule XML Exchange
+ *
+ * Converts plan items to and from the two schedule formats customers send
+ * us: Microsoft Project XML (MSPDI) and Primavera P6 XML
+ * (APIBusinessObjects).
+ *
+ * Mapped both ways:
+ * - WBS hierarchy (MSPDI outline levels; P6 WBS nodes + activities)
+ * - Start / finish dates and durations
+ * - Predecessor links (FS, SS, FF, SF) with lag in days
+ * - Milestones
+ * - Resource assignments (matched to project resources by name)
+ *
+ * Anything that cannot be represented is reported in `warnings` rather
+ * than silently dropped: calendars, constraints, costs, elapsed or
+ * percentage lags, extra resource assignments and the like.
+ *
+ * Imported items carry temporary ids (parent_id and predecessor ids refer
+ * to them) for planItemsService.createBatchFlat.
+ *
+ * @version 1.0
+ * @created 19 October 2026
+ */
+
+export const SCHEDULE_FORMATS = {
+  MSPDI: 'mspdi',
+  P6: 'p6'
+};
+
+export const SCHEDULE_FORMAT_CONFIG = {
+  [SCHEDULE_FORMATS.MSPDI]: { label: 'Microsoft Project XML (MSPDI)', extension: 'xml' },
+  [SCHEDULE_FORMATS.P6]: { label: 'Primavera P6 XML', extension: 'xml' }
+};
+
+const HOURS_PER_DAY = 8;
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+// MSPDI PredecessorLink Type codes
+const MSPDI_LINK_TYPES = { 0: 'FF', 1: 'FS', 2: 'SF', 3: 'SS' };
+const MSPDI_LINK_CODES = { FF: 0, FS: 1, SF: 2, SS: 3 };
+
+// MSPDI LagFormat codes we can express in whole working days
+const MSPDI_WORKING_LAG_FORMATS = [3, 5, 7, 9, 11, 35, 37, 39, 41, 43];
+
+const P6_LINK_TYPES = {
+  'Finish to Start': 'FS',
+  'Start to Start': 'SS',
+  'Finish to Finish': 'FF',
+  'Start to Finish': 'SF'
+};
+const P6_LINK_NAMES = Object.fromEntries(Object.entries(P6_LINK_TYPES).map(([name, code]) => [code, name]));
+
+// ============================================
+// SHARED HELPERS
+// ============================================
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function tag(name, value, indent) {
+  if (value === null || value === undefined || value === '') return '';
+  return `${indent}<${name}>${escapeXml(value)}</${name}>\n`;
+}
+
+function dateOnly(value) {
+  return value ? String(value).slice(0, 10) : null;
+}
+
+function calendarDaysInclusive(start, end) {
+  if (!start || !end) return null;
+  return Math.round((new Date(`${end}T00:00:00Z`) - new Date(`${start}T00:00:00Z`)) / MS_PER_DAY) + 1;
+}
+
+/**
+ * Working days an item spans (inclusive), using the calendar when given
+ */
+function workingDuration(item, calendar) {
+  if (!item.start_date || !item.end_date) return item.duration_days || 0;
+  if (!calendar) return calendarDaysInclusive(item.start_date, item.end_date);
+  return calendar.countWorkingDays(item.start_date, item.end_date) + (calendar.isWorkingDay(item.start_date) ? 1 : 0);
+}
+
+/**
+ * Items in outline order (parents before children, siblings by sort_order)
+ * with their depth and children flag
+ */
+function toOutline(items) {
+  const live = items.filter(i => !i.is_deleted);
+  const ids = new Set(live.map(i => i.id));
+  const byParent = new Map();
+  live.forEach(item => {
+    const parentKey = item.parent_id && ids.has(item.parent_id) ? item.parent_id : null;
+    if (!byParent.has(parentKey)) byParent.set(parentKey, []);
+    byParent.get(parentKey).push(item);
+  });
+  byParent.forEach(children => children.sort((a, b) => (a.sort_order || 0) - (b.sort_order || 0)));
+
+  const outline = [];
+  const walk = (parentKey, depth, prefix) => {
+    (byParent.get(parentKey) || []).forEach((item, index) => {
+      const wbs = prefix ? `${prefix}.${index + 1}` : `${index + 1}`;
+      const hasChildren = byParent.has(item.id);
+      outline.push({ item, depth, wbs, hasChildren });
+      walk(item.id, depth + 1, wbs);
+    });
+  };
+  walk(null, 0, '');
+  return outline;
+}
+
+function isMilestoneItem(item) {
+  return item.item_type === 'milestone' && (!item.start_date || item.start_date === item.end_date);
+}
+
+function resourceName(item, resources) {
+  if (!item.assigned_resource_id) return null;
+  return resources.find(r => r.id === item.assigned_resource_id)?.name || null;
+}
+
+/**
+ * Plan item types follow the hierarchy: component > milestone > deliverable > task.
+ * Roots become components only when the branch is deep enough to need one.
+ */
+function assignItemTypes(items) {
+  const childrenOf = new Map();
+  items.forEach(item => {
+    if (!childrenOf.has(item.parent_id)) childrenOf.set(item.parent_id, []);
+    childrenOf.get(item.parent_id).push(item);
+  });
+
+  const depthBelow = (id) => {
+    const children = childrenOf.get(id) || [];
+    return children.length === 0 ? 0 : 1 + Math.max(...children.map(c => depthBelow(c.id)));
+  };
+
+  const assign = (parentId, parentType) => {
+    (childrenOf.get(parentId) || []).forEach(item => {
+      if (parentType === null) {
+        item.item_type = depthBelow(item.id) >= 3 ? 'component' : 'milestone';
+      } else if (parentType === 'component') {
+        item.item_type = 'milestone';
+      } else if (parentType === 'milestone') {
+        item.item_type = 'deliverable';
+      } else {
+        item.item_type = 'task';
+      }
+      assign(item.id, item.item_type);
+    });
+  };
+  assign(null, null);
+}
+
+/**
+ * Map external resource names onto project resources (case-insensitive)
+ */
+function matchResource(name, resources, warnings, itemName) {
+  if (!name) return null;
+  const match = resources.find(r => (r.name || '').trim().toLowerCase() === name.trim().toLowerCase());
+  if (!match) {
+    warnings.push({ item: itemName, message: `Resource "${name}" is not on this project - left unassigned` });
+    return null;
+  }
+  return match.id;
+}
+
+/**
+ * Direct child elements by local name (namespace agnostic)
+ */
+function children(el, name) {
+  return el ? Array.from(el.children).filter(c => c.localName === name) : [];
+}
+
+function child(el, name) {
+  return children(el, name)[0] || null;
+}
+
+function text(el, name) {
+  const node = child(el, name);
+  return node ? node.textContent.trim() : null;
+}
+
+function finishImport(items, warnings, format) {
+  assignItemTypes(items);
+
+  // Milestone flags only survive where the hierarchy allows a milestone
+  items.forEach(item => {
+    if (item._isMilestone && item.item_type !== 'milestone') {
+      warnings.push({ item: item.name, message: `Imported as a ${item.item_type} - milestones are only kept at the top levels of the plan` });
+    }
+    delete item._isMilestone;
+  });
+
+  return {
+    format,
+    items,
+    linkCount: items.reduce((sum, item) => sum + item.predecessors.length, 0),
+    warnings
+  };
+}
+
+// ============================================
+// MSPDI EXPORT
+// ============================================
+
+/**
+ * Export plan items as Microsoft Project XML (MSPDI)
+ *
+ * @param {Array} items - Plan items
+ * @param {Object} options
+ * @param {string} options.projectName - Project title
+ * @param {Array} options.resources - Project resources ({ id, name })
+ * @param {Object} options.calendar - Working calendar for durations
+ * @returns {{ xml: string, warnings: Array<{ item: string, message: string }> }}
+ */
+export function exportToMspdi(items, options = {}) {
+  const { projectName = 'Project', resources = [], calendar = null } = options;
+  const outline = toOutline(items);
+  const warnings = [];
+  const uidById = new Map(outline.map((entry, index) => [entry.item.id, index + 1]));
+
+  const usedResources = [];
+  outline.forEach(({ item }) => {
+    const name = resourceName(item, resources);
+    if (name && !usedResources.some(r => r.id === item.assigned_resource_id)) {
+      usedResources.push({ id: item.assigned_resource_id, name });
+    }
+  });
+  const resourceUid = new Map(usedResources.map((r, index) => [r.id, index + 1]));
+
+  const dated = outline.map(e => e.item).filter(i => i.start_date || i.end_date);
+  const projectStart = dated.map(i => i.start_date || i.end_date).sort()[0];
+
+  let xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+  xml += '<Project xmlns="http://schemas.microsoft.com/project">\n';
+  xml += tag('Name', projectName, '  ');
+  xml += tag('Title', projectName, '  ');
+  xml += tag('ScheduleFromStart', 1, '  ');
+  xml += projectStart ? tag('StartDate', `${projectStart}T08:00:00`, '  ') : '';
+  xml += tag('MinutesPerDay', HOURS_PER_DAY * 60, '  ');
+  xml += '  <Tasks>\n';
+
+  outline.forEach(({ item, depth, wbs, hasChildren }) => {
+    const uid = uidById.get(item.id);
+    const start = item.start_date || item.end_date;
+    const finish = item.end_date || item.start_date;
+    const milestone = isMilestoneItem(item);
+    const days = milestone ? 0 : workingDuration(item, calendar);
+
+    if (!start) {
+      warnings.push({ item: item.name, message: 'No dates - exported without start and finish' });
+    }
+
+    xml += '    <Task>\n';
+    xml += tag('UID', uid, '      ');
+    xml += tag('ID', uid, '      ');
+    xml += tag('Name', item.name || 'Untitled', '      ');
+    xml += tag('WBS', wbs, '      ');
+    xml += tag('OutlineNumber', wbs, '      ');
+    xml += tag('OutlineLevel', depth + 1, '      ');
+    xml += start ? tag('Start', `${start}T08:00:00`, '      ') : '';
+    xml += finish ? tag('Finish', `${finish}T17:00:00`, '      ') : '';
+    xml += tag('Duration', `PT${days * HOURS_PER_DAY}H0M0S`, '      ');
+    xml += tag('DurationFormat', 7, '      ');
+    xml += tag('Milestone', milestone ? 1 : 0, '      ');
+    xml += tag('Summary', hasChildren ? 1 : 0, '      ');
+    xml += tag('PercentComplete', Math.round(Number(item.progress) || 0), '      ');
+    xml += item.description ? tag('Notes', item.description, '      ') : '';
+
+    (item.predecessors || []).forEach(pred => {
+      const predUid = uidById.get(pred.id);
+      if (!predUid) {
+        warnings.push({ item: item.name, message: 'Predecessor link to a deleted item skipped' });
+        return;
+      }
+      xml += '      <PredecessorLink>\n';
+      xml += tag('PredecessorUID', predUid, '        ');
+      xml += tag('Type', MSPDI_LINK_CODES[pred.type || 'FS'], '        ');
+      xml += tag('CrossProject', 0, '        ');
+      xml += tag('LinkLag', Math.round((pred.lag || 0) * HOURS_PER_DAY * 60 * 10), '        ');
+      xml += tag('LagFormat', 7, '        ');
+      xml += '      </PredecessorLink>\n';
+    });
+
+    xml += '    </Task>\n';
+  });
+
+  xml += '  </Tasks>\n';
+  xml += '  <Resources>\n';
+  usedResources.forEach(resource => {
+    xml += '    <Resource>\n';
+    xml += tag('UID', resourceUid.get(resource.id), '      ');
+    xml += tag('ID', resourceUid.get(resource.id), '      ');
+    xml += tag('Name', resource.name, '      ');
+    xml += tag('Type', 1, '      ');
+    xml += '    </Resource>\n';
+  });
+  xml += '  </Resources>\n';
+  xml += '  <Assignments>\n';
+
+  let assignmentUid = 1;
+  outline.forEach(({ item }) => {
+    if (!resourceUid.has(item.assigned_resource_id)) return;
+    xml += '    <Assignment>\n';
+    xml += tag('UID', assignmentUid++, '      ');
+    xml += tag('TaskUID', uidById.get(item.id), '      ');
+    xml += tag('ResourceUID', resourceUid.get(item.assigned_resource_id), '      ');
+    xml += tag('Units', 1, '      ');
+    xml += '    </Assignment>\n';
+  });
+
+  xml += '  </Assignments>\n';
+  xml += '</Project>\n';
+
+  return { xml, warnings };
+}
+
+// ============================================
+// MSPDI IMPORT
+// ============================================
+
+function parseMspdi(doc, resources) {
+  const warnings = [];
+  const project = doc.documentElement;
+
+  const taskEls = children(child(project, 'Tasks'), 'Task');
+  const resourceNames = new Map(
+    children(child(project, 'Resources'), 'Resource').map(r => [text(r, 'UID'), text(r, 'Name')])
+  );
+
+  const assignmentsByTask = new Map();
+  children(child(project, 'Assignments'), 'Assignment').forEach(a => {
+    const taskUid = text(a, 'TaskUID');
+    const name = resourceNames.get(text(a, 'ResourceUID'));
+    if (!name) return;
+    if (!assignmentsByTask.has(taskUid)) assignmentsByTask.set(taskUid, []);
+    assignmentsByTask.get(taskUid).push(name);
+  });
+
+  if (children(project, 'Calendars').length > 0 && children(child(project, 'Calendars'), 'Calendar').length > 0) {
+    warnings.push({ item: null, message: 'Project calendars are not imported - set working days under Settings > Working Calendar' });
+  }
+
+  const items = [];
+  const idByUid = new Map();
+  const stack = []; // [{ level, id }]
+  const pendingLinks = [];
+
+  taskEls.forEach((el, index) => {
+    const uid = text(el, 'UID');
+    const level = parseInt(text(el, 'OutlineLevel') || '1', 10);
+    const name = text(el, 'Name') || 'Untitled';
+
+    // Skip the project summary task and blank rows
+    if (level === 0 || uid === '0' || text(el, 'IsNull') === '1') return;
+
+    while (stack.length && stack[stack.length - 1].level >= level) stack.pop();
+    const parentId = stack.length ? stack[stack.length - 1].id : null;
+
+    const id = `import_${uid}`;
+    idByUid.set(uid, id);
+    stack.push({ level, id });
+
+    const start = dateOnly(text(el, 'Start'));
+    const finish = dateOnly(text(el, 'Finish'));
+    const isMilestone = text(el, 'Milestone') === '1';
+
+    const constraint = text(el, 'ConstraintType');
+    if (constraint && !['0', '1'].includes(constraint)) {
+      warnings.push({ item: name, message: 'Date constraint not imported' });
+    }
+    if (text(el, 'Recurring') === '1') {
+      warnings.push({ item: name, message: 'Recurring task imported as a single item' });
+    }
+    if (text(el, 'Cost') && Number(text(el, 'Cost')) > 0) {
+      warnings.push({ item: name, message: 'Cost not imported - use estimates for costs' });
+    }
+
+    const assigned = assignmentsByTask.get(uid) || [];
+    if (assigned.length > 1) {
+      warnings.push({ item: name, message: `${assigned.length} resources assigned - only "${assigned[0]}" kept` });
+    }
+
+    items.push({
+      id,
+      parent_id: parentId,
+      name,
+      description: text(el, 'Notes') || null,
+      start_date: start,
+      end_date: isMilestone ? start : finish,
+      duration_days: calendarDaysInclusive(start, isMilestone ? start : finish),
+      indent_level: stack.length - 1,
+      sort_order: index + 1,
+      status: Number(text(el, 'PercentComplete')) >= 100 ? 'completed'
+        : Number(text(el, 'PercentComplete')) > 0 ? 'in_progress' : 'not_started',
+      progress: Number(text(el, 'PercentComplete')) || 0,
+      assigned_resource_id: matchResource(assigned[0], resources, warnings, name),
+      predecessors: [],
+      _isMilestone: isMilestone
+    });
+
+    children(el, 'PredecessorLink').forEach(link => pendingLinks.push({ id, name, link }));
+  });
+
+  const itemsById = new Map(items.map(i => [i.id, i]));
+  pendingLinks.forEach(({ id, name, link }) => {
+    const predId = idByUid.get(text(link, 'PredecessorUID'));
+    if (!predId || text(link, 'CrossProject') === '1') {
+      warnings.push({ item: name, message: 'Link to a task outside this file skipped' });
+      return;
+    }
+
+    const lagFormat = parseInt(text(link, 'LagFormat') || '7', 10);
+    const rawLag = Number(text(link, 'LinkLag') || 0);
+    let lag = rawLag / 10 / 60 / HOURS_PER_DAY;
+
+    if (rawLag !== 0 && !MSPDI_WORKING_LAG_FORMATS.includes(lagFormat)) {
+      warnings.push({ item: name, message: 'Elapsed or percentage lag converted to working days' });
+    }
+    if (!Number.isInteger(lag)) {
+      warnings.push({ item: name, message: `Lag of ${lag.toFixed(2)} days rounded to ${Math.round(lag)}` });
+      lag = Math.round(lag);
+    }
+
+    itemsById.get(id).predecessors.push({
+      id: predId,
+      type: MSPDI_LINK_TYPES[text(link, 'Type') ?? '1'] || 'FS',
+      lag
+    });
+  });
+
+  return finishImport(items, warnings, SCHEDULE_FORMATS.MSPDI);
+}
+
+// ============================================
+// P6 EXPORT
+// ============================================
+
+/**
+ * Export plan items as Primavera P6 XML
+ *
+ * Items with children become WBS nodes; the rest become activities.
+ * P6 only links activities, so links on WBS nodes are reported.
+ *
+ * @param {Array} items - Plan items
+ * @param {Object} options - Same as exportToMspdi, plus projectCode
+ * @returns {{ xml: string, warnings: Array<{ item: string, message: string }> }}
+ */
+export function exportToP6Xml(items, options = {}) {
+  const { projectName = 'Project', projectCode = 'PLAN', resources = [], calendar = null } = options;
+  const outline = toOutline(items);
+  const warnings = [];
+  const projectObjectId = 1;
+  const objectIdById = new Map(outline.map((entry, index) => [entry.item.id, 1000 + index]));
+  const isWbs = new Map(outline.map(entry => [entry.item.id, entry.hasChildren]));
+
+  const usedResources = [];
+  outline.forEach(({ item }) => {
+    const name = resourceName(item, resources);
+    if (name && !usedResources.some(r => r.id === item.assigned_resource_id)) {
+      usedResources.push({ id: item.assigned_resource_id, name });
+    }
+  });
+  const resourceObjectId = new Map(usedResources.map((r, index) => [r.id, 500 + index]));
+
+  let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+  xml += '<APIBusinessObjects xmlns="http://xmlns.oracle.com/Primavera/P6/V8.3/API/BusinessObjects">\n';
+
+  usedResources.forEach(resource => {
+    xml += '  <Resource>\n';
+    xml += tag('ObjectId', resourceObjectId.get(resource.id), '    ');
+    xml += tag('Id', `RES${resourceObjectId.get(resource.id)}`, '    ');
+    xml += tag('Name', resource.name, '    ');
+    xml += tag('ResourceType', 'Labor', '    ');
+    xml += '  </Resource>\n';
+  });
+
+  xml += '  <Project>\n';
+  xml += tag('ObjectId', projectObjectId, '    ');
+  xml += tag('Id', projectCode, '    ');
+  xml += tag('Name', projectName, '    ');
+
+  outline.forEach(({ item, wbs, hasChildren }, index) => {
+    if (!hasChildren) return;
+    xml += '    <WBS>\n';
+    xml += tag('ObjectId', objectIdById.get(item.id), '      ');
+    xml += tag('ProjectObjectId', projectObjectId, '      ');
+    xml += tag('ParentObjectId', item.parent_id && objectIdById.has(item.parent_id) ? objectIdById.get(item.parent_id) : '', '      ');
+    xml += tag('Code', wbs, '      ');
+    xml += tag('Name', item.name || 'Untitled', '      ');
+    xml += tag('SequenceNumber', index, '      ');
+    xml += '    </WBS>\n';
+
+    if ((item.predecessors || []).length > 0) {
+      warnings.push({ item: item.name, message: 'Links on summary items are not supported by P6 and were skipped' });
+    }
+  });
+
+  const relationships = [];
+  outline.forEach(({ item, wbs, hasChildren }) => {
+    if (hasChildren) return;
+    const start = item.start_date || item.end_date;
+    const finish = item.end_date || item.start_date;
+    const milestone = isMilestoneItem(item);
+    const hours = milestone ? 0 : workingDuration(item, calendar) * HOURS_PER_DAY;
+
+    if (!start) {
+      warnings.push({ item: item.name, message: 'No dates - exported without planned dates' });
+    }
+    if (!item.parent_id) {
+      warnings.push({ item: item.name, message: 'Top-level item without children exported as an activity with no WBS' });
+    }
+
+    xml += '    <Activity>\n';
+    xml += tag('ObjectId', objectIdById.get(item.id), '      ');
+    xml += tag('Id', `A${wbs.replace(/\./g, '-')}`, '      ');
+    xml += tag('Name', item.name || 'Untitled', '      ');
+    xml += tag('ProjectObjectId', projectObjectId, '      ');
+    xml += tag('WBSObjectId', item.parent_id ? objectIdById.get(item.parent_id) : '', '      ');
+    xml += tag('Type', milestone ? 'Finish Milestone' : 'Task Dependent', '      ');
+    xml += start ? tag('PlannedStartDate', `${start}T08:00:00`, '      ') : '';
+    xml += finish ? tag('PlannedFinishDate', `${finish}T17:00:00`, '      ') : '';
+    xml += tag('PlannedDuration', hours, '      ');
+    xml += tag('PhysicalPercentComplete', Math.round(Number(item.progress) || 0), '      ');
+    xml += tag('PercentCompleteType', 'Physical', '      ');
+    xml += '    </Activity>\n';
+
+    (item.predecessors || []).forEach(pred => {
+      if (!objectIdById.has(pred.id)) {
+        warnings.push({ item: item.name, message: 'Predecessor link to a deleted item skipped' });
+        return;
+      }
+      if (isWbs.get(pred.id)) {
+        warnings.push({ item: item.name, message: 'Link from a summary item is not supported by P6 and was skipped' });
+        return;
+      }
+      relationships.push({ pred, successorObjectId: objectIdById.get(item.id) });
+    });
+  });
+
+  relationships.forEach(({ pred, successorObjectId }, index) => {
+    xml += '    <Relationship>\n';
+    xml += tag('ObjectId', 5000 + index, '      ');
+    xml += tag('PredecessorActivityObjectId', objectIdById.get(pred.id), '      ');
+    xml += tag('SuccessorActivityObjectId', successorObjectId, '      ');
+    xml += tag('Type', P6_LINK_NAMES[pred.type || 'FS'], '      ');
+    xml += tag('Lag', (pred.lag || 0) * HOURS_PER_DAY, '      ');
+    xml += '    </Relationship>\n';
+  });
+
+  let assignmentId = 9000;
+  outline.forEach(({ item, hasChildren }) => {
+    if (hasChildren || !resourceObjectId.has(item.assigned_resource_id)) return;
+    xml += '    <ResourceAssignment>\n';
+    xml += tag('ObjectId', assignmentId++, '      ');
+    xml += tag('ActivityObjectId', objectIdById.get(item.id), '      ');
+    xml += tag('ResourceObjectId', resourceObjectId.get(item.assigned_resource_id), '      ');
+    xml += tag('ProjectObjectId', projectObjectId, '      ');
+    xml += '    </ResourceAssignment>\n';
+  });
+
+  xml += '  </Project>\n';
+  xml += '</APIBusinessObjects>\n';
+
+  return { xml, warnings };
+}
+
+// ============================================
+// P6 IMPORT
+// ============================================
+
+function parseP6(doc, resources) {
+  const warnings = [];
+  const root = doc.documentElement;
+  const projects = children(root, 'Project');
+
+  if (projects.length === 0) {
+    throw new Error('No <Project> found in the P6 file');
+  }
+  if (projects.length > 1) {
+    warnings.push({ item: null, message: `File contains ${projects.length} projects - only "${text(projects[0], 'Name')}" imported` });
+  }
+  const project = projects[0];
+
+  const resourceNames = new Map(children(root, 'Resource').map(r => [text(r, 'ObjectId'), text(r, 'Name')]));
+
+  const wbsEls = children(project, 'WBS');
+  const wbsIds = new Set(wbsEls.map(w => text(w, 'ObjectId')));
+  const items = [];
+  const idByObjectId = new Map();
+
+  // WBS nodes, parents before children
+  const wbsByParent = new Map();
+  wbsEls.forEach(w => {
+    const parent = wbsIds.has(text(w, 'ParentObjectId')) ? text(w, 'ParentObjectId') : null;
+    if (!wbsByParent.has(parent)) wbsByParent.set(parent, []);
+    wbsByParent.get(parent).push(w);
+  });
+  wbsByParent.forEach(list => list.sort((a, b) =>
+    (Number(text(a, 'SequenceNumber')) || 0) - (Number(text(b, 'SequenceNumber')) || 0)
+  ));
+
+  let sortOrder = 0;
+  const addWbs = (parentObjectId, depth) => {
+    (wbsByParent.get(parentObjectId) || []).forEach(w => {
+      const objectId = text(w, 'ObjectId');
+      const id = `import_wbs_${objectId}`;
+      idByObjectId.set(`wbs:${objectId}`, id);
+      items.push({
+        id,
+        parent_id: parentObjectId ? idByObjectId.get(`wbs:${parentObjectId}`) : null,
+        name: text(w, 'Name') || text(w, 'Code') || 'Untitled',
+        description: null,
+        start_date: null,
+        end_date: null,
+        duration_days: null,
+        indent_level: depth,
+        sort_order: ++sortOrder,
+        status: 'not_started',
+        progress: 0,
+        assigned_resource_id: null,
+        predecessors: [],
+        _isMilestone: false
+      });
+      addWbs(objectId, depth + 1);
+    });
+  };
+  addWbs(null, 0);
+
+  const assignmentsByActivity = new Map();
+  children(project, 'ResourceAssignment').forEach(a => {
+    const activityId = text(a, 'ActivityObjectId');
+    const name = resourceNames.get(text(a, 'ResourceObjectId'));
+    if (!name) return;
+    if (!assignmentsByActivity.has(activityId)) assignmentsByActivity.set(activityId, []);
+    assignmentsByActivity.get(activityId).push(name);
+  });
+
+  const wbsDepth = new Map(items.map(i => [i.id, i.indent_level]));
+  children(project, 'Activity').forEach(a => {
+    const objectId = text(a, 'ObjectId');
+    const name = text(a, 'Name') || text(a, 'Id') || 'Untitled';
+    const type = text(a, 'Type') || 'Task Dependent';
+    const parentId = idByObjectId.get(`wbs:${text(a, 'WBSObjectId')}`) || null;
+    const id = `import_act_${objectId}`;
+    idByObjectId.set(`act:${objectId}`, id);
+
+    const start = dateOnly(text(a, 'PlannedStartDate') || text(a, 'StartDate'));
+    const finish = dateOnly(text(a, 'PlannedFinishDate') || text(a, 'FinishDate'));
+    const isMilestone = type === 'Start Milestone' || type === 'Finish Milestone';
+
+    if (type === 'Level of Effort' || type === 'WBS Summary') {
+      warnings.push({ item: name, message: `${type} activity imported as a fixed-date item` });
+    }
+
+    let progress = Number(text(a, 'PhysicalPercentComplete') ?? text(a, 'PercentComplete')) || 0;
+    if (progress > 0 && progress <= 1 && text(a, 'PhysicalPercentComplete') === null) progress *= 100;
+
+    const assigned = assignmentsByActivity.get(objectId) || [];
+    if (assigned.length > 1) {
+      warnings.push({ item: name, message: `${assigned.length} resources assigned - only "${assigned[0]}" kept` });
+    }
+
+    const milestoneDate = type === 'Start Milestone' ? start || finish : finish || start;
+    items.push({
+      id,
+      parent_id: parentId,
+      name,
+      description: null,
+      start_date: isMilestone ? milestoneDate : start,
+      end_date: isMilestone ? milestoneDate : finish,
+      duration_days: isMilestone ? 1 : calendarDaysInclusive(start, finish),
+      indent_level: parentId ? wbsDepth.get(parentId) + 1 : 0,
+      sort_order: ++sortOrder,
+      status: progress >= 100 ? 'completed' : progress > 0 ? 'in_progress' : 'not_started',
+      progress: Math.round(progress),
+      assigned_resource_id: matchResource(assigned[0], resources, warnings, name),
+      predecessors: [],
+      _isMilestone: isMilestone
+    });
+  });
+
+  // WBS dates roll up from their activities
+  const itemsById = new Map(items.map(i => [i.id, i]));
+  [...items].reverse().forEach(item => {
+    const parent = item.parent_id && itemsById.get(item.parent_id);
+    if (!parent || !item.start_date) return;
+    if (!parent.start_date || item.start_date < parent.start_date) parent.start_date = item.start_date;
+    if (!parent.end_date || item.end_date > parent.end_date) parent.end_date = item.end_date;
+    parent.duration_days = calendarDaysInclusive(parent.start_date, parent.end_date);
+  });
+
+  children(project, 'Relationship').forEach(r => {
+    const predId = idByObjectId.get(`act:${text(r, 'PredecessorActivityObjectId')}`);
+    const succId = idByObjectId.get(`act:${text(r, 'SuccessorActivityObjectId')}`);
+    const succ = succId && itemsById.get(succId);
+    if (!predId || !succ) {
+      warnings.push({ item: succ?.name || null, message: 'Relationship to an activity outside this project skipped' });
+      return;
+    }
+
+    const type = P6_LINK_TYPES[text(r, 'Type')];
+    if (!type) {
+      warnings.push({ item: succ.name, message: `Unknown relationship type "${text(r, 'Type')}" imported as finish-to-start` });
+    }
+
+    let lag = (Number(text(r, 'Lag')) || 0) / HOURS_PER_DAY;
+    if (!Number.isInteger(lag)) {
+      warnings.push({ item: succ.name, message: `Lag of ${lag.toFixed(2)} days rounded to ${Math.round(lag)}` });
+      lag = Math.round(lag);
+    }
+
+    succ.predecessors.push({ id: predId, type: type || 'FS', lag });
+  });
+
+  if (children(project, 'Calendar').length > 0 || children(root, 'Calendar').length > 0) {
+    warnings.push({ item: null, message: 'P6 calendars are not imported - set working days under Settings > Working Calendar' });
+  }
+
+  return finishImport(items, warnings, SCHEDULE_FORMATS.P6);
+}
+
+// ============================================
+// IMPORT ENTRY POINT
+// ============================================
+
+/**
+ * Parse an MSPDI or P6 XML file into plan items
+ *
+ * @param {string} xmlText - File contents
+ * @param {Object} options
+ * @param {Array} options.resources - Project resources ({ id, name }) for assignment matching
+ * @returns {{ format: string, items: Array, linkCount: number, warnings: Array<{ item: string|null, message: string }> }}
+ * @throws {Error} When the file is not XML or not a recognised schedule
+ */
+export function parseScheduleXml(xmlText, options = {}) {
+  const { resources = [] } = options;
+  const doc = new DOMParser().parseFromString(xmlText, 'application/xml');
+
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('The file is not valid XML');
+  }
+
+  const rootName = doc.documentElement.localName;
+  if (rootName === 'Project' && child(doc.documentElement, 'Tasks')) {
+    return parseMspdi(doc, resources);
+  }
+  if (rootName === 'APIBusinessObjects') {
+    return parseP6(doc, resources);
+  }
+
+  throw new Error('Unrecognised schedule format - expected MS Project XML or Primavera P6 XML');
+}
+
+export default {
+  SCHEDULE_FORMATS,
+  SCHEDULE_FORMAT_CONFIG,
+  exportToMspdi,
+  exportToP6Xml,
+  parseScheduleXml
+};
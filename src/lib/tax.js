@@ -0,0 +1,277 @@
+/**
+ * Tax - VAT treatments, per-line tax and credit notes
+ *
+ * Partner invoices carry tax per line. The treatment comes from the
+ * partner when set, otherwise from the project:
+ * - standard: the project standard rate (or the partner's own rate)
+ * - reduced: the project reduced rate (or the partner's own rate)
+ * - zero: zero rated, 0%
+ * - reverse_charge: no VAT on the invoice; the customer accounts for it
+ *
+ * Tax is calculated on each line's net amount and rounded to the penny
+ * per line, so invoice tax equals the sum of its lines.
+ *
+ * Credit notes reverse all or part of an issued invoice. Each credit line
+ * references the line it reverses and can never take the line below zero
+ * across all credit notes raised against it.
+ *
+ * @version 1.0
+ * @created 19 October 2026
+ */
+
+export const TAX_TREATMENT = Object.freeze({
+  STANDARD: 'standard',
+  REDUCED: 'reduced',
+  ZERO: 'zero',
+  REVERSE_CHARGE: 'reverse_charge'
+});
+
+export const TAX_TREATMENT_CONFIG = Object.freeze({
+  [TAX_TREATMENT.STANDARD]: { label: 'Standard rate' },
+  [TAX_TREATMENT.REDUCED]: { label: 'Reduced rate' },
+  [TAX_TREATMENT.ZERO]: { label: 'Zero rated' },
+  [TAX_TREATMENT.REVERSE_CHARGE]: {
+    label: 'Reverse charge',
+    note: 'Reverse charge: customer to account for VAT to the tax authority'
+  }
+});
+
+export const DEFAULT_TAX_RATES = Object.freeze({
+  [TAX_TREATMENT.STANDARD]: 20,
+  [TAX_TREATMENT.REDUCED]: 5
+});
+
+export const DOCUMENT_TYPE = Object.freeze({
+  INVOICE: 'invoice',
+  CREDIT_NOTE: 'credit_note'
+});
+
+export const DOCUMENT_NUMBER_PREFIX = Object.freeze({
+  [DOCUMENT_TYPE.INVOICE]: 'INV',
+  [DOCUMENT_TYPE.CREDIT_NOTE]: 'CN'
+});
+
+// Statuses an invoice must be in before it can be credited (drafts are cancelled instead)
+export const CREDITABLE_STATUSES = Object.freeze(['Sent', 'Paid']);
+
+export function roundMoney(value) {
+  return Math.round((parseFloat(value) || 0) * 100) / 100;
+}
+
+function toRate(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const rate = parseFloat(value);
+  return Number.isFinite(rate) ? rate : null;
+}
+
+export function isValidTaxTreatment(treatment) {
+  return Object.values(TAX_TREATMENT).includes(treatment);
+}
+
+/**
+ * Options for a tax treatment select
+ */
+export function getTaxTreatmentOptions() {
+  return Object.entries(TAX_TREATMENT_CONFIG).map(([value, config]) => ({ value, label: config.label }));
+}
+
+/**
+ * Resolve the treatment and rate for a partner's invoices on a project
+ *
+ * @param {Object} project - { tax_treatment, standard_tax_rate, reduced_tax_rate }
+ * @param {Object} [partner] - { tax_treatment, tax_rate } (null fields inherit)
+ * @returns {{ treatment: string, rate: number }}
+ */
+export function resolveTaxSettings(project = {}, partner = {}) {
+  const treatment = [partner?.tax_treatment, project?.tax_treatment].find(isValidTaxTreatment)
+    || TAX_TREATMENT.STANDARD;
+
+  if (treatment === TAX_TREATMENT.ZERO || treatment === TAX_TREATMENT.REVERSE_CHARGE) {
+    return { treatment, rate: 0 };
+  }
+
+  const projectRate = treatment === TAX_TREATMENT.REDUCED
+    ? toRate(project?.reduced_tax_rate)
+    : toRate(project?.standard_tax_rate);
+  const rate = toRate(partner?.tax_rate) ?? projectRate ?? DEFAULT_TAX_RATES[treatment];
+  return { treatment, rate };
+}
+
+/**
+ * Tax for one line
+ * @returns {{ tax_treatment: string, tax_rate: number, tax_amount: number }}
+ */
+export function calculateLineTax(netAmount, treatment, rate) {
+  const taxRate = treatment === TAX_TREATMENT.ZERO || treatment === TAX_TREATMENT.REVERSE_CHARGE
+    ? 0
+    : (toRate(rate) ?? 0);
+  return {
+    tax_treatment: treatment,
+    tax_rate: taxRate,
+    tax_amount: roundMoney(roundMoney(netAmount) * taxRate / 100)
+  };
+}
+
+/**
+ * Net, tax and gross totals with a breakdown per treatment and rate
+ *
+ * @param {Array} lines - Lines with line_total, tax_amount, tax_treatment, tax_rate
+ * @returns {{ net: number, tax: number, gross: number, breakdown: Array }}
+ */
+export function summariseTax(lines = []) {
+  const groups = new Map();
+  let net = 0;
+  let tax = 0;
+
+  lines.forEach(line => {
+    const lineNet = parseFloat(line.line_total) || 0;
+    const lineTax = parseFloat(line.tax_amount) || 0;
+    net += lineNet;
+    tax += lineTax;
+
+    const treatment = line.tax_treatment || TAX_TREATMENT.STANDARD;
+    const rate = toRate(line.tax_rate) ?? 0;
+    const key = `${treatment}:${rate}`;
+    if (!groups.has(key)) groups.set(key, { treatment, rate, net: 0, tax: 0 });
+    const group = groups.get(key);
+    group.net += lineNet;
+    group.tax += lineTax;
+  });
+
+  const breakdown = [...groups.values()]
+    .map(g => ({ ...g, net: roundMoney(g.net), tax: roundMoney(g.tax) }))
+    .sort((a, b) => b.rate - a.rate);
+
+  return {
+    net: roundMoney(net),
+    tax: roundMoney(tax),
+    gross: roundMoney(net + tax),
+    breakdown
+  };
+}
+
+/**
+ * What is left to credit on each line of an invoice
+ *
+ * @param {Array} invoiceLines - Lines of the original invoice
+ * @param {Array} creditLines - Lines of earlier (non-cancelled) credit notes
+ * @returns {Array<{ line, creditedNet, creditedTax, remainingNet, remainingTax }>}
+ */
+export function getCreditableLines(invoiceLines = [], creditLines = []) {
+  const credited = new Map();
+  creditLines.forEach(cl => {
+    if (!cl.credited_line_id) return;
+    const entry = credited.get(cl.credited_line_id) || { net: 0, tax: 0 };
+    // Credit lines are negative
+    entry.net += Math.abs(parseFloat(cl.line_total) || 0);
+    entry.tax += Math.abs(parseFloat(cl.tax_amount) || 0);
+    credited.set(cl.credited_line_id, entry);
+  });
+
+  return invoiceLines
+    .filter(line => line.line_type !== 'supplier_expense')
+    .map(line => {
+      const done = credited.get(line.id) || { net: 0, tax: 0 };
+      return {
+        line,
+        creditedNet: roundMoney(done.net),
+        creditedTax: roundMoney(done.tax),
+        remainingNet: Math.max(0, roundMoney((parseFloat(line.line_total) || 0) - done.net)),
+        remainingTax: Math.max(0, roundMoney((parseFloat(line.tax_amount) || 0) - done.tax))
+      };
+    });
+}
+
+/**
+ * Validate a credit request before building lines
+ *
+ * @param {Array} creditable - From getCreditableLines
+ * @param {Object|null} amounts - { [lineId]: net amount to credit }; null credits everything left
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateCreditRequest(creditable, amounts) {
+  if (!creditable.some(c => c.remainingNet > 0)) return 'This invoice has already been fully credited';
+  if (amounts === null || amounts === undefined) return null;
+
+  const byId = new Map(creditable.map(c => [c.line.id, c]));
+  let total = 0;
+  for (const [lineId, value] of Object.entries(amounts)) {
+    if (value === '' || value === null || value === undefined) continue;
+    const amount = parseFloat(value);
+    const entry = byId.get(lineId);
+    if (!entry) return 'A credited line is not on this invoice';
+    if (!Number.isFinite(amount) || amount < 0) return 'Credit amounts cannot be negative';
+    if (roundMoney(amount) > entry.remainingNet) {
+      return `Cannot credit more than ${entry.remainingNet.toFixed(2)} on "${entry.line.description}"`;
+    }
+    total += amount;
+  }
+  if (!(roundMoney(total) > 0)) return 'Enter an amount to credit on at least one line';
+  return null;
+}
+
+/**
+ * Build credit note lines (negative amounts) reversing invoice lines
+ *
+ * Crediting the whole remaining net of a line reverses its remaining tax
+ * exactly; partial credits take tax at the line's rate.
+ *
+ * @param {Array} creditable - From getCreditableLines
+ * @param {Object|null} amounts - As for validateCreditRequest
+ * @returns {Array} Lines ready to insert (without invoice_id)
+ */
+export function buildCreditNoteLines(creditable, amounts = null) {
+  return creditable
+    .map(({ line, remainingNet, remainingTax }) => {
+      const requested = amounts ? parseFloat(amounts[line.id]) : remainingNet;
+      const net = roundMoney(Math.min(Number.isFinite(requested) ? requested : 0, remainingNet));
+      if (!(net > 0)) return null;
+
+      const tax = net === remainingNet
+        ? remainingTax
+        : calculateLineTax(net, line.tax_treatment, line.tax_rate).tax_amount;
+      // Share of the original line being credited, for quantity and hours
+      const share = net / (parseFloat(line.line_total) || net);
+
+      return {
+        line_type: line.line_type,
+        timesheet_id: line.timesheet_id || null,
+        expense_id: line.expense_id || null,
+        credited_line_id: line.id,
+        description: `Credit: ${line.description}`,
+        quantity: -roundMoney((parseFloat(line.quantity) || 1) * share),
+        unit_price: line.unit_price,
+        line_total: -net,
+        resource_name: line.resource_name,
+        line_date: line.line_date,
+        hours: line.hours === null || line.hours === undefined ? null : -roundMoney(parseFloat(line.hours) * share),
+        cost_price: line.cost_price ?? null,
+        source_status: line.source_status,
+        chargeable_to_customer: line.chargeable_to_customer,
+        procurement_method: line.procurement_method,
+        expense_category: line.expense_category,
+        tax_treatment: line.tax_treatment,
+        tax_rate: line.tax_rate,
+        tax_amount: -tax
+      };
+    })
+    .filter(Boolean);
+}
+
+export default {
+  TAX_TREATMENT,
+  TAX_TREATMENT_CONFIG,
+  DEFAULT_TAX_RATES,
+  DOCUMENT_TYPE,
+  DOCUMENT_NUMBER_PREFIX,
+  CREDITABLE_STATUSES,
+  roundMoney,
+  isValidTaxTreatment,
+  getTaxTreatmentOptions,
+  resolveTaxSettings,
+  calculateLineTax,
+  summariseTax,
+  getCreditableLines,
+  validateCreditRequest,
+  buildCreditNoteLines
+};
@@ -0,0 +1,29 @@
+/**
+ * Timesheet Compliance
+ *
+ * The compliance rules live in api/lib/timesheet-compliance.js, shared with
+ * the scheduled reminder endpoint (api/timesheet-reminders.js). Re-exported
+ * here for the app with the dashboard's status display config.
+ *
+ * @version 1.1
+ * @created 19 October 2026
+ * @updated 19 October 2026 - Rules moved to api/lib/timesheet-compliance.js
+ */
+
+import compliance, { COMPLIANCE_STATUS } from '../../api/lib/timesheet-compliance.js';
+
+export * from '../../api/lib/timesheet-compliance.js';
+
+export const COMPLIANCE_STATUS_CONFIG = Object.freeze({
+  [COMPLIANCE_STATUS.COMPLIANT]: { label: 'Submitted', color: '#166534', bg: '#dcfce7' },
+  [COMPLIANCE_STATUS.PARTIAL]: { label: 'Partial', color: '#92400e', bg: '#fef3c7' },
+  [COMPLIANCE_STATUS.UNSUBMITTED]: { label: 'Not submitted', color: '#9a3412', bg: '#ffedd5' },
+  [COMPLIANCE_STATUS.MISSING]: { label: 'Missing', color: '#991b1b', bg: '#fee2e2' },
+  [COMPLIANCE_STATUS.NOT_DUE]: { label: 'In progress', color: '#1e40af', bg: '#dbeafe' },
+  [COMPLIANCE_STATUS.NOT_EXPECTED]: { label: 'Not expected', color: '#64748b', bg: '#f1f5f9' }
+});
+
+export default {
+  ...compliance,
+  COMPLIANCE_STATUS_CONFIG
+};
@@ -0,0 +1,253 @@
+/**
+ * Timesheet Week Grid Utilities
+ *
+ * Pure helpers behind the weekly timesheet grid: rows are a milestone,
+ * deliverable or task, columns are the days of a Monday-Sunday week.
+ * Each cell maps to at most one daily timesheet row, so saving a week
+ * is a diff of creates, updates and deletes.
+ *
+ * Cells are locked (read-only) when their entry has been submitted or
+ * validated, when it is a weekly summary entry, or when several entries
+ * were already booked to the same row and day in daily mode.
+ *
+ * Week dates and contracted hours come from api/lib/timesheet-compliance.js,
+ * which the reminder cron shares.
+ *
+ * @version 1.1
+ * @created 19 October 2026
+ * @updated 19 October 2026 - Week dates and contracted hours moved to api/lib/timesheet-compliance.js
+ */
+
+import { ENTRY_TYPE, isEditable } from './timesheetCalculations';
+import { toDateKey } from './workingCalendar';
+import {
+  WEEK_LENGTH,
+  getWeekStart,
+  getWeekDates,
+  shiftWeek,
+  getContractedHours
+} from '../../api/lib/timesheet-compliance.js';
+
+export { WEEK_LENGTH, getWeekStart, getWeekDates, shiftWeek, getContractedHours };
+
+/** Hard limit on the hours booked to one day across all rows */
+export const MAX_HOURS_PER_DAY = 24;
+
+// ============================================
+// ROWS
+// ============================================
+
+/**
+ * Identity of a grid row: the milestone / deliverable / task it books to
+ * @param {Object} target - { milestone_id, deliverable_id, task_id }
+ * @returns {string}
+ */
+export function getRowKey(target) {
+  return [target.milestone_id, target.deliverable_id, target.task_id]
+    .map(id => id || '')
+    .join('|');
+}
+
+/**
+ * Empty grid row for a booking target
+ * @param {Object} target - { milestone_id, deliverable_id, task_id }
+ * @param {string[]} dates - Week dates
+ * @returns {Object} Row with empty cells
+ */
+export function createWeekRow(target, dates) {
+  const cells = {};
+  dates.forEach(date => {
+    cells[date] = { hours: '', entries: [], locked: false };
+  });
+  return {
+    key: getRowKey(target),
+    milestone_id: target.milestone_id || null,
+    deliverable_id: target.deliverable_id || null,
+    task_id: target.task_id || null,
+    cells
+  };
+}
+
+function entryHours(entry) {
+  return parseFloat(entry.hours_worked || entry.hours || 0);
+}
+
+/**
+ * Build grid rows from a resource's timesheets for one week
+ *
+ * @param {Array} timesheets - Timesheet rows (any dates; others are ignored)
+ * @param {string[]} dates - Week dates
+ * @returns {Array} Rows, in the order their targets were first booked
+ */
+export function buildWeekRows(timesheets, dates) {
+  const dateSet = new Set(dates);
+  const rows = new Map();
+
+  (timesheets || []).forEach(ts => {
+    const date = toDateKey(ts.work_date || ts.date);
+    if (!dateSet.has(date) || ts.is_deleted) return;
+
+    const key = getRowKey(ts);
+    if (!rows.has(key)) rows.set(key, createWeekRow(ts, dates));
+
+    const cell = rows.get(key).cells[date];
+    cell.entries.push(ts);
+    const total = cell.entries.reduce((sum, e) => sum + entryHours(e), 0);
+    cell.hours = String(Math.round(total * 100) / 100);
+    cell.locked = cell.entries.length > 1 || cell.entries.some(e =>
+      !isEditable(e) || e.entry_type === ENTRY_TYPE.WEEKLY
+    );
+  });
+
+  return [...rows.values()];
+}
+
+/**
+ * Copy last week's rows and hours into this week
+ *
+ * Hours go into empty, unlocked cells on the same weekday; rows that
+ * already exist this week keep their own hours.
+ *
+ * @param {Array} currentRows - This week's rows
+ * @param {Array} previousRows - Last week's rows (from buildWeekRows)
+ * @param {string[]} dates - This week's dates
+ * @returns {Array} Merged rows
+ */
+export function copyWeekRows(currentRows, previousRows, dates) {
+  const rows = new Map(currentRows.map(row => [row.key, {
+    ...row,
+    cells: { ...row.cells }
+  }]));
+
+  previousRows.forEach(previous => {
+    if (!rows.has(previous.key)) rows.set(previous.key, createWeekRow(previous, dates));
+    const row = rows.get(previous.key);
+
+    Object.keys(previous.cells).sort().forEach((previousDate, index) => {
+      const cell = previous.cells[previousDate];
+      const date = dates[index];
+      const target = row.cells[date];
+      if (!target || target.locked || target.entries.length > 0 || target.hours !== '') return;
+      if (!(parseFloat(cell.hours) > 0)) return;
+      row.cells[date] = { ...target, hours: cell.hours };
+    });
+  });
+
+  return [...rows.values()];
+}
+
+// ============================================
+// TOTALS AND VALIDATION
+// ============================================
+
+/**
+ * Hours per day, per row and for the week
+ * @param {Array} rows - Grid rows
+ * @param {string[]} dates - Week dates
+ * @returns {{ byDay: Object, byRow: Object, total: number }}
+ */
+export function getWeekTotals(rows, dates) {
+  const byDay = Object.fromEntries(dates.map(date => [date, 0]));
+  const byRow = {};
+  let total = 0;
+
+  rows.forEach(row => {
+    byRow[row.key] = 0;
+    dates.forEach(date => {
+      const hours = parseFloat(row.cells[date]?.hours) || 0;
+      byDay[date] += hours;
+      byRow[row.key] += hours;
+      total += hours;
+    });
+  });
+
+  return { byDay, byRow, total };
+}
+
+/**
+ * Check a week before saving
+ * @param {Array} rows - Grid rows
+ * @param {string[]} dates - Week dates
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+export function validateWeek(rows, dates) {
+  const errors = [];
+
+  rows.forEach(row => {
+    dates.forEach(date => {
+      const value = row.cells[date]?.hours;
+      if (value === '' || value === undefined || row.cells[date].locked) return;
+      const hours = parseFloat(value);
+      if (isNaN(hours) || hours < 0) {
+        errors.push(`Hours on ${date} must be a positive number`);
+      }
+    });
+  });
+
+  const { byDay } = getWeekTotals(rows, dates);
+  dates.forEach(date => {
+    if (byDay[date] > MAX_HOURS_PER_DAY) {
+      errors.push(`${byDay[date]} hours booked on ${date} - a day cannot exceed ${MAX_HOURS_PER_DAY}`);
+    }
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Changes needed to save the grid
+ *
+ * @param {Array} rows - Grid rows (edited)
+ * @param {string[]} dates - Week dates
+ * @returns {{ creates: Array, updates: Array<{ id: string, hours: number }>, deletes: string[] }}
+ *   creates are { milestone_id, deliverable_id, task_id, date, hours }
+ */
+export function getWeekChanges(rows, dates) {
+  const creates = [];
+  const updates = [];
+  const deletes = [];
+
+  rows.forEach(row => {
+    dates.forEach(date => {
+      const cell = row.cells[date];
+      if (!cell || cell.locked) return;
+
+      const hours = Math.round((parseFloat(cell.hours) || 0) * 100) / 100;
+      const entry = cell.entries[0];
+
+      if (!entry) {
+        if (hours > 0) {
+          creates.push({
+            milestone_id: row.milestone_id,
+            deliverable_id: row.deliverable_id,
+            task_id: row.task_id,
+            date,
+            hours
+          });
+        }
+      } else if (hours <= 0) {
+        deletes.push(entry.id);
+      } else if (hours !== entryHours(entry)) {
+        updates.push({ id: entry.id, hours });
+      }
+    });
+  });
+
+  return { creates, updates, deletes };
+}
+
+export default {
+  WEEK_LENGTH,
+  MAX_HOURS_PER_DAY,
+  getWeekStart,
+  getWeekDates,
+  shiftWeek,
+  getRowKey,
+  createWeekRow,
+  buildWeekRows,
+  copyWeekRows,
+  getWeekTotals,
+  getContractedHours,
+  validateWeek,
+  getWeekChanges
+};
@@ -0,0 +1,98 @@
+/**
+ * Variation Application - apply and revert preconditions
+ *
+ * Approved variations are applied to milestone baselines and
+ * deliverables by the apply_variation() database function in one
+ * transaction, and reverted by revert_variation(), which restores each
+ * milestone's previous baseline version. Both functions check the same
+ * preconditions as below and refuse the whole change if any fail; these
+ * checks let the UI explain why before the user tries.
+ *
+ * A variation can be reverted only while it is the latest baseline
+ * change on every milestone it affected; later variations on the same
+ * milestones must be reverted first.
+ *
+ * @version 1.0
+ * @created 19 October 2026
+ */
+
+export const DELIVERABLE_CHANGE_TYPE = Object.freeze({
+  ADD: 'add',
+  REMOVE: 'remove',
+  MODIFY: 'modify'
+});
+
+const milestoneLabel = (vm) => vm.milestone?.milestone_ref || vm.milestone?.name || 'A milestone';
+
+/**
+ * Reasons an approved variation cannot be applied
+ * @param {Object} variation - Variation with affected_milestones and deliverable_changes
+ * @returns {string[]} Empty when it can be applied
+ */
+export function getApplyBlockers(variation) {
+  if (!variation) return ['Variation not found'];
+
+  const blockers = [];
+  if (variation.status !== 'approved') {
+    blockers.push('Variation must be approved before applying');
+  }
+  if (!variation.supplier_signed_at || !variation.customer_signed_at) {
+    blockers.push('Variation must be signed by both the supplier and the customer');
+  }
+
+  for (const vm of variation.affected_milestones || []) {
+    if (!vm.milestone_id) {
+      blockers.push('New milestones must be created before the variation is applied');
+      continue;
+    }
+    const label = milestoneLabel(vm);
+    if (!vm.new_baseline_start || !vm.new_baseline_end || vm.new_baseline_cost === null || vm.new_baseline_cost === undefined) {
+      blockers.push(`Milestone ${label} has no new baseline`);
+    } else if (vm.new_baseline_end < vm.new_baseline_start) {
+      blockers.push(`Milestone ${label} would end before it starts`);
+    } else if (Number(vm.new_baseline_cost) < 0) {
+      blockers.push(`Milestone ${label} would have a negative baseline cost`);
+    }
+  }
+
+  for (const dc of variation.deliverable_changes || []) {
+    if (dc.change_type === DELIVERABLE_CHANGE_TYPE.ADD) {
+      if (!dc.new_data?.name || !dc.new_data?.deliverable_ref) {
+        blockers.push('A deliverable to add needs a reference and a name');
+      }
+    } else if (!dc.deliverable_id) {
+      blockers.push('Deliverable changed by the variation no longer exists');
+    } else if (dc.change_type === DELIVERABLE_CHANGE_TYPE.REMOVE && dc.deliverable?.status === 'Delivered') {
+      blockers.push(`Deliverable ${dc.deliverable.deliverable_ref} has been delivered and cannot be removed`);
+    }
+  }
+
+  return [...new Set(blockers)];
+}
+
+/**
+ * Reasons an applied variation cannot be reverted
+ * @param {Object} variation - Variation with affected_milestones
+ * @param {Object<string, number>} currentVersions - Latest baseline version by milestone ID
+ * @returns {string[]} Empty when it can be reverted
+ */
+export function getRevertBlockers(variation, currentVersions = {}) {
+  if (!variation) return ['Variation not found'];
+  if (variation.status !== 'applied') return ['Only an applied variation can be reverted'];
+
+  const blockers = [];
+  for (const vm of variation.affected_milestones || []) {
+    if (!vm.milestone_id) continue;
+    const current = currentVersions[vm.milestone_id] || 0;
+    if (!vm.baseline_version_after || current !== vm.baseline_version_after) {
+      blockers.push(`Milestone ${milestoneLabel(vm)} has a later baseline change; revert that first`);
+    }
+  }
+  return blockers;
+}
+
+export default {
+  DELIVERABLE_CHANGE_TYPE,
+  getApplyBlockers,
+  getRevertBlockers
+};
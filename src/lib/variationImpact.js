@@ -0,0 +1,461 @@
+/**
+ * Variation Impact - deterministic simulation against the live plan
+ *
+ * Given proposed date and effort changes to plan items, works out what a
+ * variation would do before it is submitted:
+ * - Dates: the live plan and the changed plan are both run through
+ *   planningScheduler.autoScheduleItems, so changes propagate along
+ *   predecessor links; summary items then take their dates from their
+ *   children. A changed start is held as a start-no-earlier-than
+ *   constraint, so a predecessor can still push it later.
+ * - Milestones and deliverables: plan items published as a milestone or
+ *   deliverable carry the move across. Their baselines and due dates
+ *   shift by the same number of calendar days. Deliverables that are not
+ *   in the plan move with their milestone; delivered ones never move.
+ * - Cost: each task's effort is spread over its working days and valued
+ *   at the rate card rates valid on each day. The sell-rate difference
+ *   is added to the milestone the task sits under (its own or an
+ *   ancestor's published milestone, or its deliverable's milestone).
+ *
+ * The result converts to the affected milestone and deliverable date
+ * update entries VariationForm uses, for the user to review.
+ *
+ * @version 1.0
+ * @created 19 October 2026
+ */
+
+import { autoScheduleItems, START_CONSTRAINTS } from './planningScheduler';
+import { getItemAssignments } from './resourceLoading';
+import { DELIVERABLE_STATUS } from './deliverableCalculations';
+
+export const DELIVERABLE_SHIFT_SOURCE = Object.freeze({
+  PLAN: 'plan',
+  MILESTONE: 'milestone'
+});
+
+const DAY_MS = 86400000;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Calendar days from one 'YYYY-MM-DD' date to another
+ */
+export function daysBetween(from, to) {
+  if (!from || !to) return 0;
+  return Math.round((Date.parse(`${to.slice(0, 10)}T00:00:00Z`) - Date.parse(`${from.slice(0, 10)}T00:00:00Z`)) / DAY_MS);
+}
+
+/**
+ * Move a 'YYYY-MM-DD' date by calendar days
+ */
+export function shiftDate(date, days) {
+  if (!date) return null;
+  if (!days) return date.slice(0, 10);
+  return new Date(Date.parse(`${date.slice(0, 10)}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function calendarFor(item, calendar, resourceCalendars) {
+  return (item.assigned_resource_id && resourceCalendars?.[item.assigned_resource_id]) || calendar || null;
+}
+
+function workingDates(start, end, calendar) {
+  const dates = [];
+  if (!start || !end) return dates;
+  for (let key = start.slice(0, 10); key <= end.slice(0, 10); key = shiftDate(key, 1)) {
+    if (!calendar || calendar.isWorkingDay(key)) dates.push(key);
+  }
+  return dates;
+}
+
+function getParentIds(items) {
+  return new Set(items.filter(i => i.parent_id).map(i => i.parent_id));
+}
+
+/**
+ * Total effort on an item in days (full-time assignments count one day
+ * per working day)
+ */
+export function getItemEffort(item, calendar = null) {
+  const days = workingDates(item.start_date, item.end_date, calendar).length;
+  return round2(getItemAssignments(item).reduce((sum, a) => sum + (a.effort_days === null ? days : a.effort_days), 0));
+}
+
+/**
+ * Sell and cost value of an item's effort at the rates valid on each day
+ */
+function valueItem(item, { resourceMap, resolveRates, calendar }) {
+  const dates = workingDates(item.start_date, item.end_date, calendar);
+  const value = { sell: 0, cost: 0 };
+  if (dates.length === 0) return value;
+
+  getItemAssignments(item).forEach(assignment => {
+    const resource = resourceMap.get(assignment.resource_id);
+    if (!resource) return;
+    const perDay = assignment.effort_days === null ? 1 : assignment.effort_days / dates.length;
+    if (!(perDay > 0)) return;
+    dates.forEach(date => {
+      const rates = resolveRates
+        ? resolveRates(resource, date)
+        : { sell_price: resource.sell_price, cost_price: resource.cost_price };
+      value.sell += perDay * (parseFloat(rates.sell_price) || 0);
+      value.cost += perDay * (parseFloat(rates.cost_price) || 0);
+    });
+  });
+  return value;
+}
+
+/**
+ * Apply one proposed change to a plan item
+ * @param {Object} item - Plan item
+ * @param {Object} change - { item_id, start_date, end_date, effort_days }
+ */
+export function applyProposedChange(item, change, calendar = null) {
+  const updated = {
+    ...item,
+    start_date: change.start_date || item.start_date,
+    end_date: change.end_date || item.end_date
+  };
+
+  if (updated.start_date !== item.start_date) {
+    updated.constraint_type = START_CONSTRAINTS.SNET;
+    updated.constraint_date = updated.start_date;
+  }
+
+  const hasEffort = change.effort_days !== undefined && change.effort_days !== null && change.effort_days !== '';
+  if (hasEffort) {
+    const assignments = getItemAssignments(item);
+    const dayCount = workingDates(item.start_date, item.end_date, calendar).length;
+    const current = assignments.map(a => (a.effort_days === null ? dayCount : a.effort_days));
+    const total = current.reduce((sum, days) => sum + days, 0);
+    const target = Math.max(Number(change.effort_days) || 0, 0);
+
+    if (assignments.length > 0 && Math.abs(target - total) > 0.001) {
+      updated.resource_assignments = assignments.map((a, i) => ({
+        resource_id: a.resource_id,
+        effort_days: round2(total > 0 ? current[i] * (target / total) : target / assignments.length)
+      }));
+    }
+  }
+
+  return updated;
+}
+
+/**
+ * Schedule a plan with the forward pass, then roll summary dates up
+ */
+export function schedulePlan(items, { calendar = null, resourceCalendars = null } = {}) {
+  const updates = new Map(autoScheduleItems(items, { calendar, resourceCalendars }).map(u => [u.id, u]));
+  const scheduled = items.map(item => (updates.has(item.id) ? { ...item, ...updates.get(item.id) } : { ...item }));
+
+  const byId = new Map(scheduled.map(i => [i.id, i]));
+  const children = new Map();
+  scheduled.forEach(item => {
+    if (!item.parent_id || !byId.has(item.parent_id)) return;
+    if (!children.has(item.parent_id)) children.set(item.parent_id, []);
+    children.get(item.parent_id).push(item);
+  });
+
+  const rolled = new Set();
+  function rollUp(item) {
+    if (rolled.has(item.id)) return item;
+    rolled.add(item.id);
+    const kids = (children.get(item.id) || []).map(rollUp).filter(k => k.start_date && k.end_date);
+    if (kids.length > 0) {
+      item.start_date = kids.map(k => k.start_date).sort()[0];
+      item.end_date = kids.map(k => k.end_date).sort().pop();
+    }
+    return item;
+  }
+  scheduled.forEach(rollUp);
+
+  return scheduled;
+}
+
+/**
+ * The milestone each plan item's cost belongs to
+ * @returns {Map<string, string>} item id → milestone id
+ */
+function mapItemsToMilestones(items, deliverableMap) {
+  const byId = new Map(items.map(i => [i.id, i]));
+  const result = new Map();
+
+  items.forEach(item => {
+    const seen = new Set();
+    let current = item;
+    while (current && !seen.has(current.id)) {
+      seen.add(current.id);
+      if (current.published_milestone_id) {
+        result.set(item.id, current.published_milestone_id);
+        return;
+      }
+      if (current.published_deliverable_id && deliverableMap.get(current.published_deliverable_id)?.milestone_id) {
+        result.set(item.id, deliverableMap.get(current.published_deliverable_id).milestone_id);
+        return;
+      }
+      current = current.parent_id ? byId.get(current.parent_id) : null;
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Simulate proposed changes against the live plan
+ *
+ * @param {Object} input
+ * @param {Array} input.items - Live plan items
+ * @param {Array} input.changes - Proposed changes: { item_id, start_date, end_date, effort_days }
+ * @param {Array} input.milestones - Project milestones
+ * @param {Array} input.deliverables - Project deliverables
+ * @param {Array} input.resources - Project resources (rates, role, sfia_level)
+ * @param {Function} [input.resolveRates] - Rate card resolver (lib/rateCards.js)
+ * @param {Object} [input.calendar] - Project working calendar
+ * @param {Object} [input.resourceCalendars] - Calendars keyed by resource id
+ * @returns {{ items: Array, milestones: Array, deliverables: Array, totals: Object, warnings: string[] }}
+ */
+export function simulateVariationImpact({
+  items = [],
+  changes = [],
+  milestones = [],
+  deliverables = [],
+  resources = [],
+  resolveRates = null,
+  calendar = null,
+  resourceCalendars = null
+}) {
+  const live = items.filter(i => !i.is_deleted);
+  const changeMap = new Map(changes.filter(c => c.item_id).map(c => [c.item_id, c]));
+  const warnings = [];
+
+  const proposed = live.map(item => {
+    const change = changeMap.get(item.id);
+    return change ? applyProposedChange(item, change, calendarFor(item, calendar, resourceCalendars)) : item;
+  });
+
+  const options = { calendar, resourceCalendars };
+  const before = new Map(schedulePlan(live, options).map(i => [i.id, i]));
+  const after = new Map(schedulePlan(proposed, options).map(i => [i.id, i]));
+
+  const resourceMap = new Map(resources.map(r => [r.id, r]));
+  const milestoneMap = new Map(milestones.map(m => [m.id, m]));
+  const deliverableMap = new Map(deliverables.map(d => [d.id, d]));
+  const parentIds = getParentIds(live);
+  const itemMilestone = mapItemsToMilestones(live, deliverableMap);
+
+  // Items whose dates or value change
+  const itemResults = [];
+  const milestoneValue = new Map();
+  let unallocatedSell = 0;
+  const totals = { sellDelta: 0, costDelta: 0 };
+
+  live.forEach(item => {
+    const b = before.get(item.id);
+    const a = after.get(item.id);
+    if (!b.start_date || !b.end_date || !a.start_date || !a.end_date) return;
+
+    const isSummary = parentIds.has(item.id);
+    const itemCalendar = calendarFor(item, calendar, resourceCalendars);
+    const valueBefore = isSummary ? { sell: 0, cost: 0 } : valueItem(b, { resourceMap, resolveRates, calendar: itemCalendar });
+    const valueAfter = isSummary ? { sell: 0, cost: 0 } : valueItem(a, { resourceMap, resolveRates, calendar: itemCalendar });
+    const sellDelta = round2(valueAfter.sell - valueBefore.sell);
+    const costDelta = round2(valueAfter.cost - valueBefore.cost);
+    const startShift = daysBetween(b.start_date, a.start_date);
+    const endShift = daysBetween(b.end_date, a.end_date);
+
+    if (changeMap.has(item.id) && !isSummary && getItemAssignments(item).length === 0) {
+      warnings.push(`"${item.name}" has no resources assigned, so its cost is not included`);
+    }
+
+    if (!startShift && !endShift && !sellDelta && !costDelta && !changeMap.has(item.id)) return;
+
+    totals.sellDelta += sellDelta;
+    totals.costDelta += costDelta;
+
+    const milestoneId = itemMilestone.get(item.id);
+    if (milestoneId) {
+      milestoneValue.set(milestoneId, (milestoneValue.get(milestoneId) || 0) + sellDelta);
+    } else {
+      unallocatedSell += sellDelta;
+    }
+
+    itemResults.push({
+      id: item.id,
+      name: item.name,
+      isChanged: changeMap.has(item.id),
+      isSummary,
+      startBefore: b.start_date,
+      endBefore: b.end_date,
+      startAfter: a.start_date,
+      endAfter: a.end_date,
+      startShift,
+      endShift,
+      effortBefore: isSummary ? null : getItemEffort(b, itemCalendar),
+      effortAfter: isSummary ? null : getItemEffort(a, itemCalendar),
+      sellDelta,
+      costDelta
+    });
+  });
+
+  if (unallocatedSell && Math.abs(unallocatedSell) >= 0.005) {
+    warnings.push('Some changed work is not under a published milestone, so its value is not added to a milestone');
+  }
+
+  // Milestones moved by the plan, or with a change in value
+  const milestoneShifts = new Map();
+  live.forEach(item => {
+    if (!item.published_milestone_id || !milestoneMap.has(item.published_milestone_id)) return;
+    const b = before.get(item.id);
+    const a = after.get(item.id);
+    milestoneShifts.set(item.published_milestone_id, {
+      planEndBefore: b.end_date,
+      planEndAfter: a.end_date,
+      startShift: daysBetween(b.start_date, a.start_date),
+      endShift: daysBetween(b.end_date, a.end_date)
+    });
+  });
+
+  const milestoneIds = new Set([...milestoneShifts.keys(), ...milestoneValue.keys()]);
+  const milestoneResults = [...milestoneIds]
+    .filter(id => milestoneMap.has(id))
+    .map(id => {
+      const m = milestoneMap.get(id);
+      const shift = milestoneShifts.get(id) || { planEndBefore: null, planEndAfter: null, startShift: 0, endShift: 0 };
+      const sellDelta = round2(milestoneValue.get(id) || 0);
+      return {
+        milestone_id: id,
+        ref: m.milestone_ref,
+        name: m.name,
+        ...shift,
+        sellDelta
+      };
+    })
+    .filter(m => m.startShift || m.endShift || Math.abs(m.sellDelta) >= 0.005)
+    .sort((a, b) => String(a.ref).localeCompare(String(b.ref)));
+
+  // Deliverables: plan-linked ones follow their item, the rest their milestone
+  const deliverableResults = [];
+  const planDeliverables = new Set();
+  live.forEach(item => {
+    const d = item.published_deliverable_id && deliverableMap.get(item.published_deliverable_id);
+    if (!d) return;
+    planDeliverables.add(d.id);
+    const shift = daysBetween(before.get(item.id).end_date, after.get(item.id).end_date);
+    if (!shift || d.status === DELIVERABLE_STATUS.DELIVERED) return;
+    const original = d.due_date || before.get(item.id).end_date;
+    deliverableResults.push({
+      deliverable_id: d.id,
+      deliverable_ref: d.deliverable_ref,
+      deliverable_name: d.name,
+      milestone_id: d.milestone_id,
+      original_due_date: original,
+      new_due_date: shiftDate(original, shift),
+      days_shift: shift,
+      source: DELIVERABLE_SHIFT_SOURCE.PLAN
+    });
+  });
+
+  milestoneResults.forEach(m => {
+    if (!m.endShift) return;
+    deliverables
+      .filter(d => d.milestone_id === m.milestone_id && !planDeliverables.has(d.id) && d.due_date)
+      .filter(d => d.status !== DELIVERABLE_STATUS.DELIVERED)
+      .forEach(d => deliverableResults.push({
+        deliverable_id: d.id,
+        deliverable_ref: d.deliverable_ref,
+        deliverable_name: d.name,
+        milestone_id: d.milestone_id,
+        original_due_date: d.due_date,
+        new_due_date: shiftDate(d.due_date, m.endShift),
+        days_shift: m.endShift,
+        source: DELIVERABLE_SHIFT_SOURCE.MILESTONE
+      }));
+  });
+  deliverableResults.sort((a, b) => String(a.deliverable_ref).localeCompare(String(b.deliverable_ref)));
+
+  const planFinish = (map) => [...map.values()].map(i => i.end_date).filter(Boolean).sort().pop() || null;
+  const planFinishBefore = planFinish(before);
+  const planFinishAfter = planFinish(after);
+
+  return {
+    items: itemResults,
+    milestones: milestoneResults,
+    deliverables: deliverableResults,
+    totals: {
+      sellDelta: round2(totals.sellDelta),
+      costDelta: round2(totals.costDelta),
+      unallocatedSellDelta: round2(unallocatedSell),
+      planFinishBefore,
+      planFinishAfter,
+      planFinishShift: daysBetween(planFinishBefore, planFinishAfter)
+    },
+    warnings
+  };
+}
+
+/**
+ * Affected milestone entries (VariationForm shape) from a simulation
+ * Baselines move by the plan shift; the cost changes by the sell-rate delta.
+ */
+export function toAffectedMilestones(result, milestones) {
+  const milestoneMap = new Map(milestones.map(m => [m.id, m]));
+  return result.milestones
+    .filter(m => milestoneMap.has(m.milestone_id))
+    .map(m => {
+      const milestone = milestoneMap.get(m.milestone_id);
+      const originalStart = milestone.baseline_start_date || milestone.start_date;
+      const originalEnd = milestone.baseline_end_date || milestone.end_date;
+      const originalCost = milestone.billable || 0;
+      const parts = [];
+      if (m.endShift) parts.push(`plan finish ${m.endShift > 0 ? '+' : ''}${m.endShift} days`);
+      if (m.sellDelta) parts.push(`effort ${m.sellDelta > 0 ? '+' : '-'}${Math.abs(m.sellDelta).toLocaleString('en-GB', { maximumFractionDigits: 0 })} at rate card sell rates`);
+      return {
+        milestone_id: m.milestone_id,
+        milestone,
+        is_new_milestone: false,
+        original_baseline_cost: originalCost,
+        new_baseline_cost: round2(originalCost + m.sellDelta),
+        original_baseline_start: originalStart,
+        new_baseline_start: shiftDate(originalStart, m.startShift),
+        original_baseline_end: originalEnd,
+        new_baseline_end: shiftDate(originalEnd, m.endShift),
+        change_rationale: `Impact simulation: ${parts.join(', ') || 'no change'}`
+      };
+    });
+}
+
+/**
+ * Deliverable date update entries (VariationForm shape) from a simulation
+ */
+export function toDeliverableDateUpdates(result) {
+  return result.deliverables.map(d => ({
+    deliverable_id: d.deliverable_id,
+    deliverable_ref: d.deliverable_ref,
+    deliverable_name: d.deliverable_name,
+    milestone_id: d.milestone_id,
+    original_due_date: d.original_due_date,
+    new_due_date: d.new_due_date,
+    days_shift: d.days_shift
+  }));
+}
+
+/**
+ * Merge simulated entries into a list, replacing entries for the same key
+ */
+export function mergeByKey(existing, simulated, key) {
+  const replaced = new Map(simulated.map(entry => [entry[key], entry]));
+  const kept = existing.filter(entry => !replaced.has(entry[key]));
+  return [...kept, ...simulated];
+}
+
+export default {
+  DELIVERABLE_SHIFT_SOURCE,
+  daysBetween,
+  shiftDate,
+  getItemEffort,
+  applyProposedChange,
+  schedulePlan,
+  simulateVariationImpact,
+  toAffectedMilestones,
+  toDeliverableDateUpdates,
+  mergeByKey
+};
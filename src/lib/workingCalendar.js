@@ -0,0 +1,14 @@
+/**
+ * Working Calendar
+ *
+ * The calendar helpers live in api/lib/working-calendar.js, which has no
+ * dependencies so the scheduled api/ functions can share them. Re-exported
+ * here for the app.
+ *
+ * @version 1.2
+ * @created 19 October 2026
+ * @updated 19 October 2026 - Moved to api/lib/working-calendar.js
+ */
+
+export * from '../../api/lib/working-calendar.js';
+export { default } from '../../api/lib/working-calendar.js';
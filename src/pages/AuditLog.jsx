@@ -1,6 +1,7 @@
 // src/pages/AuditLog.jsx
 // Admin page to view audit trail of all changes
 // Version 1.0 - Created 30 November 2025
+// Version 1.1 - 19 October 2026 - Show delegated approvals (on behalf of)
 
 import React, { useState, useEffect, useCallback } from 'react';
 import { supabase } from '../lib/supabase';
@@ -427,6 +428,9 @@ export default function AuditLog() {
                         </td>
                         <td className="px-4 py-3 text-sm text-gray-600">
                           {log.user_email || 'System'}
+                          {log.on_behalf_of_email && (
+                            <div className="text-xs text-gray-400">on behalf of {log.on_behalf_of_email}</div>
+                          )}
                         </td>
                         <td className="px-4 py-3 text-sm text-gray-600">
                           {log.changed_fields && log.changed_fields.length > 0 ? (
@@ -13,6 +13,9 @@
  * - Deliverables  
  * - Milestones + Deliverables
  * 
+ * Bank holidays and shutdowns from the project working calendar are
+ * shaded and labelled.
+ * 
  * Permissions:
  * - Viewer: View all, cannot edit
  * - Contributor: View all, edit own entries only
@@ -42,6 +45,7 @@ import {
   CALENDAR_EVENT_TYPE
 } from '../services/calendar.service';
 import { LoadingSpinner } from '../components/common';
+import { useWorkingCalendar } from '../hooks/useWorkingCalendar';
 import './Calendar.css';
 
 // ========================================
@@ -432,6 +436,7 @@ export default function ProjectCalendar() {
   const { user } = useAuth();
   const { projectId, projectRole } = useProject();
   const { showSuccess, showError } = useToast();
+  const { calendar: workingCalendar } = useWorkingCalendar();
   
   const [viewType, setViewType] = useState(VIEW_TYPE.ALL_EVENTS);
   const [periodView, setPeriodView] = useState('week');
@@ -547,6 +552,13 @@ export default function ProjectCalendar() {
     const dateStr = dateUtils.formatDate(date);
     return deliverables.filter(d => d.due_date === dateStr);
   };
+
+  // Bank holiday / shutdown name for a date (weekends are already shaded)
+  const getHoliday = useCallback((date) => {
+    if (!workingCalendar) return null;
+    const reason = workingCalendar.getNonWorkingReason(dateUtils.formatDate(date));
+    return reason && reason !== 'Weekend' ? reason : null;
+  }, [workingCalendar]);
   
   // Handle cell click with proper permission checking
   const handleCellClick = (date, resource) => {
@@ -814,6 +826,7 @@ export default function ProjectCalendar() {
                 getAvailabilityEntry={getAvailabilityEntry}
                 getMilestonesForDate={getMilestonesForDate}
                 getDeliverablesForDate={getDeliverablesForDate}
+                getHoliday={getHoliday}
               />
             ) : (
               <MonthView
@@ -834,6 +847,7 @@ export default function ProjectCalendar() {
                 getAvailabilityEntry={getAvailabilityEntry}
                 getMilestonesForDate={getMilestonesForDate}
                 getDeliverablesForDate={getDeliverablesForDate}
+                getHoliday={getHoliday}
               />
             )}
           </div>
@@ -865,7 +879,7 @@ export default function ProjectCalendar() {
 // WEEK VIEW COMPONENT
 // ========================================
 
-function WeekView({ currentDate, members, currentUserId, userRole, showAvailability, showMilestones, showDeliverables, onCellClick, onMilestoneClick, onDeliverableClick, getAvailabilityEntry, getMilestonesForDate, getDeliverablesForDate }) {
+function WeekView({ currentDate, members, currentUserId, userRole, showAvailability, showMilestones, showDeliverables, onCellClick, onMilestoneClick, onDeliverableClick, getAvailabilityEntry, getMilestonesForDate, getDeliverablesForDate, getHoliday = () => null }) {
   const weekDates = dateUtils.getWeekDates(currentDate);
   const dayNames = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
   
@@ -877,6 +891,7 @@ function WeekView({ currentDate, members, currentUserId, userRole, showAvailabil
             <div key={idx} className={`cal-week-header-cell ${dateUtils.isToday(date) ? 'today' : ''}`}>
               {dayNames[idx]}
               <span className="cal-week-header-date">{dateUtils.formatDisplay(date, 'short')}</span>
+              {getHoliday(date) && <span className="cal-holiday-label" title={getHoliday(date)}>{getHoliday(date)}</span>}
             </div>
           ))}
         </div>
@@ -885,7 +900,7 @@ function WeekView({ currentDate, members, currentUserId, userRole, showAvailabil
             const dayMilestones = getMilestonesForDate(date);
             const dayDeliverables = getDeliverablesForDate(date);
             return (
-              <div key={idx} className={`cal-day-cell not-editable ${dateUtils.isWeekend(date) ? 'weekend' : ''} ${dateUtils.isToday(date) ? 'today' : ''}`} style={{ minHeight: '120px' }}>
+              <div key={idx} className={`cal-day-cell not-editable ${dateUtils.isWeekend(date) ? 'weekend' : ''} ${getHoliday(date) ? 'holiday' : ''} ${dateUtils.isToday(date) ? 'today' : ''}`} style={{ minHeight: '120px' }}>
                 {showMilestones && dayMilestones.map(m => (
                   <EventBadge 
                     key={m.id} 
@@ -920,6 +935,7 @@ function WeekView({ currentDate, members, currentUserId, userRole, showAvailabil
           <div key={idx} className={`cal-week-header-cell ${dateUtils.isToday(date) ? 'today' : ''}`}>
             {dayNames[idx]}
             <span className="cal-week-header-date">{dateUtils.formatDisplay(date, 'short')}</span>
+            {getHoliday(date) && <span className="cal-holiday-label" title={getHoliday(date)}>{getHoliday(date)}</span>}
           </div>
         ))}
       </div>
@@ -937,7 +953,7 @@ function WeekView({ currentDate, members, currentUserId, userRole, showAvailabil
             return (
               <div
                 key={idx}
-                className={`cal-day-cell not-editable ${dateUtils.isWeekend(date) ? 'weekend' : ''} ${dateUtils.isToday(date) ? 'today' : ''}`}
+                className={`cal-day-cell not-editable ${dateUtils.isWeekend(date) ? 'weekend' : ''} ${getHoliday(date) ? 'holiday' : ''} ${dateUtils.isToday(date) ? 'today' : ''}`}
                 style={{ minHeight: '60px' }}
               >
                 {showMilestones && dayMilestones.map(m => (
@@ -978,7 +994,7 @@ function WeekView({ currentDate, members, currentUserId, userRole, showAvailabil
               return (
                 <div
                   key={idx}
-                  className={`cal-day-cell ${dateUtils.isWeekend(date) ? 'weekend' : ''} ${dateUtils.isToday(date) ? 'today' : ''} ${!canEditThis ? 'not-editable' : ''}`}
+                  className={`cal-day-cell ${dateUtils.isWeekend(date) ? 'weekend' : ''} ${getHoliday(date) ? 'holiday' : ''} ${dateUtils.isToday(date) ? 'today' : ''} ${!canEditThis ? 'not-editable' : ''}`}
                   onClick={() => canEditThis && onCellClick(date, member)}
                   style={{ cursor: canEditThis ? 'pointer' : 'default' }}
                   title={canEditThis ? 'Click to edit availability' : `${member.name}'s availability`}
@@ -998,7 +1014,7 @@ function WeekView({ currentDate, members, currentUserId, userRole, showAvailabil
 // MONTH VIEW COMPONENT
 // ========================================
 
-function MonthView({ currentDate, members, currentUserId, userRole, showAvailability, showMilestones, showDeliverables, onCellClick, onMilestoneClick, onDeliverableClick, onDateClick, getAvailabilityEntry, getMilestonesForDate, getDeliverablesForDate }) {
+function MonthView({ currentDate, members, currentUserId, userRole, showAvailability, showMilestones, showDeliverables, onCellClick, onMilestoneClick, onDeliverableClick, onDateClick, getAvailabilityEntry, getMilestonesForDate, getDeliverablesForDate, getHoliday = () => null }) {
   const weeks = dateUtils.getMonthWeeks(currentDate);
   const currentMonth = currentDate.getMonth();
   const dayNames = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
@@ -1022,12 +1038,13 @@ function MonthView({ currentDate, members, currentUserId, userRole, showAvailabi
               return (
                 <div 
                   key={dayIdx} 
-                  className={`cal-month-cell ${hasItems ? 'has-items' : ''} ${dateUtils.isWeekend(date) ? 'weekend' : ''} ${dateUtils.isToday(date) ? 'today' : ''} ${isOutsideMonth ? 'outside-month' : ''}`} 
+                  className={`cal-month-cell ${hasItems ? 'has-items' : ''} ${dateUtils.isWeekend(date) ? 'weekend' : ''} ${getHoliday(date) ? 'holiday' : ''} ${dateUtils.isToday(date) ? 'today' : ''} ${isOutsideMonth ? 'outside-month' : ''}`} 
                   style={{ minHeight: '80px', cursor: hasItems && !isOutsideMonth ? 'pointer' : 'default' }}
                   onClick={() => hasItems && !isOutsideMonth && onDateClick && onDateClick(date)}
                   title={hasItems ? 'Click to see week view' : ''}
                 >
                   <span className="cal-month-date">{dateUtils.formatDisplay(date, 'short')}</span>
+                  {getHoliday(date) && <span className="cal-holiday-label" title={getHoliday(date)}>{getHoliday(date)}</span>}
                   {showMilestones && dayMilestones.map(m => (
                     <EventBadge 
                       key={m.id} 
@@ -1081,7 +1098,7 @@ function MonthView({ currentDate, members, currentUserId, userRole, showAvailabi
               return (
                 <div
                   key={dayIdx}
-                  className={`cal-month-cell ${dateUtils.isWeekend(date) ? 'weekend' : ''} ${dateUtils.isToday(date) ? 'today' : ''} ${isOutsideMonth ? 'outside-month' : ''} ${!canEditThis ? 'not-editable' : ''}`}
+                  className={`cal-month-cell ${dateUtils.isWeekend(date) ? 'weekend' : ''} ${getHoliday(date) ? 'holiday' : ''} ${dateUtils.isToday(date) ? 'today' : ''} ${isOutsideMonth ? 'outside-month' : ''} ${!canEditThis ? 'not-editable' : ''}`}
                   onClick={() => !isOutsideMonth && canEditThis && onCellClick(date, member)}
                   style={{ cursor: canEditThis && !isOutsideMonth ? 'pointer' : 'default' }}
                 >
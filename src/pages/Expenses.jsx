@@ -9,12 +9,12 @@
  * - Detail modal shows receipt images
  * - All actions moved to modal (no action buttons in table)
  *
- * @version 5.2 - Added workflow settings integration (WP-08)
- * @updated 16 January 2026
+ * @version 5.7 - Filter totals converted to the project currency
+ * @updated 19 October 2026
  */
 
 import React, { useState, useEffect, useCallback } from 'react';
-import { expensesService, resourcesService } from '../services';
+import { expensesService, expensePoliciesService, resourcesService, exchangeRatesService } from '../services';
 import { supabase } from '../lib/supabase';
 import { Receipt, Plus, Camera, Sparkles, RefreshCw } from 'lucide-react';
 import { useTestUsers } from '../contexts/TestUserContext';
@@ -23,6 +23,7 @@ import { useProject } from '../contexts/ProjectContext';
 import { useToast } from '../contexts/ToastContext';
 import { usePermissions } from '../hooks/usePermissions';
 import { useWorkflowFeatures } from '../hooks/useProjectSettings';
+import { getCurrencySymbol } from '../lib/currency';
 import { LoadingSpinner, ConfirmDialog, PromptDialog } from '../components/common';
 import {
   ReceiptScanner,
@@ -38,16 +39,21 @@ const BUDGET = 20520;
 const INITIAL_EXPENSE_FORM = {
   resource_id: '',
   expense_date: new Date().toISOString().split('T')[0],
+  currency: '',
   travel_amount: '', travel_reason: '', travel_chargeable: true, travel_procurement: 'supplier',
   accommodation_amount: '', accommodation_reason: '', accommodation_chargeable: true, accommodation_procurement: 'supplier',
   sustenance_amount: '', sustenance_reason: '', sustenance_chargeable: true, sustenance_procurement: 'supplier',
+  mileage_from: '', mileage_to: '', mileage_distance: '', mileage_vehicle: 'car',
+  mileage_reason: '', mileage_chargeable: true, mileage_procurement: 'supplier',
+  per_diem_location: '', per_diem_full_days: '', per_diem_partial_days: '',
+  per_diem_reason: '', per_diem_chargeable: true, per_diem_procurement: 'supplier',
   notes: '',
   files: []
 };
 
 export default function Expenses() {
   const { user } = useAuth();
-  const { projectId } = useProject();
+  const { projectId, projectCurrency } = useProject();
   const { showSuccess, showError, showWarning } = useToast();
   const { showTestUsers, testUserIds } = useTestUsers();
   const currentUserId = user?.id || null;
@@ -67,6 +73,8 @@ export default function Expenses() {
   const [entryMode, setEntryMode] = useState('form');
   const [uploadingFiles, setUploadingFiles] = useState(false);
   const [newExpense, setNewExpense] = useState(INITIAL_EXPENSE_FORM);
+  const [expensePolicy, setExpensePolicy] = useState(null);
+  const [fx, setFx] = useState(null);
 
   const [filterCategory, setFilterCategory] = useState('all');
   const [filterResource, setFilterResource] = useState('all');
@@ -82,7 +90,7 @@ export default function Expenses() {
 
   const [deleteDialog, setDeleteDialog] = useState({ isOpen: false, expenseId: null, expenseData: null });
   const [submitDialog, setSubmitDialog] = useState({ isOpen: false, expense: null });
-  const [rejectDialog, setRejectDialog] = useState({ isOpen: false, expenseId: null });
+  const [rejectDialog, setRejectDialog] = useState({ isOpen: false, expenseId: null, review: null });
   const [detailModal, setDetailModal] = useState({ isOpen: false, expense: null });
 
   const fetchData = useCallback(async () => {
@@ -92,6 +100,20 @@ export default function Expenses() {
       const expensesData = await expensesService.getAllFiltered(projectId, showTestUsers);
       setExpenses(expensesData);
 
+      // Rates for calculating mileage and per diem in the add form
+      const policy = await expensePoliciesService.getEffectivePolicy(projectId).catch(error => {
+        console.error('Error fetching expense policy:', error);
+        return null;
+      });
+      setExpensePolicy(policy);
+
+      // Filter totals are converted to the project currency
+      const converter = await exchangeRatesService.getConverter(projectId).catch(error => {
+        console.error('Error fetching exchange rates:', error);
+        return null;
+      });
+      setFx(converter);
+
       const { data: resourcesData } = await supabase
         .from('resources')
         .select('id, name, email, user_id, partner_id, partner:partners(id, name)')
@@ -124,37 +146,65 @@ export default function Expenses() {
     const hasTravel = parseFloat(newExpense.travel_amount) > 0;
     const hasAccommodation = parseFloat(newExpense.accommodation_amount) > 0;
     const hasSustenance = parseFloat(newExpense.sustenance_amount) > 0;
+    const hasMileage = parseFloat(newExpense.mileage_distance) > 0;
+    const hasPerDiem = !!newExpense.per_diem_location &&
+      (parseInt(newExpense.per_diem_full_days, 10) > 0 || parseInt(newExpense.per_diem_partial_days, 10) > 0);
 
-    if (!hasTravel && !hasAccommodation && !hasSustenance) { showWarning('Please enter at least one expense amount'); return; }
+    if (!hasTravel && !hasAccommodation && !hasSustenance && !hasMileage && !hasPerDiem) { showWarning('Please enter at least one expense amount'); return; }
     if (hasTravel && !newExpense.travel_reason) { showWarning('Please enter a reason for the travel expense'); return; }
     if (hasAccommodation && !newExpense.accommodation_reason) { showWarning('Please enter a reason for the accommodation expense'); return; }
     if (hasSustenance && !newExpense.sustenance_reason) { showWarning('Please enter a reason for the sustenance expense'); return; }
+    if (hasMileage && !newExpense.mileage_reason) { showWarning('Please enter a reason for the mileage claim'); return; }
+    if (hasPerDiem && !newExpense.per_diem_reason) { showWarning('Please enter a reason for the per diem claim'); return; }
 
     try {
       const resourceName = resources.find(r => r.id === newExpense.resource_id)?.name;
+      const currency = newExpense.currency || projectCurrency;
       const expensesToInsert = [];
 
       if (hasTravel) {
         expensesToInsert.push({
           project_id: projectId, category: 'Travel', resource_id: newExpense.resource_id, resource_name: resourceName,
-          expense_date: newExpense.expense_date, reason: newExpense.travel_reason, amount: parseFloat(newExpense.travel_amount),
+          expense_date: newExpense.expense_date, reason: newExpense.travel_reason, amount: parseFloat(newExpense.travel_amount), currency,
           notes: newExpense.notes, created_by: currentUserId, chargeable_to_customer: newExpense.travel_chargeable, procurement_method: newExpense.travel_procurement
         });
       }
       if (hasAccommodation) {
         expensesToInsert.push({
           project_id: projectId, category: 'Accommodation', resource_id: newExpense.resource_id, resource_name: resourceName,
-          expense_date: newExpense.expense_date, reason: newExpense.accommodation_reason, amount: parseFloat(newExpense.accommodation_amount),
+          expense_date: newExpense.expense_date, reason: newExpense.accommodation_reason, amount: parseFloat(newExpense.accommodation_amount), currency,
           notes: newExpense.notes, created_by: currentUserId, chargeable_to_customer: newExpense.accommodation_chargeable, procurement_method: newExpense.accommodation_procurement
         });
       }
       if (hasSustenance) {
         expensesToInsert.push({
           project_id: projectId, category: 'Sustenance', resource_id: newExpense.resource_id, resource_name: resourceName,
-          expense_date: newExpense.expense_date, reason: newExpense.sustenance_reason, amount: parseFloat(newExpense.sustenance_amount),
+          expense_date: newExpense.expense_date, reason: newExpense.sustenance_reason, amount: parseFloat(newExpense.sustenance_amount), currency,
           notes: newExpense.notes, created_by: currentUserId, chargeable_to_customer: newExpense.sustenance_chargeable, procurement_method: newExpense.sustenance_procurement
         });
       }
+      // Mileage and per diem amounts are calculated by the service, in the project currency
+      if (hasMileage) {
+        expensesToInsert.push({
+          project_id: projectId, expense_type: 'mileage', resource_id: newExpense.resource_id, resource_name: resourceName,
+          expense_date: newExpense.expense_date, reason: newExpense.mileage_reason,
+          journey_from: newExpense.mileage_from, journey_to: newExpense.mileage_to,
+          distance: parseFloat(newExpense.mileage_distance), vehicle_type: newExpense.mileage_vehicle,
+          notes: newExpense.notes, created_by: currentUserId, chargeable_to_customer: newExpense.mileage_chargeable, procurement_method: newExpense.mileage_procurement
+        });
+      }
+      if (hasPerDiem) {
+        expensesToInsert.push({
+          project_id: projectId, expense_type: 'per_diem', resource_id: newExpense.resource_id, resource_name: resourceName,
+          expense_date: newExpense.expense_date, reason: newExpense.per_diem_reason,
+          per_diem: {
+            location: newExpense.per_diem_location,
+            full_days: parseInt(newExpense.per_diem_full_days, 10) || 0,
+            partial_days: parseInt(newExpense.per_diem_partial_days, 10) || 0
+          },
+          notes: newExpense.notes, created_by: currentUserId, chargeable_to_customer: newExpense.per_diem_chargeable, procurement_method: newExpense.per_diem_procurement
+        });
+      }
 
       const insertedExpenses = await expensesService.createMany(expensesToInsert);
 
@@ -189,6 +239,7 @@ export default function Expenses() {
         expense_date: expenseData.expense_date, 
         reason: expenseData.reason, 
         amount: expenseData.amount, 
+        currency: expenseData.currency || projectCurrency,
         notes: expenseData.notes,
         created_by: currentUserId, 
         chargeable_to_customer: expenseData.chargeable_to_customer, 
@@ -236,7 +287,7 @@ export default function Expenses() {
   function handleDeleteClick(expense) {
     setDeleteDialog({
       isOpen: true, expenseId: expense.id,
-      expenseData: { resourceName: expense.resource_name, date: expense.expense_date, totalAmount: parseFloat(expense.amount || 0), category: expense.category, chargeable: expense.chargeable_to_customer, procurement: expense.procurement_method, status: expense.status }
+      expenseData: { resourceName: expense.resource_name, date: expense.expense_date, totalAmount: parseFloat(expense.amount || 0), currency: expense.currency, category: expense.category, chargeable: expense.chargeable_to_customer, procurement: expense.procurement_method, status: expense.status }
     });
   }
 
@@ -260,29 +311,34 @@ export default function Expenses() {
   async function confirmSubmit() {
     if (!submitDialog.expense) return;
     try {
-      await expensesService.submit(submitDialog.expense.id);
+      const submitted = await expensesService.submit(submitDialog.expense.id);
       setSubmitDialog({ isOpen: false, expense: null });
       await fetchData();
-      showSuccess('Expense submitted for validation!');
+      const issues = submitted?.policy_violations?.length || 0;
+      if (issues > 0) {
+        showWarning(`Expense submitted with ${issues} policy issue${issues === 1 ? '' : 's'} for the validator to review`);
+      } else {
+        showSuccess('Expense submitted for validation!');
+      }
     } catch (error) {
       console.error('Error submitting expense:', error);
       showError('Failed to submit: ' + error.message);
     }
   }
 
-  async function handleValidate(id) {
-    try { await expensesService.validate(id); await fetchData(); showSuccess('Expense validated!'); } catch (error) { console.error('Error validating expense:', error); showError('Failed to validate: ' + error.message); }
+  async function handleValidate(id, options) {
+    try { await expensesService.validate(id, options); await fetchData(); showSuccess('Expense validated!'); } catch (error) { console.error('Error validating expense:', error); showError('Failed to validate: ' + error.message); }
   }
 
-  function handleRejectClick(id) {
-    setRejectDialog({ isOpen: true, expenseId: id });
+  function handleRejectClick(id, review) {
+    setRejectDialog({ isOpen: true, expenseId: id, review });
   }
 
   async function confirmReject(reason) {
     if (!rejectDialog.expenseId) return;
     try {
-      await expensesService.reject(rejectDialog.expenseId, reason);
-      setRejectDialog({ isOpen: false, expenseId: null });
+      await expensesService.reject(rejectDialog.expenseId, reason, rejectDialog.review || {});
+      setRejectDialog({ isOpen: false, expenseId: null, review: null });
       await fetchData();
       showWarning('Expense rejected');
     } catch (error) {
@@ -371,7 +427,7 @@ export default function Expenses() {
             </div>
             <div>
               <h1 data-testid="expenses-title">Expenses</h1>
-              <p>Track project expenses against £{BUDGET.toLocaleString()} budget</p>
+              <p>Track project expenses against {getCurrencySymbol(projectCurrency)}{BUDGET.toLocaleString()} budget</p>
             </div>
           </div>
           <div className="exp-header-actions">
@@ -419,7 +475,7 @@ export default function Expenses() {
             selectedCategories={selectedCategories} setSelectedCategories={setSelectedCategories}
             selectedResources={selectedResources} setSelectedResources={setSelectedResources}
             resourceNames={resourceNames} hasRole={hasRole}
-            expenses={expenses}
+            expenses={expenses} fx={fx} projectCurrency={projectCurrency}
           />
         </div>
 
@@ -428,7 +484,9 @@ export default function Expenses() {
             <ExpenseAddForm
               newExpense={newExpense} setNewExpense={setNewExpense} availableResources={availableResources}
               hasRole={hasRole} handleAdd={handleAdd} handleFileSelect={handleFileSelect}
-              removeFile={removeFile} uploadingFiles={uploadingFiles} onCancel={() => setShowAddForm(false)}
+              removeFile={removeFile} uploadingFiles={uploadingFiles} projectCurrency={projectCurrency}
+              policy={expensePolicy} expenses={expenses}
+              onCancel={() => setShowAddForm(false)}
             />
           </div>
         )}
@@ -438,6 +496,7 @@ export default function Expenses() {
             <ReceiptScanner
               resources={availableResources}
               defaultResourceId={availableResources.length === 1 ? availableResources[0].id : null}
+              defaultCurrency={projectCurrency}
               onExpenseCreated={handleScannedExpense}
               onCancel={() => { setShowAddForm(false); setEntryMode('form'); }}
             />
@@ -475,7 +534,7 @@ export default function Expenses() {
               <ul style={{ margin: '0', paddingLeft: '20px', color: '#92400e', fontSize: '13px', lineHeight: '1.6' }}>
                 <li><strong>Resource:</strong> {deleteDialog.expenseData.resourceName}</li>
                 <li><strong>Category:</strong> {deleteDialog.expenseData.category}</li>
-                <li><strong>Amount:</strong> £{deleteDialog.expenseData.totalAmount?.toFixed(2)}</li>
+                <li><strong>Amount:</strong> {getCurrencySymbol(deleteDialog.expenseData.currency)}{deleteDialog.expenseData.totalAmount?.toFixed(2)}</li>
                 <li><strong>Status:</strong> {deleteDialog.expenseData.status}</li>
               </ul>
             </div>
@@ -494,7 +553,7 @@ export default function Expenses() {
           <>
             Submit this expense for validation?
             <br /><br />
-            <strong>{submitDialog.expense.category}</strong> - £{parseFloat(submitDialog.expense.amount || 0).toFixed(2)}
+            <strong>{submitDialog.expense.category}</strong> - {getCurrencySymbol(submitDialog.expense.currency)}{parseFloat(submitDialog.expense.amount || 0).toFixed(2)}
             <br />
             {submitDialog.expense.resource_name}
           </>
@@ -515,9 +574,12 @@ export default function Expenses() {
           await expensesService.update(id, {
             category: formData.category, resource_id: formData.resource_id, resource_name: resourceName,
             expense_date: formData.expense_date, reason: formData.reason, amount: parseFloat(formData.amount),
-            notes: formData.notes, status: formData.status, chargeable_to_customer: formData.chargeable_to_customer,
+            currency: formData.currency, notes: formData.notes, status: formData.status, chargeable_to_customer: formData.chargeable_to_customer,
             procurement_method: formData.procurement_method
           });
+          if (formData.status === 'Submitted') {
+            await expensesService.recheckPolicy(id);
+          }
           await fetchData();
           showSuccess('Expense updated!');
         }}
@@ -530,7 +592,7 @@ export default function Expenses() {
 
       <PromptDialog
         isOpen={rejectDialog.isOpen}
-        onClose={() => setRejectDialog({ isOpen: false, expenseId: null })}
+        onClose={() => setRejectDialog({ isOpen: false, expenseId: null, review: null })}
         onConfirm={confirmReject}
         title="Reject Expense"
         message="Please provide a reason for rejecting this expense."
@@ -4,25 +4,37 @@
  * Tabbed interface for:
  * - Summary: Financial overview (from dashboard finance widget)
  * - Billing: Track billable milestones, invoicing status, and payments
+ * - Earned Value: EVM indices and S-curves
+ * - Cash Flow: monthly forecast from milestone billing and planned costs
+ * - Accounting Export: invoices and expenses for Xero / QuickBooks / Sage / UBL
  * 
- * @version 1.0
+ * @version 1.3
  * @created 25 December 2025
+ * @updated 19 October 2026 - Added Earned Value tab
+ * @updated 19 October 2026 - Added Accounting Export tab
+ * @updated 19 October 2026 - Added Cash Flow tab
  */
 
 import React, { Suspense, lazy } from 'react';
 import { useSearchParams } from 'react-router-dom';
-import { PoundSterling, BarChart3, FileText } from 'lucide-react';
+import { PoundSterling, BarChart3, FileText, Activity, Banknote, FileSpreadsheet } from 'lucide-react';
 import { LoadingSpinner } from '../components/common';
 import './FinanceHub.css';
 
 // Lazy load the tab content components
 const FinanceSummaryContent = lazy(() => import('./finance/FinanceSummaryContent'));
 const BillingContent = lazy(() => import('./finance/BillingContent'));
+const EarnedValueContent = lazy(() => import('./finance/EarnedValueContent'));
+const CashFlowContent = lazy(() => import('./finance/CashFlowContent'));
+const AccountingExportContent = lazy(() => import('./finance/AccountingExportContent'));
 
 // Tab configuration
 const TABS = [
   { id: 'summary', label: 'Summary', icon: BarChart3 },
   { id: 'billing', label: 'Billing', icon: FileText },
+  { id: 'evm', label: 'Earned Value', icon: Activity },
+  { id: 'cashflow', label: 'Cash Flow', icon: Banknote },
+  { id: 'export', label: 'Accounting Export', icon: FileSpreadsheet },
 ];
 
 export default function FinanceHub() {
@@ -67,6 +79,9 @@ export default function FinanceHub() {
         <Suspense fallback={<LoadingSpinner message="Loading..." />}>
           {activeTab === 'summary' && <FinanceSummaryContent />}
           {activeTab === 'billing' && <BillingContent />}
+          {activeTab === 'evm' && <EarnedValueContent />}
+          {activeTab === 'cashflow' && <CashFlowContent />}
+          {activeTab === 'export' && <AccountingExportContent />}
         </Suspense>
       </div>
     </div>
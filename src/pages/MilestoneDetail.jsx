@@ -10,8 +10,8 @@
  * - Acceptance certificate workflow (dual signature)
  * - Edit milestone (including reference) with delete capability
  *
- * @version 4.9 - Added workflow settings integration (WP-09)
- * @updated 16 January 2026
+ * @version 4.10 - Baseline history marks versions restored by a variation revert
+ * @updated 19 October 2026
  */
 
 import React, { useState, useEffect, useCallback } from 'react';
@@ -558,7 +558,7 @@ export default function MilestoneDetail() {
                           <Link 
                             to={`/variations/${latestVersion.variation_id}`}
                             className="baseline-variation-link"
-                            title={`Updated by ${latestVersion.variation.variation_ref}`}
+                            title={`${latestVersion.is_revert ? 'Reverted' : 'Updated'} by ${latestVersion.variation.variation_ref}`}
                           >
                             <GitBranch size={12} />
                           </Link>
@@ -677,6 +677,7 @@ export default function MilestoneDetail() {
                             <div className="history-item-header">
                               <span className="version-label">
                                 {isOriginal ? 'Original Baseline' : `Baseline v${version.version}`}
+                                {version.is_revert && ' (reverted)'}
                                 {isLatest && <span className="current-badge">Current</span>}
                               </span>
                               {version.variation && (
@@ -5,14 +5,16 @@
  * - Milestones: Track project milestones and acceptance certificates
  * - Gantt Chart: Visual timeline of milestones
  * - Variations: Project change control and variation management
+ * - Change Register: contract value and end date since signature
  * 
- * @version 1.0
+ * @version 1.1
  * @created 25 December 2025
+ * @updated 19 October 2026 - Added Change Register tab
  */
 
 import React, { Suspense, lazy } from 'react';
 import { useSearchParams } from 'react-router-dom';
-import { Milestone, BarChart3, GitBranch } from 'lucide-react';
+import { Milestone, BarChart3, GitBranch, History } from 'lucide-react';
 import { LoadingSpinner } from '../components/common';
 import './MilestonesHub.css';
 
@@ -20,12 +22,14 @@ import './MilestonesHub.css';
 const MilestonesContent = lazy(() => import('./milestones/MilestonesContent'));
 const GanttContent = lazy(() => import('./milestones/GanttContent'));
 const VariationsContent = lazy(() => import('./milestones/VariationsContent'));
+const ChangeRegisterContent = lazy(() => import('./milestones/ChangeRegisterContent'));
 
 // Tab configuration
 const TABS = [
   { id: 'milestones', label: 'Milestones', icon: Milestone },
   { id: 'gantt', label: 'Gantt Chart', icon: BarChart3 },
   { id: 'variations', label: 'Variations', icon: GitBranch },
+  { id: 'changes', label: 'Change Register', icon: History },
 ];
 
 export default function MilestonesHub() {
@@ -60,6 +64,7 @@ export default function MilestonesHub() {
           {activeTab === 'milestones' && <MilestonesContent />}
           {activeTab === 'gantt' && <GanttContent />}
           {activeTab === 'variations' && <VariationsContent />}
+          {activeTab === 'changes' && <ChangeRegisterContent />}
         </Suspense>
       </div>
     </div>
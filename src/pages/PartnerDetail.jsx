@@ -7,11 +7,14 @@
  * - Linked resources from this partner
  * - Timesheet and expense summaries
  * - Edit partner details
- * - Invoice generation
+ * - Invoice generation, status and credit notes
  * 
- * @version 2.0
+ * @version 2.3
  * @created 30 November 2025
  * @refactored 1 December 2025
+ * @updated 19 October 2026 - Timesheet cost at the rate card rate on each date
+ * @updated 19 October 2026 - Partner currency; expenses converted to the project currency
+ * @updated 19 October 2026 - Partner VAT settings; open invoices and raise credit notes
  */
 
 import React, { useState, useEffect } from 'react';
@@ -26,11 +29,14 @@ import { usePermissions } from '../hooks/usePermissions';
 import { VALID_STATUSES, timesheetContributesToSpend, calculateCostValue, hoursToDays } from '../config/metricsConfig';
 import { TIMESHEET_STATUS } from '../lib/timesheetCalculations';
 import { LoadingSpinner, PageHeader, StatCard } from '../components/common';
-import { partnersService, resourcesService, invoicingService, timesheetsService, expensesService } from '../services';
+import { partnersService, resourcesService, invoicingService, timesheetsService, expensesService, rateCardsService, exchangeRatesService } from '../services';
+import { DEFAULT_CURRENCY, getCurrencySymbol } from '../lib/currency';
+import { TAX_TREATMENT_CONFIG } from '../lib/tax';
 
 // Extracted components
 import { 
   InvoiceModal, 
+  CreditNoteModal,
   DateRangeFilter, 
   PartnerEditForm,
   LinkedResourcesCard,
@@ -46,7 +52,7 @@ export default function PartnerDetail() {
   const { id } = useParams();
   const navigate = useNavigate();
   const { user } = useAuth();
-  const { projectId } = useProject();
+  const { projectId, projectCurrency } = useProject();
   const { canManagePartners } = usePermissions();
 
   // State
@@ -76,6 +82,8 @@ export default function PartnerDetail() {
   const [recentInvoices, setRecentInvoices] = useState([]);
   const [showInvoiceModal, setShowInvoiceModal] = useState(false);
   const [generatedInvoice, setGeneratedInvoice] = useState(null);
+  const [creditDraft, setCreditDraft] = useState(null);
+  const [invoiceBusy, setInvoiceBusy] = useState(false);
   
   // Edit form state
   const [editForm, setEditForm] = useState({});
@@ -111,20 +119,31 @@ export default function PartnerDetail() {
         if (dateRange.start) tsFilters.push({ column: 'date', operator: 'gte', value: dateRange.start });
         if (dateRange.end) tsFilters.push({ column: 'date', operator: 'lte', value: dateRange.end });
         
-        const tsData = await timesheetsService.getAll(projectId, {
-          filters: tsFilters,
-          select: 'id, date, hours_worked, hours, status, resource_id, resources(name, cost_price)',
-          orderBy: { column: 'date', ascending: false },
-          limit: 100
-        });
+        const [tsRows, resolveRates] = await Promise.all([
+          timesheetsService.getAll(projectId, {
+            filters: tsFilters,
+            select: 'id, date, hours_worked, hours, status, resource_id, resources(id, name, role, sfia_level, cost_price)',
+            orderBy: { column: 'date', ascending: false },
+            limit: 100
+          }),
+          rateCardsService.getRateResolver(projectId)
+        ]);
+
+        // Cost at the rate valid on each timesheet date
+        const tsData = tsRows?.map(ts => ({
+          ...ts,
+          cost_value: calculateCostValue(
+            parseFloat(ts.hours_worked || ts.hours || 0),
+            resolveRates(ts.resources, ts.date).cost_price || 0
+          )
+        }));
 
         if (tsData) {
           let totalHours = 0, approvedHours = 0, pendingHours = 0, approvedValue = 0, pendingValue = 0;
           
           tsData.forEach(ts => {
             const hours = parseFloat(ts.hours_worked || ts.hours || 0);
-            const costPrice = ts.resources?.cost_price || 0;
-            const dailyValue = calculateCostValue(hours, costPrice);
+            const dailyValue = ts.cost_value;
             totalHours += hours;
             // Use centralized config for status checking
             if (VALID_STATUSES.timesheets.completed.includes(ts.status)) { 
@@ -149,18 +168,23 @@ export default function PartnerDetail() {
         if (dateRange.start) expFilters.push({ column: 'expense_date', operator: 'gte', value: dateRange.start });
         if (dateRange.end) expFilters.push({ column: 'expense_date', operator: 'lte', value: dateRange.end });
         
-        const expData = await expensesService.getAll(projectId, {
-          filters: expFilters,
-          select: 'id, expense_date, category, reason, amount, resource_id, resource_name, status, procurement_method',
-          orderBy: { column: 'expense_date', ascending: false },
-          limit: 100
-        });
+        const [expData, fx] = await Promise.all([
+          expensesService.getAll(projectId, {
+            filters: expFilters,
+            select: 'id, expense_date, category, reason, amount, currency, resource_id, resource_name, status, procurement_method',
+            orderBy: { column: 'expense_date', ascending: false },
+            limit: 100
+          }),
+          exchangeRatesService.getConverter(projectId)
+        ]);
 
         if (expData) {
-          const totalAmount = expData.reduce((sum, exp) => sum + parseFloat(exp.amount || 0), 0);
+          // Totals in the project currency at the rate on each expense date
+          const toProject = exp => fx.convert(exp.amount, exp.currency, exp.expense_date);
+          const totalAmount = expData.reduce((sum, exp) => sum + toProject(exp), 0);
           const partnerProcuredAmount = expData
             .filter(exp => exp.procurement_method === 'partner')
-            .reduce((sum, exp) => sum + parseFloat(exp.amount || 0), 0);
+            .reduce((sum, exp) => sum + toProject(exp), 0);
           setExpenseSummary({ totalAmount, partnerProcuredAmount, entries: expData });
         }
       }
@@ -225,6 +249,10 @@ export default function PartnerDetail() {
       contact_name: partner.contact_name || '',
       contact_email: partner.contact_email || '',
       payment_terms: partner.payment_terms || 'Net 30',
+      currency: partner.currency || DEFAULT_CURRENCY,
+      tax_treatment: partner.tax_treatment || '',
+      tax_rate: partner.tax_rate ?? '',
+      tax_number: partner.tax_number || '',
       notes: partner.notes || '',
       is_active: partner.is_active ?? true
     });
@@ -239,7 +267,13 @@ export default function PartnerDetail() {
         setError('Partner name is required');
         return;
       }
-      await partnersService.update(id, editForm);
+      await partnersService.update(id, {
+        ...editForm,
+        // Blank tax settings inherit the project defaults
+        tax_treatment: editForm.tax_treatment || null,
+        tax_rate: editForm.tax_rate === '' ? null : parseFloat(editForm.tax_rate),
+        tax_number: editForm.tax_number?.trim() || null
+      });
       await fetchPartnerData();
       setIsEditing(false);
     } catch (err) {
@@ -285,6 +319,70 @@ export default function PartnerDetail() {
     }
   }
 
+  // Open an existing invoice or credit note
+  async function handleViewInvoice(invoice) {
+    try {
+      setError(null);
+      setGeneratedInvoice(await invoicingService.getWithLines(invoice.id));
+      setShowInvoiceModal(true);
+    } catch (err) {
+      console.error('Error loading invoice:', err);
+      setError('Failed to load invoice: ' + err.message);
+    }
+  }
+
+  async function handleInvoiceStatus(invoice, status) {
+    try {
+      setInvoiceBusy(true);
+      setError(null);
+      await invoicingService.updateStatus(invoice.id, status);
+      setGeneratedInvoice(await invoicingService.getWithLines(invoice.id));
+      fetchRecentInvoices();
+    } catch (err) {
+      console.error('Error updating invoice:', err);
+      setError('Failed to update invoice: ' + err.message);
+    } finally {
+      setInvoiceBusy(false);
+    }
+  }
+
+  async function handleStartCreditNote(invoice) {
+    try {
+      setInvoiceBusy(true);
+      setError(null);
+      const { creditable } = await invoicingService.getCreditStatus(invoice.id);
+      setCreditDraft({ invoice, creditable });
+    } catch (err) {
+      console.error('Error loading invoice lines:', err);
+      setError('Failed to load invoice lines: ' + err.message);
+    } finally {
+      setInvoiceBusy(false);
+    }
+  }
+
+  async function handleCreateCreditNote({ amounts, reason }) {
+    try {
+      setInvoiceBusy(true);
+      setError(null);
+      const creditNote = await invoicingService.createCreditNote({
+        invoiceId: creditDraft.invoice.id,
+        amounts,
+        reason,
+        createdBy: user?.id
+      });
+      setCreditDraft(null);
+      setGeneratedInvoice(creditNote);
+      setShowInvoiceModal(true);
+      fetchRecentInvoices();
+    } catch (err) {
+      console.error('Error raising credit note:', err);
+      setError('Failed to raise credit note: ' + err.message);
+      setCreditDraft(null);
+    } finally {
+      setInvoiceBusy(false);
+    }
+  }
+
   // Print invoice handler
   function handlePrintInvoice() {
     const printContent = document.getElementById('invoice-print-content');
@@ -325,6 +423,8 @@ export default function PartnerDetail() {
   }
 
   // Loading state
+  const symbol = getCurrencySymbol(projectCurrency);
+
   if (loading) {
     return <LoadingSpinner message="Loading partner..." size="large" fullPage />;
   }
@@ -438,17 +538,17 @@ export default function PartnerDetail() {
         <StatCard 
           icon={DollarSign} 
           label="Timesheet Value" 
-          value={`£${Math.round(timesheetSummary.totalValue).toLocaleString()}`}
+          value={`${symbol}${Math.round(timesheetSummary.totalValue).toLocaleString()}`}
           subtext={timesheetSummary.pendingValue > 0 
-            ? `£${Math.round(timesheetSummary.approvedValue)} approved, £${Math.round(timesheetSummary.pendingValue)} pending`
+            ? `${symbol}${Math.round(timesheetSummary.approvedValue)} approved, ${symbol}${Math.round(timesheetSummary.pendingValue)} pending`
             : "At cost price"}
           color="#8b5cf6"
         />
         <StatCard 
           icon={Receipt} 
           label="Partner Expenses" 
-          value={`£${Math.round(expenseSummary.partnerProcuredAmount || 0).toLocaleString()}`}
-          subtext={`£${Math.round(expenseSummary.totalAmount || 0)} total expenses`}
+          value={`${symbol}${Math.round(expenseSummary.partnerProcuredAmount || 0).toLocaleString()}`}
+          subtext={`${symbol}${Math.round(expenseSummary.totalAmount || 0)} total expenses`}
           color="#f59e0b"
         />
       </div>
@@ -465,16 +565,16 @@ export default function PartnerDetail() {
               <div style={{ display: 'flex', gap: '2rem', flexWrap: 'wrap' }}>
                 <div>
                   <span style={{ color: '#64748b', fontSize: '0.85rem' }}>Timesheets (at cost):</span>
-                  <span style={{ fontWeight: '600', marginLeft: '0.5rem' }}>£{Math.round(timesheetSummary.totalValue).toLocaleString()}</span>
+                  <span style={{ fontWeight: '600', marginLeft: '0.5rem' }}>{symbol}{Math.round(timesheetSummary.totalValue).toLocaleString()}</span>
                 </div>
                 <div>
                   <span style={{ color: '#64748b', fontSize: '0.85rem' }}>Partner Expenses:</span>
-                  <span style={{ fontWeight: '600', marginLeft: '0.5rem' }}>£{Math.round(expenseSummary.partnerProcuredAmount || 0).toLocaleString()}</span>
+                  <span style={{ fontWeight: '600', marginLeft: '0.5rem' }}>{symbol}{Math.round(expenseSummary.partnerProcuredAmount || 0).toLocaleString()}</span>
                 </div>
                 <div style={{ borderLeft: '2px solid #c4b5fd', paddingLeft: '1rem' }}>
                   <span style={{ color: '#7c3aed', fontSize: '0.9rem', fontWeight: '600' }}>Invoice Total:</span>
                   <span style={{ fontWeight: '700', marginLeft: '0.5rem', fontSize: '1.1rem', color: '#7c3aed' }}>
-                    £{Math.round(timesheetSummary.totalValue + (expenseSummary.partnerProcuredAmount || 0)).toLocaleString()}
+                    {symbol}{Math.round(timesheetSummary.totalValue + (expenseSummary.partnerProcuredAmount || 0)).toLocaleString()}
                   </span>
                 </div>
               </div>
@@ -513,6 +613,16 @@ export default function PartnerDetail() {
                   ) : 'Not set'} 
                 />
                 <DetailRow icon={<CreditCard size={16} />} label="Payment Terms" value={partner.payment_terms || 'Net 30'} />
+                <DetailRow icon={<DollarSign size={16} />} label="Invoice Currency" value={partner.currency || DEFAULT_CURRENCY} />
+                <DetailRow
+                  icon={<Receipt size={16} />}
+                  label="VAT"
+                  value={[
+                    partner.tax_treatment ? TAX_TREATMENT_CONFIG[partner.tax_treatment]?.label : 'Project default',
+                    partner.tax_rate !== null && partner.tax_rate !== undefined ? `${parseFloat(partner.tax_rate)}%` : null,
+                    partner.tax_number
+                  ].filter(Boolean).join(' · ')}
+                />
                 <DetailRow icon={<Calendar size={16} />} label="Added" value={new Date(partner.created_at).toLocaleDateString()} />
               </div>
               
@@ -537,7 +647,7 @@ export default function PartnerDetail() {
         <>
           <RecentTimesheetsCard timesheets={timesheetSummary.entries} />
           <RecentExpensesCard expenses={expenseSummary.entries} />
-          <RecentInvoicesCard invoices={recentInvoices} />
+          <RecentInvoicesCard invoices={recentInvoices} onView={handleViewInvoice} />
         </>
       )}
 
@@ -575,6 +685,20 @@ export default function PartnerDetail() {
             setGeneratedInvoice(null);
           }}
           onPrint={handlePrintInvoice}
+          onStatusChange={canManagePartners ? handleInvoiceStatus : undefined}
+          onCreditNote={canManagePartners ? handleStartCreditNote : undefined}
+          busy={invoiceBusy}
+        />
+      )}
+
+      {/* Credit Note Modal */}
+      {creditDraft && (
+        <CreditNoteModal
+          invoice={creditDraft.invoice}
+          creditable={creditDraft.creditable}
+          onSubmit={handleCreateCreditNote}
+          onClose={() => setCreditDraft(null)}
+          saving={invoiceBusy}
         />
       )}
     </div>
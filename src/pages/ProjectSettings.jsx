@@ -2,7 +2,8 @@
  * Project Settings Page - Unified tabbed interface
  * Combines: Settings, Audit Log, Deleted Items
  * 
- * @version 1.2 - Added expenses_budget field
+ * @version 1.7 - Expense Policy tab
+ * @updated 19 October 2026
  */
 
 import React, { useState, useEffect, useCallback } from 'react';
@@ -34,7 +35,9 @@ import {
   Briefcase,
   CheckSquare,
   X,
-  Workflow
+  Workflow,
+  CalendarDays,
+  Receipt
 } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
 import { useProject } from '../contexts/ProjectContext';
@@ -42,8 +45,8 @@ import { usePermissions } from '../hooks/usePermissions';
 import { useResourcePermissions } from '../hooks/useResourcePermissions';
 import { useToast } from '../contexts/ToastContext';
 import { LoadingSpinner, PageHeader, ConfirmDialog } from '../components/common';
-import { WorkflowSettingsTab } from '../components/settings';
-import { resourcesService, timesheetsService, partnersService } from '../services';
+import { WorkflowSettingsTab, WorkingCalendarTab, ExpensePolicyTab } from '../components/settings';
+import { resourcesService, timesheetsService, partnersService, rateCardsService, exchangeRatesService } from '../services';
 import { timesheetContributesToSpend, hoursToDays } from '../config/metricsConfig';
 import {
   RESOURCE_TYPE,
@@ -57,12 +60,16 @@ import {
   getMarginConfig,
   calculateSellValue
 } from '../lib/resourceCalculations';
+import { DEFAULT_CURRENCY, getCurrencySymbol, getCurrencyOptions } from '../lib/currency';
+import { TAX_TREATMENT, DEFAULT_TAX_RATES, getTaxTreatmentOptions } from '../lib/tax';
 import './ProjectSettings.css';
 
 // Tab configuration
 const TABS = [
   { id: 'settings', label: 'Settings', icon: SettingsIcon },
   { id: 'workflow', label: 'Workflow', icon: Workflow },
+  { id: 'calendar', label: 'Working Calendar', icon: CalendarDays },
+  { id: 'expense-policy', label: 'Expense Policy', icon: Receipt },
   { id: 'resources', label: 'Resources', icon: User },
   { id: 'audit', label: 'Audit Log', icon: FileText },
   { id: 'deleted', label: 'Deleted Items', icon: Trash2 }
@@ -149,6 +156,12 @@ export default function ProjectSettings() {
         {activeTab === 'workflow' && (
           <WorkflowSettingsTab />
         )}
+        {activeTab === 'calendar' && (
+          <WorkingCalendarTab />
+        )}
+        {activeTab === 'expense-policy' && (
+          <ExpensePolicyTab />
+        )}
         {activeTab === 'resources' && (
           <ResourcesTab 
             projectId={projectId}
@@ -188,7 +201,11 @@ function SettingsTab({ projectId, refreshProject }) {
     reference: '',
     total_budget: 0,
     pmo_threshold: 15,
-    expenses_budget: 0
+    expenses_budget: 0,
+    currency: DEFAULT_CURRENCY,
+    tax_treatment: TAX_TREATMENT.STANDARD,
+    standard_tax_rate: DEFAULT_TAX_RATES[TAX_TREATMENT.STANDARD],
+    reduced_tax_rate: DEFAULT_TAX_RATES[TAX_TREATMENT.REDUCED]
   });
   const [originalSettings, setOriginalSettings] = useState(null);
   const [milestones, setMilestones] = useState([]);
@@ -214,7 +231,11 @@ function SettingsTab({ projectId, refreshProject }) {
           reference: project.reference || '',
           total_budget: project.total_budget || 0,
           pmo_threshold: project.pmo_threshold || 15,
-          expenses_budget: project.expenses_budget || 0
+          expenses_budget: project.expenses_budget || 0,
+          currency: project.currency || DEFAULT_CURRENCY,
+          tax_treatment: project.tax_treatment || TAX_TREATMENT.STANDARD,
+          standard_tax_rate: project.standard_tax_rate ?? DEFAULT_TAX_RATES[TAX_TREATMENT.STANDARD],
+          reduced_tax_rate: project.reduced_tax_rate ?? DEFAULT_TAX_RATES[TAX_TREATMENT.REDUCED]
         };
         setSettings(settingsData);
         setOriginalSettings(settingsData);
@@ -244,7 +265,11 @@ function SettingsTab({ projectId, refreshProject }) {
           name: settings.name,
           total_budget: parseFloat(settings.total_budget) || 0,
           pmo_threshold: parseInt(settings.pmo_threshold) || 15,
-          expenses_budget: parseFloat(settings.expenses_budget) || 0
+          expenses_budget: parseFloat(settings.expenses_budget) || 0,
+          currency: settings.currency,
+          tax_treatment: settings.tax_treatment,
+          standard_tax_rate: parseFloat(settings.standard_tax_rate) || 0,
+          reduced_tax_rate: parseFloat(settings.reduced_tax_rate) || 0
         })
         .eq('id', projectId)
         .select();
@@ -257,6 +282,7 @@ function SettingsTab({ projectId, refreshProject }) {
 
       setOriginalSettings({ ...settings });
       setSaveStatus('success');
+      exchangeRatesService.clearCache();
       
       if (refreshProject) refreshProject();
       
@@ -294,6 +320,7 @@ function SettingsTab({ projectId, refreshProject }) {
     : 0;
 
   const hasChanges = JSON.stringify(settings) !== JSON.stringify(originalSettings);
+  const symbol = getCurrencySymbol(settings.currency);
 
   if (loading) {
     return <LoadingSpinner message="Loading settings..." />;
@@ -346,7 +373,7 @@ function SettingsTab({ projectId, refreshProject }) {
             <span className="form-hint">Reference cannot be changed</span>
           </div>
           <div className="form-group">
-            <label className="form-label">Total Project Budget (£)</label>
+            <label className="form-label">Total Project Budget ({symbol.trim()})</label>
             <input 
               className="form-input" 
               type="number"
@@ -369,7 +396,7 @@ function SettingsTab({ projectId, refreshProject }) {
             <span className="form-hint">Percentage of budget allocated to PMO overhead</span>
           </div>
           <div className="form-group">
-            <label className="form-label">Expenses Estimate (£)</label>
+            <label className="form-label">Expenses Estimate ({symbol.trim()})</label>
             <input 
               className="form-input" 
               type="number"
@@ -380,6 +407,50 @@ function SettingsTab({ projectId, refreshProject }) {
             />
             <span className="form-hint">Rough order of magnitude for chargeable project expenses</span>
           </div>
+          <div className="form-group">
+            <label className="form-label">Reporting Currency</label>
+            <select 
+              className="form-input" 
+              value={settings.currency}
+              onChange={(e) => setSettings({ ...settings, currency: e.target.value })}
+            >
+              {getCurrencyOptions().map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+            </select>
+            <span className="form-hint">Rates and budgets are held in this currency; expenses in other currencies are converted using the organisation's exchange rates</span>
+          </div>
+          <div className="form-group">
+            <label className="form-label">Default VAT Treatment</label>
+            <select 
+              className="form-input" 
+              value={settings.tax_treatment}
+              onChange={(e) => setSettings({ ...settings, tax_treatment: e.target.value })}
+            >
+              {getTaxTreatmentOptions().map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+            </select>
+            <span className="form-hint">Applied to partner invoices unless the partner has its own treatment</span>
+          </div>
+          <div className="form-group">
+            <label className="form-label">Standard VAT Rate (%)</label>
+            <input 
+              className="form-input" 
+              type="number"
+              min="0"
+              step="0.01"
+              value={settings.standard_tax_rate}
+              onChange={(e) => setSettings({ ...settings, standard_tax_rate: e.target.value })}
+            />
+          </div>
+          <div className="form-group">
+            <label className="form-label">Reduced VAT Rate (%)</label>
+            <input 
+              className="form-input" 
+              type="number"
+              min="0"
+              step="0.01"
+              value={settings.reduced_tax_rate}
+              onChange={(e) => setSettings({ ...settings, reduced_tax_rate: e.target.value })}
+            />
+          </div>
         </div>
       </div>
 
@@ -390,16 +461,16 @@ function SettingsTab({ projectId, refreshProject }) {
         <div className="budget-summary">
           <div className="budget-stat">
             <div className="budget-label">Total Budget</div>
-            <div className="budget-value">£{parseFloat(settings.total_budget).toLocaleString()}</div>
+            <div className="budget-value">{symbol}{parseFloat(settings.total_budget).toLocaleString()}</div>
           </div>
           <div className="budget-stat">
             <div className="budget-label">Allocated to Milestones</div>
-            <div className="budget-value allocated">£{totalAllocated.toLocaleString()}</div>
+            <div className="budget-value allocated">{symbol}{totalAllocated.toLocaleString()}</div>
           </div>
           <div className="budget-stat">
             <div className="budget-label">Unallocated</div>
             <div className={`budget-value ${unallocated < 0 ? 'negative' : 'positive'}`}>
-              £{unallocated.toLocaleString()}
+              {symbol}{unallocated.toLocaleString()}
             </div>
           </div>
         </div>
@@ -423,7 +494,7 @@ function SettingsTab({ projectId, refreshProject }) {
             <tr>
               <th>Milestone</th>
               <th>Name</th>
-              <th>Billable Amount (£)</th>
+              <th>Billable Amount ({symbol.trim()})</th>
               <th>% of Total</th>
             </tr>
           </thead>
@@ -450,7 +521,7 @@ function SettingsTab({ projectId, refreshProject }) {
             ))}
             <tr className="total-row">
               <td colSpan={2}><strong>Total Allocated</strong></td>
-              <td><strong>£{totalAllocated.toLocaleString()}</strong></td>
+              <td><strong>{symbol}{totalAllocated.toLocaleString()}</strong></td>
               <td><strong>{allocationPercent}%</strong></td>
             </tr>
           </tbody>
@@ -1139,6 +1210,8 @@ function ResourcesTab({ projectId, showSuccess, showError }) {
 
   const [resources, setResources] = useState([]);
   const [timesheetHours, setTimesheetHours] = useState({});
+  const [timesheetValue, setTimesheetValue] = useState({});
+  const [currentRates, setCurrentRates] = useState({});
   const [loading, setLoading] = useState(true);
   const [showAddForm, setShowAddForm] = useState(false);
   const [filterType, setFilterType] = useState('all');
@@ -1164,18 +1237,34 @@ function ResourcesTab({ projectId, showSuccess, showError }) {
     if (!projectId) return;
     setLoading(true);
     try {
-      const data = await resourcesService.getAll(projectId, { includePartner: true });
+      const [data, resolveRates] = await Promise.all([
+        resourcesService.getAll(projectId, { includePartner: true }),
+        rateCardsService.getRateResolver(projectId)
+      ]);
       setResources(data || []);
 
+      const resourcesById = {};
+      const ratesByResource = {};
+      (data || []).forEach(r => {
+        resourcesById[r.id] = r;
+        ratesByResource[r.id] = resolveRates(r);
+      });
+      setCurrentRates(ratesByResource);
+
       const timesheets = await timesheetsService.getAllFiltered(projectId, true);
       const hoursByResource = {};
+      const valueByResource = {};
       (timesheets || []).forEach(ts => {
         const countsTowardsCost = timesheetContributesToSpend(ts.status) && !ts.was_rejected;
         if (!countsTowardsCost) return;
         const hours = parseFloat(ts.hours_worked || ts.hours || 0);
+        const resource = resourcesById[ts.resource_id];
         hoursByResource[ts.resource_id] = (hoursByResource[ts.resource_id] || 0) + hours;
+        valueByResource[ts.resource_id] = (valueByResource[ts.resource_id] || 0)
+          + calculateSellValue(hoursToDays(hours), resource ? resolveRates(resource, ts.date).sell_price : 0);
       });
       setTimesheetHours(hoursByResource);
+      setTimesheetValue(valueByResource);
     } catch (error) {
       console.error('Error fetching resources:', error);
       showError?.('Failed to load resources');
@@ -1510,9 +1599,10 @@ function ResourcesTab({ projectId, showSuccess, showError }) {
               {filteredResources.map(resource => {
                 const hours = timesheetHours[resource.id] || 0;
                 const days = Number(hoursToDays(hours)) || 0;
-                const sellRate = parseFloat(resource.sell_price) || 0;
-                const costRate = parseFloat(resource.cost_price) || 0;
-                const value = Number(calculateSellValue(days, sellRate)) || 0;
+                const rates = currentRates[resource.id] || resource;
+                const sellRate = parseFloat(rates.sell_price) || 0;
+                const costRate = parseFloat(rates.cost_price) || 0;
+                const value = Number(timesheetValue[resource.id]) || 0;
                 const margin = Number(calculateMargin(sellRate, costRate)) || 0;
                 const marginConfig = getMarginConfig(margin);
                 const typeConfig = getResourceTypeConfig(resource.resource_type);
@@ -4,18 +4,22 @@
  * Risks, Assumptions, Issues, and Dependencies tracking.
  * Apple-inspired design with clean visual hierarchy.
  *
- * @version 2.1 - Added workflow settings integration (WP-08)
- * @updated 16 January 2026
+ * @version 2.3 - Opens the item named by ?highlight= (overdue action links)
+ * @updated 19 October 2026
  */
 
 import React, { useState, useEffect, useMemo } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { 
   AlertTriangle, Info, AlertCircle, Link2, 
-  RefreshCw, Plus, Search, X, ChevronDown, User, Calendar
+  RefreshCw, Plus, Search, X, ChevronDown, User, Calendar,
+  List, Grid3x3, Wallet
 } from 'lucide-react';
 import './RaidLog.css';
 import { raidService } from '../services';
 import { supabase } from '../lib/supabase';
+import { getCurrencySymbol } from '../lib/currency';
+import { RISK_RATING_CONFIG, isScoredCategory, scoreRaidItem } from '../lib/raidScoring';
 import { useAuth } from '../contexts/AuthContext';
 import { useProject } from '../contexts/ProjectContext';
 import { usePermissions } from '../hooks/usePermissions';
@@ -23,6 +27,7 @@ import { useWorkflowFeatures } from '../hooks/useProjectSettings';
 import { LoadingSpinner, ConfirmDialog } from '../components/common';
 import RaidDetailModal from '../components/raid/RaidDetailModal';
 import RaidAddForm from '../components/raid/RaidAddForm';
+import RaidHeatMap from '../components/raid/RaidHeatMap';
 
 // Category configuration
 const CATEGORIES = {
@@ -32,9 +37,25 @@ const CATEGORIES = {
   Dependency: { icon: Link2, className: 'dependency', plural: 'Dependencies' }
 };
 
+// v2.2: Current (residual, else inherent) score for risks and issues
+function ScoreBadge({ item, scale }) {
+  const { current } = scoreRaidItem(item, scale);
+  if (!current) return null;
+  const config = RISK_RATING_CONFIG[current.rating];
+  return (
+    <span
+      className="raid-badge raid-score-badge"
+      style={{ borderColor: config.color, color: config.color }}
+      title={`Probability ${current.probability} × Impact ${current.impact}`}
+    >
+      Score {current.score}
+    </span>
+  );
+}
+
 export default function RaidLog() {
   const { user } = useAuth();
-  const { projectId } = useProject();
+  const { projectId, projectCurrency } = useProject();
   const currentUserId = user?.id || null;
   
   // Permissions - canEdit and canDelete still used for page-level Add button logic
@@ -44,12 +65,14 @@ export default function RaidLog() {
 
   // v2.1: Check if RAID feature is enabled for this project
   const { raidEnabled } = useWorkflowFeatures();
+  const [searchParams, setSearchParams] = useSearchParams();
 
   // State
   const [items, setItems] = useState([]);
   const [summary, setSummary] = useState(null);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
+  const [viewMode, setViewMode] = useState('list');
   
   // Filters
   const [categoryFilter, setCategoryFilter] = useState('all');
@@ -72,6 +95,18 @@ export default function RaidLog() {
     if (projectId) fetchData();
   }, [projectId]);
 
+  // Handle highlight query parameter - opens detail modal for the specified item
+  useEffect(() => {
+    const highlightId = searchParams.get('highlight');
+    if (highlightId && items.length > 0 && !loading) {
+      const itemToOpen = items.find(i => i.id === highlightId);
+      if (itemToOpen) {
+        setSelectedItem(itemToOpen);
+        setSearchParams({}, { replace: true });
+      }
+    }
+  }, [searchParams, items, loading, setSearchParams]);
+
   async function fetchData() {
     try {
       const [itemsData, summaryData] = await Promise.all([
@@ -93,6 +128,12 @@ export default function RaidLog() {
     await fetchData();
   }
 
+  // v2.2: Project scoring scale and currency for scores and exposure
+  const scoring = summary?.scoring;
+  const scale = scoring?.scale;
+  const currencySymbol = getCurrencySymbol(projectCurrency);
+  const formatMoney = (value) => `${currencySymbol}${Math.round(value || 0).toLocaleString()}`;
+
   // Check if any filters are active
   const hasActiveFilters = categoryFilter !== 'all' || statusFilter !== 'all' || 
                            severityFilter !== 'all' || searchTerm;
@@ -189,6 +230,22 @@ export default function RaidLog() {
             <p>Risks, Assumptions, Issues, and Dependencies</p>
           </div>
           <div className="raid-header-actions">
+            <div className="raid-view-toggle" data-testid="raid-view-toggle">
+              <button
+                className={`raid-view-toggle-btn ${viewMode === 'list' ? 'active' : ''}`}
+                onClick={() => setViewMode('list')}
+                title="List view"
+              >
+                <List size={16} />
+              </button>
+              <button
+                className={`raid-view-toggle-btn ${viewMode === 'heatmap' ? 'active' : ''}`}
+                onClick={() => setViewMode('heatmap')}
+                title="Heat map"
+              >
+                <Grid3x3 size={16} />
+              </button>
+            </div>
             <button 
               className="raid-btn raid-btn-secondary"
               onClick={handleRefresh}
@@ -237,6 +294,37 @@ export default function RaidLog() {
           </div>
         )}
 
+        {/* v2.2: Risk Scoring - open risks and issues by rating, exposure and contingency */}
+        {scoring && (
+          <div className="raid-scoring-grid" data-testid="raid-scoring-grid">
+            <div className="raid-scoring-card">
+              <div className="raid-scoring-card-label">Open Risks &amp; Issues by Rating</div>
+              <div className="raid-rating-counts">
+                {Object.entries(RISK_RATING_CONFIG).map(([rating, config]) => (
+                  <span key={rating} className="raid-rating-count" style={{ color: config.color }}>
+                    <strong>{scoring.byRating[rating]}</strong> {config.label}
+                  </span>
+                ))}
+              </div>
+            </div>
+            <div className="raid-scoring-card">
+              <div className="raid-scoring-card-label">Inherent Exposure</div>
+              <div className="raid-scoring-card-value">{formatMoney(scoring.exposure.inherent)}</div>
+              <div className="raid-summary-sub">
+                {formatMoney(scoring.exposure.costImpact)} cost impact across {scoring.exposure.items} items
+              </div>
+            </div>
+            <div className="raid-scoring-card contingency">
+              <div className="raid-scoring-card-label">
+                <Wallet size={14} />
+                Contingency
+              </div>
+              <div className="raid-scoring-card-value">{formatMoney(scoring.contingency)}</div>
+              <div className="raid-summary-sub">Residual exposure after mitigation</div>
+            </div>
+          </div>
+        )}
+
         {/* High Priority Alert */}
         {summary?.highPriorityItems?.length > 0 && (
           <div className="raid-priority-alert">
@@ -259,159 +347,170 @@ export default function RaidLog() {
           </div>
         )}
 
-        {/* Filter Bar */}
-        <div className="raid-filter-bar" data-testid="raid-filter-bar">
-          <div className="raid-search" data-testid="raid-search">
-            <Search size={16} />
-            <input
-              type="text"
-              placeholder="Search RAID items..."
-              value={searchTerm}
-              onChange={(e) => setSearchTerm(e.target.value)}
-              data-testid="raid-search-input"
-            />
+        {viewMode === 'heatmap' ? (
+          <RaidHeatMap
+            heatMap={scoring?.heatMap}
+            onSelectItem={(id) => setSelectedItem(items.find(i => i.id === id))}
+          />
+        ) : (
+          <>
+          {/* Filter Bar */}
+          <div className="raid-filter-bar" data-testid="raid-filter-bar">
+            <div className="raid-search" data-testid="raid-search">
+              <Search size={16} />
+              <input
+                type="text"
+                placeholder="Search RAID items..."
+                value={searchTerm}
+                onChange={(e) => setSearchTerm(e.target.value)}
+                data-testid="raid-search-input"
+              />
+            </div>
+
+            <select
+              className="raid-filter-select"
+              value={categoryFilter}
+              onChange={(e) => setCategoryFilter(e.target.value)}
+              data-testid="raid-category-filter"
+            >
+              <option value="all">All Categories</option>
+              <option value="Risk">Risks</option>
+              <option value="Assumption">Assumptions</option>
+              <option value="Issue">Issues</option>
+              <option value="Dependency">Dependencies</option>
+            </select>
+
+            <select
+              className="raid-filter-select"
+              value={statusFilter}
+              onChange={(e) => setStatusFilter(e.target.value)}
+              data-testid="raid-status-filter"
+            >
+              <option value="all">All Statuses</option>
+              <option value="Open">Open</option>
+              <option value="In Progress">In Progress</option>
+              <option value="Closed">Closed</option>
+              <option value="Accepted">Accepted</option>
+              <option value="Mitigated">Mitigated</option>
+            </select>
+
+            <select
+              className="raid-filter-select"
+              value={severityFilter}
+              onChange={(e) => setSeverityFilter(e.target.value)}
+              data-testid="raid-severity-filter"
+            >
+              <option value="all">All Severities</option>
+              <option value="High">High</option>
+              <option value="Medium">Medium</option>
+              <option value="Low">Low</option>
+            </select>
+
+            {hasActiveFilters && (
+              <button className="raid-clear-filters" onClick={clearFilters} data-testid="raid-clear-filters">
+                <X size={14} />
+                Clear filters
+              </button>
+            )}
           </div>
 
-          <select
-            className="raid-filter-select"
-            value={categoryFilter}
-            onChange={(e) => setCategoryFilter(e.target.value)}
-            data-testid="raid-category-filter"
-          >
-            <option value="all">All Categories</option>
-            <option value="Risk">Risks</option>
-            <option value="Assumption">Assumptions</option>
-            <option value="Issue">Issues</option>
-            <option value="Dependency">Dependencies</option>
-          </select>
-
-          <select
-            className="raid-filter-select"
-            value={statusFilter}
-            onChange={(e) => setStatusFilter(e.target.value)}
-            data-testid="raid-status-filter"
-          >
-            <option value="all">All Statuses</option>
-            <option value="Open">Open</option>
-            <option value="In Progress">In Progress</option>
-            <option value="Closed">Closed</option>
-            <option value="Accepted">Accepted</option>
-            <option value="Mitigated">Mitigated</option>
-          </select>
-
-          <select
-            className="raid-filter-select"
-            value={severityFilter}
-            onChange={(e) => setSeverityFilter(e.target.value)}
-            data-testid="raid-severity-filter"
-          >
-            <option value="all">All Severities</option>
-            <option value="High">High</option>
-            <option value="Medium">Medium</option>
-            <option value="Low">Low</option>
-          </select>
-
-          {hasActiveFilters && (
-            <button className="raid-clear-filters" onClick={clearFilters} data-testid="raid-clear-filters">
-              <X size={14} />
-              Clear filters
-            </button>
-          )}
-        </div>
+          {/* Category Sections */}
+          <div className="raid-categories">
+            {Object.entries(CATEGORIES).map(([category, config]) => {
+              const Icon = config.icon;
+              const categoryItems = groupedItems[category];
+              const isExpanded = expandedCategories[category];
 
-        {/* Category Sections */}
-        <div className="raid-categories">
-          {Object.entries(CATEGORIES).map(([category, config]) => {
-            const Icon = config.icon;
-            const categoryItems = groupedItems[category];
-            const isExpanded = expandedCategories[category];
-
-            return (
-              <div key={category} className={`raid-category ${config.className} ${isExpanded ? 'expanded' : ''}`} data-testid={`raid-category-${category.toLowerCase()}`}>
-                <button
-                  className="raid-category-header"
-                  onClick={() => setExpandedCategories(prev => ({
-                    ...prev, [category]: !prev[category]
-                  }))}
-                >
-                  <div className="raid-category-left">
-                    <div className="raid-category-icon">
-                      <Icon size={18} />
-                    </div>
-                    <span className="raid-category-title">
-                      {config.plural}
-                      <span className="raid-category-count">({categoryItems.length})</span>
-                    </span>
-                  </div>
-                  <ChevronDown size={20} className="raid-category-chevron" />
-                </button>
-
-                {isExpanded && (
-                  <div className="raid-items-list">
-                    {categoryItems.length === 0 ? (
-                      <div className="raid-empty">
-                        <Icon size={32} className="raid-empty-icon" />
-                        <div className="raid-empty-text">No {config.plural.toLowerCase()} found</div>
+              return (
+                <div key={category} className={`raid-category ${config.className} ${isExpanded ? 'expanded' : ''}`} data-testid={`raid-category-${category.toLowerCase()}`}>
+                  <button
+                    className="raid-category-header"
+                    onClick={() => setExpandedCategories(prev => ({
+                      ...prev, [category]: !prev[category]
+                    }))}
+                  >
+                    <div className="raid-category-left">
+                      <div className="raid-category-icon">
+                        <Icon size={18} />
                       </div>
-                    ) : (
-                      categoryItems.map(item => (
-                        <div
-                          key={item.id}
-                          className="raid-item"
-                          onClick={() => setSelectedItem(item)}
-                          data-testid={`raid-item-${item.id}`}
-                        >
-                          <div className="raid-item-main">
-                            <div className="raid-item-content">
-                              <div className="raid-item-header">
-                                <span className="raid-item-ref">{item.raid_ref}</span>
-                                <span className="raid-item-title">{item.title || 'Untitled'}</span>
+                      <span className="raid-category-title">
+                        {config.plural}
+                        <span className="raid-category-count">({categoryItems.length})</span>
+                      </span>
+                    </div>
+                    <ChevronDown size={20} className="raid-category-chevron" />
+                  </button>
+
+                  {isExpanded && (
+                    <div className="raid-items-list">
+                      {categoryItems.length === 0 ? (
+                        <div className="raid-empty">
+                          <Icon size={32} className="raid-empty-icon" />
+                          <div className="raid-empty-text">No {config.plural.toLowerCase()} found</div>
+                        </div>
+                      ) : (
+                        categoryItems.map(item => (
+                          <div
+                            key={item.id}
+                            className="raid-item"
+                            onClick={() => setSelectedItem(item)}
+                            data-testid={`raid-item-${item.id}`}
+                          >
+                            <div className="raid-item-main">
+                              <div className="raid-item-content">
+                                <div className="raid-item-header">
+                                  <span className="raid-item-ref">{item.raid_ref}</span>
+                                  <span className="raid-item-title">{item.title || 'Untitled'}</span>
+                                </div>
+                                <div className="raid-item-description">{item.description}</div>
+                                <div className="raid-item-meta">
+                                  {item.owner && (
+                                    <span className="raid-item-meta-item">
+                                      <User size={14} />
+                                      {item.owner.name}
+                                    </span>
+                                  )}
+                                  {item.due_date && (
+                                    <span className="raid-item-meta-item">
+                                      <Calendar size={14} />
+                                      {new Date(item.due_date).toLocaleDateString('en-GB', {
+                                        day: 'numeric', month: 'short'
+                                      })}
+                                    </span>
+                                  )}
+                                </div>
                               </div>
-                              <div className="raid-item-description">{item.description}</div>
-                              <div className="raid-item-meta">
-                                {item.owner && (
-                                  <span className="raid-item-meta-item">
-                                    <User size={14} />
-                                    {item.owner.name}
+                              <div className="raid-item-badges">
+                                {isScoredCategory(item.category) && <ScoreBadge item={item} scale={scale} />}
+                                {item.severity && (
+                                  <span className={`raid-badge severity-${item.severity.toLowerCase()}`}>
+                                    <span className="raid-badge-dot" />
+                                    {item.severity}
                                   </span>
                                 )}
-                                {item.due_date && (
-                                  <span className="raid-item-meta-item">
-                                    <Calendar size={14} />
-                                    {new Date(item.due_date).toLocaleDateString('en-GB', {
-                                      day: 'numeric', month: 'short'
-                                    })}
-                                  </span>
-                                )}
-                              </div>
-                            </div>
-                            <div className="raid-item-badges">
-                              {item.severity && (
-                                <span className={`raid-badge severity-${item.severity.toLowerCase()}`}>
-                                  <span className="raid-badge-dot" />
-                                  {item.severity}
+                                <span className={`raid-badge status-${item.status.toLowerCase().replace(' ', '-')}`}>
+                                  {item.status}
                                 </span>
-                              )}
-                              <span className={`raid-badge status-${item.status.toLowerCase().replace(' ', '-')}`}>
-                                {item.status}
-                              </span>
+                              </div>
                             </div>
                           </div>
-                        </div>
-                      ))
-                    )}
-                  </div>
-                )}
-              </div>
-            );
-          })}
-        </div>
+                        ))
+                      )}
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+          </>
+        )}
       </div>
 
       {/* Add Form Modal */}
       {showAddForm && (
         <RaidAddForm
           projectId={projectId}
+          scale={scale}
           onClose={() => setShowAddForm(false)}
           onSaved={() => {
             setShowAddForm(false);
@@ -424,12 +523,14 @@ export default function RaidLog() {
       {selectedItem && (
         <RaidDetailModal
           item={selectedItem}
+          scale={scale}
           onClose={() => setSelectedItem(null)}
           onUpdate={async (updates) => {
             await raidService.update(selectedItem.id, updates);
             await fetchData();
             setSelectedItem(null);
           }}
+          onRefresh={fetchData}
           onDelete={() => {
             setDeleteDialog({ isOpen: true, item: selectedItem });
             setSelectedItem(null);
@@ -7,9 +7,10 @@
  * - Partner association for third-party resources
  * - Timesheet and expense summaries
  * - Margin calculations (admin/supplier PM only)
+ * - Effective-dated rate card history and rate changes
  * 
- * @version 3.0 - Refactored to use centralised utilities, removed allocation tracking
- * @updated 6 December 2025
+ * @version 3.3 - Resource rates locked once timesheets exist
+ * @updated 19 October 2026
  */
 
 import React, { useState, useEffect } from 'react';
@@ -23,7 +24,8 @@ import { useResourcePermissions } from '../hooks/useResourcePermissions';
 import { VALID_STATUSES, hoursToDays } from '../config/metricsConfig';
 import { TIMESHEET_STATUS } from '../lib/timesheetCalculations';
 import { LoadingSpinner, StatCard } from '../components/common';
-import { resourcesService, partnersService, timesheetsService, expensesService } from '../services';
+import { resourcesService, partnersService, timesheetsService, expensesService, rateCardsService } from '../services';
+import { createRateResolver } from '../lib/rateCards';
 import {
   RESOURCE_TYPE,
   sfiaToDisplay,
@@ -42,7 +44,8 @@ import {
   ResourceDateFilter,
   ResourceDetailsDisplay,
   TimesheetsCard,
-  ExpensesCard
+  ExpensesCard,
+  RateCardPanel
 } from '../components/resources';
 
 export default function ResourceDetail() {
@@ -57,7 +60,8 @@ export default function ResourceDetail() {
     canSeeCostPrice, 
     canSeeResourceType,
     canSeeMargins,
-    canLinkToPartner
+    canLinkToPartner,
+    canEditFinancials
   } = useResourcePermissions();
 
   // State
@@ -65,6 +69,8 @@ export default function ResourceDetail() {
   const [partners, setPartners] = useState([]);
   const [timesheets, setTimesheets] = useState([]);
   const [expenses, setExpenses] = useState([]);
+  const [rateCards, setRateCards] = useState([]);
+  const [benchmarkRate, setBenchmarkRate] = useState(null);
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [isEditing, setIsEditing] = useState(false);
@@ -97,6 +103,12 @@ export default function ResourceDetail() {
     fetchPartners();
   }, [resource?.project_id, canLinkToPartner]);
 
+  // Benchmark median for the resource's SFIA level, shown when adding a level rate
+  useEffect(() => {
+    if (!resource?.sfia_level || !canEditFinancials) return;
+    rateCardsService.getBenchmarkRate(resource.sfia_level).then(setBenchmarkRate);
+  }, [resource?.sfia_level, canEditFinancials]);
+
   async function fetchResourceData() {
     try {
       setLoading(true);
@@ -112,17 +124,25 @@ export default function ResourceDetail() {
         return;
       }
 
-      // Get timesheet summary for stats
-      const timesheetsForSummary = await timesheetsService.getAll(resourceData.project_id, {
-        filters: [{ column: 'resource_id', operator: 'eq', value: id }],
-        select: 'id, hours_worked, hours, status, was_rejected'
-      });
-
-      let totalHours = 0, approvedHours = 0, pendingHours = 0;
+      // Get timesheet summary for stats, valued at the rate on each date
+      const [timesheetsForSummary, cards] = await Promise.all([
+        timesheetsService.getAll(resourceData.project_id, {
+          filters: [{ column: 'resource_id', operator: 'eq', value: id }],
+          select: 'id, date, hours_worked, hours, status, was_rejected'
+        }),
+        rateCardsService.getForProject(resourceData.project_id)
+      ]);
+      setRateCards(cards);
+      const resolveRates = createRateResolver(cards);
+
+      let totalHours = 0, approvedHours = 0, pendingHours = 0, sellValue = 0, costValue = 0;
       if (timesheetsForSummary) {
         timesheetsForSummary.forEach(ts => {
           const hours = parseFloat(ts.hours_worked || ts.hours || 0);
+          const rates = resolveRates(resourceData, ts.date);
           totalHours += hours;
+          sellValue += calculateSellValue(hoursToDays(hours), rates.sell_price);
+          costValue += calculateCostValue(hoursToDays(hours), rates.cost_price);
           if (VALID_STATUSES.timesheets.completed.includes(ts.status)) {
             approvedHours += hours;
           } else if (ts.status === TIMESHEET_STATUS.SUBMITTED && !ts.was_rejected) {
@@ -133,12 +153,15 @@ export default function ResourceDetail() {
 
       setResource({
         ...resourceData,
+        currentRates: resolveRates(resourceData),
         timesheetSummary: { 
           totalEntries: timesheetsForSummary?.length || 0, 
           totalHours, 
           approvedHours, 
           pendingHours, 
-          daysWorked: hoursToDays(totalHours) 
+          daysWorked: hoursToDays(totalHours),
+          sellValue,
+          costValue
         }
       });
 
@@ -215,6 +238,8 @@ export default function ResourceDetail() {
   }
 
   // Edit handling
+  const ratesLocked = (resource?.timesheetSummary?.totalEntries || 0) > 0;
+
   function startEditing() {
     setEditForm({
       name: resource.name || '',
@@ -226,7 +251,8 @@ export default function ResourceDetail() {
       cost_price: resource.cost_price || '',
       discount_percent: resource.discount_percent || 0,
       resource_type: resource.resource_type || RESOURCE_TYPE.INTERNAL,
-      partner_id: resource.partner_id || ''
+      partner_id: resource.partner_id || '',
+      contracted_hours_per_week: resource.contracted_hours_per_week || ''
     });
     setIsEditing(true);
   }
@@ -242,16 +268,23 @@ export default function ResourceDetail() {
         role: editForm.role,
         resource_ref: editForm.resource_ref,
         sfia_level: sfiaToDatabase(editForm.sfia_level),
-        sell_price: parseFloat(editForm.sell_price) || 0,
         discount_percent: parseFloat(editForm.discount_percent) || 0,
         resource_type: editForm.resource_type,
         partner_id: editForm.resource_type === RESOURCE_TYPE.THIRD_PARTY 
           ? (editForm.partner_id || null) 
-          : null
+          : null,
+        contracted_hours_per_week: editForm.contracted_hours_per_week === '' 
+          ? null 
+          : parseFloat(editForm.contracted_hours_per_week)
       };
 
-      if (canSeeCostPrice) {
-        updates.cost_price = editForm.cost_price === '' ? null : parseFloat(editForm.cost_price);
+      // The resource rates value timesheets before the first rate card, so
+      // once there are timesheets a rate change must be a dated rate card
+      if (!ratesLocked) {
+        updates.sell_price = parseFloat(editForm.sell_price) || 0;
+        if (canSeeCostPrice) {
+          updates.cost_price = editForm.cost_price === '' ? null : parseFloat(editForm.cost_price);
+        }
       }
 
       await resourcesService.update(id, updates);
@@ -282,16 +315,32 @@ export default function ResourceDetail() {
     );
   }
 
-  // Calculate stats
-  const margin = calculateMargin(resource.sell_price, resource.cost_price);
+  async function handleAddRateCard(card) {
+    await rateCardsService.create({ ...card, created_by: user?.id });
+    await fetchResourceData();
+  }
+
+  async function handleDeleteRateCard(card) {
+    try {
+      await rateCardsService.delete(card.id, user?.id);
+      await fetchResourceData();
+    } catch (err) {
+      console.error('Error deleting rate card:', err);
+      setError('Failed to remove rate change: ' + err.message);
+    }
+  }
+
+  // Calculate stats (margin at today's rates)
+  const currentRates = resource.currentRates || resource;
+  const margin = calculateMargin(currentRates.sell_price, currentRates.cost_price);
   const marginConfig = getMarginConfig(margin.percent);
   const MarginIcon = marginConfig.icon;
   const typeConfig = getResourceTypeConfig(resource.resource_type);
   const TypeIcon = typeConfig.icon;
   
   const daysUsed = resource.timesheetSummary?.daysWorked || 0;
-  const sellValue = calculateSellValue(daysUsed, resource.sell_price);
-  const costValue = canSeeCostPrice ? calculateCostValue(daysUsed, resource.cost_price) : null;
+  const sellValue = resource.timesheetSummary?.sellValue || 0;
+  const costValue = canSeeCostPrice ? resource.timesheetSummary?.costValue || 0 : null;
 
   return (
     <div className="page-container">
@@ -373,7 +422,7 @@ export default function ResourceDetail() {
           icon={DollarSign} 
           label="Sell Value" 
           value={`£${sellValue.toLocaleString()}`} 
-          subtext={`@ £${resource.sell_price}/day`}
+          subtext={`@ £${currentRates.sell_price ?? 0}/day`}
           color="#10b981" 
         />
         {canSeeCostPrice && (
@@ -381,7 +430,7 @@ export default function ResourceDetail() {
             icon={DollarSign} 
             label="Cost Value" 
             value={costValue !== null ? `£${costValue.toLocaleString()}` : 'N/A'} 
-            subtext={resource.cost_price ? `@ £${resource.cost_price}/day` : 'No cost set'}
+            subtext={currentRates.cost_price ? `@ £${currentRates.cost_price}/day` : 'No cost set'}
             color="#6366f1" 
           />
         )}
@@ -438,6 +487,7 @@ export default function ResourceDetail() {
               partners={partners}
               canSeeCostPrice={canSeeCostPrice}
               canSeeResourceType={canSeeResourceType}
+              ratesLocked={ratesLocked}
             />
           ) : (
             <ResourceDetailsDisplay
@@ -456,6 +506,15 @@ export default function ResourceDetail() {
               timesheets={timesheets} 
               dateRangeLabel={getDateRangeLabel()} 
             />
+            <RateCardPanel
+              resource={resource}
+              cards={rateCards}
+              canEdit={canEditFinancials}
+              canSeeCostPrice={canSeeCostPrice}
+              benchmarkRate={benchmarkRate}
+              onAdd={handleAddRateCard}
+              onDelete={handleDeleteRateCard}
+            />
           </div>
         )}
       </div>
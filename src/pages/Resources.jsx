@@ -7,13 +7,13 @@
  * Shows days used (from validated timesheets) and value calculations.
  * Cost price and margins visible to Supplier PM and Admin only.
  * 
- * @version 3.1 - Added data-testid attributes for E2E testing
- * @updated 6 December 2025
+ * @version 3.2 - Rates shown are today's rate card rates; value at the rate on each timesheet date
+ * @updated 19 October 2026
  */
 
 import React, { useState, useEffect, useCallback } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
-import { resourcesService, timesheetsService, partnersService } from '../services';
+import { resourcesService, timesheetsService, partnersService, rateCardsService } from '../services';
 import { timesheetContributesToSpend, hoursToDays } from '../config/metricsConfig';
 import { 
   Users, Plus, Save, X, Award, RefreshCw
@@ -55,6 +55,8 @@ export default function Resources() {
 
   const [resources, setResources] = useState([]);
   const [timesheetHours, setTimesheetHours] = useState({});
+  const [timesheetValue, setTimesheetValue] = useState({});
+  const [currentRates, setCurrentRates] = useState({});
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [showAddForm, setShowAddForm] = useState(false);
@@ -81,19 +83,35 @@ export default function Resources() {
     if (!projectId) return;
     setLoading(true);
     try {
-      const data = await resourcesService.getAll(projectId, { includePartner: false });
+      const [data, resolveRates] = await Promise.all([
+        resourcesService.getAll(projectId, { includePartner: false }),
+        rateCardsService.getRateResolver(projectId)
+      ]);
       setResources(data);
 
-      // Get validated timesheet hours per resource
+      const resourcesById = {};
+      const ratesByResource = {};
+      data.forEach(r => {
+        resourcesById[r.id] = r;
+        ratesByResource[r.id] = resolveRates(r);
+      });
+      setCurrentRates(ratesByResource);
+
+      // Get validated timesheet hours and value (at the rate on each date) per resource
       const timesheets = await timesheetsService.getAllFiltered(projectId, true);
       const hoursByResource = {};
+      const valueByResource = {};
       timesheets.forEach(ts => {
         const countsTowardsCost = timesheetContributesToSpend(ts.status) && !ts.was_rejected;
         if (!countsTowardsCost) return;
         const hours = parseFloat(ts.hours_worked || ts.hours || 0);
+        const resource = resourcesById[ts.resource_id];
         hoursByResource[ts.resource_id] = (hoursByResource[ts.resource_id] || 0) + hours;
+        valueByResource[ts.resource_id] = (valueByResource[ts.resource_id] || 0)
+          + calculateSellValue(hoursToDays(hours), resource ? resolveRates(resource, ts.date).sell_price : 0);
       });
       setTimesheetHours(hoursByResource);
+      setTimesheetValue(valueByResource);
     } catch (error) {
       console.error('Error fetching resources:', error);
       showError('Failed to load resources');
@@ -509,10 +527,11 @@ export default function Resources() {
                 const daysUsed = hoursToDays(hoursWorked);
                 const typeConfig = getResourceTypeConfig(resource.resource_type);
                 const TypeIcon = typeConfig.icon;
-                const margin = calculateMargin(resource.sell_price, resource.cost_price);
+                const rates = currentRates[resource.id] || resource;
+                const margin = calculateMargin(rates.sell_price, rates.cost_price);
                 const marginConfig = getMarginConfig(margin.percent);
                 const MarginIcon = marginConfig.icon;
-                const totalValue = calculateSellValue(daysUsed, resource.sell_price);
+                const totalValue = timesheetValue[resource.id] || 0;
                 
                 return (
                   <tr key={resource.id} onClick={() => navigate(`/resources/${resource.id}`)} data-testid={`resource-row-${resource.id}`}>
@@ -541,10 +560,10 @@ export default function Resources() {
                         {sfiaToDisplay(resource.sfia_level)}
                       </span>
                     </td>
-                    <td className="res-mono">£{resource.sell_price}</td>
+                    <td className="res-mono">£{rates.sell_price ?? 0}</td>
                     {canSeeCostPrice && (
                       <td className="res-mono" data-testid={`resource-cost-rate-${resource.id}`}>
-                        {resource.cost_price ? `£${resource.cost_price}` : <span className="res-na">—</span>}
+                        {rates.cost_price ? `£${rates.cost_price}` : <span className="res-na">—</span>}
                       </td>
                     )}
                     {canSeeMargins && (
@@ -7,15 +7,22 @@
  *
  * Uses centralised timesheet calculations for status display and workflow.
  *
- * @version 4.2 - Added workflow settings integration (WP-08)
- * @updated 16 January 2026
+ * Week Grid mode books a whole week at once against milestones,
+ * deliverables and tasks (TimesheetWeekGrid).
+ *
+ * PMs can open the compliance panel to see who hasn't submitted time
+ * (TimesheetCompliancePanel).
+ *
+ * @version 4.6 - Records the reviewer and delegated approvals
+ * @updated 19 October 2026
  */
 
-import React, { useState, useEffect, useCallback } from 'react';
-import { timesheetsService, milestonesService, resourcesService } from '../services';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { timesheetsService, milestonesService, resourcesService, rateCardsService } from '../services';
+import { createRateResolver } from '../lib/rateCards';
 import { timesheetContributesToSpend, calculateCostValue } from '../config/metricsConfig';
 import { 
-  Clock, Plus, Save, X, Calendar, User, CalendarDays, RefreshCw
+  Clock, Plus, Save, X, Calendar, User, CalendarDays, RefreshCw, LayoutGrid, ClipboardCheck
 } from 'lucide-react';
 import { useTestUsers } from '../contexts/TestUserContext';
 import { useAuth } from '../contexts/AuthContext';
@@ -24,7 +31,12 @@ import { useToast } from '../contexts/ToastContext';
 import { usePermissions } from '../hooks/usePermissions';
 import { useWorkflowFeatures } from '../hooks/useProjectSettings';
 import { LoadingSpinner, ConfirmDialog, PromptDialog } from '../components/common';
-import { TimesheetDetailModal, TimesheetDateFilter } from '../components/timesheets';
+import {
+  TimesheetDetailModal,
+  TimesheetDateFilter,
+  TimesheetWeekGrid,
+  TimesheetCompliancePanel
+} from '../components/timesheets';
 import {
   TIMESHEET_STATUS,
   ENTRY_TYPE,
@@ -35,6 +47,9 @@ import {
 } from '../lib/timesheetCalculations';
 import './Timesheets.css';
 
+// Entry mode for the weekly grid (its entries are saved as daily entries)
+const GRID_MODE = 'grid';
+
 export default function Timesheets() {
   const { user, linkedResource } = useAuth();
   const { projectId } = useProject();
@@ -48,8 +63,11 @@ export default function Timesheets() {
   const {
     userRole, // Still needed for page-level checks
     canAddTimesheet,
+    canAddTimesheetForOthers,
+    canApproveTimesheets,
     getAvailableResources
   } = usePermissions();
+  const canViewCompliance = canAddTimesheetForOthers || canApproveTimesheets;
 
   // v4.2: Check if timesheets feature is enabled for this project
   const { timesheetsEnabled } = useWorkflowFeatures();
@@ -57,15 +75,17 @@ export default function Timesheets() {
   const [timesheets, setTimesheets] = useState([]);
   const [resources, setResources] = useState([]);
   const [milestones, setMilestones] = useState([]);
+  const [rateCards, setRateCards] = useState([]);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [showAddForm, setShowAddForm] = useState(false);
+  const [showCompliance, setShowCompliance] = useState(false);
   const [editingId, setEditingId] = useState(null);
   const [editForm, setEditForm] = useState({});
   const [filterResource, setFilterResource] = useState('all');
   const [entryMode, setEntryMode] = useState(ENTRY_TYPE.DAILY);
   const [deleteDialog, setDeleteDialog] = useState({ isOpen: false, timesheetId: null, timesheetData: null });
-  const [rejectDialog, setRejectDialog] = useState({ isOpen: false, timesheetId: null });
+  const [rejectDialog, setRejectDialog] = useState({ isOpen: false, timesheetId: null, review: null });
   const [detailModal, setDetailModal] = useState({ isOpen: false, timesheet: null });
 
   // Date range filter state
@@ -100,6 +120,8 @@ export default function Timesheets() {
         orderBy: { column: 'milestone_ref', ascending: true } 
       });
       setMilestones(milestonesData);
+
+      setRateCards(await rateCardsService.getForProject(projectId));
     } catch (error) {
       console.error('Error fetching data:', error);
       showError('Failed to load timesheets');
@@ -110,6 +132,8 @@ export default function Timesheets() {
   }, [projectId, showTestUsers, testUserIds, showError]);
 
   useEffect(() => { fetchData(); }, [fetchData]);
+
+  const resolveRates = useMemo(() => createRateResolver(rateCards), [rateCards]);
   
   useEffect(() => { 
     if (currentUserResourceId) {
@@ -215,6 +239,8 @@ export default function Timesheets() {
       await timesheetsService.update(id, { 
         resource_id: form.resource_id, 
         milestone_id: form.milestone_id || null, 
+        deliverable_id: form.deliverable_id || null, 
+        task_id: form.task_id || null, 
         date: form.work_date, 
         work_date: form.work_date, 
         week_ending: form.week_ending || null, 
@@ -243,7 +269,7 @@ export default function Timesheets() {
         resourceName: ts.resources?.name || resource?.name || 'Unknown', 
         date: ts.work_date || ts.date, 
         hours, 
-        costImpact: calculateCostValue(hours, resource?.cost_price), 
+        costImpact: calculateCostValue(hours, resolveRates(resource || ts.resources, ts.work_date || ts.date).cost_price), 
         status: ts.status 
       } 
     });
@@ -273,9 +299,9 @@ export default function Timesheets() {
     } 
   }
   
-  async function handleValidate(id) { 
+  async function handleValidate(id, review) { 
     try { 
-      await timesheetsService.validate(id); 
+      await timesheetsService.validate(id, review); 
       await fetchData(); 
       showSuccess('Timesheet validated!'); 
     } catch (error) { 
@@ -283,15 +309,15 @@ export default function Timesheets() {
     } 
   }
   
-  function handleRejectClick(id) {
-    setRejectDialog({ isOpen: true, timesheetId: id });
+  function handleRejectClick(id, review) {
+    setRejectDialog({ isOpen: true, timesheetId: id, review });
   }
 
   async function confirmReject(reason) {
     if (!rejectDialog.timesheetId) return;
     try {
-      await timesheetsService.reject(rejectDialog.timesheetId, reason);
-      setRejectDialog({ isOpen: false, timesheetId: null });
+      await timesheetsService.reject(rejectDialog.timesheetId, reason, rejectDialog.review || {});
+      setRejectDialog({ isOpen: false, timesheetId: null, review: null });
       await fetchData();
       showWarning('Timesheet rejected');
     } catch (error) {
@@ -388,6 +414,15 @@ export default function Timesheets() {
             >
               <RefreshCw size={18} className={refreshing ? 'spinning' : ''} /> Refresh
             </button>
+            {canViewCompliance && (
+              <button
+                className={`ts-btn ts-btn-secondary ${showCompliance ? 'active' : ''}`}
+                onClick={() => setShowCompliance(!showCompliance)}
+                data-testid="timesheets-compliance-button"
+              >
+                <ClipboardCheck size={18} /> Compliance
+              </button>
+            )}
             {!showAddForm && canAddTimesheet && (
               <button 
                 className="ts-btn ts-btn-primary" 
@@ -402,6 +437,17 @@ export default function Timesheets() {
       </header>
 
       <div className="ts-content" data-testid="timesheets-content">
+        {showCompliance && (
+          <TimesheetCompliancePanel
+            projectId={projectId}
+            canRemind={canAddTimesheetForOthers}
+            currentUserId={currentUserId}
+            onClose={() => setShowCompliance(false)}
+            showSuccess={showSuccess}
+            showError={showError}
+          />
+        )}
+
         {/* Date Range Filter */}
         <TimesheetDateFilter
           dateRange={dateRange}
@@ -461,99 +507,124 @@ export default function Timesheets() {
                 >
                   <CalendarDays size={18} /> Weekly Summary
                 </button>
+                <button 
+                  type="button" 
+                  onClick={() => setEntryMode(GRID_MODE)} 
+                  className={`ts-mode-btn ${entryMode === GRID_MODE ? 'active' : ''}`}
+                  data-testid="timesheet-mode-grid"
+                >
+                  <LayoutGrid size={18} /> Week Grid
+                </button>
               </div>
             </div>
             {availableResources.length === 0 && (
               <div className="ts-warning" data-testid="timesheet-no-resource-warning">⚠️ Your account is not linked to a resource.</div>
             )}
-            <div className="ts-form-grid">
-              <div className="ts-form-group">
-                <label>Resource *</label>
-                <select 
-                  value={newTimesheet.resource_id} 
-                  onChange={(e) => setNewTimesheet({ ...newTimesheet, resource_id: e.target.value })}
-                  data-testid="timesheet-resource-select"
-                >
-                  <option value="">Select Resource</option>
-                  {availableResources.map(r => (
-                    <option key={r.id} value={r.id}>{r.name}</option>
-                  ))}
-                </select>
-              </div>
-              {entryMode === ENTRY_TYPE.DAILY ? (
-                <div className="ts-form-group">
-                  <label>Date *</label>
-                  <input 
-                    type="date" 
-                    value={newTimesheet.work_date} 
-                    onChange={(e) => setNewTimesheet({ ...newTimesheet, work_date: e.target.value })}
-                    data-testid="timesheet-date-input"
-                  />
+            {entryMode === GRID_MODE ? (
+              <TimesheetWeekGrid
+                projectId={projectId}
+                resources={availableResources}
+                milestones={milestones}
+                defaultResourceId={currentUserResourceId}
+                currentUserId={currentUserId}
+                onSaved={fetchData}
+                onClose={() => setShowAddForm(false)}
+                showSuccess={showSuccess}
+                showError={showError}
+                showWarning={showWarning}
+              />
+            ) : (
+              <>
+                <div className="ts-form-grid">
+                  <div className="ts-form-group">
+                    <label>Resource *</label>
+                    <select 
+                      value={newTimesheet.resource_id} 
+                      onChange={(e) => setNewTimesheet({ ...newTimesheet, resource_id: e.target.value })}
+                      data-testid="timesheet-resource-select"
+                    >
+                      <option value="">Select Resource</option>
+                      {availableResources.map(r => (
+                        <option key={r.id} value={r.id}>{r.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                  {entryMode === ENTRY_TYPE.DAILY ? (
+                    <div className="ts-form-group">
+                      <label>Date *</label>
+                      <input 
+                        type="date" 
+                        value={newTimesheet.work_date} 
+                        onChange={(e) => setNewTimesheet({ ...newTimesheet, work_date: e.target.value })}
+                        data-testid="timesheet-date-input"
+                      />
+                    </div>
+                  ) : (
+                    <div className="ts-form-group">
+                      <label>Week Ending *</label>
+                      <input 
+                        type="date" 
+                        value={newTimesheet.week_ending} 
+                        onChange={(e) => setNewTimesheet({ ...newTimesheet, week_ending: e.target.value })}
+                        data-testid="timesheet-week-ending-input"
+                      />
+                    </div>
+                  )}
+                  <div className="ts-form-group">
+                    <label>Milestone</label>
+                    <select 
+                      value={newTimesheet.milestone_id} 
+                      onChange={(e) => setNewTimesheet({ ...newTimesheet, milestone_id: e.target.value })}
+                      data-testid="timesheet-milestone-select"
+                    >
+                      <option value="">-- No specific milestone --</option>
+                      {milestones.map(m => (
+                        <option key={m.id} value={m.id}>{m.milestone_ref} - {m.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="ts-form-group">
+                    <label>Hours *</label>
+                    <input 
+                      type="number" 
+                      step="0.5" 
+                      min="0.5" 
+                      max={entryMode === ENTRY_TYPE.DAILY ? '12' : '60'} 
+                      placeholder={entryMode === ENTRY_TYPE.DAILY ? 'e.g., 8' : 'e.g., 40'} 
+                      value={newTimesheet.hours_worked} 
+                      onChange={(e) => setNewTimesheet({ ...newTimesheet, hours_worked: e.target.value })}
+                      data-testid="timesheet-hours-input"
+                    />
+                  </div>
+                  <div className="ts-form-group ts-full-width">
+                    <label>Description</label>
+                    <textarea 
+                      rows={2} 
+                      placeholder="What did you work on?" 
+                      value={newTimesheet.description} 
+                      onChange={(e) => setNewTimesheet({ ...newTimesheet, description: e.target.value })}
+                      data-testid="timesheet-description-input"
+                    />
+                  </div>
                 </div>
-              ) : (
-                <div className="ts-form-group">
-                  <label>Week Ending *</label>
-                  <input 
-                    type="date" 
-                    value={newTimesheet.week_ending} 
-                    onChange={(e) => setNewTimesheet({ ...newTimesheet, week_ending: e.target.value })}
-                    data-testid="timesheet-week-ending-input"
-                  />
+                <div className="ts-form-actions">
+                  <button 
+                    className="ts-btn ts-btn-primary" 
+                    onClick={handleAdd}
+                    data-testid="timesheet-save-button"
+                  >
+                    <Save size={16} /> Save
+                  </button>
+                  <button 
+                    className="ts-btn ts-btn-secondary" 
+                    onClick={() => setShowAddForm(false)}
+                    data-testid="timesheet-cancel-button"
+                  >
+                    <X size={16} /> Cancel
+                  </button>
                 </div>
-              )}
-              <div className="ts-form-group">
-                <label>Milestone</label>
-                <select 
-                  value={newTimesheet.milestone_id} 
-                  onChange={(e) => setNewTimesheet({ ...newTimesheet, milestone_id: e.target.value })}
-                  data-testid="timesheet-milestone-select"
-                >
-                  <option value="">-- No specific milestone --</option>
-                  {milestones.map(m => (
-                    <option key={m.id} value={m.id}>{m.milestone_ref} - {m.name}</option>
-                  ))}
-                </select>
-              </div>
-              <div className="ts-form-group">
-                <label>Hours *</label>
-                <input 
-                  type="number" 
-                  step="0.5" 
-                  min="0.5" 
-                  max={entryMode === ENTRY_TYPE.DAILY ? '12' : '60'} 
-                  placeholder={entryMode === ENTRY_TYPE.DAILY ? 'e.g., 8' : 'e.g., 40'} 
-                  value={newTimesheet.hours_worked} 
-                  onChange={(e) => setNewTimesheet({ ...newTimesheet, hours_worked: e.target.value })}
-                  data-testid="timesheet-hours-input"
-                />
-              </div>
-              <div className="ts-form-group ts-full-width">
-                <label>Description</label>
-                <textarea 
-                  rows={2} 
-                  placeholder="What did you work on?" 
-                  value={newTimesheet.description} 
-                  onChange={(e) => setNewTimesheet({ ...newTimesheet, description: e.target.value })}
-                  data-testid="timesheet-description-input"
-                />
-              </div>
-            </div>
-            <div className="ts-form-actions">
-              <button 
-                className="ts-btn ts-btn-primary" 
-                onClick={handleAdd}
-                data-testid="timesheet-save-button"
-              >
-                <Save size={16} /> Save
-              </button>
-              <button 
-                className="ts-btn ts-btn-secondary" 
-                onClick={() => setShowAddForm(false)}
-                data-testid="timesheet-cancel-button"
-              >
-                <X size={16} /> Cancel
-              </button>
-            </div>
+              </>
+            )}
           </div>
         )}
 
@@ -603,7 +674,9 @@ export default function Timesheets() {
                         : '—'}
                     </div>
                   </td>
-                  <td>{ts.milestones?.milestone_ref || '—'}</td>
+                  <td>
+                    {[ts.milestones?.milestone_ref, ts.deliverables?.deliverable_ref].filter(Boolean).join(' / ') || '—'}
+                  </td>
                   <td className="ts-hours">
                     {parseFloat(ts.hours_worked || ts.hours || 0).toFixed(1)}h
                   </td>
@@ -656,6 +729,7 @@ export default function Timesheets() {
         timesheet={detailModal.timesheet}
         resources={resources}
         milestones={milestones}
+        resolveRates={resolveRates}
         onClose={() => setDetailModal({ isOpen: false, timesheet: null })}
         onSave={handleSave}
         onSubmit={handleSubmit}
@@ -666,7 +740,7 @@ export default function Timesheets() {
 
       <PromptDialog
         isOpen={rejectDialog.isOpen}
-        onClose={() => setRejectDialog({ isOpen: false, timesheetId: null })}
+        onClose={() => setRejectDialog({ isOpen: false, timesheetId: null, review: null })}
         onConfirm={confirmReject}
         title="Reject Timesheet"
         message="Please provide a reason for rejecting this timesheet."
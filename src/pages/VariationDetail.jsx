@@ -7,9 +7,10 @@
  * - Edit & resubmit rejected variations
  * - Sign/reject variations
  * - View/download certificates
+ * - Revert applied variations to the previous baselines
  * 
- * @version 1.3
- * @updated 6 January 2026 - Added clickable milestone navigation
+ * @version 1.4
+ * @updated 19 October 2026 - Apply preconditions and revert of applied variations
  */
 
 import React, { useState, useEffect } from 'react';
@@ -38,7 +39,8 @@ import {
   User,
   RefreshCw,
   Trash2,
-  RotateCcw
+  RotateCcw,
+  Undo2
 } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
 import { useProject } from '../contexts/ProjectContext';
@@ -46,6 +48,7 @@ import { useToast } from '../contexts/ToastContext';
 import { usePermissions } from '../hooks/usePermissions';
 import { LoadingSpinner, ConfirmDialog } from '../components/common';
 import { formatDate, formatCurrency, formatDateTime } from '../lib/formatters';
+import { getApplyBlockers, getRevertBlockers } from '../lib/variationApplication';
 import VariationCertificateModal from '../components/variations/VariationCertificateModal';
 import CRDocumentModal from '../components/variations/CRDocumentModal';
 import { VariationImpactPanel } from '../components/variations';
@@ -57,7 +60,7 @@ export default function VariationDetail() {
   const { user, profile } = useAuth();
   const { projectId } = useProject();
   const { showSuccess, showError, showWarning } = useToast();
-  const { canCreateVariation, canDeleteVariation, canSignAsSupplier, canSignAsCustomer } = usePermissions();
+  const { canCreateVariation, canDeleteVariation, canSignAsSupplier, canSignAsCustomer, canRevertVariation } = usePermissions();
 
   const currentUserId = user?.id;
   const currentUserName = profile?.full_name || user?.email || 'Unknown';
@@ -71,6 +74,9 @@ export default function VariationDetail() {
   const [showCertificateModal, setShowCertificateModal] = useState(false);
   const [showCRModal, setShowCRModal] = useState(false);
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
+  const [showRevertDialog, setShowRevertDialog] = useState(false);
+  const [revertReason, setRevertReason] = useState('');
+  const [baselineVersions, setBaselineVersions] = useState({});
 
   useEffect(() => {
     if (id) {
@@ -87,6 +93,12 @@ export default function VariationDetail() {
         return;
       }
       setVariation(data);
+
+      // Latest baseline versions decide whether an applied variation can be reverted
+      if (data.status === VARIATION_STATUS.APPLIED) {
+        const milestoneIds = data.affected_milestones.map(vm => vm.milestone_id).filter(Boolean);
+        setBaselineVersions(await variationsService.getCurrentBaselineVersions(milestoneIds));
+      }
     } catch (error) {
       console.error('Error fetching variation:', error);
       showError('Failed to load variation');
@@ -189,6 +201,27 @@ export default function VariationDetail() {
     }
   }
 
+  async function handleRevert() {
+    if (!revertReason.trim()) {
+      showWarning('Please provide a reason for reverting');
+      return;
+    }
+
+    setSigning(true);
+    try {
+      await variationsService.revertVariation(id, revertReason);
+      showSuccess('Variation reverted to the previous baselines');
+      setShowRevertDialog(false);
+      setRevertReason('');
+      fetchVariation();
+    } catch (error) {
+      console.error('Error reverting variation:', error);
+      showError(error.message || 'Failed to revert variation');
+    } finally {
+      setSigning(false);
+    }
+  }
+
   function getStatusBadgeClass(status) {
     const classMap = {
       [VARIATION_STATUS.DRAFT]: 'draft',
@@ -197,7 +230,8 @@ export default function VariationDetail() {
       [VARIATION_STATUS.AWAITING_SUPPLIER]: 'awaiting',
       [VARIATION_STATUS.APPROVED]: 'approved',
       [VARIATION_STATUS.APPLIED]: 'applied',
-      [VARIATION_STATUS.REJECTED]: 'rejected'
+      [VARIATION_STATUS.REJECTED]: 'rejected',
+      [VARIATION_STATUS.REVERTED]: 'reverted'
     };
     return classMap[status] || 'draft';
   }
@@ -235,7 +269,9 @@ export default function VariationDetail() {
 
     const canViewCertificate = isApplied && variation.certificate_number;
 
-    return { canEdit, canEditAndResubmit, canSubmit, canDelete, canSupplierSign, canCustomerSign, canReject, canApply, canViewCertificate };
+    const canRevert = isApplied && canRevertVariation;
+
+    return { canEdit, canEditAndResubmit, canSubmit, canDelete, canSupplierSign, canCustomerSign, canReject, canApply, canViewCertificate, canRevert };
   }
 
   if (loading) {
@@ -247,6 +283,8 @@ export default function VariationDetail() {
   const statusConfig = STATUS_CONFIG[variation.status];
   const typeConfig = TYPE_CONFIG[variation.variation_type];
   const actions = getAvailableActions();
+  const applyBlockers = actions.canApply ? getApplyBlockers(variation) : [];
+  const revertBlockers = actions.canRevert ? getRevertBlockers(variation, baselineVersions) : [];
 
   return (
     <div className="variation-detail-page" data-testid="variation-detail-page">
@@ -295,7 +333,8 @@ export default function VariationDetail() {
               <button 
                 className="vd-btn vd-btn-primary" 
                 onClick={handleApply} 
-                disabled={signing}
+                disabled={signing || applyBlockers.length > 0}
+                title={applyBlockers.join('\n') || undefined}
                 data-testid="variation-apply-button"
               >
                 {signing ? <RefreshCw size={18} className="spinning" /> : <CheckCircle2 size={18} />}
@@ -315,6 +354,18 @@ export default function VariationDetail() {
                 View Certificate
               </button>
             )}
+            {actions.canRevert && (
+              <button
+                className="vd-btn vd-btn-danger-outline"
+                onClick={() => setShowRevertDialog(true)}
+                disabled={signing || revertBlockers.length > 0}
+                title={revertBlockers.join('\n') || undefined}
+                data-testid="variation-revert-button"
+              >
+                <Undo2 size={18} />
+                Revert
+              </button>
+            )}
           </div>
         </div>
       </header>
@@ -606,6 +657,32 @@ export default function VariationDetail() {
                     </div>
                   </div>
                 )}
+
+                {/* Revert Info */}
+                {variation.status === VARIATION_STATUS.REVERTED && (
+                  <div className="vd-rejection-info reverted">
+                    <Undo2 size={18} />
+                    <div>
+                      <strong>Reverted</strong>
+                      <p>{variation.revert_reason}</p>
+                      <span className="vd-rejection-date">
+                        by {variation.reverter?.full_name || 'Unknown'} on {formatDateTime(variation.reverted_at)}
+                        {variation.applied_at && ` (applied ${formatDateTime(variation.applied_at)})`}
+                      </span>
+                    </div>
+                  </div>
+                )}
+
+                {/* Apply Preconditions */}
+                {applyBlockers.length > 0 && (
+                  <div className="vd-rejection-info">
+                    <AlertTriangle size={18} />
+                    <div>
+                      <strong>Cannot apply yet</strong>
+                      {applyBlockers.map(blocker => <p key={blocker}>{blocker}</p>)}
+                    </div>
+                  </div>
+                )}
               </div>
             </div>
 
@@ -667,6 +744,39 @@ export default function VariationDetail() {
         </div>
       )}
 
+      {/* Revert Dialog */}
+      {showRevertDialog && (
+        <div className="vd-modal-overlay" onClick={() => setShowRevertDialog(false)}>
+          <div className="vd-modal" onClick={e => e.stopPropagation()}>
+            <div className="vd-modal-header">
+              <h3>Revert Variation</h3>
+              <button className="vd-modal-close" onClick={() => setShowRevertDialog(false)}>×</button>
+            </div>
+            <div className="vd-modal-body">
+              <p>
+                Each affected milestone goes back to the baseline it had before {variation.variation_ref},
+                recorded as a new baseline version, and its deliverable changes are undone.
+              </p>
+              <textarea
+                className="vd-reject-textarea"
+                value={revertReason}
+                onChange={e => setRevertReason(e.target.value)}
+                placeholder="Enter reason for reverting..."
+                rows={4}
+              />
+            </div>
+            <div className="vd-modal-footer">
+              <button className="vd-btn vd-btn-secondary" onClick={() => setShowRevertDialog(false)}>
+                Cancel
+              </button>
+              <button className="vd-btn vd-btn-danger" onClick={handleRevert} disabled={signing}>
+                Revert Variation
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Certificate Modal */}
       {showCertificateModal && (
         <VariationCertificateModal
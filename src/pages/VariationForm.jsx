@@ -9,8 +9,9 @@
  * - Step 5: Deliverable Due Date Updates
  * - Step 6: Review & Submit
  * 
- * @version 1.3
+ * @version 1.4
  * @updated 16 December 2025 - Moved milestone selection to Step 1, removed Impact Summary
+ * @updated 19 October 2026 - Impact simulation from the live plan in Step 2; deliverable date updates saved on submit
  */
 
 import React, { useState, useEffect, useCallback } from 'react';
@@ -49,7 +50,9 @@ import { useProject } from '../contexts/ProjectContext';
 import { useToast } from '../contexts/ToastContext';
 import { usePermissions } from '../hooks/usePermissions';
 import { LoadingSpinner } from '../components/common';
+import { VariationImpactSimulator } from '../components/variations';
 import { formatDate, formatCurrency } from '../lib/formatters';
+import { mergeByKey } from '../lib/variationImpact';
 import './VariationForm.css';
 
 // Updated: 6 steps instead of 7, milestone selection moved to Step 1
@@ -105,6 +108,8 @@ export default function VariationForm() {
     benefits: '',
     initiator_name: '',
     affected_milestones: [],
+    // Step 2: Plan changes last run through the impact simulator
+    impact_simulation: [],
     // Step 3: Assumptions & Risks
     assumptions: '',
     risks: '',
@@ -290,6 +295,18 @@ export default function VariationForm() {
     }
   }
 
+  // Replace the entries the simulation covers and keep everything else
+  function applyImpactSimulation({ affectedMilestones, deliverableUpdates, changes }) {
+    setFormData(prev => ({
+      ...prev,
+      affected_milestones: mergeByKey(prev.affected_milestones, affectedMilestones, 'milestone_id'),
+      deliverable_date_updates: mergeByKey(prev.deliverable_date_updates, deliverableUpdates, 'deliverable_id'),
+      impact_simulation: changes
+    }));
+    setAutoSaveStatus('unsaved');
+    showSuccess(`Impact applied to ${affectedMilestones.length} milestone(s) and ${deliverableUpdates.length} deliverable(s)`);
+  }
+
   function updateAffectedMilestone(index, field, value) {
     const updated = [...formData.affected_milestones];
     updated[index] = { ...updated[index], [field]: value };
@@ -500,12 +517,14 @@ export default function VariationForm() {
         throw new Error('Failed to create variation');
       }
 
-      // Clear existing affected milestones before re-adding (prevents duplicates)
+      // Clear existing deliverable changes and affected milestones before re-adding (prevents duplicates)
+      await variationsService.clearDeliverableChanges(currentVariation.id);
       await variationsService.clearAffectedMilestones(currentVariation.id);
 
       // Save affected milestones to variation_milestones table
+      const variationMilestoneIds = {};
       for (const am of formData.affected_milestones) {
-        await variationsService.addAffectedMilestone(currentVariation.id, {
+        const saved = await variationsService.addAffectedMilestone(currentVariation.id, {
           milestone_id: am.milestone_id,
           is_new_milestone: am.is_new_milestone || false,
           original_baseline_cost: am.original_baseline_cost,
@@ -516,6 +535,21 @@ export default function VariationForm() {
           new_baseline_end: am.new_baseline_end,
           change_rationale: am.change_rationale
         });
+        if (saved && am.milestone_id) {
+          variationMilestoneIds[am.milestone_id] = saved.id;
+        }
+      }
+
+      // Save deliverable due date updates to variation_deliverables table
+      for (const du of formData.deliverable_date_updates) {
+        if (!du.new_due_date || du.new_due_date === du.original_due_date) continue;
+        await variationsService.addDeliverableChange(currentVariation.id, {
+          change_type: 'modify',
+          deliverable_id: du.deliverable_id,
+          variation_milestone_id: variationMilestoneIds[du.milestone_id] || null,
+          original_data: { due_date: du.original_due_date },
+          new_data: { due_date: du.new_due_date }
+        });
       }
 
       // Submit for approval (pass empty string for impact_summary since it's removed)
@@ -792,7 +826,13 @@ export default function VariationForm() {
             <div className="vf-step-content">
               <div className="vf-card">
                 <h2>Impact Details</h2>
-                <p className="vf-card-desc">Specify the cost and schedule changes for each affected milestone.</p>
+                <p className="vf-card-desc">Specify the cost and schedule changes for each affected milestone, or simulate them from changes to the plan.</p>
+
+                <VariationImpactSimulator
+                  projectId={projectId}
+                  initialChanges={formData.impact_simulation || []}
+                  onApply={applyImpactSimulation}
+                />
 
                 {formData.affected_milestones.length === 0 ? (
                   <div className="vf-empty">
@@ -1044,11 +1084,14 @@ export default function VariationForm() {
                           ) : (
                             <div className="vf-deliverable-list">
                               {milestoneDeliverables.map(d => {
-                                const isSelected = formData.deliverable_date_updates.some(du => du.deliverable_id === d.id);
+                                const selectedUpdate = formData.deliverable_date_updates.find(du => du.deliverable_id === d.id);
+                                const isSelected = !!selectedUpdate;
                                 const currentDueDate = d.due_date || am.original_baseline_end;
                                 let newDueDate = null;
                                 
-                                if (currentDueDate) {
+                                if (selectedUpdate?.new_due_date) {
+                                  newDueDate = selectedUpdate.new_due_date;
+                                } else if (currentDueDate) {
                                   const date = new Date(currentDueDate);
                                   date.setDate(date.getDate() + daysDiff);
                                   newDueDate = date.toISOString().split('T')[0];
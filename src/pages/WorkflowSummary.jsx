@@ -4,26 +4,38 @@ import {
   ClipboardList, Clock, Receipt, FileText, Award, 
   ChevronRight, RefreshCw, User, AlertCircle,
   CheckCircle, Filter, Eye, UserCheck, GitBranch, Lock,
-  ToggleLeft, ToggleRight
+  ToggleLeft, ToggleRight, XCircle, ShieldAlert
 } from 'lucide-react';
 import { useProjectRole } from '../hooks/useProjectRole';
 import { useProject } from '../contexts/ProjectContext';
 import { useAuth } from '../contexts/AuthContext';
-import { workflowService, WORKFLOW_CATEGORIES, WORKFLOW_ROLES } from '../services';
+import { useToast } from '../contexts/ToastContext';
+import {
+  workflowService,
+  approvalDelegationsService,
+  WORKFLOW_CATEGORIES,
+  WORKFLOW_ROLES,
+  BULK_ACTION,
+  BULK_REVIEW_TYPES
+} from '../services';
 import { LoadingSpinner, PageHeader, StatCard } from '../components/common';
+import { ApprovalDelegationsPanel } from '../components/workflow';
 
 /**
  * WorkflowSummary Page
  * 
  * Displays all pending workflow items across the project with:
  * - Stats cards that filter on click
- * - All 13 workflow categories (timesheets, expenses, deliverables, variations, certificates, baselines)
+ * - All 14 workflow categories (timesheets, expenses, deliverables, variations, certificates, baselines, RAID actions)
  * - Role-based filtering with "Your Action" / "Info Only" indicators
  * - Deep linking with highlight parameter
  * - Actual timestamps for days pending calculation
+ * - Bulk approve / reject of timesheets and expenses with a shared reason
+ * - Approval delegation: items a delegate approves on a customer PM's behalf
+ * - Overdue RAID mitigation and contingency actions
  * 
- * @version 4.0
- * @updated 16 December 2025
+ * @version 4.2
+ * @updated 19 October 2026 - Overdue RAID actions
  * @phase Workflow System Enhancement - Segment 4
  */
 
@@ -33,7 +45,11 @@ export default function WorkflowSummary() {
   const [filterCategory, setFilterCategory] = useState('all');
   const [showOnlyMyActions, setShowOnlyMyActions] = useState(false);
   const [refreshing, setRefreshing] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [bulkReason, setBulkReason] = useState('');
+  const [bulkAction, setBulkAction] = useState(null);
   const navigate = useNavigate();
+  const { showSuccess, showError } = useToast();
   
   // Use project context instead of hardcoded project ID
   const { projectId, projectRef, isLoading: projectLoading } = useProject();
@@ -83,10 +99,14 @@ export default function WorkflowSummary() {
     try {
       // Get the workflow role for the current user
       const workflowRole = mapRoleToWorkflowRole(effectiveRole);
+
+      // Delegations let a user act on customer PM items on their behalf
+      const delegations = await approvalDelegationsService.getActiveDelegations(projectId);
+      const isDelegate = delegations.some(d => d.delegate_id === user?.id);
       
       // Use getItemsVisibleToRole to get items with canAct flag
-      const items = workflowRole 
-        ? await workflowService.getItemsVisibleToRole(projectId, workflowRole)
+      const items = workflowRole || isDelegate
+        ? await workflowService.getItemsVisibleToRole(projectId, workflowRole, { userId: user?.id, delegations })
         : await workflowService.getAllPendingItems(projectId);
       
       // Transform items to match the display format
@@ -107,10 +127,12 @@ export default function WorkflowSummary() {
         action_label: getActionLabel(item.category),
         assignedTo: getAssignedTo(item.category),
         canAct: item.canAct !== undefined ? item.canAct : true, // Default to true for admins
+        onBehalfOf: item.onBehalfOf || null,
         itemDetails: item
       }));
 
       setWorkflowItems(transformedItems);
+      setSelectedIds(prev => prev.filter(id => transformedItems.some(i => i.id === id)));
     } catch (error) {
       console.error('Error fetching workflow items:', error);
       setWorkflowItems([]);
@@ -118,7 +140,7 @@ export default function WorkflowSummary() {
       setLoading(false);
       setRefreshing(false);
     }
-  }, [projectId, effectiveRole]);
+  }, [projectId, effectiveRole, user?.id]);
 
   // Get category group for filtering (maps workflow categories to display groups)
   const getCategoryGroup = (category) => {
@@ -142,6 +164,8 @@ export default function WorkflowSummary() {
         return item.milestoneName || item.title;
       case 'baseline':
         return item.milestoneRef || item.milestoneName || item.title;
+      case 'raid_action':
+        return item.raidRef || item.title;
       default:
         return item.title;
     }
@@ -162,7 +186,8 @@ export default function WorkflowSummary() {
       'certificate_pending_supplier': 'Sign Certificate',
       'certificate_pending_customer': 'Sign Certificate',
       'baseline_awaiting_supplier': 'Sign Baseline',
-      'baseline_awaiting_customer': 'Sign Baseline'
+      'baseline_awaiting_customer': 'Sign Baseline',
+      'raid_action_overdue': 'Update Action'
     };
     return labels[category] || 'Review Item';
   };
@@ -208,6 +233,7 @@ export default function WorkflowSummary() {
       case 'variations': return <GitBranch size={18} />;
       case 'baselines': return <Lock size={18} />;
       case 'certificates': return <Award size={18} />;
+      case 'raid': return <ShieldAlert size={18} />;
       default: return <ClipboardList size={18} />;
     }
   };
@@ -221,6 +247,7 @@ export default function WorkflowSummary() {
       case 'variations': return { bg: '#f3e8ff', text: '#6b21a8', border: '#d8b4fe' };
       case 'baselines': return { bg: '#cffafe', text: '#0e7490', border: '#67e8f9' };
       case 'certificates': return { bg: '#fce7f3', text: '#9d174d', border: '#f9a8d4' };
+      case 'raid': return { bg: '#fee2e2', text: '#991b1b', border: '#fca5a5' };
       default: return { bg: '#f1f5f9', text: '#475569', border: '#cbd5e1' };
     }
   };
@@ -262,6 +289,7 @@ export default function WorkflowSummary() {
     variations: workflowItems.filter(i => i.category === 'variations').length,
     baselines: workflowItems.filter(i => i.category === 'baselines').length,
     certificates: workflowItems.filter(i => i.category === 'certificates').length,
+    raid: workflowItems.filter(i => i.category === 'raid').length,
     urgent: workflowItems.filter(item => item.daysPending >= 5).length
   };
 
@@ -270,6 +298,52 @@ export default function WorkflowSummary() {
     setFilterCategory(category);
   };
 
+  // Timesheets and expenses the user can act on can be reviewed in bulk
+  const isSelectable = (item) => item.canAct && BULK_REVIEW_TYPES.includes(item.reference_type);
+
+  const toggleSelected = (id) => {
+    setSelectedIds(prev => (prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]));
+  };
+
+  const toggleAllSelected = (items) => {
+    const ids = items.filter(isSelectable).map(i => i.id);
+    const allSelected = ids.every(id => selectedIds.includes(id));
+    setSelectedIds(prev => (allSelected
+      ? prev.filter(id => !ids.includes(id))
+      : [...new Set([...prev, ...ids])]));
+  };
+
+  const selectedItems = workflowItems.filter(i => selectedIds.includes(i.id));
+
+  const handleBulkReview = async (action) => {
+    if (action === BULK_ACTION.REJECT && !bulkReason.trim()) {
+      showError('Give a reason for rejecting the selected items');
+      return;
+    }
+
+    setBulkAction(action);
+    try {
+      const result = await workflowService.bulkReview(
+        projectId,
+        selectedItems.map(i => i.itemDetails),
+        { action, reason: bulkReason, userId: user.id, role: effectiveRole }
+      );
+      if (result.failed.length > 0) {
+        showError(`${result.message}: ${result.failed[0].error}`);
+      } else {
+        showSuccess(result.message);
+      }
+      setSelectedIds(result.failed.map(f => f.id));
+      setBulkReason('');
+      await fetchWorkflowItems();
+    } catch (error) {
+      console.error('Error reviewing workflow items:', error);
+      showError(error.message || 'Failed to review the selected items');
+    } finally {
+      setBulkAction(null);
+    }
+  };
+
   // Navigate to item with highlight parameter
   const navigateToItem = (item) => {
     const url = item.action_url || '/';
@@ -375,7 +449,7 @@ export default function WorkflowSummary() {
       )}
 
       {/* Stats - Clickable cards */}
-      <div className="stats-grid" style={{ marginBottom: '1.5rem', gridTemplateColumns: 'repeat(8, 1fr)' }}>
+      <div className="stats-grid" style={{ marginBottom: '1.5rem', gridTemplateColumns: 'repeat(9, 1fr)' }}>
         <div 
           onClick={() => handleStatCardClick('all')} 
           style={{ cursor: 'pointer' }}
@@ -461,6 +535,18 @@ export default function WorkflowSummary() {
             color="#ec4899"
           />
         </div>
+        <div 
+          onClick={() => handleStatCardClick('raid')} 
+          style={{ cursor: 'pointer' }}
+          className={filterCategory === 'raid' ? 'stat-card-active' : ''}
+        >
+          <StatCard
+            icon={ShieldAlert}
+            label="RAID Actions"
+            value={stats.raid}
+            color="#ef4444"
+          />
+        </div>
         <div 
           onClick={() => handleStatCardClick('urgent')} 
           style={{ cursor: 'pointer' }}
@@ -494,6 +580,7 @@ export default function WorkflowSummary() {
               <option value="variations">Variations</option>
               <option value="baselines">Baselines</option>
               <option value="certificates">Certificates</option>
+              <option value="raid">RAID Actions</option>
               <option value="urgent">Urgent (5+ days)</option>
             </select>
 
@@ -554,6 +641,64 @@ export default function WorkflowSummary() {
         </div>
       </div>
 
+      <ApprovalDelegationsPanel
+        projectId={projectId}
+        currentUserId={user?.id}
+        role={effectiveRole}
+        showSuccess={showSuccess}
+        showError={showError}
+        onChange={fetchWorkflowItems}
+      />
+
+      {/* Bulk review bar */}
+      {selectedItems.length > 0 && (
+        <div className="card" style={{
+          marginBottom: '1.5rem',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '0.75rem',
+          flexWrap: 'wrap',
+          backgroundColor: '#eff6ff',
+          border: '1px solid #93c5fd'
+        }}>
+          <strong style={{ color: '#1e40af' }}>
+            {selectedItems.length} item{selectedItems.length !== 1 ? 's' : ''} selected
+          </strong>
+          <input
+            type="text"
+            value={bulkReason}
+            onChange={(e) => setBulkReason(e.target.value)}
+            placeholder="Reason (required to reject, optional note when approving)"
+            maxLength={1000}
+            style={{ flex: 1, minWidth: '240px', padding: '0.5rem', borderRadius: '6px', border: '1px solid #d1d5db' }}
+          />
+          <button
+            className="btn btn-primary"
+            onClick={() => handleBulkReview(BULK_ACTION.APPROVE)}
+            disabled={bulkAction !== null}
+          >
+            <CheckCircle size={16} />
+            {bulkAction === BULK_ACTION.APPROVE ? 'Approving...' : 'Approve'}
+          </button>
+          <button
+            className="btn btn-danger"
+            onClick={() => handleBulkReview(BULK_ACTION.REJECT)}
+            disabled={bulkAction !== null || !bulkReason.trim()}
+            title={bulkReason.trim() ? undefined : 'Enter a reason to reject'}
+          >
+            <XCircle size={16} />
+            {bulkAction === BULK_ACTION.REJECT ? 'Rejecting...' : 'Reject'}
+          </button>
+          <button
+            className="btn btn-sm btn-secondary"
+            onClick={() => setSelectedIds([])}
+            disabled={bulkAction !== null}
+          >
+            Clear
+          </button>
+        </div>
+      )}
+
       {/* No items message */}
       {filteredItems.length === 0 ? (
         <div className="card" style={{ textAlign: 'center', padding: '3rem' }}>
@@ -592,8 +737,12 @@ export default function WorkflowSummary() {
         /* Workflow Items by Category */
         Object.entries(groupedByCategory).map(([category, items]) => {
           const colors = getCategoryColor(category);
-          const categoryLabel = category.charAt(0).toUpperCase() + category.slice(1);
+          const categoryLabel = category === 'raid'
+            ? 'RAID Actions'
+            : category.charAt(0).toUpperCase() + category.slice(1);
           const myActionsInCategory = items.filter(i => i.canAct).length;
+          const selectable = items.filter(isSelectable);
+          const showSelect = selectable.length > 0;
           
           return (
             <div key={category} className="card" style={{ marginBottom: '1.5rem' }}>
@@ -637,6 +786,16 @@ export default function WorkflowSummary() {
               <table style={{ width: '100%', borderCollapse: 'collapse' }}>
                 <thead>
                   <tr>
+                    {showSelect && (
+                      <th style={{ width: '36px', padding: '0.75rem', borderBottom: '1px solid #e2e8f0' }}>
+                        <input
+                          type="checkbox"
+                          checked={selectable.every(i => selectedIds.includes(i.id))}
+                          onChange={() => toggleAllSelected(items)}
+                          title={`Select all ${categoryLabel.toLowerCase()} you can act on`}
+                        />
+                      </th>
+                    )}
                     <th style={{ textAlign: 'left', padding: '0.75rem', borderBottom: '1px solid #e2e8f0', fontSize: '0.85rem', fontWeight: '600', color: '#64748b' }}>
                       Item
                     </th>
@@ -673,6 +832,17 @@ export default function WorkflowSummary() {
                           opacity: !canAct && showOnlyMyActions ? 0.5 : 1
                         }}
                       >
+                        {showSelect && (
+                          <td style={{ padding: '0.75rem' }}>
+                            {isSelectable(item) && (
+                              <input
+                                type="checkbox"
+                                checked={selectedIds.includes(item.id)}
+                                onChange={() => toggleSelected(item.id)}
+                              />
+                            )}
+                          </td>
+                        )}
                         <td style={{ padding: '0.75rem' }}>
                           <div style={{ 
                             fontWeight: '500',
@@ -740,6 +910,11 @@ export default function WorkflowSummary() {
                               Info Only
                             </span>
                           )}
+                          {item.onBehalfOf && (
+                            <div style={{ fontSize: '0.7rem', marginTop: '0.25rem', color: '#92400e' }}>
+                              On behalf of {item.onBehalfOf.full_name || item.onBehalfOf.email}
+                            </div>
+                          )}
                         </td>
                         <td style={{ padding: '0.75rem' }}>
                           <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
@@ -799,7 +974,7 @@ export default function WorkflowSummary() {
         <h4 style={{ marginBottom: '0.75rem' }}>📊 Understanding This View</h4>
         <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '1rem', fontSize: '0.9rem', color: '#64748b' }}>
           <div>
-            <strong>Days Pending:</strong> Time since submission (from actual timestamp)
+            <strong>Days Pending:</strong> Time since submission (from actual timestamp); for RAID actions, days past the due date
           </div>
           <div>
             <strong style={{ color: '#dc2626' }}>Urgent (5+ days):</strong> Requires immediate attention
@@ -836,6 +1011,7 @@ export default function WorkflowSummary() {
             <span><GitBranch size={14} style={{ verticalAlign: 'middle', color: '#8b5cf6' }} /> Variations</span>
             <span><Lock size={14} style={{ verticalAlign: 'middle', color: '#06b6d4' }} /> Baselines</span>
             <span><Award size={14} style={{ verticalAlign: 'middle', color: '#ec4899' }} /> Certificates</span>
+            <span><ShieldAlert size={14} style={{ verticalAlign: 'middle', color: '#ef4444' }} /> RAID Actions (overdue)</span>
           </div>
         </div>
         
@@ -844,6 +1020,7 @@ export default function WorkflowSummary() {
           <strong>Validation Rules:</strong>
           <ul style={{ margin: '0.5rem 0 0 1rem', paddingLeft: '0.5rem' }}>
             <li><strong>Timesheets:</strong> Always validated by Customer PM (billable hours)</li>
+            <li><strong>Delegation:</strong> A Customer PM can delegate timesheet and expense approval for a date range; approvals are recorded on their behalf</li>
             <li><strong>Chargeable Expenses:</strong> Validated by Customer PM</li>
             <li><strong>Non-Chargeable Expenses:</strong> Validated by Supplier PM</li>
             <li><strong>Deliverables &amp; Certificates:</strong> Validated by Customer PM</li>
@@ -7,9 +7,14 @@
  * - Organisation: Settings and details
  * - Members: Invite and manage members
  * - Projects: List and manage projects
+ * - Partners: Partner companies and their invoice currency
+ * - Exchange Rates: Dated rates used to convert to project currencies
+ * - Expense Policy: Caps and checks applied when expenses are submitted
  * 
- * @version 1.0
+ * @version 1.2
  * @created 24 December 2025
+ * @updated 19 October 2026 - Exchange Rates tab and partner currency
+ * @updated 19 October 2026 - Expense Policy tab
  */
 
 import React, { useState, useEffect, useCallback } from 'react';
@@ -21,7 +26,7 @@ import {
   Check, X, Clock, Copy, UserPlus, UserMinus,
   ChevronRight, Settings, AlertCircle, Briefcase,
   ToggleLeft, ToggleRight, Palette, Eye, FileText,
-  BarChart3
+  BarChart3, ArrowRightLeft, Receipt
 } from 'lucide-react';
 import { useOrganisation } from '../../contexts/OrganisationContext';
 import { useAuth } from '../../contexts/AuthContext';
@@ -31,9 +36,12 @@ import { useToast } from '../../contexts/ToastContext';
 import { LoadingSpinner, ConfirmDialog, ProjectAssignmentSelector } from '../../components/common';
 import { PendingInvitationCard } from '../../components/organisation';
 import { hasOrgPermission, ORG_ROLES, ORG_ROLE_CONFIG, ROLE_CONFIG, ROLE_OPTIONS } from '../../lib/permissionMatrix';
-import { organisationService, invitationService, emailService, partnersService } from '../../services';
+import { organisationService, invitationService, emailService, partnersService, exchangeRatesService, expensePoliciesService } from '../../services';
+import { DEFAULT_CURRENCY, getCurrencyOptions } from '../../lib/currency';
 import { getOrgMembers } from '../../lib/queries';
 import { PortfolioInsightsPanel } from '../../components/admin';
+import { ExpensePolicyForm } from '../../components/expenses';
+import { DEFAULT_EXPENSE_POLICY } from '../../lib/expensePolicy';
 import './OrganisationAdmin.css';
 
 // Tab configuration
@@ -42,6 +50,8 @@ const TABS = [
   { id: 'members', label: 'Members', icon: Users },
   { id: 'projects', label: 'Projects', icon: FolderKanban },
   { id: 'partners', label: 'Partners', icon: Briefcase },
+  { id: 'exchange-rates', label: 'Exchange Rates', icon: ArrowRightLeft },
+  { id: 'expense-policy', label: 'Expense Policy', icon: Receipt },
   { id: 'insights', label: 'Insights', icon: BarChart3 },
 ];
 
@@ -169,6 +179,22 @@ export default function OrganisationAdmin() {
             navigate={navigate}
           />
         )}
+        {activeTab === 'exchange-rates' && (
+          <ExchangeRatesTab
+            organisation={currentOrganisation}
+            user={user}
+            showSuccess={showSuccess}
+            showError={showError}
+          />
+        )}
+        {activeTab === 'expense-policy' && (
+          <ExpensePolicyTab
+            organisation={currentOrganisation}
+            user={user}
+            showSuccess={showSuccess}
+            showError={showError}
+          />
+        )}
         {activeTab === 'insights' && (
           <PortfolioInsightsPanel />
         )}
@@ -1846,6 +1872,7 @@ function PartnersTab({ organisation, showSuccess, showError, navigate }) {
     contact_name: '',
     contact_email: '',
     payment_terms: 'Net 30',
+    currency: DEFAULT_CURRENCY,
     notes: ''
   });
 
@@ -1882,12 +1909,13 @@ function PartnersTab({ organisation, showSuccess, showError, navigate }) {
         contact_name: newPartner.contact_name || null,
         contact_email: newPartner.contact_email || null,
         payment_terms: newPartner.payment_terms || 'Net 30',
+        currency: newPartner.currency,
         notes: newPartner.notes || null
       });
 
       showSuccess?.('Partner added successfully');
       setShowAddForm(false);
-      setNewPartner({ name: '', contact_name: '', contact_email: '', payment_terms: 'Net 30', notes: '' });
+      setNewPartner({ name: '', contact_name: '', contact_email: '', payment_terms: 'Net 30', currency: DEFAULT_CURRENCY, notes: '' });
       fetchPartners();
     } catch (error) {
       console.error('Error adding partner:', error);
@@ -2011,6 +2039,16 @@ function PartnersTab({ organisation, showSuccess, showError, navigate }) {
                 <option value="Net 60">Net 60</option>
               </select>
             </div>
+            <div className="form-group">
+              <label>Invoice Currency</label>
+              <select
+                className="form-input"
+                value={newPartner.currency}
+                onChange={(e) => setNewPartner({ ...newPartner, currency: e.target.value })}
+              >
+                {getCurrencyOptions().map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+              </select>
+            </div>
             <div className="form-group full-width">
               <label>Notes</label>
               <textarea
@@ -2027,7 +2065,7 @@ function PartnersTab({ organisation, showSuccess, showError, navigate }) {
               className="btn-secondary"
               onClick={() => {
                 setShowAddForm(false);
-                setNewPartner({ name: '', contact_name: '', contact_email: '', payment_terms: 'Net 30', notes: '' });
+                setNewPartner({ name: '', contact_name: '', contact_email: '', payment_terms: 'Net 30', currency: DEFAULT_CURRENCY, notes: '' });
               }}
             >
               Cancel
@@ -2074,6 +2112,7 @@ function PartnersTab({ organisation, showSuccess, showError, navigate }) {
                     <span><Mail size={14} /> {partner.contact_email}</span>
                   )}
                   <span><Clock size={14} /> {partner.payment_terms}</span>
+                  {partner.currency && <span>{partner.currency}</span>}
                   {partner.resource_count > 0 && (
                     <span><Users size={14} /> {partner.resource_count} resource{partner.resource_count !== 1 ? 's' : ''}</span>
                   )}
@@ -2121,3 +2160,308 @@ function PartnersTab({ organisation, showSuccess, showError, navigate }) {
     </div>
   );
 }
+
+// ============================================
+// EXCHANGE RATES TAB
+// ============================================
+
+const EMPTY_RATE = {
+  from_currency: 'EUR',
+  to_currency: DEFAULT_CURRENCY,
+  rate: '',
+  effective_date: new Date().toISOString().split('T')[0],
+  source: ''
+};
+
+function ExchangeRatesTab({ organisation, user, showSuccess, showError }) {
+  const [rates, setRates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showAddForm, setShowAddForm] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [deleteDialog, setDeleteDialog] = useState({ isOpen: false, rate: null });
+  const [newRate, setNewRate] = useState(EMPTY_RATE);
+
+  const fetchRates = useCallback(async () => {
+    if (!organisation?.id) return;
+
+    setLoading(true);
+    try {
+      const data = await exchangeRatesService.getAllByOrganisation(organisation.id);
+      setRates(data || []);
+    } catch (error) {
+      console.error('Error fetching exchange rates:', error);
+      showError?.('Failed to load exchange rates');
+    } finally {
+      setLoading(false);
+    }
+  }, [organisation?.id, showError]);
+
+  useEffect(() => {
+    fetchRates();
+  }, [fetchRates]);
+
+  const handleAdd = async () => {
+    setSaving(true);
+    try {
+      await exchangeRatesService.create({
+        ...newRate,
+        organisation_id: organisation.id,
+        created_by: user?.id
+      });
+      showSuccess?.('Exchange rate added');
+      setShowAddForm(false);
+      setNewRate(EMPTY_RATE);
+      fetchRates();
+    } catch (error) {
+      console.error('Error adding exchange rate:', error);
+      showError?.(error.message || 'Failed to add exchange rate');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    const rate = deleteDialog.rate;
+    if (!rate) return;
+
+    try {
+      await exchangeRatesService.delete(rate.id, user?.id);
+      showSuccess?.('Exchange rate deleted');
+      setDeleteDialog({ isOpen: false, rate: null });
+      fetchRates();
+    } catch (error) {
+      console.error('Error deleting exchange rate:', error);
+      showError?.('Failed to delete exchange rate');
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner message="Loading exchange rates..." />;
+  }
+
+  const currencyOptions = getCurrencyOptions();
+
+  return (
+    <div className="exchange-rates-tab">
+      {/* Header */}
+      <div className="tab-section-header">
+        <div className="section-title">
+          <ArrowRightLeft size={20} />
+          <span>Exchange Rates ({rates.length})</span>
+        </div>
+        <button
+          className="btn-primary"
+          onClick={() => setShowAddForm(true)}
+        >
+          <Plus size={18} />
+          Add Rate
+        </button>
+      </div>
+
+      <p className="section-description">
+        Dated rates used to convert partner invoices and expenses into each project's reporting currency.
+        A rate applies from its effective date until the next rate for the same pair; the inverse pair is used when only one direction is entered.
+      </p>
+
+      {/* Add Form */}
+      {showAddForm && (
+        <div className="add-form-card">
+          <h3>Add Exchange Rate</h3>
+          <div className="form-grid">
+            <div className="form-group">
+              <label>From *</label>
+              <select
+                className="form-input"
+                value={newRate.from_currency}
+                onChange={(e) => setNewRate({ ...newRate, from_currency: e.target.value })}
+              >
+                {currencyOptions.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+              </select>
+            </div>
+            <div className="form-group">
+              <label>To *</label>
+              <select
+                className="form-input"
+                value={newRate.to_currency}
+                onChange={(e) => setNewRate({ ...newRate, to_currency: e.target.value })}
+              >
+                {currencyOptions.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+              </select>
+            </div>
+            <div className="form-group">
+              <label>Rate * (1 {newRate.from_currency} = ? {newRate.to_currency})</label>
+              <input
+                type="number"
+                min="0"
+                step="0.0001"
+                className="form-input"
+                value={newRate.rate}
+                onChange={(e) => setNewRate({ ...newRate, rate: e.target.value })}
+                placeholder="e.g., 0.8550"
+              />
+            </div>
+            <div className="form-group">
+              <label>Effective Date *</label>
+              <input
+                type="date"
+                className="form-input"
+                value={newRate.effective_date}
+                onChange={(e) => setNewRate({ ...newRate, effective_date: e.target.value })}
+              />
+            </div>
+            <div className="form-group full-width">
+              <label>Source</label>
+              <input
+                type="text"
+                className="form-input"
+                value={newRate.source}
+                onChange={(e) => setNewRate({ ...newRate, source: e.target.value })}
+                placeholder="e.g., Bank of England spot rate"
+              />
+            </div>
+          </div>
+          <div className="form-actions">
+            <button
+              className="btn-secondary"
+              onClick={() => {
+                setShowAddForm(false);
+                setNewRate(EMPTY_RATE);
+              }}
+            >
+              Cancel
+            </button>
+            <button
+              className="btn-primary"
+              onClick={handleAdd}
+              disabled={saving || !newRate.rate}
+            >
+              {saving ? 'Adding...' : 'Add Rate'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Rates List */}
+      {rates.length === 0 ? (
+        <div className="empty-state">
+          <ArrowRightLeft size={48} />
+          <h3>No Exchange Rates</h3>
+          <p>Amounts in other currencies are shown unconverted until a rate is added.</p>
+        </div>
+      ) : (
+        <div className="section-card">
+          <div className="section-body no-padding">
+            <table className="members-table">
+              <thead>
+                <tr>
+                  <th>Pair</th>
+                  <th>Rate</th>
+                  <th>Effective From</th>
+                  <th>Source</th>
+                  <th style={{ width: '60px' }}></th>
+                </tr>
+              </thead>
+              <tbody>
+                {rates.map((rate) => (
+                  <tr key={rate.id}>
+                    <td><strong>{rate.from_currency} → {rate.to_currency}</strong></td>
+                    <td>{parseFloat(rate.rate).toFixed(4)}</td>
+                    <td>{new Date(rate.effective_date).toLocaleDateString('en-GB')}</td>
+                    <td>{rate.source || '—'}</td>
+                    <td>
+                      <button
+                        className="btn-icon danger"
+                        onClick={() => setDeleteDialog({ isOpen: true, rate })}
+                        title="Delete"
+                      >
+                        <Trash2 size={18} />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {/* Delete Confirmation */}
+      {deleteDialog.isOpen && (
+        <ConfirmDialog
+          title="Delete Exchange Rate"
+          message={`Delete the ${deleteDialog.rate?.from_currency} → ${deleteDialog.rate?.to_currency} rate effective ${deleteDialog.rate?.effective_date}? Amounts on that period will use the previous rate.`}
+          confirmLabel="Delete"
+          variant="danger"
+          onConfirm={handleDelete}
+          onCancel={() => setDeleteDialog({ isOpen: false, rate: null })}
+        />
+      )}
+    </div>
+  );
+}
+
+// ============================================
+// EXPENSE POLICY TAB
+// ============================================
+function ExpensePolicyTab({ organisation, user, showSuccess, showError }) {
+  const [policy, setPolicy] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const fetchPolicy = useCallback(async () => {
+    if (!organisation?.id) return;
+
+    setLoading(true);
+    try {
+      setPolicy(await expensePoliciesService.getOrganisationPolicy(organisation.id));
+    } catch (error) {
+      console.error('Error fetching expense policy:', error);
+      showError?.('Failed to load expense policy');
+    } finally {
+      setLoading(false);
+    }
+  }, [organisation?.id, showError]);
+
+  useEffect(() => {
+    fetchPolicy();
+  }, [fetchPolicy]);
+
+  const handleSave = async (values) => {
+    try {
+      await expensePoliciesService.savePolicy({ organisationId: organisation.id }, values, user?.id);
+      showSuccess?.('Expense policy saved');
+      fetchPolicy();
+    } catch (error) {
+      console.error('Error saving expense policy:', error);
+      showError?.(error.message || 'Failed to save expense policy');
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner message="Loading expense policy..." />;
+  }
+
+  return (
+    <div className="exchange-rates-tab">
+      <div className="tab-section-header">
+        <div className="section-title">
+          <Receipt size={20} />
+          <span>Expense Policy</span>
+        </div>
+      </div>
+
+      <p className="section-description">
+        Applies to every project in the organisation; project admins can override individual values in Project Settings.
+        Expenses are checked when they are submitted and validators must acknowledge any issues. Amounts are in each project's currency.
+      </p>
+
+      <div className="add-form-card">
+        <ExpensePolicyForm
+          policy={policy}
+          inherited={DEFAULT_EXPENSE_POLICY}
+          currency={organisation.default_currency || DEFAULT_CURRENCY}
+          onSave={handleSave}
+        />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,314 @@
+/**
+ * Accounting Export Content - Tab content for FinanceHub
+ *
+ * Exports issued partner invoices and paid expenses for import into the
+ * accounting system:
+ * - Xero, QuickBooks Online or Sage 50 CSV, or UBL / Peppol XML invoices
+ * - Records already exported are hidden unless re-export is chosen, which
+ *   needs a reason
+ * - Export history (the audit trail of every batch)
+ *
+ * @version 1.0
+ * @created 19 October 2026
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Download, RefreshCw, FileSpreadsheet } from 'lucide-react';
+import { accountingExportService } from '../../services';
+import { useProject } from '../../contexts/ProjectContext';
+import { useAuth } from '../../contexts/AuthContext';
+import { usePermissions } from '../../hooks/usePermissions';
+import { LoadingSpinner } from '../../components/common';
+import { getCurrencySymbol } from '../../lib/currency';
+import {
+  EXPORT_FORMAT,
+  EXPORT_FORMAT_CONFIG,
+  EXPORT_RECORD_TYPE,
+  EXPORTABLE_STATUSES
+} from '../../lib/accountingExport';
+import './AccountingExportContent.css';
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-GB') : '—');
+
+function downloadFile(file) {
+  const blob = new Blob([file.content], { type: file.mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = file.fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+export default function AccountingExportContent() {
+  const { projectId } = useProject();
+  const { user } = useAuth();
+  const { canEditBilling } = usePermissions();
+
+  const [recordType, setRecordType] = useState(EXPORT_RECORD_TYPE.INVOICE);
+  const [format, setFormat] = useState(EXPORT_FORMAT.XERO);
+  const [includeExported, setIncludeExported] = useState(false);
+  const [records, setRecords] = useState([]);
+  const [selected, setSelected] = useState(new Set());
+  const [reason, setReason] = useState('');
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState(null);
+  const [warnings, setWarnings] = useState([]);
+
+  const formats = Object.entries(EXPORT_FORMAT_CONFIG)
+    .filter(([, config]) => config.recordTypes.includes(recordType));
+
+  const fetchData = useCallback(async () => {
+    if (!projectId) return;
+    try {
+      setError(null);
+      const [rows, batches] = await Promise.all([
+        accountingExportService.getExportable(projectId, recordType, { includeExported }),
+        accountingExportService.getHistory(projectId)
+      ]);
+      setRecords(rows);
+      setHistory(batches);
+      setSelected(new Set());
+    } catch (err) {
+      console.error('Error loading accounting export:', err);
+      setError('Failed to load records for export');
+    } finally {
+      setLoading(false);
+    }
+  }, [projectId, recordType, includeExported]);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  // Keep the format valid for the record type
+  useEffect(() => {
+    if (!EXPORT_FORMAT_CONFIG[format].recordTypes.includes(recordType)) {
+      setFormat(EXPORT_FORMAT.XERO);
+    }
+  }, [recordType, format]);
+
+  const toggle = (id) => {
+    const next = new Set(selected);
+    if (next.has(id)) next.delete(id); else next.add(id);
+    setSelected(next);
+  };
+
+  const toggleAll = () => {
+    setSelected(selected.size === records.length ? new Set() : new Set(records.map(r => r.id)));
+  };
+
+  const reexporting = records.some(r => selected.has(r.id) && r.last_export);
+
+  async function handleExport() {
+    try {
+      setExporting(true);
+      setError(null);
+      setWarnings([]);
+      const result = await accountingExportService.exportRecords({
+        projectId,
+        format,
+        recordType,
+        ids: [...selected],
+        reason: reexporting ? reason : null,
+        createdBy: user?.id
+      });
+      result.files.forEach(downloadFile);
+      setWarnings(result.warnings);
+      setReason('');
+      await fetchData();
+    } catch (err) {
+      console.error('Error exporting:', err);
+      setError(err.message);
+    } finally {
+      setExporting(false);
+    }
+  }
+
+  if (loading) {
+    return <LoadingSpinner message="Loading accounting export..." />;
+  }
+
+  const isInvoices = recordType === EXPORT_RECORD_TYPE.INVOICE;
+
+  return (
+    <div className="ax-content">
+      <div className="ax-header">
+        <div className="ax-header-left">
+          <div className="ax-icon">
+            <FileSpreadsheet size={24} />
+          </div>
+          <div>
+            <span className="ax-title">Accounting Export</span>
+            <p className="ax-subtitle">
+              {isInvoices ? 'Issued partner invoices and credit notes' : 'Paid expenses'} as import files for your accounting system
+            </p>
+          </div>
+        </div>
+        <div className="ax-header-actions">
+          <select value={recordType} onChange={(e) => setRecordType(e.target.value)}>
+            <option value={EXPORT_RECORD_TYPE.INVOICE}>Invoices</option>
+            <option value={EXPORT_RECORD_TYPE.EXPENSE}>Expenses</option>
+          </select>
+          <select value={format} onChange={(e) => setFormat(e.target.value)}>
+            {formats.map(([value, config]) => <option key={value} value={value}>{config.label}</option>)}
+          </select>
+          <label className="ax-toggle">
+            <input
+              type="checkbox"
+              checked={includeExported}
+              onChange={(e) => setIncludeExported(e.target.checked)}
+            />
+            Show exported
+          </label>
+          <button className="ax-refresh-btn" onClick={fetchData}>
+            <RefreshCw size={16} />
+          </button>
+        </div>
+      </div>
+
+      {error && <div className="ax-error">{error}</div>}
+      {warnings.length > 0 && (
+        <ul className="ax-warnings">
+          {warnings.map((w, i) => <li key={i}>{w}</li>)}
+        </ul>
+      )}
+
+      {records.length === 0 ? (
+        <div className="ax-empty">
+          No {EXPORTABLE_STATUSES[recordType].join(' or ').toLowerCase()} {recordType}s{includeExported ? '' : ' waiting to be exported'}.
+        </div>
+      ) : (
+        <div className="ax-table-wrap">
+          <table className="ax-table">
+            <thead>
+              <tr>
+                <th>
+                  <input type="checkbox" checked={selected.size === records.length} onChange={toggleAll} />
+                </th>
+                {isInvoices ? (
+                  <>
+                    <th>Number</th>
+                    <th>Partner</th>
+                    <th>Date</th>
+                    <th>Status</th>
+                    <th className="ax-num">Net</th>
+                    <th className="ax-num">VAT</th>
+                    <th className="ax-num">Gross</th>
+                  </>
+                ) : (
+                  <>
+                    <th>Date</th>
+                    <th>Resource</th>
+                    <th>Category</th>
+                    <th>Reason</th>
+                    <th className="ax-num">Amount</th>
+                  </>
+                )}
+                <th>Exported</th>
+              </tr>
+            </thead>
+            <tbody>
+              {records.map(row => {
+                const symbol = getCurrencySymbol(row.currency);
+                return (
+                  <tr key={row.id} className={row.last_export ? 'ax-exported' : ''}>
+                    <td>
+                      <input type="checkbox" checked={selected.has(row.id)} onChange={() => toggle(row.id)} />
+                    </td>
+                    {isInvoices ? (
+                      <>
+                        <td className="ax-mono">
+                          {row.invoice_number}
+                          {row.document_type === 'credit_note' && <span className="ax-badge">Credit</span>}
+                        </td>
+                        <td>{row.partners?.name}</td>
+                        <td>{formatDate(row.invoice_date)}</td>
+                        <td>{row.status}</td>
+                        <td className="ax-num">{symbol}{parseFloat(row.invoice_total || 0).toFixed(2)}</td>
+                        <td className="ax-num">{symbol}{parseFloat(row.tax_total || 0).toFixed(2)}</td>
+                        <td className="ax-num">{symbol}{parseFloat(row.gross_total ?? row.invoice_total ?? 0).toFixed(2)}</td>
+                      </>
+                    ) : (
+                      <>
+                        <td>{formatDate(row.expense_date)}</td>
+                        <td>{row.resource_name}</td>
+                        <td>{row.category}</td>
+                        <td>{row.reason}</td>
+                        <td className="ax-num">{symbol}{parseFloat(row.amount || 0).toFixed(2)}</td>
+                      </>
+                    )}
+                    <td>
+                      {row.last_export
+                        ? `${EXPORT_FORMAT_CONFIG[row.last_export.format]?.label || row.last_export.format}, ${formatDate(row.last_export.exportedAt)}`
+                        : '—'}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {canEditBilling && records.length > 0 && (
+        <div className="ax-actions">
+          {reexporting && (
+            <input
+              className="ax-reason"
+              placeholder="Reason for exporting again (required)"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+            />
+          )}
+          <button
+            className="ax-export-btn"
+            onClick={handleExport}
+            disabled={exporting || selected.size === 0 || (reexporting && !reason.trim())}
+          >
+            <Download size={16} />
+            {exporting ? 'Exporting...' : `Export ${selected.size} to ${EXPORT_FORMAT_CONFIG[format].label}`}
+          </button>
+        </div>
+      )}
+
+      <h3 className="ax-section-title">Export History</h3>
+      {history.length === 0 ? (
+        <div className="ax-empty">Nothing has been exported yet.</div>
+      ) : (
+        <div className="ax-table-wrap">
+          <table className="ax-table">
+            <thead>
+              <tr>
+                <th>When</th>
+                <th>By</th>
+                <th>Format</th>
+                <th>Type</th>
+                <th className="ax-num">Records</th>
+                <th>Files</th>
+                <th>Re-export</th>
+              </tr>
+            </thead>
+            <tbody>
+              {history.map(batch => (
+                <tr key={batch.id}>
+                  <td>{new Date(batch.created_at).toLocaleString('en-GB')}</td>
+                  <td>{batch.creator?.full_name || batch.creator?.email || '—'}</td>
+                  <td>{EXPORT_FORMAT_CONFIG[batch.format]?.label || batch.format}</td>
+                  <td>{batch.record_type}s</td>
+                  <td className="ax-num">{batch.record_count}</td>
+                  <td className="ax-mono">{(batch.file_names || []).join(', ')}</td>
+                  <td>{batch.is_reexport ? <span title={batch.reason}>Yes - {batch.reason}</span> : 'No'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,316 @@
+/**
+ * Cash Flow Content - Tab content for FinanceHub
+ *
+ * Monthly cash-flow forecast from milestone billing and planned costs:
+ * - Cumulative cash position in the optimistic, baseline and pessimistic
+ *   billing-date scenarios
+ * - Monthly inflow vs outflow for the selected scenario
+ * - Outflow breakdown (partner costs, internal costs, recurring expenses)
+ * - Expected billing and payment date of each milestone per scenario
+ *
+ * @version 1.0
+ * @created 19 October 2026
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  ComposedChart,
+  LineChart,
+  Bar,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ReferenceLine,
+  ResponsiveContainer
+} from 'recharts';
+import { Banknote, RefreshCw } from 'lucide-react';
+import { format, parseISO } from 'date-fns';
+import { cashFlowForecastService } from '../../services';
+import { useProject } from '../../contexts/ProjectContext';
+import { LoadingSpinner } from '../../components/common';
+import { getCurrencySymbol } from '../../lib/currency';
+import {
+  CASH_FLOW_SCENARIO,
+  CASH_FLOW_SCENARIOS,
+  CASH_FLOW_SCENARIO_CONFIG,
+  OUTFLOW_TYPE_CONFIG,
+  DEFAULT_PAYMENT_DAYS,
+  DEFAULT_FORECAST_MONTHS
+} from '../../lib/cashFlowForecast';
+import './CashFlowContent.css';
+
+const MONTH_OPTIONS = [6, 12, 18, 24];
+
+const formatMonth = (month) => format(parseISO(`${month}-01`), 'MMM yy');
+
+const formatDate = (date) => (date ? format(parseISO(date), 'd MMM yyyy') : '—');
+
+export default function CashFlowContent() {
+  const { projectId } = useProject();
+
+  const [asOf, setAsOf] = useState(() => new Date().toISOString().slice(0, 10));
+  const [months, setMonths] = useState(DEFAULT_FORECAST_MONTHS);
+  const [paymentDays, setPaymentDays] = useState(DEFAULT_PAYMENT_DAYS);
+  const [scenario, setScenario] = useState(CASH_FLOW_SCENARIO.BASELINE);
+  const [forecast, setForecast] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchData = useCallback(async () => {
+    if (!projectId || !asOf) return;
+    try {
+      setError(null);
+      setForecast(await cashFlowForecastService.getForecast(projectId, { asOf, months, paymentDays }));
+    } catch (err) {
+      console.error('Error fetching cash-flow forecast:', err);
+      setError('Failed to load cash-flow forecast');
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  }, [projectId, asOf, months, paymentDays]);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  const handleRefresh = () => {
+    setRefreshing(true);
+    fetchData();
+  };
+
+  if (loading) {
+    return <LoadingSpinner message="Loading cash-flow forecast..." />;
+  }
+
+  const symbol = getCurrencySymbol(forecast?.currency);
+  const formatCurrency = (value) => {
+    if (value === null || value === undefined) return '—';
+    const formatted = `${symbol}${Math.abs(Math.round(value)).toLocaleString()}`;
+    return value < 0 ? `-${formatted}` : formatted;
+  };
+  const formatAxis = (value) => `${symbol}${Math.round(value / 1000)}k`;
+
+  const selected = forecast?.scenarios[scenario];
+
+  // One row per month with each scenario's cumulative position
+  const cumulativeSeries = forecast
+    ? forecast.months.map((month, i) => {
+      const point = { month };
+      CASH_FLOW_SCENARIOS.forEach(s => { point[s] = forecast.scenarios[s].rows[i].cumulative; });
+      return point;
+    })
+    : [];
+
+  const monthlySeries = selected
+    ? selected.rows.map(row => ({ ...row, outflow: -row.outflow }))
+    : [];
+
+  const milestoneDates = forecast
+    ? forecast.scenarios[CASH_FLOW_SCENARIO.BASELINE].milestones.map(m => ({
+      ...m,
+      byScenario: Object.fromEntries(CASH_FLOW_SCENARIOS.map(s => [
+        s,
+        forecast.scenarios[s].milestones.find(x => x.milestone_id === m.milestone_id)
+      ]))
+    }))
+    : [];
+
+  return (
+    <div className="cashflow-content">
+      <div className="cashflow-header">
+        <div className="cashflow-header-left">
+          <div className="cashflow-icon">
+            <Banknote size={24} />
+          </div>
+          <div>
+            <span className="cashflow-title">Cash-Flow Forecast</span>
+            <p className="cashflow-subtitle">Milestone billing against planned resource costs and recurring expenses</p>
+          </div>
+        </div>
+        <div className="cashflow-header-actions">
+          <label className="cashflow-field">
+            From
+            <input type="date" value={asOf} onChange={(e) => setAsOf(e.target.value)} />
+          </label>
+          <label className="cashflow-field">
+            Months
+            <select value={months} onChange={(e) => setMonths(Number(e.target.value))}>
+              {MONTH_OPTIONS.map(m => <option key={m} value={m}>{m}</option>)}
+            </select>
+          </label>
+          <label className="cashflow-field" title="Days the customer takes to pay a milestone invoice">
+            Customer terms
+            <input
+              type="number"
+              min="0"
+              step="1"
+              value={paymentDays}
+              onChange={(e) => setPaymentDays(Math.max(0, parseInt(e.target.value, 10) || 0))}
+            />
+            days
+          </label>
+          <button className="cashflow-refresh-btn" onClick={handleRefresh} disabled={refreshing}>
+            <RefreshCw size={16} className={refreshing ? 'spin' : ''} />
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      {error && <div className="cashflow-error">{error}</div>}
+
+      {forecast && (
+        <>
+          <div className="cashflow-scenarios">
+            {CASH_FLOW_SCENARIOS.map(s => {
+              const data = forecast.scenarios[s];
+              const config = CASH_FLOW_SCENARIO_CONFIG[s];
+              return (
+                <button
+                  key={s}
+                  className={`cashflow-scenario ${scenario === s ? 'active' : ''}`}
+                  style={{ '--scenario-color': config.color }}
+                  onClick={() => setScenario(s)}
+                >
+                  <span className="cashflow-scenario-label">
+                    {config.label}
+                    <span className="cashflow-scenario-shift">
+                      {data.shiftDays === 0 ? 'forecast dates' : `billing ${data.shiftDays > 0 ? '+' : ''}${data.shiftDays} days`}
+                    </span>
+                  </span>
+                  <span className={`cashflow-scenario-value ${data.totals.net < 0 ? 'negative' : ''}`}>
+                    {formatCurrency(data.totals.net)}
+                  </span>
+                  <span className="cashflow-scenario-detail">
+                    Lowest {formatCurrency(data.lowest?.cumulative)}{data.lowest ? ` in ${formatMonth(data.lowest.month)}` : ''}
+                  </span>
+                </button>
+              );
+            })}
+          </div>
+
+          <div className="cashflow-charts">
+            <div className="cashflow-chart">
+              <h3>Cumulative Cash Position</h3>
+              <ResponsiveContainer width="100%" height={300}>
+                <LineChart data={cumulativeSeries} margin={{ top: 10, right: 20, left: 10, bottom: 0 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#f1f5f9" />
+                  <XAxis dataKey="month" tickFormatter={formatMonth} fontSize={12} />
+                  <YAxis tickFormatter={formatAxis} fontSize={12} />
+                  <Tooltip formatter={(value) => formatCurrency(value)} labelFormatter={formatMonth} />
+                  <Legend />
+                  <ReferenceLine y={0} stroke="#cbd5e1" />
+                  {CASH_FLOW_SCENARIOS.map(s => (
+                    <Line
+                      key={s}
+                      type="monotone"
+                      dataKey={s}
+                      name={CASH_FLOW_SCENARIO_CONFIG[s].label}
+                      stroke={CASH_FLOW_SCENARIO_CONFIG[s].color}
+                      strokeDasharray={s === CASH_FLOW_SCENARIO.BASELINE ? undefined : '5 5'}
+                      dot={false}
+                    />
+                  ))}
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+            <div className="cashflow-chart">
+              <h3>Monthly In / Out ({CASH_FLOW_SCENARIO_CONFIG[scenario].label})</h3>
+              <ResponsiveContainer width="100%" height={300}>
+                <ComposedChart data={monthlySeries} stackOffset="sign" margin={{ top: 10, right: 20, left: 0, bottom: 0 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#f1f5f9" />
+                  <XAxis dataKey="month" tickFormatter={formatMonth} fontSize={12} />
+                  <YAxis tickFormatter={formatAxis} fontSize={12} />
+                  <Tooltip formatter={(value) => formatCurrency(value)} labelFormatter={formatMonth} />
+                  <Legend />
+                  <ReferenceLine y={0} stroke="#cbd5e1" />
+                  <Bar dataKey="inflow" name="In" fill="#10b981" stackId="flow" />
+                  <Bar dataKey="outflow" name="Out" fill="#ef4444" stackId="flow" />
+                  <Line type="monotone" dataKey="net" name="Net" stroke="#1e293b" dot={false} />
+                </ComposedChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+
+          <div className="cashflow-table-wrap">
+            <table className="cashflow-table">
+              <thead>
+                <tr>
+                  <th>Month</th>
+                  <th>Milestone receipts</th>
+                  {Object.values(OUTFLOW_TYPE_CONFIG).map(config => <th key={config.label}>{config.label}</th>)}
+                  <th>Total out</th>
+                  <th>Net</th>
+                  <th>Cumulative</th>
+                </tr>
+              </thead>
+              <tbody>
+                {selected.rows.map((row, i) => {
+                  const out = forecast.outflows[i];
+                  return (
+                    <tr key={row.month}>
+                      <td>{formatMonth(row.month)}</td>
+                      <td>{formatCurrency(row.inflow)}</td>
+                      <td>{formatCurrency(out.partners)}</td>
+                      <td>{formatCurrency(out.internal)}</td>
+                      <td>{formatCurrency(out.expenses)}</td>
+                      <td>{formatCurrency(row.outflow)}</td>
+                      <td className={row.net < 0 ? 'negative' : ''}>{formatCurrency(row.net)}</td>
+                      <td className={row.cumulative < 0 ? 'negative' : ''}>{formatCurrency(row.cumulative)}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+          {selected.beyondHorizon > 0 && (
+            <p className="cashflow-note">
+              {formatCurrency(selected.beyondHorizon)} of milestone receipts fall after the last forecast month.
+            </p>
+          )}
+
+          <h3 className="cashflow-section-title">Milestone Receipts</h3>
+          {milestoneDates.length > 0 ? (
+            <div className="cashflow-table-wrap">
+              <table className="cashflow-table">
+                <thead>
+                  <tr>
+                    <th>Milestone</th>
+                    <th>Amount</th>
+                    {CASH_FLOW_SCENARIOS.map(s => <th key={s}>{CASH_FLOW_SCENARIO_CONFIG[s].label} payment</th>)}
+                  </tr>
+                </thead>
+                <tbody>
+                  {milestoneDates.map(m => (
+                    <tr key={m.milestone_id}>
+                      <td>
+                        <span className="cashflow-ref">{m.ref}</span> {m.name}
+                        {m.billed && <span className="cashflow-badge">Billed</span>}
+                      </td>
+                      <td>{formatCurrency(m.amount)}</td>
+                      {CASH_FLOW_SCENARIOS.map(s => (
+                        <td key={s}>{formatDate(m.byScenario[s]?.paymentDate)}</td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <div className="cashflow-empty">No unpaid billable milestones.</div>
+          )}
+
+          <p className="cashflow-note">
+            Partner costs are paid on each partner&apos;s payment terms after month end; internal costs in the month worked.
+            Recurring expenses run at {formatCurrency(forecast.expenseRunRate)} a month (average of the last three months).
+            {forecast.missingRates.length > 0 && ` Missing exchange rates: ${forecast.missingRates.join(', ')}.`}
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
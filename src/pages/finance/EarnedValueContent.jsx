@@ -0,0 +1,221 @@
+/**
+ * Earned Value Content - Tab content for FinanceHub
+ *
+ * Earned value management for the project at a status date:
+ * - Project PV, EV, AC and the SPI / CPI / EAC / ETC / VAC / TCPI indices
+ * - S-curve of cumulative PV, EV and AC by month
+ * - SPI / CPI trend
+ * - Per-milestone EVM table
+ *
+ * @version 1.1
+ * @created 19 October 2026
+ * @updated 19 October 2026 - Note expenses with no exchange rate
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ReferenceLine,
+  ResponsiveContainer
+} from 'recharts';
+import { Activity, RefreshCw } from 'lucide-react';
+import { format, parseISO } from 'date-fns';
+import { earnedValueService } from '../../services';
+import { useProject } from '../../contexts/ProjectContext';
+import { LoadingSpinner } from '../../components/common';
+import './EarnedValueContent.css';
+
+const formatCurrency = (value) => {
+  if (value === null || value === undefined) return '—';
+  const absValue = Math.abs(Math.round(value));
+  const formatted = `£${absValue.toLocaleString()}`;
+  return value < 0 ? `-${formatted}` : formatted;
+};
+
+const formatIndex = (value) => (value === null || value === undefined ? '—' : value.toFixed(2));
+
+const formatMonth = (date) => format(parseISO(date), 'MMM yy');
+
+function IndexCard({ label, value, health, hint }) {
+  return (
+    <div className={`evm-card ${health ? `evm-${health}` : ''}`} title={hint}>
+      <span className="evm-card-label">{label}</span>
+      <span className="evm-card-value">{value}</span>
+    </div>
+  );
+}
+
+export default function EarnedValueContent() {
+  const { projectId } = useProject();
+
+  const [asOf, setAsOf] = useState(() => new Date().toISOString().slice(0, 10));
+  const [evm, setEvm] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchData = useCallback(async () => {
+    if (!projectId || !asOf) return;
+    try {
+      setError(null);
+      setEvm(await earnedValueService.getProjectEvm(projectId, asOf));
+    } catch (err) {
+      console.error('Error fetching earned value:', err);
+      setError('Failed to load earned value data');
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  }, [projectId, asOf]);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  const handleRefresh = () => {
+    setRefreshing(true);
+    fetchData();
+  };
+
+  if (loading) {
+    return <LoadingSpinner message="Loading earned value..." />;
+  }
+
+  const project = evm?.project;
+
+  return (
+    <div className="evm-content">
+      <div className="evm-header">
+        <div className="evm-header-left">
+          <div className="evm-icon">
+            <Activity size={24} />
+          </div>
+          <div>
+            <span className="evm-title">Earned Value</span>
+            <p className="evm-subtitle">Planned vs earned vs actual, from milestone baselines and approved actuals</p>
+          </div>
+        </div>
+        <div className="evm-header-actions">
+          <label className="evm-asof">
+            Status date
+            <input type="date" value={asOf} onChange={(e) => setAsOf(e.target.value)} />
+          </label>
+          <button className="evm-refresh-btn" onClick={handleRefresh} disabled={refreshing}>
+            <RefreshCw size={16} className={refreshing ? 'spin' : ''} />
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      {error && <div className="evm-error">{error}</div>}
+
+      {project && (
+        <>
+          <div className="evm-cards">
+            <IndexCard label="BAC" value={formatCurrency(project.bac)} hint="Budget at completion (baseline value)" />
+            <IndexCard label="PV" value={formatCurrency(project.pv)} hint="Planned value at the status date" />
+            <IndexCard label="EV" value={formatCurrency(project.ev)} hint="Earned value (budget x progress)" />
+            <IndexCard label="AC" value={formatCurrency(project.ac)} hint="Actual cost (approved timesheets and expenses)" />
+            <IndexCard label="SPI" value={formatIndex(project.spi)} health={project.spiHealth} hint="Schedule performance index (EV / PV)" />
+            <IndexCard label="CPI" value={formatIndex(project.cpi)} health={project.cpiHealth} hint="Cost performance index (EV / AC)" />
+            <IndexCard label="EAC" value={formatCurrency(project.eac)} hint="Estimate at completion (BAC / CPI)" />
+            <IndexCard label="ETC" value={formatCurrency(project.etc)} hint="Estimate to complete (EAC - AC)" />
+            <IndexCard label="VAC" value={formatCurrency(project.vac)} health={project.vac < 0 ? 'off_track' : null} hint="Variance at completion (BAC - EAC)" />
+            <IndexCard label="TCPI" value={formatIndex(project.tcpi)} hint="To-complete performance index needed to finish on budget" />
+          </div>
+
+          {evm.series.length > 0 ? (
+            <div className="evm-charts">
+              <div className="evm-chart">
+                <h3>S-Curve</h3>
+                <ResponsiveContainer width="100%" height={300}>
+                  <LineChart data={evm.series} margin={{ top: 10, right: 20, left: 10, bottom: 0 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#f1f5f9" />
+                    <XAxis dataKey="date" tickFormatter={formatMonth} fontSize={12} />
+                    <YAxis tickFormatter={(v) => `£${Math.round(v / 1000)}k`} fontSize={12} />
+                    <Tooltip formatter={(value) => formatCurrency(value)} labelFormatter={formatMonth} />
+                    <Legend />
+                    <Line type="monotone" dataKey="pv" name="Planned (PV)" stroke="#94a3b8" strokeDasharray="5 5" dot={false} />
+                    <Line type="monotone" dataKey="ev" name="Earned (EV)" stroke="#10b981" dot={false} connectNulls={false} />
+                    <Line type="monotone" dataKey="ac" name="Actual (AC)" stroke="#ef4444" dot={false} connectNulls={false} />
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+              <div className="evm-chart">
+                <h3>Performance Indices</h3>
+                <ResponsiveContainer width="100%" height={300}>
+                  <LineChart data={evm.series.filter(p => p.ev !== null)} margin={{ top: 10, right: 20, left: 0, bottom: 0 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#f1f5f9" />
+                    <XAxis dataKey="date" tickFormatter={formatMonth} fontSize={12} />
+                    <YAxis domain={[0, 'auto']} fontSize={12} />
+                    <Tooltip formatter={(value) => formatIndex(value)} labelFormatter={formatMonth} />
+                    <Legend />
+                    <ReferenceLine y={1} stroke="#cbd5e1" />
+                    <Line type="monotone" dataKey="spi" name="SPI" stroke="#3b82f6" />
+                    <Line type="monotone" dataKey="cpi" name="CPI" stroke="#8b5cf6" />
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+          ) : (
+            <div className="evm-empty">Add baseline dates and values to milestones to see the S-curve.</div>
+          )}
+
+          <div className="evm-table-wrap">
+            <table className="evm-table">
+              <thead>
+                <tr>
+                  <th>Milestone</th>
+                  <th>Progress</th>
+                  <th>BAC</th>
+                  <th>PV</th>
+                  <th>EV</th>
+                  <th>AC</th>
+                  <th>SPI</th>
+                  <th>CPI</th>
+                  <th>EAC</th>
+                  <th>ETC</th>
+                  <th>VAC</th>
+                  <th>TCPI</th>
+                </tr>
+              </thead>
+              <tbody>
+                {evm.milestones.map(m => (
+                  <tr key={m.id}>
+                    <td><span className="evm-ref">{m.milestone_ref}</span> {m.name}</td>
+                    <td>{m.progress}%</td>
+                    <td>{formatCurrency(m.bac)}</td>
+                    <td>{formatCurrency(m.pv)}</td>
+                    <td>{formatCurrency(m.ev)}</td>
+                    <td>{formatCurrency(m.ac)}</td>
+                    <td className={m.spiHealth ? `evm-${m.spiHealth}` : ''}>{formatIndex(m.spi)}</td>
+                    <td className={m.cpiHealth ? `evm-${m.cpiHealth}` : ''}>{formatIndex(m.cpi)}</td>
+                    <td>{formatCurrency(m.eac)}</td>
+                    <td>{formatCurrency(m.etc)}</td>
+                    <td className={m.vac < 0 ? 'evm-off_track' : ''}>{formatCurrency(m.vac)}</td>
+                    <td>{formatIndex(m.tcpi)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="evm-note">
+            Milestone AC includes timesheets booked to the milestone; expenses count towards the project total only.
+          </p>
+          {evm.missingRates.length > 0 && (
+            <p className="evm-note">
+              No exchange rate for {evm.missingRates.map(pair => pair.replace(':', ' → ')).join(', ')}.
+              These expenses are included in AC unconverted.
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
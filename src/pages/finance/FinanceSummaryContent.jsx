@@ -8,8 +8,8 @@
  * - Expenses estimate tracking (chargeable only)
  * - PMO overhead percentage
  * 
- * @version 2.1 - Added expenses estimate tracking section
- * @updated 06 January 2026
+ * @version 2.3 - Expenses converted to the project currency at the rate on their date
+ * @updated 19 October 2026
  */
 
 import React, { useState, useEffect, useCallback } from 'react';
@@ -17,15 +17,16 @@ import {
   PoundSterling, TrendingUp, TrendingDown, Clock, CheckCircle,
   RefreshCw, Target
 } from 'lucide-react';
-import { milestonesService, timesheetsService, expensesService } from '../../services';
+import { milestonesService, timesheetsService, expensesService, rateCardsService, exchangeRatesService } from '../../services';
 import { useProject } from '../../contexts/ProjectContext';
 import { calculateBillableValue, isPMORole } from '../../config/metricsConfig';
 import { supabase } from '../../lib/supabase';
+import { getCurrencySymbol } from '../../lib/currency';
 import { LoadingSpinner } from '../../components/common';
 import './FinanceSummaryContent.css';
 
 export default function FinanceSummaryContent() {
-  const { projectId } = useProject();
+  const { projectId, projectCurrency } = useProject();
   
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
@@ -48,7 +49,8 @@ export default function FinanceSummaryContent() {
     expensesEstimate: 0,
     expensesChargeableSpent: 0,
     expensesRemaining: 0,
-    expensesPercentSpent: 0
+    expensesPercentSpent: 0,
+    missingRates: []
   });
 
   const fetchData = useCallback(async () => {
@@ -73,12 +75,15 @@ export default function FinanceSummaryContent() {
         .reduce((sum, m) => sum + (parseFloat(m.billable) || 0), 0);
 
       // 3. Get timesheets with resource data (including role for PMO check)
-      const timesheets = await timesheetsService.getAll(projectId, {
-        select: `
-          id, hours_worked, hours, status, is_deleted,
-          resources(id, sell_price, role)
-        `
-      });
+      const [timesheets, resolveRates] = await Promise.all([
+        timesheetsService.getAll(projectId, {
+          select: `
+            id, date, hours_worked, hours, status, is_deleted,
+            resources(id, sell_price, role, sfia_level)
+          `
+        }),
+        rateCardsService.getRateResolver(projectId)
+      ]);
 
       // Filter out deleted timesheets
       const activeTimesheets = (timesheets || []).filter(ts => ts.is_deleted !== true);
@@ -89,7 +94,7 @@ export default function FinanceSummaryContent() {
 
       activeTimesheets.forEach(ts => {
         const hours = parseFloat(ts.hours_worked || ts.hours || 0);
-        const sellPrice = ts.resources?.sell_price || 0;
+        const sellPrice = resolveRates(ts.resources, ts.date).sell_price || 0;
         const billableValue = calculateBillableValue(hours, sellPrice);
         const isPMO = isPMORole(ts.resources?.role);
 
@@ -112,10 +117,13 @@ export default function FinanceSummaryContent() {
         ? (pmoTimesheets / timesheetsTotal) * 100 
         : 0;
 
-      // 4. Get expenses with chargeability
-      const expenses = await expensesService.getAll(projectId, {
-        select: 'id, amount, status, chargeable_to_customer, is_deleted'
-      });
+      // 4. Get expenses with chargeability, converted to the project currency
+      const [expenses, fx] = await Promise.all([
+        expensesService.getAll(projectId, {
+          select: 'id, amount, currency, expense_date, status, chargeable_to_customer, is_deleted'
+        }),
+        exchangeRatesService.getConverter(projectId)
+      ]);
 
       // Filter out deleted expenses
       const activeExpenses = (expenses || []).filter(exp => exp.is_deleted !== true);
@@ -126,7 +134,7 @@ export default function FinanceSummaryContent() {
       let expensesValidatedNonChargeable = 0;
 
       activeExpenses.forEach(exp => {
-        const amount = parseFloat(exp.amount || 0);
+        const amount = fx.convert(exp.amount, exp.currency, exp.expense_date);
         const isChargeable = exp.chargeable_to_customer !== false;
 
         switch (exp.status) {
@@ -174,7 +182,8 @@ export default function FinanceSummaryContent() {
         expensesEstimate,
         expensesChargeableSpent,
         expensesRemaining,
-        expensesPercentSpent
+        expensesPercentSpent,
+        missingRates: fx.missingRates()
       });
     } catch (error) {
       console.error('Error fetching finance data:', error);
@@ -195,7 +204,7 @@ export default function FinanceSummaryContent() {
 
   const formatCurrency = (value) => {
     const absValue = Math.abs(Math.round(value));
-    const formatted = `£${absValue.toLocaleString()}`;
+    const formatted = `${getCurrencySymbol(projectCurrency)}${absValue.toLocaleString()}`;
     return value < 0 ? `-${formatted}` : formatted;
   };
 
@@ -295,6 +304,12 @@ export default function FinanceSummaryContent() {
               {formatCurrency(stats.expensesTotalChargeable + stats.expensesTotalNonChargeable)}
             </div>
           </div>
+          {stats.missingRates.length > 0 && (
+            <div className="fsw-note">
+              No exchange rate for {stats.missingRates.map(pair => pair.replace(':', ' → ')).join(', ')}.
+              These expenses are included unconverted.
+            </div>
+          )}
         </div>
 
         {/* Expenses Estimate Tracking */}
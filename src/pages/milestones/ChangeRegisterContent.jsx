@@ -0,0 +1,327 @@
+/**
+ * Change Register Content - Tab content for MilestonesHub
+ *
+ * What has changed since contract signature and why:
+ * - Original vs current contract value and end date
+ * - Original → current waterfall, one step per applied or reverted variation
+ * - Chronological register with each variation's reason and running totals
+ * - Baseline lineage of each milestone (expand a row)
+ * - Excel export of the register
+ *
+ * @version 1.0
+ * @created 19 October 2026
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  BarChart,
+  Bar,
+  Cell,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer
+} from 'recharts';
+import { History, RefreshCw, FileSpreadsheet, ChevronDown, ChevronRight } from 'lucide-react';
+import { format, parseISO } from 'date-fns';
+import { changeRegisterService } from '../../services';
+import { useProject } from '../../contexts/ProjectContext';
+import { useToast } from '../../contexts/ToastContext';
+import { LoadingSpinner } from '../../components/common';
+import { getCurrencySymbol } from '../../lib/currency';
+import {
+  CHANGE_EVENT_TYPE,
+  WATERFALL_STEP,
+  WATERFALL_STEP_CONFIG
+} from '../../lib/changeRegister';
+import './ChangeRegisterContent.css';
+
+const formatDate = (date) => (date ? format(parseISO(date), 'd MMM yyyy') : '—');
+
+const formatDays = (days) => {
+  if (days === null || days === undefined) return '—';
+  if (days === 0) return 'No change';
+  return `${days > 0 ? '+' : ''}${days} day${Math.abs(days) === 1 ? '' : 's'}`;
+};
+
+export default function ChangeRegisterContent() {
+  const navigate = useNavigate();
+  const { projectId, projectName, projectCurrency } = useProject();
+  const { showError } = useToast();
+
+  const [register, setRegister] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [error, setError] = useState(null);
+  const [expanded, setExpanded] = useState(null);
+
+  const fetchData = useCallback(async () => {
+    if (!projectId) return;
+    try {
+      setError(null);
+      setRegister(await changeRegisterService.getRegister(projectId));
+    } catch (err) {
+      console.error('Error fetching change register:', err);
+      setError('Failed to load change register');
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  }, [projectId]);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  const handleRefresh = () => {
+    setRefreshing(true);
+    fetchData();
+  };
+
+  const handleExport = () => {
+    try {
+      changeRegisterService.exportToExcel(register, { projectName: projectName || 'Project' });
+    } catch (err) {
+      console.error('Error exporting change register:', err);
+      showError('Failed to export change register');
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner message="Loading change register..." />;
+  }
+
+  const symbol = getCurrencySymbol(projectCurrency);
+  const formatCurrency = (value) => {
+    if (value === null || value === undefined) return '—';
+    const formatted = `${symbol}${Math.abs(Math.round(value)).toLocaleString()}`;
+    return value < 0 ? `-${formatted}` : formatted;
+  };
+  const formatChange = (value) => (value > 0 ? `+${formatCurrency(value)}` : formatCurrency(value));
+  const formatAxis = (value) => `${symbol}${Math.round(value / 1000)}k`;
+
+  // Stacked bars: an invisible base lifts each step to where the previous one ended
+  const waterfallSeries = register
+    ? register.waterfall.map(step => ({
+      ...step,
+      base: Math.min(step.start, step.end),
+      size: Math.abs(step.end - step.start)
+    }))
+    : [];
+
+  const changedMilestones = register
+    ? register.milestones.filter(m => (register.lineageByMilestone[m.id] || []).length > 1)
+    : [];
+
+  return (
+    <div className="change-register-content">
+      <div className="creg-header">
+        <div className="creg-header-left">
+          <div className="creg-icon">
+            <History size={24} />
+          </div>
+          <div>
+            <span className="creg-title">Change Register</span>
+            <p className="creg-subtitle">How the contract value and end date have changed since signature, and why</p>
+          </div>
+        </div>
+        <div className="creg-header-actions">
+          <button className="creg-btn" onClick={handleExport} disabled={!register}>
+            <FileSpreadsheet size={16} />
+            Export Excel
+          </button>
+          <button className="creg-btn" onClick={handleRefresh} disabled={refreshing}>
+            <RefreshCw size={16} className={refreshing ? 'spin' : ''} />
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      {error && <div className="creg-error">{error}</div>}
+
+      {register && (
+        <>
+          <div className="creg-cards">
+            <div className="creg-card">
+              <span className="creg-card-label">Original contract</span>
+              <span className="creg-card-value">{formatCurrency(register.original.value)}</span>
+              <span className="creg-card-detail">Ends {formatDate(register.original.endDate)}</span>
+            </div>
+            <div className="creg-card">
+              <span className="creg-card-label">Current contract</span>
+              <span className="creg-card-value">{formatCurrency(register.current.value)}</span>
+              <span className="creg-card-detail">Ends {formatDate(register.current.endDate)}</span>
+            </div>
+            <div className="creg-card">
+              <span className="creg-card-label">Change since signature</span>
+              <span className={`creg-card-value ${register.totalChange.value > 0 ? 'increase' : register.totalChange.value < 0 ? 'decrease' : ''}`}>
+                {formatChange(register.totalChange.value)}
+              </span>
+              <span className="creg-card-detail">End date {formatDays(register.totalChange.endChangeDays).toLowerCase()}</span>
+            </div>
+            <div className="creg-card">
+              <span className="creg-card-label">Variations</span>
+              <span className="creg-card-value">
+                {register.events.filter(e => e.type === CHANGE_EVENT_TYPE.APPLIED).length} applied
+              </span>
+              <span className="creg-card-detail">
+                {register.events.filter(e => e.type === CHANGE_EVENT_TYPE.REVERTED).length} reverted
+              </span>
+            </div>
+          </div>
+
+          <div className="creg-chart">
+            <h3>Contract Value: Original → Current</h3>
+            <ResponsiveContainer width="100%" height={300}>
+              <BarChart data={waterfallSeries} margin={{ top: 10, right: 20, left: 10, bottom: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#f1f5f9" vertical={false} />
+                <XAxis dataKey="label" fontSize={12} interval={0} />
+                <YAxis tickFormatter={formatAxis} fontSize={12} />
+                <Tooltip
+                  formatter={(value, name, item) => [
+                    [WATERFALL_STEP.ORIGINAL, WATERFALL_STEP.CURRENT].includes(item.payload.kind)
+                      ? formatCurrency(item.payload.end)
+                      : `${formatChange(item.payload.change)} (to ${formatCurrency(item.payload.end)})`,
+                    WATERFALL_STEP_CONFIG[item.payload.kind].label
+                  ]}
+                  filterNull
+                />
+                <Bar dataKey="base" stackId="waterfall" fill="transparent" tooltipType="none" isAnimationActive={false} />
+                <Bar dataKey="size" stackId="waterfall" isAnimationActive={false}>
+                  {waterfallSeries.map(step => (
+                    <Cell key={step.key} fill={WATERFALL_STEP_CONFIG[step.kind].color} />
+                  ))}
+                </Bar>
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+
+          <h3 className="creg-section-title">Register</h3>
+          {register.events.length > 0 ? (
+            <div className="creg-table-wrap">
+              <table className="creg-table">
+                <thead>
+                  <tr>
+                    <th>Date</th>
+                    <th>Variation</th>
+                    <th>Reason</th>
+                    <th>Milestones</th>
+                    <th>Value change</th>
+                    <th>Contract value</th>
+                    <th>End date change</th>
+                    <th>Contract end</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  <tr className="creg-row-total">
+                    <td>—</td>
+                    <td colSpan={3}>Original contract</td>
+                    <td></td>
+                    <td>{formatCurrency(register.original.value)}</td>
+                    <td></td>
+                    <td>{formatDate(register.original.endDate)}</td>
+                  </tr>
+                  {register.events.map(e => (
+                    <tr
+                      key={e.key}
+                      className={e.variationId ? 'creg-row-link' : ''}
+                      onClick={() => e.variationId && navigate(`/variations/${e.variationId}`)}
+                    >
+                      <td>{formatDate(e.date?.slice(0, 10))}</td>
+                      <td>
+                        <span className="creg-ref">{e.ref}</span> {e.title}
+                        {e.type === CHANGE_EVENT_TYPE.REVERTED && <span className="creg-badge reverted">Reverted</span>}
+                      </td>
+                      <td className="creg-reason">{e.reason || '—'}</td>
+                      <td>{e.milestones.map(m => m.ref).join(', ')}</td>
+                      <td className={e.valueChange > 0 ? 'increase' : e.valueChange < 0 ? 'decrease' : ''}>
+                        {formatChange(e.valueChange)}
+                      </td>
+                      <td>{formatCurrency(e.valueAfter)}</td>
+                      <td>{formatDays(e.endChangeDays)}</td>
+                      <td>{formatDate(e.endDateAfter)}</td>
+                    </tr>
+                  ))}
+                  {(register.otherChanges.value !== 0 || Boolean(register.otherChanges.endChangeDays)) && (
+                    <tr>
+                      <td>—</td>
+                      <td>{WATERFALL_STEP_CONFIG[WATERFALL_STEP.OTHER].label}</td>
+                      <td className="creg-reason">Baseline edits made outside a variation</td>
+                      <td></td>
+                      <td>{formatChange(register.otherChanges.value)}</td>
+                      <td>{formatCurrency(register.current.value)}</td>
+                      <td>{formatDays(register.otherChanges.endChangeDays)}</td>
+                      <td>{formatDate(register.current.endDate)}</td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <div className="creg-empty">No variations have been applied to this contract.</div>
+          )}
+
+          <h3 className="creg-section-title">Milestone Baseline Lineage</h3>
+          {changedMilestones.length > 0 ? (
+            <div className="creg-table-wrap">
+              <table className="creg-table">
+                <thead>
+                  <tr>
+                    <th>Milestone</th>
+                    <th>Versions</th>
+                    <th>Original value</th>
+                    <th>Current value</th>
+                    <th>Original end</th>
+                    <th>Current end</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {changedMilestones.map(m => {
+                    const lineage = register.lineageByMilestone[m.id];
+                    const first = lineage[0];
+                    const last = lineage[lineage.length - 1];
+                    const isOpen = expanded === m.id;
+                    return (
+                      <React.Fragment key={m.id}>
+                        <tr className="creg-row-link" onClick={() => setExpanded(isOpen ? null : m.id)}>
+                          <td>
+                            {isOpen ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+                            <span className="creg-ref">{m.milestone_ref}</span> {m.name}
+                          </td>
+                          <td>{lineage.length}</td>
+                          <td>{formatCurrency(first.value)}</td>
+                          <td>{formatCurrency(last.value)}</td>
+                          <td>{formatDate(first.end)}</td>
+                          <td>{formatDate(last.end)}</td>
+                        </tr>
+                        {isOpen && lineage.map(l => (
+                          <tr key={l.version} className="creg-lineage-row">
+                            <td>
+                              v{l.version} · {l.variationRef || (l.version === 1 ? 'Original' : 'Baseline change')}
+                              {l.isRevert && <span className="creg-badge reverted">Reverted</span>}
+                            </td>
+                            <td>{formatDate(l.date?.slice(0, 10))}</td>
+                            <td>{formatCurrency(l.value)}</td>
+                            <td className={l.valueChange > 0 ? 'increase' : l.valueChange < 0 ? 'decrease' : ''}>
+                              {l.version > 1 ? formatChange(l.valueChange) : ''}
+                            </td>
+                            <td>{formatDate(l.start)} – {formatDate(l.end)}</td>
+                            <td>{l.version > 1 ? formatDays(l.endChangeDays) : ''}</td>
+                          </tr>
+                        ))}
+                      </React.Fragment>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <div className="creg-empty">No milestone baselines have changed since signature.</div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
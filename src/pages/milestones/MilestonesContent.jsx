@@ -36,6 +36,7 @@ import { useProject } from '../../contexts/ProjectContext';
 import { useToast } from '../../contexts/ToastContext';
 import { usePermissions } from '../../hooks/usePermissions';
 import { useWorkflowFeatures } from '../../hooks/useProjectSettings';
+import { useWorkingCalendar } from '../../hooks/useWorkingCalendar';
 import { LoadingSpinner, ConfirmDialog } from '../../components/common';
 import {
   CertificateModal,
@@ -79,6 +80,7 @@ export default function MilestonesContent() {
 
   // v4.6: Workflow settings for conditional column display
   const { baselinesRequired, certificatesRequired } = useWorkflowFeatures();
+  const { calendar: workingCalendar } = useWorkingCalendar();
 
   // State
   const [milestones, setMilestones] = useState([]);
@@ -662,6 +664,7 @@ export default function MilestonesContent() {
               onFormChange={setNewMilestone}
               onSubmit={handleAdd}
               onCancel={() => setShowAddForm(false)}
+              calendar={workingCalendar}
             />
           </div>
         )}
@@ -876,6 +879,7 @@ export default function MilestonesContent() {
           canDelete={canDeleteMilestone}
           deliverablesCount={milestoneDeliverables[editForm.id]?.length || 0}
           saving={saving}
+          calendar={workingCalendar}
         />
       )}
 
@@ -8,8 +8,8 @@
  * - Dual-signature approval workflow
  * - Delete draft variations
  *
- * @version 1.3 - Added workflow settings integration (WP-09)
- * @updated 16 January 2026 - Feature disabled check
+ * @version 1.4 - Reverted status
+ * @updated 19 October 2026 - Reverted filter and badge
  */
 
 import React, { useState, useEffect } from 'react';
@@ -55,7 +55,8 @@ const STATUS_FILTERS = [
   { value: 'pending', label: 'Pending Approval' },
   { value: 'approved', label: 'Approved' },
   { value: 'applied', label: 'Applied' },
-  { value: 'rejected', label: 'Rejected' }
+  { value: 'rejected', label: 'Rejected' },
+  { value: 'reverted', label: 'Reverted' }
 ];
 
 export default function VariationsContent() {
@@ -166,7 +167,8 @@ export default function VariationsContent() {
       [VARIATION_STATUS.AWAITING_SUPPLIER]: 'awaiting',
       [VARIATION_STATUS.APPROVED]: 'approved',
       [VARIATION_STATUS.APPLIED]: 'applied',
-      [VARIATION_STATUS.REJECTED]: 'rejected'
+      [VARIATION_STATUS.REJECTED]: 'rejected',
+      [VARIATION_STATUS.REVERTED]: 'reverted'
     };
     return classMap[status] || 'draft';
   }
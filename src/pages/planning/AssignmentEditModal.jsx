@@ -0,0 +1,156 @@
+import React, { useState, useMemo } from 'react';
+import { X, Plus, Trash2, Users } from 'lucide-react';
+import { getItemAssignments } from '../../lib/resourceLoading';
+
+/**
+ * Modal for editing the resources assigned to a plan item and their effort.
+ * Effort left blank means the resource works full time on the item.
+ */
+export default function AssignmentEditModal({ item, resources, onClose, onSave }) {
+  const [assignments, setAssignments] = useState(() =>
+    getItemAssignments(item).map(a => ({
+      resource_id: a.resource_id,
+      effort_days: a.effort_days === null ? '' : String(a.effort_days)
+    }))
+  );
+
+  const activeResources = useMemo(
+    () => resources.filter(r => !r.is_deleted),
+    [resources]
+  );
+
+  const selectedIds = new Set(assignments.map(a => a.resource_id));
+
+  const handleAdd = () => {
+    const available = activeResources.find(r => !selectedIds.has(r.id));
+    if (available) {
+      setAssignments([...assignments, { resource_id: available.id, effort_days: '' }]);
+    }
+  };
+
+  const handleUpdate = (index, field, value) => {
+    const updated = [...assignments];
+    updated[index] = { ...updated[index], [field]: value };
+    setAssignments(updated);
+  };
+
+  const handleRemove = (index) => {
+    setAssignments(assignments.filter((_, i) => i !== index));
+  };
+
+  const handleSave = () => {
+    const valid = assignments
+      .filter(a => a.resource_id)
+      .map(a => ({
+        resource_id: a.resource_id,
+        effort_days: a.effort_days === '' ? null : Math.max(0, parseFloat(a.effort_days) || 0)
+      }));
+    onSave(valid);
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-container predecessor-modal" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <div className="modal-title">
+            <Users size={20} />
+            <span>Edit Resources</span>
+          </div>
+          <button className="modal-close" onClick={onClose}>
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <div className="predecessor-item-info">
+            <span className="predecessor-label">Task:</span>
+            <span className="predecessor-value">{item.wbs} - {item.name}</span>
+          </div>
+
+          <div className="predecessor-list">
+            <div className="predecessor-list-header">
+              <span>Assigned Resources</span>
+              <button
+                className="predecessor-add-btn"
+                onClick={handleAdd}
+                disabled={activeResources.every(r => selectedIds.has(r.id))}
+              >
+                <Plus size={14} />
+                Add
+              </button>
+            </div>
+
+            {assignments.length === 0 ? (
+              <div className="predecessor-empty">
+                <p>No resources assigned.</p>
+                <p className="predecessor-hint">
+                  {activeResources.length === 0
+                    ? 'Add resources to the project to assign them here.'
+                    : 'Click "Add" to assign a resource.'}
+                </p>
+              </div>
+            ) : (
+              <div className="predecessor-items">
+                {assignments.map((assignment, index) => (
+                  <div key={index} className="predecessor-row">
+                    <select
+                      className="predecessor-select-item"
+                      value={assignment.resource_id}
+                      onChange={(e) => handleUpdate(index, 'resource_id', e.target.value)}
+                    >
+                      {activeResources
+                        .filter(r => r.id === assignment.resource_id || !selectedIds.has(r.id))
+                        .map(r => (
+                          <option key={r.id} value={r.id}>{r.name}</option>
+                        ))}
+                    </select>
+
+                    <div className="predecessor-lag-input">
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.5"
+                        value={assignment.effort_days}
+                        onChange={(e) => handleUpdate(index, 'effort_days', e.target.value)}
+                        className="predecessor-lag"
+                        placeholder="Full"
+                        title="Effort in days (blank = full time)"
+                      />
+                      <span className="predecessor-lag-unit">days</span>
+                    </div>
+
+                    <button
+                      className="predecessor-remove-btn"
+                      onClick={() => handleRemove(index)}
+                      title="Remove resource"
+                    >
+                      <Trash2 size={14} />
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="predecessor-help">
+            <h4>Effort</h4>
+            <p>
+              Effort is spread evenly over the item's working days. Leave it blank for
+              a resource working full time on the item. Effort on summary items is
+              not counted - assign it on the tasks beneath them.
+            </p>
+          </div>
+        </div>
+
+        <div className="modal-footer">
+          <button className="modal-btn modal-btn-secondary" onClick={onClose}>
+            Cancel
+          </button>
+          <button className="modal-btn modal-btn-primary" onClick={handleSave}>
+            Save Resources
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -7,7 +7,8 @@ import {
   ExternalLink, Copy, Download, Clock,
   Scissors, Clipboard, ClipboardPaste,
   Undo2, Redo2, Unlink, X, Upload, Grid2X2, Table, Maximize2,
-  FileText, Settings, Save
+  FileText, Settings, Save, Route, GanttChart as GanttIcon, FileCode, Users, History,
+  GitBranch, GitCompare, Dices
 } from 'lucide-react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
@@ -15,10 +16,11 @@ import { useProject } from '../../contexts/ProjectContext';
 import { useOrganisation } from '../../contexts/OrganisationContext';
 import { useToast } from '../../contexts/ToastContext';
 import planItemsService from '../../services/planItemsService';
-import { estimatesService, ESTIMATE_STATUS, calendarService } from '../../services';
-import { usePlanningIntegration } from '../../hooks';
+import { estimatesService, ESTIMATE_STATUS, calendarService, resourcesService, planHistoryService, PLAN_ITEM_CONFLICT } from '../../services';
+import { usePlanningIntegration, useWorkingCalendar, usePlanCollaboration } from '../../hooks';
 import PlanningAIAssistant from './PlanningAIAssistant';
 import PredecessorEditModal from './PredecessorEditModal';
+import AssignmentEditModal from './AssignmentEditModal';
 import BaselineProtectionModal from './BaselineProtectionModal';
 import {
   CommitToTrackerButton,
@@ -31,6 +33,14 @@ import {
   EstimateLinkModal,
   EstimateGeneratorModal,
   PlannerGrid,
+  GanttChart,
+  ScheduleExchangeModal,
+  ResourceLoadPanel,
+  ScheduleRiskPanel,
+  PlanHistoryModal,
+  PlanMergeModal,
+  PlanScenariosModal,
+  ScenarioDiffModal,
   SaveAsTemplateModal,
   ImportTemplateModal,
   TemplateManageModal
@@ -38,7 +48,8 @@ import {
 import { planTemplatesService } from '../../services';
 import planningClipboard from '../../lib/planningClipboard';
 import planningHistory from '../../lib/planningHistory';
-import { autoScheduleItems } from '../../lib/planningScheduler';
+import { autoScheduleItems, calculateCriticalPath } from '../../lib/planningScheduler';
+import { applyRemoteChange, mergeStaleUpdate } from '../../lib/planCollaboration';
 import useResizableColumns from '../../hooks/useResizableColumns';
 import './Planning.css';
 import './PlanningIntegration.css';
@@ -129,7 +140,12 @@ export default function Planning() {
   const [estimates, setEstimates] = useState([]); // All project estimates
   const [predecessorEditItem, setPredecessorEditItem] = useState(null); // Item being edited for predecessors
   const [showLinkMenu, setShowLinkMenu] = useState(false); // Quick Link dropdown menu
-  const [viewMode, setViewMode] = useState('table'); // 'table' or 'grid' - AG Grid Enterprise view
+  const [viewMode, setViewMode] = useState('table'); // 'table', 'grid' (AG Grid Enterprise) or 'gantt'
+  const [showCriticalPath, setShowCriticalPath] = useState(false); // Highlight critical path and float
+  const [showResourceLoad, setShowResourceLoad] = useState(false); // Resource load histogram panel
+  const [showScheduleRisk, setShowScheduleRisk] = useState(false); // Monte Carlo schedule risk panel
+  const [assignmentEditItem, setAssignmentEditItem] = useState(null); // Item being edited for resource assignments
+  const [projectResources, setProjectResources] = useState([]); // Project resources for assignments
 
   // Template modals state
   const [showTemplatesMenu, setShowTemplatesMenu] = useState(false); // Templates dropdown menu
@@ -139,6 +155,17 @@ export default function Planning() {
   const [templateSaveItem, setTemplateSaveItem] = useState(null); // Component to save as template
   const [templateSaving, setTemplateSaving] = useState(false);
   const [templateImporting, setTemplateImporting] = useState(false);
+  const [showScheduleXml, setShowScheduleXml] = useState(false); // MS Project / P6 import-export modal
+  const [showPlanHistory, setShowPlanHistory] = useState(false); // Plan history timeline modal
+  const [mergeConflict, setMergeConflict] = useState(null); // Stale grid save awaiting a merge decision
+  const [remoteChange, setRemoteChange] = useState(null); // Latest change by another user (grid flash)
+  const [activeScenario, setActiveScenario] = useState(null); // Scenario branch being edited (null = live plan)
+  const [showScenarios, setShowScenarios] = useState(false); // Scenario list modal
+  const [compareScenario, setCompareScenario] = useState(null); // Scenario being diffed against the live plan
+  const scenarioId = activeScenario?.id || null;
+  const itemsRef = useRef(items);
+  itemsRef.current = items;
+  const remoteReloadRef = useRef(null);
   const templatesMenuRef = useRef(null);
 
   const inputRef = useRef(null);
@@ -163,7 +190,7 @@ export default function Planning() {
       setLoading(true);
 
       // Fetch items first (fast) - show data immediately
-      const data = await planItemsService.getAllWithEstimates(projectId);
+      const data = await planItemsService.getAllWithEstimates(projectId, scenarioId);
       setItems(data);
 
       // Default to collapsed view - collapse all items that have children
@@ -171,8 +198,9 @@ export default function Planning() {
       setCollapsedIds(parentIds);
 
       // Then sync from Tracker in background (non-blocking)
-      // This updates published items with any changes made in Tracker
-      if (!skipSync) {
+      // This updates published items with any changes made in Tracker.
+      // Scenario items are never published, so there is nothing to sync.
+      if (!skipSync && !scenarioId) {
         planItemsService.syncFromTracker(projectId).then(async (syncResult) => {
           // Only refetch if sync made changes
           if (syncResult.synced > 0) {
@@ -189,7 +217,7 @@ export default function Planning() {
     } finally {
       setLoading(false);
     }
-  }, [projectId, showError]);
+  }, [projectId, scenarioId, showError]);
 
   // Planner-Tracker Integration Hook
   const planningIntegration = usePlanningIntegration({
@@ -210,6 +238,63 @@ export default function Planning() {
     if (projectId) fetchItems();
   }, [projectId, fetchItems]);
 
+  // Live collaboration - apply other users' changes as they arrive.
+  // Added, removed or moved rows need the WBS recalculated, so those trigger
+  // one quiet reload after a burst of changes settles.
+  const handleRemoteChange = useCallback((change) => {
+    // Ignore changes to other plans (the live plan or another scenario)
+    const row = change.new_row || change.old_row;
+    if (row && (row.scenario_id || null) !== scenarioId) return;
+
+    const result = applyRemoteChange(itemsRef.current, change);
+    if (result.needsReload) {
+      clearTimeout(remoteReloadRef.current);
+      remoteReloadRef.current = setTimeout(async () => {
+        try {
+          setItems(await planItemsService.getAllWithEstimates(projectId, scenarioId));
+        } catch (error) {
+          console.warn('Reload after remote change failed:', error);
+        }
+      }, 500);
+      return;
+    }
+    setItems(result.items);
+    setRemoteChange({ id: change.plan_item_id, fields: result.changedFields, at: change.id });
+  }, [projectId, scenarioId]);
+
+  useEffect(() => () => clearTimeout(remoteReloadRef.current), []);
+
+  const collaboration = usePlanCollaboration({ onRemoteChange: handleRemoteChange });
+
+  // Save a grid edit against the row version it was made on. If someone else
+  // saved the row meanwhile, merge automatically when no field was changed by
+  // both, otherwise ask which values to keep.
+  const saveGridUpdate = useCallback(async (id, updates, base) => {
+    try {
+      const saved = await planItemsService.update(id, updates, { expectedUpdatedAt: base?.updated_at });
+      // Take the new updated_at straight away so a quick follow-up edit isn't seen as stale
+      setItems(prev => prev.map(item => (item.id === id ? { ...item, ...saved } : item)));
+      fetchItems();
+    } catch (error) {
+      if (error.code !== PLAN_ITEM_CONFLICT) {
+        console.error('Update error:', error);
+        showError('Failed to update item');
+        return;
+      }
+      const merge = mergeStaleUpdate(base, updates, error.current);
+      if (merge.hasConflicts) {
+        setMergeConflict({ id, base, current: error.current, merge });
+        return;
+      }
+      if (Object.keys(merge.merged).length > 0) {
+        await saveGridUpdate(id, merge.merged, error.current);
+        showInfo('Your change was merged with an edit made by someone else');
+      } else {
+        fetchItems();
+      }
+    }
+  }, [fetchItems, showError, showInfo]);
+
   // Fetch estimates for summary
   const fetchEstimates = useCallback(async () => {
     if (!projectId) return;
@@ -240,12 +325,27 @@ export default function Planning() {
     fetchTeamMembers();
   }, [projectId]);
 
+  // Fetch project resources for assignments and the resource load panel
+  useEffect(() => {
+    if (!projectId) return;
+    resourcesService.getAll(projectId)
+      .then(data => setProjectResources(data || []))
+      .catch(error => console.error('Error fetching resources:', error));
+  }, [projectId]);
+
   // Subscribe to history changes
   useEffect(() => {
     const unsubscribe = planningHistory.subscribe(setHistoryState);
     return unsubscribe;
   }, []);
 
+  // Journal history server-side so undo survives a reload
+  useEffect(() => {
+    if (!projectId || !user?.id) return;
+    planningHistory.connect({ projectId, userId: user.id, service: planHistoryService });
+    return () => planningHistory.disconnect();
+  }, [projectId, user?.id]);
+
   // Click outside handler for link menu
   useEffect(() => {
     function handleClickOutside(e) {
@@ -278,6 +378,16 @@ export default function Planning() {
     return { count: estimates.length, totalCost, totalDays, linkedItems };
   }, [estimates, items]);
 
+  // Working calendar (bank holidays, shutdowns) for scheduling
+  const { calendar: workingCalendar, resourceCalendars } = useWorkingCalendar();
+  const scheduleOptions = useMemo(() => ({
+    calendar: workingCalendar,
+    resourceCalendars
+  }), [workingCalendar, resourceCalendars]);
+
+  // Critical path analysis (backward pass over the current schedule)
+  const criticalPath = useMemo(() => calculateCriticalPath(items, scheduleOptions), [items, scheduleOptions]);
+
   // Focus input when editing
   useEffect(() => {
     if (editingCell && inputRef.current) {
@@ -434,7 +544,7 @@ export default function Planning() {
   async function handleApplyStructure(structure) {
     try {
       setLoading(true);
-      await planItemsService.createBatch(projectId, structure);
+      await planItemsService.createBatch(projectId, structure, null, scenarioId);
       await fetchItems(); // Refresh the grid
       setShowAIPanel(false);
     } catch (error) {
@@ -481,7 +591,8 @@ export default function Planning() {
               progress: op.newValues?.progress || 0,
               start_date: op.newValues?.start_date || null,
               end_date: op.newValues?.end_date || null,
-              parent_id: parentItem?.id || null
+              parent_id: parentItem?.id || null,
+              scenario_id: scenarioId
             };
             await planItemsService.create(newItem);
             break;
@@ -572,6 +683,7 @@ export default function Planning() {
     try {
       const newItem = await planItemsService.create({
         project_id: projectId,
+        scenario_id: scenarioId,
         name: '',
         item_type: itemType, // Default to milestone for root items
         status: 'not_started',
@@ -853,7 +965,7 @@ export default function Planning() {
   async function handleAutoSchedule() {
     try {
       // Get schedule updates
-      const updates = autoScheduleItems(items);
+      const updates = autoScheduleItems(items, scheduleOptions);
       
       if (updates.length === 0) {
         showSuccess('No schedule changes needed');
@@ -877,6 +989,70 @@ export default function Planning() {
     }
   }
 
+  // Gantt drag/resize: save the new dates, then let dependents follow.
+  // The drag and the rescheduling it causes are undone as one operation.
+  async function handleGanttDatesChange(item, dates) {
+    try {
+      const updatedItems = items.map(i => (i.id === item.id ? { ...i, ...dates } : i));
+      setItems(updatedItems);
+
+      await planItemsService.update(item.id, dates);
+      const saved = new Map([[item.id, dates]]);
+
+      // Successors (and the item itself, if a predecessor holds it) are re-scheduled
+      const scheduleUpdates = autoScheduleItems(updatedItems, scheduleOptions);
+      for (const update of scheduleUpdates) {
+        const newValues = { start_date: update.start_date, end_date: update.end_date };
+        await planItemsService.update(update.id, newValues);
+        saved.set(update.id, newValues);
+      }
+
+      planningHistory.push('reschedule', {
+        changes: [...saved].map(([id, newValues]) => {
+          const original = items.find(i => i.id === id);
+          return {
+            id,
+            previousValues: { start_date: original?.start_date || null, end_date: original?.end_date || null },
+            newValues
+          };
+        })
+      });
+
+      await fetchItems();
+      if (scheduleUpdates.some(u => u.id === item.id)) {
+        showSuccess('Dates updated - predecessors limit how early this item can start');
+      } else if (scheduleUpdates.length > 0) {
+        showSuccess(`Dates updated, ${scheduleUpdates.length} item(s) rescheduled`);
+      } else {
+        showSuccess('Dates updated');
+      }
+    } catch (error) {
+      console.error('Gantt update error:', error);
+      showError('Failed to update dates');
+      fetchItems();
+    }
+  }
+
+  // Resource levelling: save the moved dates and the constraints that hold them
+  async function handleApplyLevelling(updates) {
+    try {
+      for (const update of updates) {
+        await planItemsService.update(update.id, {
+          start_date: update.start_date,
+          end_date: update.end_date,
+          constraint_type: update.constraint_type,
+          constraint_date: update.constraint_date
+        });
+      }
+      await fetchItems();
+      showSuccess(`Resources levelled, ${updates.length} item(s) moved`);
+    } catch (error) {
+      console.error('Resource levelling error:', error);
+      showError('Failed to level resources');
+      fetchItems();
+    }
+  }
+
   // ===========================================================================
   // QUICK LINK HANDLERS
   // ===========================================================================
@@ -1210,7 +1386,7 @@ export default function Planning() {
       }
       
       // Create items in database
-      const result = await planItemsService.createBatchFlat(projectId, prepared);
+      const result = await planItemsService.createBatchFlat(projectId, prepared, scenarioId);
       const createdIds = result.items?.map(i => i.id) || [];
       
       // Track cut items before deleting
@@ -1258,6 +1434,25 @@ export default function Planning() {
   // ===========================================================================
 
   async function handleUndo() {
+    if (!planningHistory.peekUndo()) return;
+
+    // Warn before overwriting someone else's later edits
+    try {
+      const conflicts = await planningHistory.getUndoConflicts();
+      if (conflicts.length > 0) {
+        const names = conflicts
+          .map(c => items.find(i => i.id === c.itemId)?.name)
+          .filter(Boolean)
+          .slice(0, 3)
+          .join(', ');
+        if (!confirm(`${conflicts.length} item(s) have been changed by another user since (${names || 'deleted items'}). Undo anyway and overwrite their changes?`)) {
+          return;
+        }
+      }
+    } catch (error) {
+      console.error('Undo conflict check error:', error);
+    }
+
     const action = planningHistory.popUndo();
     if (!action) return;
     
@@ -1272,6 +1467,13 @@ export default function Planning() {
           // Undo update = restore previous values
           await planItemsService.update(action.data.id, action.data.previousValues);
           break;
+
+        case 'reschedule':
+          // Undo reschedule = restore every item's previous dates
+          for (const change of [...action.data.changes].reverse()) {
+            await planItemsService.update(change.id, change.previousValues);
+          }
+          break;
           
         case 'delete':
           // Undo delete = restore the item (undelete)
@@ -1319,7 +1521,7 @@ export default function Planning() {
       console.error('Undo error:', error);
       showError('Failed to undo');
       // Put the action back since undo failed
-      planningHistory.push(action.type, action.data);
+      planningHistory.cancelUndo(action);
     }
   }
 
@@ -1338,6 +1540,13 @@ export default function Planning() {
           // Redo update = apply new values again
           await planItemsService.update(action.data.id, action.data.newValues);
           break;
+
+        case 'reschedule':
+          // Redo reschedule = apply the saved dates again
+          for (const change of action.data.changes) {
+            await planItemsService.update(change.id, change.newValues);
+          }
+          break;
           
         case 'delete':
           // Redo delete = delete again
@@ -1740,6 +1949,12 @@ export default function Planning() {
     return items.filter(item => !hiddenIds.has(item.id));
   }, [items, collapsedIds]);
 
+  // Visible rows with baseline data for the Gantt view
+  const ganttRows = useMemo(() => {
+    const enrichedById = new Map(planningIntegration.enrichedItems.map(i => [i.id, i]));
+    return visibleItems.map(item => enrichedById.get(item.id) || item);
+  }, [visibleItems, planningIntegration.enrichedItems]);
+
   // Navigate to a cell, creating new row if needed
   async function navigateCell(rowIndex, colIndex) {
     // Wrap columns
@@ -2121,7 +2336,8 @@ export default function Planning() {
         );
       
       case 'start_date':
-      case 'end_date':
+      case 'end_date': {
+        const schedule = showCriticalPath && field === 'end_date' ? criticalPath.results[item.id] : null;
         return (
           <td 
             className={cellClass}
@@ -2129,8 +2345,17 @@ export default function Planning() {
             onDoubleClick={(e) => handleCellDoubleClick(rowIndex, field, e)}
           >
             <span className="plan-cell-date">{formatDate(item[field]) || <span className="placeholder">-</span>}</span>
+            {schedule && (
+              <span
+                className={`plan-float-badge ${schedule.is_critical ? 'critical' : ''}`}
+                title={`Late finish ${formatDate(schedule.late_finish)} • Total float ${schedule.total_float}d • Free float ${schedule.free_float}d`}
+              >
+                {schedule.total_float}d
+              </span>
+            )}
           </td>
         );
+      }
       
       case 'progress':
         return (
@@ -2290,7 +2515,36 @@ export default function Planning() {
             >
               <Redo2 size={16} />
             </button>
+            <button
+              onClick={() => setShowPlanHistory(true)}
+              className="plan-btn plan-btn-secondary"
+              title="Plan history"
+            >
+              <History size={16} />
+            </button>
+            <button
+              onClick={() => setShowScenarios(true)}
+              className={`plan-btn plan-btn-secondary ${activeScenario ? 'active' : ''}`}
+              title="Plan scenarios (what-if branches)"
+            >
+              <GitBranch size={16} />
+            </button>
           </div>
+          {collaboration.onlineUsers.length > 0 && (
+            <div
+              className="plan-online-users"
+              title={`Also viewing: ${collaboration.onlineUsers.map(u => u.name).join(', ')}`}
+            >
+              {collaboration.onlineUsers.slice(0, 4).map(u => (
+                <span key={u.userId} className="plan-online-avatar" style={{ background: u.color }}>
+                  {u.name.split(' ').map(n => n[0]).join('').toUpperCase().slice(0, 2)}
+                </span>
+              ))}
+              {collaboration.onlineUsers.length > 4 && (
+                <span className="plan-online-more">+{collaboration.onlineUsers.length - 4}</span>
+              )}
+            </div>
+          )}
           <div className="plan-keyboard-hint">
             <Keyboard size={14} />
             <span>Tab/Enter to navigate • Type to edit • F2 to edit cell</span>
@@ -2354,6 +2608,9 @@ export default function Planning() {
               </div>
             )}
           </div>
+          {/* Commit, exchange and templates work on the live plan only */}
+          {!activeScenario && (
+          <>
           {/* Commit to Tracker Button */}
           <CommitToTrackerButton
             uncommittedCount={planningIntegration.uncommittedCount}
@@ -2363,6 +2620,15 @@ export default function Planning() {
             onSelectComponents={() => planningIntegration.setShowCommitDialog(true)}
             commitSummary={planningIntegration.commitSummary}
           />
+          {/* MS Project / P6 XML */}
+          <button
+            onClick={() => setShowScheduleXml(true)}
+            className="plan-btn plan-btn-secondary"
+            title="Import or export MS Project / Primavera P6 XML"
+          >
+            <FileCode size={16} />
+            MSP / P6
+          </button>
           {/* Templates Dropdown */}
           <div className="planning-templates-dropdown" ref={templatesMenuRef} onClick={(e) => e.stopPropagation()}>
             <button
@@ -2394,6 +2660,8 @@ export default function Planning() {
               </div>
             )}
           </div>
+          </>
+          )}
           <button
             onClick={() => setShowAIPanel(true)}
             className="plan-btn plan-btn-ai"
@@ -2436,6 +2704,35 @@ export default function Planning() {
               <Maximize2 size={16} />
             </button>
           )}
+          {/* Critical Path Toggle */}
+          <button
+            onClick={() => setShowCriticalPath(prev => !prev)}
+            className={`plan-btn plan-btn-secondary plan-btn-critical ${showCriticalPath ? 'active' : ''}`}
+            title={criticalPath.projectFinish
+              ? `Critical path: ${criticalPath.criticalIds.length} item(s), plan finish ${formatDate(criticalPath.projectFinish)}`
+              : 'Critical path (needs scheduled items)'}
+          >
+            <Route size={16} />
+            Critical Path
+          </button>
+          {/* Resource Load Toggle */}
+          <button
+            onClick={() => setShowResourceLoad(prev => !prev)}
+            className={`plan-btn plan-btn-secondary ${showResourceLoad ? 'active' : ''}`}
+            title="Resource load and levelling"
+          >
+            <Users size={16} />
+            Resources
+          </button>
+          {/* Schedule Risk Toggle */}
+          <button
+            onClick={() => setShowScheduleRisk(prev => !prev)}
+            className={`plan-btn plan-btn-secondary ${showScheduleRisk ? 'active' : ''}`}
+            title="Monte Carlo schedule risk (P50 / P80 / P90)"
+          >
+            <Dices size={16} />
+            Risk
+          </button>
           {/* View Mode Toggle */}
           <div className="plan-view-toggle">
             <button
@@ -2452,6 +2749,13 @@ export default function Planning() {
             >
               <Grid2X2 size={16} />
             </button>
+            <button
+              onClick={() => setViewMode('gantt')}
+              className={`plan-btn plan-btn-toggle ${viewMode === 'gantt' ? 'active' : ''}`}
+              title="Gantt View"
+            >
+              <GanttIcon size={16} />
+            </button>
           </div>
           <button onClick={handleExpandAll} className="plan-btn plan-btn-secondary" title="Expand All">
             <ChevronDown size={16} />
@@ -2467,6 +2771,22 @@ export default function Planning() {
       </div>
 
       <div className="plan-content" onClick={(e) => e.stopPropagation()}>
+        {activeScenario && (
+          <div className="plan-scenario-banner">
+            <GitBranch size={16} />
+            <span className="plan-scenario-banner-text">
+              Editing scenario <strong>{activeScenario.name}</strong>. Changes here do not affect the live plan.
+            </span>
+            <button onClick={() => setCompareScenario(activeScenario)}>
+              <GitCompare size={14} />
+              Compare with live plan
+            </button>
+            <button onClick={() => setActiveScenario(null)}>
+              Back to live plan
+            </button>
+          </div>
+        )}
+
         {/* Pending Changes Banner for Baseline Protection */}
         <PendingChangesBanner
           pendingChanges={planningIntegration.pendingChanges}
@@ -2474,22 +2794,40 @@ export default function Planning() {
           onDiscardAll={planningIntegration.handleClearPendingChanges}
         />
 
+        {showResourceLoad && (
+          <ResourceLoadPanel
+            projectId={projectId}
+            items={items}
+            resources={projectResources}
+            scheduleOptions={scheduleOptions}
+            scheduleAnalysis={criticalPath.results}
+            onApplyLevelling={handleApplyLevelling}
+            onClose={() => setShowResourceLoad(false)}
+          />
+        )}
+
+        {showScheduleRisk && (
+          <ScheduleRiskPanel
+            items={items}
+            scheduleOptions={scheduleOptions}
+            onUpdateEstimate={handleUpdateItem}
+            onClose={() => setShowScheduleRisk(false)}
+          />
+        )}
+
         {/* AG Grid Enterprise View */}
         {viewMode === 'grid' && (
           <PlannerGrid
             ref={plannerGridRef}
             items={items}
+            scheduleAnalysis={criticalPath.results}
+            showCriticalPath={showCriticalPath}
             teamMembers={teamMembers}
             projectName={projectName}
-            onItemUpdate={async (id, updates) => {
-              try {
-                await planItemsService.update(id, updates);
-                fetchItems();
-              } catch (error) {
-                console.error('Update error:', error);
-                showError('Failed to update item');
-              }
-            }}
+            rowEditors={collaboration.rowEditors}
+            onEditingChange={collaboration.setEditingItem}
+            remoteChange={remoteChange}
+            onItemUpdate={(id, updates) => saveGridUpdate(id, updates, items.find(i => i.id === id))}
             onItemCreate={async (params) => {
               try {
                 const { position, referenceId, item_type, parent_id, inheritFrom } = params;
@@ -2523,6 +2861,7 @@ export default function Planning() {
 
                 await planItemsService.create({
                   project_id: projectId,
+                  scenario_id: scenarioId,
                   parent_id: position === 'child' ? referenceId : parent_id,
                   item_type,
                   name: `New ${item_type}`,
@@ -2564,6 +2903,20 @@ export default function Planning() {
           />
         )}
 
+        {/* Gantt Timeline View */}
+        {viewMode === 'gantt' && (
+          <GanttChart
+            items={planningIntegration.enrichedItems}
+            rows={ganttRows}
+            collapsedIds={collapsedIds}
+            onToggleCollapse={handleToggleCollapse}
+            scheduleAnalysis={criticalPath.results}
+            showCriticalPath={showCriticalPath}
+            calendar={workingCalendar}
+            onDatesChange={handleGanttDatesChange}
+          />
+        )}
+
         {/* Traditional Table View */}
         {viewMode === 'table' && (
         <>
@@ -2669,7 +3022,7 @@ export default function Planning() {
                   return (
                   <tr 
                     key={item.id} 
-                    className={`plan-row ${activeCell?.rowIndex === index ? 'active-row' : ''} ${selectedIds.has(item.id) ? 'selected' : ''} ${item.item_type} ${item.is_published ? 'committed' : ''} ${isDragged ? 'dragging' : ''} ${isDropTarget ? `drop-target-${dropPosition}` : ''} ${isDropTarget && !dragState.dropValid ? 'drop-invalid' : ''}`}
+                    className={`plan-row ${activeCell?.rowIndex === index ? 'active-row' : ''} ${selectedIds.has(item.id) ? 'selected' : ''} ${item.item_type} ${item.is_published ? 'committed' : ''} ${isDragged ? 'dragging' : ''} ${isDropTarget ? `drop-target-${dropPosition}` : ''} ${isDropTarget && !dragState.dropValid ? 'drop-invalid' : ''} ${showCriticalPath && criticalPath.results[item.id]?.is_critical ? 'critical' : ''}`}
                     onClick={(e) => handleRowSelect(item, e)}
                     draggable={!editingCell && !item.is_published}
                     onDragStart={(e) => handleDragStart(e, item)}
@@ -2720,6 +3073,13 @@ export default function Planning() {
                         >
                           <ArrowLeft size={14} />
                         </button>
+                        <button
+                          onClick={(e) => { e.stopPropagation(); setAssignmentEditItem(item); }}
+                          className="plan-action-btn"
+                          title="Assign resources"
+                        >
+                          <Users size={14} />
+                        </button>
                         {item.item_type === 'component' && (
                           <button
                             onClick={(e) => { e.stopPropagation(); setTemplateSaveItem(item); setShowSaveTemplate(true); }}
@@ -2799,6 +3159,30 @@ export default function Planning() {
         />
       )}
 
+      {/* Resource Assignment Modal */}
+      {assignmentEditItem && (
+        <AssignmentEditModal
+          item={assignmentEditItem}
+          resources={projectResources}
+          onClose={() => setAssignmentEditItem(null)}
+          onSave={async (assignments) => {
+            try {
+              const updates = {
+                resource_assignments: assignments,
+                assigned_resource_id: assignments[0]?.resource_id || null
+              };
+              await planItemsService.update(assignmentEditItem.id, updates);
+              setItems(prev => prev.map(i => (i.id === assignmentEditItem.id ? { ...i, ...updates } : i)));
+              showSuccess('Resources updated');
+              setAssignmentEditItem(null);
+            } catch (error) {
+              console.error('Error updating resources:', error);
+              showError('Failed to update resources');
+            }
+          }}
+        />
+      )}
+
       {/* Predecessor Edit Modal */}
       {predecessorEditItem && (
         <PredecessorEditModal
@@ -2814,7 +3198,7 @@ export default function Planning() {
               const updatedItems = items.map(i =>
                 i.id === predecessorEditItem.id ? { ...i, predecessors } : i
               );
-              const scheduleUpdates = autoScheduleItems(updatedItems);
+              const scheduleUpdates = autoScheduleItems(updatedItems, scheduleOptions);
 
               // Apply schedule updates
               if (scheduleUpdates.length > 0) {
@@ -2922,6 +3306,78 @@ export default function Planning() {
         isImporting={templateImporting}
       />
 
+      <ScheduleExchangeModal
+        isOpen={showScheduleXml}
+        onClose={() => setShowScheduleXml(false)}
+        projectId={projectId}
+        projectName={projectName}
+        items={items}
+        calendar={workingCalendar}
+        onImported={(result, parsed) => {
+          const skipped = parsed.warnings.length;
+          showSuccess(`Imported ${result.created} items${skipped ? ` (${skipped} mapping note${skipped === 1 ? '' : 's'})` : ''}`);
+          setShowScheduleXml(false);
+          fetchItems();
+        }}
+      />
+
+      <PlanHistoryModal
+        isOpen={showPlanHistory}
+        onClose={() => setShowPlanHistory(false)}
+        projectId={projectId}
+        scenarioId={scenarioId}
+        onRestored={(count) => {
+          showSuccess(`Plan restored, ${count} item(s) rolled back`);
+          fetchItems();
+        }}
+      />
+
+      <PlanScenariosModal
+        isOpen={showScenarios}
+        onClose={() => setShowScenarios(false)}
+        projectId={projectId}
+        userId={user?.id}
+        activeScenarioId={scenarioId}
+        onOpenScenario={(scenario) => {
+          setShowScenarios(false);
+          setActiveScenario(scenario);
+        }}
+        onCompareScenario={(scenario) => {
+          setShowScenarios(false);
+          setCompareScenario(scenario);
+        }}
+      />
+
+      <ScenarioDiffModal
+        scenario={compareScenario}
+        projectId={projectId}
+        userId={user?.id}
+        onClose={() => setCompareScenario(null)}
+        checkBaselineProtection={planningIntegration.checkBaselineProtection}
+        onMerged={({ created, updated, moved, deleted }) => {
+          showSuccess(`Merged into live plan: ${created} added, ${updated} updated, ${moved} moved, ${deleted} removed`);
+          if (!activeScenario) fetchItems();
+        }}
+        onVariationCreated={(variation) => {
+          setCompareScenario(null);
+          showSuccess(`Variation ${variation.variation_ref} created`);
+          navigate(`/variations/${variation.id}/edit`);
+        }}
+      />
+
+      <PlanMergeModal
+        conflict={mergeConflict}
+        onResolve={async (updates) => {
+          const { id, current } = mergeConflict;
+          setMergeConflict(null);
+          await saveGridUpdate(id, updates, current);
+        }}
+        onDiscard={() => {
+          setMergeConflict(null);
+          fetchItems();
+        }}
+      />
+
       <TemplateManageModal
         isOpen={showManageTemplates}
         onClose={() => setShowManageTemplates(false)}
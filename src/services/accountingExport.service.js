@@ -0,0 +1,280 @@
+/**
+ * Accounting Export Service
+ *
+ * Loads issued partner invoices (with their lines) and paid expenses for
+ * a project, builds import files with lib/accountingExport.js and records
+ * each export batch so nothing is exported twice.
+ *
+ * Records already exported are only included again when the caller gives
+ * a reason; the batch is then marked as a re-export. Batches are never
+ * updated or deleted, so the history is the audit trail.
+ *
+ * Usage:
+ *   import { accountingExportService } from '../services';
+ *
+ *   const invoices = await accountingExportService.getExportable(projectId, 'invoice');
+ *   const { files, warnings } = await accountingExportService.exportRecords({
+ *     projectId, format: 'xero', recordType: 'invoice', ids, createdBy
+ *   });
+ *
+ * @version 1.1
+ * @created 19 October 2026
+ * @updated 19 October 2026 - Record the batch and its records in one RPC
+ */
+
+import { supabase } from '../lib/supabase';
+import {
+  EXPORT_RECORD_TYPE,
+  EXPORTABLE_STATUSES,
+  buildAccountingExport
+} from '../lib/accountingExport';
+import { exchangeRatesService } from './exchangeRates.service';
+
+const INVOICE_SELECT = '*, partners(name, contact_email, payment_terms, tax_number), credited_invoice:credited_invoice_id(invoice_number)';
+const EXPENSE_SELECT = 'id, expense_date, category, reason, amount, currency, resource_name, status, chargeable_to_customer, procurement_method, is_deleted';
+
+class AccountingExportService {
+  constructor() {
+    this.tableName = 'accounting_exports';
+    this.recordsTable = 'accounting_export_records';
+  }
+
+  /**
+   * Last export of each record, keyed by record id
+   * @param {string} projectId - Project UUID
+   * @param {string} recordType - 'invoice' or 'expense'
+   * @returns {Promise<Map<string, Object>>} record id -> { exportId, exportedAt, format }
+   */
+  async getExportedMap(projectId, recordType) {
+    const { data, error } = await supabase
+      .from(this.recordsTable)
+      .select('record_id, created_at, accounting_exports(id, format)')
+      .eq('project_id', projectId)
+      .eq('record_type', recordType)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('AccountingExport getExportedMap error:', error);
+      throw error;
+    }
+
+    const exported = new Map();
+    (data || []).forEach(row => {
+      exported.set(row.record_id, {
+        exportId: row.accounting_exports?.id,
+        format: row.accounting_exports?.format,
+        exportedAt: row.created_at
+      });
+    });
+    return exported;
+  }
+
+  /**
+   * Records that can be exported, each with its last export (if any)
+   * @param {string} projectId - Project UUID
+   * @param {string} recordType - 'invoice' or 'expense'
+   * @param {Object} [options]
+   * @param {boolean} [options.includeExported] - Include records already exported
+   * @returns {Promise<Array>} Rows with `last_export`
+   */
+  async getExportable(projectId, recordType, { includeExported = false } = {}) {
+    try {
+      const statuses = EXPORTABLE_STATUSES[recordType];
+      const query = recordType === EXPORT_RECORD_TYPE.INVOICE
+        ? supabase
+          .from('partner_invoices')
+          .select(INVOICE_SELECT)
+          .eq('project_id', projectId)
+          .in('status', statuses)
+          .order('invoice_date', { ascending: false })
+        : supabase
+          .from('expenses')
+          .select(EXPENSE_SELECT)
+          .eq('project_id', projectId)
+          .in('status', statuses)
+          .order('expense_date', { ascending: false });
+
+      const [{ data, error }, exported] = await Promise.all([
+        query,
+        this.getExportedMap(projectId, recordType)
+      ]);
+      if (error) throw error;
+
+      return (data || [])
+        .filter(row => row.is_deleted !== true)
+        .map(row => ({ ...row, last_export: exported.get(row.id) || null }))
+        .filter(row => includeExported || !row.last_export);
+    } catch (error) {
+      console.error('AccountingExport getExportable error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Export batches for a project, newest first
+   * @param {string} projectId - Project UUID
+   * @returns {Promise<Array>}
+   */
+  async getHistory(projectId) {
+    const { data, error } = await supabase
+      .from(this.tableName)
+      .select('*, creator:profiles!created_by(full_name, email)')
+      .eq('project_id', projectId)
+      .order('created_at', { ascending: false })
+      .limit(50);
+
+    if (error) {
+      console.error('AccountingExport getHistory error:', error);
+      throw error;
+    }
+    return data || [];
+  }
+
+  /**
+   * Load full records for export
+   * @private
+   */
+  async loadRecords(projectId, recordType, ids) {
+    if (recordType === EXPORT_RECORD_TYPE.INVOICE) {
+      const [{ data: invoices, error }, { data: lines, error: linesError }] = await Promise.all([
+        supabase
+          .from('partner_invoices')
+          .select(INVOICE_SELECT)
+          .eq('project_id', projectId)
+          .in('id', ids)
+          .order('invoice_number', { ascending: true }),
+        supabase
+          .from('partner_invoice_lines')
+          .select('*')
+          .in('invoice_id', ids)
+          .order('line_type', { ascending: true })
+          .order('line_date', { ascending: true })
+      ]);
+      if (error) throw error;
+      if (linesError) throw linesError;
+
+      return (invoices || []).map(invoice => ({
+        ...invoice,
+        lines: (lines || []).filter(line => line.invoice_id === invoice.id)
+      }));
+    }
+
+    const [{ data: expenses, error }, fx] = await Promise.all([
+      supabase
+        .from('expenses')
+        .select(EXPENSE_SELECT)
+        .eq('project_id', projectId)
+        .in('id', ids)
+        .order('expense_date', { ascending: true }),
+      exchangeRatesService.getConverter(projectId)
+    ]);
+    if (error) throw error;
+
+    // Rate to the project currency on the expense date (Sage needs it)
+    return (expenses || []).map(expense => ({
+      ...expense,
+      exchange_rate: fx.getRate(expense.currency, expense.expense_date)
+    }));
+  }
+
+  /**
+   * Build export files and record the batch
+   *
+   * @param {Object} params
+   * @param {string} params.projectId - Project UUID
+   * @param {string} params.format - 'xero' | 'quickbooks' | 'sage' | 'ubl'
+   * @param {string} params.recordType - 'invoice' | 'expense'
+   * @param {Array<string>} params.ids - Records to export
+   * @param {string} [params.reason] - Required when any record was exported before
+   * @param {Object} [params.options] - Passed to buildAccountingExport (accounts, countryCode)
+   * @param {string} params.createdBy - User UUID
+   * @returns {Promise<{ files: Array, warnings: Array<string>, batch: Object }>}
+   */
+  async exportRecords({ projectId, format, recordType, ids, reason = null, options = {}, createdBy }) {
+    try {
+      if (!ids?.length) {
+        const error = new Error('Select at least one record to export');
+        error.code = 'NOTHING_TO_EXPORT';
+        throw error;
+      }
+
+      const exported = await this.getExportedMap(projectId, recordType);
+      const isReexport = ids.some(id => exported.has(id));
+      if (isReexport && !reason?.trim()) {
+        const error = new Error('Some records have already been exported. Give a reason to export them again.');
+        error.code = 'ALREADY_EXPORTED';
+        throw error;
+      }
+
+      const [records, seller] = await Promise.all([
+        this.loadRecords(projectId, recordType, ids),
+        this.getSeller(projectId)
+      ]);
+
+      const statuses = EXPORTABLE_STATUSES[recordType];
+      const exportable = records.filter(r => statuses.includes(r.status) && r.is_deleted !== true);
+      const skipped = records.length - exportable.length;
+
+      const stamp = new Date().toISOString().slice(0, 10);
+      const result = buildAccountingExport(format, recordType, exportable, {
+        ...options,
+        seller,
+        baseName: `${format}-${recordType}s-${stamp}`
+      });
+      const warnings = [
+        ...(skipped > 0 ? [`${skipped} record(s) are no longer ${statuses.join(' or ')} and were left out`] : []),
+        ...result.warnings
+      ];
+
+      if (result.included.length === 0) {
+        const error = new Error(warnings[0] || 'Nothing to export');
+        error.code = 'NOTHING_TO_EXPORT';
+        throw error;
+      }
+
+      // Batch and records in one transaction, so a failure leaves neither
+      const { data: batch, error: batchError } = await supabase.rpc('record_accounting_export', {
+        p_project_id: projectId,
+        p_format: format,
+        p_record_type: recordType,
+        p_file_names: result.files.map(f => f.fileName),
+        p_record_ids: result.included,
+        p_is_reexport: result.included.some(id => exported.has(id)),
+        p_reason: reason?.trim() || null,
+        p_warnings: warnings,
+        p_created_by: createdBy || null
+      });
+
+      if (batchError) throw batchError;
+
+      return { files: result.files, warnings, batch };
+    } catch (error) {
+      console.error('AccountingExport exportRecords error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Seller details for e-invoices: the project's organisation
+   * (VAT number from organisation settings.tax_number)
+   * @private
+   */
+  async getSeller(projectId) {
+    const { data, error } = await supabase
+      .from('projects')
+      .select('organisations(name, display_name, settings)')
+      .eq('id', projectId)
+      .limit(1);
+
+    if (error) throw error;
+    const organisation = data?.[0]?.organisations;
+    return {
+      name: organisation?.display_name || organisation?.name || '',
+      taxNumber: organisation?.settings?.tax_number || null
+    };
+  }
+}
+
+// Export singleton instance
+export const accountingExportService = new AccountingExportService();
+export default accountingExportService;
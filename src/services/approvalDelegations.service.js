@@ -0,0 +1,235 @@
+/**
+ * Approval Delegations Service
+ *
+ * Time-boxed delegation of a customer PM's timesheet and expense
+ * approval authority to another project user (see
+ * lib/approvalDelegation.js for the rules).
+ *
+ * getActiveDelegations() returns the delegations in force today whose
+ * delegator is still a customer PM on the project; pass them to
+ * projectSettingsService.getApprover() to find out whether a user can
+ * approve and on whose behalf. Delegates have no update rights on
+ * timesheets or expenses; their reviews go through reviewItem(), which
+ * only sets the status and review fields.
+ *
+ * Usage:
+ *   import { approvalDelegationsService } from '../services';
+ *
+ *   const delegations = await approvalDelegationsService.getActiveDelegations(projectId);
+ *
+ * @version 1.1
+ * @created 19 October 2026
+ * @updated 19 October 2026 - Delegated reviews through review_delegated_item()
+ */
+
+import { supabase } from '../lib/supabase';
+import { sanitizeMultiLine } from '../lib/sanitize';
+import {
+  DELEGATOR_ROLE,
+  DELEGATION_ERROR,
+  DELEGATION_STATUS,
+  getDelegationStatus,
+  validateDelegation
+} from '../lib/approvalDelegation';
+
+const DELEGATION_SELECT = `
+  *,
+  delegator:profiles!approval_delegations_delegator_id_fkey(id, full_name, email),
+  delegate:profiles!approval_delegations_delegate_id_fkey(id, full_name, email)
+`;
+
+export class ApprovalDelegationsService {
+  constructor() {
+    this.tableName = 'approval_delegations';
+  }
+
+  /**
+   * All delegations on a project, newest first, with their status
+   * @param {string} projectId - Project UUID
+   * @returns {Promise<Array>}
+   */
+  async getAll(projectId) {
+    try {
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .select(DELEGATION_SELECT)
+        .eq('project_id', projectId)
+        .order('start_date', { ascending: false });
+
+      if (error) throw error;
+      return (data || []).map(d => ({ ...d, status: getDelegationStatus(d) }));
+    } catch (error) {
+      console.error('ApprovalDelegations getAll failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delegations in force today whose delegator is still a customer PM
+   * @param {string} projectId - Project UUID
+   * @returns {Promise<Array>}
+   */
+  async getActiveDelegations(projectId) {
+    try {
+      const today = new Date().toISOString().slice(0, 10);
+      const [delegationsResult, delegatorsResult] = await Promise.all([
+        supabase
+          .from(this.tableName)
+          .select(DELEGATION_SELECT)
+          .eq('project_id', projectId)
+          .is('revoked_at', null)
+          .lte('start_date', today)
+          .gte('end_date', today),
+        supabase
+          .from('user_projects')
+          .select('user_id')
+          .eq('project_id', projectId)
+          .eq('role', DELEGATOR_ROLE)
+      ]);
+
+      for (const result of [delegationsResult, delegatorsResult]) {
+        if (result.error) throw result.error;
+      }
+
+      const delegators = new Set((delegatorsResult.data || []).map(up => up.user_id));
+      return (delegationsResult.data || [])
+        .filter(d => delegators.has(d.delegator_id))
+        .map(d => ({ ...d, status: DELEGATION_STATUS.ACTIVE }));
+    } catch (error) {
+      console.error('ApprovalDelegations getActiveDelegations failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Project users a delegation can be given to
+   * @param {string} projectId - Project UUID
+   * @returns {Promise<Array<{ id, full_name, email, role }>>}
+   */
+  async getCandidates(projectId) {
+    try {
+      const { data: members, error } = await supabase
+        .from('user_projects')
+        .select('user_id, role')
+        .eq('project_id', projectId)
+        .neq('role', 'viewer');
+
+      if (error) throw error;
+      if (!members || members.length === 0) return [];
+
+      const { data: profiles, error: profilesError } = await supabase
+        .from('profiles')
+        .select('id, full_name, email')
+        .in('id', members.map(m => m.user_id));
+
+      if (profilesError) throw profilesError;
+
+      const roles = new Map(members.map(m => [m.user_id, m.role]));
+      return (profiles || [])
+        .map(p => ({ ...p, role: roles.get(p.id) }))
+        .sort((a, b) => (a.full_name || a.email || '').localeCompare(b.full_name || b.email || ''));
+    } catch (error) {
+      console.error('ApprovalDelegations getCandidates failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delegate approval authority
+   * @param {string} projectId - Project UUID
+   * @param {Object} delegation - { delegator_id, delegate_id, start_date, end_date, entity_types, reason }
+   * @param {string} userId - User creating the delegation
+   * @returns {Promise<Object>} Created delegation
+   */
+  async create(projectId, delegation, userId) {
+    const message = validateDelegation(delegation);
+    if (message) {
+      const error = new Error(message);
+      error.code = DELEGATION_ERROR.INVALID_DELEGATION;
+      throw error;
+    }
+
+    try {
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .insert({
+          project_id: projectId,
+          delegator_id: delegation.delegator_id,
+          delegate_id: delegation.delegate_id,
+          entity_types: delegation.entity_types,
+          start_date: delegation.start_date,
+          end_date: delegation.end_date,
+          reason: delegation.reason ? sanitizeMultiLine(delegation.reason, 500) : null,
+          created_by: userId
+        })
+        .select(DELEGATION_SELECT)
+        .single();
+
+      if (error) throw error;
+      return { ...data, status: getDelegationStatus(data) };
+    } catch (error) {
+      console.error('ApprovalDelegations create failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Approve or reject a submitted timesheet or expense under the current
+   * user's delegation. The database works out the delegator and records
+   * it in reviewed_on_behalf_of.
+   * @param {string} entityType - 'timesheet' or 'expense'
+   * @param {string} id - Timesheet or expense UUID
+   * @param {Object} review
+   * @param {string} review.action - 'approve' or 'reject'
+   * @param {string} [review.note] - Approval note, or rejection reason
+   * @param {boolean} [review.acknowledgePolicy] - Acknowledge expense policy issues
+   * @param {string} [review.acknowledgementNote]
+   * @returns {Promise<Object>} Reviewed row
+   */
+  async reviewItem(entityType, id, { action, note = null, acknowledgePolicy = false, acknowledgementNote = null }) {
+    try {
+      const { data, error } = await supabase.rpc('review_delegated_item', {
+        p_entity_type: entityType,
+        p_id: id,
+        p_action: action,
+        p_note: note,
+        p_acknowledge_policy: acknowledgePolicy,
+        p_acknowledgement_note: acknowledgementNote ? sanitizeMultiLine(acknowledgementNote, 1000) : null
+      });
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('ApprovalDelegations reviewItem failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke a delegation
+   * @param {string} id - Delegation UUID
+   * @param {string} userId - User revoking it
+   * @returns {Promise<Object>} Revoked delegation
+   */
+  async revoke(id, userId) {
+    try {
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .update({ revoked_at: new Date().toISOString(), revoked_by: userId })
+        .eq('id', id)
+        .is('revoked_at', null)
+        .select(DELEGATION_SELECT)
+        .single();
+
+      if (error) throw error;
+      return { ...data, status: DELEGATION_STATUS.REVOKED };
+    } catch (error) {
+      console.error('ApprovalDelegations revoke failed:', error);
+      throw error;
+    }
+  }
+}
+
+// Export singleton instance
+export const approvalDelegationsService = new ApprovalDelegationsService();
+export default approvalDelegationsService;
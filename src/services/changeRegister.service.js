@@ -0,0 +1,104 @@
+/**
+ * Change Register Service
+ *
+ * Loads a project's milestones, each milestone's baseline history and
+ * its applied and reverted variations, and builds the cumulative change
+ * register with lib/changeRegister.js: contract value and end date after
+ * every variation, the original → current waterfall and per-milestone
+ * baseline lineage. Exports the register as an Excel workbook.
+ *
+ * @version 1.0
+ * @created 19 October 2026
+ */
+
+import * as XLSX from 'xlsx';
+import { format } from 'date-fns';
+import {
+  CHANGE_EVENT_TYPE,
+  buildChangeRegister,
+  buildMilestoneLineage,
+  getRegisterExportRows,
+  getLineageExportRows
+} from '../lib/changeRegister';
+import { milestonesService } from './milestones.service';
+import { variationsService, VARIATION_STATUS } from './variations.service';
+
+class ChangeRegisterService {
+  /**
+   * Change register for a project
+   * @param {string} projectId - Project UUID
+   * @returns {Promise<Object>} buildChangeRegister result plus milestones and lineageByMilestone
+   */
+  async getRegister(projectId) {
+    try {
+      const [milestones, variations] = await Promise.all([
+        milestonesService.getAll(projectId, {
+          orderBy: { column: 'milestone_ref', ascending: true }
+        }),
+        variationsService.getAll(projectId, {
+          filters: [{ column: 'status', operator: 'in', value: [VARIATION_STATUS.APPLIED, VARIATION_STATUS.REVERTED] }]
+        })
+      ]);
+
+      const histories = await Promise.all(
+        milestones.map(m => variationsService.getMilestoneBaselineHistory(m.id))
+      );
+
+      const register = buildChangeRegister({
+        milestones,
+        versions: histories.flat(),
+        variations
+      });
+
+      return {
+        ...register,
+        milestones,
+        lineageByMilestone: Object.fromEntries(
+          milestones.map((m, i) => [m.id, buildMilestoneLineage(histories[i])])
+        )
+      };
+    } catch (error) {
+      console.error('ChangeRegisterService.getRegister error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Download the register as an Excel workbook
+   * Sheets: Summary, Register (one row per change) and Baseline Lineage
+   * @param {Object} register - getRegister result
+   * @param {Object} [options]
+   * @param {string} [options.projectName] - Used in the title and file name
+   */
+  exportToExcel(register, options = {}) {
+    const { projectName = 'Project' } = options;
+
+    const summary = XLSX.utils.aoa_to_sheet([
+      [`${projectName} - Change Register`],
+      [`Generated ${format(new Date(), 'd MMM yyyy HH:mm')}`],
+      [],
+      ['', 'Contract value', 'Contract end'],
+      ['Original', register.original.value, register.original.endDate],
+      ['Current', register.current.value, register.current.endDate],
+      ['Change', register.totalChange.value, register.totalChange.endChangeDays === null ? '' : `${register.totalChange.endChangeDays} days`],
+      [],
+      ['Variations applied', register.events.filter(e => e.type === CHANGE_EVENT_TYPE.APPLIED).length],
+      ['Variations reverted', register.events.filter(e => e.type === CHANGE_EVENT_TYPE.REVERTED).length]
+    ]);
+
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, summary, 'Summary');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(getRegisterExportRows(register)), 'Register');
+    XLSX.utils.book_append_sheet(
+      workbook,
+      XLSX.utils.json_to_sheet(getLineageExportRows(register.milestones, register.lineageByMilestone)),
+      'Baseline Lineage'
+    );
+
+    const safeName = projectName.replace(/[^a-z0-9-_ ]/gi, '').trim().replace(/\s+/g, '-') || 'project';
+    XLSX.writeFile(workbook, `${safeName}-change-register-${format(new Date(), 'yyyy-MM-dd')}.xlsx`);
+  }
+}
+
+export const changeRegisterService = new ChangeRegisterService();
+export default changeRegisterService;
@@ -550,6 +550,7 @@ export class DeliverablesService extends BaseService {
         .from('plan_items')
         .select('*')
         .eq('project_id', projectId)
+        .is('scenario_id', null)
         .eq('item_type', 'task')
         .or('is_deleted.is.null,is_deleted.eq.false')
         .order('sort_order', { ascending: true });
@@ -566,6 +567,7 @@ export class DeliverablesService extends BaseService {
         .from('plan_items')
         .select('id, parent_id, item_type, name, wbs, published_milestone_id, published_deliverable_id')
         .eq('project_id', projectId)
+        .is('scenario_id', null)
         .or('is_deleted.is.null,is_deleted.eq.false');
 
       if (itemsError) throw itemsError;
@@ -0,0 +1,94 @@
+/**
+ * Earned Value Service
+ *
+ * Loads milestone baselines, deliverable progress and approved actuals for
+ * a project and computes earned value with lib/earnedValue.js.
+ *
+ * Actual cost uses the same day-rate valuation as metricsService (the
+ * rate card rate valid on each timesheet date), limited to validated /
+ * approved timesheets and expenses. Expenses are converted into the
+ * project currency at the rate on their date; currency pairs with no
+ * rate are returned in missingRates and counted unconverted.
+ *
+ * @version 1.2
+ * @created 19 October 2026
+ * @updated 19 October 2026 - Rates from effective-dated rate cards
+ * @updated 19 October 2026 - Expenses converted into the project currency
+ */
+
+import { supabase } from '../lib/supabase';
+import { VALID_STATUSES, BUDGET_CONFIG } from '../config/metricsConfig';
+import { calculateProjectEvm } from '../lib/earnedValue';
+import { rateCardsService } from './rateCards.service';
+import { exchangeRatesService } from './exchangeRates.service';
+
+class EarnedValueService {
+  /**
+   * Earned value for a project at a status date
+   * @param {string} projectId - Project UUID
+   * @param {string} [asOf] - Status date 'YYYY-MM-DD' (default today)
+   * @returns {Promise<Object>} calculateProjectEvm result, plus missingRates
+   *   (currency pairs with no exchange rate)
+   */
+  async getProjectEvm(projectId, asOf = new Date().toISOString().slice(0, 10)) {
+    try {
+      const [milestonesResult, deliverablesResult, timesheetsResult, expensesResult, resolveRates, fx] = await Promise.all([
+        supabase
+          .from('milestones')
+          .select('id, milestone_ref, name, baseline_billable, billable, baseline_start_date, baseline_end_date, start_date, end_date, is_deleted')
+          .eq('project_id', projectId)
+          .order('milestone_ref'),
+        supabase
+          .from('deliverables')
+          .select('id, milestone_id, progress, status, delivered_date, is_deleted')
+          .eq('project_id', projectId),
+        supabase
+          .from('timesheets')
+          .select('id, date, hours_worked, hours, status, milestone_id, is_deleted, resources(id, role, sfia_level, sell_price)')
+          .eq('project_id', projectId)
+          .in('status', VALID_STATUSES.timesheets.completed),
+        supabase
+          .from('expenses')
+          .select('id, expense_date, amount, currency, status, is_deleted')
+          .eq('project_id', projectId)
+          .in('status', VALID_STATUSES.expenses.completed),
+        rateCardsService.getRateResolver(projectId),
+        exchangeRatesService.getConverter(projectId)
+      ]);
+
+      for (const result of [milestonesResult, deliverablesResult, timesheetsResult, expensesResult]) {
+        if (result.error) throw result.error;
+      }
+
+      const active = rows => (rows || []).filter(r => r.is_deleted !== true);
+
+      const costs = [
+        ...active(timesheetsResult.data).map(ts => ({
+          date: ts.date,
+          milestone_id: ts.milestone_id || null,
+          amount: (parseFloat(ts.hours_worked || ts.hours || 0) / BUDGET_CONFIG.hoursPerDay) * (resolveRates(ts.resources, ts.date).sell_price || 0)
+        })),
+        ...active(expensesResult.data).map(exp => ({
+          date: exp.expense_date,
+          milestone_id: null,
+          amount: fx.convert(parseFloat(exp.amount) || 0, exp.currency, exp.expense_date)
+        }))
+      ];
+
+      const evm = calculateProjectEvm({
+        milestones: active(milestonesResult.data),
+        deliverables: active(deliverablesResult.data),
+        costs,
+        asOf
+      });
+
+      return { ...evm, missingRates: fx.missingRates() };
+    } catch (error) {
+      console.error('EarnedValueService.getProjectEvm error:', error);
+      throw error;
+    }
+  }
+}
+
+export const earnedValueService = new EarnedValueService();
+export default earnedValueService;
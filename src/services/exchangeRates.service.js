@@ -0,0 +1,175 @@
+/**
+ * Exchange Rates Service
+ *
+ * Dated exchange rates maintained per ORGANISATION, and conversion of
+ * project amounts into the project reporting currency (projects.currency).
+ * Metrics, the finance hub, reports and invoicing load a converter with
+ * getConverter() and convert each amount at the rate on its date (see
+ * lib/currency.js).
+ *
+ * Usage:
+ *   import { exchangeRatesService } from '../services';
+ *
+ *   const fx = await exchangeRatesService.getConverter(projectId);
+ *   const gbp = fx.convert(expense.amount, expense.currency, expense.expense_date);
+ *
+ * @version 1.0
+ * @created 19 October 2026
+ */
+
+import { supabase } from '../lib/supabase';
+import { getCacheKey, getFromCache, setInCache, invalidateNamespace, CACHE_TTL } from '../lib/cache';
+import {
+  createCurrencyConverter,
+  normaliseCurrency,
+  validateExchangeRate
+} from '../lib/currency';
+
+const CACHE_NAMESPACE = 'exchange_rates';
+
+export class ExchangeRatesService {
+  constructor() {
+    this.tableName = 'exchange_rates';
+  }
+
+  /**
+   * All active rates for an organisation, newest first (with caching)
+   * @param {string} organisationId - Organisation UUID
+   * @returns {Promise<Array>}
+   */
+  async getAllByOrganisation(organisationId) {
+    const cacheKey = getCacheKey(CACHE_NAMESPACE, organisationId, 'all');
+    const cached = getFromCache(cacheKey);
+    if (cached) return cached;
+
+    const { data, error } = await supabase
+      .from(this.tableName)
+      .select('*')
+      .eq('organisation_id', organisationId)
+      .or('is_deleted.is.null,is_deleted.eq.false')
+      .order('effective_date', { ascending: false });
+
+    if (error) {
+      console.error('ExchangeRates getAllByOrganisation error:', error);
+      throw error;
+    }
+
+    setInCache(cacheKey, data || [], CACHE_TTL.MEDIUM);
+    return data || [];
+  }
+
+  /**
+   * Reporting currency and organisation of a project (with caching)
+   * @param {string} projectId - Project UUID
+   * @returns {Promise<{currency: string, organisationId: string|null}>}
+   */
+  async getProjectCurrency(projectId) {
+    const cacheKey = getCacheKey(CACHE_NAMESPACE, projectId, 'project');
+    const cached = getFromCache(cacheKey);
+    if (cached) return cached;
+
+    const { data, error } = await supabase
+      .from('projects')
+      .select('currency, organisation_id')
+      .eq('id', projectId)
+      .limit(1);
+
+    if (error) {
+      console.error('ExchangeRates getProjectCurrency error:', error);
+      throw error;
+    }
+
+    const result = {
+      currency: normaliseCurrency(data?.[0]?.currency),
+      organisationId: data?.[0]?.organisation_id || null
+    };
+    setInCache(cacheKey, result, CACHE_TTL.MEDIUM);
+    return result;
+  }
+
+  /**
+   * Converter into a project's reporting currency
+   * @param {string} projectId - Project UUID
+   * @returns {Promise<Object>} See createCurrencyConverter
+   */
+  async getConverter(projectId) {
+    try {
+      const { currency, organisationId } = await this.getProjectCurrency(projectId);
+      const rates = organisationId ? await this.getAllByOrganisation(organisationId) : [];
+      return createCurrencyConverter(rates, currency);
+    } catch (error) {
+      console.error('ExchangeRates getConverter error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a dated rate
+   * @param {Object} rate - { organisation_id, from_currency, to_currency, rate, effective_date, source }
+   */
+  async create(rate) {
+    const message = validateExchangeRate(rate);
+    if (message) {
+      const error = new Error(message);
+      error.code = 'INVALID_EXCHANGE_RATE';
+      throw error;
+    }
+
+    const { data, error } = await supabase
+      .from(this.tableName)
+      .insert({
+        organisation_id: rate.organisation_id,
+        from_currency: normaliseCurrency(rate.from_currency),
+        to_currency: normaliseCurrency(rate.to_currency),
+        rate: parseFloat(rate.rate),
+        effective_date: rate.effective_date,
+        source: rate.source || null,
+        created_by: rate.created_by || null
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('ExchangeRates create error:', error);
+      throw error;
+    }
+
+    invalidateNamespace(CACHE_NAMESPACE);
+    return data;
+  }
+
+  /**
+   * Soft delete a rate
+   * @param {string} id - Rate UUID
+   * @param {string} userId - User performing the delete
+   */
+  async delete(id, userId = null) {
+    const { error } = await supabase
+      .from(this.tableName)
+      .update({
+        is_deleted: true,
+        deleted_at: new Date().toISOString(),
+        deleted_by: userId
+      })
+      .eq('id', id);
+
+    if (error) {
+      console.error('ExchangeRates delete error:', error);
+      throw error;
+    }
+
+    invalidateNamespace(CACHE_NAMESPACE);
+    return true;
+  }
+
+  /**
+   * Drop cached project currencies (after a project currency change)
+   */
+  clearCache() {
+    invalidateNamespace(CACHE_NAMESPACE);
+  }
+}
+
+// Export singleton instance
+export const exchangeRatesService = new ExchangeRatesService();
+export default exchangeRatesService;
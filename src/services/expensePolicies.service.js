@@ -0,0 +1,373 @@
+/**
+ * Expense Policies Service
+ *
+ * Organisation and project expense policies (see lib/expensePolicy.js for
+ * the rules). A project's effective policy is the organisation policy,
+ * overridden by any values set on the project, plus the project's receipt
+ * threshold from its workflow settings.
+ *
+ * checkExpense() loads everything a check needs - the policy, exchange
+ * rates, working calendar and the resource's other expenses - and returns
+ * the violations. expensesService.submit() stores them on the expense.
+ *
+ * calculateExpense() works out the amount of a mileage or per diem
+ * expense from the policy rates. Mileage counts the resource's car miles
+ * this tax year on every project, for the annual threshold.
+ *
+ * Usage:
+ *   import { expensePoliciesService } from '../services';
+ *
+ *   const violations = await expensePoliciesService.checkExpense(expense);
+ *
+ * @version 1.1
+ * @created 19 October 2026
+ * @updated 19 October 2026 - Mileage and per diem calculation
+ */
+
+import { supabase } from '../lib/supabase';
+import { getCacheKey, getFromCache, setInCache, invalidateNamespace, CACHE_TTL } from '../lib/cache';
+import { toDateKey } from '../lib/workingCalendar';
+import { sanitizeSingleLine } from '../lib/sanitize';
+import {
+  EXPENSE_TYPE,
+  EXPENSE_TYPE_CONFIG,
+  POLICY_NUMBER_FIELDS,
+  mergePolicies,
+  validateExpensePolicy,
+  getMileageYearStart,
+  getDistanceToDate,
+  calculateMileage,
+  calculatePerDiem,
+  evaluateExpense
+} from '../lib/expensePolicy';
+import { exchangeRatesService } from './exchangeRates.service';
+import { projectSettingsService } from './projectSettings.service';
+import { workingCalendarsService } from './workingCalendars.service';
+
+const CACHE_NAMESPACE = 'expense_policies';
+
+// Columns a policy form can set
+const EDITABLE_FIELDS = [
+  'category_caps',
+  'flag_non_working_days',
+  'flag_duplicates',
+  'escalation_role',
+  'per_diem_rates',
+  ...POLICY_NUMBER_FIELDS
+];
+
+export class ExpensePoliciesService {
+  constructor() {
+    this.tableName = 'expense_policies';
+  }
+
+  /**
+   * Organisation policy row, or null
+   * @param {string} organisationId - Organisation UUID
+   */
+  async getOrganisationPolicy(organisationId) {
+    return this.getPolicyRow('organisation_id', organisationId);
+  }
+
+  /**
+   * Project override row, or null
+   * @param {string} projectId - Project UUID
+   */
+  async getProjectPolicy(projectId) {
+    return this.getPolicyRow('project_id', projectId);
+  }
+
+  /**
+   * Both policy layers for a project
+   * @param {string} projectId - Project UUID
+   * @returns {Promise<{ organisationId, organisation, project, effective }>}
+   */
+  async getPolicies(projectId) {
+    try {
+      const [{ organisationId }, project, settings] = await Promise.all([
+        exchangeRatesService.getProjectCurrency(projectId),
+        this.getProjectPolicy(projectId),
+        projectSettingsService.getSettings(projectId)
+      ]);
+      const organisation = organisationId ? await this.getOrganisationPolicy(organisationId) : null;
+
+      return {
+        organisationId,
+        organisation,
+        project,
+        effective: mergePolicies(organisation, project, {
+          receipt_required: settings.expense_receipt_required,
+          receipt_threshold: settings.expense_receipt_threshold
+        })
+      };
+    } catch (error) {
+      console.error('ExpensePolicies getPolicies error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Effective policy for a project
+   * @param {string} projectId - Project UUID
+   * @returns {Promise<Object>} See mergePolicies
+   */
+  async getEffectivePolicy(projectId) {
+    const { effective } = await this.getPolicies(projectId);
+    return effective;
+  }
+
+  /**
+   * Create or update the policy for an organisation or a project
+   *
+   * @param {Object} scope - { organisationId } or { projectId }
+   * @param {Object} values - Policy values; blank values inherit
+   * @param {string} userId - User saving the policy
+   * @returns {Promise<Object>} Saved row
+   */
+  async savePolicy({ organisationId = null, projectId = null }, values, userId) {
+    try {
+      const policy = this.sanitizeData(values);
+      const message = validateExpensePolicy(policy);
+      if (message) {
+        const error = new Error(message);
+        error.code = 'INVALID_EXPENSE_POLICY';
+        throw error;
+      }
+
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .upsert({
+          ...policy,
+          organisation_id: organisationId,
+          project_id: projectId,
+          created_by: userId,
+          updated_by: userId
+        }, { onConflict: organisationId ? 'organisation_id' : 'project_id' })
+        .select();
+
+      if (error) throw error;
+      invalidateNamespace(CACHE_NAMESPACE);
+      return data?.[0];
+    } catch (error) {
+      console.error('ExpensePolicies savePolicy error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a project override so the organisation policy applies
+   * @param {string} projectId - Project UUID
+   */
+  async deleteProjectPolicy(projectId) {
+    const { error } = await supabase
+      .from(this.tableName)
+      .delete()
+      .eq('project_id', projectId);
+
+    if (error) {
+      console.error('ExpensePolicies deleteProjectPolicy error:', error);
+      throw error;
+    }
+    invalidateNamespace(CACHE_NAMESPACE);
+  }
+
+  /**
+   * Check an expense against its project's policy
+   *
+   * @param {Object} expense - Expense row with expense_files
+   * @returns {Promise<Array>} Violations (see evaluateExpense)
+   */
+  async checkExpense(expense) {
+    try {
+      const date = toDateKey(expense.expense_date);
+      const from = getMileageYearStart(date);
+
+      const [policy, fx, calendars, otherExpenses] = await Promise.all([
+        this.getEffectivePolicy(expense.project_id),
+        exchangeRatesService.getConverter(expense.project_id),
+        workingCalendarsService.getSchedulingCalendars(expense.project_id).catch(error => {
+          // Fall back to a Monday-Friday week
+          console.error('ExpensePolicies calendars error:', error);
+          return {};
+        }),
+        this.getResourceExpenses(expense.project_id, expense.resource_id, from, date)
+      ]);
+
+      const calendar = calendars.resourceCalendars?.[expense.resource_id] || calendars.calendar || undefined;
+
+      return evaluateExpense(expense, {
+        policy,
+        otherExpenses,
+        receiptCount: expense.expense_files?.length || 0,
+        calendar,
+        convert: fx.convert,
+        currency: fx.currency
+      });
+    } catch (error) {
+      console.error('ExpensePolicies checkExpense error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Work out the amount of a mileage or per diem expense
+   *
+   * Mileage takes distance, vehicle_type, journey_from and journey_to;
+   * per diem takes per_diem: { location, full_days, partial_days }.
+   * Calculated amounts are in the project currency. Receipted expenses
+   * are returned unchanged.
+   *
+   * @param {Object} expense - New expense (project_id, resource_id, expense_date)
+   * @returns {Promise<Object>} Expense with amount, currency, category and calculation_basis
+   */
+  async calculateExpense(expense) {
+    const { per_diem: perDiem, ...data } = expense;
+    const type = data.expense_type || EXPENSE_TYPE.STANDARD;
+    if (type === EXPENSE_TYPE.STANDARD) return data;
+
+    try {
+      const [policy, { currency }] = await Promise.all([
+        this.getEffectivePolicy(data.project_id),
+        exchangeRatesService.getProjectCurrency(data.project_id)
+      ]);
+
+      let result;
+      if (type === EXPENSE_TYPE.MILEAGE) {
+        const date = toDateKey(data.expense_date);
+        const mileage = await this.getResourceMileage(data.resource_id, getMileageYearStart(date), date);
+        result = calculateMileage({
+          distance: data.distance,
+          vehicleType: data.vehicle_type,
+          distanceToDate: getDistanceToDate(data, mileage),
+          from: sanitizeSingleLine(data.journey_from, 200) || null,
+          to: sanitizeSingleLine(data.journey_to, 200) || null
+        }, policy);
+        Object.assign(data, {
+          journey_from: result.basis.from,
+          journey_to: result.basis.to,
+          distance: result.basis.distance,
+          vehicle_type: result.basis.vehicle_type
+        });
+      } else {
+        result = calculatePerDiem({
+          location: perDiem?.location,
+          fullDays: perDiem?.full_days,
+          partialDays: perDiem?.partial_days
+        }, policy);
+      }
+
+      return {
+        ...data,
+        category: EXPENSE_TYPE_CONFIG[type].category,
+        amount: result.amount,
+        currency,
+        calculation_basis: result.basis
+      };
+    } catch (error) {
+      console.error('ExpensePolicies calculateExpense error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * A resource's mileage claims on any project between two dates
+   * @private
+   */
+  async getResourceMileage(resourceId, start, end) {
+    const { data, error } = await supabase
+      .from('expenses')
+      .select('id, resource_id, expense_date, distance, vehicle_type, status, is_deleted')
+      .eq('resource_id', resourceId)
+      .not('distance', 'is', null)
+      .gte('expense_date', start)
+      .lte('expense_date', end);
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * A resource's expenses on a project between two dates
+   * @private
+   */
+  async getResourceExpenses(projectId, resourceId, start, end) {
+    const { data, error } = await supabase
+      .from('expenses')
+      .select('id, expense_ref, resource_id, category, expense_type, expense_date, amount, currency, distance, vehicle_type, calculation_basis, status, is_deleted')
+      .eq('project_id', projectId)
+      .eq('resource_id', resourceId)
+      .gte('expense_date', start)
+      .lte('expense_date', end);
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Policy row for one scope (cached)
+   * @private
+   */
+  async getPolicyRow(column, id) {
+    const cacheKey = getCacheKey(CACHE_NAMESPACE, id, column);
+    const cached = getFromCache(cacheKey);
+    if (cached) return cached.row;
+
+    const { data, error } = await supabase
+      .from(this.tableName)
+      .select('*')
+      .eq(column, id)
+      .limit(1);
+
+    if (error) {
+      console.error('ExpensePolicies getPolicyRow error:', error);
+      throw error;
+    }
+
+    const row = data?.[0] || null;
+    setInCache(cacheKey, { row }, CACHE_TTL.MEDIUM);
+    return row;
+  }
+
+  /**
+   * Keep editable fields; blank numbers become NULL (inherit)
+   * @private
+   */
+  sanitizeData(values) {
+    const policy = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (field in values) policy[field] = values[field];
+    });
+
+    POLICY_NUMBER_FIELDS.forEach(field => {
+      if (!(field in policy)) return;
+      const number = parseFloat(policy[field]);
+      policy[field] = Number.isFinite(number) ? number : null;
+    });
+
+    if ('category_caps' in policy) {
+      const caps = {};
+      Object.entries(policy.category_caps || {}).forEach(([category, cap]) => {
+        const number = parseFloat(cap);
+        if (Number.isFinite(number)) caps[category] = number;
+      });
+      policy.category_caps = caps;
+    }
+
+    if ('per_diem_rates' in policy) {
+      const rates = (policy.per_diem_rates || [])
+        .filter(r => r.location?.trim() || r.rate !== '')
+        .map(r => ({
+          location: sanitizeSingleLine(r.location, 100),
+          rate: parseFloat(r.rate)
+        }));
+      policy.per_diem_rates = rates.length > 0 ? rates : null;
+    }
+
+    if (policy.escalation_role === '') policy.escalation_role = null;
+    return policy;
+  }
+}
+
+// Export singleton instance
+export const expensePoliciesService = new ExpensePoliciesService();
+export default expensePoliciesService;
@@ -4,13 +4,33 @@
  * Handles all expense-related data operations.
  * Extends BaseService with expense-specific methods.
  * 
- * @version 2.0
- * @updated 30 November 2025
+ * Expenses are recorded in the currency they were paid in (defaulting to
+ * the project currency); totals are converted to the project currency.
+ *
+ * Submitting an expense checks it against the expense policy and stores
+ * any violations; validating a flagged expense needs them acknowledged.
+ *
+ * Mileage and per diem expenses have their amount calculated from the
+ * policy rates when they are created, with the basis stored alongside.
+ *
+ * @version 2.5
+ * @updated 19 October 2026 - Delegated reviews go through review_delegated_item()
+ * @updated 19 October 2026 - Expense currency and converted summaries
+ * @updated 19 October 2026 - Policy check on submit, acknowledgement on validate
+ * @updated 19 October 2026 - Calculated mileage and per diem expenses
+ * @updated 19 October 2026 - Record the reviewer and delegated approvals
  * @phase Production Hardening
  */
 
 import { BaseService } from './base.service';
 import { supabase } from '../lib/supabase';
+import { exchangeRatesService } from './exchangeRates.service';
+import { expensePoliciesService } from './expensePolicies.service';
+import { normaliseCurrency } from '../lib/currency';
+import { sanitizeMultiLine } from '../lib/sanitize';
+import { getPolicyViolations, getValidationBlock } from '../lib/expensePolicy';
+import { approvalDelegationsService } from './approvalDelegations.service';
+import { getReviewFields } from '../lib/approvalDelegation';
 
 export class ExpensesService extends BaseService {
   constructor() {
@@ -186,9 +206,13 @@ export class ExpensesService extends BaseService {
    */
   async getSummary(projectId, options = {}) {
     try {
-      const expenses = await this.getAll(projectId, options);
+      const [expenses, fx] = await Promise.all([
+        this.getAll(projectId, options),
+        exchangeRatesService.getConverter(projectId)
+      ]);
       
       const summary = {
+        currency: fx.currency,
         total: 0,
         chargeable: 0,
         nonChargeable: 0,
@@ -206,11 +230,12 @@ export class ExpensesService extends BaseService {
           Rejected: 0,
           Paid: 0
         },
-        count: expenses.length
+        count: expenses.length,
+        missingRates: []
       };
 
       expenses.forEach(exp => {
-        const amount = parseFloat(exp.amount || 0);
+        const amount = fx.convert(exp.amount, exp.currency, exp.expense_date);
         summary.total += amount;
         
         // Chargeable breakdown
@@ -238,6 +263,7 @@ export class ExpensesService extends BaseService {
         }
       });
 
+      summary.missingRates = fx.missingRates();
       return summary;
     } catch (error) {
       console.error('ExpensesService getSummary error:', error);
@@ -246,10 +272,24 @@ export class ExpensesService extends BaseService {
   }
 
   /**
-   * Create expense with validation
+   * Currency for a new expense: as given, else the project currency
    * @param {Object} expense - Expense data
+   * @returns {Promise<string>}
    */
-  async create(expense) {
+  async resolveCurrency(expense) {
+    if (expense.currency) return normaliseCurrency(expense.currency);
+    if (!expense.project_id) return normaliseCurrency(null);
+    const { currency } = await exchangeRatesService.getProjectCurrency(expense.project_id);
+    return currency;
+  }
+
+  /**
+   * Create expense with validation
+   * @param {Object} input - Expense data (see calculateExpense for mileage and per diem)
+   */
+  async create(input) {
+    const expense = await expensePoliciesService.calculateExpense(input);
+
     // Validate required fields
     if (!expense.resource_id) {
       throw new Error('resource_id is required');
@@ -264,6 +304,7 @@ export class ExpensesService extends BaseService {
     // Set defaults
     const expenseData = {
       ...expense,
+      currency: await this.resolveCurrency(expense),
       status: expense.status || 'Draft',
       chargeable_to_customer: expense.chargeable_to_customer ?? true,
       procurement_method: expense.procurement_method || 'supplier'
@@ -283,8 +324,10 @@ export class ExpensesService extends BaseService {
     }
 
     try {
-      // Validate and set defaults for each expense
-      const expensesToInsert = expenses.map(expense => {
+      // Work out calculated amounts, then validate and set defaults for each expense
+      const calculated = await Promise.all(expenses.map(expense => expensePoliciesService.calculateExpense(expense)));
+      const currencies = await Promise.all(calculated.map(expense => this.resolveCurrency(expense)));
+      const expensesToInsert = calculated.map((expense, index) => {
         if (!expense.resource_id) {
           throw new Error('resource_id is required for all expenses');
         }
@@ -297,6 +340,7 @@ export class ExpensesService extends BaseService {
 
         return {
           ...expense,
+          currency: currencies[index],
           status: expense.status || 'Draft',
           chargeable_to_customer: expense.chargeable_to_customer ?? true,
           procurement_method: expense.procurement_method || 'supplier'
@@ -317,35 +361,115 @@ export class ExpensesService extends BaseService {
   }
 
   /**
-   * Submit expense for validation
+   * Submit expense for validation, flagging any policy violations
    * @param {string} id - Expense UUID
+   * @returns {Promise<Object>} Updated expense with policy_violations
    */
   async submit(id) {
-    return this.update(id, { status: 'Submitted' });
+    const expense = await this.getById(id, { select: '*, expense_files(*)' });
+    if (!expense) {
+      throw new Error('Expense not found');
+    }
+
+    const violations = await expensePoliciesService.checkExpense(expense);
+
+    return this.update(id, {
+      status: 'Submitted',
+      policy_violations: violations,
+      policy_checked_at: new Date().toISOString(),
+      policy_acknowledged_by: null,
+      policy_acknowledged_at: null,
+      policy_acknowledgement_note: null
+    });
+  }
+
+  /**
+   * Re-check a submitted expense after it has been edited
+   * @param {string} id - Expense UUID
+   * @returns {Promise<Object>} Updated expense
+   */
+  async recheckPolicy(id) {
+    const expense = await this.getById(id, { select: '*, expense_files(*)' });
+    if (!expense || expense.status !== 'Submitted') return expense;
+
+    const violations = await expensePoliciesService.checkExpense(expense);
+
+    return this.update(id, {
+      policy_violations: violations,
+      policy_checked_at: new Date().toISOString(),
+      policy_acknowledged_by: null,
+      policy_acknowledged_at: null,
+      policy_acknowledgement_note: null
+    });
   }
 
   /**
    * Validate expense
+   *
+   * An expense with policy violations can only be validated once the
+   * validator acknowledges them, and an escalated expense only by the
+   * escalation role. Under a delegation (onBehalfOf) the review goes
+   * through approvalDelegationsService.reviewItem().
+   *
    * @param {string} id - Expense UUID
+   * @param {Object} [options]
+   * @param {string} [options.role] - Validator's project role
+   * @param {string} [options.acknowledgedBy] - User acknowledging the violations
+   * @param {string} [options.note] - Acknowledgement note
+   * @param {string} [options.reviewedBy] - User validating
+   * @param {string} [options.onBehalfOf] - Delegator, when validating under a delegation
+   * @param {string} [options.reviewNote] - Note given with the validation
    */
-  async validate(id) {
-    return this.update(id, { status: 'Approved' });
+  async validate(id, { role, acknowledgedBy = null, note = null, reviewedBy = null, onBehalfOf = null, reviewNote = null } = {}) {
+    const expense = await this.getById(id);
+    if (!expense) {
+      throw new Error('Expense not found');
+    }
+
+    const block = getValidationBlock(expense, { role, acknowledged: Boolean(acknowledgedBy) });
+    if (block) {
+      const error = new Error(block.message);
+      error.code = block.code;
+      throw error;
+    }
+
+    const needsAcknowledgement = getPolicyViolations(expense).length > 0 && !expense.policy_acknowledged_at;
+    if (onBehalfOf) {
+      return approvalDelegationsService.reviewItem('expense', id, {
+        action: 'approve',
+        note: reviewNote,
+        acknowledgePolicy: needsAcknowledgement && Boolean(acknowledgedBy),
+        acknowledgementNote: note
+      });
+    }
+
+    const updates = { status: 'Approved', ...getReviewFields({ reviewedBy, onBehalfOf, note: reviewNote }) };
+    if (needsAcknowledgement) {
+      updates.policy_acknowledged_by = acknowledgedBy;
+      updates.policy_acknowledged_at = new Date().toISOString();
+      updates.policy_acknowledgement_note = note ? sanitizeMultiLine(note, 1000) : null;
+    }
+    return this.update(id, updates);
   }
 
   /**
    * @deprecated Use validate() instead
    */
-  async approve(id) {
-    return this.validate(id);
+  async approve(id, options) {
+    return this.validate(id, options);
   }
 
   /**
    * Reject expense
    * @param {string} id - Expense UUID
    * @param {string} reason - Optional rejection reason
+   * @param {Object} [review] - { reviewedBy, onBehalfOf } (see getReviewFields)
    */
-  async reject(id, reason = null) {
-    const updates = { status: 'Rejected' };
+  async reject(id, reason = null, review = {}) {
+    if (review.onBehalfOf) {
+      return approvalDelegationsService.reviewItem('expense', id, { action: 'reject', note: reason });
+    }
+    const updates = { status: 'Rejected', ...getReviewFields({ ...review, note: null }) };
     if (reason) {
       updates.rejection_reason = reason;
     }
@@ -20,9 +20,14 @@ export { BaseService } from './base.service';
 // Core entity services
 export { partnersService, PartnersService } from './partners.service';
 export { resourcesService, ResourcesService } from './resources.service';
+export { rateCardsService, RateCardsService } from './rateCards.service';
+export { exchangeRatesService, ExchangeRatesService } from './exchangeRates.service';
 export { timesheetsService, TimesheetsService } from './timesheets.service';
+export { timesheetComplianceService } from './timesheetCompliance.service';
 export { expensesService, ExpensesService } from './expenses.service';
+export { expensePoliciesService, ExpensePoliciesService } from './expensePolicies.service';
 export { invoicingService, InvoicingService } from './invoicing.service';
+export { accountingExportService } from './accountingExport.service';
 
 // Project management services
 export { milestonesService, MilestonesService } from './milestones.service';
@@ -37,10 +42,23 @@ export { receiptScannerService } from './receiptScanner.service';
 
 // RAID Log
 export { raidService, default as RaidService } from './raid.service';
+export { raidActionsService } from './raidActions.service';
 
 // Metrics (centralized calculations)
 export { metricsService, default as MetricsService } from './metrics.service';
 
+// Earned Value (EVM per milestone and project S-curves)
+export { earnedValueService } from './earnedValue.service';
+
+// Cash-flow forecast (milestone billing against planned costs)
+export { cashFlowForecastService } from './cashFlowForecast.service';
+
+// Change register (contract value and end date over time from applied variations)
+export { changeRegisterService } from './changeRegister.service';
+
+// Variation impact (simulate proposed plan changes before submission)
+export { variationImpactService } from './variationImpact.service';
+
 // Calendar (availability, milestones, deliverables)
 export { 
   calendarService, 
@@ -52,6 +70,12 @@ export {
   EVENT_TYPE_CONFIG
 } from './calendar.service';
 
+// Working Calendars (holidays, shutdowns and resource calendars for scheduling)
+export {
+  workingCalendarsService,
+  buildSchedulingCalendars
+} from './workingCalendars.service';
+
 // Variations (change control)
 export { 
   variationsService, 
@@ -105,9 +129,17 @@ export {
   workflowService,
   WorkflowService,
   WORKFLOW_CATEGORIES,
-  ROLES as WORKFLOW_ROLES
+  ROLES as WORKFLOW_ROLES,
+  BULK_ACTION,
+  BULK_REVIEW_TYPES
 } from './workflow.service';
 
+// Approval delegation (cover for customer PM approvals)
+export {
+  approvalDelegationsService,
+  ApprovalDelegationsService
+} from './approvalDelegations.service';
+
 // Organisation (multi-tenancy)
 export {
   organisationService,
@@ -187,9 +219,21 @@ export {
 
 // Plan Items Service (Planner hierarchy - components, milestones, deliverables, tasks)
 export {
-  planItemsService
+  planItemsService,
+  PLAN_ITEM_CONFLICT
 } from './planItemsService';
 
+// Plan History Service (Server-side planner change journal)
+export {
+  planHistoryService
+} from './planHistory.service';
+
+// Plan Scenarios Service (What-if plan branches, diff and merge back)
+export {
+  planScenariosService,
+  SCENARIO_STATUS
+} from './planScenarios.service';
+
 // Plan Templates Service (Reusable WBS structure templates)
 export {
   planTemplatesService
@@ -3,21 +3,58 @@
  * 
  * Handles partner invoice generation, management, and retrieval.
  * 
- * @version 2.0
+ * @version 2.5
  * @created 30 November 2025
- * @updated 30 November 2025
+ * @updated 19 October 2026 - Timesheets priced from effective-dated rate cards
+ * @updated 19 October 2026 - Invoices raised in the partner currency
+ * @updated 19 October 2026 - Per-line VAT and credit notes
+ * @updated 19 October 2026 - Calculation basis on mileage and per diem lines
+ * @updated 19 October 2026 - Remove a credit note header when its lines fail to save
  * @phase P5/P6 - Partner Invoicing (Enhanced)
  * 
  * Invoice Structure:
- * - Section 1: Timesheets by Resource (hours × cost price)
+ * - Section 1: Timesheets by Resource (hours × cost rate valid on the timesheet date)
  * - Section 2: Supplier-Procured Expenses (not billed to partner, tracked for customer billing)
  * - Section 3: Partner-Procured Expenses (billed to partner)
  * - Totals include chargeable/non-chargeable breakdown for customer pass-through
+ *
+ * Invoices are raised in the partner's currency. Timesheet costs (project
+ * currency) and expenses (their own currency) are converted at the rate on
+ * the line date; each line keeps its source amount and rate.
+ *
+ * Mileage and per diem lines carry the expense's calculation basis, and
+ * their description says how the amount was worked out.
+ *
+ * VAT is charged per line at the partner's treatment (or the project
+ * default). Issued invoices are reversed, in full or per line, by credit
+ * notes numbered CN-YYYY-NNN (see lib/tax.js).
  */
 
 import { BaseService } from './base.service';
 import { supabase } from '../lib/supabase';
 import { hoursToDays } from '../config/metricsConfig';
+import { rateCardsService } from './rateCards.service';
+import { exchangeRatesService } from './exchangeRates.service';
+import { normaliseCurrency } from '../lib/currency';
+import { describeCalculationBasis } from '../lib/expensePolicy';
+import {
+  DOCUMENT_TYPE,
+  DOCUMENT_NUMBER_PREFIX,
+  CREDITABLE_STATUSES,
+  roundMoney,
+  resolveTaxSettings,
+  calculateLineTax,
+  summariseTax,
+  getCreditableLines,
+  validateCreditRequest,
+  buildCreditNoteLines
+} from '../lib/tax';
+
+// Invoice line text for an expense, with the calculation for mileage and per diem
+const describeExpenseLine = (exp) => {
+  const basis = describeCalculationBasis(exp.calculation_basis, exp.currency);
+  return `${exp.resource_name} - ${exp.category}: ${exp.reason}${basis ? ` (${basis})` : ''}`;
+};
 
 export class InvoicingService extends BaseService {
   constructor() {
@@ -67,7 +104,7 @@ export class InvoicingService extends BaseService {
       // Use .limit(1) instead of .single() to avoid "Cannot coerce" errors
       const { data: invoiceData, error: invError } = await supabase
         .from(this.tableName)
-        .select('*, partners(name, contact_name, contact_email, payment_terms)')
+        .select('*, partners(name, contact_name, contact_email, payment_terms, tax_number), credited_invoice:credited_invoice_id(invoice_number, invoice_date)')
         .eq('id', invoiceId)
         .limit(1);
 
@@ -104,13 +141,13 @@ export class InvoicingService extends BaseService {
   }
 
   /**
-   * Generate next invoice number for a project
-   * Format: INV-YYYY-NNN (e.g., INV-2025-001)
+   * Generate next document number for a project
+   * Format: INV-YYYY-NNN (e.g., INV-2025-001), or CN-YYYY-NNN for credit notes
    */
-  async generateInvoiceNumber(projectId) {
+  async generateInvoiceNumber(projectId, documentType = DOCUMENT_TYPE.INVOICE) {
     try {
       const year = new Date().getFullYear();
-      const prefix = `INV-${year}-`;
+      const prefix = `${DOCUMENT_NUMBER_PREFIX[documentType]}-${year}-`;
 
       const { data, error } = await supabase
         .from(this.tableName)
@@ -138,6 +175,13 @@ export class InvoicingService extends BaseService {
     }
   }
 
+  /**
+   * Generate next credit note number for a project (separate sequence)
+   */
+  async generateCreditNoteNumber(projectId) {
+    return this.generateInvoiceNumber(projectId, DOCUMENT_TYPE.CREDIT_NOTE);
+  }
+
   /**
    * Generate a comprehensive invoice for a partner
    * 
@@ -167,17 +211,55 @@ export class InvoicingService extends BaseService {
     const includeExpenses = invoiceType === 'combined' || invoiceType === 'expenses';
 
     try {
-      // 1. Get resources linked to this partner
-      const { data: resources, error: resError } = await supabase
-        .from('resources')
-        .select('id, name, cost_price')
-        .eq('partner_id', partnerId);
+      // 1. Get resources linked to this partner, partner currency and tax, and rates
+      const [
+        { data: resources, error: resError },
+        { data: partnerRows, error: partnerError },
+        { data: projectRows, error: projectError },
+        resolveRates,
+        fx
+      ] = await Promise.all([
+        supabase
+          .from('resources')
+          .select('id, name, role, sfia_level, cost_price')
+          .eq('partner_id', partnerId),
+        supabase
+          .from('partners')
+          .select('currency, tax_treatment, tax_rate')
+          .eq('id', partnerId)
+          .limit(1),
+        supabase
+          .from('projects')
+          .select('tax_treatment, standard_tax_rate, reduced_tax_rate')
+          .eq('id', projectId)
+          .limit(1),
+        rateCardsService.getRateResolver(projectId),
+        exchangeRatesService.getConverter(projectId)
+      ]);
 
       if (resError) throw resError;
+      if (partnerError) throw partnerError;
+      if (projectError) throw projectError;
       if (!resources || resources.length === 0) {
         throw new Error('No resources linked to this partner');
       }
 
+      const invoiceCurrency = normaliseCurrency(partnerRows?.[0]?.currency, fx.currency);
+      const invoiceDate = new Date().toISOString().split('T')[0];
+      const tax = resolveTaxSettings(projectRows?.[0], partnerRows?.[0]);
+
+      // Convert a source amount into the invoice currency on the line date
+      const toInvoiceCurrency = (amount, currency, date) => {
+        const sourceCurrency = normaliseCurrency(currency, fx.currency);
+        const sourceAmount = parseFloat(amount || 0);
+        return {
+          source_currency: sourceCurrency,
+          source_amount: sourceAmount,
+          exchange_rate: fx.getRate(sourceCurrency, date, invoiceCurrency),
+          amount: fx.convert(sourceAmount, sourceCurrency, date, invoiceCurrency)
+        };
+      };
+
       const resourceIds = resources.map(r => r.id);
       const resourceMap = {};
       resources.forEach(r => { resourceMap[r.id] = r; });
@@ -204,7 +286,7 @@ export class InvoicingService extends BaseService {
       if (includeExpenses) {
         const { data: expData, error: expError } = await supabase
           .from('expenses')
-          .select('id, expense_date, category, reason, amount, resource_id, resource_name, procurement_method, chargeable_to_customer, status')
+          .select('id, expense_date, category, reason, amount, currency, calculation_basis, resource_id, resource_name, procurement_method, chargeable_to_customer, status')
           .in('resource_id', resourceIds)
           .gte('expense_date', periodStart)
           .lte('expense_date', periodEnd)
@@ -244,9 +326,12 @@ export class InvoicingService extends BaseService {
         
         resourceTimesheets.forEach(ts => {
           const hours = parseFloat(ts.hours_worked || ts.hours || 0);
-          const costPrice = resource?.cost_price || 0;
+          // Cost rate valid on the timesheet date, in the invoice currency
           const days = hoursToDays(hours);
-          const lineTotal = days * costPrice;
+          const projectCostPrice = resolveRates(resource, ts.date).cost_price || 0;
+          const converted = toInvoiceCurrency(days * projectCostPrice, fx.currency, ts.date);
+          const costPrice = projectCostPrice * (converted.exchange_rate || 1);
+          const lineTotal = converted.amount;
           
           timesheetTotal += lineTotal;
           timesheetChargeable += lineTotal; // All timesheets chargeable
@@ -266,7 +351,11 @@ export class InvoicingService extends BaseService {
             source_status: ts.status,
             chargeable_to_customer: true,
             procurement_method: null,
-            expense_category: null
+            expense_category: null,
+            source_currency: converted.source_currency,
+            source_amount: converted.source_amount,
+            exchange_rate: converted.exchange_rate,
+            ...calculateLineTax(lineTotal, tax.treatment, tax.rate)
           });
         });
       });
@@ -278,7 +367,8 @@ export class InvoicingService extends BaseService {
       const partnerExpenseLines = [];
 
       partnerExpenses.forEach(exp => {
-        const amount = parseFloat(exp.amount || 0);
+        const converted = toInvoiceCurrency(exp.amount, exp.currency, exp.expense_date);
+        const amount = converted.amount;
         partnerExpenseTotal += amount;
         
         if (exp.chargeable_to_customer) {
@@ -291,7 +381,7 @@ export class InvoicingService extends BaseService {
           line_type: 'expense',
           timesheet_id: null,
           expense_id: exp.id,
-          description: `${exp.resource_name} - ${exp.category}: ${exp.reason}`,
+          description: describeExpenseLine(exp),
           quantity: 1,
           unit_price: amount,
           line_total: amount,
@@ -302,7 +392,12 @@ export class InvoicingService extends BaseService {
           source_status: exp.status,
           chargeable_to_customer: exp.chargeable_to_customer,
           procurement_method: 'partner',
-          expense_category: exp.category
+          expense_category: exp.category,
+          calculation_basis: exp.calculation_basis || null,
+          source_currency: converted.source_currency,
+          source_amount: converted.source_amount,
+          exchange_rate: converted.exchange_rate,
+          ...calculateLineTax(amount, tax.treatment, tax.rate)
         });
       });
 
@@ -313,7 +408,8 @@ export class InvoicingService extends BaseService {
       const supplierExpenseLines = [];
 
       supplierExpenses.forEach(exp => {
-        const amount = parseFloat(exp.amount || 0);
+        const converted = toInvoiceCurrency(exp.amount, exp.currency, exp.expense_date);
+        const amount = converted.amount;
         supplierExpenseTotal += amount;
         
         if (exp.chargeable_to_customer) {
@@ -326,7 +422,7 @@ export class InvoicingService extends BaseService {
           line_type: 'supplier_expense',
           timesheet_id: null,
           expense_id: exp.id,
-          description: `${exp.resource_name} - ${exp.category}: ${exp.reason}`,
+          description: describeExpenseLine(exp),
           quantity: 1,
           unit_price: amount,
           line_total: amount,
@@ -337,13 +433,26 @@ export class InvoicingService extends BaseService {
           source_status: exp.status,
           chargeable_to_customer: exp.chargeable_to_customer,
           procurement_method: 'supplier',
-          expense_category: exp.category
+          expense_category: exp.category,
+          calculation_basis: exp.calculation_basis || null,
+          source_currency: converted.source_currency,
+          source_amount: converted.source_amount,
+          exchange_rate: converted.exchange_rate
         });
       });
 
+      // An invoice cannot be raised on unconverted amounts
+      const missingRates = fx.missingRates();
+      if (missingRates.length > 0) {
+        const error = new Error(`No exchange rate for ${missingRates.map(pair => pair.replace(':', ' to ')).join(', ')}. Add the rate in Organisation Settings.`);
+        error.code = 'MISSING_EXCHANGE_RATE';
+        throw error;
+      }
+
       // 7. Calculate totals
       // Invoice total = timesheets + partner expenses (supplier expenses are informational only)
       const invoiceTotal = timesheetTotal + partnerExpenseTotal;
+      const taxTotal = summariseTax([...timesheetLines, ...partnerExpenseLines]).tax;
       
       // Chargeable total = everything that can be passed to customer
       const chargeableTotal = timesheetChargeable + partnerExpenseChargeable + supplierExpenseChargeable;
@@ -366,13 +475,18 @@ export class InvoicingService extends BaseService {
           project_id: projectId,
           partner_id: partnerId,
           invoice_number: invoiceNumber,
-          invoice_date: new Date().toISOString().split('T')[0],
+          invoice_date: invoiceDate,
+          currency: invoiceCurrency,
+          exchange_rate: fx.getRate(invoiceCurrency, invoiceDate) || 1,
           period_start: periodStart,
           period_end: periodEnd,
           timesheet_total: timesheetTotal,
           expense_total: partnerExpenseTotal,
           supplier_expense_total: supplierExpenseTotal,
           invoice_total: invoiceTotal,
+          tax_treatment: tax.treatment,
+          tax_total: taxTotal,
+          gross_total: roundMoney(invoiceTotal + taxTotal),
           chargeable_total: chargeableTotal,
           non_chargeable_total: nonChargeableTotal,
           status: 'Draft',
@@ -412,6 +526,156 @@ export class InvoicingService extends BaseService {
     }
   }
 
+  /**
+   * Credit notes raised against an invoice, oldest first
+   */
+  async getCreditNotes(invoiceId) {
+    try {
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .select('*')
+        .eq('credited_invoice_id', invoiceId)
+        .eq('document_type', DOCUMENT_TYPE.CREDIT_NOTE)
+        .order('invoice_number', { ascending: true });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('InvoicingService getCreditNotes error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * What is left to credit on each line of an invoice, after any
+   * credit notes already raised against it (cancelled ones are ignored)
+   */
+  async getCreditStatus(invoiceId) {
+    try {
+      const invoice = await this.getWithLines(invoiceId);
+      if (!invoice) throw new Error('Invoice not found');
+
+      const creditNoteIds = (await this.getCreditNotes(invoiceId))
+        .filter(cn => cn.status !== 'Cancelled')
+        .map(cn => cn.id);
+
+      let creditLines = [];
+      if (creditNoteIds.length > 0) {
+        const { data, error } = await supabase
+          .from('partner_invoice_lines')
+          .select('credited_line_id, line_total, tax_amount')
+          .in('invoice_id', creditNoteIds);
+
+        if (error) throw error;
+        creditLines = data || [];
+      }
+
+      return {
+        invoice,
+        creditable: getCreditableLines(invoice.lines, creditLines)
+      };
+    } catch (error) {
+      console.error('InvoicingService getCreditStatus error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Raise a credit note reversing all or part of an issued invoice
+   *
+   * @param {Object} params
+   * @param {string} params.invoiceId - Invoice being credited
+   * @param {Object|null} params.amounts - { [lineId]: net amount }; null credits everything left
+   * @param {string} params.reason - Why the credit is being raised
+   * @param {string} params.createdBy - User UUID
+   * @returns {Promise<Object>} The credit note with its lines
+   */
+  async createCreditNote({ invoiceId, amounts = null, reason, createdBy }) {
+    try {
+      const { invoice, creditable } = await this.getCreditStatus(invoiceId);
+
+      if ((invoice.document_type || DOCUMENT_TYPE.INVOICE) !== DOCUMENT_TYPE.INVOICE
+        || !CREDITABLE_STATUSES.includes(invoice.status)) {
+        const error = new Error('Only sent or paid invoices can be credited');
+        error.code = 'INVOICE_NOT_CREDITABLE';
+        throw error;
+      }
+
+      const message = validateCreditRequest(creditable, amounts);
+      if (message) {
+        const error = new Error(message);
+        error.code = 'INVALID_CREDIT';
+        throw error;
+      }
+
+      const lines = buildCreditNoteLines(creditable, amounts);
+      const totals = summariseTax(lines);
+      const sumOf = type => roundMoney(lines
+        .filter(l => l.line_type === type)
+        .reduce((sum, l) => sum + l.line_total, 0));
+      const chargeable = roundMoney(lines
+        .filter(l => l.chargeable_to_customer)
+        .reduce((sum, l) => sum + l.line_total, 0));
+
+      const creditNoteNumber = await this.generateCreditNoteNumber(invoice.project_id);
+
+      const { data: creditNote, error: cnError } = await supabase
+        .from(this.tableName)
+        .insert({
+          project_id: invoice.project_id,
+          partner_id: invoice.partner_id,
+          document_type: DOCUMENT_TYPE.CREDIT_NOTE,
+          credited_invoice_id: invoice.id,
+          credit_reason: reason || null,
+          invoice_number: creditNoteNumber,
+          invoice_date: new Date().toISOString().split('T')[0],
+          currency: invoice.currency,
+          exchange_rate: invoice.exchange_rate,
+          period_start: invoice.period_start,
+          period_end: invoice.period_end,
+          timesheet_total: sumOf('timesheet'),
+          expense_total: sumOf('expense'),
+          supplier_expense_total: 0,
+          invoice_total: totals.net,
+          tax_treatment: invoice.tax_treatment,
+          tax_total: totals.tax,
+          gross_total: totals.gross,
+          chargeable_total: chargeable,
+          non_chargeable_total: roundMoney(totals.net - chargeable),
+          status: 'Draft',
+          notes: `Credit note against ${invoice.invoice_number}${reason ? `: ${reason}` : ''}`,
+          created_by: createdBy,
+          invoice_type: invoice.invoice_type
+        })
+        .select()
+        .single();
+
+      if (cnError) throw cnError;
+
+      const { error: linesError } = await supabase
+        .from('partner_invoice_lines')
+        .insert(lines.map(line => ({
+          ...line,
+          invoice_id: creditNote.id,
+          source_currency: invoice.currency,
+          source_amount: line.line_total,
+          exchange_rate: 1
+        })));
+
+      if (linesError) {
+        console.error('Credit note lines error:', linesError);
+        // Remove the header so a failed credit note leaves no empty document
+        await supabase.from(this.tableName).delete().eq('id', creditNote.id);
+        throw linesError;
+      }
+
+      return this.getWithLines(creditNote.id);
+    } catch (error) {
+      console.error('InvoicingService createCreditNote error:', error);
+      throw error;
+    }
+  }
+
   /**
    * Update invoice status
    */
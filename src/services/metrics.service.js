@@ -9,8 +9,15 @@
  * - Valid status filtering (excludes rejected/deleted)
  * - Proper soft-delete handling
  * 
- * @version 1.0
+ * Timesheet spend and resource budgets use effective-dated rate cards
+ * (rateCardsService): each timesheet at the rate valid on its date.
+ * Expenses are converted to the project reporting currency at the
+ * exchange rate on the expense date (exchangeRatesService).
+ * 
+ * @version 1.2
  * @created 3 December 2025
+ * @updated 19 October 2026 - Rates from effective-dated rate cards
+ * @updated 19 October 2026 - Expenses converted to the project currency
  */
 
 import { supabase } from '../lib/supabase';
@@ -28,6 +35,8 @@ import {
   calculateMilestoneProgress,
   MILESTONE_STATUS
 } from '../lib/milestoneCalculations';
+import { rateCardsService } from './rateCards.service';
+import { exchangeRatesService } from './exchangeRates.service';
 
 class MetricsService {
   constructor() {
@@ -438,13 +447,16 @@ class MetricsService {
 
     try {
       // Get timesheets with resource info - simple query without complex filters
-      const { data: rawTimesheets, error } = await supabase
-        .from('timesheets')
-        .select(`
-          id, date, hours_worked, hours, status, milestone_id, resource_id, is_deleted,
-          resources(id, name, role, sell_price)
-        `)
-        .eq('project_id', projectId);
+      const [{ data: rawTimesheets, error }, resolveRates] = await Promise.all([
+        supabase
+          .from('timesheets')
+          .select(`
+            id, date, hours_worked, hours, status, milestone_id, resource_id, is_deleted,
+            resources(id, name, role, sfia_level, sell_price)
+          `)
+          .eq('project_id', projectId),
+        rateCardsService.getRateResolver(projectId)
+      ]);
 
       if (error) throw error;
 
@@ -462,7 +474,7 @@ class MetricsService {
       timesheets.forEach(ts => {
         const hours = parseFloat(ts.hours_worked || ts.hours || 0);
         const resource = ts.resources;
-        const dailyRate = resource?.sell_price || 0;
+        const dailyRate = resolveRates(resource, ts.date).sell_price || 0;
         const dayCost = (hours / BUDGET_CONFIG.hoursPerDay) * dailyRate;
 
         // Only count valid statuses toward spend
@@ -516,7 +528,9 @@ class MetricsService {
 
   /**
    * Get expense metrics and spend calculations
-   * Only includes expenses with valid statuses
+   * Only includes expenses with valid statuses. Amounts are in the project
+   * currency; missingRates lists currency pairs with no exchange rate
+   * (those amounts are counted unconverted).
    */
   async getExpenseMetrics(projectId, includeTestUsers = false) {
     const cacheKey = `expenses_${projectId}_${includeTestUsers}`;
@@ -525,10 +539,13 @@ class MetricsService {
 
     try {
       // Simple query without complex filters - filter client-side
-      const { data: rawExpenses, error } = await supabase
-        .from('expenses')
-        .select('id, expense_date, amount, status, category, chargeable_to_customer, procurement_method, is_deleted')
-        .eq('project_id', projectId);
+      const [{ data: rawExpenses, error }, fx] = await Promise.all([
+        supabase
+          .from('expenses')
+          .select('id, expense_date, amount, currency, status, category, chargeable_to_customer, procurement_method, is_deleted')
+          .eq('project_id', projectId),
+        exchangeRatesService.getConverter(projectId)
+      ]);
 
       if (error) throw error;
 
@@ -541,7 +558,7 @@ class MetricsService {
       const byCategory = {};
 
       expenses.forEach(exp => {
-        const amount = parseFloat(exp.amount || 0);
+        const amount = fx.convert(exp.amount, exp.currency, exp.expense_date);
 
         // Only count valid statuses
         if (expenseContributesToSpend(exp.status)) {
@@ -567,7 +584,9 @@ class MetricsService {
         totalAmount,
         chargeableAmount,
         nonChargeableAmount,
-        byCategory
+        byCategory,
+        currency: fx.currency,
+        missingRates: fx.missingRates()
       };
 
       this.setCache(cacheKey, metrics);
@@ -592,25 +611,34 @@ class MetricsService {
 
     try {
       // Simple query - filter client-side
-      const { data: rawResources, error } = await supabase
-        .from('resources')
-        .select('id, name, role, sell_price, days_allocated, is_deleted')
-        .eq('project_id', projectId);
+      const [{ data: rawResources, error }, resolveRates] = await Promise.all([
+        supabase
+          .from('resources')
+          .select('id, name, role, sfia_level, sell_price, days_allocated, is_deleted')
+          .eq('project_id', projectId),
+        rateCardsService.getRateResolver(projectId)
+      ]);
 
       if (error) throw error;
 
-      // Filter out soft-deleted
-      const resources = rawResources?.filter(r => r.is_deleted !== true) || [];
+      // Filter out soft-deleted; allocated days are budgeted at today's rate
+      const resources = (rawResources?.filter(r => r.is_deleted !== true) || []).map(r => {
+        const currentSellPrice = resolveRates(r).sell_price || 0;
+        return {
+          ...r,
+          current_sell_price: currentSellPrice,
+          budget: currentSellPrice * (r.days_allocated || 0)
+        };
+      });
 
       let pmoBudget = 0;
       let deliveryBudget = 0;
 
       resources.forEach(r => {
-        const budget = (r.sell_price || 0) * (r.days_allocated || 0);
         if (isPMORole(r.role)) {
-          pmoBudget += budget;
+          pmoBudget += r.budget;
         } else {
-          deliveryBudget += budget;
+          deliveryBudget += r.budget;
         }
       });
 
@@ -709,6 +737,7 @@ class MetricsService {
       // Calculate combined budget metrics
       // Budget = sum of milestone baseline_billable (committed contract value)
       const budget = {
+        currency: expenses.currency,
         totalBudget: milestones.totalBudget,
         timesheetSpend: timesheets.totalSpend,
         expenseSpend: expenses.totalAmount,
@@ -6,6 +6,8 @@
  * They can be assigned to resources across any project in the organisation.
  * 
  * VERSION 2.0 - Migrated from project-level to organisation-level
+ * VERSION 2.1 - Partner invoice currency (19 October 2026)
+ * VERSION 2.2 - Partner VAT treatment, rate and number (19 October 2026)
  * 
  * Usage:
  *   import { partnersService } from '../services';
@@ -17,6 +19,8 @@
 
 import { supabase } from '../lib/supabase';
 import { getCacheKey, getFromCache, setInCache, invalidateNamespace, CACHE_TTL } from '../lib/cache';
+import { normaliseCurrency } from '../lib/currency';
+import { isValidTaxTreatment } from '../lib/tax';
 
 const CACHE_NAMESPACE = 'partners';
 
@@ -201,6 +205,7 @@ class PartnersService {
           contact_name,
           contact_email,
           payment_terms,
+          currency,
           is_active,
           created_at,
           resources (id)
@@ -234,6 +239,10 @@ class PartnersService {
    * @param {string} [partner.contact_name] - Primary contact name
    * @param {string} [partner.contact_email] - Primary contact email
    * @param {string} [partner.payment_terms] - Payment terms (default: 'Net 30')
+   * @param {string} [partner.currency] - Invoice currency (default: 'GBP')
+   * @param {string} [partner.tax_treatment] - VAT treatment (default: project's)
+   * @param {number} [partner.tax_rate] - VAT rate override (default: project's)
+   * @param {string} [partner.tax_number] - VAT registration number
    * @param {string} [partner.notes] - Additional notes
    * @returns {Promise<Object>} Created partner
    */
@@ -260,6 +269,12 @@ class PartnersService {
         contact_name: partner.contact_name || null,
         contact_email: partner.contact_email || null,
         payment_terms: partner.payment_terms || 'Net 30',
+        currency: normaliseCurrency(partner.currency),
+        tax_treatment: isValidTaxTreatment(partner.tax_treatment) ? partner.tax_treatment : null,
+        tax_rate: partner.tax_rate === '' || partner.tax_rate === null || partner.tax_rate === undefined
+          ? null
+          : parseFloat(partner.tax_rate),
+        tax_number: partner.tax_number?.trim() || null,
         notes: partner.notes || null,
         is_active: partner.is_active ?? true
       })
@@ -73,6 +73,7 @@ class PlanCommitService {
       .from('plan_items')
       .select('*')
       .eq('project_id', projectId)
+      .is('scenario_id', null)  // Scenario branches are never committed
       .eq('is_published', false)
       .eq('is_deleted', false)  // Exclude soft-deleted items
       .order('sort_order', { ascending: true });
@@ -859,6 +860,7 @@ class PlanCommitService {
       .from('plan_items')
       .select('id, is_published, item_type, published_milestone_id, parent_id, name, is_deleted')
       .eq('project_id', projectId)
+      .is('scenario_id', null)
       .eq('is_deleted', false);
 
     if (error) {
@@ -0,0 +1,242 @@
+/**
+ * Plan History Service
+ *
+ * Server-side change journal for the planner:
+ * - plan_operations: undoable operations recorded by lib/planningHistory.js,
+ *   one row per user action, so undo survives a page reload
+ * - plan_item_changes: every insert, update and delete on plan_items,
+ *   written by a database trigger whoever (or whatever) made the change
+ *
+ * The plan history timeline reads plan_item_changes; restoring to a point
+ * in time rolls each changed item back to its state at that moment. Both
+ * are scoped to one plan: the live plan or a single scenario branch.
+ *
+ * @version 1.1
+ * @created 19 October 2026
+ * @updated 19 October 2026 - Timeline and restore scoped to the live plan or a scenario
+ */
+
+import { BaseService } from './base.service';
+import { supabase } from '../lib/supabase';
+
+class PlanHistoryService extends BaseService {
+  constructor() {
+    super('plan_operations', { supportsSoftDelete: false });
+  }
+
+  /**
+   * Record an undoable operation for the current user
+   * @param {string} projectId - Project UUID
+   * @param {Object} operation - { type, label, data, itemIds }
+   * @returns {Promise<Object>} Saved operation (id, created_at)
+   */
+  async recordOperation(projectId, operation) {
+    try {
+      const { data: { user } } = await supabase.auth.getUser();
+
+      const { data, error } = await supabase
+        .from('plan_operations')
+        .insert({
+          project_id: projectId,
+          user_id: user?.id,
+          action_type: operation.type,
+          label: operation.label,
+          data: operation.data || {},
+          item_ids: operation.itemIds || []
+        })
+        .select('id, created_at')
+        .single();
+
+      if (error) {
+        console.error('Plan history recordOperation error:', error);
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Plan history recordOperation failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * A user's operations that have not been undone, oldest first
+   * @param {string} projectId - Project UUID
+   * @param {string} userId - User UUID
+   * @param {number} limit - Most recent operations to return
+   * @returns {Promise<Array>}
+   */
+  async getUndoableOperations(projectId, userId, limit = 50) {
+    try {
+      const { data, error } = await supabase
+        .from('plan_operations')
+        .select('id, action_type, label, data, item_ids, created_at')
+        .eq('project_id', projectId)
+        .eq('user_id', userId)
+        .is('undone_at', null)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (error) {
+        console.error('Plan history getUndoableOperations error:', error);
+        throw error;
+      }
+
+      return (data || []).reverse();
+    } catch (error) {
+      console.error('Plan history getUndoableOperations failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark an operation as undone
+   * @param {string} operationId - Operation UUID
+   */
+  async markUndone(operationId) {
+    return this._setUndone(operationId, new Date().toISOString());
+  }
+
+  /**
+   * Mark an undone operation as redone
+   * @param {string} operationId - Operation UUID
+   */
+  async markRedone(operationId) {
+    return this._setUndone(operationId, null);
+  }
+
+  async _setUndone(operationId, undoneAt) {
+    try {
+      const { error } = await supabase
+        .from('plan_operations')
+        .update({ undone_at: undoneAt })
+        .eq('id', operationId);
+
+      if (error) {
+        console.error('Plan history update error:', error);
+        throw error;
+      }
+    } catch (error) {
+      console.error('Plan history update failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Journal changes to the given items after a moment
+   * @param {string} projectId - Project UUID
+   * @param {string[]} itemIds - Plan item UUIDs
+   * @param {string} since - ISO timestamp
+   * @returns {Promise<Array>} { plan_item_id, changed_by, changed_at }
+   */
+  async getItemChangesSince(projectId, itemIds, since) {
+    if (!itemIds || itemIds.length === 0) return [];
+    try {
+      const { data, error } = await supabase
+        .from('plan_item_changes')
+        .select('id, plan_item_id, changed_by, changed_at')
+        .eq('project_id', projectId)
+        .in('plan_item_id', itemIds)
+        .gt('changed_at', since)
+        .order('changed_at', { ascending: false });
+
+      if (error) {
+        console.error('Plan history getItemChangesSince error:', error);
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      console.error('Plan history getItemChangesSince failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Plan changes for the history timeline, newest first
+   * @param {string} projectId - Project UUID
+   * @param {Object} options
+   * @param {number} options.limit - Changes to return (default 500)
+   * @param {string} options.before - Only changes before this ISO timestamp (paging)
+   * @param {string|null} options.scenarioId - Scenario branch, or null for the live plan
+   * @returns {Promise<{ changes: Array, users: Object }>} users maps id -> name
+   */
+  async getTimeline(projectId, options = {}) {
+    const { limit = 500, before = null, scenarioId = null } = options;
+    try {
+      let query = supabase
+        .from('plan_item_changes')
+        .select('id, plan_item_id, operation, old_row, new_row, changed_by, changed_at')
+        .eq('project_id', projectId)
+        .order('changed_at', { ascending: false })
+        .limit(limit);
+
+      // A row's scenario never changes, so old_row and new_row agree when both exist
+      if (scenarioId) {
+        query = query.or(`new_row->>scenario_id.eq.${scenarioId},old_row->>scenario_id.eq.${scenarioId}`);
+      } else {
+        query = query.is('new_row->>scenario_id', null).is('old_row->>scenario_id', null);
+      }
+
+      if (before) {
+        query = query.lt('changed_at', before);
+      }
+
+      const { data, error } = await query;
+
+      if (error) {
+        console.error('Plan history getTimeline error:', error);
+        throw error;
+      }
+
+      const changes = data || [];
+      const userIds = [...new Set(changes.map(c => c.changed_by).filter(Boolean))];
+      const users = {};
+
+      if (userIds.length > 0) {
+        const { data: profiles } = await supabase
+          .from('profiles')
+          .select('id, full_name, email')
+          .in('id', userIds);
+        (profiles || []).forEach(p => { users[p.id] = p.full_name || p.email; });
+      }
+
+      return { changes, users };
+    } catch (error) {
+      console.error('Plan history getTimeline failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Roll every plan item changed after a moment back to its state then.
+   * The restore is itself journaled, so it can be reversed the same way.
+   * @param {string} projectId - Project UUID
+   * @param {string} pointInTime - ISO timestamp
+   * @param {string|null} scenarioId - Scenario branch, or null for the live plan
+   * @returns {Promise<number>} Items restored
+   */
+  async restoreToPointInTime(projectId, pointInTime, scenarioId = null) {
+    try {
+      const { data, error } = await supabase.rpc('restore_plan_items_to', {
+        p_project_id: projectId,
+        p_point_in_time: pointInTime,
+        p_scenario_id: scenarioId
+      });
+
+      if (error) {
+        console.error('Plan history restoreToPointInTime error:', error);
+        throw error;
+      }
+
+      return data || 0;
+    } catch (error) {
+      console.error('Plan history restoreToPointInTime failed:', error);
+      throw error;
+    }
+  }
+}
+
+// Export singleton instance
+export const planHistoryService = new PlanHistoryService();
+export default planHistoryService;
@@ -6,8 +6,8 @@ import { mapTrackerStatusToPlan } from './planCommitService';
  * Plan Items Service
  * Handles CRUD operations for project planning items
  * 
- * @version 3.1 - Added whitelist filtering for database operations
- * @updated 5 January 2026
+ * @version 3.4 - Added three-point duration estimates
+ * @updated 19 October 2026
  * @phase 1 - Hierarchy & WBS Foundation
  */
 
@@ -52,11 +52,21 @@ const PLAN_ITEMS_DB_COLUMNS = [
   'published_milestone_id',
   'published_deliverable_id',
   
+  // Scenario branches (NULL scenario_id = live plan)
+  'scenario_id',
+  'source_item_id',
+  
   // Scheduling
+  'assigned_resource_id',
+  'resource_assignments',
   'scheduling_mode',
   'constraint_type',
   'constraint_date',
   
+  // Schedule risk (three-point estimates, see 202610190006)
+  'duration_optimistic',
+  'duration_pessimistic',
+  
   // Audit (typically set by triggers, but include for completeness)
   'created_by',
   'updated_by'
@@ -85,6 +95,17 @@ function filterToDbColumns(item) {
   return filtered;
 }
 
+/**
+ * Limit a project-level plan_items query to the live plan or one scenario
+ * branch. Scenario items live in plan_items alongside the live plan.
+ *
+ * @param {Object} query - Supabase query builder
+ * @param {string|null} scenarioId - Scenario UUID, null for the live plan
+ */
+function scopeToPlan(query, scenarioId = null) {
+  return scenarioId ? query.eq('scenario_id', scenarioId) : query.is('scenario_id', null);
+}
+
 // =============================================================================
 // HIERARCHY RULES (Strict Enforcement)
 // =============================================================================
@@ -154,6 +175,11 @@ function getPromotedType(currentType, newParentType) {
   return currentType;
 }
 
+/**
+ * Error code thrown by update() when a save is based on a stale row
+ */
+export const PLAN_ITEM_CONFLICT = 'PLAN_ITEM_CONFLICT';
+
 export const planItemsService = {
 
   // ===========================================================================
@@ -162,9 +188,11 @@ export const planItemsService = {
 
   /**
    * Get all plan items for a project (flat list, sorted by sort_order)
+   * @param {string} projectId - Project UUID
+   * @param {string|null} scenarioId - Scenario branch, null for the live plan
    */
-  async getAll(projectId) {
-    const { data, error } = await supabase
+  async getAll(projectId, scenarioId = null) {
+    const { data, error } = await scopeToPlan(supabase
       .from('plan_items')
       .select(`
         *,
@@ -174,7 +202,7 @@ export const planItemsService = {
         )
       `)
       .eq('project_id', projectId)
-      .eq('is_deleted', false)
+      .eq('is_deleted', false), scenarioId)
       .order('sort_order', { ascending: true })
       .order('created_at', { ascending: true });
 
@@ -185,8 +213,8 @@ export const planItemsService = {
   /**
    * Get all items organized as a tree structure
    */
-  async getAsTree(projectId) {
-    const items = await this.getAll(projectId);
+  async getAsTree(projectId, scenarioId = null) {
+    const items = await this.getAll(projectId, scenarioId);
     return this.buildTree(items);
   },
 
@@ -290,11 +318,11 @@ export const planItemsService = {
     }
 
     // Get max sort_order
-    const { data: maxOrder } = await supabase
+    const { data: maxOrder } = await scopeToPlan(supabase
       .from('plan_items')
       .select('sort_order')
       .eq('project_id', dbItem.project_id)
-      .eq('is_deleted', false)
+      .eq('is_deleted', false), dbItem.scenario_id)
       .order('sort_order', { ascending: false })
       .limit(1)
       .single();
@@ -311,7 +339,7 @@ export const planItemsService = {
     if (error) throw error;
     
     // Recalculate WBS
-    await this.recalculateWBS(dbItem.project_id);
+    await this.recalculateWBS(dbItem.project_id, dbItem.scenario_id);
     
     return data;
   },
@@ -333,8 +361,18 @@ export const planItemsService = {
   /**
    * Update a plan item
    * Filters updates to valid database columns only
+   *
+   * With options.expectedUpdatedAt the update only applies if the row has
+   * not changed since it was read (optimistic concurrency). A stale save
+   * throws an error with code PLAN_ITEM_CONFLICT and the latest row as
+   * error.current, so the caller can offer a merge.
+   *
+   * @param {string} id - Plan item UUID
+   * @param {Object} updates - Fields to update
+   * @param {Object} options
+   * @param {string} options.expectedUpdatedAt - updated_at of the row the edit was based on
    */
-  async update(id, updates) {
+  async update(id, updates, options = {}) {
     // Filter to valid database columns only
     const dbUpdates = filterToDbColumns(updates);
     
@@ -344,15 +382,88 @@ export const planItemsService = {
       return await this.getById(id);
     }
     
-    const { data, error } = await supabase
+    let query = supabase
       .from('plan_items')
       .update(dbUpdates)
-      .eq('id', id)
-      .select()
-      .single();
+      .eq('id', id);
+
+    if (options.expectedUpdatedAt) {
+      query = query.eq('updated_at', options.expectedUpdatedAt);
+    }
+
+    const { data, error } = await query.select();
 
     if (error) throw error;
-    return data;
+
+    if (!data || data.length === 0) {
+      if (!options.expectedUpdatedAt) throw new Error('Plan item not found');
+      const current = await this.getById(id);
+      const conflict = new Error('This item was changed by someone else since you loaded it');
+      conflict.code = PLAN_ITEM_CONFLICT;
+      conflict.current = current;
+      throw conflict;
+    }
+
+    return data[0];
+  },
+
+  // ===========================================================================
+  // REALTIME
+  // ===========================================================================
+
+  /**
+   * Subscribe to live plan changes for a project
+   *
+   * Streams the plan_item_changes journal, which records who made each
+   * change, and tracks presence (who is online and which row they are
+   * editing) on the same channel.
+   *
+   * @param {string} projectId - Project UUID
+   * @param {Object} handlers
+   * @param {Function} handlers.onChange - Called with each journal row
+   * @param {Function} handlers.onPresence - Called with channel.presenceState()
+   * @param {Object} presence - Initial presence payload ({ userId, name })
+   * @returns {Object} Channel; pass to trackEditing and unsubscribeFromChanges
+   */
+  subscribeToChanges(projectId, { onChange, onPresence }, presence) {
+    const channel = supabase.channel(`plan:${projectId}`, {
+      config: { presence: { key: presence.userId } }
+    });
+
+    channel
+      .on(
+        'postgres_changes',
+        {
+          event: 'INSERT',
+          schema: 'public',
+          table: 'plan_item_changes',
+          filter: `project_id=eq.${projectId}`
+        },
+        (payload) => onChange(payload.new)
+      )
+      .on('presence', { event: 'sync' }, () => onPresence(channel.presenceState()))
+      .subscribe((status) => {
+        if (status === 'SUBSCRIBED') {
+          channel.track({ ...presence, editingItemId: null });
+        }
+      });
+
+    return channel;
+  },
+
+  /**
+   * Tell other users which row this user is editing (null when done)
+   */
+  trackEditing(channel, presence, editingItemId) {
+    if (!channel) return;
+    channel.track({ ...presence, editingItemId: editingItemId || null });
+  },
+
+  /**
+   * Unsubscribe from live plan changes
+   */
+  unsubscribeFromChanges(channel) {
+    if (channel) supabase.removeChannel(channel);
   },
 
   /**
@@ -375,7 +486,7 @@ export const planItemsService = {
     }
     
     // Get all descendants
-    const allItems = await this.getAll(item.project_id);
+    const allItems = await this.getAll(item.project_id, item.scenario_id);
     const descendants = this.getDescendants(allItems, id);
     const idsToDelete = [id, ...descendants.map(d => d.id)];
     
@@ -398,7 +509,7 @@ export const planItemsService = {
     if (error) throw error;
     
     // Recalculate WBS
-    await this.recalculateWBS(item.project_id);
+    await this.recalculateWBS(item.project_id, item.scenario_id);
     
     return { deleted: idsToDelete.length, synced: true };
   },
@@ -513,13 +624,13 @@ export const planItemsService = {
     if (error) throw error;
     
     // Update children's indent levels recursively
-    await this._updateChildrenIndent(id, newIndentLevel + 1, item.project_id);
+    await this._updateChildrenIndent(id, newIndentLevel + 1, item.project_id, item.scenario_id);
     
     // Recalculate WBS
-    await this.recalculateWBS(item.project_id);
+    await this.recalculateWBS(item.project_id, item.scenario_id);
     
     // Reorder siblings to clean up sort_order values
-    await this._reorderSiblings(newParentId, item.project_id);
+    await this._reorderSiblings(newParentId, item.project_id, item.scenario_id);
     
     return data;
   },
@@ -527,8 +638,8 @@ export const planItemsService = {
   /**
    * Update indent levels for all descendants
    */
-  async _updateChildrenIndent(parentId, newIndentLevel, projectId) {
-    const allItems = await this.getAll(projectId);
+  async _updateChildrenIndent(parentId, newIndentLevel, projectId, scenarioId = null) {
+    const allItems = await this.getAll(projectId, scenarioId);
     const children = allItems.filter(i => i.parent_id === parentId);
     
     for (const child of children) {
@@ -551,15 +662,15 @@ export const planItemsService = {
         .eq('id', child.id);
       
       // Recurse for grandchildren
-      await this._updateChildrenIndent(child.id, newIndentLevel + 1, projectId);
+      await this._updateChildrenIndent(child.id, newIndentLevel + 1, projectId, scenarioId);
     }
   },
 
   /**
    * Reorder siblings to have clean sequential sort_order values
    */
-  async _reorderSiblings(parentId, projectId) {
-    const allItems = await this.getAll(projectId);
+  async _reorderSiblings(parentId, projectId, scenarioId = null) {
+    const allItems = await this.getAll(projectId, scenarioId);
     const siblings = allItems
       .filter(i => i.parent_id === parentId)
       .sort((a, b) => a.sort_order - b.sort_order);
@@ -618,7 +729,7 @@ export const planItemsService = {
 
     if (error) throw error;
     
-    await this.recalculateWBS(item.project_id);
+    await this.recalculateWBS(item.project_id, item.scenario_id);
     return data;
   },
 
@@ -663,7 +774,7 @@ export const planItemsService = {
 
     if (error) throw error;
     
-    await this.recalculateWBS(item.project_id);
+    await this.recalculateWBS(item.project_id, item.scenario_id);
     return data;
   },
 
@@ -688,11 +799,11 @@ export const planItemsService = {
   /**
    * Expand all items in a project
    */
-  async expandAll(projectId) {
-    const { error } = await supabase
+  async expandAll(projectId, scenarioId = null) {
+    const { error } = await scopeToPlan(supabase
       .from('plan_items')
       .update({ is_collapsed: false })
-      .eq('project_id', projectId);
+      .eq('project_id', projectId), scenarioId);
     
     if (error) throw error;
     return true;
@@ -701,11 +812,11 @@ export const planItemsService = {
   /**
    * Collapse all items in a project
    */
-  async collapseAll(projectId) {
-    const { error } = await supabase
+  async collapseAll(projectId, scenarioId = null) {
+    const { error } = await scopeToPlan(supabase
       .from('plan_items')
       .update({ is_collapsed: true })
-      .eq('project_id', projectId);
+      .eq('project_id', projectId), scenarioId);
     
     if (error) throw error;
     return true;
@@ -717,26 +828,27 @@ export const planItemsService = {
   // ===========================================================================
 
   /**
-   * Recalculate WBS numbers for entire project
+   * Recalculate WBS numbers for entire project (live plan or one scenario)
    * Calls the database function for accurate recursive calculation
    */
-  async recalculateWBS(projectId) {
+  async recalculateWBS(projectId, scenarioId = null) {
     const { error } = await supabase.rpc('recalculate_wbs', {
-      p_project_id: projectId
+      p_project_id: projectId,
+      p_scenario_id: scenarioId || null
     });
     
     if (error) {
       console.warn('WBS recalculation failed, using client-side fallback:', error);
       // Fallback: client-side calculation
-      await this.recalculateWBSClient(projectId);
+      await this.recalculateWBSClient(projectId, scenarioId);
     }
   },
 
   /**
    * Client-side WBS calculation (fallback)
    */
-  async recalculateWBSClient(projectId) {
-    const items = await this.getAll(projectId);
+  async recalculateWBSClient(projectId, scenarioId = null) {
+    const items = await this.getAll(projectId, scenarioId);
     const tree = this.buildTree(items);
     
     const updates = [];
@@ -766,7 +878,7 @@ export const planItemsService = {
   /**
    * Reorder items (update sort_order for multiple items)
    */
-  async reorder(itemIds, projectId) {
+  async reorder(itemIds, projectId, scenarioId = null) {
     for (let i = 0; i < itemIds.length; i++) {
       await supabase
         .from('plan_items')
@@ -774,7 +886,7 @@ export const planItemsService = {
         .eq('id', itemIds[i]);
     }
     
-    await this.recalculateWBS(projectId);
+    await this.recalculateWBS(projectId, scenarioId);
     return true;
   },
 
@@ -832,7 +944,7 @@ export const planItemsService = {
 
     if (error) throw error;
     
-    await this.recalculateWBS(item.project_id);
+    await this.recalculateWBS(item.project_id, item.scenario_id);
     return data;
   },
 
@@ -845,18 +957,18 @@ export const planItemsService = {
    * Create multiple plan items from a hierarchical structure (AI generation)
    * Filters all items to valid database columns only
    */
-  async createBatch(projectId, structure, startDate = null) {
+  async createBatch(projectId, structure, startDate = null, scenarioId = null) {
     const results = [];
     const idMap = {}; // tempId -> realId
     let sortOrder = 0;
     let currentDate = startDate ? new Date(startDate) : new Date();
     
     // Get max existing sort_order
-    const { data: maxOrder } = await supabase
+    const { data: maxOrder } = await scopeToPlan(supabase
       .from('plan_items')
       .select('sort_order')
       .eq('project_id', projectId)
-      .eq('is_deleted', false)
+      .eq('is_deleted', false), scenarioId)
       .order('sort_order', { ascending: false })
       .limit(1)
       .single();
@@ -930,6 +1042,7 @@ export const planItemsService = {
       // Filter to valid database columns only
       const insertData = filterToDbColumns({
         project_id: projectId,
+        scenario_id: scenarioId,
         parent_id: parentId,
         item_type: item.item_type,
         name: item.name,
@@ -959,7 +1072,7 @@ export const planItemsService = {
       }
     }
     
-    await this.recalculateWBS(projectId);
+    await this.recalculateWBS(projectId, scenarioId);
     
     return { created: results.length, items: results };
   },
@@ -970,8 +1083,10 @@ export const planItemsService = {
    * Filters all items to valid database columns only
    * 
    * Items should have: id (new UUID), parent_id (mapped), item_type, name, etc.
+   * Predecessor links between items in the batch are re-pointed at the
+   * created rows. Returns idMap (item id passed in -> created id).
    */
-  async createBatchFlat(projectId, items) {
+  async createBatchFlat(projectId, items, scenarioId = null) {
     const results = [];
     const idMap = new Map(); // old temp ID -> new real ID
     
@@ -988,6 +1103,7 @@ export const planItemsService = {
       // Filter to valid database columns only (removes computed fields like children_count)
       const insertData = filterToDbColumns({
         project_id: projectId,
+        scenario_id: scenarioId,
         parent_id: parentId,
         item_type: item.item_type,
         name: item.name,
@@ -999,7 +1115,11 @@ export const planItemsService = {
         sort_order: item.sort_order || 0,
         status: item.status || 'not_started',
         progress: item.progress || 0,
-        predecessors: item.predecessors || []
+        predecessors: item.predecessors || [],
+        assigned_resource_id: item.assigned_resource_id || null,
+        resource_assignments: item.resource_assignments || [],
+        duration_optimistic: item.duration_optimistic ?? null,
+        duration_pessimistic: item.duration_pessimistic ?? null
       });
       
       const { data, error } = await supabase
@@ -1018,9 +1138,53 @@ export const planItemsService = {
       results.push(data);
     }
     
-    await this.recalculateWBS(projectId);
+    // Re-point links that reference other items in this batch
+    for (const item of sorted) {
+      const predecessors = item.predecessors || [];
+      if (!predecessors.some(p => idMap.has(p.id))) continue;
+      
+      const mapped = predecessors.map(p => ({ ...p, id: idMap.get(p.id) || p.id }));
+      const { error } = await supabase
+        .from('plan_items')
+        .update({ predecessors: mapped })
+        .eq('id', idMap.get(item.id));
+      
+      if (error) throw error;
+      
+      const created = results.find(r => r.id === idMap.get(item.id));
+      if (created) created.predecessors = mapped;
+    }
     
-    return { created: results.length, items: results };
+    await this.recalculateWBS(projectId, scenarioId);
+    
+    return { created: results.length, items: results, idMap: Object.fromEntries(idMap) };
+  },
+
+  /**
+   * Import items parsed from an MSPDI / P6 file (lib/scheduleXml.js)
+   * Imported root items are added after the existing live plan.
+   * 
+   * @param {string} projectId - Project UUID
+   * @param {Array} items - Parsed items with temporary ids
+   * @returns {Promise<{created: number, items: Array}>}
+   */
+  async importSchedule(projectId, items) {
+    const { data: maxOrder } = await scopeToPlan(supabase
+      .from('plan_items')
+      .select('sort_order')
+      .eq('project_id', projectId)
+      .is('parent_id', null)
+      .eq('is_deleted', false))
+      .order('sort_order', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+    
+    const offset = maxOrder?.sort_order || 0;
+    
+    return this.createBatchFlat(projectId, items.map(item => ({
+      ...item,
+      sort_order: offset + item.sort_order
+    })));
   },
 
 
@@ -1197,8 +1361,8 @@ export const planItemsService = {
    * NOTE: This adds computed fields that are NOT database columns.
    * Use filterToDbColumns() before any insert/update operations.
    */
-  async getAllWithEstimates(projectId) {
-    const items = await this.getAll(projectId);
+  async getAllWithEstimates(projectId, scenarioId = null) {
+    const items = await this.getAll(projectId, scenarioId);
     
     return items.map(item => ({
       ...item,
@@ -1256,6 +1420,7 @@ export const planItemsService = {
       .from('plan_items')
       .select('id, name, wbs, sort_order')
       .eq('project_id', projectId)
+      .is('scenario_id', null)
       .eq('item_type', 'component')
       .eq('is_deleted', false)
       .order('sort_order', { ascending: true });
@@ -1277,6 +1442,7 @@ export const planItemsService = {
       .from('plan_items')
       .select('id, parent_id, item_type, name, wbs, published_milestone_id')
       .eq('project_id', projectId)
+      .is('scenario_id', null)
       .eq('is_deleted', false);
 
     if (error) throw error;
@@ -1381,6 +1547,7 @@ export const planItemsService = {
         .from('plan_items')
         .select('id, name')
         .eq('project_id', projectId)
+        .is('scenario_id', null)
         .eq('item_type', 'deliverable')
         .eq('is_deleted', false)
         .eq('name', deliverableName)
@@ -1397,6 +1564,7 @@ export const planItemsService = {
           .from('plan_items')
           .select('id, name')
           .eq('project_id', projectId)
+          .is('scenario_id', null)
           .eq('item_type', 'deliverable')
           .eq('is_deleted', false)
           .ilike('name', `%${coreName}%`)
@@ -1546,6 +1714,7 @@ export const planItemsService = {
       .from('plan_items')
       .select('sort_order')
       .eq('project_id', projectId)
+      .is('scenario_id', null)
       .eq('is_deleted', false)
       .order('sort_order', { ascending: false })
       .limit(1)
@@ -1615,6 +1784,7 @@ export const planItemsService = {
       .from('plan_items')
       .select('sort_order')
       .eq('project_id', projectId)
+      .is('scenario_id', null)
       .eq('is_deleted', false)
       .order('sort_order', { ascending: false })
       .limit(1)
@@ -0,0 +1,230 @@
+/**
+ * Plan Scenarios Service
+ *
+ * Named "what-if" branches of a project's plan. Branching copies the live
+ * plan items into plan_items with scenario_id set (branch_plan_scenario),
+ * so a branch is edited and scheduled with the normal planner. Selected
+ * differences can then be merged back into the live plan or raised as a
+ * draft variation.
+ *
+ * @version 1.0
+ * @created 19 October 2026
+ */
+
+import { BaseService } from './base.service';
+import { supabase } from '../lib/supabase';
+import { planItemsService } from './planItemsService';
+import { variationsService } from './variations.service';
+import {
+  diffScenario,
+  buildMergePlan,
+  buildVariationChanges,
+  getScenarioVariationType,
+  SCENARIO_CHANGE
+} from '../lib/planScenarios';
+
+export const SCENARIO_STATUS = {
+  ACTIVE: 'active',
+  MERGED: 'merged',
+  ARCHIVED: 'archived'
+};
+
+class PlanScenariosService extends BaseService {
+  constructor() {
+    super('plan_scenarios', { supportsSoftDelete: false });
+  }
+
+  /**
+   * Get a project's scenarios, newest first
+   */
+  async getScenarios(projectId) {
+    return this.getAll(projectId, {
+      orderBy: { column: 'created_at', ascending: false }
+    });
+  }
+
+  /**
+   * Create a scenario branched from the current live plan
+   * @param {string} projectId - Project UUID
+   * @param {Object} scenario - { name, description }
+   * @param {string} userId - Creating user
+   * @returns {Promise<{scenario: Object, copied: number}>}
+   */
+  async createScenario(projectId, { name, description }, userId) {
+    try {
+      const scenario = await this.create({
+        project_id: projectId,
+        name,
+        description: description || null,
+        status: SCENARIO_STATUS.ACTIVE,
+        created_by: userId
+      });
+
+      const { data: copied, error } = await supabase
+        .rpc('branch_plan_scenario', { p_scenario_id: scenario.id });
+
+      if (error) {
+        await this.hardDelete(scenario.id);
+        throw error;
+      }
+
+      return { scenario, copied: copied || 0 };
+    } catch (error) {
+      console.error('PlanScenariosService createScenario error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Compare a scenario with the live plan (see lib/planScenarios.js diffScenario)
+   */
+  async getDiff(projectId, scenarioId) {
+    try {
+      const [liveItems, scenarioItems] = await Promise.all([
+        planItemsService.getAll(projectId),
+        planItemsService.getAll(projectId, scenarioId)
+      ]);
+      return diffScenario(liveItems, scenarioItems);
+    } catch (error) {
+      console.error('PlanScenariosService getDiff error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Apply selected scenario changes to the live plan
+   *
+   * Added items are created first so updates, moves and links can point at
+   * them; removed items are soft-deleted with their children.
+   *
+   * @param {string} projectId - Project UUID
+   * @param {Object} scenario - Scenario row
+   * @param {Array} entries - Selected diff entries
+   * @param {Object} diff - Full diff the entries came from
+   * @param {string} userId - User merging (delete audit trail)
+   * @returns {Promise<{created: number, updated: number, moved: number, deleted: number}>}
+   */
+  async mergeIntoPlan(projectId, scenario, entries, diff, userId) {
+    try {
+      const plan = buildMergePlan(entries, diff);
+
+      let idMap = {};
+      if (plan.creates.length > 0) {
+        const result = await planItemsService.createBatchFlat(projectId, plan.creates);
+        idMap = result.idMap;
+      }
+      const resolve = (id) => idMap[id] || id;
+
+      for (const { id, updates } of plan.updates) {
+        const mapped = updates.predecessors
+          ? { ...updates, predecessors: updates.predecessors.map(p => ({ ...p, id: resolve(p.id) })) }
+          : updates;
+        await planItemsService.update(id, mapped);
+      }
+
+      for (const { id, parentId, sortOrder } of plan.moves) {
+        await planItemsService.move(id, parentId ? resolve(parentId) : null, sortOrder);
+      }
+
+      for (const id of plan.deletes) {
+        await planItemsService.delete(id, userId);
+      }
+
+      await this.update(scenario.id, {
+        merged_at: new Date().toISOString(),
+        status: entries.length === diff.entries.length ? SCENARIO_STATUS.MERGED : scenario.status
+      });
+
+      return {
+        created: plan.creates.length,
+        updated: plan.updates.length,
+        moved: plan.moves.length,
+        deleted: plan.deletes.length
+      };
+    } catch (error) {
+      console.error('PlanScenariosService mergeIntoPlan error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Raise a draft variation from selected scenario changes
+   *
+   * Date changes to published milestones are added as affected milestones
+   * with the scenario dates as the proposed baseline.
+   *
+   * @returns {Promise<Object>} The created variation
+   */
+  async createVariationFromDiff(projectId, scenario, entries, userId) {
+    try {
+      const changes = buildVariationChanges(entries);
+
+      const variation = await variationsService.createVariation(projectId, {
+        title: `Scenario: ${scenario.name}`,
+        variation_type: getScenarioVariationType(entries),
+        description: `Changes proposed in plan scenario "${scenario.name}".\n\n${entries.length} change(s) to the plan.`,
+        priority: 'M',
+        form_data: {
+          source: 'plan_scenario',
+          scenario_id: scenario.id,
+          changes
+        }
+      }, userId);
+
+      const milestoneEntries = entries.filter(e =>
+        e.kind === SCENARIO_CHANGE.CHANGED &&
+        e.liveItem.published_milestone_id &&
+        e.fields.some(f => f.field === 'start_date' || f.field === 'end_date')
+      );
+
+      if (milestoneEntries.length > 0) {
+        const { data: milestones, error } = await supabase
+          .from('milestones')
+          .select('id, baseline_start_date, baseline_end_date, baseline_billable')
+          .in('id', milestoneEntries.map(e => e.liveItem.published_milestone_id));
+
+        if (error) throw error;
+
+        for (const entry of milestoneEntries) {
+          const milestone = milestones.find(m => m.id === entry.liveItem.published_milestone_id);
+          if (!milestone) continue;
+          await variationsService.addAffectedMilestone(variation.id, {
+            milestone_id: milestone.id,
+            original_baseline_start: milestone.baseline_start_date,
+            original_baseline_end: milestone.baseline_end_date,
+            original_baseline_cost: milestone.baseline_billable,
+            new_baseline_start: entry.scenarioItem.start_date,
+            new_baseline_end: entry.scenarioItem.end_date,
+            new_baseline_cost: milestone.baseline_billable,
+            change_rationale: `Scenario "${scenario.name}"`
+          });
+        }
+      }
+
+      await this.update(scenario.id, { variation_id: variation.id });
+
+      return variation;
+    } catch (error) {
+      console.error('PlanScenariosService createVariationFromDiff error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Archive a scenario - its items stay until the scenario is deleted
+   */
+  async archive(scenarioId) {
+    return this.update(scenarioId, { status: SCENARIO_STATUS.ARCHIVED });
+  }
+
+  /**
+   * Delete a scenario and all of its plan items (no soft delete - the branch
+   * items would otherwise linger in plan_items)
+   */
+  async deleteScenario(scenarioId) {
+    return this.hardDelete(scenarioId);
+  }
+}
+
+export const planScenariosService = new PlanScenariosService();
+export default planScenariosService;
@@ -8,13 +8,18 @@
  * - Read/update workflow settings for a project
  * - Get available templates (system + organisation-specific)
  * - Apply template to project
- * - Helper functions for approval authority checks
+ * - Helper functions for approval authority checks, including
+ *   delegated authority (lib/approvalDelegation.js)
  *
- * @version 1.0
+ * @version 1.3
  * @created 17 January 2026
+ * @updated 19 October 2026 - Added timesheet reminder and escalation settings
+ * @updated 19 October 2026 - Approval delegation; customer_pm / supplier_pm authorities
+ * @updated 19 October 2026 - Added RAID scoring scale
  */
 
 import { supabase } from '../lib/supabase';
+import { DELEGATOR_ROLE, findActiveDelegation } from '../lib/approvalDelegation';
 
 // ============================================
 // WORKFLOW SETTING COLUMN NAMES
@@ -47,6 +52,10 @@ export const WORKFLOW_SETTING_COLUMNS = [
   'timesheets_enabled',
   'timesheet_approval_required',
   'timesheet_approval_authority',
+  'timesheet_reminders_enabled',
+  'timesheet_reminder_days',
+  'timesheet_escalation_enabled',
+  'timesheet_escalation_days',
 
   // Expense settings
   'expenses_enabled',
@@ -60,6 +69,9 @@ export const WORKFLOW_SETTING_COLUMNS = [
   'raid_enabled',
   'evaluator_enabled',
 
+  // RAID settings
+  'raid_scoring_scale',
+
   // Extended settings
   'workflow_settings',
 
@@ -139,6 +151,11 @@ export const DEFAULT_WORKFLOW_SETTINGS = {
   timesheets_enabled: true,
   timesheet_approval_required: true,
   timesheet_approval_authority: 'customer_pm',
+  // Missing timesheets: remind the resource, then escalate to supplier PMs
+  timesheet_reminders_enabled: true,
+  timesheet_reminder_days: 1,
+  timesheet_escalation_enabled: true,
+  timesheet_escalation_days: 3,
 
   // Expense settings - conditional approval
   expenses_enabled: true,
@@ -152,6 +169,9 @@ export const DEFAULT_WORKFLOW_SETTINGS = {
   raid_enabled: true,
   evaluator_enabled: false,
 
+  // RAID settings - probability × impact on a 5×5 grid
+  raid_scoring_scale: 5,
+
   // Extended settings
   workflow_settings: {}
 };
@@ -411,14 +431,63 @@ export class ProjectSettingsService {
   // ============================================
 
   /**
-   * Check if a role can approve an entity based on workflow settings
+   * Check if a user can approve an entity based on workflow settings
+   *
+   * Pass the user and the project's delegations in the context to include
+   * authority delegated to the user (see getApprover).
+   *
    * @param {Object} settings - Project workflow settings
    * @param {string} entityType - Entity type ('baseline', 'variation', 'certificate', 'deliverable', 'timesheet', 'expense')
    * @param {string} role - User's project role
+   * @param {Object} context - Additional context (e.g., { isChargeable: true } for expenses,
+   *   { userId, delegations } for delegated authority)
+   * @returns {boolean} Whether the user can approve
+   */
+  canApprove(settings, entityType, role, context = {}) {
+    return this.getApprover(settings, entityType, role, context).canApprove;
+  }
+
+  /**
+   * Whether a user can approve an entity, and on whose behalf
+   *
+   * A user whose own role cannot approve may still approve as a customer
+   * PM while they hold an active delegation for the entity type; the
+   * delegator is returned so the approval can be recorded on their behalf.
+   *
+   * @param {Object} settings - Project workflow settings
+   * @param {string} entityType - Entity type
+   * @param {string} role - User's project role
+   * @param {Object} context - { isChargeable, userId, delegations, date }
+   * @returns {{ canApprove: boolean, onBehalfOf: string|null, delegation: Object|null }}
+   */
+  getApprover(settings, entityType, role, context = {}) {
+    if (this.roleCanApprove(settings, entityType, role, context)) {
+      return { canApprove: true, onBehalfOf: null, delegation: null };
+    }
+
+    const delegation = context.userId
+      ? findActiveDelegation(context.delegations, {
+        delegateId: context.userId,
+        entityType,
+        date: context.date
+      })
+      : null;
+
+    if (delegation && this.roleCanApprove(settings, entityType, DELEGATOR_ROLE, context)) {
+      return { canApprove: true, onBehalfOf: delegation.delegator_id, delegation };
+    }
+    return { canApprove: false, onBehalfOf: null, delegation: null };
+  }
+
+  /**
+   * Check if a role can approve an entity based on workflow settings
+   * @param {Object} settings - Project workflow settings
+   * @param {string} entityType - Entity type
+   * @param {string} role - Project role
    * @param {Object} context - Additional context (e.g., { isChargeable: true } for expenses)
    * @returns {boolean} Whether the role can approve
    */
-  canApprove(settings, entityType, role, context = {}) {
+  roleCanApprove(settings, entityType, role, context = {}) {
     const authority = this.getApprovalAuthority(settings, entityType);
 
     // Map roles to authority types
@@ -431,9 +500,11 @@ export class ProjectSettingsService {
         return isSupplier || isCustomer;
 
       case 'supplier_only':
+      case 'supplier_pm':
         return isSupplier;
 
       case 'customer_only':
+      case 'customer_pm':
         return isCustomer;
 
       case 'none':
@@ -5,10 +5,14 @@
  * Extends BaseService for standard CRUD operations.
  * 
  * Version 1.0 - Initial implementation
+ * Version 1.1 - Probability × impact scoring, exposure and heat map in getSummary (19 October 2026)
+ * Version 1.2 - getOverdue includes items with overdue mitigation / contingency actions (19 October 2026)
  */
 
 import { BaseService } from './base.service';
 import { supabase } from '../lib/supabase';
+import { DEFAULT_SCORING_SCALE, isOpenRaidItem, summariseRaidScoring } from '../lib/raidScoring';
+import { RAID_ACTION_STATUS, getDaysOverdue } from '../lib/raidActions';
 
 class RaidService extends BaseService {
   constructor() {
@@ -131,14 +135,40 @@ class RaidService extends BaseService {
     }
   }
 
+  /**
+   * Probability × impact scale the project scores on (3 or 5)
+   * @param {string} projectId - Project UUID
+   * @returns {Promise<number>} Scale size
+   */
+  async getScoringScale(projectId) {
+    try {
+      const { data, error } = await supabase
+        .from('projects')
+        .select('raid_scoring_scale')
+        .eq('id', projectId)
+        .single();
+
+      if (error) throw error;
+      return data?.raid_scoring_scale || DEFAULT_SCORING_SCALE;
+    } catch (error) {
+      console.error('RAID getScoringScale failed:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get RAID summary statistics
+   * scoring ranks open risks by score and gives exposure, contingency
+   * and inherent/residual heat maps (lib/raidScoring.js)
    * @param {string} projectId - Project UUID
    * @returns {Promise<Object>} Summary statistics
    */
   async getSummary(projectId) {
     try {
-      const items = await this.getAll(projectId);
+      const [items, scale] = await Promise.all([
+        this.getAll(projectId),
+        this.getScoringScale(projectId)
+      ]);
       
       const summary = {
         total: items.length,
@@ -198,6 +228,8 @@ class RaidService extends BaseService {
         }
       });
 
+      summary.scoring = summariseRaidScoring(items, scale);
+
       return summary;
     } catch (error) {
       console.error('RAID getSummary failed:', error);
@@ -308,29 +340,68 @@ class RaidService extends BaseService {
   }
 
   /**
-   * Get overdue RAID items (past due_date and still open)
+   * Get overdue RAID items: open items past their due_date, and open
+   * items with mitigation or contingency actions past their due date
+   * Each item carries its overdueActions (empty when only the item itself
+   * is late) and overdueSince, the earliest missed date.
    * @param {string} projectId - Project UUID
-   * @returns {Promise<Array>} Overdue items
+   * @returns {Promise<Array>} Overdue items, longest overdue first
    */
   async getOverdue(projectId) {
     try {
       const today = new Date().toISOString().split('T')[0];
       
-      const { data, error } = await supabase
-        .from('raid_items')
-        .select('*')
-        .eq('project_id', projectId)
-        .in('status', ['Open', 'In Progress'])
-        .lt('due_date', today)
-        .order('due_date', { ascending: true });
-
-      if (error) {
-        console.error('RAID getOverdue error:', error);
-        throw error;
+      const [itemsResult, actionsResult] = await Promise.all([
+        supabase
+          .from('raid_items')
+          .select('*')
+          .eq('project_id', projectId)
+          .in('status', ['Open', 'In Progress'])
+          .lt('due_date', today)
+          .order('due_date', { ascending: true }),
+        supabase
+          .from('raid_actions')
+          .select(`
+            *,
+            owner:profiles!raid_actions_owner_user_id_fkey(id, full_name, email),
+            raid_item:raid_items!raid_actions_raid_item_id_fkey(*)
+          `)
+          .eq('project_id', projectId)
+          .in('status', [RAID_ACTION_STATUS.NOT_STARTED, RAID_ACTION_STATUS.IN_PROGRESS])
+          .lt('due_date', today)
+          .order('due_date', { ascending: true })
+      ]);
+
+      for (const result of [itemsResult, actionsResult]) {
+        if (result.error) {
+          console.error('RAID getOverdue error:', result.error);
+          throw result.error;
+        }
       }
 
+      const overdue = new Map();
+      const add = (item, since) => {
+        if (!overdue.has(item.id)) {
+          overdue.set(item.id, { ...item, overdueActions: [], overdueSince: since });
+        }
+        const entry = overdue.get(item.id);
+        if (since < entry.overdueSince) entry.overdueSince = since;
+        return entry;
+      };
+
+      (itemsResult.data || []).forEach(item => add(item, item.due_date));
+      (actionsResult.data || []).forEach(({ raid_item: item, ...action }) => {
+        if (!item || !isOpenRaidItem(item)) return;
+        add(item, action.due_date).overdueActions.push({
+          ...action,
+          daysOverdue: getDaysOverdue(action, today)
+        });
+      });
+
       // Filter out soft-deleted client-side
-      return (data || []).filter(r => r.is_deleted !== true);
+      return [...overdue.values()]
+        .filter(r => r.is_deleted !== true)
+        .sort((a, b) => a.overdueSince.localeCompare(b.overdueSince));
     } catch (error) {
       console.error('RAID getOverdue failed:', error);
       throw error;
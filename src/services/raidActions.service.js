@@ -0,0 +1,244 @@
+/**
+ * RAID Actions Service
+ *
+ * Mitigation and contingency actions under a RAID risk or issue (see
+ * lib/raidActions.js for the rules). Completing the last open
+ * mitigation action can move the item to Mitigated.
+ *
+ * Usage:
+ *   import { raidActionsService } from '../services';
+ *
+ *   const actions = await raidActionsService.getByItem(raidItemId);
+ *   const { itemMitigated } = await raidActionsService.setStatus(action, 'Completed', { markItemMitigated: true });
+ *
+ * @version 1.0
+ * @created 19 October 2026
+ */
+
+import { supabase } from '../lib/supabase';
+import { sanitizeMultiLine } from '../lib/sanitize';
+import { toDateKey } from '../lib/workingCalendar';
+import { isOpenRaidItem } from '../lib/raidScoring';
+import {
+  RAID_ACTION_ERROR,
+  RAID_ACTION_STATUS,
+  canMarkMitigated,
+  getDaysOverdue,
+  getStatusChange,
+  validateRaidAction
+} from '../lib/raidActions';
+import { raidService } from './raid.service';
+
+const ACTION_SELECT = `
+  *,
+  owner:profiles!raid_actions_owner_user_id_fkey(id, full_name, email)
+`;
+
+function invalidAction(message) {
+  const error = new Error(message);
+  error.code = RAID_ACTION_ERROR.INVALID_ACTION;
+  return error;
+}
+
+export class RaidActionsService {
+  constructor() {
+    this.tableName = 'raid_actions';
+  }
+
+  /**
+   * Actions for a RAID item, mitigation first, then by due date
+   * @param {string} raidItemId - RAID item UUID
+   * @returns {Promise<Array>}
+   */
+  async getByItem(raidItemId) {
+    try {
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .select(ACTION_SELECT)
+        .eq('raid_item_id', raidItemId)
+        .order('action_type', { ascending: false })
+        .order('due_date', { ascending: true, nullsFirst: false })
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('RaidActions getByItem failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Open actions past their due date on open RAID items, oldest first
+   * @param {string} projectId - Project UUID
+   * @returns {Promise<Array>} Actions with raid_item and daysOverdue
+   */
+  async getOverdue(projectId) {
+    try {
+      const today = toDateKey(new Date());
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .select(`
+          ${ACTION_SELECT},
+          raid_item:raid_items!raid_actions_raid_item_id_fkey(id, raid_ref, title, category, status, is_deleted)
+        `)
+        .eq('project_id', projectId)
+        .in('status', [RAID_ACTION_STATUS.NOT_STARTED, RAID_ACTION_STATUS.IN_PROGRESS])
+        .lt('due_date', today)
+        .order('due_date', { ascending: true });
+
+      if (error) throw error;
+      return (data || [])
+        .filter(a => a.raid_item && a.raid_item.is_deleted !== true && isOpenRaidItem(a.raid_item))
+        .map(a => ({ ...a, daysOverdue: getDaysOverdue(a, today) }));
+    } catch (error) {
+      console.error('RaidActions getOverdue failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add an action to a RAID item
+   * @param {Object} raidItem - { id, project_id }
+   * @param {Object} action - { action_type, description, owner_user_id, due_date, status, completed_date, notes }
+   * @param {string} userId - User adding the action
+   * @returns {Promise<Object>} Created action
+   */
+  async create(raidItem, action, userId) {
+    const record = {
+      status: RAID_ACTION_STATUS.NOT_STARTED,
+      ...action,
+      ...getStatusChange(action, action.status || RAID_ACTION_STATUS.NOT_STARTED)
+    };
+    const message = validateRaidAction(record);
+    if (message) throw invalidAction(message);
+
+    try {
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .insert({
+          project_id: raidItem.project_id,
+          raid_item_id: raidItem.id,
+          action_type: record.action_type,
+          description: sanitizeMultiLine(record.description, 1000),
+          owner_user_id: record.owner_user_id || null,
+          due_date: record.due_date || null,
+          status: record.status,
+          completed_date: record.completed_date,
+          notes: record.notes ? sanitizeMultiLine(record.notes, 2000) : null,
+          created_by: userId
+        })
+        .select(ACTION_SELECT)
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('RaidActions create failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update an action's details
+   * @param {Object} current - The action as loaded
+   * @param {Object} updates - Changed fields
+   * @returns {Promise<Object>} Updated action
+   */
+  async update(current, updates) {
+    const record = { ...current, ...updates };
+    if (updates.status && updates.status !== current.status) {
+      Object.assign(record, getStatusChange(current, updates.status));
+    }
+    const message = validateRaidAction(record);
+    if (message) throw invalidAction(message);
+
+    try {
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .update({
+          action_type: record.action_type,
+          description: sanitizeMultiLine(record.description, 1000),
+          owner_user_id: record.owner_user_id || null,
+          due_date: record.due_date || null,
+          status: record.status,
+          completed_date: record.completed_date || null,
+          notes: record.notes ? sanitizeMultiLine(record.notes, 2000) : null
+        })
+        .eq('id', current.id)
+        .select(ACTION_SELECT)
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('RaidActions update failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Change an action's status
+   *
+   * With markItemMitigated, completing an action that finishes the
+   * item's mitigation (see canMarkMitigated) also moves the RAID item
+   * to Mitigated.
+   *
+   * @param {Object} action - The action as loaded ({ id, raid_item_id, completed_date })
+   * @param {string} status - RAID_ACTION_STATUS value
+   * @param {Object} [options]
+   * @param {boolean} [options.markItemMitigated]
+   * @returns {Promise<{ action: Object, itemMitigated: boolean }>}
+   */
+  async setStatus(action, status, { markItemMitigated = false } = {}) {
+    try {
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .update(getStatusChange(action, status))
+        .eq('id', action.id)
+        .select(ACTION_SELECT)
+        .single();
+
+      if (error) throw error;
+
+      let itemMitigated = false;
+      if (markItemMitigated && status === RAID_ACTION_STATUS.COMPLETED) {
+        const [item, actions] = await Promise.all([
+          raidService.getById(action.raid_item_id),
+          this.getByItem(action.raid_item_id)
+        ]);
+        if (item && canMarkMitigated(item, actions)) {
+          await raidService.updateStatus(item.id, 'Mitigated');
+          itemMitigated = true;
+        }
+      }
+
+      return { action: data, itemMitigated };
+    } catch (error) {
+      console.error('RaidActions setStatus failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove an action
+   * @param {string} id - Action UUID
+   */
+  async delete(id) {
+    try {
+      const { error } = await supabase
+        .from(this.tableName)
+        .delete()
+        .eq('id', id);
+
+      if (error) throw error;
+    } catch (error) {
+      console.error('RaidActions delete failed:', error);
+      throw error;
+    }
+  }
+}
+
+// Export singleton instance
+export const raidActionsService = new RaidActionsService();
+export default raidActionsService;
@@ -0,0 +1,133 @@
+/**
+ * Rate Cards Service
+ *
+ * Effective-dated sell / cost day rates per resource, role or SFIA level
+ * (see lib/rateCards.js for how a rate is resolved). Spend, budget and
+ * invoice calculations load a resolver with getRateResolver() and value
+ * each timesheet at the rate valid on its date.
+ *
+ * SFIA level cards can be seeded from the benchmark rate card
+ * (getBenchmarkRate).
+ *
+ * @version 1.0
+ * @created 19 October 2026
+ */
+
+import { BaseService } from './base.service';
+import { sanitizeSingleLine, sanitizeMultiLine } from '../lib/sanitize';
+import { getCacheKey, getFromCache, setInCache, invalidateNamespace, CACHE_TTL } from '../lib/cache';
+import { createRateResolver, validateRateCard } from '../lib/rateCards';
+import { benchmarkRatesService } from './benchmarkRates.service';
+
+const CACHE_NAMESPACE = 'rate_cards';
+
+export class RateCardsService extends BaseService {
+  constructor() {
+    super('rate_cards', {
+      supportsSoftDelete: true
+    });
+  }
+
+  /**
+   * Sanitise rate card data
+   */
+  sanitizeData(data) {
+    const sanitized = { ...data };
+    if (sanitized.role) sanitized.role = sanitizeSingleLine(sanitized.role, 100);
+    if (sanitized.notes) sanitized.notes = sanitizeMultiLine(sanitized.notes, 1000);
+    ['sell_price', 'cost_price'].forEach(field => {
+      if (!(field in sanitized)) return;
+      if (sanitized[field] === '' || sanitized[field] === undefined) sanitized[field] = null;
+      else if (sanitized[field] !== null) sanitized[field] = parseFloat(sanitized[field]);
+    });
+    return sanitized;
+  }
+
+  /**
+   * All active rate cards for a project, oldest first (cached)
+   * @param {string} projectId - Project UUID
+   */
+  async getForProject(projectId) {
+    const cacheKey = getCacheKey(CACHE_NAMESPACE, projectId, 'all');
+    const cached = getFromCache(cacheKey);
+    if (cached) return cached;
+
+    const cards = await this.getAll(projectId, {
+      orderBy: { column: 'effective_from', ascending: true }
+    });
+    setInCache(cacheKey, cards, CACHE_TTL.SHORT);
+    return cards;
+  }
+
+  /**
+   * Rate resolver for a project: (resource, date) => { sell_price, cost_price, ... }
+   * @param {string} projectId - Project UUID
+   * @returns {Promise<Function>}
+   */
+  async getRateResolver(projectId) {
+    try {
+      return createRateResolver(await this.getForProject(projectId));
+    } catch (error) {
+      console.error('RateCardsService.getRateResolver error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a rate card after validation
+   */
+  async create(cardData) {
+    const card = this.sanitizeData(cardData);
+    const message = validateRateCard(card);
+    if (message) {
+      const error = new Error(message);
+      error.code = 'INVALID_RATE_CARD';
+      throw error;
+    }
+
+    const result = await super.create(card);
+    invalidateNamespace(CACHE_NAMESPACE);
+    return result;
+  }
+
+  /**
+   * Update a rate card
+   */
+  async update(id, updates) {
+    const result = await super.update(id, this.sanitizeData(updates));
+    invalidateNamespace(CACHE_NAMESPACE);
+    return result;
+  }
+
+  /**
+   * Soft delete a rate card
+   */
+  async delete(id, userId = null) {
+    const result = await super.delete(id, userId);
+    invalidateNamespace(CACHE_NAMESPACE);
+    return result;
+  }
+
+  /**
+   * Median benchmark day rate across all skills at an SFIA level
+   * @param {number} sfiaLevel - SFIA level (1-7)
+   * @param {string} [tierId] - Optional benchmark tier
+   * @returns {Promise<number|null>}
+   */
+  async getBenchmarkRate(sfiaLevel, tierId = null) {
+    try {
+      const rates = await benchmarkRatesService.getAllRates({ sfiaLevel, tierId });
+      const values = rates.map(r => Number(r.day_rate)).filter(v => v > 0).sort((a, b) => a - b);
+      if (values.length === 0) return null;
+      const middle = Math.floor(values.length / 2);
+      return values.length % 2 ? values[middle] : Math.round((values[middle - 1] + values[middle]) / 2);
+    } catch (error) {
+      console.error('RateCardsService.getBenchmarkRate error:', error);
+      return null;
+    }
+  }
+}
+
+// Export singleton instance
+export const rateCardsService = new RateCardsService();
+export default rateCardsService;
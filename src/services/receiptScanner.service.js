@@ -5,12 +5,14 @@
  * Integrates with Claude Vision API for OCR and intelligent parsing.
  * Implements learning system from user corrections.
  * 
- * @version 1.0
+ * @version 1.1
  * @created 2 December 2025
+ * @updated 19 October 2026 - Receipt currency normalised to an ISO 4217 code
  * @phase Phase 2 - Smart Receipt Scanner
  */
 
 import { supabase } from '../lib/supabase';
+import { normaliseCurrency } from '../lib/currency';
 
 // Classification categories matching expense system
 const EXPENSE_CATEGORIES = ['Travel', 'Accommodation', 'Sustenance'];
@@ -206,7 +208,7 @@ class ReceiptScannerService {
 {
   "merchant": "Store/vendor name",
   "amount": 0.00,
-  "currency": "GBP",
+  "currency": "ISO 4217 code, e.g. GBP, EUR, USD",
   "date": "YYYY-MM-DD",
   "items": [{"name": "item name", "quantity": 1, "price": 0.00}],
   "paymentMethod": "card/cash/unknown",
@@ -215,7 +217,8 @@ class ReceiptScannerService {
   "rawText": "All visible text from receipt"
 }
 
-If any field cannot be determined, use null. For the category, consider:
+If any field cannot be determined, use null. Take the currency from symbols, codes or the
+merchant's country; use null if the receipt does not show it. For the category, consider:
 - Travel: transport, fuel, parking, flights, trains, taxis
 - Accommodation: hotels, lodging, rentals
 - Sustenance: food, drinks, restaurants, cafes, supermarkets
@@ -244,7 +247,8 @@ Be conservative with confidence - only use high values (>0.8) when very certain.
       return {
         merchant: result.merchant,
         amount: result.amount,
-        currency: result.currency || 'GBP',
+        // null when the receipt does not show a currency (the form keeps the project currency)
+        currency: normaliseCurrency(result.currency, null),
         date: result.date,
         items: result.items || [],
         paymentMethod: result.paymentMethod,
@@ -258,7 +262,7 @@ Be conservative with confidence - only use high values (>0.8) when very certain.
       return {
         merchant: null,
         amount: null,
-        currency: 'GBP',
+        currency: null,
         date: null,
         items: [],
         paymentMethod: null,
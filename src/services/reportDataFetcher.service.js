@@ -11,14 +11,25 @@
  * - Applies filtering based on section configuration
  * - Handles role-based data restrictions
  * 
- * @version 1.0
+ * @version 1.5
  * @created 11 December 2025
+ * @updated 19 October 2026 - Added Earned Value section
+ * @updated 19 October 2026 - Budget and expense summaries carry the project currency
+ * @updated 19 October 2026 - Added Missing Timesheets section
+ * @updated 19 October 2026 - Added Cash-Flow Forecast section
+ * @updated 19 October 2026 - Added Change Register section
+ * @updated 19 October 2026 - RAID Summary carries risk scores, exposure and heat maps
  * @see docs/IMPLEMENTATION-Report-Builder-Wizard.md Segment 3
  */
 
 import { supabase } from '../lib/supabase';
 import { metricsService } from './metrics.service';
 import { raidService } from './raid.service';
+import { isScoredCategory, scoreRaidItem, getExposure } from '../lib/raidScoring';
+import { earnedValueService } from './earnedValue.service';
+import { timesheetComplianceService } from './timesheetCompliance.service';
+import { cashFlowForecastService } from './cashFlowForecast.service';
+import { changeRegisterService } from './changeRegister.service';
 import { 
   SECTION_TYPE, 
   DATA_SOURCE,
@@ -27,6 +38,17 @@ import {
 import {
   REPORTING_PERIOD
 } from './reportTemplates.service';
+import {
+  COMPLIANCE_STATUS,
+  COMPLIANCE_STATUS_CONFIG,
+  isNonCompliant
+} from '../lib/timesheetCompliance';
+import {
+  CASH_FLOW_SCENARIO,
+  CASH_FLOW_SCENARIOS,
+  CASH_FLOW_SCENARIO_CONFIG
+} from '../lib/cashFlowForecast';
+import { CHANGE_EVENT_TYPE } from '../lib/changeRegister';
 import {
   startOfMonth,
   endOfMonth,
@@ -40,9 +62,13 @@ import {
   parseISO,
   isWithinInterval,
   isBefore,
-  isAfter
+  isAfter,
+  differenceInCalendarWeeks
 } from 'date-fns';
 
+/** Longest reporting period checked by the Missing Timesheets section */
+const MAX_COMPLIANCE_WEEKS = 26;
+
 // ============================================
 // DATE RANGE UTILITIES
 // ============================================
@@ -561,7 +587,8 @@ class ReportDataFetcherService {
           variance: metrics.budget.totalBudget - metrics.budget.totalSpend,
           utilizationPercent: metrics.budget.utilizationPercent,
           timesheetSpend: metrics.budget.timesheetSpend,
-          expenseSpend: metrics.budget.expenseSpend
+          expenseSpend: metrics.budget.expenseSpend,
+          currency: metrics.budget.currency
         },
         pmoVsDelivery: config.showPMOvsDelivery !== false ? {
           pmo: {
@@ -665,7 +692,9 @@ class ReportDataFetcherService {
           draftEntries: metrics.draftEntries,
           totalAmount: metrics.totalAmount,
           chargeableAmount: metrics.chargeableAmount,
-          nonChargeableAmount: metrics.nonChargeableAmount
+          nonChargeableAmount: metrics.nonChargeableAmount,
+          currency: metrics.currency,
+          missingRates: metrics.missingRates || []
         },
         byCategory,
         chargeableBreakdown: config.showChargeableBreakdown !== false ? {
@@ -720,8 +749,8 @@ class ReportDataFetcherService {
           name: r.name,
           role: r.role,
           daysAllocated: config.showAllocation !== false ? r.days_allocated : null,
-          sellPrice: r.sell_price,
-          budget: (r.sell_price || 0) * (r.days_allocated || 0)
+          sellPrice: r.current_sell_price,
+          budget: r.budget
         })),
         byRole,
         config: {
@@ -787,6 +816,7 @@ class ReportDataFetcherService {
 
       // Get summary statistics
       const summary = await raidService.getSummary(projectId);
+      const { scoring } = summary;
 
       // Group items by category
       const byCategory = {
@@ -814,6 +844,8 @@ class ReportDataFetcherService {
           description: config.showDetails !== false ? item.description : null,
           status: item.status,
           severity: item.severity,
+          score: isScoredCategory(item.category) ? scoreRaidItem(item, scoring.scale).current?.score ?? null : null,
+          exposure: isScoredCategory(item.category) ? getExposure(item, scoring.scale)?.residual ?? null : null,
           owner: item.owner ? {
             id: item.owner.id,
             name: item.owner.name
@@ -827,8 +859,18 @@ class ReportDataFetcherService {
         })),
         byCategory,
         highPriorityItems: summary.highPriorityItems,
+        scoring: {
+          scale: scoring.scale,
+          byRating: scoring.byRating,
+          exposure: scoring.exposure,
+          contingency: scoring.contingency,
+          topRisks: scoring.topRisks,
+          heatMap: scoring.heatMap
+        },
         config: {
           includeChart: config.includeChart !== false,
+          includeScoring: config.includeScoring !== false,
+          includeHeatMap: config.includeHeatMap !== false,
           showDetails: config.showDetails !== false,
           categories: config.categories || ['Risk', 'Assumption', 'Issue', 'Dependency'],
           maxItems: config.maxItems || 0
@@ -858,11 +900,235 @@ class ReportDataFetcherService {
       case SECTION_TYPE.UPCOMING_DELIVERABLES:
         return this.fetchUpcomingDeliverables(config, context);
 
+      case SECTION_TYPE.EARNED_VALUE:
+        return this.fetchEarnedValue(config, context, dateRange);
+
+      case SECTION_TYPE.TIMESHEET_COMPLIANCE:
+        return this.fetchTimesheetCompliance(config, context, dateRange);
+
+      case SECTION_TYPE.CASH_FLOW_FORECAST:
+        return this.fetchCashFlowForecast(config, context);
+
+      case SECTION_TYPE.CHANGE_REGISTER:
+        return this.fetchChangeRegister(config, context);
+
       default:
         throw new Error(`No custom handler for section type: ${sectionType}`);
     }
   }
 
+  /**
+   * Fetch earned value data
+   * Measured at the end of the reporting period (or today if that is later)
+   */
+  async fetchEarnedValue(config, context, dateRange) {
+    try {
+      const statusDate = isAfter(dateRange.endDate, new Date()) ? new Date() : dateRange.endDate;
+      const asOf = format(statusDate, 'yyyy-MM-dd');
+      const evm = await earnedValueService.getProjectEvm(context.projectId, asOf);
+
+      return {
+        type: SECTION_TYPE.EARNED_VALUE,
+        dateRange,
+        asOf,
+        summary: evm.project,
+        missingRates: evm.missingRates,
+        series: config.includeChart !== false ? evm.series : [],
+        byMilestone: config.showByMilestone !== false
+          ? evm.milestones.map(m => ({
+            ref: m.milestone_ref,
+            name: m.name,
+            progress: m.progress,
+            bac: m.bac,
+            pv: m.pv,
+            ev: m.ev,
+            ac: m.ac,
+            spi: m.spi,
+            cpi: m.cpi,
+            vac: m.vac
+          }))
+          : [],
+        config: {
+          includeChart: config.includeChart !== false,
+          showByMilestone: config.showByMilestone !== false,
+          showForecast: config.showForecast !== false
+        }
+      };
+    } catch (error) {
+      console.error('fetchEarnedValue error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch the cash-flow forecast from today
+   */
+  async fetchCashFlowForecast(config, context) {
+    try {
+      const months = parseInt(config.forecastMonths, 10) || 6;
+      const forecast = await cashFlowForecastService.getForecast(context.projectId, { months });
+      const baseline = forecast.scenarios[CASH_FLOW_SCENARIO.BASELINE];
+      const showScenarios = config.showScenarios !== false;
+
+      return {
+        type: SECTION_TYPE.CASH_FLOW_FORECAST,
+        asOf: forecast.asOf,
+        months,
+        expenseRunRate: forecast.expenseRunRate,
+        scenarios: CASH_FLOW_SCENARIOS
+          .filter(s => showScenarios || s === CASH_FLOW_SCENARIO.BASELINE)
+          .map(s => ({
+            scenario: s,
+            // Column in rows holding this scenario's cumulative position
+            key: s === CASH_FLOW_SCENARIO.BASELINE ? 'cumulative' : s,
+            label: CASH_FLOW_SCENARIO_CONFIG[s].label,
+            color: CASH_FLOW_SCENARIO_CONFIG[s].color,
+            shiftDays: forecast.scenarios[s].shiftDays,
+            totals: forecast.scenarios[s].totals,
+            lowest: forecast.scenarios[s].lowest
+          })),
+        rows: baseline.rows.map((row, i) => ({
+          ...row,
+          date: `${row.month}-01`,
+          monthLabel: format(new Date(`${row.month}-01T00:00:00`), 'MMM yyyy'),
+          partners: forecast.outflows[i].partners,
+          internal: forecast.outflows[i].internal,
+          expenses: forecast.outflows[i].expenses,
+          optimistic: forecast.scenarios[CASH_FLOW_SCENARIO.OPTIMISTIC].rows[i].cumulative,
+          pessimistic: forecast.scenarios[CASH_FLOW_SCENARIO.PESSIMISTIC].rows[i].cumulative
+        })),
+        milestones: config.showMilestones !== false
+          ? baseline.milestones.map(m => ({
+            ref: m.ref,
+            name: m.name,
+            amount: m.amount,
+            billingDate: m.billingDate,
+            paymentDate: m.paymentDate
+          }))
+          : [],
+        beyondHorizon: baseline.beyondHorizon,
+        config: {
+          includeChart: config.includeChart !== false,
+          showScenarios,
+          showMilestones: config.showMilestones !== false
+        }
+      };
+    } catch (error) {
+      console.error('fetchCashFlowForecast error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch the cumulative change register since contract signature
+   */
+  async fetchChangeRegister(config, context) {
+    try {
+      const register = await changeRegisterService.getRegister(context.projectId);
+      const showLineage = config.showLineage !== false;
+
+      return {
+        type: SECTION_TYPE.CHANGE_REGISTER,
+        original: register.original,
+        current: register.current,
+        totalChange: register.totalChange,
+        otherChanges: register.otherChanges,
+        waterfall: register.waterfall,
+        events: register.events.map(e => ({
+          date: e.date,
+          variation: `${e.ref || ''} ${e.title}`.trim(),
+          change: e.type === CHANGE_EVENT_TYPE.REVERTED ? 'Reverted' : 'Applied',
+          reason: e.reason,
+          valueChange: e.valueChange,
+          valueAfter: e.valueAfter,
+          endChangeDays: e.endChangeDays,
+          endDateAfter: e.endDateAfter
+        })),
+        lineage: showLineage
+          ? register.milestones
+            .filter(m => (register.lineageByMilestone[m.id] || []).length > 1)
+            .flatMap(m => register.lineageByMilestone[m.id].map(l => ({
+              milestone: `${m.milestone_ref} ${m.name}`,
+              version: `v${l.version}${l.variationRef ? ` ${l.variationRef}` : l.version === 1 ? ' Original' : ''}${l.isRevert ? ' (reverted)' : ''}`,
+              date: l.date,
+              value: l.value,
+              valueChange: l.version > 1 ? l.valueChange : null,
+              start: l.start,
+              end: l.end
+            })))
+          : [],
+        config: {
+          includeChart: config.includeChart !== false,
+          showLineage
+        }
+      };
+    } catch (error) {
+      console.error('fetchChangeRegister error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch timesheet compliance for the weeks in the reporting period
+   * Measured at the end of the period (or today if that is earlier)
+   */
+  async fetchTimesheetCompliance(config, context, dateRange) {
+    try {
+      const statusDate = isAfter(dateRange.endDate, new Date()) ? new Date() : dateRange.endDate;
+      const weeks = Math.min(
+        MAX_COMPLIANCE_WEEKS,
+        Math.max(1, differenceInCalendarWeeks(statusDate, dateRange.startDate, { weekStartsOn: 1 }) + 1)
+      );
+      const compliance = await timesheetComplianceService.getCompliance(context.projectId, {
+        weeks,
+        today: statusDate
+      });
+
+      const byResource = compliance.rows.map(row => {
+        const due = row.weeks.filter(w => w.status !== COMPLIANCE_STATUS.NOT_EXPECTED && w.status !== COMPLIANCE_STATUS.NOT_DUE);
+        return {
+          name: row.resource.name,
+          due: due.length,
+          compliant: due.filter(w => w.status === COMPLIANCE_STATUS.COMPLIANT).length,
+          behind: due.filter(w => isNonCompliant(w.status)).length,
+          expectedHours: Math.round(due.reduce((sum, w) => sum + w.expectedHours, 0) * 100) / 100,
+          shortfallHours: Math.round(due.reduce((sum, w) => sum + w.shortfallHours, 0) * 100) / 100
+        };
+      });
+
+      const missing = compliance.missing.map(week => ({
+        name: week.resource.name,
+        weekStart: week.weekStart,
+        status: COMPLIANCE_STATUS_CONFIG[week.status].label,
+        submittedHours: week.submittedHours,
+        expectedHours: week.expectedHours,
+        daysOverdue: week.daysOverdue,
+        reminded: week.reminders?.reminder || null,
+        escalated: week.reminders?.escalation || null
+      }));
+      const maxItems = config.maxItems ?? 20;
+
+      return {
+        type: SECTION_TYPE.TIMESHEET_COMPLIANCE,
+        dateRange,
+        asOf: format(statusDate, 'yyyy-MM-dd'),
+        summary: compliance.summary,
+        byResource: config.showByResource !== false ? byResource : [],
+        missing: config.showMissing !== false
+          ? (maxItems > 0 ? missing.slice(0, maxItems) : missing)
+          : [],
+        totalMissing: missing.length,
+        config: {
+          showByResource: config.showByResource !== false,
+          showMissing: config.showMissing !== false
+        }
+      };
+    } catch (error) {
+      console.error('fetchTimesheetCompliance error:', error);
+      throw error;
+    }
+  }
+
   /**
    * Fetch combined forward-looking data
    */
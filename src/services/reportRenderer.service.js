@@ -6,13 +6,19 @@
  * print-ready HTML output.
  * 
  * Features:
- * - Renders all 15 section types to HTML
+ * - Renders all 19 section types to HTML
  * - Generates simple charts as inline SVG
  * - Includes print-optimized CSS styles
  * - Supports customization via section config
  * 
- * @version 1.0
+ * @version 1.5
  * @created 11 December 2025
+ * @updated 19 October 2026 - Added Earned Value section and line chart
+ * @updated 19 October 2026 - Currency values use the project reporting currency
+ * @updated 19 October 2026 - Added Missing Timesheets section
+ * @updated 19 October 2026 - Added Cash-Flow Forecast section; line charts allow negative values
+ * @updated 19 October 2026 - Added Change Register section and waterfall chart
+ * @updated 19 October 2026 - RAID Summary exposure, contingency, heat maps and item scores
  * @see docs/IMPLEMENTATION-Report-Builder-Wizard.md Segment 4
  */
 
@@ -21,6 +27,8 @@ import {
   getSectionTypeConfig 
 } from '../lib/reportSectionTypes';
 import { format } from 'date-fns';
+import { DEFAULT_CURRENCY, getCurrencySymbol } from '../lib/currency';
+import { RISK_RATING_CONFIG } from '../lib/raidScoring';
 
 // ============================================
 // CHART COLORS
@@ -74,6 +82,7 @@ const STATUS_COLORS = {
 export class ReportRendererService {
   constructor() {
     this.defaultStyles = this.getDefaultStyles();
+    this.currencySymbol = getCurrencySymbol(DEFAULT_CURRENCY);
   }
 
   // ─────────────────────────────────────────────────────────────
@@ -93,6 +102,7 @@ export class ReportRendererService {
     
     // Build report context
     const reportContext = this.buildReportContext(template, context);
+    this.currencySymbol = getCurrencySymbol(reportContext.project?.currency || DEFAULT_CURRENCY);
 
     // Render cover page if enabled
     let coverHtml = '';
@@ -168,8 +178,14 @@ export class ReportRendererService {
         return this.renderRAIDSummary(section, data, context);
       case SECTION_TYPE.TIMESHEET_SUMMARY:
         return this.renderTimesheetSummary(section, data, context);
+      case SECTION_TYPE.TIMESHEET_COMPLIANCE:
+        return this.renderTimesheetCompliance(section, data, context);
       case SECTION_TYPE.EXPENSE_SUMMARY:
         return this.renderExpenseSummary(section, data, context);
+      case SECTION_TYPE.EARNED_VALUE:
+        return this.renderEarnedValue(section, data, context);
+      case SECTION_TYPE.CHANGE_REGISTER:
+        return this.renderChangeRegister(section, data, context);
       
       // Forward-looking sections
       case SECTION_TYPE.FORWARD_LOOK:
@@ -178,6 +194,8 @@ export class ReportRendererService {
         return this.renderUpcomingMilestones(section, data, context);
       case SECTION_TYPE.UPCOMING_DELIVERABLES:
         return this.renderUpcomingDeliverables(section, data, context);
+      case SECTION_TYPE.CASH_FLOW_FORECAST:
+        return this.renderCashFlowForecast(section, data, context);
       
       // Content sections
       case SECTION_TYPE.EXECUTIVE_SUMMARY:
@@ -471,11 +489,127 @@ export class ReportRendererService {
     return this.wrapSection(html);
   }
 
+  /**
+   * Render earned value section
+   */
+  renderEarnedValue(section, data, context) {
+    const { summary, series, byMilestone, config } = data;
+    const indexColor = (health) => ({ on_track: 'success', at_risk: 'warning', off_track: 'danger' }[health] || 'neutral');
+
+    let html = this.renderSectionHeader('Earned Value', section, data.dateRange, `Status date: ${this.formatDate(data.asOf)}`);
+
+    html += this.renderSummaryCards([
+      { label: 'Planned Value (PV)', value: this.formatCurrency(summary.pv), color: 'neutral' },
+      { label: 'Earned Value (EV)', value: this.formatCurrency(summary.ev), color: 'primary' },
+      { label: 'Actual Cost (AC)', value: this.formatCurrency(summary.ac), color: 'neutral' },
+      { label: 'SPI', value: this.formatCellValue(summary.spi, 'index'), color: indexColor(summary.spiHealth) },
+      { label: 'CPI', value: this.formatCellValue(summary.cpi, 'index'), color: indexColor(summary.cpiHealth) }
+    ]);
+
+    if (config.showForecast) {
+      html += this.renderSummaryCards([
+        { label: 'Budget at Completion (BAC)', value: this.formatCurrency(summary.bac), color: 'neutral' },
+        { label: 'Estimate at Completion (EAC)', value: this.formatCurrency(summary.eac), color: 'neutral' },
+        { label: 'Estimate to Complete (ETC)', value: this.formatCurrency(summary.etc), color: 'neutral' },
+        { label: 'Variance at Completion (VAC)', value: this.formatCurrency(summary.vac), color: summary.vac < 0 ? 'danger' : 'success' },
+        { label: 'TCPI', value: this.formatCellValue(summary.tcpi, 'index'), color: 'neutral' }
+      ]);
+    }
+
+    if (config.includeChart && series.length > 0) {
+      html += this.renderLineChart('S-Curve (cumulative)', series, [
+        { key: 'pv', label: 'Planned (PV)', color: CHART_COLORS.neutral, dashed: true },
+        { key: 'ev', label: 'Earned (EV)', color: CHART_COLORS.success },
+        { key: 'ac', label: 'Actual (AC)', color: CHART_COLORS.danger }
+      ]);
+    }
+
+    if (config.showByMilestone && byMilestone.length > 0) {
+      html += `<h4 class="subsection-title">Earned Value by Milestone</h4>`;
+      html += this.renderTable(byMilestone, [
+        { key: 'ref', header: 'Ref', width: '8%' },
+        { key: 'name', header: 'Milestone', width: '24%' },
+        { key: 'progress', header: 'Progress', width: '8%', format: 'percent' },
+        { key: 'pv', header: 'PV', width: '11%', format: 'currency' },
+        { key: 'ev', header: 'EV', width: '11%', format: 'currency' },
+        { key: 'ac', header: 'AC', width: '11%', format: 'currency' },
+        { key: 'spi', header: 'SPI', width: '7%', format: 'index' },
+        { key: 'cpi', header: 'CPI', width: '7%', format: 'index' },
+        { key: 'vac', header: 'VAC', width: '13%', format: 'currencyVariance' }
+      ]);
+    }
+
+    if (data.missingRates?.length > 0) {
+      html += `<p class="empty-message">No exchange rate for ${data.missingRates.map(pair => pair.replace(':', ' → ')).join(', ')}; these expenses are included in AC unconverted.</p>`;
+    }
+
+    return this.wrapSection(html);
+  }
+
+  /**
+   * Render change register section
+   */
+  renderChangeRegister(section, data, context) {
+    const { original, current, totalChange, otherChanges, waterfall, events, lineage, config } = data;
+    const formatDays = (days) => (days === null || days === undefined ? '—' : `${days > 0 ? '+' : ''}${days} days`);
+
+    let html = this.renderSectionHeader('Change Register', section, null, 'Since contract signature');
+
+    html += this.renderSummaryCards([
+      { label: `Original (ends ${this.formatDate(original.endDate)})`, value: this.formatCurrency(original.value), color: 'neutral' },
+      { label: `Current (ends ${this.formatDate(current.endDate)})`, value: this.formatCurrency(current.value), color: 'primary' },
+      {
+        label: `Change (end date ${formatDays(totalChange.endChangeDays)})`,
+        value: this.formatCurrencyVariance(totalChange.value),
+        color: totalChange.value > 0 ? 'warning' : totalChange.value < 0 ? 'success' : 'neutral'
+      }
+    ]);
+
+    if (config.includeChart) {
+      html += this.renderWaterfallChart('Contract Value: Original → Current', waterfall);
+    }
+
+    html += `<h4 class="subsection-title">Variations</h4>`;
+    if (events.length > 0) {
+      html += this.renderTable(events.map(e => ({ ...e, endChangeDays: formatDays(e.endChangeDays) })), [
+        { key: 'date', header: 'Date', width: '11%', format: 'date' },
+        { key: 'variation', header: 'Variation', width: '20%' },
+        { key: 'change', header: 'Change', width: '8%' },
+        { key: 'reason', header: 'Reason', width: '19%' },
+        { key: 'valueChange', header: 'Value Change', width: '11%', format: 'currencyVariance' },
+        { key: 'valueAfter', header: 'Contract Value', width: '11%', format: 'currency' },
+        { key: 'endChangeDays', header: 'End Change', width: '9%' },
+        { key: 'endDateAfter', header: 'Contract End', width: '11%', format: 'date' }
+      ]);
+    } else {
+      html += this.renderEmptyMessage('No variations have been applied');
+    }
+
+    if (Math.abs(otherChanges.value) >= 0.005 || otherChanges.endChangeDays) {
+      html += `<p class="section-note">Baseline edits made outside a variation changed the contract by ${this.formatCurrencyVariance(otherChanges.value)} and the end date by ${formatDays(otherChanges.endChangeDays)}.</p>`;
+    }
+
+    if (config.showLineage && lineage.length > 0) {
+      html += `<h4 class="subsection-title">Milestone Baseline Lineage</h4>`;
+      html += this.renderTable(lineage, [
+        { key: 'milestone', header: 'Milestone', width: '24%' },
+        { key: 'version', header: 'Version', width: '18%' },
+        { key: 'date', header: 'Date', width: '12%', format: 'date' },
+        { key: 'value', header: 'Value', width: '12%', format: 'currency' },
+        { key: 'valueChange', header: 'Change', width: '12%', format: 'currencyVariance' },
+        { key: 'start', header: 'Start', width: '11%', format: 'date' },
+        { key: 'end', header: 'End', width: '11%', format: 'date' }
+      ]);
+    }
+
+    return this.wrapSection(html);
+  }
+
   /**
    * Render RAID summary section
    */
   renderRAIDSummary(section, data, context) {
-    const { summary, items, byCategory, config } = data;
+    const { summary, items, byCategory, scoring, config } = data;
     
     let html = this.renderSectionHeader('RAID Summary', section, data.dateRange);
 
@@ -497,16 +631,40 @@ export class ReportRendererService {
       ]);
     }
 
+    // Ratings, exposure and contingency for open risks and issues
+    if (config.includeScoring && scoring) {
+      html += this.renderSummaryCards([
+        { label: 'Critical / High', value: `${scoring.byRating.critical} / ${scoring.byRating.high}`, color: 'danger' },
+        { label: 'Inherent Exposure', value: this.formatCurrency(scoring.exposure.inherent), color: 'warning' },
+        { label: 'Contingency (Residual Exposure)', value: this.formatCurrency(scoring.contingency), color: 'primary' }
+      ]);
+    }
+
+    if (config.includeHeatMap && scoring) {
+      html += `
+        <div class="heatmap-pair">
+          ${this.renderHeatMap('Inherent Risk', scoring.heatMap.inherent)}
+          ${this.renderHeatMap('Residual Risk', scoring.heatMap.residual)}
+        </div>
+      `;
+    }
+
     // RAID items table
     if (items.length > 0) {
+      const titleWidth = (config.showDetails ? 30 : 45) - (config.includeScoring ? 15 : 0);
       const columns = [
         { key: 'ref', header: 'Ref', width: '8%' },
         { key: 'category', header: 'Category', width: '12%' },
-        { key: 'title', header: 'Title', width: config.showDetails ? '30%' : '45%' },
+        { key: 'title', header: 'Title', width: `${titleWidth}%` },
         { key: 'severity', header: 'Severity', width: '10%', format: 'severity' },
         { key: 'status', header: 'Status', width: '10%', format: 'status' }
       ];
 
+      if (config.includeScoring) {
+        columns.push({ key: 'score', header: 'Score', width: '5%' });
+        columns.push({ key: 'exposure', header: 'Exposure', width: '10%', format: 'currency' });
+      }
+
       if (config.showDetails) {
         // Show owner
         const itemsWithOwner = items.map(item => ({
@@ -560,6 +718,62 @@ export class ReportRendererService {
     return this.wrapSection(html);
   }
 
+  /**
+   * Render missing timesheets section
+   */
+  renderTimesheetCompliance(section, data, context) {
+    const { summary, byResource, missing, config } = data;
+    const rateColor = summary.complianceRate === null ? 'neutral'
+      : summary.complianceRate >= 90 ? 'success'
+      : summary.complianceRate >= 70 ? 'warning'
+      : 'danger';
+
+    let html = this.renderSectionHeader('Missing Timesheets', section, data.dateRange, `Status date: ${this.formatDate(data.asOf)}`);
+
+    html += this.renderSummaryCards([
+      { label: 'Compliance', value: summary.complianceRate === null ? '—' : `${summary.complianceRate}%`, color: rateColor },
+      { label: 'Weeks Due', value: summary.due, color: 'neutral' },
+      { label: 'Missing', value: summary.missing, color: summary.missing > 0 ? 'danger' : 'success' },
+      { label: 'Partial / Not Submitted', value: summary.partial + summary.unsubmitted, color: 'warning' },
+      { label: 'Resources Behind', value: summary.resourcesBehind, color: 'neutral' }
+    ]);
+
+    if (config.showByResource && byResource.length > 0) {
+      html += `<h4 class="subsection-title">Compliance by Resource</h4>`;
+      html += this.renderTable(byResource, [
+        { key: 'name', header: 'Resource', width: '30%' },
+        { key: 'due', header: 'Weeks Due', width: '12%' },
+        { key: 'compliant', header: 'Submitted', width: '12%' },
+        { key: 'behind', header: 'Behind', width: '12%' },
+        { key: 'expectedHours', header: 'Expected Hours', width: '17%' },
+        { key: 'shortfallHours', header: 'Hours Short', width: '17%' }
+      ]);
+    }
+
+    if (config.showMissing) {
+      html += `<h4 class="subsection-title">Missing Timesheets</h4>`;
+      if (missing.length === 0) {
+        html += `<p class="empty-message">All timesheets due in this period have been submitted.</p>`;
+      } else {
+        html += this.renderTable(missing, [
+          { key: 'name', header: 'Resource', width: '22%' },
+          { key: 'weekStart', header: 'Week of', width: '13%', format: 'date' },
+          { key: 'status', header: 'Status', width: '13%' },
+          { key: 'submittedHours', header: 'Submitted', width: '10%' },
+          { key: 'expectedHours', header: 'Expected', width: '10%' },
+          { key: 'daysOverdue', header: 'Days Overdue', width: '10%' },
+          { key: 'reminded', header: 'Reminded', width: '11%', format: 'date' },
+          { key: 'escalated', header: 'Escalated', width: '11%', format: 'date' }
+        ]);
+        if (data.totalMissing > missing.length) {
+          html += `<p class="empty-message">Showing ${missing.length} of ${data.totalMissing} missing timesheets.</p>`;
+        }
+      }
+    }
+
+    return this.wrapSection(html);
+  }
+
   /**
    * Render expense summary section
    */
@@ -576,6 +790,11 @@ export class ReportRendererService {
       { label: 'Entries', value: summary.validEntries, color: 'neutral' }
     ]);
 
+    // Amounts with no exchange rate were included unconverted
+    if (summary.missingRates?.length > 0) {
+      html += `<p class="empty-message">No exchange rate for ${summary.missingRates.map(pair => pair.replace(':', ' → ')).join(', ')}; these amounts are shown unconverted.</p>`;
+    }
+
     // Category chart
     if (config.includeChart && byCategory && byCategory.length > 0) {
       const chartData = byCategory.slice(0, 6).map((cat, i) => ({
@@ -765,6 +984,67 @@ export class ReportRendererService {
     return this.wrapSection(html);
   }
 
+  /**
+   * Render cash-flow forecast section
+   */
+  renderCashFlowForecast(section, data, context) {
+    const { scenarios, rows, milestones, config } = data;
+
+    let html = this.renderSectionHeader(
+      'Cash-Flow Forecast',
+      section,
+      null,
+      `Next ${data.months} months from ${this.formatDate(data.asOf)}`
+    );
+
+    html += this.renderSummaryCards(scenarios.map(s => ({
+      label: `${s.label} net${s.shiftDays ? ` (billing ${s.shiftDays > 0 ? '+' : ''}${s.shiftDays} days)` : ''}`,
+      value: this.formatCurrency(s.totals.net),
+      color: s.lowest && s.lowest.cumulative < 0 ? 'danger' : 'success'
+    })));
+
+    if (config.includeChart) {
+      html += this.renderLineChart('Cumulative Cash Position', rows, scenarios.map(s => ({
+        key: s.key,
+        label: s.label,
+        color: s.color,
+        dashed: s.shiftDays !== 0
+      })));
+    }
+
+    html += `<h4 class="subsection-title">Monthly Forecast (baseline)</h4>`;
+    html += this.renderTable(rows, [
+      { key: 'monthLabel', header: 'Month', width: '12%' },
+      { key: 'inflow', header: 'Receipts', width: '13%', format: 'currency' },
+      { key: 'partners', header: 'Partners', width: '13%', format: 'currency' },
+      { key: 'internal', header: 'Internal', width: '13%', format: 'currency' },
+      { key: 'expenses', header: 'Expenses', width: '12%', format: 'currency' },
+      { key: 'net', header: 'Net', width: '17%', format: 'currencyVariance' },
+      { key: 'cumulative', header: 'Cumulative', width: '20%', format: 'currencyVariance' }
+    ]);
+
+    if (config.showMilestones) {
+      html += `<h4 class="subsection-title">Milestone Receipts</h4>`;
+      if (milestones.length > 0) {
+        html += this.renderTable(milestones, [
+          { key: 'ref', header: 'Ref', width: '10%' },
+          { key: 'name', header: 'Milestone', width: '40%' },
+          { key: 'amount', header: 'Amount', width: '18%', format: 'currency' },
+          { key: 'billingDate', header: 'Billed', width: '16%', format: 'date' },
+          { key: 'paymentDate', header: 'Paid', width: '16%', format: 'date' }
+        ]);
+      } else {
+        html += this.renderEmptyMessage('No unpaid billable milestones');
+      }
+    }
+
+    if (data.beyondHorizon > 0) {
+      html += `<p class="section-note">${this.formatCurrency(data.beyondHorizon)} of milestone receipts fall after the forecast period.</p>`;
+    }
+
+    return this.wrapSection(html);
+  }
+
   // ─────────────────────────────────────────────────────────────
   // CONTENT SECTION RENDERERS
   // ─────────────────────────────────────────────────────────────
@@ -1052,6 +1332,148 @@ export class ReportRendererService {
     `;
   }
 
+  /**
+   * Render a simple line chart as SVG
+   * @param {string} title - Chart title
+   * @param {Array} points - Data points with a 'date' key (null values end a line)
+   * @param {Array} lines - { key, label, color, dashed }
+   */
+  renderLineChart(title, points, lines) {
+    const values = points.flatMap(p => lines.map(l => p[l.key])).filter(v => v !== null && v !== undefined);
+    const maxValue = Math.max(...values, 0);
+    const minValue = Math.min(...values, 0);
+    if (maxValue === minValue || points.length < 2) return '';
+
+    const width = 560;
+    const height = 200;
+    const pad = { top: 10, right: 10, bottom: 24, left: 60 };
+    const plotW = width - pad.left - pad.right;
+    const plotH = height - pad.top - pad.bottom;
+    const x = (i) => pad.left + (i / (points.length - 1)) * plotW;
+    const y = (v) => pad.top + plotH - ((v - minValue) / (maxValue - minValue)) * plotH;
+
+    const paths = lines.map(line => {
+      const coords = points
+        .map((p, i) => (p[line.key] === null || p[line.key] === undefined ? null : `${x(i).toFixed(1)},${y(p[line.key]).toFixed(1)}`))
+        .filter(Boolean);
+      if (coords.length < 2) return '';
+      return `<polyline points="${coords.join(' ')}" fill="none" stroke="${line.color}" stroke-width="2"${line.dashed ? ' stroke-dasharray="5 4"' : ''} />`;
+    }).join('');
+
+    const step = Math.max(1, Math.ceil(points.length / 8));
+    const xLabels = points.map((p, i) => (i % step === 0
+      ? `<text x="${x(i).toFixed(1)}" y="${height - 6}" text-anchor="middle" class="line-chart-label">${format(new Date(p.date), 'MMM yy')}</text>`
+      : '')).join('');
+    const yLabels = [0, 0.5, 1].map(f => minValue + (maxValue - minValue) * f).map(v => `
+      <line x1="${pad.left}" x2="${width - pad.right}" y1="${y(v).toFixed(1)}" y2="${y(v).toFixed(1)}" stroke="#e5e7eb" />
+      <text x="${pad.left - 6}" y="${(y(v) + 4).toFixed(1)}" text-anchor="end" class="line-chart-label">${this.formatCurrency(v)}</text>
+    `).join('') + (minValue < 0
+      ? `<line x1="${pad.left}" x2="${width - pad.right}" y1="${y(0).toFixed(1)}" y2="${y(0).toFixed(1)}" stroke="#9ca3af" />`
+      : '');
+
+    const legend = lines.map(l => `
+      <div class="legend-item">
+        <span class="legend-color" style="background: ${l.color}"></span>
+        <span class="legend-label">${l.label}</span>
+      </div>
+    `).join('');
+
+    return `
+      <div class="chart-container">
+        <h4 class="chart-title">${title}</h4>
+        <svg width="100%" viewBox="0 0 ${width} ${height}" preserveAspectRatio="xMidYMid meet">
+          ${yLabels}
+          ${paths}
+          ${xLabels}
+        </svg>
+        <div class="chart-legend line-chart-legend">${legend}</div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render a waterfall chart as SVG
+   * @param {string} title - Chart title
+   * @param {Array} steps - { label, kind, start, end } from lib/changeRegister.js
+   */
+  renderWaterfallChart(title, steps) {
+    const colors = {
+      original: CHART_COLORS.neutral,
+      increase: CHART_COLORS.warning,
+      decrease: CHART_COLORS.success,
+      other: CHART_COLORS.purple,
+      current: CHART_COLORS.primary
+    };
+    const values = steps.flatMap(s => [s.start, s.end]);
+    const maxValue = Math.max(...values, 0);
+    const minValue = Math.min(...values, 0);
+    if (maxValue === minValue || steps.length < 2) return '';
+
+    const width = 560;
+    const height = 220;
+    const pad = { top: 10, right: 10, bottom: 40, left: 60 };
+    const plotW = width - pad.left - pad.right;
+    const plotH = height - pad.top - pad.bottom;
+    const slot = plotW / steps.length;
+    const y = (v) => pad.top + plotH - ((v - minValue) / (maxValue - minValue)) * plotH;
+
+    const bars = steps.map((s, i) => {
+      const top = y(Math.max(s.start, s.end));
+      const barHeight = Math.max(1, Math.abs(y(s.start) - y(s.end)));
+      const x = pad.left + i * slot + slot * 0.15;
+      const label = s.label.length > 14 ? `${s.label.slice(0, 13)}…` : s.label;
+      return `
+        <rect x="${x.toFixed(1)}" y="${top.toFixed(1)}" width="${(slot * 0.7).toFixed(1)}" height="${barHeight.toFixed(1)}" fill="${colors[s.kind] || CHART_COLORS.neutral}" />
+        <text x="${(x + slot * 0.35).toFixed(1)}" y="${height - 22}" text-anchor="middle" class="line-chart-label">${label}</text>
+      `;
+    }).join('');
+
+    const yLabels = [0, 0.5, 1].map(f => minValue + (maxValue - minValue) * f).map(v => `
+      <line x1="${pad.left}" x2="${width - pad.right}" y1="${y(v).toFixed(1)}" y2="${y(v).toFixed(1)}" stroke="#e5e7eb" />
+      <text x="${pad.left - 6}" y="${(y(v) + 4).toFixed(1)}" text-anchor="end" class="line-chart-label">${this.formatCurrency(v)}</text>
+    `).join('');
+
+    return `
+      <div class="chart-container">
+        <h4 class="chart-title">${title}</h4>
+        <svg width="100%" viewBox="0 0 ${width} ${height}" preserveAspectRatio="xMidYMid meet">
+          ${yLabels}
+          ${bars}
+        </svg>
+      </div>
+    `;
+  }
+
+  /**
+   * Render a probability × impact heat map as a coloured table
+   */
+  renderHeatMap(title, heatMap) {
+    const rows = heatMap.rows.map(row => {
+      const cells = row.cells.map(cell => `
+        <td class="heatmap-cell" style="background: ${RISK_RATING_CONFIG[cell.rating].color}; opacity: ${cell.items.length ? 1 : 0.35}">
+          ${cell.items.length || ''}
+        </td>
+      `).join('');
+      return `<tr><th>${row.label}</th>${cells}</tr>`;
+    }).join('');
+
+    const impactHeaders = heatMap.impactLabels.map(label => `<th>${label}</th>`).join('');
+    const unscored = heatMap.unscored > 0
+      ? `<div class="heatmap-note">${heatMap.unscored} open risk${heatMap.unscored === 1 ? '' : 's'} not scored</div>`
+      : '';
+
+    return `
+      <div class="chart-container">
+        <h4 class="chart-title">${title}</h4>
+        <table class="heatmap-table">
+          <tbody>${rows}</tbody>
+          <tfoot><tr><th>Probability / Impact</th>${impactHeaders}</tr></tfoot>
+        </table>
+        ${unscored}
+      </div>
+    `;
+  }
+
   /**
    * Wrap section content
    */
@@ -1215,6 +1637,8 @@ export class ReportRendererService {
         return this.formatCurrencyVariance(value);
       case 'percent':
         return `${value}%`;
+      case 'index':
+        return Number(value).toFixed(2);
       case 'status':
         return this.formatStatus(value);
       case 'rag':
@@ -1238,14 +1662,14 @@ export class ReportRendererService {
 
   formatCurrency(value) {
     const num = parseFloat(value) || 0;
-    return `£${num.toLocaleString('en-GB', { minimumFractionDigits: 0, maximumFractionDigits: 0 })}`;
+    return `${this.currencySymbol}${num.toLocaleString('en-GB', { minimumFractionDigits: 0, maximumFractionDigits: 0 })}`;
   }
 
   formatCurrencyVariance(value) {
     const num = parseFloat(value) || 0;
     const sign = num >= 0 ? '+' : '';
     const className = num >= 0 ? 'positive' : 'negative';
-    return `<span class="${className}">${sign}£${Math.abs(num).toLocaleString('en-GB', { minimumFractionDigits: 0, maximumFractionDigits: 0 })}</span>`;
+    return `<span class="${className}">${sign}${this.currencySymbol}${Math.abs(num).toLocaleString('en-GB', { minimumFractionDigits: 0, maximumFractionDigits: 0 })}</span>`;
   }
 
   formatNumber(value) {
@@ -1410,6 +1834,12 @@ export class ReportRendererService {
         color: #374151;
         margin: 20px 0 12px;
       }
+
+      .section-note {
+        margin: 12px 0 0;
+        font-size: 12px;
+        color: #6b7280;
+      }
       
       /* Summary Cards */
       .summary-cards {
@@ -1533,6 +1963,62 @@ export class ReportRendererService {
         border-radius: 2px;
       }
       
+      .line-chart-label {
+        font-size: 10px;
+        fill: #6b7280;
+      }
+      
+      /* Heat map */
+      .heatmap-pair {
+        display: flex;
+        gap: 16px;
+        flex-wrap: wrap;
+      }
+      
+      .heatmap-pair .chart-container {
+        flex: 1;
+        min-width: 260px;
+      }
+      
+      .heatmap-table {
+        border-collapse: separate;
+        border-spacing: 3px;
+      }
+      
+      .heatmap-table th {
+        font-size: 10px;
+        font-weight: 500;
+        color: #6b7280;
+        padding: 2px 6px;
+        text-align: right;
+      }
+      
+      .heatmap-table tfoot th {
+        text-align: center;
+      }
+      
+      .heatmap-cell {
+        width: 44px;
+        height: 32px;
+        border-radius: 4px;
+        color: white;
+        font-size: 12px;
+        font-weight: 700;
+        text-align: center;
+      }
+      
+      .heatmap-note {
+        margin-top: 8px;
+        font-size: 11px;
+        color: #6b7280;
+      }
+      
+      .line-chart-legend {
+        flex-direction: row;
+        gap: 16px;
+        margin-top: 8px;
+      }
+      
       .chart-center-text {
         font-size: 18px;
         font-weight: 700;
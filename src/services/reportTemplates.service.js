@@ -542,8 +542,12 @@ export class ReportTemplatesService extends BaseService {
       'budget_analysis',
       'raid_summary',
       'timesheet_summary',
+      'timesheet_compliance',
       'expense_summary',
+      'earned_value',
+      'change_register',
       'forward_look',
+      'cash_flow_forecast',
       'lessons_learned',
       'executive_summary',
       'custom_text',
@@ -5,8 +5,8 @@
  * Extends BaseService for standard CRUD with resource-specific methods.
  * Includes caching for frequently accessed data.
  * 
- * @version 2.1 - Added caching
- * @updated 6 December 2025
+ * @version 2.2 - Values and budgets from effective-dated rate cards
+ * @updated 19 October 2026
  * @phase Production Hardening - Soft Delete & Sanitisation
  */
 
@@ -14,6 +14,7 @@ import { BaseService } from './base.service';
 import { supabase } from '../lib/supabase';
 import { sanitizeSingleLine, sanitizeMultiLine, sanitizeEmail } from '../lib/sanitize';
 import { hoursToDays } from '../config/metricsConfig';
+import { rateCardsService } from './rateCards.service';
 import { getCacheKey, getFromCache, setInCache, invalidateNamespace, CACHE_TTL } from '../lib/cache';
 
 const CACHE_NAMESPACE = 'resources';
@@ -146,11 +147,14 @@ export class ResourcesService extends BaseService {
     const resource = await this.getById(id);
     if (!resource) return null;
 
-    const { data: timesheets, error } = await supabase
-      .from('timesheets')
-      .select('id, hours_worked, hours, status, was_rejected, date')
-      .eq('resource_id', id)
-      .or('is_deleted.is.null,is_deleted.eq.false');
+    const [{ data: timesheets, error }, resolveRates] = await Promise.all([
+      supabase
+        .from('timesheets')
+        .select('id, hours_worked, hours, status, was_rejected, date')
+        .eq('resource_id', id)
+        .or('is_deleted.is.null,is_deleted.eq.false'),
+      rateCardsService.getRateResolver(resource.project_id)
+    ]);
 
     if (error) {
       console.error('ResourcesService.getWithTimesheetSummary timesheets error:', error);
@@ -159,11 +163,13 @@ export class ResourcesService extends BaseService {
     let totalHours = 0;
     let approvedHours = 0;
     let pendingHours = 0;
+    let sellValue = 0;
 
     if (timesheets) {
       timesheets.forEach(ts => {
         const hours = parseFloat(ts.hours_worked || ts.hours || 0);
         totalHours += hours;
+        sellValue += hoursToDays(hours) * (resolveRates(resource, ts.date).sell_price || 0);
         
         if (ts.status === 'Approved') {
           approvedHours += hours;
@@ -180,7 +186,8 @@ export class ResourcesService extends BaseService {
         totalHours,
         approvedHours,
         pendingHours,
-        daysWorked: hoursToDays(totalHours)
+        daysWorked: hoursToDays(totalHours),
+        sellValue
       }
     };
   }
@@ -381,6 +388,10 @@ export class ResourcesService extends BaseService {
     const daysAllocated = resource.days_allocated || 0;
     const daysUsed = resource.timesheetSummary.daysWorked;
     const remaining = Math.max(0, daysAllocated - daysUsed);
+    // Days worked at the rates in force at the time, remaining days at today's rate
+    const valueUsed = resource.timesheetSummary.sellValue;
+    const resolveRates = await rateCardsService.getRateResolver(resource.project_id);
+    const currentRate = resolveRates(resource).sell_price || 0;
     const utilizationPercent = daysAllocated > 0 
       ? (daysUsed / daysAllocated) * 100 
       : 0;
@@ -392,8 +403,8 @@ export class ResourcesService extends BaseService {
       daysUsed,
       remaining,
       utilizationPercent,
-      totalValue: (resource.sell_price || 0) * daysAllocated,
-      valueUsed: (resource.sell_price || 0) * daysUsed
+      totalValue: valueUsed + (currentRate * remaining),
+      valueUsed
     };
   }
 
@@ -401,14 +412,17 @@ export class ResourcesService extends BaseService {
    * Get summary stats for dashboard
    */
   async getSummary(projectId) {
-    const resources = await this.getAll(projectId, { includePartner: false });
+    const [resources, resolveRates] = await Promise.all([
+      this.getAll(projectId, { includePartner: false }),
+      rateCardsService.getRateResolver(projectId)
+    ]);
     
     return {
       total: resources.length,
       internal: resources.filter(r => r.resource_type === 'internal').length,
       thirdParty: resources.filter(r => r.resource_type === 'third_party').length,
       active: resources.filter(r => r.is_active).length,
-      totalBudget: resources.reduce((sum, r) => sum + ((r.sell_price || 0) * (r.days_allocated || 0)), 0)
+      totalBudget: resources.reduce((sum, r) => sum + ((resolveRates(r).sell_price || 0) * (r.days_allocated || 0)), 0)
     };
   }
 
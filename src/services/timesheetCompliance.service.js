@@ -0,0 +1,267 @@
+/**
+ * Timesheet Compliance Service
+ *
+ * Loads what lib/timesheetCompliance.js needs for a project - resources,
+ * project members, timesheets, team calendar leave and working calendars -
+ * and returns compliance per resource per week with the reminders already
+ * sent. Reminders are normally queued by the daily job
+ * (api/timesheet-reminders.js); sendReminder lets a supplier PM chase a
+ * resource from the dashboard straight away.
+ *
+ * Usage:
+ *   import { timesheetComplianceService } from '../services';
+ *
+ *   const { rows, summary, missing } = await timesheetComplianceService.getCompliance(projectId);
+ *
+ * @version 1.0
+ * @created 19 October 2026
+ */
+
+import { supabase } from '../lib/supabase';
+import { BUDGET_CONFIG } from '../config/metricsConfig';
+import { toDateKey } from '../lib/workingCalendar';
+import { getWeekDates } from '../lib/timesheetWeek';
+import {
+  COMPLIANCE_WEEKS,
+  REMINDER_LEVEL,
+  REMINDER_NOTIFICATION_TYPE,
+  getComplianceWeeks,
+  evaluateCompliance,
+  getMissingTimesheets,
+  getComplianceSettings,
+  getReminderNotification
+} from '../lib/timesheetCompliance';
+import { calendarService } from './calendar.service';
+import { workingCalendarsService } from './workingCalendars.service';
+
+const RESOURCE_SELECT = 'id, name, user_id, is_active, is_deleted, created_at, contracted_hours_per_week';
+const TIMESHEET_SELECT = 'id, resource_id, date, hours_worked, hours, status, is_deleted';
+const PROJECT_SELECT = 'id, name, start_date, end_date, timesheet_reminders_enabled, timesheet_reminder_days, timesheet_escalation_enabled, timesheet_escalation_days';
+
+class TimesheetComplianceService {
+  constructor() {
+    this.tableName = 'timesheet_reminders';
+  }
+
+  /**
+   * Compliance for a project's resources over recent weeks
+   *
+   * @param {string} projectId - Project UUID
+   * @param {Object} [options]
+   * @param {number} [options.weeks] - Weeks to check, ending with this week
+   * @param {string|Date} [options.today]
+   * @returns {Promise<Object>} { weekStarts, rows, summary, missing, settings, project }
+   *   Each week carries reminders: { reminder, escalation } sent_at timestamps
+   */
+  async getCompliance(projectId, { weeks = COMPLIANCE_WEEKS, today = new Date() } = {}) {
+    try {
+      const weekStarts = getComplianceWeeks(today, weeks);
+      const start = weekStarts[0];
+      const end = getWeekDates(weekStarts[weekStarts.length - 1])[6];
+
+      const [project, resources, members, timesheets, availability, calendars, reminders] = await Promise.all([
+        this.getProject(projectId),
+        this.query(supabase
+          .from('resources')
+          .select(RESOURCE_SELECT)
+          .eq('project_id', projectId)
+          .or('is_deleted.is.null,is_deleted.eq.false')),
+        this.query(supabase
+          .from('user_projects')
+          .select('user_id, role, created_at')
+          .eq('project_id', projectId)),
+        this.query(supabase
+          .from('timesheets')
+          .select(TIMESHEET_SELECT)
+          .eq('project_id', projectId)
+          .gte('date', start)
+          .lte('date', end)
+          .or('is_deleted.is.null,is_deleted.eq.false')),
+        calendarService.getAvailabilityByDateRange(projectId, start, end),
+        workingCalendarsService.getSchedulingCalendars(projectId).catch(error => {
+          // Compliance still works on a Monday-Friday week without a calendar
+          console.error('TimesheetCompliance calendars error:', error);
+          return {};
+        }),
+        this.getReminders(projectId, start)
+      ]);
+
+      const result = evaluateCompliance({
+        resources,
+        members,
+        timesheets,
+        availability,
+        calendars,
+        project,
+        weekStarts,
+        hoursPerDay: BUDGET_CONFIG.hoursPerDay,
+        today
+      });
+
+      const sent = new Map();
+      reminders.forEach(r => {
+        const key = `${r.resource_id}|${r.week_start}`;
+        sent.set(key, { ...sent.get(key), [r.level]: r.sent_at });
+      });
+      result.rows.forEach(row => {
+        row.weeks.forEach(week => {
+          week.reminders = sent.get(`${row.resource.id}|${week.weekStart}`) || {};
+        });
+      });
+
+      return {
+        ...result,
+        missing: getMissingTimesheets(result.rows),
+        settings: getComplianceSettings(project),
+        project
+      };
+    } catch (error) {
+      console.error('TimesheetCompliance getCompliance error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reminders sent for a project since a week
+   * @param {string} projectId - Project UUID
+   * @param {string} [since] - Earliest week start (YYYY-MM-DD)
+   * @returns {Promise<Array>}
+   */
+  async getReminders(projectId, since) {
+    let query = supabase
+      .from(this.tableName)
+      .select('resource_id, week_start, level, sent_at, sent_by')
+      .eq('project_id', projectId)
+      .order('sent_at', { ascending: true });
+
+    if (since) {
+      query = query.gte('week_start', since);
+    }
+
+    return this.query(query);
+  }
+
+  /**
+   * Remind a resource about one week now
+   *
+   * @param {Object} params
+   * @param {string} params.projectId - Project UUID
+   * @param {Object} params.week - Week from getCompliance (with resource attached)
+   * @param {string} params.projectName
+   * @param {string} params.userId - User sending the reminder
+   * @returns {Promise<Object>} The notification created
+   */
+  async sendReminder({ projectId, week, projectName, userId }) {
+    try {
+      const { resource } = week;
+      if (!resource?.user_id) {
+        const error = new Error(`${resource?.name || 'This resource'} is not linked to a user account`);
+        error.code = 'NO_USER';
+        throw error;
+      }
+
+      const content = getReminderNotification(REMINDER_LEVEL.REMINDER, week, {
+        resourceName: resource.name,
+        projectName
+      });
+
+      const { data, error } = await supabase
+        .from('notifications')
+        .insert({
+          user_id: resource.user_id,
+          project_id: projectId,
+          ...content,
+          entity_type: 'resource',
+          entity_id: resource.id
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      const { error: logError } = await supabase
+        .from(this.tableName)
+        .upsert({
+          project_id: projectId,
+          resource_id: resource.id,
+          week_start: week.weekStart,
+          level: REMINDER_LEVEL.REMINDER,
+          recipient_ids: [resource.user_id],
+          status: week.status,
+          expected_hours: week.expectedHours,
+          submitted_hours: week.submittedHours,
+          sent_at: new Date().toISOString(),
+          sent_by: userId
+        }, { onConflict: 'resource_id,week_start,level' });
+
+      if (logError) throw logError;
+      return data;
+    } catch (error) {
+      console.error('TimesheetCompliance sendReminder error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Unread timesheet reminders and escalations for a user on a project
+   * @param {string} projectId - Project UUID
+   * @param {string} userId - User UUID
+   * @returns {Promise<Array>} notifications rows
+   */
+  async getUnreadNotifications(projectId, userId) {
+    return this.query(supabase
+      .from('notifications')
+      .select('id, type, title, message, entity_id, priority, created_at')
+      .eq('project_id', projectId)
+      .eq('user_id', userId)
+      .eq('is_read', false)
+      .in('type', Object.values(REMINDER_NOTIFICATION_TYPE))
+      .order('created_at', { ascending: false }));
+  }
+
+  /**
+   * Mark a reminder notification as read
+   * @param {string} notificationId
+   */
+  async markNotificationRead(notificationId) {
+    const { error } = await supabase
+      .from('notifications')
+      .update({ is_read: true, read_at: new Date().toISOString() })
+      .eq('id', notificationId);
+
+    if (error) throw error;
+  }
+
+  /**
+   * Project name, dates and reminder settings
+   * @private
+   */
+  async getProject(projectId) {
+    const { data, error } = await supabase
+      .from('projects')
+      .select(PROJECT_SELECT)
+      .eq('id', projectId)
+      .single();
+
+    if (error) throw error;
+    return {
+      ...data,
+      start_date: data.start_date ? toDateKey(data.start_date) : null,
+      end_date: data.end_date ? toDateKey(data.end_date) : null
+    };
+  }
+
+  /**
+   * Run a query and return its rows
+   * @private
+   */
+  async query(builder) {
+    const { data, error } = await builder;
+    if (error) throw error;
+    return data || [];
+  }
+}
+
+// Export singleton instance
+export const timesheetComplianceService = new TimesheetComplianceService();
+export default timesheetComplianceService;
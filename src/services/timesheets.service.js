@@ -4,14 +4,24 @@
  * Handles all timesheet-related data operations.
  * Extends BaseService with timesheet-specific methods.
  * 
- * @version 2.0
- * @updated 30 November 2025
+ * @version 2.4
+ * @updated 19 October 2026 - Delegated reviews go through review_delegated_item()
+ * @updated 19 October 2026 - Summary costs from effective-dated rate cards
+ * @updated 19 October 2026 - Weekly grid save / submit, deliverable and task actuals
+ * @updated 19 October 2026 - Record the reviewer and delegated approvals
  * @phase Production Hardening - Service Layer
  */
 
 import { BaseService } from './base.service';
 import { supabase } from '../lib/supabase';
-import { calculateCostValue, calculateBillableValue, hoursToDays } from '../config/metricsConfig';
+import { calculateCostValue, calculateBillableValue, hoursToDays, timesheetContributesToSpend } from '../config/metricsConfig';
+import { rateCardsService } from './rateCards.service';
+import { canBeSubmitted, ENTRY_TYPE, TIMESHEET_STATUS } from '../lib/timesheetCalculations';
+import { getWeekDates, getWeekChanges, validateWeek } from '../lib/timesheetWeek';
+import { getReviewFields } from '../lib/approvalDelegation';
+import { approvalDelegationsService } from './approvalDelegations.service';
+
+const ALLOCATION_SELECT = 'deliverables(id, deliverable_ref, name), task:plan_items!task_id(id, name)';
 
 export class TimesheetsService extends BaseService {
   constructor() {
@@ -29,8 +39,9 @@ export class TimesheetsService extends BaseService {
   async getAll(projectId, options = {}) {
     const defaultSelect = `
       *,
-      resources(id, name, email, sell_price, cost_price),
-      milestones(id, milestone_ref, name)
+      resources(id, name, email, role, sfia_level, sell_price, cost_price),
+      milestones(id, milestone_ref, name),
+      ${ALLOCATION_SELECT}
     `;
     return super.getAll(projectId, {
       ...options,
@@ -50,8 +61,9 @@ export class TimesheetsService extends BaseService {
         .from(this.tableName)
         .select(`
           *,
-          resources(id, name, email, sell_price, cost_price),
-          milestones(id, milestone_ref, name)
+          resources(id, name, email, role, sfia_level, sell_price, cost_price),
+          milestones(id, milestone_ref, name),
+          ${ALLOCATION_SELECT}
         `)
         .eq('project_id', projectId)
         .order('date', { ascending: false });
@@ -84,7 +96,7 @@ export class TimesheetsService extends BaseService {
     try {
       let query = supabase
         .from(this.tableName)
-        .select('*, milestones(id, milestone_ref, name)')
+        .select(`*, milestones(id, milestone_ref, name), ${ALLOCATION_SELECT}`)
         .eq('resource_id', resourceId)
         .order('date', { ascending: false });
 
@@ -185,7 +197,10 @@ export class TimesheetsService extends BaseService {
    */
   async getSummary(projectId, options = {}) {
     try {
-      const timesheets = await this.getAll(projectId, options);
+      const [timesheets, resolveRates] = await Promise.all([
+        this.getAll(projectId, options),
+        rateCardsService.getRateResolver(projectId)
+      ]);
       
       const summary = {
         totalHours: 0,
@@ -203,12 +218,13 @@ export class TimesheetsService extends BaseService {
           Rejected: { count: 0, hours: 0 }
         },
         byMilestone: {},
+        byDeliverable: {},
         count: timesheets.length
       };
 
       timesheets.forEach(ts => {
         const hours = parseFloat(ts.hours_worked || ts.hours || 0);
-        const costPrice = ts.resources?.cost_price || 0;
+        const costPrice = resolveRates(ts.resources, ts.date).cost_price || 0;
         const cost = calculateCostValue(hours, costPrice);
         
         summary.totalHours += hours;
@@ -253,6 +269,20 @@ export class TimesheetsService extends BaseService {
           summary.byMilestone[ts.milestone_id].hours += hours;
           summary.byMilestone[ts.milestone_id].cost += cost;
         }
+
+        // Deliverable breakdown (time booked through the weekly grid)
+        if (ts.deliverable_id) {
+          if (!summary.byDeliverable[ts.deliverable_id]) {
+            summary.byDeliverable[ts.deliverable_id] = {
+              ref: ts.deliverables?.deliverable_ref || 'Unknown',
+              name: ts.deliverables?.name || 'Unknown',
+              hours: 0,
+              cost: 0
+            };
+          }
+          summary.byDeliverable[ts.deliverable_id].hours += hours;
+          summary.byDeliverable[ts.deliverable_id].cost += cost;
+        }
       });
 
       summary.totalDays = hoursToDays(summary.totalHours);
@@ -304,30 +334,192 @@ export class TimesheetsService extends BaseService {
     return this.update(id, { status: 'Submitted' });
   }
 
+  /**
+   * Get a resource's timesheets for one week
+   * @param {string} resourceId - Resource UUID
+   * @param {string} weekStart - Monday (YYYY-MM-DD)
+   */
+  async getWeek(resourceId, weekStart) {
+    const dates = getWeekDates(weekStart);
+    return this.getByResource(resourceId, { start: dates[0], end: dates[dates.length - 1] });
+  }
+
+  /**
+   * Save the weekly grid for a resource
+   *
+   * Each cell is one daily timesheet: new hours are created as drafts,
+   * changed hours update the entry and cleared cells delete it.
+   * Submitted and validated entries are never touched.
+   *
+   * @param {Object} params
+   * @param {string} params.projectId - Project UUID
+   * @param {Object} params.resource - Resource the time belongs to
+   * @param {string} params.weekStart - Monday (YYYY-MM-DD)
+   * @param {Array} params.rows - Grid rows (lib/timesheetWeek.js)
+   * @param {string} params.userId - Current user UUID
+   * @returns {Promise<{ created: number, updated: number, deleted: number }>}
+   */
+  async saveWeek({ projectId, resource, weekStart, rows, userId }) {
+    try {
+      const dates = getWeekDates(weekStart);
+      const { valid, errors } = validateWeek(rows, dates);
+      if (!valid) {
+        const error = new Error(errors[0]);
+        error.code = 'INVALID_WEEK';
+        throw error;
+      }
+
+      const { creates, updates, deletes } = getWeekChanges(rows, dates);
+
+      for (const entry of creates) {
+        await this.create({
+          project_id: projectId,
+          resource_id: resource.id,
+          milestone_id: entry.milestone_id,
+          deliverable_id: entry.deliverable_id,
+          task_id: entry.task_id,
+          user_id: resource.user_id || userId,
+          created_by: userId,
+          date: entry.date,
+          work_date: entry.date,
+          hours_worked: entry.hours,
+          status: TIMESHEET_STATUS.DRAFT,
+          entry_type: ENTRY_TYPE.DAILY
+        });
+      }
+
+      for (const { id, hours } of updates) {
+        await this.update(id, { hours, hours_worked: hours });
+      }
+
+      for (const id of deletes) {
+        await this.delete(id, userId);
+      }
+
+      return { created: creates.length, updated: updates.length, deleted: deletes.length };
+    } catch (error) {
+      console.error('TimesheetsService saveWeek error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Submit every draft or rejected entry in a resource's week
+   * @param {string} resourceId - Resource UUID
+   * @param {string} weekStart - Monday (YYYY-MM-DD)
+   * @returns {Promise<number>} Number of entries submitted
+   */
+  async submitWeek(resourceId, weekStart) {
+    try {
+      const entries = (await this.getWeek(resourceId, weekStart)).filter(canBeSubmitted);
+      if (entries.length === 0) {
+        const error = new Error('There are no draft entries to submit for this week');
+        error.code = 'NOTHING_TO_SUBMIT';
+        throw error;
+      }
+
+      for (const entry of entries) {
+        await this.submit(entry.id);
+      }
+      return entries.length;
+    } catch (error) {
+      console.error('TimesheetsService submitWeek error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Actual time booked to a deliverable, in total and by task
+   * @param {string} projectId - Project UUID
+   * @param {string} deliverableId - Deliverable UUID
+   * @returns {Promise<{ hours: number, days: number, cost: number, pendingHours: number, byTask: Array }>}
+   *   Hours count time that contributes to spend; pendingHours is drafts
+   */
+  async getDeliverableActuals(projectId, deliverableId) {
+    try {
+      let query = supabase
+        .from(this.tableName)
+        .select('id, date, hours, hours_worked, status, task_id, task:plan_items!task_id(id, name), resources(id, cost_price)')
+        .eq('project_id', projectId)
+        .eq('deliverable_id', deliverableId);
+
+      if (this.supportsSoftDelete) {
+        query = query.or(this.getSoftDeleteFilter());
+      }
+
+      const [{ data, error }, resolveRates] = await Promise.all([
+        query,
+        rateCardsService.getRateResolver(projectId)
+      ]);
+      if (error) throw error;
+
+      const actuals = { hours: 0, days: 0, cost: 0, pendingHours: 0, byTask: [] };
+      const byTask = new Map();
+
+      (data || []).forEach(ts => {
+        const hours = parseFloat(ts.hours_worked || ts.hours || 0);
+        if (!timesheetContributesToSpend(ts.status)) {
+          if (ts.status === TIMESHEET_STATUS.DRAFT) actuals.pendingHours += hours;
+          return;
+        }
+
+        actuals.hours += hours;
+        actuals.cost += calculateCostValue(hours, resolveRates(ts.resources, ts.date).cost_price || 0);
+
+        const key = ts.task_id || null;
+        if (!byTask.has(key)) {
+          byTask.set(key, { task_id: key, name: ts.task?.name || 'Deliverable (no task)', hours: 0 });
+        }
+        byTask.get(key).hours += hours;
+      });
+
+      actuals.days = hoursToDays(actuals.hours);
+      actuals.byTask = [...byTask.values()].sort((a, b) => b.hours - a.hours);
+      return actuals;
+    } catch (error) {
+      console.error('TimesheetsService getDeliverableActuals error:', error);
+      throw error;
+    }
+  }
+
   /**
    * Validate timesheet
+   *
+   * With onBehalfOf the reviewer is acting under a delegation and has no
+   * update rights of their own, so the review goes through
+   * approvalDelegationsService.reviewItem().
+   *
    * @param {string} id - Timesheet UUID
+   * @param {Object} [review] - { reviewedBy, onBehalfOf, note } (see getReviewFields)
    */
-  async validate(id) {
-    return this.update(id, { status: 'Approved' });
+  async validate(id, review = {}) {
+    if (review.onBehalfOf) {
+      return approvalDelegationsService.reviewItem('timesheet', id, { action: 'approve', note: review.note });
+    }
+    return this.update(id, { status: 'Approved', ...getReviewFields(review) });
   }
 
   /**
    * @deprecated Use validate() instead
    */
-  async approve(id) {
-    return this.validate(id);
+  async approve(id, review) {
+    return this.validate(id, review);
   }
 
   /**
    * Reject timesheet
    * @param {string} id - Timesheet UUID
    * @param {string} reason - Optional rejection reason
+   * @param {Object} [review] - { reviewedBy, onBehalfOf } (see getReviewFields)
    */
-  async reject(id, reason = null) {
+  async reject(id, reason = null, review = {}) {
+    if (review.onBehalfOf) {
+      return approvalDelegationsService.reviewItem('timesheet', id, { action: 'reject', note: reason });
+    }
     const updates = { 
       status: 'Rejected',
-      was_rejected: true
+      was_rejected: true,
+      ...getReviewFields({ ...review, note: null })
     };
     if (reason) {
       updates.rejection_reason = reason;
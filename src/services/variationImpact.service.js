@@ -0,0 +1,75 @@
+/**
+ * Variation Impact Service
+ *
+ * Loads a project's live plan, milestones, deliverables, resources, rate
+ * card resolver and working calendars, and simulates proposed plan changes
+ * with lib/variationImpact.js so a variation can be pre-filled with the
+ * milestones and deliverables it moves and what it costs.
+ *
+ * @version 1.0
+ * @created 19 October 2026
+ */
+
+import { supabase } from '../lib/supabase';
+import { simulateVariationImpact } from '../lib/variationImpact';
+import { milestonesService } from './milestones.service';
+import { deliverablesService } from './deliverables.service';
+import { planItemsService } from './planItemsService';
+import { rateCardsService } from './rateCards.service';
+import { workingCalendarsService } from './workingCalendars.service';
+
+class VariationImpactService {
+  /**
+   * Everything a simulation needs for a project
+   * Load once and reuse for each run while the user adjusts changes.
+   * @param {string} projectId - Project UUID
+   * @returns {Promise<Object>} { items, milestones, deliverables, resources, resolveRates, calendar, resourceCalendars }
+   */
+  async loadContext(projectId) {
+    try {
+      const [items, milestones, deliverables, resourcesResult, resolveRates, calendars] = await Promise.all([
+        planItemsService.getAll(projectId),
+        milestonesService.getAll(projectId, {
+          orderBy: { column: 'milestone_ref', ascending: true }
+        }),
+        deliverablesService.getAll(projectId, {
+          orderBy: { column: 'deliverable_ref', ascending: true }
+        }),
+        supabase
+          .from('resources')
+          .select('id, name, role, sfia_level, cost_price, sell_price, is_deleted')
+          .eq('project_id', projectId),
+        rateCardsService.getRateResolver(projectId),
+        workingCalendarsService.getSchedulingCalendars(projectId)
+      ]);
+
+      if (resourcesResult.error) throw resourcesResult.error;
+
+      return {
+        items: items || [],
+        milestones: milestones || [],
+        deliverables: deliverables || [],
+        resources: (resourcesResult.data || []).filter(r => r.is_deleted !== true),
+        resolveRates,
+        calendar: calendars.calendar,
+        resourceCalendars: calendars.resourceCalendars
+      };
+    } catch (error) {
+      console.error('VariationImpactService.loadContext error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Simulate proposed changes against a loaded context
+   * @param {Object} context - loadContext result
+   * @param {Array} changes - { item_id, start_date, end_date, effort_days }
+   * @returns {Object} simulateVariationImpact result
+   */
+  simulate(context, changes) {
+    return simulateVariationImpact({ ...context, changes });
+  }
+}
+
+export const variationImpactService = new VariationImpactService();
+export default variationImpactService;
@@ -7,14 +7,18 @@
  * - Deliverable changes
  * - Dual-signature approval workflow
  * - Certificate generation
+ * - Atomic apply and revert (database functions)
  * 
- * @version 1.4
+ * @version 1.6
  * @created 8 December 2025
  * @updated 6 January 2026 - Fixed getFirstVariationOriginal query to properly order by applied_at
+ * @updated 19 October 2026 - Apply in a single transaction; revert applied variations
+ * @updated 19 October 2026 - clearDeliverableChanges for re-saving deliverable date changes
  */
 
 import { BaseService } from './base.service';
 import { supabase } from '../lib/supabase';
+import { sanitizeMultiLine } from '../lib/sanitize';
 
 // Variation status constants
 export const VARIATION_STATUS = {
@@ -24,7 +28,8 @@ export const VARIATION_STATUS = {
   AWAITING_SUPPLIER: 'awaiting_supplier',
   APPROVED: 'approved',
   APPLIED: 'applied',
-  REJECTED: 'rejected'
+  REJECTED: 'rejected',
+  REVERTED: 'reverted'
 };
 
 // Variation type constants
@@ -79,6 +84,12 @@ export const STATUS_CONFIG = {
     color: '#ff3b30',
     bgColor: 'rgba(255, 59, 48, 0.1)',
     description: 'Rejected by a party'
+  },
+  [VARIATION_STATUS.REVERTED]: {
+    label: 'Reverted',
+    color: '#af52de',
+    bgColor: 'rgba(175, 82, 222, 0.1)',
+    description: 'Applied, then reverted to the previous baselines'
   }
 };
 
@@ -179,7 +190,7 @@ export class VariationsService extends BaseService {
         .from('variation_deliverables')
         .select(`
           *,
-          deliverable:deliverables(id, deliverable_ref, name)
+          deliverable:deliverables(id, deliverable_ref, name, status)
         `)
         .eq('variation_id', variationId);
 
@@ -187,6 +198,7 @@ export class VariationsService extends BaseService {
       let supplierSigner = null;
       let customerSigner = null;
       let rejector = null;
+      let reverter = null;
 
       if (variation.supplier_signed_by) {
         const { data } = await supabase
@@ -215,13 +227,23 @@ export class VariationsService extends BaseService {
         rejector = data?.[0];
       }
 
+      if (variation.reverted_by) {
+        const { data } = await supabase
+          .from('profiles')
+          .select('id, full_name, email')
+          .eq('id', variation.reverted_by)
+          .limit(1);
+        reverter = data?.[0];
+      }
+
       return {
         ...variation,
         affected_milestones: affectedMilestones || [],
         deliverable_changes: deliverableChanges || [],
         supplier_signer: supplierSigner,
         customer_signer: customerSigner,
-        rejector: rejector
+        rejector: rejector,
+        reverter: reverter
       };
     } catch (error) {
       console.error('VariationsService getWithDetails error:', error);
@@ -373,6 +395,25 @@ export class VariationsService extends BaseService {
     }
   }
 
+  /**
+   * Clear all deliverable changes for a variation
+   * Used before re-adding deliverable changes during submission to prevent duplicates
+   */
+  async clearDeliverableChanges(variationId) {
+    try {
+      const { error } = await supabase
+        .from('variation_deliverables')
+        .delete()
+        .eq('variation_id', variationId);
+
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      console.error('VariationsService clearDeliverableChanges error:', error);
+      throw error;
+    }
+  }
+
   /**
    * Remove deliverable change from variation
    */
@@ -509,131 +550,72 @@ export class VariationsService extends BaseService {
 
   /**
    * Apply approved variation to baselines
+   *
+   * Runs in the apply_variation() database function, so the milestone
+   * baselines, baseline versions, deliverable changes and certificate
+   * are written in one transaction: either all of it is applied or none.
    */
   async applyVariation(variationId) {
     try {
-      const variation = await this.getWithDetails(variationId);
-      if (!variation) throw new Error('Variation not found');
-      if (variation.status !== VARIATION_STATUS.APPROVED) {
-        throw new Error('Variation must be approved before applying');
-      }
+      const { error } = await supabase.rpc('apply_variation', {
+        p_variation_id: variationId
+      });
 
-      // Apply changes to each affected milestone
-      for (const vm of variation.affected_milestones) {
-        if (vm.milestone_id) {
-          // Update milestone baselines and reset forecast to match new baseline
-          // Also clear any breach status since the new baseline is now approved
-          const { error: updateError } = await supabase
-            .from('milestones')
-            .update({
-              // Update baseline fields
-              baseline_start_date: vm.new_baseline_start,
-              baseline_end_date: vm.new_baseline_end,
-              baseline_billable: vm.new_baseline_cost,
-              // Reset forecast to match new baseline (can be edited later)
-              start_date: vm.new_baseline_start,
-              forecast_end_date: vm.new_baseline_end,
-              forecast_billable: vm.new_baseline_cost,
-              // Update billable amount for invoicing (reflects new contract value)
-              billable: vm.new_baseline_cost,
-              // Clear breach status - new baseline is now approved via dual-signed variation
-              baseline_breached: false,
-              baseline_breach_reason: null,
-              baseline_breached_at: null,
-              baseline_breached_by: null
-            })
-            .eq('id', vm.milestone_id);
-
-          if (updateError) throw updateError;
-
-          // Get current baseline version
-          const currentVersion = await this.getCurrentBaselineVersion(vm.milestone_id);
-          let versionBefore = currentVersion;
-          let versionAfter = currentVersion + 1;
-
-          // If no baseline version exists yet, create v1 first with ORIGINAL values
-          // This preserves the true pre-variation baseline in the version history
-          if (currentVersion === 0) {
-            const { error: originalVersionError } = await supabase
-              .from('milestone_baseline_versions')
-              .insert({
-                milestone_id: vm.milestone_id,
-                version: 1,
-                variation_id: null, // No variation - this is the original locked baseline
-                baseline_start_date: vm.original_baseline_start,
-                baseline_end_date: vm.original_baseline_end,
-                baseline_billable: vm.original_baseline_cost,
-                // Use the variation signatures since this is being created at apply time
-                supplier_signed_by: variation.supplier_signed_by,
-                supplier_signed_at: variation.supplier_signed_at,
-                customer_signed_by: variation.customer_signed_by,
-                customer_signed_at: variation.customer_signed_at
-              });
-
-            if (originalVersionError) {
-              console.warn('Warning: Could not create original baseline version:', originalVersionError);
-              // Continue anyway - don't fail the whole operation
-            }
-            
-            versionBefore = 1;
-            versionAfter = 2;
-          }
+      if (error) throw error;
+      return await this.getById(variationId);
+    } catch (error) {
+      console.error('VariationsService applyVariation error:', error);
+      throw error;
+    }
+  }
 
-          // Create new baseline version record for the variation
-          const { error: versionError } = await supabase
-            .from('milestone_baseline_versions')
-            .insert({
-              milestone_id: vm.milestone_id,
-              version: versionAfter,
-              variation_id: variationId,
-              baseline_start_date: vm.new_baseline_start,
-              baseline_end_date: vm.new_baseline_end,
-              baseline_billable: vm.new_baseline_cost,
-              supplier_signed_by: variation.supplier_signed_by,
-              supplier_signed_at: variation.supplier_signed_at,
-              customer_signed_by: variation.customer_signed_by,
-              customer_signed_at: variation.customer_signed_at
-            });
-
-          if (versionError) throw versionError;
-
-          // Update variation_milestone with version numbers
-          await this.updateAffectedMilestone(vm.id, {
-            baseline_version_before: versionBefore,
-            baseline_version_after: versionAfter
-          });
-        }
-      }
+  /**
+   * Revert an applied variation
+   *
+   * Compensating change run by the revert_variation() database function:
+   * each affected milestone gets the baseline it had before the variation
+   * back (recorded as a new baseline version), deliverable changes are
+   * undone and the variation is marked reverted. Refused if a later
+   * variation has changed the same milestones.
+   */
+  async revertVariation(variationId, reason) {
+    try {
+      const { error } = await supabase.rpc('revert_variation', {
+        p_variation_id: variationId,
+        p_reason: sanitizeMultiLine(reason || '', 1000)
+      });
 
-      // Generate certificate data
-      const certificateNumber = `${variation.project_id?.substring(0, 8) || 'PROJ'}-${variation.variation_ref}-CERT`;
-      const certificateData = {
-        variation_ref: variation.variation_ref,
-        title: variation.title,
-        type: variation.variation_type,
-        description: variation.description,
-        reason: variation.reason,
-        impact_summary: variation.impact_summary,
-        total_cost_impact: variation.total_cost_impact,
-        total_days_impact: variation.total_days_impact,
-        affected_milestones: variation.affected_milestones,
-        deliverable_changes: variation.deliverable_changes,
-        supplier_signed_by: variation.supplier_signed_by,
-        supplier_signed_at: variation.supplier_signed_at,
-        customer_signed_by: variation.customer_signed_by,
-        customer_signed_at: variation.customer_signed_at,
-        applied_at: new Date().toISOString()
-      };
+      if (error) throw error;
+      return await this.getById(variationId);
+    } catch (error) {
+      console.error('VariationsService revertVariation error:', error);
+      throw error;
+    }
+  }
 
-      // Mark variation as applied
-      return await this.update(variationId, {
-        status: VARIATION_STATUS.APPLIED,
-        applied_at: new Date().toISOString(),
-        certificate_number: certificateNumber,
-        certificate_data: certificateData
+  /**
+   * Get the latest baseline version of each milestone
+   * @param {string[]} milestoneIds - Milestone UUIDs
+   * @returns {Promise<Object<string, number>>} Version by milestone ID
+   */
+  async getCurrentBaselineVersions(milestoneIds) {
+    try {
+      if (!milestoneIds || milestoneIds.length === 0) return {};
+
+      const { data, error } = await supabase
+        .from('milestone_baseline_versions')
+        .select('milestone_id, version')
+        .in('milestone_id', milestoneIds);
+
+      if (error) throw error;
+
+      const versions = {};
+      (data || []).forEach(row => {
+        versions[row.milestone_id] = Math.max(versions[row.milestone_id] || 0, row.version);
       });
+      return versions;
     } catch (error) {
-      console.error('VariationsService applyVariation error:', error);
+      console.error('VariationsService getCurrentBaselineVersions error:', error);
       throw error;
     }
   }
@@ -784,6 +766,7 @@ export class VariationsService extends BaseService {
         approved: 0,
         applied: 0,
         rejected: 0,
+        reverted: 0,
         totalCostImpact: 0,
         totalDaysImpact: 0
       };
@@ -809,6 +792,9 @@ export class VariationsService extends BaseService {
           case VARIATION_STATUS.REJECTED:
             summary.rejected++;
             break;
+          case VARIATION_STATUS.REVERTED:
+            summary.reverted++;
+            break;
         }
       });
 
@@ -4,20 +4,40 @@
  * Centralised service for fetching all pending workflow items across entity types.
  * Provides role-based filtering and accurate timestamps for notifications.
  * 
- * Workflow Categories (13 total):
+ * Workflow Categories (14 total):
  * - Timesheets: Submitted for approval
  * - Expenses: Chargeable (customer validates) and non-chargeable (supplier validates)
  * - Deliverables: Review, supplier sign-off, customer sign-off
  * - Variations: Submitted, awaiting supplier, awaiting customer
  * - Certificates: Pending supplier signature, pending customer signature
  * - Baselines: Awaiting supplier signature, awaiting customer signature
+ * - RAID actions: Mitigation and contingency actions past their due date
+ *   (actionable by RAID managers and the action owner)
  * 
- * @version 1.0
+ * Timesheets and expenses can be approved or rejected in bulk with a
+ * shared reason. A user covering for a customer PM under an approval
+ * delegation can act on customer PM items, and their reviews are
+ * recorded on the customer PM's behalf.
+ * 
+ * @version 1.2
  * @created 16 December 2025
+ * @updated 19 October 2026 - Bulk approve / reject and delegated approval
+ * @updated 19 October 2026 - Overdue RAID actions
  * @phase Workflow System Enhancement
  */
 
 import { supabase } from '../lib/supabase';
+import { timesheetsService } from './timesheets.service';
+import { expensesService } from './expenses.service';
+import { projectSettingsService } from './projectSettings.service';
+import { approvalDelegationsService } from './approvalDelegations.service';
+import { raidActionsService } from './raidActions.service';
+import {
+  DELEGATOR_ROLE,
+  DELEGATION_ERROR,
+  findActiveDelegation,
+  summariseBulkResults
+} from '../lib/approvalDelegation';
 
 // Role constants
 export const ROLES = {
@@ -155,9 +175,28 @@ export const WORKFLOW_CATEGORIES = {
     icon: 'Lock',
     color: '#06b6d4',
     actionableBy: [ROLES.CUSTOMER_PM, ROLES.ADMIN]
+  },
+
+  // RAID actions
+  RAID_ACTION_OVERDUE: {
+    id: 'raid_action_overdue',
+    label: 'Overdue RAID Action',
+    entity: 'raid_actions',
+    group: 'raid',
+    icon: 'ShieldAlert',
+    color: '#ef4444',
+    actionableBy: [ROLES.SUPPLIER_PM, ROLES.ADMIN]
   }
 };
 
+// Workflow item types that can be approved or rejected in bulk
+export const BULK_REVIEW_TYPES = ['timesheet', 'expense'];
+
+export const BULK_ACTION = {
+  APPROVE: 'approve',
+  REJECT: 'reject'
+};
+
 /**
  * Calculate days pending from a timestamp
  * @param {string} timestamp - ISO timestamp
@@ -204,7 +243,8 @@ export class WorkflowService {
         this.fetchDeliverables(projectId),
         this.fetchVariations(projectId),
         this.fetchCertificates(projectId),
-        this.fetchBaselines(projectId)
+        this.fetchBaselines(projectId),
+        this.fetchRaidActions(projectId)
       ]);
 
       // Flatten all results
@@ -251,17 +291,36 @@ export class WorkflowService {
 
   /**
    * Get workflow items visible to a role (all items, but marked if actionable)
+   *
+   * With the user and the project's active delegations, customer PM
+   * timesheet and expense items are also actionable by a delegate, and
+   * carry the delegation (onBehalfOf) they would be reviewed under. An
+   * overdue RAID action is also actionable by its owner.
+   *
    * @param {string} projectId - Project UUID
    * @param {string} role - User role
+   * @param {Object} [options] - { userId, delegations }
    * @returns {Promise<Array>} Array of workflow items with canAct flag
    */
-  async getItemsVisibleToRole(projectId, role) {
+  async getItemsVisibleToRole(projectId, role, { userId = null, delegations = [] } = {}) {
     try {
       const allItems = await this.getAllPendingItems(projectId);
       return allItems.map(item => {
         const category = Object.values(WORKFLOW_CATEGORIES).find(c => c.id === item.category);
         const canAct = category?.actionableBy.includes(role) || false;
-        return { ...item, canAct };
+        if (!canAct && userId && item.type === 'raid_action' && item.userId === userId) {
+          return { ...item, canAct: true };
+        }
+        if (canAct || !userId || !BULK_REVIEW_TYPES.includes(item.type)) {
+          return { ...item, canAct };
+        }
+
+        const delegation = category?.actionableBy.includes(ROLES.CUSTOMER_PM)
+          ? findActiveDelegation(delegations, { delegateId: userId, entityType: item.type })
+          : null;
+        return delegation
+          ? { ...item, canAct: true, onBehalfOf: delegation.delegator }
+          : { ...item, canAct };
       });
     } catch (error) {
       console.error('WorkflowService getItemsVisibleToRole error:', error);
@@ -288,7 +347,8 @@ export class WorkflowService {
           deliverables: 0,
           variations: 0,
           certificates: 0,
-          baselines: 0
+          baselines: 0,
+          raid: 0
         }
       };
 
@@ -781,6 +841,113 @@ export class WorkflowService {
     }
   }
 
+  /**
+   * Fetch mitigation and contingency actions past their due date
+   * Days pending counts from the due date.
+   */
+  async fetchRaidActions(projectId) {
+    try {
+      const actions = await raidActionsService.getOverdue(projectId);
+      const category = WORKFLOW_CATEGORIES.RAID_ACTION_OVERDUE;
+
+      return actions.map(action => ({
+        id: action.id,
+        entityId: action.raid_item_id,
+        category: category.id,
+        type: 'raid_action',
+        title: `Overdue action: ${action.raid_item.raid_ref}`,
+        description: `${action.description} - ${action.owner?.full_name || 'No owner'}, ${action.daysOverdue} day${action.daysOverdue === 1 ? '' : 's'} overdue`,
+        status: action.status,
+        timestamp: action.due_date,
+        daysPending: action.daysOverdue,
+        urgency: getUrgencyLevel(action.daysOverdue),
+        raidRef: action.raid_item.raid_ref,
+        ownerName: action.owner?.full_name || null,
+        userId: action.owner_user_id,
+        actionUrl: `/raid?highlight=${action.raid_item_id}`,
+        icon: category.icon,
+        color: category.color
+      }));
+    } catch (error) {
+      console.error('WorkflowService fetchRaidActions error:', error);
+      return [];
+    }
+  }
+
+  // ==================== Bulk Review ====================
+
+  /**
+   * Approve or reject timesheets and expenses in one go
+   *
+   * Each item is checked against the project's approval authority (and
+   * the user's active delegations) and reviewed on its own, so one
+   * failure does not stop the rest. Expenses with unacknowledged policy
+   * violations are left for individual review.
+   *
+   * @param {string} projectId - Project UUID
+   * @param {Array} items - Workflow items ({ id, type, isChargeable })
+   * @param {Object} options
+   * @param {string} options.action - BULK_ACTION value
+   * @param {string} [options.reason] - Shared reason (required to reject)
+   * @param {string} options.userId - User reviewing
+   * @param {string} options.role - User's project role
+   * @returns {Promise<{ succeeded: string[], failed: Array<{ id, error }>, message: string }>}
+   */
+  async bulkReview(projectId, items, { action, reason = '', userId, role }) {
+    const note = (reason || '').trim();
+    if (action === BULK_ACTION.REJECT && !note) {
+      const error = new Error('Give a reason for rejecting the selected items');
+      error.code = 'REASON_REQUIRED';
+      throw error;
+    }
+
+    const [settings, delegations] = await Promise.all([
+      projectSettingsService.getSettings(projectId),
+      approvalDelegationsService.getActiveDelegations(projectId)
+    ]);
+
+    const results = [];
+    for (const item of items) {
+      try {
+        if (!BULK_REVIEW_TYPES.includes(item.type)) {
+          throw new Error('Only timesheets and expenses can be reviewed in bulk');
+        }
+
+        const approver = projectSettingsService.getApprover(settings, item.type, role, {
+          isChargeable: item.isChargeable,
+          userId,
+          delegations
+        });
+        if (!approver.canApprove) {
+          const error = new Error(`You cannot ${action} this ${item.type}`);
+          error.code = DELEGATION_ERROR.NOT_AUTHORISED;
+          throw error;
+        }
+
+        const review = { reviewedBy: userId, onBehalfOf: approver.onBehalfOf };
+        if (action === BULK_ACTION.REJECT) {
+          const service = item.type === 'timesheet' ? timesheetsService : expensesService;
+          await service.reject(item.id, note, review);
+        } else if (item.type === 'timesheet') {
+          await timesheetsService.validate(item.id, { ...review, note: note || null });
+        } else {
+          await expensesService.validate(item.id, {
+            role: approver.onBehalfOf ? DELEGATOR_ROLE : role,
+            reviewedBy: userId,
+            onBehalfOf: approver.onBehalfOf,
+            reviewNote: note || null
+          });
+        }
+        results.push({ id: item.id, ok: true });
+      } catch (error) {
+        console.error(`WorkflowService bulkReview ${item.type} ${item.id} error:`, error);
+        results.push({ id: item.id, ok: false, error: error.message });
+      }
+    }
+
+    return summariseBulkResults(results, action === BULK_ACTION.REJECT ? 'rejected' : 'approved');
+  }
+
   /**
    * Get category configuration by ID
    * @param {string} categoryId - Category ID
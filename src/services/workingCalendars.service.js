@@ -0,0 +1,196 @@
+/**
+ * Working Calendars Service
+ *
+ * Manages project working calendars (project_calendars) and their
+ * non-working periods, and turns them into scheduling calendars for
+ * lib/planningScheduler.js.
+ *
+ * - Project calendar: one per project (resource_id NULL)
+ * - Resource calendars: optional per-resource working weeks and leave,
+ *   which also inherit the project's non-working periods
+ *
+ * Projects without a project calendar schedule on every day, as before.
+ *
+ * @version 1.1
+ * @created 19 October 2026
+ * @updated 19 October 2026 - buildSchedulingCalendars moved to lib/workingCalendar
+ */
+
+import { BaseService } from './base.service';
+import { supabase } from '../lib/supabase';
+import {
+  buildSchedulingCalendars,
+  DEFAULT_WORKING_DAYS,
+  HOLIDAY_SETS
+} from '../lib/workingCalendar';
+
+// Calendar rows -> scheduler calendars lives in the lib so the scheduled
+// API endpoints can share it; re-exported here for existing imports
+export { buildSchedulingCalendars };
+
+class WorkingCalendarsService extends BaseService {
+  constructor() {
+    super('project_calendars', { supportsSoftDelete: false });
+  }
+
+  /**
+   * Get all calendars for a project with their non-working periods
+   * @param {string} projectId - Project UUID
+   * @returns {Promise<Array>} Calendars, project calendar first
+   */
+  async getCalendars(projectId) {
+    try {
+      const { data, error } = await supabase
+        .from('project_calendars')
+        .select(`
+          *,
+          resource:resources(id, name),
+          periods:calendar_non_working_periods(id, name, start_date, end_date)
+        `)
+        .eq('project_id', projectId)
+        .order('created_at', { ascending: true });
+
+      if (error) {
+        console.error('Working calendars getCalendars error:', error);
+        throw error;
+      }
+
+      return (data || []).sort((a, b) => (a.resource_id ? 1 : 0) - (b.resource_id ? 1 : 0));
+    } catch (error) {
+      console.error('Working calendars getCalendars failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the project calendar (resource_id NULL)
+   * @param {string} projectId - Project UUID
+   * @returns {Promise<Object|null>} Calendar row with periods, or null
+   */
+  async getProjectCalendar(projectId) {
+    const calendars = await this.getCalendars(projectId);
+    return calendars.find(c => !c.resource_id) || null;
+  }
+
+  /**
+   * Create or update a calendar's working week and holiday sets
+   * @param {string} projectId - Project UUID
+   * @param {Object} settings - { name, working_days, holiday_sets }
+   * @param {string|null} resourceId - Resource UUID for a resource calendar
+   * @returns {Promise<Object>} Saved calendar
+   */
+  async saveCalendar(projectId, settings, resourceId = null) {
+    try {
+      const calendars = await this.getCalendars(projectId);
+      const existing = calendars.find(c => (c.resource_id || null) === resourceId);
+
+      const record = {
+        name: settings.name || existing?.name || 'Standard',
+        working_days: settings.working_days || existing?.working_days || DEFAULT_WORKING_DAYS,
+        holiday_sets: settings.holiday_sets || existing?.holiday_sets || [HOLIDAY_SETS.UK_ENGLAND_WALES]
+      };
+
+      if (existing) {
+        return await this.update(existing.id, record);
+      }
+
+      const { data: { user } } = await supabase.auth.getUser();
+      return await this.create({
+        ...record,
+        project_id: projectId,
+        resource_id: resourceId,
+        created_by: user?.id || null
+      });
+    } catch (error) {
+      console.error('Working calendars saveCalendar failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a non-working period (shutdown, leave) to a calendar
+   * @param {string} calendarId - Calendar UUID
+   * @param {Object} period - { name, start_date, end_date }
+   * @returns {Promise<Object>} Created period
+   */
+  async addNonWorkingPeriod(calendarId, period) {
+    try {
+      if (!period.start_date) {
+        throw new Error('Start date is required');
+      }
+
+      const endDate = period.end_date || period.start_date;
+      if (endDate < period.start_date) {
+        throw new Error('End date must be on or after the start date');
+      }
+
+      const { data: { user } } = await supabase.auth.getUser();
+
+      const { data, error } = await supabase
+        .from('calendar_non_working_periods')
+        .insert({
+          calendar_id: calendarId,
+          name: period.name || 'Non-working period',
+          start_date: period.start_date,
+          end_date: endDate,
+          created_by: user?.id || null
+        })
+        .select();
+
+      if (error) {
+        console.error('Working calendars addNonWorkingPeriod error:', error);
+        throw error;
+      }
+
+      return data?.[0];
+    } catch (error) {
+      console.error('Working calendars addNonWorkingPeriod failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a non-working period
+   * @param {string} periodId - Period UUID
+   */
+  async removeNonWorkingPeriod(periodId) {
+    try {
+      const { error } = await supabase
+        .from('calendar_non_working_periods')
+        .delete()
+        .eq('id', periodId);
+
+      if (error) {
+        console.error('Working calendars removeNonWorkingPeriod error:', error);
+        throw error;
+      }
+
+      return true;
+    } catch (error) {
+      console.error('Working calendars removeNonWorkingPeriod failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Build scheduling calendars for a project
+   *
+   * @param {string} projectId - Project UUID
+   * @returns {Promise<{ calendar: Object|null, resourceCalendars: Object }>}
+   *   calendar is null when the project has no calendar configured;
+   *   resourceCalendars is keyed by resource id
+   */
+  async getSchedulingCalendars(projectId) {
+    try {
+      const calendars = await this.getCalendars(projectId);
+      return buildSchedulingCalendars(calendars);
+    } catch (error) {
+      console.error('Working calendars getSchedulingCalendars failed:', error);
+      throw error;
+    }
+  }
+}
+
+// Export singleton instance
+export const workingCalendarsService = new WorkingCalendarsService();
+export default workingCalendarsService;
@@ -0,0 +1,229 @@
+// supabase/functions/send-timesheet-reminder/index.ts
+// Sends missing-timesheet reminder and escalation emails via Resend
+// (called by api/timesheet-reminders.js)
+//
+// Environment variables required:
+// - RESEND_API_KEY: Your Resend API key
+//
+// Request body:
+// {
+//   notificationType: 'timesheet_missing' | 'timesheet_escalation',
+//   recipient: { email: string, name?: string },
+//   data: { title: string, message: string, priority?: string, projectName: string, actionUrl: string }
+// }
+
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
+
+const RESEND_API_KEY = Deno.env.get("RESEND_API_KEY");
+const FROM_EMAIL = "noreply@progressive.gg";
+const FROM_NAME = "Tracker by Progressive";
+
+// Brand colors
+const BRAND_COLOR = "#87CEEB"; // Light blue from logo
+const BRAND_COLOR_DARK = "#5BA3C6"; // Darker blue for hover/accents
+const DANGER_COLOR = "#ef4444";
+
+const NOTIFICATION_TYPES = ["timesheet_missing", "timesheet_escalation"];
+
+// CORS headers
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
+};
+
+// Resource and project names come from user input
+function escapeHtml(value: unknown): string {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Email HTML template
+function getEmailHtml(params: {
+  title: string;
+  message: string;
+  projectName: string;
+  actionUrl: string;
+  isEscalation: boolean;
+  recipientName?: string;
+}): string {
+  const accent = params.isEscalation ? DANGER_COLOR : BRAND_COLOR;
+
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(params.title)}</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; background-color: #f8fafc;">
+  <table role="presentation" style="width: 100%; border-collapse: collapse;">
+    <tr>
+      <td style="padding: 40px 20px;">
+        <table role="presentation" style="max-width: 480px; margin: 0 auto; background-color: #ffffff; border-radius: 12px; box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1);">
+          <!-- Header -->
+          <tr>
+            <td style="padding: 32px 32px 24px; text-align: center; border-bottom: 1px solid #f1f5f9;">
+              <!-- Logo/Brand -->
+              <div style="margin-bottom: 20px;">
+                <span style="display: inline-block; padding: 8px 16px; background-color: ${BRAND_COLOR}; border: 3px solid ${BRAND_COLOR}; border-radius: 6px; font-size: 20px; font-weight: 700; color: #ffffff; letter-spacing: 0.5px;">progressive</span>
+              </div>
+              <h1 style="margin: 0 0 8px; font-size: 22px; font-weight: 700; color: #1e293b;">${escapeHtml(params.title)}</h1>
+              <p style="margin: 0; font-size: 14px; color: #64748b;">${escapeHtml(params.projectName)}</p>
+            </td>
+          </tr>
+
+          <!-- Body -->
+          <tr>
+            <td style="padding: 32px;">
+              ${params.recipientName ? `<p style="margin: 0 0 16px; font-size: 15px; color: #475569;">Hi ${escapeHtml(params.recipientName)},</p>` : ""}
+              <p style="margin: 0 0 24px; font-size: 15px; line-height: 1.6; color: #475569;">
+                ${escapeHtml(params.message)}
+              </p>
+
+              <!-- CTA Button -->
+              <div style="text-align: center; margin-bottom: 24px;">
+                <a href="${escapeHtml(params.actionUrl)}" style="display: inline-block; padding: 14px 32px; background-color: ${accent}; color: #ffffff; text-decoration: none; font-size: 15px; font-weight: 600; border-radius: 8px;">
+                  Open Timesheets
+                </a>
+              </div>
+
+              <!-- Link fallback -->
+              <p style="margin: 0; font-size: 12px; color: #94a3b8;">
+                If the button doesn't work, copy and paste this link into your browser:<br>
+                <a href="${escapeHtml(params.actionUrl)}" style="color: ${BRAND_COLOR_DARK}; word-break: break-all;">${escapeHtml(params.actionUrl)}</a>
+              </p>
+            </td>
+          </tr>
+
+          <!-- Footer -->
+          <tr>
+            <td style="padding: 24px 32px; background-color: #f8fafc; border-top: 1px solid #f1f5f9; border-radius: 0 0 12px 12px;">
+              <p style="margin: 0; font-size: 12px; color: #94a3b8; text-align: center;">
+                Tracker by Progressive<br>
+                <a href="https://tracker.progressive.gg" style="color: ${BRAND_COLOR_DARK}; text-decoration: none;">tracker.progressive.gg</a>
+              </p>
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+  `.trim();
+}
+
+// Plain text version
+function getEmailText(params: {
+  title: string;
+  message: string;
+  projectName: string;
+  actionUrl: string;
+  recipientName?: string;
+}): string {
+  return `
+${params.title}
+${params.projectName}
+
+${params.recipientName ? `Hi ${params.recipientName},\n\n` : ""}${params.message}
+
+Open your timesheets:
+${params.actionUrl}
+
+---
+Tracker by Progressive
+https://tracker.progressive.gg
+  `.trim();
+}
+
+serve(async (req) => {
+  // Handle CORS preflight
+  if (req.method === "OPTIONS") {
+    return new Response("ok", { headers: corsHeaders });
+  }
+
+  try {
+    // Check for API key
+    if (!RESEND_API_KEY) {
+      console.error("RESEND_API_KEY not configured");
+      return new Response(
+        JSON.stringify({ error: "Email service not configured" }),
+        { status: 500, headers: { ...corsHeaders, "Content-Type": "application/json" } }
+      );
+    }
+
+    // Parse request body
+    const { notificationType, recipient, data } = await req.json();
+
+    // Validate required fields
+    if (!NOTIFICATION_TYPES.includes(notificationType) || !recipient?.email
+      || !data?.title || !data?.message || !data?.actionUrl) {
+      return new Response(
+        JSON.stringify({ error: "Missing required fields" }),
+        { status: 400, headers: { ...corsHeaders, "Content-Type": "application/json" } }
+      );
+    }
+
+    // Prepare email content
+    const emailParams = {
+      title: data.title,
+      message: data.message,
+      projectName: data.projectName || "",
+      actionUrl: data.actionUrl,
+      isEscalation: notificationType === "timesheet_escalation",
+      recipientName: recipient.name,
+    };
+    const htmlContent = getEmailHtml(emailParams);
+    const textContent = getEmailText(emailParams);
+
+    // Send email via Resend
+    const resendResponse = await fetch("https://api.resend.com/emails", {
+      method: "POST",
+      headers: {
+        "Authorization": `Bearer ${RESEND_API_KEY}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        from: `${FROM_NAME} <${FROM_EMAIL}>`,
+        to: [recipient.email],
+        subject: data.title,
+        html: htmlContent,
+        text: textContent,
+        tags: [{ name: "notification_type", value: notificationType }],
+      }),
+    });
+
+    const resendData = await resendResponse.json();
+
+    if (!resendResponse.ok) {
+      console.error("Resend API error:", resendData);
+      return new Response(
+        JSON.stringify({ error: "Failed to send email", details: resendData }),
+        { status: 500, headers: { ...corsHeaders, "Content-Type": "application/json" } }
+      );
+    }
+
+    console.log("Timesheet reminder email sent:", {
+      type: notificationType,
+      to: recipient.email,
+      messageId: resendData.id,
+    });
+
+    return new Response(
+      JSON.stringify({ success: true, messageId: resendData.id }),
+      { status: 200, headers: { ...corsHeaders, "Content-Type": "application/json" } }
+    );
+
+  } catch (error) {
+    console.error("Error sending timesheet reminder email:", error);
+    return new Response(
+      JSON.stringify({ error: "Internal server error" }),
+      { status: 500, headers: { ...corsHeaders, "Content-Type": "application/json" } }
+    );
+  }
+});
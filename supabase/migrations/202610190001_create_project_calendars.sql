@@ -0,0 +1,112 @@
+-- Migration: Create working calendars for scheduling
+-- Purpose: Project-level working calendars with named holiday sets, custom
+-- non-working periods (shutdowns) and optional per-resource calendars.
+-- Used by the planner auto-scheduler, date pickers and the Calendar page.
+-- Date: 19 October 2026
+
+-- ============================================
+-- CREATE TABLES
+-- ============================================
+
+-- One project calendar (resource_id NULL) plus optional resource calendars
+CREATE TABLE IF NOT EXISTS project_calendars (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  resource_id UUID REFERENCES resources(id) ON DELETE CASCADE,
+
+  name TEXT NOT NULL DEFAULT 'Standard',
+
+  -- Working weekdays, 0 = Sunday ... 6 = Saturday
+  working_days SMALLINT[] NOT NULL DEFAULT '{1,2,3,4,5}',
+
+  -- Named holiday sets (see src/lib/workingCalendar.js HOLIDAY_SETS)
+  holiday_sets TEXT[] NOT NULL DEFAULT '{uk_england_wales}',
+
+  -- Metadata
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  created_by UUID REFERENCES auth.users(id)
+);
+
+-- Shutdowns, leave and other non-working periods on a calendar
+CREATE TABLE IF NOT EXISTS calendar_non_working_periods (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  calendar_id UUID NOT NULL REFERENCES project_calendars(id) ON DELETE CASCADE,
+
+  name TEXT NOT NULL,
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  created_by UUID REFERENCES auth.users(id),
+
+  CONSTRAINT calendar_period_dates_valid CHECK (end_date >= start_date)
+);
+
+-- ============================================
+-- INDEXES
+-- ============================================
+
+-- At most one project calendar and one calendar per resource
+CREATE UNIQUE INDEX IF NOT EXISTS idx_project_calendars_project_default
+  ON project_calendars(project_id)
+  WHERE resource_id IS NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_project_calendars_project_resource
+  ON project_calendars(project_id, resource_id)
+  WHERE resource_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_calendar_non_working_periods_calendar
+  ON calendar_non_working_periods(calendar_id, start_date);
+
+-- ============================================
+-- ROW LEVEL SECURITY
+-- ============================================
+
+ALTER TABLE project_calendars ENABLE ROW LEVEL SECURITY;
+ALTER TABLE calendar_non_working_periods ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "project_calendars_select" ON project_calendars
+  FOR SELECT TO authenticated
+  USING (can_access_project(project_id));
+
+CREATE POLICY "project_calendars_insert" ON project_calendars
+  FOR INSERT TO authenticated
+  WITH CHECK (can_access_project(project_id));
+
+CREATE POLICY "project_calendars_update" ON project_calendars
+  FOR UPDATE TO authenticated
+  USING (can_access_project(project_id));
+
+CREATE POLICY "project_calendars_delete" ON project_calendars
+  FOR DELETE TO authenticated
+  USING (can_access_project(project_id));
+
+-- Periods are accessed via their calendar's project
+CREATE POLICY "calendar_non_working_periods_access_via_project"
+  ON calendar_non_working_periods FOR ALL
+  USING (
+    EXISTS (
+      SELECT 1 FROM project_calendars pc
+      WHERE pc.id = calendar_non_working_periods.calendar_id
+      AND can_access_project(pc.project_id)
+    )
+  );
+
+-- ============================================
+-- TRIGGER: updated_at
+-- ============================================
+
+CREATE TRIGGER project_calendars_updated_at
+  BEFORE UPDATE ON project_calendars
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================
+-- COMMENTS
+-- ============================================
+
+COMMENT ON TABLE project_calendars IS 'Working calendars for scheduling - one per project (resource_id NULL) and optional per-resource overrides';
+COMMENT ON COLUMN project_calendars.working_days IS 'Working weekdays, 0 = Sunday ... 6 = Saturday';
+COMMENT ON COLUMN project_calendars.holiday_sets IS 'Named public holiday sets, e.g. uk_england_wales';
+COMMENT ON TABLE calendar_non_working_periods IS 'Custom non-working periods (shutdowns, leave) on a working calendar';
@@ -0,0 +1,32 @@
+-- ============================================================
+-- Migration: Plan Item Resource Assignments
+-- Date: 19 October 2026
+-- Purpose: Effort per resource on plan items for the resource load
+-- histogram, and start constraints so levelled items keep their dates
+-- when the plan is auto-scheduled (see src/lib/resourceLoading.js)
+-- ============================================================
+
+-- Resource assignments: [{ "resource_id": uuid, "effort_days": number|null }]
+-- effort_days NULL means full time for the item's working days
+ALTER TABLE plan_items
+ADD COLUMN IF NOT EXISTS resource_assignments JSONB NOT NULL DEFAULT '[]';
+
+-- Start constraint set by resource levelling ('SNET' = start no earlier than)
+ALTER TABLE plan_items
+ADD COLUMN IF NOT EXISTS constraint_type TEXT;
+
+ALTER TABLE plan_items
+ADD COLUMN IF NOT EXISTS constraint_date DATE;
+
+-- Carry existing single-resource assignments across as full-time assignments
+UPDATE plan_items
+SET resource_assignments = jsonb_build_array(
+  jsonb_build_object('resource_id', assigned_resource_id, 'effort_days', NULL)
+)
+WHERE assigned_resource_id IS NOT NULL
+  AND resource_assignments = '[]'::jsonb;
+
+COMMENT ON COLUMN plan_items.resource_assignments IS
+  'Resources assigned to the item with effort in days; NULL effort = full time';
+COMMENT ON COLUMN plan_items.constraint_type IS
+  'Scheduling constraint, e.g. SNET (start no earlier than constraint_date)';
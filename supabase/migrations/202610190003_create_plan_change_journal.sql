@@ -0,0 +1,197 @@
+-- ============================================================
+-- Migration: Planner change journal
+-- Date: 19 October 2026
+-- Purpose: Persist planner history server-side per project
+--   - plan_item_changes: row-level journal of every change to plan_items
+--     (written by trigger), used for the plan history timeline, undo
+--     conflict detection and restoring the plan to a point in time
+--   - plan_operations: each user's undoable operations, so undo survives
+--     a page reload (see src/lib/planningHistory.js)
+-- ============================================================
+
+-- ============================================
+-- CREATE TABLES
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS plan_item_changes (
+  id BIGSERIAL PRIMARY KEY,
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  plan_item_id UUID NOT NULL, -- No FK: the journal outlives hard-deleted items
+
+  operation TEXT NOT NULL CHECK (operation IN ('INSERT', 'UPDATE', 'DELETE')),
+  old_row JSONB, -- NULL for INSERT
+  new_row JSONB, -- NULL for DELETE
+
+  changed_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  changed_at TIMESTAMPTZ NOT NULL DEFAULT clock_timestamp()
+);
+
+CREATE TABLE IF NOT EXISTS plan_operations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+
+  -- Undo action type (create, update, delete, paste, move, promote, demote)
+  action_type TEXT NOT NULL,
+  label TEXT,
+  -- Everything lib/planningHistory.js needs to undo and redo the action
+  data JSONB NOT NULL DEFAULT '{}',
+  item_ids UUID[] NOT NULL DEFAULT '{}',
+
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  undone_at TIMESTAMPTZ
+);
+
+-- ============================================
+-- INDEXES
+-- ============================================
+
+CREATE INDEX IF NOT EXISTS idx_plan_item_changes_project_time
+  ON plan_item_changes(project_id, changed_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_plan_item_changes_item_time
+  ON plan_item_changes(plan_item_id, changed_at);
+
+CREATE INDEX IF NOT EXISTS idx_plan_operations_user
+  ON plan_operations(project_id, user_id, created_at DESC)
+  WHERE undone_at IS NULL;
+
+-- ============================================
+-- JOURNAL TRIGGER
+-- ============================================
+
+CREATE OR REPLACE FUNCTION log_plan_item_change()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    INSERT INTO plan_item_changes (project_id, plan_item_id, operation, new_row, changed_by)
+    VALUES (NEW.project_id, NEW.id, 'INSERT', to_jsonb(NEW), auth.uid());
+    RETURN NEW;
+  ELSIF TG_OP = 'UPDATE' THEN
+    -- Skip no-op saves that only touch updated_at
+    IF (to_jsonb(NEW) - 'updated_at') = (to_jsonb(OLD) - 'updated_at') THEN
+      RETURN NEW;
+    END IF;
+    INSERT INTO plan_item_changes (project_id, plan_item_id, operation, old_row, new_row, changed_by)
+    VALUES (NEW.project_id, NEW.id, 'UPDATE', to_jsonb(OLD), to_jsonb(NEW), auth.uid());
+    RETURN NEW;
+  ELSE
+    INSERT INTO plan_item_changes (project_id, plan_item_id, operation, old_row, changed_by)
+    VALUES (OLD.project_id, OLD.id, 'DELETE', to_jsonb(OLD), auth.uid());
+    RETURN OLD;
+  END IF;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS plan_items_change_journal ON plan_items;
+CREATE TRIGGER plan_items_change_journal
+  AFTER INSERT OR UPDATE OR DELETE ON plan_items
+  FOR EACH ROW
+  EXECUTE FUNCTION log_plan_item_change();
+
+-- ============================================
+-- RESTORE TO A POINT IN TIME
+-- ============================================
+
+-- Rolls every item changed after p_point_in_time back to its state at that
+-- moment: items created since are soft-deleted, hard-deleted items are
+-- re-inserted and edited items get their earlier values back. Publishing
+-- state (tracker links) is left alone. Runs as the caller, so plan_items
+-- RLS applies, and the restore is journaled like any other change.
+--
+-- Edited items are restored from the journalled row itself rather than a
+-- fixed column list, so columns added to plan_items later are restored
+-- too. Columns missing from older journal rows keep their current value.
+CREATE OR REPLACE FUNCTION restore_plan_items_to(
+  p_project_id UUID,
+  p_point_in_time TIMESTAMPTZ
+)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY INVOKER
+AS $$
+DECLARE
+  change RECORD;
+  r plan_items;
+  restored INTEGER := 0;
+  restore_columns TEXT;
+BEGIN
+  IF NOT can_access_project(p_project_id) THEN
+    RAISE EXCEPTION 'Access denied';
+  END IF;
+
+  -- Every plan_items column except identity, audit and publishing state
+  SELECT string_agg(quote_ident(attname), ', ' ORDER BY attnum)
+  INTO restore_columns
+  FROM pg_attribute
+  WHERE attrelid = 'plan_items'::regclass
+    AND attnum > 0
+    AND NOT attisdropped
+    AND attname NOT IN (
+      'id', 'project_id', 'created_at', 'created_by', 'updated_at',
+      'is_published', 'published_at', 'published_milestone_id', 'published_deliverable_id'
+    );
+
+  -- The first change after the point in time holds each item's state then
+  FOR change IN
+    SELECT DISTINCT ON (plan_item_id) plan_item_id, old_row
+    FROM plan_item_changes
+    WHERE project_id = p_project_id
+      AND changed_at > p_point_in_time
+    ORDER BY plan_item_id, changed_at ASC, id ASC
+  LOOP
+    IF change.old_row IS NULL THEN
+      -- Created after the point in time
+      UPDATE plan_items SET is_deleted = TRUE
+      WHERE id = change.plan_item_id AND is_deleted IS DISTINCT FROM TRUE;
+      restored := restored + 1;
+      CONTINUE;
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM plan_items WHERE id = change.plan_item_id) THEN
+      EXECUTE format(
+        'UPDATE plan_items t SET (%1$s) = (SELECT %1$s FROM jsonb_populate_record(t, $1)) WHERE t.id = $2',
+        restore_columns
+      ) USING change.old_row, change.plan_item_id;
+    ELSE
+      r := jsonb_populate_record(NULL::plan_items, change.old_row);
+      INSERT INTO plan_items SELECT r.*;
+    END IF;
+    restored := restored + 1;
+  END LOOP;
+
+  RETURN restored;
+END;
+$$;
+
+-- ============================================
+-- ROW LEVEL SECURITY
+-- ============================================
+
+ALTER TABLE plan_item_changes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE plan_operations ENABLE ROW LEVEL SECURITY;
+
+-- Journal rows are written by the trigger only
+CREATE POLICY "plan_item_changes_select" ON plan_item_changes
+  FOR SELECT TO authenticated
+  USING (can_access_project(project_id));
+
+-- Everyone on the project can see operations; users manage their own
+CREATE POLICY "plan_operations_select" ON plan_operations
+  FOR SELECT TO authenticated
+  USING (can_access_project(project_id));
+
+CREATE POLICY "plan_operations_insert" ON plan_operations
+  FOR INSERT TO authenticated
+  WITH CHECK (can_access_project(project_id) AND user_id = auth.uid());
+
+CREATE POLICY "plan_operations_update" ON plan_operations
+  FOR UPDATE TO authenticated
+  USING (user_id = auth.uid());
+
+COMMENT ON TABLE plan_item_changes IS 'Row-level journal of plan_items changes for history, undo conflicts and point-in-time restore';
+COMMENT ON TABLE plan_operations IS 'Undoable planner operations per user, persisted across reloads';
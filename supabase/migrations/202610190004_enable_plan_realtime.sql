@@ -0,0 +1,23 @@
+-- ============================================================
+-- Migration: Realtime plan collaboration
+-- Date: 19 October 2026
+-- Purpose: Stream plan_item_changes to connected planners so other
+--   users' edits appear live in the grid (see planItemsService
+--   subscribeToChanges). The journal is streamed rather than plan_items
+--   because it records who made each change. Realtime applies the
+--   table's RLS policies, so users only receive their projects' changes.
+-- ============================================================
+
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_publication WHERE pubname = 'supabase_realtime')
+     AND NOT EXISTS (
+       SELECT 1 FROM pg_publication_tables
+       WHERE pubname = 'supabase_realtime'
+         AND schemaname = 'public'
+         AND tablename = 'plan_item_changes'
+     ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE plan_item_changes;
+  END IF;
+END $$;
+
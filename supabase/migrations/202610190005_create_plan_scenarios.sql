@@ -0,0 +1,279 @@
+-- ============================================================
+-- Migration: Plan scenario branches
+-- Date: 19 October 2026
+-- Purpose: Named "what-if" copies of a project's plan
+--   - plan_scenarios: one row per branch
+--   - plan_items.scenario_id: NULL for the live plan, otherwise the branch
+--     the item belongs to, so a branch is edited with the normal planner
+--   - plan_items.source_item_id: the live item a branch item was copied
+--     from, used to diff and merge the branch back (see lib/planScenarios.js)
+-- ============================================================
+
+-- ============================================
+-- CREATE TABLE
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS plan_scenarios (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+
+  name TEXT NOT NULL,
+  description TEXT,
+  status TEXT NOT NULL DEFAULT 'active'
+    CHECK (status IN ('active', 'merged', 'archived')),
+
+  -- Set when changes are merged back or a variation is raised from the diff
+  merged_at TIMESTAMPTZ,
+  variation_id UUID REFERENCES variations(id) ON DELETE SET NULL,
+
+  -- Metadata (deleting a scenario deletes its items)
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  created_by UUID REFERENCES auth.users(id)
+);
+
+ALTER TABLE plan_items
+ADD COLUMN IF NOT EXISTS scenario_id UUID REFERENCES plan_scenarios(id) ON DELETE CASCADE;
+
+-- No FK: the live item may be deleted while the branch still exists
+ALTER TABLE plan_items
+ADD COLUMN IF NOT EXISTS source_item_id UUID;
+
+-- ============================================
+-- INDEXES
+-- ============================================
+
+CREATE INDEX IF NOT EXISTS idx_plan_scenarios_project
+  ON plan_scenarios(project_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_plan_items_scenario
+  ON plan_items(scenario_id)
+  WHERE scenario_id IS NOT NULL;
+
+-- ============================================
+-- WBS PER PLAN
+-- ============================================
+-- Branch items share the project's plan_items rows, so WBS numbering is
+-- calculated separately for the live plan and each branch.
+
+DROP FUNCTION IF EXISTS recalculate_wbs(UUID);
+
+CREATE OR REPLACE FUNCTION recalculate_wbs(p_project_id UUID, p_scenario_id UUID DEFAULT NULL)
+RETURNS VOID AS $$
+BEGIN
+  WITH RECURSIVE wbs_tree AS (
+    -- Base case: root items (no parent)
+    SELECT
+      id,
+      parent_id,
+      ROW_NUMBER() OVER (ORDER BY sort_order, created_at)::TEXT AS calc_wbs,
+      0 AS calc_indent
+    FROM plan_items
+    WHERE project_id = p_project_id
+      AND scenario_id IS NOT DISTINCT FROM p_scenario_id
+      AND parent_id IS NULL
+      AND is_deleted = FALSE
+
+    UNION ALL
+
+    -- Recursive case: children
+    SELECT
+      pi.id,
+      pi.parent_id,
+      wt.calc_wbs || '.' || ROW_NUMBER() OVER (
+        PARTITION BY pi.parent_id
+        ORDER BY pi.sort_order, pi.created_at
+      )::TEXT AS calc_wbs,
+      wt.calc_indent + 1 AS calc_indent
+    FROM plan_items pi
+    INNER JOIN wbs_tree wt ON pi.parent_id = wt.id
+    WHERE pi.is_deleted = FALSE
+  )
+  UPDATE plan_items pi
+  SET
+    wbs = wt.calc_wbs,
+    indent_level = wt.calc_indent
+  FROM wbs_tree wt
+  WHERE pi.id = wt.id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================
+-- BRANCH THE LIVE PLAN
+-- ============================================
+
+-- Copies every live plan item into the scenario in one statement, pointing
+-- parent and predecessor links at the copies. Tracker publishing links are
+-- not copied - a branch is never committed to the Tracker directly.
+CREATE OR REPLACE FUNCTION branch_plan_scenario(p_scenario_id UUID)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY INVOKER
+AS $$
+DECLARE
+  v_project_id UUID;
+  copied INTEGER;
+BEGIN
+  SELECT project_id INTO v_project_id FROM plan_scenarios WHERE id = p_scenario_id;
+
+  IF v_project_id IS NULL OR NOT can_access_project(v_project_id) THEN
+    RAISE EXCEPTION 'Access denied';
+  END IF;
+
+  WITH id_map AS (
+    SELECT id AS source_id, gen_random_uuid() AS new_id
+    FROM plan_items
+    WHERE project_id = v_project_id
+      AND scenario_id IS NULL
+      AND is_deleted = FALSE
+  )
+  INSERT INTO plan_items (
+    id, project_id, scenario_id, source_item_id, parent_id,
+    name, item_type, description, status, progress,
+    start_date, end_date, duration_days,
+    indent_level, sort_order, wbs, is_collapsed,
+    estimate_component_id, predecessors,
+    assigned_resource_id, resource_assignments,
+    constraint_type, constraint_date,
+    created_by
+  )
+  SELECT
+    m.new_id, pi.project_id, p_scenario_id, pi.id, pm.new_id,
+    pi.name, pi.item_type, pi.description, pi.status, pi.progress,
+    pi.start_date, pi.end_date, pi.duration_days,
+    pi.indent_level, pi.sort_order, pi.wbs, pi.is_collapsed,
+    pi.estimate_component_id,
+    COALESCE((
+      SELECT jsonb_agg(
+        CASE WHEN lm.new_id IS NULL THEN pred.value
+             ELSE jsonb_set(pred.value, '{id}', to_jsonb(lm.new_id::TEXT))
+        END
+        ORDER BY pred.ordinality
+      )
+      FROM jsonb_array_elements(COALESCE(pi.predecessors, '[]'::JSONB)) WITH ORDINALITY AS pred(value, ordinality)
+      LEFT JOIN id_map lm ON lm.source_id::TEXT = pred.value->>'id'
+    ), '[]'::JSONB),
+    pi.assigned_resource_id, pi.resource_assignments,
+    pi.constraint_type, pi.constraint_date,
+    auth.uid()
+  FROM plan_items pi
+  JOIN id_map m ON m.source_id = pi.id
+  LEFT JOIN id_map pm ON pm.source_id = pi.parent_id;
+
+  GET DIAGNOSTICS copied = ROW_COUNT;
+  RETURN copied;
+END;
+$$;
+
+-- ============================================
+-- RESTORE PER PLAN
+-- ============================================
+-- Branch copies are journalled like live plan edits, so restoring to a
+-- point in time only rolls back the plan it is run on: the live plan
+-- (p_scenario_id NULL) or one branch. Otherwise as in
+-- 202610190003_create_plan_change_journal.sql.
+
+DROP FUNCTION IF EXISTS restore_plan_items_to(UUID, TIMESTAMPTZ);
+
+CREATE OR REPLACE FUNCTION restore_plan_items_to(
+  p_project_id UUID,
+  p_point_in_time TIMESTAMPTZ,
+  p_scenario_id UUID DEFAULT NULL
+)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY INVOKER
+AS $$
+DECLARE
+  change RECORD;
+  r plan_items;
+  restored INTEGER := 0;
+  restore_columns TEXT;
+BEGIN
+  IF NOT can_access_project(p_project_id) THEN
+    RAISE EXCEPTION 'Access denied';
+  END IF;
+
+  -- Every plan_items column except identity, audit and publishing state
+  SELECT string_agg(quote_ident(attname), ', ' ORDER BY attnum)
+  INTO restore_columns
+  FROM pg_attribute
+  WHERE attrelid = 'plan_items'::regclass
+    AND attnum > 0
+    AND NOT attisdropped
+    AND attname NOT IN (
+      'id', 'project_id', 'created_at', 'created_by', 'updated_at',
+      'is_published', 'published_at', 'published_milestone_id', 'published_deliverable_id'
+    );
+
+  -- The first change after the point in time holds each item's state then
+  FOR change IN
+    SELECT DISTINCT ON (plan_item_id) plan_item_id, old_row
+    FROM plan_item_changes
+    WHERE project_id = p_project_id
+      AND changed_at > p_point_in_time
+      AND (COALESCE(new_row, old_row)->>'scenario_id')::UUID IS NOT DISTINCT FROM p_scenario_id
+    ORDER BY plan_item_id, changed_at ASC, id ASC
+  LOOP
+    IF change.old_row IS NULL THEN
+      -- Created after the point in time
+      UPDATE plan_items SET is_deleted = TRUE
+      WHERE id = change.plan_item_id AND is_deleted IS DISTINCT FROM TRUE;
+      restored := restored + 1;
+      CONTINUE;
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM plan_items WHERE id = change.plan_item_id) THEN
+      EXECUTE format(
+        'UPDATE plan_items t SET (%1$s) = (SELECT %1$s FROM jsonb_populate_record(t, $1)) WHERE t.id = $2',
+        restore_columns
+      ) USING change.old_row, change.plan_item_id;
+    ELSE
+      r := jsonb_populate_record(NULL::plan_items, change.old_row);
+      INSERT INTO plan_items SELECT r.*;
+    END IF;
+    restored := restored + 1;
+  END LOOP;
+
+  RETURN restored;
+END;
+$$;
+
+-- ============================================
+-- ROW LEVEL SECURITY
+-- ============================================
+
+ALTER TABLE plan_scenarios ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "plan_scenarios_select" ON plan_scenarios
+  FOR SELECT TO authenticated
+  USING (can_access_project(project_id));
+
+CREATE POLICY "plan_scenarios_insert" ON plan_scenarios
+  FOR INSERT TO authenticated
+  WITH CHECK (can_access_project(project_id));
+
+CREATE POLICY "plan_scenarios_update" ON plan_scenarios
+  FOR UPDATE TO authenticated
+  USING (can_access_project(project_id));
+
+CREATE POLICY "plan_scenarios_delete" ON plan_scenarios
+  FOR DELETE TO authenticated
+  USING (can_access_project(project_id));
+
+-- ============================================
+-- TRIGGER: updated_at
+-- ============================================
+
+CREATE TRIGGER plan_scenarios_updated_at
+  BEFORE UPDATE ON plan_scenarios
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================
+-- COMMENTS
+-- ============================================
+
+COMMENT ON TABLE plan_scenarios IS 'Named what-if branches of a project plan';
+COMMENT ON COLUMN plan_items.scenario_id IS 'Scenario branch the item belongs to - NULL for the live plan';
+COMMENT ON COLUMN plan_items.source_item_id IS 'Live plan item a scenario item was copied from';
@@ -0,0 +1,93 @@
+-- ============================================================
+-- Migration: Three-point duration estimates on plan items
+-- Date: 19 October 2026
+-- Purpose: Optimistic and pessimistic durations (working days) for the
+--   Monte Carlo schedule risk simulation (lib/scheduleRiskSimulation.js).
+--   The planned duration is the most likely estimate; NULL means the
+--   simulation's default range applies. Scenario branches copy the
+--   estimates with the rest of the item.
+-- ============================================================
+
+ALTER TABLE plan_items
+  ADD COLUMN IF NOT EXISTS duration_optimistic NUMERIC(8,2),
+  ADD COLUMN IF NOT EXISTS duration_pessimistic NUMERIC(8,2);
+
+ALTER TABLE plan_items
+  DROP CONSTRAINT IF EXISTS plan_items_duration_estimates_check;
+
+ALTER TABLE plan_items
+  ADD CONSTRAINT plan_items_duration_estimates_check CHECK (
+    (duration_optimistic IS NULL OR duration_optimistic > 0)
+    AND (duration_pessimistic IS NULL OR duration_pessimistic > 0)
+    AND (duration_optimistic IS NULL OR duration_pessimistic IS NULL
+         OR duration_optimistic <= duration_pessimistic)
+  );
+
+COMMENT ON COLUMN plan_items.duration_optimistic IS 'Optimistic duration in working days (schedule risk simulation)';
+COMMENT ON COLUMN plan_items.duration_pessimistic IS 'Pessimistic duration in working days (schedule risk simulation)';
+
+-- ============================================
+-- BRANCH THE LIVE PLAN (copy estimates)
+-- ============================================
+
+CREATE OR REPLACE FUNCTION branch_plan_scenario(p_scenario_id UUID)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY INVOKER
+AS $$
+DECLARE
+  v_project_id UUID;
+  copied INTEGER;
+BEGIN
+  SELECT project_id INTO v_project_id FROM plan_scenarios WHERE id = p_scenario_id;
+
+  IF v_project_id IS NULL OR NOT can_access_project(v_project_id) THEN
+    RAISE EXCEPTION 'Access denied';
+  END IF;
+
+  WITH id_map AS (
+    SELECT id AS source_id, gen_random_uuid() AS new_id
+    FROM plan_items
+    WHERE project_id = v_project_id
+      AND scenario_id IS NULL
+      AND is_deleted = FALSE
+  )
+  INSERT INTO plan_items (
+    id, project_id, scenario_id, source_item_id, parent_id,
+    name, item_type, description, status, progress,
+    start_date, end_date, duration_days,
+    indent_level, sort_order, wbs, is_collapsed,
+    estimate_component_id, predecessors,
+    assigned_resource_id, resource_assignments,
+    constraint_type, constraint_date,
+    duration_optimistic, duration_pessimistic,
+    created_by
+  )
+  SELECT
+    m.new_id, pi.project_id, p_scenario_id, pi.id, pm.new_id,
+    pi.name, pi.item_type, pi.description, pi.status, pi.progress,
+    pi.start_date, pi.end_date, pi.duration_days,
+    pi.indent_level, pi.sort_order, pi.wbs, pi.is_collapsed,
+    pi.estimate_component_id,
+    COALESCE((
+      SELECT jsonb_agg(
+        CASE WHEN lm.new_id IS NULL THEN pred.value
+             ELSE jsonb_set(pred.value, '{id}', to_jsonb(lm.new_id::TEXT))
+        END
+        ORDER BY pred.ordinality
+      )
+      FROM jsonb_array_elements(COALESCE(pi.predecessors, '[]'::JSONB)) WITH ORDINALITY AS pred(value, ordinality)
+      LEFT JOIN id_map lm ON lm.source_id::TEXT = pred.value->>'id'
+    ), '[]'::JSONB),
+    pi.assigned_resource_id, pi.resource_assignments,
+    pi.constraint_type, pi.constraint_date,
+    pi.duration_optimistic, pi.duration_pessimistic,
+    auth.uid()
+  FROM plan_items pi
+  JOIN id_map m ON m.source_id = pi.id
+  LEFT JOIN id_map pm ON pm.source_id = pi.parent_id;
+
+  GET DIAGNOSTICS copied = ROW_COUNT;
+  RETURN copied;
+END;
+$$;
@@ -0,0 +1,100 @@
+-- ============================================================
+-- Migration: Effective-dated rate cards
+-- Date: 19 October 2026
+-- Purpose: Day rates that change over time, so a rate uplift does not
+--   re-price work already done. Each row sets a sell and/or cost rate
+--   from effective_from until the next row for the same scope:
+--   - resource_id: one resource
+--   - role: every resource with that role
+--   - sfia_level: every resource at that SFIA level
+--   Resolution order and the fallback to resources.sell_price /
+--   cost_price are in lib/rateCards.js.
+-- ============================================================
+
+-- ============================================
+-- CREATE TABLE
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS rate_cards (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+
+  -- Exactly one scope
+  resource_id UUID REFERENCES resources(id) ON DELETE CASCADE,
+  role TEXT,
+  sfia_level INTEGER CHECK (sfia_level BETWEEN 1 AND 7),
+
+  effective_from DATE NOT NULL,
+  sell_price NUMERIC(10,2) CHECK (sell_price >= 0),
+  cost_price NUMERIC(10,2) CHECK (cost_price >= 0),
+  notes TEXT,
+
+  -- Soft delete
+  is_deleted BOOLEAN DEFAULT FALSE,
+  deleted_at TIMESTAMPTZ,
+  deleted_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+
+  -- Metadata
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  created_by UUID REFERENCES auth.users(id),
+
+  CONSTRAINT rate_cards_one_scope CHECK (num_nonnulls(resource_id, role, sfia_level) = 1),
+  CONSTRAINT rate_cards_has_rate CHECK (sell_price IS NOT NULL OR cost_price IS NOT NULL)
+);
+
+-- ============================================
+-- INDEXES
+-- ============================================
+
+CREATE INDEX IF NOT EXISTS idx_rate_cards_project
+  ON rate_cards(project_id, effective_from);
+
+CREATE INDEX IF NOT EXISTS idx_rate_cards_resource
+  ON rate_cards(resource_id)
+  WHERE resource_id IS NOT NULL;
+
+-- One active row per scope and date
+CREATE UNIQUE INDEX IF NOT EXISTS idx_rate_cards_scope_date
+  ON rate_cards(project_id, COALESCE(resource_id::TEXT, LOWER(role), sfia_level::TEXT), effective_from)
+  WHERE is_deleted = FALSE;
+
+-- ============================================
+-- ROW LEVEL SECURITY
+-- ============================================
+
+ALTER TABLE rate_cards ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "rate_cards_select" ON rate_cards
+  FOR SELECT TO authenticated
+  USING (can_access_project(project_id));
+
+CREATE POLICY "rate_cards_insert" ON rate_cards
+  FOR INSERT TO authenticated
+  WITH CHECK (can_write_project(project_id));
+
+CREATE POLICY "rate_cards_update" ON rate_cards
+  FOR UPDATE TO authenticated
+  USING (can_write_project(project_id));
+
+CREATE POLICY "rate_cards_delete" ON rate_cards
+  FOR DELETE TO authenticated
+  USING (can_write_project(project_id));
+
+-- ============================================
+-- TRIGGER: updated_at
+-- ============================================
+
+CREATE TRIGGER rate_cards_updated_at
+  BEFORE UPDATE ON rate_cards
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================
+-- COMMENTS
+-- ============================================
+
+COMMENT ON TABLE rate_cards IS 'Effective-dated sell / cost day rates per resource, role or SFIA level';
+COMMENT ON COLUMN rate_cards.effective_from IS 'First day the rates apply; they end the day before the next row for the same scope';
+COMMENT ON COLUMN rate_cards.sell_price IS 'Daily sell rate (NULL = fall through to the next scope)';
+COMMENT ON COLUMN rate_cards.cost_price IS 'Daily cost rate (NULL = fall through to the next scope)';
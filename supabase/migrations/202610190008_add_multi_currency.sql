@@ -0,0 +1,120 @@
+-- ============================================================
+-- Migration: Multi-currency with dated exchange rates
+-- Date: 19 October 2026
+-- Purpose: Partners bill and expenses are paid in currencies other
+--   than the project's. Adds:
+--   - projects.currency: reporting currency (rates, budgets, milestone
+--     values and metrics are held / reported in it)
+--   - partners.currency: the currency the partner bills in
+--   - expenses.currency: the currency the expense was paid in
+--   - partner_invoices.currency / exchange_rate: invoice currency and
+--     its rate to the project currency on the invoice date
+--   - partner_invoice_lines source amount and rate for audit
+--   - exchange_rates: organisation-maintained dated rates
+--   Conversion rules are in lib/currency.js.
+-- ============================================================
+
+-- ============================================
+-- CURRENCY COLUMNS
+-- ============================================
+
+ALTER TABLE projects
+  ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'GBP'
+    CHECK (currency ~ '^[A-Z]{3}$');
+
+ALTER TABLE partners
+  ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'GBP'
+    CHECK (currency ~ '^[A-Z]{3}$');
+
+ALTER TABLE expenses
+  ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'GBP'
+    CHECK (currency ~ '^[A-Z]{3}$');
+
+ALTER TABLE partner_invoices
+  ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'GBP'
+    CHECK (currency ~ '^[A-Z]{3}$'),
+  ADD COLUMN IF NOT EXISTS exchange_rate NUMERIC(18,8) NOT NULL DEFAULT 1
+    CHECK (exchange_rate > 0);
+
+ALTER TABLE partner_invoice_lines
+  ADD COLUMN IF NOT EXISTS source_currency TEXT,
+  ADD COLUMN IF NOT EXISTS source_amount NUMERIC(12,2),
+  ADD COLUMN IF NOT EXISTS exchange_rate NUMERIC(18,8);
+
+-- Existing expenses take their project's currency
+UPDATE expenses e
+SET currency = p.currency
+FROM projects p
+WHERE e.project_id = p.id
+  AND e.currency IS DISTINCT FROM p.currency;
+
+-- ============================================
+-- EXCHANGE RATES
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS exchange_rates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organisation_id UUID NOT NULL REFERENCES organisations(id) ON DELETE CASCADE,
+
+  -- 1 from_currency = rate to_currency
+  from_currency TEXT NOT NULL CHECK (from_currency ~ '^[A-Z]{3}$'),
+  to_currency TEXT NOT NULL CHECK (to_currency ~ '^[A-Z]{3}$'),
+  rate NUMERIC(18,8) NOT NULL CHECK (rate > 0),
+  effective_date DATE NOT NULL,
+  source TEXT,
+
+  -- Soft delete
+  is_deleted BOOLEAN DEFAULT FALSE,
+  deleted_at TIMESTAMPTZ,
+  deleted_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+
+  -- Metadata
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  created_by UUID REFERENCES auth.users(id),
+
+  CONSTRAINT exchange_rates_different_currencies CHECK (from_currency <> to_currency)
+);
+
+CREATE INDEX IF NOT EXISTS idx_exchange_rates_org
+  ON exchange_rates(organisation_id, from_currency, to_currency, effective_date DESC);
+
+-- One active rate per pair and date
+CREATE UNIQUE INDEX IF NOT EXISTS idx_exchange_rates_pair_date
+  ON exchange_rates(organisation_id, from_currency, to_currency, effective_date)
+  WHERE is_deleted = FALSE;
+
+ALTER TABLE exchange_rates ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "exchange_rates_select" ON exchange_rates
+  FOR SELECT TO authenticated
+  USING (is_system_admin() OR is_org_member(organisation_id));
+
+CREATE POLICY "exchange_rates_insert" ON exchange_rates
+  FOR INSERT TO authenticated
+  WITH CHECK (is_system_admin() OR is_org_admin(organisation_id));
+
+CREATE POLICY "exchange_rates_update" ON exchange_rates
+  FOR UPDATE TO authenticated
+  USING (is_system_admin() OR is_org_admin(organisation_id));
+
+CREATE POLICY "exchange_rates_delete" ON exchange_rates
+  FOR DELETE TO authenticated
+  USING (is_system_admin() OR is_org_admin(organisation_id));
+
+CREATE TRIGGER exchange_rates_updated_at
+  BEFORE UPDATE ON exchange_rates
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================
+-- COMMENTS
+-- ============================================
+
+COMMENT ON COLUMN projects.currency IS 'Reporting currency (ISO 4217); rates, budgets and metrics are in this currency';
+COMMENT ON COLUMN partners.currency IS 'Currency the partner invoices in';
+COMMENT ON COLUMN expenses.currency IS 'Currency the expense was paid in; converted at the rate on expense_date';
+COMMENT ON COLUMN partner_invoices.currency IS 'Invoice currency (the partner currency when generated)';
+COMMENT ON COLUMN partner_invoices.exchange_rate IS '1 invoice currency = exchange_rate project currency, on the invoice date';
+COMMENT ON COLUMN partner_invoice_lines.source_amount IS 'Line amount in source_currency before conversion to the invoice currency';
+COMMENT ON TABLE exchange_rates IS 'Organisation-maintained dated exchange rates: 1 from_currency = rate to_currency from effective_date';
@@ -0,0 +1,88 @@
+-- ============================================================
+-- Migration: Invoice tax treatments and credit notes
+-- Date: 19 October 2026
+-- Purpose: Partner invoices carried no VAT and could only be
+--   cancelled. Adds:
+--   - projects: default tax treatment and standard / reduced rates
+--   - partners: treatment / rate override and VAT number
+--   - partner_invoices: document type (invoice or credit note), the
+--     invoice a credit note reverses, tax and gross totals
+--   - partner_invoice_lines: per-line treatment, rate and tax, and the
+--     line a credit line reverses
+--   Credit notes use their own number sequence (CN-YYYY-NNN).
+--   Tax rules are in lib/tax.js.
+-- ============================================================
+
+-- ============================================
+-- TAX SETTINGS
+-- ============================================
+
+ALTER TABLE projects
+  ADD COLUMN IF NOT EXISTS tax_treatment TEXT NOT NULL DEFAULT 'standard'
+    CHECK (tax_treatment IN ('standard', 'reduced', 'zero', 'reverse_charge')),
+  ADD COLUMN IF NOT EXISTS standard_tax_rate NUMERIC(5,2) NOT NULL DEFAULT 20
+    CHECK (standard_tax_rate >= 0),
+  ADD COLUMN IF NOT EXISTS reduced_tax_rate NUMERIC(5,2) NOT NULL DEFAULT 5
+    CHECK (reduced_tax_rate >= 0);
+
+-- NULL treatment / rate inherit the project settings
+ALTER TABLE partners
+  ADD COLUMN IF NOT EXISTS tax_treatment TEXT
+    CHECK (tax_treatment IN ('standard', 'reduced', 'zero', 'reverse_charge')),
+  ADD COLUMN IF NOT EXISTS tax_rate NUMERIC(5,2)
+    CHECK (tax_rate >= 0),
+  ADD COLUMN IF NOT EXISTS tax_number TEXT;
+
+-- ============================================
+-- INVOICES AND CREDIT NOTES
+-- ============================================
+
+ALTER TABLE partner_invoices
+  ADD COLUMN IF NOT EXISTS document_type TEXT NOT NULL DEFAULT 'invoice'
+    CHECK (document_type IN ('invoice', 'credit_note')),
+  ADD COLUMN IF NOT EXISTS credited_invoice_id UUID REFERENCES partner_invoices(id) ON DELETE RESTRICT,
+  ADD COLUMN IF NOT EXISTS credit_reason TEXT,
+  ADD COLUMN IF NOT EXISTS tax_treatment TEXT
+    CHECK (tax_treatment IN ('standard', 'reduced', 'zero', 'reverse_charge')),
+  ADD COLUMN IF NOT EXISTS tax_total NUMERIC(12,2) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS gross_total NUMERIC(12,2);
+
+ALTER TABLE partner_invoices DROP CONSTRAINT IF EXISTS partner_invoices_credit_note_reference;
+ALTER TABLE partner_invoices
+  ADD CONSTRAINT partner_invoices_credit_note_reference CHECK (
+    (document_type = 'credit_note') = (credited_invoice_id IS NOT NULL)
+  );
+
+ALTER TABLE partner_invoice_lines
+  ADD COLUMN IF NOT EXISTS tax_treatment TEXT
+    CHECK (tax_treatment IN ('standard', 'reduced', 'zero', 'reverse_charge')),
+  ADD COLUMN IF NOT EXISTS tax_rate NUMERIC(5,2),
+  ADD COLUMN IF NOT EXISTS tax_amount NUMERIC(12,2) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS credited_line_id UUID REFERENCES partner_invoice_lines(id) ON DELETE RESTRICT;
+
+-- Existing invoices were issued without tax
+UPDATE partner_invoices
+SET gross_total = invoice_total
+WHERE gross_total IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_partner_invoices_credited
+  ON partner_invoices(credited_invoice_id)
+  WHERE credited_invoice_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_partner_invoice_lines_credited
+  ON partner_invoice_lines(credited_line_id)
+  WHERE credited_line_id IS NOT NULL;
+
+-- ============================================
+-- COMMENTS
+-- ============================================
+
+COMMENT ON COLUMN projects.tax_treatment IS 'Default VAT treatment for partner invoices: standard, reduced, zero or reverse_charge';
+COMMENT ON COLUMN partners.tax_treatment IS 'VAT treatment override for this partner; NULL uses the project default';
+COMMENT ON COLUMN partners.tax_rate IS 'VAT rate override (%) for standard / reduced treatments; NULL uses the project rate';
+COMMENT ON COLUMN partners.tax_number IS 'Partner VAT registration number, shown on invoices';
+COMMENT ON COLUMN partner_invoices.document_type IS 'invoice or credit_note; credit notes are numbered CN-YYYY-NNN';
+COMMENT ON COLUMN partner_invoices.credited_invoice_id IS 'For credit notes, the invoice being reversed';
+COMMENT ON COLUMN partner_invoices.tax_total IS 'Sum of line tax_amount (negative on credit notes)';
+COMMENT ON COLUMN partner_invoices.gross_total IS 'invoice_total (net) plus tax_total';
+COMMENT ON COLUMN partner_invoice_lines.credited_line_id IS 'For credit note lines, the invoice line being reversed';
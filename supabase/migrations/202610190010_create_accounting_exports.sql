@@ -0,0 +1,130 @@
+-- ============================================================
+-- Migration: Accounting exports
+-- Date: 19 October 2026
+-- Purpose: Finance imports issued partner invoices and paid expenses
+--   into Xero, QuickBooks or Sage, or sends UBL e-invoices. Records
+--   each export batch and the records in it so nothing is exported
+--   twice; a deliberate re-export needs a reason and is kept as its
+--   own batch for the audit trail.
+--   File layouts are in lib/accountingExport.js.
+--   record_accounting_export() writes a batch and its records in one
+--   transaction, so a failed insert cannot leave an empty batch.
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS accounting_exports (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+
+  format TEXT NOT NULL CHECK (format IN ('xero', 'quickbooks', 'sage', 'ubl')),
+  record_type TEXT NOT NULL CHECK (record_type IN ('invoice', 'expense')),
+  file_names TEXT[] NOT NULL DEFAULT '{}',
+  record_count INTEGER NOT NULL DEFAULT 0,
+
+  -- Re-exports of already exported records must say why
+  is_reexport BOOLEAN NOT NULL DEFAULT FALSE,
+  reason TEXT,
+  warnings TEXT[] NOT NULL DEFAULT '{}',
+
+  -- Metadata
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  created_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+
+  CONSTRAINT accounting_exports_reexport_reason CHECK (NOT is_reexport OR reason IS NOT NULL)
+);
+
+CREATE TABLE IF NOT EXISTS accounting_export_records (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  export_id UUID NOT NULL REFERENCES accounting_exports(id) ON DELETE CASCADE,
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  record_type TEXT NOT NULL CHECK (record_type IN ('invoice', 'expense')),
+  -- partner_invoices.id or expenses.id
+  record_id UUID NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_accounting_exports_project
+  ON accounting_exports(project_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_accounting_export_records_record
+  ON accounting_export_records(project_id, record_type, record_id);
+
+CREATE INDEX IF NOT EXISTS idx_accounting_export_records_export
+  ON accounting_export_records(export_id);
+
+-- ============================================
+-- RLS
+-- ============================================
+
+ALTER TABLE accounting_exports ENABLE ROW LEVEL SECURITY;
+ALTER TABLE accounting_export_records ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "accounting_exports_select" ON accounting_exports
+  FOR SELECT TO authenticated
+  USING (can_access_project(project_id));
+
+CREATE POLICY "accounting_exports_insert" ON accounting_exports
+  FOR INSERT TO authenticated
+  WITH CHECK (can_write_project(project_id));
+
+CREATE POLICY "accounting_export_records_select" ON accounting_export_records
+  FOR SELECT TO authenticated
+  USING (can_access_project(project_id));
+
+CREATE POLICY "accounting_export_records_insert" ON accounting_export_records
+  FOR INSERT TO authenticated
+  WITH CHECK (can_write_project(project_id));
+
+-- Export history is append-only: no update or delete policies
+
+-- ============================================
+-- RECORD EXPORT
+-- ============================================
+
+-- Writes an export batch and the records in it, all or nothing. Runs as
+-- the caller so the insert policies above still apply.
+CREATE OR REPLACE FUNCTION record_accounting_export(
+  p_project_id UUID,
+  p_format TEXT,
+  p_record_type TEXT,
+  p_file_names TEXT[],
+  p_record_ids UUID[],
+  p_is_reexport BOOLEAN,
+  p_reason TEXT,
+  p_warnings TEXT[],
+  p_created_by UUID
+)
+RETURNS accounting_exports
+LANGUAGE plpgsql
+SECURITY INVOKER
+AS $$
+DECLARE
+  batch accounting_exports;
+BEGIN
+  INSERT INTO accounting_exports (
+    project_id, format, record_type, file_names, record_count,
+    is_reexport, reason, warnings, created_by
+  )
+  VALUES (
+    p_project_id, p_format, p_record_type, COALESCE(p_file_names, '{}'),
+    COALESCE(array_length(p_record_ids, 1), 0), COALESCE(p_is_reexport, FALSE),
+    p_reason, COALESCE(p_warnings, '{}'), p_created_by
+  )
+  RETURNING * INTO batch;
+
+  INSERT INTO accounting_export_records (export_id, project_id, record_type, record_id)
+  SELECT batch.id, p_project_id, p_record_type, record_id
+  FROM unnest(p_record_ids) AS record_id;
+
+  RETURN batch;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION record_accounting_export(UUID, TEXT, TEXT, TEXT[], UUID[], BOOLEAN, TEXT, TEXT[], UUID) TO authenticated;
+
+-- ============================================
+-- COMMENTS
+-- ============================================
+
+COMMENT ON TABLE accounting_exports IS 'Accounting export batches (Xero / QuickBooks / Sage CSV, UBL XML); the audit trail of what was exported when';
+COMMENT ON COLUMN accounting_exports.is_reexport IS 'True when the batch included records exported before; reason is then required';
+COMMENT ON TABLE accounting_export_records IS 'Invoices and expenses included in each export batch';
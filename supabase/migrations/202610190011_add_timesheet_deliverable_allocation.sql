@@ -0,0 +1,34 @@
+-- ============================================================
+-- Migration: Timesheet allocation to deliverables and tasks
+-- Date: 19 October 2026
+-- Purpose: The weekly timesheet grid books time against a milestone,
+--   a deliverable or a planner task. Adds:
+--   - timesheets: the deliverable and task (plan_items row) the time
+--     was booked to, for actuals per deliverable
+--   - resources: contracted hours per week, for the grid's running
+--     total (NULL = a standard day on every working day)
+--   Grid rules are in lib/timesheetWeek.js.
+-- ============================================================
+
+ALTER TABLE timesheets
+  ADD COLUMN IF NOT EXISTS deliverable_id UUID REFERENCES deliverables(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS task_id UUID REFERENCES plan_items(id) ON DELETE SET NULL;
+
+ALTER TABLE resources
+  ADD COLUMN IF NOT EXISTS contracted_hours_per_week NUMERIC(5,2)
+    CHECK (contracted_hours_per_week > 0 AND contracted_hours_per_week <= 168);
+
+CREATE INDEX IF NOT EXISTS idx_timesheets_deliverable
+  ON timesheets(deliverable_id)
+  WHERE deliverable_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_timesheets_resource_date
+  ON timesheets(resource_id, date);
+
+-- ============================================
+-- COMMENTS
+-- ============================================
+
+COMMENT ON COLUMN timesheets.deliverable_id IS 'Deliverable the time was booked to (its milestone is in milestone_id)';
+COMMENT ON COLUMN timesheets.task_id IS 'Planner task (plan_items, item_type = task) the time was booked to';
+COMMENT ON COLUMN resources.contracted_hours_per_week IS 'Contracted weekly hours, spread over the working calendar; NULL uses a standard day';
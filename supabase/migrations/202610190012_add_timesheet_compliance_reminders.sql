@@ -0,0 +1,116 @@
+-- ============================================================
+-- Migration: Timesheet compliance reminders
+-- Date: 19 October 2026
+-- Purpose: Chase missing timesheets. A daily job
+--   (api/timesheet-reminders.js) compares each resource's expected
+--   working time with submitted timesheets, reminds the resource and
+--   escalates to the supplier PMs when a week stays overdue. Adds:
+--   - projects: reminder and escalation settings
+--   - timesheet_reminders: one row per resource, week and level, so
+--     each reminder is sent once
+--   - notifications: project_id and the two timesheet notification
+--     types, so tracker projects can use the notifications table
+--   Compliance rules are in lib/timesheetCompliance.js.
+-- ============================================================
+
+-- ============================================
+-- PROJECT SETTINGS
+-- ============================================
+
+ALTER TABLE projects
+  ADD COLUMN IF NOT EXISTS timesheet_reminders_enabled BOOLEAN DEFAULT TRUE,
+  ADD COLUMN IF NOT EXISTS timesheet_reminder_days INTEGER DEFAULT 1
+    CHECK (timesheet_reminder_days >= 0),
+  ADD COLUMN IF NOT EXISTS timesheet_escalation_enabled BOOLEAN DEFAULT TRUE,
+  ADD COLUMN IF NOT EXISTS timesheet_escalation_days INTEGER DEFAULT 3
+    CHECK (timesheet_escalation_days >= 0);
+
+-- ============================================
+-- REMINDER LOG
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS timesheet_reminders (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  resource_id UUID NOT NULL REFERENCES resources(id) ON DELETE CASCADE,
+  week_start DATE NOT NULL,
+  level TEXT NOT NULL CHECK (level IN ('reminder', 'escalation')),
+
+  -- Users notified (the resource, or the supplier PMs for escalations)
+  recipient_ids UUID[] NOT NULL DEFAULT '{}',
+  -- Compliance when the reminder was sent
+  status TEXT NOT NULL,
+  expected_hours NUMERIC(6,2),
+  submitted_hours NUMERIC(6,2),
+
+  sent_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  -- NULL when sent by the scheduled job
+  sent_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+
+  UNIQUE (resource_id, week_start, level)
+);
+
+CREATE INDEX IF NOT EXISTS idx_timesheet_reminders_project_week
+  ON timesheet_reminders(project_id, week_start);
+
+-- ============================================
+-- NOTIFICATIONS
+-- ============================================
+
+ALTER TABLE notifications
+  ADD COLUMN IF NOT EXISTS project_id UUID REFERENCES projects(id) ON DELETE CASCADE;
+
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check;
+ALTER TABLE notifications ADD CONSTRAINT notifications_type_check CHECK (type IN (
+  'deadline_reminder',
+  'deadline_missed',
+  'approval_needed',
+  'approval_complete',
+  'score_submitted',
+  'reconciliation_needed',
+  'vendor_response_received',
+  'qa_question_received',
+  'qa_answer_received',
+  'workshop_scheduled',
+  'workshop_reminder',
+  'comment_added',
+  'mention',
+  'system',
+  'timesheet_missing',
+  'timesheet_escalation'
+));
+
+CREATE INDEX IF NOT EXISTS idx_notifications_project_user
+  ON notifications(project_id, user_id, is_read)
+  WHERE project_id IS NOT NULL;
+
+-- ============================================
+-- RLS
+-- ============================================
+
+ALTER TABLE timesheet_reminders ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "timesheet_reminders_select" ON timesheet_reminders
+  FOR SELECT TO authenticated
+  USING (can_access_project(project_id));
+
+-- Manual reminders from the compliance dashboard; the scheduled job uses
+-- the service role
+CREATE POLICY "timesheet_reminders_insert" ON timesheet_reminders
+  FOR INSERT TO authenticated
+  WITH CHECK (can_write_project(project_id));
+
+CREATE POLICY "timesheet_reminders_update" ON timesheet_reminders
+  FOR UPDATE TO authenticated
+  USING (can_write_project(project_id));
+
+-- ============================================
+-- COMMENTS
+-- ============================================
+
+COMMENT ON COLUMN projects.timesheet_reminders_enabled IS 'Remind resources about overdue timesheets';
+COMMENT ON COLUMN projects.timesheet_reminder_days IS 'Days after the week ends (Sunday) before the resource is reminded';
+COMMENT ON COLUMN projects.timesheet_escalation_enabled IS 'Escalate overdue timesheets to the supplier PMs';
+COMMENT ON COLUMN projects.timesheet_escalation_days IS 'Days after the week ends before escalating to the supplier PMs';
+COMMENT ON TABLE timesheet_reminders IS 'Missing-timesheet reminders and escalations sent, one per resource, week and level';
+COMMENT ON COLUMN notifications.project_id IS 'Tracker project the notification belongs to (evaluator notifications use evaluation_project_id)';
@@ -0,0 +1,120 @@
+-- ============================================================
+-- Migration: Expense policies
+-- Date: 19 October 2026
+-- Purpose: Check expenses against policy when they are submitted, so
+--   out-of-policy claims are caught before the customer sees them.
+--   - expense_policies: one row for the organisation and optionally one
+--     per project; blank project values inherit the organisation's
+--   - expenses: the violations found on submission and the validator's
+--     acknowledgement of them
+--   The receipt threshold stays in the project workflow settings
+--   (expense_receipt_required / expense_receipt_threshold). Rules are in
+--   lib/expensePolicy.js.
+-- ============================================================
+
+-- ============================================
+-- CREATE TABLE
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS expense_policies (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+  -- Exactly one scope
+  organisation_id UUID UNIQUE REFERENCES organisations(id) ON DELETE CASCADE,
+  project_id UUID UNIQUE REFERENCES projects(id) ON DELETE CASCADE,
+
+  -- Most a single expense may claim, per category: { "Accommodation": 150 }
+  category_caps JSONB NOT NULL DEFAULT '{}',
+  -- Most a resource may claim for sustenance on one day
+  per_diem_limit NUMERIC(10,2) CHECK (per_diem_limit >= 0),
+
+  flag_non_working_days BOOLEAN,
+  flag_duplicates BOOLEAN,
+
+  -- Tiered mileage rate per mile; threshold is miles per tax year
+  mileage_rate NUMERIC(6,3) CHECK (mileage_rate >= 0),
+  mileage_reduced_rate NUMERIC(6,3) CHECK (mileage_reduced_rate >= 0),
+  mileage_threshold NUMERIC(10,1) CHECK (mileage_threshold >= 0),
+
+  -- Expenses above the threshold must be validated by escalation_role
+  escalation_threshold NUMERIC(10,2) CHECK (escalation_threshold >= 0),
+  escalation_role TEXT CHECK (escalation_role IN ('supplier_pm', 'customer_pm')),
+
+  -- Metadata
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  created_by UUID REFERENCES auth.users(id),
+  updated_by UUID REFERENCES auth.users(id),
+
+  CONSTRAINT expense_policies_one_scope CHECK (num_nonnulls(organisation_id, project_id) = 1)
+);
+
+-- ============================================
+-- EXPENSES
+-- ============================================
+
+ALTER TABLE expenses
+  ADD COLUMN IF NOT EXISTS policy_violations JSONB NOT NULL DEFAULT '[]',
+  ADD COLUMN IF NOT EXISTS policy_checked_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS policy_acknowledged_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS policy_acknowledged_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS policy_acknowledgement_note TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_expenses_policy_flagged
+  ON expenses(project_id)
+  WHERE policy_violations <> '[]'::JSONB;
+
+-- ============================================
+-- ROW LEVEL SECURITY
+-- ============================================
+
+ALTER TABLE expense_policies ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "expense_policies_select" ON expense_policies
+  FOR SELECT TO authenticated
+  USING (
+    (project_id IS NOT NULL AND can_access_project(project_id))
+    OR (organisation_id IS NOT NULL AND is_org_member(organisation_id))
+  );
+
+CREATE POLICY "expense_policies_insert" ON expense_policies
+  FOR INSERT TO authenticated
+  WITH CHECK (
+    (project_id IS NOT NULL AND can_write_project(project_id))
+    OR (organisation_id IS NOT NULL AND is_org_admin(organisation_id))
+  );
+
+CREATE POLICY "expense_policies_update" ON expense_policies
+  FOR UPDATE TO authenticated
+  USING (
+    (project_id IS NOT NULL AND can_write_project(project_id))
+    OR (organisation_id IS NOT NULL AND is_org_admin(organisation_id))
+  );
+
+CREATE POLICY "expense_policies_delete" ON expense_policies
+  FOR DELETE TO authenticated
+  USING (
+    (project_id IS NOT NULL AND can_write_project(project_id))
+    OR (organisation_id IS NOT NULL AND is_org_admin(organisation_id))
+  );
+
+-- ============================================
+-- TRIGGER: updated_at
+-- ============================================
+
+CREATE TRIGGER expense_policies_updated_at
+  BEFORE UPDATE ON expense_policies
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================
+-- COMMENTS
+-- ============================================
+
+COMMENT ON TABLE expense_policies IS 'Expense policy for an organisation, or a project override; NULL values inherit';
+COMMENT ON COLUMN expense_policies.category_caps IS 'Most a single expense may claim per category, in the project currency';
+COMMENT ON COLUMN expense_policies.per_diem_limit IS 'Most a resource may claim for sustenance per day, in the project currency';
+COMMENT ON COLUMN expense_policies.mileage_threshold IS 'Miles per tax year at mileage_rate before mileage_reduced_rate applies';
+COMMENT ON COLUMN expense_policies.escalation_role IS 'Project role that must validate expenses above escalation_threshold';
+COMMENT ON COLUMN expenses.policy_violations IS 'Policy violations found on submission (lib/expensePolicy.js)';
+COMMENT ON COLUMN expenses.policy_acknowledged_by IS 'Validator who acknowledged the policy violations';
@@ -0,0 +1,50 @@
+-- ============================================================
+-- Migration: Mileage and per diem expenses
+-- Date: 19 October 2026
+-- Purpose: Expenses can be calculated instead of receipted. Adds:
+--   - expenses: the expense type, the journey for mileage claims and
+--     the basis the amount was calculated on (rates, days, miles
+--     already claimed this tax year), kept for audit
+--   - expense_policies: flat rates for motorcycles and bicycles, per
+--     diem rates by country or city and the partial day percentage
+--   - partner_invoice_lines: the calculation basis, so invoices show
+--     how a calculated expense was worked out
+--   Calculations are in lib/expensePolicy.js.
+-- ============================================================
+
+ALTER TABLE expenses
+  ADD COLUMN IF NOT EXISTS expense_type TEXT NOT NULL DEFAULT 'standard'
+    CHECK (expense_type IN ('standard', 'mileage', 'per_diem')),
+  ADD COLUMN IF NOT EXISTS journey_from TEXT,
+  ADD COLUMN IF NOT EXISTS journey_to TEXT,
+  ADD COLUMN IF NOT EXISTS distance NUMERIC(10,1) CHECK (distance > 0),
+  ADD COLUMN IF NOT EXISTS vehicle_type TEXT
+    CHECK (vehicle_type IN ('car', 'motorcycle', 'bicycle')),
+  ADD COLUMN IF NOT EXISTS calculation_basis JSONB;
+
+-- Mileage claimed by a resource in a tax year
+CREATE INDEX IF NOT EXISTS idx_expenses_resource_mileage
+  ON expenses(resource_id, expense_date)
+  WHERE distance IS NOT NULL;
+
+ALTER TABLE expense_policies
+  ADD COLUMN IF NOT EXISTS motorcycle_rate NUMERIC(6,3) CHECK (motorcycle_rate >= 0),
+  ADD COLUMN IF NOT EXISTS bicycle_rate NUMERIC(6,3) CHECK (bicycle_rate >= 0),
+  ADD COLUMN IF NOT EXISTS per_diem_rates JSONB,
+  ADD COLUMN IF NOT EXISTS per_diem_partial_percent NUMERIC(5,2)
+    CHECK (per_diem_partial_percent >= 0 AND per_diem_partial_percent <= 100);
+
+ALTER TABLE partner_invoice_lines
+  ADD COLUMN IF NOT EXISTS calculation_basis JSONB;
+
+-- ============================================
+-- COMMENTS
+-- ============================================
+
+COMMENT ON COLUMN expenses.expense_type IS 'standard (receipted), mileage or per_diem; calculated types have their amount worked out from the policy';
+COMMENT ON COLUMN expenses.distance IS 'Miles travelled, for mileage claims';
+COMMENT ON COLUMN expenses.vehicle_type IS 'car (tiered rate), motorcycle or bicycle (flat rates)';
+COMMENT ON COLUMN expenses.calculation_basis IS 'How a calculated amount was worked out: rates, bands, days and miles already claimed that tax year';
+COMMENT ON COLUMN expense_policies.per_diem_rates IS 'Daily allowance by country or city: [{ "location": "Paris", "rate": 60 }]; NULL inherits';
+COMMENT ON COLUMN expense_policies.per_diem_partial_percent IS 'Percentage of the daily rate paid for a partial (travel) day';
+COMMENT ON COLUMN partner_invoice_lines.calculation_basis IS 'Calculation basis copied from a mileage or per diem expense';
@@ -0,0 +1,298 @@
+-- ============================================================
+-- Migration: Approval delegation and bulk approvals
+-- Date: 19 October 2026
+-- Purpose: Let a customer PM hand their timesheet and expense approval
+--   authority to another user while they are away, and record who
+--   approved on whose behalf. Adds:
+--   - approval_delegations: time-boxed delegations (delegator, delegate,
+--     date range, entity types), revocable
+--   - get_approval_delegator() / has_approval_delegation(): the
+--     delegator while the current user holds an active delegation
+--   - review_delegated_item(): approve or reject a submitted timesheet or
+--     expense under a delegation, when the project's approval authority
+--     lets a customer PM approve it. Delegates get no UPDATE policy on
+--     timesheets or expenses; this function only sets the status and
+--     review fields
+--   - timesheets / expenses: who reviewed (approved or rejected) the
+--     item, when, on whose behalf, and the shared bulk-action note
+--   - audit_log: on_behalf_of, filled from the reviewed row, so the
+--     audit trail reads "approved by X on behalf of Y"
+--   Delegation rules are in lib/approvalDelegation.js.
+-- ============================================================
+
+-- ============================================
+-- DELEGATIONS
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS approval_delegations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  delegator_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  delegate_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  entity_types TEXT[] NOT NULL DEFAULT ARRAY['timesheet', 'expense']
+    CHECK (
+      cardinality(entity_types) > 0
+      AND entity_types <@ ARRAY['timesheet', 'expense']
+    ),
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  reason TEXT,
+
+  revoked_at TIMESTAMPTZ,
+  revoked_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  created_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+
+  CHECK (end_date >= start_date),
+  CHECK (delegate_id <> delegator_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_approval_delegations_delegate
+  ON approval_delegations(project_id, delegate_id, start_date, end_date)
+  WHERE revoked_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_approval_delegations_delegator
+  ON approval_delegations(project_id, delegator_id);
+
+-- Delegator of the current user's active delegation for an entity type,
+-- or NULL. The delegator must still be a customer PM on the project and
+-- the delegate a member of it. Where several delegations apply the
+-- earliest is used, as in findActiveDelegation().
+CREATE OR REPLACE FUNCTION get_approval_delegator(p_project_id UUID, p_entity_type TEXT)
+RETURNS UUID AS $$
+  SELECT d.delegator_id
+  FROM approval_delegations d
+  JOIN user_projects up
+    ON up.project_id = d.project_id
+    AND up.user_id = d.delegator_id
+    AND up.role = 'customer_pm'
+  JOIN user_projects member
+    ON member.project_id = d.project_id
+    AND member.user_id = d.delegate_id
+  WHERE d.project_id = p_project_id
+  AND d.delegate_id = auth.uid()
+  AND d.revoked_at IS NULL
+  AND p_entity_type = ANY(d.entity_types)
+  AND CURRENT_DATE BETWEEN d.start_date AND d.end_date
+  ORDER BY d.created_at ASC
+  LIMIT 1;
+$$ LANGUAGE sql SECURITY DEFINER STABLE SET search_path = public;
+
+CREATE OR REPLACE FUNCTION has_approval_delegation(p_project_id UUID, p_entity_type TEXT)
+RETURNS BOOLEAN AS $$
+  SELECT get_approval_delegator(p_project_id, p_entity_type) IS NOT NULL;
+$$ LANGUAGE sql SECURITY DEFINER STABLE SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION get_approval_delegator(UUID, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION has_approval_delegation(UUID, TEXT) TO authenticated;
+
+-- ============================================
+-- REVIEWER COLUMNS
+-- ============================================
+
+ALTER TABLE timesheets
+  ADD COLUMN IF NOT EXISTS reviewed_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS reviewed_on_behalf_of UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS review_note TEXT;
+
+ALTER TABLE expenses
+  ADD COLUMN IF NOT EXISTS reviewed_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS reviewed_on_behalf_of UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS review_note TEXT;
+
+-- ============================================
+-- AUDIT LOG
+-- ============================================
+
+ALTER TABLE audit_log
+  ADD COLUMN IF NOT EXISTS on_behalf_of UUID,
+  ADD COLUMN IF NOT EXISTS on_behalf_of_email TEXT;
+
+-- The generic audit trigger snapshots the row; copy the delegator from
+-- the snapshot when the update is a delegated review
+CREATE OR REPLACE FUNCTION audit_log_set_on_behalf_of()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.table_name IN ('timesheets', 'expenses')
+    AND NEW.action = 'UPDATE'
+    AND 'reviewed_at' = ANY(COALESCE(NEW.changed_fields, '{}'))
+    AND NEW.new_data->>'reviewed_on_behalf_of' IS NOT NULL
+  THEN
+    NEW.on_behalf_of := (NEW.new_data->>'reviewed_on_behalf_of')::UUID;
+    SELECT email INTO NEW.on_behalf_of_email FROM profiles WHERE id = NEW.on_behalf_of;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS audit_log_on_behalf_of ON audit_log;
+CREATE TRIGGER audit_log_on_behalf_of
+  BEFORE INSERT ON audit_log
+  FOR EACH ROW
+  EXECUTE FUNCTION audit_log_set_on_behalf_of();
+
+-- ============================================
+-- ROW LEVEL SECURITY
+-- ============================================
+
+ALTER TABLE approval_delegations ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "approval_delegations_select" ON approval_delegations
+  FOR SELECT TO authenticated
+  USING (can_access_project(project_id));
+
+-- Customer PMs delegate their own authority; admins can set one up for them
+CREATE POLICY "approval_delegations_insert" ON approval_delegations
+  FOR INSERT TO authenticated
+  WITH CHECK (
+    (delegator_id = auth.uid() AND can_write_project(project_id, ARRAY['customer_pm']))
+    OR can_write_project(project_id, ARRAY['admin'])
+  );
+
+CREATE POLICY "approval_delegations_update" ON approval_delegations
+  FOR UPDATE TO authenticated
+  USING (
+    delegator_id = auth.uid()
+    OR can_write_project(project_id, ARRAY['admin'])
+  );
+
+-- ============================================
+-- DELEGATED REVIEW
+-- ============================================
+
+-- Approves or rejects a submitted timesheet or expense as the delegate of
+-- a customer PM, recording the delegator in reviewed_on_behalf_of. The
+-- delegate only has the authority the customer PM has, so the project's
+-- timesheet / expense approval authority must let a customer PM approve
+-- the item (as projectSettingsService.roleCanApprove: 'conditional'
+-- expenses go to the customer only when chargeable). Only the status,
+-- review and (for expenses) policy acknowledgement columns are written,
+-- so the delegate cannot change hours, amounts or owners.
+CREATE OR REPLACE FUNCTION review_delegated_item(
+  p_entity_type TEXT,
+  p_id UUID,
+  p_action TEXT,
+  p_note TEXT DEFAULT NULL,
+  p_acknowledge_policy BOOLEAN DEFAULT FALSE,
+  p_acknowledgement_note TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_project_id UUID;
+  v_status TEXT;
+  v_unacknowledged BOOLEAN := FALSE;
+  v_chargeable BOOLEAN := TRUE;
+  v_authority TEXT;
+  v_delegator UUID;
+  v_note TEXT := NULLIF(btrim(COALESCE(p_note, '')), '');
+  v_row JSONB;
+BEGIN
+  IF p_action NOT IN ('approve', 'reject') THEN
+    RAISE EXCEPTION 'Unknown review action: %', p_action;
+  END IF;
+
+  IF p_entity_type = 'timesheet' THEN
+    SELECT project_id, status INTO v_project_id, v_status
+    FROM timesheets
+    WHERE id = p_id AND is_deleted IS NOT TRUE
+    FOR UPDATE;
+  ELSIF p_entity_type = 'expense' THEN
+    SELECT project_id, status,
+      policy_violations <> '[]'::JSONB AND policy_acknowledged_at IS NULL,
+      chargeable_to_customer IS DISTINCT FROM FALSE
+    INTO v_project_id, v_status, v_unacknowledged, v_chargeable
+    FROM expenses
+    WHERE id = p_id AND is_deleted IS NOT TRUE
+    FOR UPDATE;
+  ELSE
+    RAISE EXCEPTION 'Only timesheets and expenses can be reviewed under a delegation';
+  END IF;
+
+  IF v_project_id IS NULL THEN
+    RAISE EXCEPTION 'Item not found';
+  END IF;
+
+  v_delegator := get_approval_delegator(v_project_id, p_entity_type);
+  IF v_delegator IS NULL THEN
+    RAISE EXCEPTION 'Access denied';
+  END IF;
+
+  -- Defaults as DEFAULT_WORKFLOW_SETTINGS
+  SELECT CASE
+    WHEN p_entity_type = 'timesheet' THEN COALESCE(timesheet_approval_authority, 'customer_pm')
+    ELSE COALESCE(expense_approval_authority, 'conditional')
+  END
+  INTO v_authority
+  FROM projects
+  WHERE id = v_project_id;
+
+  IF NOT (
+    v_authority IN ('both', 'customer_only', 'customer_pm', 'either', 'none')
+    OR (v_authority = 'conditional' AND (p_entity_type <> 'expense' OR v_chargeable))
+  ) THEN
+    RAISE EXCEPTION 'The customer PM cannot approve this % on this project', p_entity_type;
+  END IF;
+
+  IF v_status <> 'Submitted' THEN
+    RAISE EXCEPTION 'Only submitted items can be approved or rejected';
+  END IF;
+
+  IF p_entity_type = 'timesheet' THEN
+    UPDATE timesheets SET
+      status = CASE WHEN p_action = 'approve' THEN 'Approved' ELSE 'Rejected' END,
+      was_rejected = CASE WHEN p_action = 'reject' THEN TRUE ELSE was_rejected END,
+      rejection_reason = CASE WHEN p_action = 'reject' AND v_note IS NOT NULL THEN v_note ELSE rejection_reason END,
+      reviewed_by = auth.uid(),
+      reviewed_at = NOW(),
+      reviewed_on_behalf_of = v_delegator,
+      review_note = CASE WHEN p_action = 'approve' THEN v_note END
+    WHERE id = p_id
+    RETURNING to_jsonb(timesheets.*) INTO v_row;
+  ELSE
+    IF p_action = 'approve' AND v_unacknowledged AND NOT p_acknowledge_policy THEN
+      RAISE EXCEPTION 'Acknowledge the policy issues before validating this expense';
+    END IF;
+
+    UPDATE expenses SET
+      status = CASE WHEN p_action = 'approve' THEN 'Approved' ELSE 'Rejected' END,
+      rejection_reason = CASE WHEN p_action = 'reject' AND v_note IS NOT NULL THEN v_note ELSE rejection_reason END,
+      reviewed_by = auth.uid(),
+      reviewed_at = NOW(),
+      reviewed_on_behalf_of = v_delegator,
+      review_note = CASE WHEN p_action = 'approve' THEN v_note END,
+      policy_acknowledged_by = CASE WHEN p_action = 'approve' AND v_unacknowledged THEN auth.uid() ELSE policy_acknowledged_by END,
+      policy_acknowledged_at = CASE WHEN p_action = 'approve' AND v_unacknowledged THEN NOW() ELSE policy_acknowledged_at END,
+      policy_acknowledgement_note = CASE
+        WHEN p_action = 'approve' AND v_unacknowledged THEN NULLIF(btrim(COALESCE(p_acknowledgement_note, '')), '')
+        ELSE policy_acknowledgement_note
+      END
+    WHERE id = p_id
+    RETURNING to_jsonb(expenses.*) INTO v_row;
+  END IF;
+
+  RETURN v_row;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION review_delegated_item(TEXT, UUID, TEXT, TEXT, BOOLEAN, TEXT) TO authenticated;
+
+-- ============================================
+-- COMMENTS
+-- ============================================
+
+COMMENT ON TABLE approval_delegations IS 'Time-boxed delegation of a customer PM''s timesheet and expense approval authority to another user';
+COMMENT ON COLUMN approval_delegations.entity_types IS 'What the delegate can approve: timesheet, expense';
+COMMENT ON COLUMN timesheets.reviewed_by IS 'User who approved or rejected the timesheet';
+COMMENT ON COLUMN timesheets.reviewed_on_behalf_of IS 'Delegator, when the reviewer acted under an approval delegation';
+COMMENT ON COLUMN timesheets.review_note IS 'Note given with the approval (rejections use rejection_reason)';
+COMMENT ON COLUMN expenses.reviewed_by IS 'User who validated or rejected the expense';
+COMMENT ON COLUMN expenses.reviewed_on_behalf_of IS 'Delegator, when the reviewer acted under an approval delegation';
+COMMENT ON COLUMN expenses.review_note IS 'Note given with the validation (rejections use rejection_reason)';
+COMMENT ON COLUMN audit_log.on_behalf_of IS 'Delegator the change was made on behalf of (delegated approvals)';
@@ -0,0 +1,487 @@
+-- ============================================================
+-- Migration: Atomic variation apply and revert
+-- Date: 19 October 2026
+-- Purpose: Apply an approved variation in a single transaction instead
+--   of a client-side loop of updates, so a failure part way through can
+--   no longer leave a half-applied contract change. Adds:
+--   - apply_variation(): checks preconditions, then updates the affected
+--     milestone baselines, writes their baseline versions, applies the
+--     deliverable changes and marks the variation applied, all or nothing
+--   - revert_variation(): compensating action that restores each
+--     milestone's previous baseline version (written as a new version),
+--     undoes the deliverable changes and marks the variation reverted
+--   - variations: 'reverted' status and who reverted it, when and why
+--   - milestone_baseline_versions.is_revert: versions written by a revert
+--   - variation_deliverables.applied_snapshot: the deliverable as it was
+--     when the variation was applied, restored on revert
+--   - variation_milestones.applied_snapshot: the milestone's baseline
+--     breach flags cleared by the apply, restored on revert
+--   Both functions run as the caller, so the existing RLS policies on
+--   milestones, deliverables and baseline versions still apply.
+--   Precondition messages match lib/variationApplication.js.
+-- ============================================================
+
+-- ============================================
+-- COLUMNS
+-- ============================================
+
+ALTER TABLE variations
+  ADD COLUMN IF NOT EXISTS reverted_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS reverted_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS revert_reason TEXT;
+
+ALTER TABLE variations DROP CONSTRAINT IF EXISTS variations_status_check;
+ALTER TABLE variations ADD CONSTRAINT variations_status_check CHECK (status IN (
+  'draft',
+  'submitted',
+  'awaiting_customer',
+  'awaiting_supplier',
+  'approved',
+  'applied',
+  'rejected',
+  'reverted'
+));
+
+ALTER TABLE milestone_baseline_versions
+  ADD COLUMN IF NOT EXISTS is_revert BOOLEAN NOT NULL DEFAULT FALSE;
+
+ALTER TABLE variation_deliverables
+  ADD COLUMN IF NOT EXISTS applied_snapshot JSONB;
+
+ALTER TABLE variation_milestones
+  ADD COLUMN IF NOT EXISTS applied_snapshot JSONB;
+
+-- ============================================
+-- APPLY
+-- ============================================
+
+-- Applies an approved variation to milestone baselines and deliverables.
+-- Raises (and so rolls everything back) if any precondition fails.
+CREATE OR REPLACE FUNCTION apply_variation(p_variation_id UUID)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY INVOKER
+AS $$
+DECLARE
+  v variations;
+  vm RECORD;
+  vd RECORD;
+  m milestones;
+  d deliverables;
+  v_milestone_id UUID;
+  v_current INTEGER;
+  v_before INTEGER;
+  v_after INTEGER;
+  v_deliverable_id UUID;
+  v_now TIMESTAMPTZ := NOW();
+  milestones_applied INTEGER := 0;
+  deliverables_applied INTEGER := 0;
+BEGIN
+  SELECT * INTO v FROM variations WHERE id = p_variation_id FOR UPDATE;
+
+  IF v.id IS NULL OR v.is_deleted IS TRUE THEN
+    RAISE EXCEPTION 'Variation not found';
+  END IF;
+
+  IF NOT can_write_project(v.project_id, ARRAY['admin', 'supplier_pm', 'customer_pm']) THEN
+    RAISE EXCEPTION 'Access denied';
+  END IF;
+
+  IF v.status <> 'approved' THEN
+    RAISE EXCEPTION 'Variation must be approved before applying';
+  END IF;
+
+  IF v.supplier_signed_at IS NULL OR v.customer_signed_at IS NULL THEN
+    RAISE EXCEPTION 'Variation must be signed by both the supplier and the customer';
+  END IF;
+
+  -- Milestones
+  FOR vm IN
+    SELECT * FROM variation_milestones
+    WHERE variation_id = p_variation_id
+    ORDER BY created_at, id
+  LOOP
+    IF vm.milestone_id IS NULL THEN
+      RAISE EXCEPTION 'New milestones must be created before the variation is applied';
+    END IF;
+
+    SELECT * INTO m FROM milestones WHERE id = vm.milestone_id FOR UPDATE;
+
+    IF m.id IS NULL OR m.is_deleted IS TRUE THEN
+      RAISE EXCEPTION 'Milestone affected by the variation no longer exists';
+    END IF;
+
+    IF vm.new_baseline_start IS NULL OR vm.new_baseline_end IS NULL OR vm.new_baseline_cost IS NULL THEN
+      RAISE EXCEPTION 'Milestone % has no new baseline', m.milestone_ref;
+    END IF;
+
+    IF vm.new_baseline_end < vm.new_baseline_start THEN
+      RAISE EXCEPTION 'Milestone % would end before it starts', m.milestone_ref;
+    END IF;
+
+    IF vm.new_baseline_cost < 0 THEN
+      RAISE EXCEPTION 'Milestone % would have a negative baseline cost', m.milestone_ref;
+    END IF;
+
+    -- Update baselines, reset the forecast to match and clear any breach:
+    -- the new baseline is approved by the dual-signed variation
+    UPDATE milestones SET
+      baseline_start_date = vm.new_baseline_start,
+      baseline_end_date = vm.new_baseline_end,
+      baseline_billable = vm.new_baseline_cost,
+      start_date = vm.new_baseline_start,
+      forecast_end_date = vm.new_baseline_end,
+      forecast_billable = vm.new_baseline_cost,
+      billable = vm.new_baseline_cost,
+      baseline_breached = FALSE,
+      baseline_breach_reason = NULL,
+      baseline_breached_at = NULL,
+      baseline_breached_by = NULL
+    WHERE id = m.id;
+
+    SELECT COALESCE(MAX(version), 0) INTO v_current
+    FROM milestone_baseline_versions
+    WHERE milestone_id = m.id;
+
+    v_before := v_current;
+
+    -- Without a history yet, record the original baseline as v1 first
+    IF v_current = 0 THEN
+      INSERT INTO milestone_baseline_versions (
+        milestone_id, version, variation_id,
+        baseline_start_date, baseline_end_date, baseline_billable,
+        supplier_signed_by, supplier_signed_at,
+        customer_signed_by, customer_signed_at
+      ) VALUES (
+        m.id, 1, NULL,
+        vm.original_baseline_start, vm.original_baseline_end, vm.original_baseline_cost,
+        v.supplier_signed_by, v.supplier_signed_at,
+        v.customer_signed_by, v.customer_signed_at
+      );
+      v_before := 1;
+    END IF;
+
+    v_after := v_before + 1;
+
+    INSERT INTO milestone_baseline_versions (
+      milestone_id, version, variation_id,
+      baseline_start_date, baseline_end_date, baseline_billable,
+      supplier_signed_by, supplier_signed_at,
+      customer_signed_by, customer_signed_at
+    ) VALUES (
+      m.id, v_after, p_variation_id,
+      vm.new_baseline_start, vm.new_baseline_end, vm.new_baseline_cost,
+      v.supplier_signed_by, v.supplier_signed_at,
+      v.customer_signed_by, v.customer_signed_at
+    );
+
+    UPDATE variation_milestones SET
+      baseline_version_before = v_before,
+      baseline_version_after = v_after,
+      applied_snapshot = jsonb_build_object(
+        'baseline_breached', m.baseline_breached,
+        'baseline_breach_reason', m.baseline_breach_reason,
+        'baseline_breached_at', m.baseline_breached_at,
+        'baseline_breached_by', m.baseline_breached_by
+      ),
+      updated_at = v_now
+    WHERE id = vm.id;
+
+    milestones_applied := milestones_applied + 1;
+  END LOOP;
+
+  -- Deliverables
+  FOR vd IN
+    SELECT vdl.*, vml.milestone_id AS variation_milestone_milestone_id
+    FROM variation_deliverables vdl
+    LEFT JOIN variation_milestones vml ON vml.id = vdl.variation_milestone_id
+    WHERE vdl.variation_id = p_variation_id
+    ORDER BY vdl.created_at, vdl.id
+  LOOP
+    IF vd.change_type = 'add' THEN
+      IF COALESCE(vd.new_data->>'name', '') = '' OR COALESCE(vd.new_data->>'deliverable_ref', '') = '' THEN
+        RAISE EXCEPTION 'A deliverable to add needs a reference and a name';
+      END IF;
+
+      v_milestone_id := COALESCE((vd.new_data->>'milestone_id')::UUID, vd.variation_milestone_milestone_id);
+
+      INSERT INTO deliverables (
+        project_id, milestone_id, deliverable_ref, name, description,
+        due_date, status, progress, created_by
+      ) VALUES (
+        v.project_id,
+        v_milestone_id,
+        vd.new_data->>'deliverable_ref',
+        vd.new_data->>'name',
+        vd.new_data->>'description',
+        (vd.new_data->>'due_date')::DATE,
+        'Not Started',
+        0,
+        auth.uid()
+      )
+      RETURNING id INTO v_deliverable_id;
+
+      UPDATE variation_deliverables SET
+        deliverable_id = v_deliverable_id,
+        applied_snapshot = NULL,
+        updated_at = v_now
+      WHERE id = vd.id;
+    ELSE
+      SELECT * INTO d FROM deliverables WHERE id = vd.deliverable_id FOR UPDATE;
+
+      IF d.id IS NULL OR d.is_deleted IS TRUE THEN
+        RAISE EXCEPTION 'Deliverable changed by the variation no longer exists';
+      END IF;
+
+      IF vd.change_type = 'remove' THEN
+        IF d.status = 'Delivered' THEN
+          RAISE EXCEPTION 'Deliverable % has been delivered and cannot be removed', d.deliverable_ref;
+        END IF;
+
+        UPDATE deliverables SET
+          is_deleted = TRUE,
+          deleted_at = v_now,
+          deleted_by = auth.uid()
+        WHERE id = d.id;
+      ELSE
+        UPDATE deliverables SET
+          name = COALESCE(vd.new_data->>'name', name),
+          description = CASE WHEN vd.new_data ? 'description' THEN vd.new_data->>'description' ELSE description END,
+          due_date = CASE WHEN vd.new_data ? 'due_date' THEN (vd.new_data->>'due_date')::DATE ELSE due_date END,
+          milestone_id = COALESCE((vd.new_data->>'milestone_id')::UUID, milestone_id)
+        WHERE id = d.id;
+      END IF;
+
+      UPDATE variation_deliverables SET
+        applied_snapshot = to_jsonb(d),
+        updated_at = v_now
+      WHERE id = vd.id;
+    END IF;
+
+    deliverables_applied := deliverables_applied + 1;
+  END LOOP;
+
+  -- Certificate, with the milestones and deliverables as applied
+  UPDATE variations SET
+    status = 'applied',
+    applied_at = v_now,
+    certificate_number = COALESCE(SUBSTRING(v.project_id::TEXT FROM 1 FOR 8), 'PROJ') || '-' || v.variation_ref || '-CERT',
+    certificate_data = jsonb_build_object(
+      'variation_ref', v.variation_ref,
+      'title', v.title,
+      'type', v.variation_type,
+      'description', v.description,
+      'reason', v.reason,
+      'impact_summary', v.impact_summary,
+      'total_cost_impact', v.total_cost_impact,
+      'total_days_impact', v.total_days_impact,
+      'affected_milestones', COALESCE((
+        SELECT jsonb_agg(
+          to_jsonb(vml) || jsonb_build_object('milestone', jsonb_build_object(
+            'id', ms.id,
+            'milestone_ref', ms.milestone_ref,
+            'name', ms.name,
+            'billable', ms.billable,
+            'baseline_start_date', ms.baseline_start_date,
+            'baseline_end_date', ms.baseline_end_date
+          ))
+          ORDER BY vml.created_at, vml.id
+        )
+        FROM variation_milestones vml
+        LEFT JOIN milestones ms ON ms.id = vml.milestone_id
+        WHERE vml.variation_id = p_variation_id
+      ), '[]'::JSONB),
+      'deliverable_changes', COALESCE((
+        SELECT jsonb_agg(
+          (to_jsonb(vdl) - 'applied_snapshot') || jsonb_build_object('deliverable', jsonb_build_object(
+            'id', dl.id,
+            'deliverable_ref', dl.deliverable_ref,
+            'name', dl.name
+          ))
+          ORDER BY vdl.created_at, vdl.id
+        )
+        FROM variation_deliverables vdl
+        LEFT JOIN deliverables dl ON dl.id = vdl.deliverable_id
+        WHERE vdl.variation_id = p_variation_id
+      ), '[]'::JSONB),
+      'supplier_signed_by', v.supplier_signed_by,
+      'supplier_signed_at', v.supplier_signed_at,
+      'customer_signed_by', v.customer_signed_by,
+      'customer_signed_at', v.customer_signed_at,
+      'applied_at', v_now
+    ),
+    updated_at = v_now
+  WHERE id = p_variation_id;
+
+  RETURN jsonb_build_object(
+    'milestones', milestones_applied,
+    'deliverables', deliverables_applied
+  );
+END;
+$$;
+
+-- ============================================
+-- REVERT
+-- ============================================
+
+-- Reverts an applied variation. Each milestone goes back to the baseline
+-- version and breach flags it had before the variation (the version is
+-- written as a new one so the history is kept). Only possible while no
+-- later variation has changed the same milestones.
+CREATE OR REPLACE FUNCTION revert_variation(p_variation_id UUID, p_reason TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY INVOKER
+AS $$
+DECLARE
+  v variations;
+  vm RECORD;
+  vd RECORD;
+  m milestones;
+  prev milestone_baseline_versions;
+  ms milestones;
+  s deliverables;
+  v_current INTEGER;
+  v_now TIMESTAMPTZ := NOW();
+  milestones_reverted INTEGER := 0;
+  deliverables_reverted INTEGER := 0;
+BEGIN
+  SELECT * INTO v FROM variations WHERE id = p_variation_id FOR UPDATE;
+
+  IF v.id IS NULL OR v.is_deleted IS TRUE THEN
+    RAISE EXCEPTION 'Variation not found';
+  END IF;
+
+  IF NOT can_write_project(v.project_id, ARRAY['admin', 'supplier_pm']) THEN
+    RAISE EXCEPTION 'Access denied';
+  END IF;
+
+  IF v.status <> 'applied' THEN
+    RAISE EXCEPTION 'Only an applied variation can be reverted';
+  END IF;
+
+  IF COALESCE(TRIM(p_reason), '') = '' THEN
+    RAISE EXCEPTION 'Give a reason for reverting the variation';
+  END IF;
+
+  -- Milestones
+  FOR vm IN
+    SELECT * FROM variation_milestones
+    WHERE variation_id = p_variation_id
+      AND milestone_id IS NOT NULL
+    ORDER BY created_at, id
+  LOOP
+    SELECT * INTO m FROM milestones WHERE id = vm.milestone_id FOR UPDATE;
+
+    IF m.id IS NULL OR m.is_deleted IS TRUE THEN
+      RAISE EXCEPTION 'Milestone affected by the variation no longer exists';
+    END IF;
+
+    SELECT COALESCE(MAX(version), 0) INTO v_current
+    FROM milestone_baseline_versions
+    WHERE milestone_id = m.id;
+
+    IF vm.baseline_version_after IS NULL OR v_current <> vm.baseline_version_after THEN
+      RAISE EXCEPTION 'Milestone % has a later baseline change; revert that first', m.milestone_ref;
+    END IF;
+
+    SELECT * INTO prev FROM milestone_baseline_versions
+    WHERE milestone_id = m.id AND version = vm.baseline_version_before;
+
+    IF prev.id IS NULL THEN
+      RAISE EXCEPTION 'Milestone % has no previous baseline version to restore', m.milestone_ref;
+    END IF;
+
+    -- Breach flags as they were before the apply cleared them
+    ms := jsonb_populate_record(m, COALESCE(vm.applied_snapshot, '{}'::JSONB));
+
+    UPDATE milestones SET
+      baseline_start_date = prev.baseline_start_date,
+      baseline_end_date = prev.baseline_end_date,
+      baseline_billable = prev.baseline_billable,
+      start_date = prev.baseline_start_date,
+      forecast_end_date = prev.baseline_end_date,
+      forecast_billable = prev.baseline_billable,
+      billable = prev.baseline_billable,
+      baseline_breached = ms.baseline_breached,
+      baseline_breach_reason = ms.baseline_breach_reason,
+      baseline_breached_at = ms.baseline_breached_at,
+      baseline_breached_by = ms.baseline_breached_by
+    WHERE id = m.id;
+
+    INSERT INTO milestone_baseline_versions (
+      milestone_id, version, variation_id, is_revert,
+      baseline_start_date, baseline_end_date, baseline_billable,
+      supplier_signed_by, supplier_signed_at,
+      customer_signed_by, customer_signed_at
+    ) VALUES (
+      m.id, v_current + 1, p_variation_id, TRUE,
+      prev.baseline_start_date, prev.baseline_end_date, prev.baseline_billable,
+      prev.supplier_signed_by, prev.supplier_signed_at,
+      prev.customer_signed_by, prev.customer_signed_at
+    );
+
+    milestones_reverted := milestones_reverted + 1;
+  END LOOP;
+
+  -- Deliverables, in reverse order of application
+  FOR vd IN
+    SELECT * FROM variation_deliverables
+    WHERE variation_id = p_variation_id
+    ORDER BY created_at DESC, id DESC
+  LOOP
+    IF vd.deliverable_id IS NULL THEN
+      CONTINUE;
+    END IF;
+
+    IF vd.change_type = 'add' THEN
+      UPDATE deliverables SET
+        is_deleted = TRUE,
+        deleted_at = v_now,
+        deleted_by = auth.uid()
+      WHERE id = vd.deliverable_id;
+    ELSIF vd.applied_snapshot IS NOT NULL THEN
+      s := jsonb_populate_record(NULL::deliverables, vd.applied_snapshot);
+
+      UPDATE deliverables SET
+        name = s.name,
+        description = s.description,
+        due_date = s.due_date,
+        milestone_id = s.milestone_id,
+        is_deleted = s.is_deleted,
+        deleted_at = s.deleted_at,
+        deleted_by = s.deleted_by
+      WHERE id = vd.deliverable_id;
+    END IF;
+
+    deliverables_reverted := deliverables_reverted + 1;
+  END LOOP;
+
+  UPDATE variations SET
+    status = 'reverted',
+    reverted_at = v_now,
+    reverted_by = auth.uid(),
+    revert_reason = TRIM(p_reason),
+    updated_at = v_now
+  WHERE id = p_variation_id;
+
+  RETURN jsonb_build_object(
+    'milestones', milestones_reverted,
+    'deliverables', deliverables_reverted
+  );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION apply_variation(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION revert_variation(UUID, TEXT) TO authenticated;
+
+-- ============================================
+-- COMMENTS
+-- ============================================
+
+COMMENT ON FUNCTION apply_variation(UUID) IS 'Applies an approved variation to milestone baselines and deliverables in one transaction';
+COMMENT ON FUNCTION revert_variation(UUID, TEXT) IS 'Reverts an applied variation by restoring the previous baseline versions and deliverables';
+COMMENT ON COLUMN variations.revert_reason IS 'Why an applied variation was reverted';
+COMMENT ON COLUMN milestone_baseline_versions.is_revert IS 'Version written by reverting variation_id, restoring the baseline before it';
+COMMENT ON COLUMN variation_deliverables.applied_snapshot IS 'Deliverable as it was when the variation was applied, restored on revert';
+COMMENT ON COLUMN variation_milestones.applied_snapshot IS 'Milestone baseline breach flags before the variation was applied, restored on revert';
@@ -0,0 +1,42 @@
+-- ============================================================
+-- Migration: Quantitative RAID risk scoring
+-- Date: 19 October 2026
+-- Purpose: Rank risks by probability × impact instead of free text.
+--   - projects: the scale each project scores on (3×3 or 5×5)
+--   - raid_items: inherent and residual (after mitigation)
+--     probability and impact levels, and an optional cost impact
+--     used for monetary exposure and the contingency figure
+--   Levels run from 1 to the project's scale; scoring, ratings and
+--   exposure are in lib/raidScoring.js. The existing probability
+--   column keeps a Low/Medium/High label for older reports.
+-- ============================================================
+
+-- ============================================
+-- PROJECT SETTINGS
+-- ============================================
+
+ALTER TABLE projects
+  ADD COLUMN IF NOT EXISTS raid_scoring_scale INTEGER DEFAULT 5
+    CHECK (raid_scoring_scale IN (3, 5));
+
+-- ============================================
+-- RAID ITEM SCORES
+-- ============================================
+
+ALTER TABLE raid_items
+  ADD COLUMN IF NOT EXISTS probability_score SMALLINT
+    CHECK (probability_score BETWEEN 1 AND 5),
+  ADD COLUMN IF NOT EXISTS impact_score SMALLINT
+    CHECK (impact_score BETWEEN 1 AND 5),
+  ADD COLUMN IF NOT EXISTS residual_probability_score SMALLINT
+    CHECK (residual_probability_score BETWEEN 1 AND 5),
+  ADD COLUMN IF NOT EXISTS residual_impact_score SMALLINT
+    CHECK (residual_impact_score BETWEEN 1 AND 5),
+  ADD COLUMN IF NOT EXISTS cost_impact NUMERIC(12,2)
+    CHECK (cost_impact >= 0);
+
+COMMENT ON COLUMN raid_items.probability_score IS 'Inherent probability level on the project scoring scale';
+COMMENT ON COLUMN raid_items.impact_score IS 'Inherent impact level on the project scoring scale';
+COMMENT ON COLUMN raid_items.residual_probability_score IS 'Probability level after mitigation (NULL keeps the inherent level)';
+COMMENT ON COLUMN raid_items.residual_impact_score IS 'Impact level after mitigation (NULL keeps the inherent level)';
+COMMENT ON COLUMN raid_items.cost_impact IS 'Cost if the item materialises, in the project currency';
@@ -0,0 +1,158 @@
+-- ============================================================
+-- Migration: RAID mitigation and contingency actions
+-- Date: 19 October 2026
+-- Purpose: Track the actions agreed for a risk or issue inside the
+--   RAID log instead of a separate spreadsheet. Adds:
+--   - raid_actions: mitigation (reduce the likelihood or impact) and
+--     contingency (what to do if it happens) actions under a RAID
+--     item, each with an owner, due date, status and completion date
+--   Actions must belong to their RAID item's project. Owners and
+--   creators who are not RAID managers may only update the status,
+--   completion date and notes.
+--   Overdue actions (open and past their due date) are reported by
+--   raidService.getOverdue and the workflow summary. Action rules are
+--   in lib/raidActions.js.
+-- ============================================================
+
+-- ============================================
+-- ACTIONS
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS raid_actions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  raid_item_id UUID NOT NULL REFERENCES raid_items(id) ON DELETE CASCADE,
+  action_type TEXT NOT NULL DEFAULT 'mitigation'
+    CHECK (action_type IN ('mitigation', 'contingency')),
+  description TEXT NOT NULL,
+  owner_user_id UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  due_date DATE,
+  status TEXT NOT NULL DEFAULT 'Not Started'
+    CHECK (status IN ('Not Started', 'In Progress', 'Completed', 'Cancelled')),
+  completed_date DATE,
+  notes TEXT,
+
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  created_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  CHECK (status <> 'Completed' OR completed_date IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_raid_actions_item
+  ON raid_actions(raid_item_id);
+
+-- Overdue lookups: open actions by due date
+CREATE INDEX IF NOT EXISTS idx_raid_actions_open_due
+  ON raid_actions(project_id, due_date)
+  WHERE status IN ('Not Started', 'In Progress');
+
+-- ============================================
+-- ROW LEVEL SECURITY
+-- ============================================
+
+ALTER TABLE raid_actions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "raid_actions_select" ON raid_actions
+  FOR SELECT TO authenticated
+  USING (can_access_project(project_id));
+
+-- RAID managers (supplier and customer PMs) maintain actions; action
+-- owners can update their own (limited to progress by
+-- raid_actions_check_update)
+CREATE POLICY "raid_actions_insert" ON raid_actions
+  FOR INSERT TO authenticated
+  WITH CHECK (can_write_project(project_id, ARRAY['admin', 'supplier_pm', 'customer_pm']));
+
+CREATE POLICY "raid_actions_update" ON raid_actions
+  FOR UPDATE TO authenticated
+  USING (
+    can_write_project(project_id, ARRAY['admin', 'supplier_pm', 'customer_pm'])
+    OR (can_access_project(project_id) AND (owner_user_id = auth.uid() OR created_by = auth.uid()))
+  )
+  WITH CHECK (
+    can_write_project(project_id, ARRAY['admin', 'supplier_pm', 'customer_pm'])
+    OR (can_access_project(project_id) AND (owner_user_id = auth.uid() OR created_by = auth.uid()))
+  );
+
+CREATE POLICY "raid_actions_delete" ON raid_actions
+  FOR DELETE TO authenticated
+  USING (
+    can_write_project(project_id, ARRAY['admin', 'supplier_pm', 'customer_pm'])
+    OR created_by = auth.uid()
+  );
+
+-- ============================================
+-- TRIGGER: item and project match
+-- ============================================
+
+-- An action must sit under a RAID item in the same project, so project
+-- RLS on the action cannot be sidestepped by pointing at another
+-- project's item
+CREATE OR REPLACE FUNCTION raid_actions_check_item()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM raid_items
+    WHERE id = NEW.raid_item_id
+      AND project_id = NEW.project_id
+  ) THEN
+    RAISE EXCEPTION 'RAID action must belong to the same project as its RAID item';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS raid_actions_check_item ON raid_actions;
+CREATE TRIGGER raid_actions_check_item
+  BEFORE INSERT OR UPDATE OF raid_item_id, project_id ON raid_actions
+  FOR EACH ROW
+  EXECUTE FUNCTION raid_actions_check_item();
+
+-- ============================================
+-- TRIGGER: owner updates
+-- ============================================
+
+-- Owners and creators who are not RAID managers may only record progress
+-- (status, completion date and notes). Server-side updates (no signed-in
+-- user) are not limited.
+CREATE OR REPLACE FUNCTION raid_actions_check_update()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF auth.uid() IS NULL
+    OR can_write_project(OLD.project_id, ARRAY['admin', 'supplier_pm', 'customer_pm'])
+  THEN
+    RETURN NEW;
+  END IF;
+
+  IF (to_jsonb(NEW) - ARRAY['status', 'completed_date', 'notes', 'updated_at'])
+    IS DISTINCT FROM (to_jsonb(OLD) - ARRAY['status', 'completed_date', 'notes', 'updated_at'])
+  THEN
+    RAISE EXCEPTION 'Action owners can only update the status, completion date and notes';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS raid_actions_check_update ON raid_actions;
+CREATE TRIGGER raid_actions_check_update
+  BEFORE UPDATE ON raid_actions
+  FOR EACH ROW
+  EXECUTE FUNCTION raid_actions_check_update();
+
+-- ============================================
+-- TRIGGER: updated_at
+-- ============================================
+
+CREATE TRIGGER raid_actions_updated_at
+  BEFORE UPDATE ON raid_actions
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================
+-- COMMENTS
+-- ============================================
+
+COMMENT ON TABLE raid_actions IS 'Mitigation and contingency actions for a RAID risk or issue';
+COMMENT ON COLUMN raid_actions.action_type IS 'mitigation: reduces likelihood or impact; contingency: the response if the risk materialises';
+COMMENT ON COLUMN raid_actions.completed_date IS 'Date the action was completed (required when status is Completed)';